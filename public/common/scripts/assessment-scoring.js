@@ -7,6 +7,8 @@
 
     const LEGACY_MC_INDEX = Object.freeze({ A: 0, B: 1, C: 2, D: 3 });
     const OPTION_LABELS = Object.freeze(['A', 'B', 'C', 'D']);
+    // Graded on the server against their answer key; see services/objectiveAnswer
+    const STRUCTURED_TYPES = Object.freeze(['numeric', 'fill-in-the-blank', 'matching', 'ordering']);
 
     function getExpectedAnswer(question) {
         return question?.correctAnswer ?? question?.expectedAnswer ?? question?.answer;
@@ -23,6 +25,7 @@
         if (['short-answer', 'short_answer', 'shortanswer', 'sa'].includes(rawType)) {
             return 'short-answer';
         }
+        if (STRUCTURED_TYPES.includes(rawType)) return rawType;
         if (Array.isArray(question?.options) || (
             question?.options && typeof question.options === 'object' &&
             Object.keys(question.options).length > 0
@@ -119,11 +122,21 @@
         return { valid: true, value: value.trim(), rawValue: value, reason: null };
     }
 
+    function normalizeStructuredAnswer(value, label) {
+        // Blanks, matches, and orderings arrive as lists; the key is its display text
+        const text = Array.isArray(value)
+            ? value.map(part => String(part ?? '').trim()).join('; ')
+            : (typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '');
+        if (!text) return invalid(`${label} is missing`, value);
+        return { valid: true, value: text, rawValue: value, reason: null };
+    }
+
     function normalizeAnswer(question, value, label = 'answer') {
         const type = getQuestionType(question);
         if (type === 'multiple-choice') return normalizeMultipleChoice(value, question?.options, label);
         if (type === 'true-false') return normalizeTrueFalse(value, label);
         if (type === 'short-answer') return normalizeShortAnswer(value, label);
+        if (STRUCTURED_TYPES.includes(type)) return normalizeStructuredAnswer(value, label);
         return invalid(`question type "${type}" is not supported`, value);
     }
 
@@ -165,6 +178,9 @@
         let isCorrect;
         if (type === 'short-answer' && evaluation && typeof evaluation.correct === 'boolean') {
             isCorrect = evaluation.correct;
+        } else if (STRUCTURED_TYPES.includes(type)) {
+            // Only the server can grade these; no evaluation means no credit
+            isCorrect = evaluation?.correct === true;
         } else if (type === 'short-answer') {
             isCorrect = student.value.localeCompare(expected.value, undefined, { sensitivity: 'base' }) === 0;
         } else {
@@ -258,6 +274,7 @@
     return {
         LEGACY_MC_INDEX,
         OPTION_LABELS,
+        STRUCTURED_TYPES,
         getQuestionType,
         getExpectedAnswer,
         getOptionEntries,
@@ -0,0 +1,84 @@
+/**
+ * Polling helpers for background document processing (uploads are parsed,
+ * described, and embedded by a server-side job after the upload returns).
+ * Load before the page script.
+ */
+
+const INGESTION_STAGE_LABELS = {
+    store: 'Storing the file',
+    extract: 'Reading text and describing images',
+    save: 'Saving to the unit',
+    index: 'Chunking and embedding'
+};
+const INGESTION_POLL_MS = 2000;
+
+/**
+ * One line describing where a job is: the running stage and its progress, or
+ * how it ended
+ * @param {Object} job - Public job view from /api/documents/jobs
+ * @returns {string}
+ */
+function describeIngestionJob(job) {
+    if (!job) return '';
+    if (job.status === 'completed') return 'Processed';
+    if (job.status === 'queued') return 'Waiting to be processed…';
+
+    const stage = (job.stages || []).find(entry => entry.id === job.stage) || {};
+    const label = INGESTION_STAGE_LABELS[job.stage] || 'Processing';
+    if (job.status === 'failed') {
+        return `Failed while ${label.charAt(0).toLowerCase()}${label.slice(1)}: ${job.error || 'unknown error'}`;
+    }
+
+    const progress = job.progress || {};
+    let detail = stage.detail || '';
+    if (!detail && job.stage === 'extract' && (progress.slides || progress.figures)) {
+        const parts = [];
+        if (progress.slides) parts.push(`${progress.slides} slides read`);
+        if (progress.figures) parts.push(`${progress.figures} images described`);
+        detail = parts.join(', ');
+    }
+    return detail ? `${label}… (${detail})` : `${label}…`;
+}
+
+async function fetchIngestionJob(jobId) {
+    const response = await fetch(`/api/documents/jobs/${encodeURIComponent(jobId)}`, {
+        credentials: 'same-origin'
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || !result.success) {
+        throw new Error(result.message || `Could not load processing status (${response.status})`);
+    }
+    return result.data;
+}
+
+/**
+ * Poll a job until it completes or fails
+ * @param {string} jobId
+ * @param {Function} [onUpdate] - Called with each job snapshot
+ * @returns {Promise<Object>} The finished job
+ */
+async function waitForIngestionJob(jobId, onUpdate) {
+    for (;;) {
+        const job = await fetchIngestionJob(jobId);
+        if (typeof onUpdate === 'function') onUpdate(job);
+        if (job.status === 'completed' || job.status === 'failed') return job;
+        await new Promise(resolve => setTimeout(resolve, INGESTION_POLL_MS));
+    }
+}
+
+/**
+ * Restart a failed job from the stage that failed
+ * @param {string} jobId
+ * @returns {Promise<Object>} The requeued job
+ */
+async function retryIngestionJob(jobId) {
+    const response = await fetch(`/api/documents/jobs/${encodeURIComponent(jobId)}/retry`, {
+        method: 'POST',
+        credentials: 'same-origin'
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || !result.success) {
+        throw new Error(result.message || `Could not retry processing (${response.status})`);
+    }
+    return result.data;
+}
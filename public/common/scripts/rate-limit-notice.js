@@ -0,0 +1,92 @@
+/**
+ * Rate limit notice
+ *
+ * Shared student UI for 429 RATE_LIMITED responses from the AI endpoints:
+ * shows the server's message with a countdown and keeps the given inputs
+ * disabled until the student can ask again.
+ */
+(function attachRateLimitNotice(global) {
+    'use strict';
+
+    let active = null;
+
+    function isRateLimited(response, body) {
+        return !!(response && response.status === 429 && body && body.code === 'RATE_LIMITED');
+    }
+
+    function formatWait(totalSeconds) {
+        if (totalSeconds >= 3600) {
+            const hours = Math.floor(totalSeconds / 3600);
+            const minutes = Math.ceil((totalSeconds % 3600) / 60);
+            return minutes ? `${hours} h ${minutes} min` : `${hours} h`;
+        }
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        return `${minutes}:${seconds}`;
+    }
+
+    function clear() {
+        if (!active) return;
+        global.clearInterval(active.timer);
+        active.element.remove();
+        active.controls.forEach(control => { control.disabled = false; });
+        active = null;
+    }
+
+    /**
+     * Show the countdown for a RATE_LIMITED payload
+     * @param {Object} body - { message, retryAfterSeconds }
+     * @param {Object} [options] - { anchor: element to show the notice before, controls: elements to disable }
+     */
+    function show(body, { anchor = null, controls = [] } = {}) {
+        clear();
+
+        const element = document.createElement('div');
+        element.className = 'rate-limit-notice';
+        element.setAttribute('role', 'status');
+        element.setAttribute('aria-live', 'polite');
+        if (anchor && anchor.parentNode) {
+            anchor.parentNode.insertBefore(element, anchor);
+        } else {
+            document.body.appendChild(element);
+        }
+
+        const disabled = controls.filter(Boolean);
+        const endsAt = Date.now() + Math.max(1, Number(body && body.retryAfterSeconds) || 1) * 1000;
+        const message = (body && body.message) || 'You have reached the AI request limit.';
+
+        const tick = () => {
+            const remaining = Math.ceil((endsAt - Date.now()) / 1000);
+            if (remaining <= 0) {
+                clear();
+                return;
+            }
+            disabled.forEach(control => { control.disabled = true; });
+            element.textContent = `${message} You can try again in ${formatWait(remaining)}.`;
+        };
+
+        active = { element, controls: disabled, timer: global.setInterval(tick, 1000) };
+        tick();
+        // Callers usually re-enable their inputs in a finally block right
+        // after this returns; take them back once that has run.
+        global.setTimeout(tick, 0);
+    }
+
+    /**
+     * Error for callers that throw on a failed request, so their catch blocks
+     * can skip the generic error message (the notice already explains).
+     */
+    function createError(body) {
+        const error = new Error((body && body.message) || 'Rate limited');
+        error.name = 'RateLimitError';
+        return error;
+    }
+
+    global.RateLimitNotice = {
+        clear,
+        createError,
+        formatWait,
+        isRateLimited,
+        show
+    };
+}(typeof window !== 'undefined' ? window : globalThis));
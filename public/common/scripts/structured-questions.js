@@ -0,0 +1,211 @@
+/**
+ * Structured question inputs
+ *
+ * Shared student UI for the numeric, fill-in-the-blank, matching, and
+ * ordering question types on the quiz page and in the calibration
+ * assessment. Quiz questions arrive in the student view from
+ * /api/quiz/questions (prompts, choices, scrambled items); calibration
+ * questions carry the full key (pairs, items), which is scrambled here.
+ * Answers are graded on the server.
+ */
+(function attachStructuredQuestions(global) {
+    'use strict';
+
+    const LABELS = Object.freeze({
+        'numeric': 'Numeric',
+        'fill-in-the-blank': 'Fill in the Blank',
+        'matching': 'Matching',
+        'ordering': 'Ordering'
+    });
+    const BLANK_MARKER = /_{3,}/g;
+
+    function isStructured(questionType) {
+        return Object.prototype.hasOwnProperty.call(LABELS, questionType);
+    }
+
+    function shuffle(values) {
+        const shuffled = [...values];
+        for (let i = shuffled.length - 1; i > 0; i -= 1) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+
+    function create(tagName, className, text) {
+        const element = document.createElement(tagName);
+        if (className) element.className = className;
+        if (text !== undefined) element.textContent = text;
+        return element;
+    }
+
+    /**
+     * The parts a student answers from, whichever view the question is in
+     * @param {Object} question
+     * @returns {Object} { unit, blankCount, prompts, choices, items }
+     */
+    function studentView(question) {
+        const pairs = Array.isArray(question.pairs) ? question.pairs : [];
+        let items = Array.isArray(question.items) ? question.items : [];
+        if (!question.prompts && items.length > 1) {
+            // Full key: never start from the answer
+            const shuffled = shuffle(items);
+            if (shuffled.every((item, index) => item === items[index])) shuffled.push(shuffled.shift());
+            items = shuffled;
+        }
+        return {
+            unit: question.unit ?? question.numeric?.unit ?? '',
+            blankCount: question.blankCount
+                ?? (Array.isArray(question.blanks) ? question.blanks.length : (String(question.question || '').match(BLANK_MARKER) || []).length),
+            prompts: question.prompts || pairs.map(pair => pair.prompt),
+            choices: question.choices || shuffle([...pairs.map(pair => pair.match), ...(question.distractors || [])]),
+            items
+        };
+    }
+
+    function renderNumeric(container, view, idPrefix) {
+        const input = create('input', 'structured-numeric-input');
+        input.type = 'text';
+        input.inputMode = 'decimal';
+        input.id = `${idPrefix}-numeric`;
+        input.placeholder = view.unit ? `Number and unit, e.g. 4.2 ${view.unit}` : 'Enter a number';
+        input.setAttribute('aria-label', view.unit ? `Your answer in ${view.unit}` : 'Your answer');
+        container.appendChild(input);
+        if (view.unit) {
+            container.appendChild(create('p', 'structured-question-hint', `Include the unit (${view.unit}).`));
+        }
+        return {
+            getAnswer() {
+                const value = input.value.trim();
+                return value ? { answer: value } : { error: 'Please enter a number.' };
+            },
+            setDisabled(disabled) { input.disabled = disabled; }
+        };
+    }
+
+    function renderBlanks(container, view, idPrefix) {
+        const inputs = [];
+        for (let index = 0; index < view.blankCount; index += 1) {
+            const row = create('div', 'structured-blank-row');
+            const label = create('label', 'structured-blank-label', `Blank ${index + 1}`);
+            const input = create('input', 'structured-blank-input');
+            input.type = 'text';
+            input.id = `${idPrefix}-blank-${index}`;
+            label.htmlFor = input.id;
+            row.appendChild(label);
+            row.appendChild(input);
+            container.appendChild(row);
+            inputs.push(input);
+        }
+        return {
+            getAnswer() {
+                const answers = inputs.map(input => input.value.trim());
+                return answers.some(answer => !answer)
+                    ? { error: 'Please fill in every blank.' }
+                    : { answer: answers };
+            },
+            setDisabled(disabled) { inputs.forEach(input => { input.disabled = disabled; }); }
+        };
+    }
+
+    function renderMatching(container, view, idPrefix) {
+        const selects = view.prompts.map((prompt, index) => {
+            const row = create('div', 'structured-match-row');
+            const label = create('label', 'structured-match-prompt', prompt);
+            const select = create('select', 'structured-match-select');
+            select.id = `${idPrefix}-match-${index}`;
+            label.htmlFor = select.id;
+            const placeholder = create('option', '', 'Choose a match...');
+            placeholder.value = '';
+            select.appendChild(placeholder);
+            view.choices.forEach(choice => {
+                const option = create('option', '', choice);
+                option.value = choice;
+                select.appendChild(option);
+            });
+            row.appendChild(label);
+            row.appendChild(select);
+            container.appendChild(row);
+            return select;
+        });
+        return {
+            getAnswer() {
+                const answers = selects.map(select => select.value);
+                return answers.some(answer => !answer)
+                    ? { error: 'Please choose a match for every item.' }
+                    : { answer: answers };
+            },
+            setDisabled(disabled) { selects.forEach(select => { select.disabled = disabled; }); }
+        };
+    }
+
+    function renderOrdering(container, view) {
+        const list = create('ol', 'structured-order-list');
+        let disabled = false;
+
+        function move(item, offset) {
+            if (disabled) return;
+            const target = offset < 0 ? item.previousElementSibling : item.nextElementSibling;
+            if (!target) return;
+            if (offset < 0) list.insertBefore(item, target);
+            else list.insertBefore(target, item);
+            item.querySelector(offset < 0 ? '.structured-order-up' : '.structured-order-down').focus();
+        }
+
+        view.items.forEach(text => {
+            const item = create('li', 'structured-order-item');
+            item.dataset.value = text;
+            item.appendChild(create('span', 'structured-order-text', text));
+            const up = create('button', 'structured-order-up', '↑');
+            up.type = 'button';
+            up.setAttribute('aria-label', `Move "${text}" up`);
+            up.addEventListener('click', () => move(item, -1));
+            const down = create('button', 'structured-order-down', '↓');
+            down.type = 'button';
+            down.setAttribute('aria-label', `Move "${text}" down`);
+            down.addEventListener('click', () => move(item, 1));
+            item.appendChild(up);
+            item.appendChild(down);
+            list.appendChild(item);
+        });
+        container.appendChild(create('p', 'structured-question-hint', 'Use the arrows to put the items in order, first at the top.'));
+        container.appendChild(list);
+        return {
+            getAnswer() {
+                return { answer: Array.from(list.children).map(item => item.dataset.value) };
+            },
+            setDisabled(value) {
+                disabled = value;
+                list.querySelectorAll('button').forEach(button => { button.disabled = value; });
+            }
+        };
+    }
+
+    const RENDERERS = {
+        'numeric': renderNumeric,
+        'fill-in-the-blank': renderBlanks,
+        'matching': renderMatching,
+        'ordering': renderOrdering
+    };
+
+    /**
+     * Build the answer inputs for a structured question
+     * @param {Object} question - Question in student or full view
+     * @param {string} [idPrefix] - Prefix for input ids, unique per question on the page
+     * @returns {Object|null} { element, getAnswer, setDisabled }; getAnswer returns { answer } or { error }
+     */
+    function render(question, idPrefix = 'structured') {
+        const questionType = question?.questionType ?? question?.type;
+        const renderer = RENDERERS[questionType];
+        if (!renderer) return null;
+        const element = create('div', `structured-question ${questionType}`);
+        const controls = renderer(element, studentView(question), idPrefix);
+        return { element, ...controls };
+    }
+
+    global.StructuredQuestions = {
+        LABELS,
+        isStructured,
+        render
+    };
+}(typeof window !== 'undefined' ? window : globalThis));
@@ -0,0 +1,144 @@
+/**
+ * Wellness resources card
+ *
+ * Shared student UI for the `wellnessResources` card the chat and quiz help
+ * endpoints attach when a student may be in distress: the course's crisis
+ * and wellness services with call and website links.
+ */
+(function attachWellnessResources(global) {
+    'use strict';
+
+    function appendText(parent, tagName, className, text) {
+        const element = document.createElement(tagName);
+        element.className = className;
+        element.textContent = text;
+        parent.appendChild(element);
+        return element;
+    }
+
+    function appendLink(parent, className, href, text, external) {
+        const link = document.createElement('a');
+        link.className = className;
+        link.href = href;
+        link.textContent = text;
+        if (external) {
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+        }
+        parent.appendChild(link);
+        return link;
+    }
+
+    function telHref(phone) {
+        return `tel:${String(phone).replace(/[^0-9+]/g, '')}`;
+    }
+
+    function renderResource(resource) {
+        const item = document.createElement('li');
+        item.className = `wellness-resource ${resource.kind === 'crisis' ? 'crisis' : 'wellness'}`;
+        appendText(item, 'strong', 'wellness-resource-name', resource.name);
+
+        if (resource.description) {
+            appendText(item, 'p', 'wellness-resource-description', resource.description);
+        }
+
+        const contact = document.createElement('div');
+        contact.className = 'wellness-resource-contact';
+        if (resource.phone) {
+            appendLink(contact, 'wellness-resource-phone', telHref(resource.phone), resource.phone, false);
+        }
+        if (resource.url) {
+            appendLink(contact, 'wellness-resource-url', resource.url, 'Website', true);
+        }
+        item.appendChild(contact);
+
+        const details = [resource.hours, resource.region].filter(Boolean).join(' · ');
+        if (details) {
+            appendText(item, 'span', 'wellness-resource-details', details);
+        }
+        return item;
+    }
+
+    /**
+     * Build the card element for a `wellnessResources` payload
+     * @param {Object} card - { title, message, resources }
+     * @returns {Element|null}
+     */
+    function render(card) {
+        if (!card || !Array.isArray(card.resources) || card.resources.length === 0) return null;
+
+        const element = document.createElement('aside');
+        element.className = 'wellness-resources-card';
+        element.setAttribute('role', 'note');
+        element.setAttribute('aria-label', card.title || 'Support resources');
+
+        appendText(element, 'h4', 'wellness-resources-title', card.title || 'Support is available');
+        if (card.message) {
+            appendText(element, 'p', 'wellness-resources-message', card.message);
+        }
+
+        const list = document.createElement('ul');
+        list.className = 'wellness-resources-list';
+        card.resources.forEach(resource => list.appendChild(renderResource(resource)));
+        element.appendChild(list);
+        return element;
+    }
+
+    /**
+     * Render the card at the end of a message list and scroll to it
+     * @param {Element} container - Chat message list
+     * @param {Object} card - { title, message, resources }
+     * @returns {Element|null}
+     */
+    function append(container, card) {
+        const element = render(card);
+        if (!element || !container) return null;
+        container.appendChild(element);
+        container.scrollTop = container.scrollHeight;
+        return element;
+    }
+
+    const POLL_INTERVAL_MS = 2000;
+    const MAX_POLLS = 15;
+
+    /**
+     * Show the card for a chat reply: the one it carries, or, when the
+     * reply was sent before its mental health check finished
+     * (`wellnessPending`), the one a follow-up poll returns
+     * @param {Element} container - Chat message list
+     * @param {Object} reply - Chat response
+     */
+    function appendForReply(container, reply) {
+        if (!reply) return;
+        if (reply.wellnessResources) {
+            append(container, reply.wellnessResources);
+            return;
+        }
+        if (!reply.wellnessPending || !reply.messageId) return;
+
+        let polls = 0;
+        const poll = async () => {
+            polls += 1;
+            try {
+                const response = await fetch(`/api/chat/wellness-resources/${encodeURIComponent(reply.messageId)}`);
+                if (!response.ok) return;
+                const result = await response.json();
+                const data = (result && result.data) || {};
+                if (data.wellnessResources) {
+                    append(container, data.wellnessResources);
+                } else if (data.pending && polls < MAX_POLLS) {
+                    setTimeout(poll, POLL_INTERVAL_MS);
+                }
+            } catch (error) {
+                console.warn('Could not load support resources for this reply:', error);
+            }
+        };
+        setTimeout(poll, POLL_INTERVAL_MS);
+    }
+
+    global.WellnessResources = {
+        append,
+        appendForReply,
+        render
+    };
+}(typeof window !== 'undefined' ? window : globalThis));
@@ -1688,7 +1688,9 @@ const mhState = {
     flags: [],
     filteredFlags: [],
     isAdmin: false,
-    currentFilter: 'pending'
+    currentFilter: 'pending',
+    // Staff a case can be assigned to; null until loaded, [] when the user cannot assign
+    staff: null
 };
 
 /**
@@ -1709,6 +1711,31 @@ function initMHEventListeners() {
     if (refreshBtn) {
         refreshBtn.addEventListener('click', () => loadMentalHealthFlags());
     }
+
+    const exportBtn = document.getElementById('export-mh-flags');
+    if (exportBtn) {
+        exportBtn.addEventListener('click', async () => {
+            const courseId = await getCurrentCourseId();
+            if (!courseId) return;
+            const transcript = document.getElementById('mh-export-transcript');
+            const includeTranscript = transcript ? transcript.checked : true;
+            window.location.href = `/api/mental-health-flags/course/${encodeURIComponent(courseId)}/export?includeTranscript=${includeTranscript}`;
+        });
+    }
+}
+
+/**
+ * Load the staff a case can be assigned to (instructors and admins only)
+ */
+async function loadMHCaseStaff(courseId) {
+    try {
+        const response = await fetch(`/api/mental-health-flags/course/${encodeURIComponent(courseId)}/staff`);
+        const result = await response.json();
+        mhState.staff = result.success ? result.staff : [];
+    } catch (error) {
+        console.error('Error loading case staff:', error);
+        mhState.staff = [];
+    }
 }
 
 /**
@@ -1733,6 +1760,9 @@ async function loadMentalHealthFlags() {
         if (result.success) {
             mhState.flags = result.flags || [];
             mhState.isAdmin = result.isAdmin || false;
+            if (mhState.staff === null) {
+                await loadMHCaseStaff(courseId);
+            }
 
             // Default admins to "escalated" filter on first load
             if (mhState.isAdmin && !mhState.filterInitialized) {
@@ -1766,6 +1796,8 @@ async function loadMentalHealthFlags() {
 function applyMHFilters() {
     if (mhState.currentFilter === 'all') {
         mhState.filteredFlags = [...mhState.flags];
+    } else if (mhState.currentFilter === 'overdue') {
+        mhState.filteredFlags = mhState.flags.filter(f => f.overdue);
     } else {
         mhState.filteredFlags = mhState.flags.filter(f => f.status === mhState.currentFilter);
     }
@@ -1823,13 +1855,14 @@ function createMHFlagCard(flag) {
     const concernLabel = flag.concernLevel === 'high concern' ? 'High Concern' : 'Low Concern';
     const badgeClass = flag.concernLevel === 'high concern' ? 'high' : 'low';
 
-    card.className = `mh-flag-card ${concernClass}`;
+    card.className = `mh-flag-card ${concernClass}${flag.overdue ? ' overdue' : ''}`;
     card.setAttribute('data-mh-flag-id', flag.flagId);
 
     // Header
     let headerHtml = `
         <div class="mh-flag-card-header">
             <span class="mh-concern-badge ${badgeClass}">${concernLabel}</span>
+            ${flag.overdue ? '<span class="mh-overdue-badge">Follow-up overdue</span>' : ''}
             <div class="mh-flag-meta">
                 <span class="mh-flag-date">${formatTimestampPDT(flag.createdAt)}</span>
                 <span class="mh-flag-status ${flag.status}">${flag.status.toUpperCase()}</span>
@@ -1870,6 +1903,16 @@ function createMHFlagCard(flag) {
         bodyHtml += '</div>';
     }
 
+    // Support resources the student was shown with the reply
+    if (Array.isArray(flag.resourcesShown) && flag.resourcesShown.length > 0) {
+        const names = flag.resourcesShown[0].resources.map(resource => escapeHtml(resource.name)).join(', ');
+        bodyHtml += `<div class="mh-flag-resources">Resources shown ${formatTimestampPDT(flag.resourcesShown[0].shownAt)}: ${names}</div>`;
+    } else {
+        bodyHtml += '<div class="mh-flag-resources none">No support resources were shown with this message.</div>';
+    }
+
+    bodyHtml += createMHCasePanel(flag);
+
     bodyHtml += '</div>';
 
     // Footer with actions
@@ -1881,6 +1924,132 @@ function createMHFlagCard(flag) {
     return card;
 }
 
+const MH_TIMELINE_LABELS = {
+    created: 'Flag raised',
+    status: 'Status changed',
+    assigned: 'Assigned',
+    note: 'Note added',
+    followUp: 'Follow-up set'
+};
+
+/**
+ * Assignment, follow-up, notes, and timeline for one flag
+ */
+function createMHCasePanel(flag) {
+    const caseId = `mh-case-${flag.flagId}`;
+    const assignee = flag.assignedTo ? escapeHtml(flag.assignedTo.name) : 'Unassigned';
+    const followUp = flag.followUpAt ? formatTimestampPDT(flag.followUpAt) : 'None';
+    const followUpValue = flag.followUpAt ? new Date(flag.followUpAt).toISOString().slice(0, 10) : '';
+    const notes = flag.caseNotes || [];
+
+    let html = `<div class="mh-case-summary">
+        <span>Assigned to: <strong>${assignee}</strong></span>
+        <span class="${flag.overdue ? 'mh-follow-up-overdue' : ''}">Follow-up: ${followUp}</span>
+        <span>${notes.length} note${notes.length === 1 ? '' : 's'}</span>
+    </div>`;
+    html += `<button class="mh-flag-context-toggle" onclick="toggleMHCase('${caseId}')">Show case details</button>`;
+    html += `<div id="${caseId}" class="mh-case-panel" style="display: none;">`;
+
+    if (Array.isArray(mhState.staff) && mhState.staff.length > 0) {
+        const options = mhState.staff.map(member => {
+            const selected = flag.assignedTo && flag.assignedTo.userId === member.userId ? ' selected' : '';
+            return `<option value="${escapeHtml(member.userId)}"${selected}>${escapeHtml(member.name)} (${member.role === 'ta' ? 'TA' : 'Instructor'})</option>`;
+        }).join('');
+        html += `<div class="mh-case-row">
+            <label for="${caseId}-assignee">Assign to</label>
+            <select id="${caseId}-assignee"><option value="">Unassigned</option>${options}</select>
+            <button class="mh-action-btn" onclick="assignMHFlag('${flag.flagId}', '${caseId}-assignee')">Assign</button>
+        </div>`;
+    }
+
+    html += `<div class="mh-case-row">
+        <label for="${caseId}-follow-up">Follow up by</label>
+        <input type="date" id="${caseId}-follow-up" value="${followUpValue}">
+        <button class="mh-action-btn" onclick="setMHFollowUp('${flag.flagId}', '${caseId}-follow-up')">Save</button>
+    </div>`;
+
+    html += `<div class="mh-case-notes">
+        <h4>Case notes</h4>
+        <p class="mh-case-hint">Visible only to course staff with flag access. Notes are not included in referral exports.</p>
+        ${notes.map(note => `<div class="mh-case-note">
+            <div class="mh-case-note-meta">${escapeHtml(note.authorName || 'Staff')} &bull; ${formatTimestampPDT(note.createdAt)}</div>
+            <div>${escapeHtml(note.text)}</div>
+        </div>`).join('')}
+        <textarea id="${caseId}-note" aria-label="New case note" rows="2" maxlength="2000" placeholder="Add a private note..."></textarea>
+        <button class="mh-action-btn" onclick="addMHCaseNote('${flag.flagId}', '${caseId}-note')">Add note</button>
+    </div>`;
+
+    html += '<div class="mh-case-timeline"><h4>Timeline</h4><ol>';
+    (flag.timeline || []).forEach(event => {
+        let text = MH_TIMELINE_LABELS[event.type] || event.type;
+        if (event.type === 'status') text += `: ${escapeHtml(event.fromStatus || '?')} &rarr; ${escapeHtml(event.toStatus || '?')}`;
+        if (event.type === 'assigned') text += `: ${escapeHtml(event.detail || '')}`;
+        if (event.type === 'followUp') text += event.detail === 'Cleared' ? ': cleared' : `: ${formatTimestampPDT(event.detail)}`;
+        html += `<li><span class="mh-timeline-when">${formatTimestampPDT(event.at)}</span> ${text}`;
+        if (event.actorName) html += ` by ${escapeHtml(event.actorName)}`;
+        if (event.reason && event.type !== 'created') html += ` <span class="mh-timeline-reason">&ldquo;${escapeHtml(event.reason)}&rdquo;</span>`;
+        html += '</li>';
+    });
+    html += '</ol></div></div>';
+    return html;
+}
+
+function toggleMHCase(caseId) {
+    const el = document.getElementById(caseId);
+    if (!el) return;
+    const isVisible = el.style.display !== 'none';
+    el.style.display = isVisible ? 'none' : 'block';
+    const btn = el.previousElementSibling;
+    if (btn) btn.textContent = isVisible ? 'Show case details' : 'Hide case details';
+}
+
+/**
+ * Send a case update and reload the flags, keeping the case panel open
+ */
+async function sendMHCaseUpdate(flagId, path, method, body, successMessage) {
+    try {
+        const response = await fetch(`/api/mental-health-flags/${flagId}/${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json();
+        if (!result.success) {
+            showErrorMessage(result.message || 'Failed to update the case');
+            return;
+        }
+        showSuccessMessage(successMessage);
+        await loadMentalHealthFlags();
+        const panel = document.getElementById(`mh-case-${flagId}`);
+        if (panel) toggleMHCase(panel.id);
+    } catch (error) {
+        console.error('Error updating MH case:', error);
+        showErrorMessage('Failed to update the case. Please try again.');
+    }
+}
+
+function assignMHFlag(flagId, selectId) {
+    const select = document.getElementById(selectId);
+    return sendMHCaseUpdate(flagId, 'assign', 'PUT', { assigneeId: select ? select.value || null : null }, 'Case assignment saved');
+}
+
+function setMHFollowUp(flagId, inputId) {
+    const input = document.getElementById(inputId);
+    // Due at the end of the chosen day
+    const followUpAt = input && input.value ? new Date(`${input.value}T23:59:59`).toISOString() : null;
+    return sendMHCaseUpdate(flagId, 'follow-up', 'PUT', { followUpAt }, followUpAt ? 'Follow-up date saved' : 'Follow-up cleared');
+}
+
+function addMHCaseNote(flagId, textareaId) {
+    const textarea = document.getElementById(textareaId);
+    const text = textarea ? textarea.value.trim() : '';
+    if (!text) {
+        showErrorMessage('Write a note first');
+        return;
+    }
+    return sendMHCaseUpdate(flagId, 'notes', 'POST', { text }, 'Note added');
+}
+
 /**
  * Create action buttons based on flag status and user role
  */
@@ -1918,10 +2087,15 @@ function toggleMHContext(contextId) {
  * Handle a mental health flag action (escalate, dismiss, resolve, disregard)
  */
 async function handleMHAction(flagId, action) {
+    // Recorded on the case timeline; cancelling the prompt cancels the action
+    const reason = window.prompt(`Reason to ${action} this flag (optional):`, '');
+    if (reason === null) return;
+
     try {
         const response = await fetch(`/api/mental-health-flags/${flagId}/${action}`, {
             method: 'PUT',
-            headers: { 'Content-Type': 'application/json' }
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ reason })
         });
         const result = await response.json();
 
@@ -531,6 +531,20 @@ function updateStatisticsDisplay(stats) {
     if (totalSessionsEl) totalSessionsEl.textContent = stats.totalSessions || 0;
     if (avgSessionLengthEl) avgSessionLengthEl.textContent = stats.averageSessionLength || '0s';
     if (avgMessageLengthEl) avgMessageLengthEl.textContent = stats.averageMessageLength || 0;
+
+    // Semantic answer cache: only shown once a course has it turned on
+    const answerCacheCard = document.getElementById('stat-answer-cache-card');
+    const answerCache = stats.answerCache;
+    if (answerCacheCard) {
+        if (answerCache && answerCache.lookups > 0) {
+            answerCacheCard.style.display = '';
+            document.getElementById('stat-answer-cache-hits').textContent = answerCache.hits;
+            document.getElementById('stat-answer-cache-rate').textContent =
+                `${Math.round(answerCache.hitRate * 100)}% of ${answerCache.lookups} questions, last ${answerCache.days} days`;
+        } else {
+            answerCacheCard.style.display = 'none';
+        }
+    }
     
     // Update mode distribution
     const tutorCount = stats.modeDistribution?.tutor || 0;
@@ -412,6 +412,10 @@ function createFallbackAIContent(type, week) {
             answer: 'Students should demonstrate understanding by explaining the concept clearly and showing its relevance to the course material.'
         };
     }
+    // Structured types have no sensible placeholder key; leave the editor empty
+    return {
+        question: `Write a ${type} question about a key concept from the ${week} lecture notes.`
+    };
 }
 
 /**
@@ -512,6 +516,8 @@ function populateFormWithAIContent(aiContent) {
         
         // Set short answer
         document.getElementById('sa-answer').value = expectedAnswer;
+    } else if (STRUCTURED_ANSWER_SECTIONS[questionType]) {
+        fillStructuredAnswerFields(aiContent);
     }
 
     if (Object.prototype.hasOwnProperty.call(aiContent, 'selectedLearningObjective')) {
@@ -632,6 +638,8 @@ function displayCurrentQuestion(container, questionContent) {
         html += `<div class="question-answer">Correct Answer: ${questionContent.answer}</div>`;
     } else if (questionType === 'short-answer') {
         html += `<div class="question-answer">Expected Answer: ${questionContent.answer || 'No answer provided'}</div>`;
+    } else if (STRUCTURED_ANSWER_SECTIONS[questionType]) {
+        html += `<div class="question-answer">Answer Key: ${questionContent.answer || 'No answer provided'}</div>`;
     }
     
     container.innerHTML = html;
@@ -0,0 +1,251 @@
+/**
+ * Chunk inspector for the instructor Course Upload page.
+ *
+ * Lists how a document was split into chunks for retrieval, with each chunk's
+ * number and page or slide. Instructors can rewrite a chunk, split it at the
+ * cursor, merge neighbouring chunks, or exclude a chunk the tutor should never
+ * quote. Edits are stored separately on the server and replayed whenever the
+ * document is processed again.
+ */
+(function chunkInspectorModule() {
+    const state = {
+        documentId: null,
+        chunks: [],
+        editingId: null,
+        // Unsaved editor text, kept when a save fails and the list re-renders
+        draft: null,
+        busy: false
+    };
+
+    let lastFocusedElement = null;
+
+    function element(id) {
+        return document.getElementById(id);
+    }
+
+    function setMessage(message, type = '') {
+        const target = element('chunk-inspector-message');
+        target.textContent = message || '';
+        target.className = type ? `lms-import-message ${type}` : 'lms-import-message';
+    }
+
+    async function parseResponse(response) {
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok || body.success === false) {
+            throw new Error(body.message || `Request failed (${response.status})`);
+        }
+        return body;
+    }
+
+    function chunkLabel(chunk) {
+        if (chunk.segment === 'figure') {
+            return `Figure ${chunk.figureNumber ?? chunk.chunkNumber}`;
+        }
+        const parts = [`Chunk ${chunk.chunkNumber}`];
+        if (chunk.slideNumber) parts.push(`slide ${chunk.slideNumber}`);
+        else if (chunk.pageNumber) parts.push(`page ${chunk.pageNumber}`);
+        if (chunk.questionNumber) parts.push(`question ${chunk.questionNumber}`);
+        return parts.join(' · ');
+    }
+
+    function selectedChunkIds() {
+        return Array.from(document.querySelectorAll('.chunk-inspector-select:checked'))
+            .map(input => input.value);
+    }
+
+    function refreshMergeButton() {
+        element('chunk-inspector-merge').disabled = state.busy || selectedChunkIds().length < 2;
+    }
+
+    function badge(text, className) {
+        const span = document.createElement('span');
+        span.className = `chunk-badge ${className}`;
+        span.textContent = text;
+        return span;
+    }
+
+    function actionButton(text, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn-secondary';
+        button.textContent = text;
+        button.disabled = state.busy;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    function renderEditor(item, chunk) {
+        const textarea = document.createElement('textarea');
+        textarea.className = 'chunk-inspector-editor';
+        textarea.value = state.draft ?? chunk.text;
+        textarea.rows = Math.min(16, Math.max(4, textarea.value.split('\n').length + 1));
+        textarea.setAttribute('aria-label', `Text of ${chunkLabel(chunk)}`);
+        textarea.addEventListener('input', () => {
+            state.draft = textarea.value;
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'chunk-inspector-actions';
+        actions.append(
+            actionButton('Save and re-embed', () => submitEdit({
+                action: 'edit',
+                chunkIds: [chunk.id],
+                text: textarea.value
+            })),
+            actionButton('Split at cursor', () => {
+                const at = textarea.selectionStart;
+                submitEdit({
+                    action: 'split',
+                    chunkIds: [chunk.id],
+                    texts: [textarea.value.slice(0, at), textarea.value.slice(at)]
+                });
+            }),
+            actionButton('Cancel', () => startEditing(null))
+        );
+        item.append(textarea, actions);
+    }
+
+    function startEditing(chunkId) {
+        state.editingId = chunkId;
+        state.draft = null;
+        renderChunks();
+    }
+
+    function renderChunk(chunk) {
+        const item = document.createElement('li');
+        item.className = 'chunk-inspector-item';
+        item.classList.toggle('excluded', chunk.excluded);
+
+        const header = document.createElement('div');
+        header.className = 'chunk-inspector-header';
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'chunk-inspector-select';
+        checkbox.value = chunk.id;
+        checkbox.addEventListener('change', refreshMergeButton);
+        const title = document.createElement('strong');
+        title.textContent = chunkLabel(chunk);
+        label.append(checkbox, title);
+        header.appendChild(label);
+        if (chunk.edited) header.appendChild(badge('Edited', 'edited'));
+        if (chunk.excluded) header.appendChild(badge('Excluded from answers', 'excluded'));
+        item.appendChild(header);
+
+        if (state.editingId === chunk.id) {
+            renderEditor(item, chunk);
+            return item;
+        }
+
+        const text = document.createElement('div');
+        text.className = 'chunk-inspector-text';
+        text.textContent = chunk.text;
+        const actions = document.createElement('div');
+        actions.className = 'chunk-inspector-actions';
+        actions.append(
+            actionButton('Edit or split', () => startEditing(chunk.id)),
+            actionButton(chunk.excluded ? 'Include in answers' : 'Exclude from answers', () => submitEdit({
+                action: 'exclude',
+                chunkIds: [chunk.id],
+                excluded: !chunk.excluded
+            }))
+        );
+        item.append(text, actions);
+        return item;
+    }
+
+    function renderChunks() {
+        const list = element('chunk-inspector-list');
+        list.replaceChildren(...state.chunks.map(renderChunk));
+        const excluded = state.chunks.filter(chunk => chunk.excluded).length;
+        element('chunk-inspector-subtitle').textContent = state.chunks.length === 0
+            ? 'This document has no stored chunks yet.'
+            : `${state.chunks.length} chunk${state.chunks.length === 1 ? '' : 's'}`
+                + (excluded ? `, ${excluded} excluded from answers` : '');
+        refreshMergeButton();
+        if (!state.busy) list.querySelector('.chunk-inspector-editor')?.focus();
+    }
+
+    async function loadChunks() {
+        const response = await fetch(`/api/documents/${encodeURIComponent(state.documentId)}/chunks`);
+        const body = await parseResponse(response);
+        state.chunks = body.data.chunks || [];
+        renderChunks();
+    }
+
+    async function submitEdit(edit) {
+        if (state.busy) return;
+        state.busy = true;
+        setMessage('Saving…');
+        renderChunks();
+        try {
+            const response = await fetch(`/api/documents/${encodeURIComponent(state.documentId)}/chunks/edits`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(edit)
+            });
+            const { data } = await parseResponse(response);
+            state.editingId = null;
+            state.draft = null;
+            setMessage(data.chunksEmbedded
+                ? `Saved. ${data.chunksEmbedded} chunk${data.chunksEmbedded === 1 ? '' : 's'} re-embedded.`
+                : 'Saved.', 'success');
+        } catch (error) {
+            setMessage(error.message, 'error');
+        } finally {
+            state.busy = false;
+        }
+        try {
+            await loadChunks();
+        } catch (error) {
+            setMessage(`Could not reload the chunks: ${error.message}`, 'error');
+        }
+    }
+
+    async function openChunkInspector(documentId, documentTitle) {
+        lastFocusedElement = document.activeElement;
+        state.documentId = documentId;
+        state.chunks = [];
+        state.editingId = null;
+        state.draft = null;
+        element('chunk-inspector-title').textContent = `Chunks: ${documentTitle || 'Document'}`;
+        element('chunk-inspector-subtitle').textContent = 'Loading…';
+        element('chunk-inspector-list').replaceChildren();
+        setMessage('');
+        element('chunk-inspector-modal').classList.add('show');
+        element('chunk-inspector-close').focus();
+
+        try {
+            await loadChunks();
+        } catch (error) {
+            element('chunk-inspector-subtitle').textContent = '';
+            setMessage(`Could not load the chunks: ${error.message}`, 'error');
+        }
+    }
+
+    function closeModal() {
+        if (state.busy) return;
+        element('chunk-inspector-modal').classList.remove('show');
+        state.documentId = null;
+        lastFocusedElement?.focus?.();
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        if (!element('chunk-inspector-modal')) return;
+
+        element('chunk-inspector-close').addEventListener('click', closeModal);
+        element('chunk-inspector-cancel').addEventListener('click', closeModal);
+        element('chunk-inspector-merge').addEventListener('click', () => submitEdit({
+            action: 'merge',
+            chunkIds: selectedChunkIds()
+        }));
+        element('chunk-inspector-modal').addEventListener('click', (event) => {
+            if (event.target.id === 'chunk-inspector-modal') closeModal();
+        });
+        document.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape' && element('chunk-inspector-modal').classList.contains('show')) closeModal();
+        });
+    });
+
+    window.openChunkInspector = openChunkInspector;
+})();
@@ -0,0 +1,290 @@
+/**
+ * Chunking profiles for the instructor Course Upload page.
+ *
+ * Lets instructors choose how a unit's documents are cut into chunks: the
+ * standard chunker, fixed-size windows, one chunk per heading, slide, or
+ * question. A preview shows a document's current chunks next to the ones a
+ * profile would produce before anything is re-embedded. A profile can be set
+ * for one document or as the course default, and a whole unit can be
+ * re-chunked in the background.
+ */
+(function chunkingModule() {
+    const state = {
+        courseId: null,
+        unitName: null,
+        documents: [],
+        courseProfile: null,
+        defaults: { strategy: 'default', chunkSize: 1000, chunkOverlap: 200 },
+        busy: false
+    };
+
+    const STRATEGY_LABELS = {
+        default: 'Standard',
+        'fixed-size': 'Fixed size',
+        'heading-aware': 'By heading',
+        'slide-per-chunk': 'One slide or page per chunk',
+        'question-per-chunk': 'One question per chunk',
+        'pptx-slide': 'One slide per chunk'
+    };
+
+    let lastFocusedElement = null;
+
+    function element(id) {
+        return document.getElementById(id);
+    }
+
+    function setMessage(message, type = '') {
+        const target = element('chunking-message');
+        target.textContent = message || '';
+        target.className = type ? `lms-import-message ${type}` : 'lms-import-message';
+    }
+
+    async function parseResponse(response) {
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok || body.success === false) {
+            throw new Error(body.message || `Request failed (${response.status})`);
+        }
+        return body;
+    }
+
+    function describeProfile(profile) {
+        if (!profile || profile.strategy === 'default') return STRATEGY_LABELS.default;
+        return `${STRATEGY_LABELS[profile.strategy] || profile.strategy}, up to ${profile.chunkSize} characters`;
+    }
+
+    function selectedDocument() {
+        const documentId = element('chunking-document-select').value;
+        return state.documents.find(doc => doc.documentId === documentId) || null;
+    }
+
+    function setBusy(busy) {
+        state.busy = busy;
+        const noDocument = !selectedDocument();
+        element('chunking-preview-btn').disabled = busy || noDocument;
+        element('chunking-apply-document').disabled = busy || noDocument;
+        element('chunking-apply-course').disabled = busy;
+        element('chunking-rechunk-unit').disabled = busy;
+    }
+
+    function fillForm(profile) {
+        const source = profile || state.courseProfile || state.defaults;
+        element('chunking-strategy-select').value = source.strategy;
+        element('chunking-size').value = source.chunkSize ?? state.defaults.chunkSize;
+        element('chunking-overlap').value = source.chunkOverlap ?? state.defaults.chunkOverlap;
+        refreshSizeFields();
+    }
+
+    function refreshSizeFields() {
+        // The standard chunker is configured by the server
+        const standard = element('chunking-strategy-select').value === 'default';
+        element('chunking-size').disabled = standard;
+        element('chunking-overlap').disabled = standard;
+    }
+
+    function readProfile() {
+        return {
+            strategy: element('chunking-strategy-select').value,
+            chunkSize: Number(element('chunking-size').value) || state.defaults.chunkSize,
+            chunkOverlap: Number(element('chunking-overlap').value) || 0
+        };
+    }
+
+    function renderSubtitle() {
+        element('chunking-subtitle').textContent = `Course default: ${describeProfile(state.courseProfile)}`;
+    }
+
+    function renderPreviewList(listId, chunks) {
+        const items = chunks.map((chunk, index) => {
+            const item = document.createElement('li');
+            item.className = 'chunking-preview-item';
+            item.classList.toggle('excluded', chunk.excluded);
+            const label = document.createElement('strong');
+            const parts = [`Chunk ${index + 1}`, `${chunk.length} characters`];
+            if (chunk.slideNumber) parts.push(`slide ${chunk.slideNumber}`);
+            else if (chunk.pageNumber) parts.push(`page ${chunk.pageNumber}`);
+            if (chunk.questionNumber) parts.push(`question ${chunk.questionNumber}`);
+            if (chunk.excluded) parts.push('excluded from answers');
+            label.textContent = parts.join(' · ');
+            const text = document.createElement('div');
+            text.className = 'chunk-inspector-text';
+            text.textContent = chunk.text;
+            item.append(label, text);
+            return item;
+        });
+        element(listId).replaceChildren(...items);
+    }
+
+    function clearPreview() {
+        element('chunking-preview').hidden = true;
+        element('chunking-current-list').replaceChildren();
+        element('chunking-proposed-list').replaceChildren();
+    }
+
+    function onDocumentChange() {
+        const doc = selectedDocument();
+        fillForm(doc && doc.chunkingProfile);
+        clearPreview();
+        setMessage('');
+        setBusy(state.busy);
+    }
+
+    async function runAction(pending, action) {
+        if (state.busy) return;
+        setBusy(true);
+        setMessage(pending);
+        try {
+            await action();
+        } catch (error) {
+            setMessage(error.message, 'error');
+        } finally {
+            setBusy(false);
+        }
+    }
+
+    function refreshProcessingList() {
+        if (typeof loadIngestionJobs === 'function') loadIngestionJobs();
+    }
+
+    function preview() {
+        const doc = selectedDocument();
+        if (!doc) return;
+        return runAction('Building preview…', async () => {
+            const response = await fetch(`/api/documents/${encodeURIComponent(doc.documentId)}/chunking-preview`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ chunkingProfile: readProfile() })
+            });
+            const { data } = await parseResponse(response);
+            element('chunking-current-heading').textContent =
+                `Now: ${data.current.chunks.length} chunks (${describeProfile(data.current.chunkingProfile)})`;
+            element('chunking-proposed-heading').textContent =
+                `With this profile: ${data.proposed.chunks.length} chunks`
+                + ` (${STRATEGY_LABELS[data.proposed.strategyUsed] || data.proposed.strategyUsed})`;
+            renderPreviewList('chunking-current-list', data.current.chunks);
+            renderPreviewList('chunking-proposed-list', data.proposed.chunks);
+            element('chunking-preview').hidden = false;
+            setMessage(`${data.proposed.unchanged} of ${data.proposed.chunks.length} chunks are unchanged and would keep their embeddings.`);
+        });
+    }
+
+    function applyToDocument() {
+        const doc = selectedDocument();
+        if (!doc) return;
+        return runAction('Saving…', async () => {
+            const profile = readProfile();
+            const response = await fetch(`/api/documents/${encodeURIComponent(doc.documentId)}/chunking-profile`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ chunkingProfile: profile })
+            });
+            const { data } = await parseResponse(response);
+            doc.chunkingProfile = data.chunkingProfile;
+            setMessage(data.job
+                ? `${doc.filename || doc.originalName} is being re-chunked.`
+                : 'Saved. The document has no text to re-chunk yet.', 'success');
+            refreshProcessingList();
+        });
+    }
+
+    function applyToCourse() {
+        return runAction('Saving…', async () => {
+            const response = await fetch('/api/documents/chunking-profile', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ courseId: state.courseId, chunkingProfile: readProfile() })
+            });
+            const { data } = await parseResponse(response);
+            state.courseProfile = data.chunkingProfile;
+            renderSubtitle();
+            setMessage('Course default saved. New uploads use it; re-chunk a unit to apply it to existing documents.', 'success');
+        });
+    }
+
+    function rechunkUnit() {
+        if (!confirm(`Re-chunk every document in ${state.unitName}? Unchanged chunks keep their embeddings.`)) return;
+        return runAction('Starting…', async () => {
+            const response = await fetch('/api/documents/rechunk', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ courseId: state.courseId, lectureName: state.unitName })
+            });
+            const { message, data } = await parseResponse(response);
+            const skipped = data.skipped.map(entry => `${entry.filename}: ${entry.reason}`);
+            setMessage([`${message}.`, ...skipped].join(' '), 'success');
+            refreshProcessingList();
+        });
+    }
+
+    async function openChunkingModal(unitName, documentId = null) {
+        lastFocusedElement = document.activeElement;
+        state.unitName = unitName;
+        state.documents = [];
+        element('chunking-title').textContent = `Chunking: ${unitName}`;
+        element('chunking-subtitle').textContent = 'Loading…';
+        element('chunking-document-select').replaceChildren();
+        clearPreview();
+        setMessage('');
+        element('chunking-modal').classList.add('show');
+        element('chunking-close').focus();
+        setBusy(true);
+
+        try {
+            state.courseId = await getCurrentCourseId();
+            const query = `courseId=${encodeURIComponent(state.courseId)}`;
+            const [profileBody, documentsBody] = await Promise.all([
+                fetch(`/api/documents/chunking-profile?${query}`).then(parseResponse),
+                fetch(`/api/documents/lecture?${query}&lectureName=${encodeURIComponent(unitName)}`).then(parseResponse)
+            ]);
+            state.courseProfile = profileBody.data.chunkingProfile;
+            state.defaults = profileBody.data.defaults || state.defaults;
+            state.documents = (documentsBody.data.documents || []).filter(doc => !doc.isDeleted);
+
+            const select = element('chunking-document-select');
+            select.replaceChildren(...state.documents.map(doc => new Option(
+                doc.filename || doc.originalName || doc.documentId,
+                doc.documentId
+            )));
+            if (documentId) select.value = documentId;
+            renderSubtitle();
+            if (state.documents.length === 0) {
+                setMessage('Upload a document to this unit to preview its chunks.');
+            }
+            fillForm(selectedDocument() && selectedDocument().chunkingProfile);
+        } catch (error) {
+            element('chunking-subtitle').textContent = '';
+            setMessage(`Could not load chunking settings: ${error.message}`, 'error');
+        } finally {
+            setBusy(false);
+        }
+    }
+
+    function closeModal() {
+        if (state.busy) return;
+        element('chunking-modal').classList.remove('show');
+        lastFocusedElement?.focus?.();
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        if (!element('chunking-modal')) return;
+
+        element('chunking-close').addEventListener('click', closeModal);
+        element('chunking-cancel').addEventListener('click', closeModal);
+        element('chunking-document-select').addEventListener('change', onDocumentChange);
+        element('chunking-strategy-select').addEventListener('change', () => {
+            refreshSizeFields();
+            clearPreview();
+        });
+        element('chunking-preview-btn').addEventListener('click', preview);
+        element('chunking-apply-document').addEventListener('click', applyToDocument);
+        element('chunking-apply-course').addEventListener('click', applyToCourse);
+        element('chunking-rechunk-unit').addEventListener('click', rechunkUnit);
+        element('chunking-modal').addEventListener('click', (event) => {
+            if (event.target.id === 'chunking-modal') closeModal();
+        });
+        document.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape' && element('chunking-modal').classList.contains('show')) closeModal();
+        });
+    });
+
+    window.openChunkingModal = openChunkingModal;
+})();
@@ -121,6 +121,8 @@ async function loadDocuments() {
             }
         });
         
+        await loadIngestionJobs();
+
         // After all documents are loaded and accordion items exist, load thresholds
         setTimeout(() => {
             loadPassThresholds();
@@ -151,6 +153,98 @@ async function loadDocuments() {
     }
 }
 
+const INGESTION_JOBS_POLL_MS = 3000;
+let ingestionJobsTimer = null;
+let activeIngestionJobIds = new Set();
+
+/**
+ * Show uploads that are still being processed (or failed) in their unit's
+ * materials list, and keep polling while any are running. When a tracked job
+ * finishes, the document list is reloaded to show the new document.
+ */
+async function loadIngestionJobs() {
+    clearTimeout(ingestionJobsTimer);
+    ingestionJobsTimer = null;
+
+    let jobs = [];
+    try {
+        const courseId = await getCurrentCourseId();
+        if (!courseId) return;
+        const response = await fetch(`/api/documents/jobs?courseId=${encodeURIComponent(courseId)}`);
+        if (!response.ok) return;
+        const result = await response.json();
+        jobs = (result.data && result.data.jobs) || [];
+    } catch (error) {
+        console.warn('Could not load document processing status:', error);
+        return;
+    }
+
+    const active = jobs.filter(job => job.status === 'queued' || job.status === 'running');
+    const finishedSinceLastPoll = jobs.some(job =>
+        activeIngestionJobIds.has(job.jobId) && job.status === 'completed'
+    );
+    activeIngestionJobIds = new Set(active.map(job => job.jobId));
+
+    if (finishedSinceLastPoll) {
+        // loadDocuments calls back in here once the list is rebuilt
+        await loadDocuments();
+        return;
+    }
+
+    document.querySelectorAll('.file-item.ingestion-job-item').forEach(item => item.remove());
+    jobs.filter(job => job.status !== 'completed').forEach(job => {
+        const unitElement = findUnitElementByName(job.lectureName);
+        const section = unitElement && unitElement.querySelector('.course-materials-section .section-content');
+        if (!section) return;
+        const anchor = section.querySelector('.add-content-section');
+        section.insertBefore(createIngestionJobItem(job), anchor);
+    });
+
+    if (active.length > 0) {
+        ingestionJobsTimer = setTimeout(loadIngestionJobs, INGESTION_JOBS_POLL_MS);
+    }
+}
+
+/**
+ * Create a materials-list row for a document that is still processing
+ * @param {Object} job - Public job view
+ * @returns {HTMLElement}
+ */
+function createIngestionJobItem(job) {
+    const item = document.createElement('div');
+    item.className = `file-item ingestion-job-item ingestion-job-${job.status}`;
+    item.dataset.jobId = job.jobId;
+    const failed = job.status === 'failed';
+
+    item.innerHTML = `
+        <span class="file-icon">${failed ? '⚠️' : '⏳'}</span>
+        <div class="file-info">
+            <h3>${job.source === 'rechunk' ? 'Re-chunking ' : job.revisionOf ? 'New version of ' : ''}${escapeHTML(job.filename || 'Document')}</h3>
+            <span class="document-type-badge">${getDocumentTypeLabel(job.documentType)}</span>
+            <span class="status-text ${failed ? 'failed' : 'processing'}">${escapeHTML(describeIngestionJob(job))}</span>
+        </div>
+        <div class="file-actions">
+            ${failed ? `<button class="action-button retry" onclick="retryDocumentProcessing('${job.jobId}')">Retry</button>` : ''}
+        </div>
+    `;
+    return item;
+}
+
+/**
+ * Restart a failed upload from the stage that failed
+ * @param {string} jobId
+ */
+async function retryDocumentProcessing(jobId) {
+    try {
+        await retryIngestionJob(jobId);
+        showNotification('Processing restarted', 'info');
+        await loadIngestionJobs();
+    } catch (error) {
+        console.error('Error retrying document processing:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
 /**
  * Create a document item element for display
  * @param {Object} doc - Document object from database
@@ -206,6 +300,7 @@ function createDocumentItem(doc) {
             <h3>${doc.filename || doc.originalName}</h3>
             ${doc.metadata?.description ? `<p>${doc.metadata.description}</p>` : ''}
             <span class="document-type-badge">${documentTypeLabel}</span>
+            ${doc.version > 1 ? `<span class="document-version-badge">Version ${doc.version}</span>` : ''}
             <span class="status-text">${statusText}</span>
         </div>
         <div class="file-actions">
@@ -926,6 +1021,8 @@ function showDocumentModal(documentData) {
                         <p><strong>Type:</strong> ${documentData.documentType}</p>
                         <p><strong>Size:</strong> ${documentData.size} bytes</p>
                         <p><strong>Uploaded:</strong> ${documentData.uploadDate ? new Date(documentData.uploadDate).toLocaleString() : 'Unknown'}</p>
+                        <p><strong>Version:</strong> ${documentData.version || 1}</p>
+                        <div class="document-versions"></div>
                     </div>
                     
                     <div class="document-content" style="
@@ -957,6 +1054,35 @@ function showDocumentModal(documentData) {
                         cursor: pointer;
                         font-weight: 500;
                     ">Find Struggle Topics</button>
+                    <button class="inspect-chunks-btn" style="
+                        background: #475569;
+                        color: white;
+                        border: none;
+                        padding: 8px 16px;
+                        border-radius: 4px;
+                        cursor: pointer;
+                        font-weight: 500;
+                    ">Inspect Chunks</button>
+                    <button class="chunking-profile-btn" style="
+                        background: #475569;
+                        color: white;
+                        border: none;
+                        padding: 8px 16px;
+                        border-radius: 4px;
+                        cursor: pointer;
+                        font-weight: 500;
+                    ">Chunking</button>
+                    ${documentData.contentType !== 'text' ? `
+                    <button class="upload-version-btn" style="
+                        background: #7c3aed;
+                        color: white;
+                        border: none;
+                        padding: 8px 16px;
+                        border-radius: 4px;
+                        cursor: pointer;
+                        font-weight: 500;
+                    ">Upload New Version</button>
+                    ` : ''}
                     ${(documentData.documentType === 'practice-quiz' || documentData.documentType === 'practice_q_tutorials') ? `
                     <button onclick="extractAssessmentQuestions('${documentData.documentId}', '${(documentData.lectureName || '').replace(/'/g, "\\'")}', '${documentData.courseId || ''}')" style="
                         background: #2563eb;
@@ -1006,9 +1132,100 @@ function showDocumentModal(documentData) {
             documentData.lectureName
         );
     });
+    modal.querySelector('.inspect-chunks-btn')?.addEventListener('click', () => {
+        closeDocumentModal();
+        openChunkInspector(documentData.documentId, documentData.originalName);
+    });
+    modal.querySelector('.chunking-profile-btn')?.addEventListener('click', () => {
+        closeDocumentModal();
+        openChunkingModal(documentData.lectureName, documentData.documentId);
+    });
+    modal.querySelector('.upload-version-btn')?.addEventListener('click', () => {
+        chooseDocumentVersionFile(documentData.documentId);
+    });
+    if ((documentData.version || 1) > 1) {
+        loadDocumentVersions(documentData.documentId, modal.querySelector('.document-versions'));
+    }
     modal.querySelector('.close-modal')?.focus();
 }
 
+/**
+ * List a replaced document's earlier versions, with download links
+ * @param {string} documentId
+ * @param {HTMLElement} container
+ */
+async function loadDocumentVersions(documentId, container) {
+    if (!container) return;
+    try {
+        const response = await fetch(`/api/documents/${encodeURIComponent(documentId)}/versions`);
+        const result = await response.json();
+        if (!response.ok || !result.success) throw new Error(result.message || 'Could not load versions');
+
+        const previous = result.data.versions.filter(entry => !entry.current).reverse();
+        if (previous.length === 0) return;
+        container.innerHTML = `
+            <p><strong>Earlier versions:</strong></p>
+            <ul class="document-version-list">
+                ${previous.map(entry => `
+                    <li>
+                        Version ${entry.version}: ${escapeHTML(entry.originalName || entry.filename || 'Document')}
+                        ${entry.uploadedAt ? `(${new Date(entry.uploadedAt).toLocaleDateString()})` : ''}
+                        ${entry.downloadable
+                            ? `<a href="/api/documents/${encodeURIComponent(documentId)}/versions/${entry.version}/download">Download</a>`
+                            : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    } catch (error) {
+        console.warn('Could not load document versions:', error);
+    }
+}
+
+/**
+ * Pick a file to upload as the next version of a document
+ * @param {string} documentId
+ */
+function chooseDocumentVersionFile(documentId) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.pdf,.docx,.txt,.md,.rtf,.ppt,.pptx';
+    input.addEventListener('change', () => {
+        if (input.files && input.files[0]) {
+            uploadDocumentVersion(documentId, input.files[0]);
+        }
+    });
+    input.click();
+}
+
+/**
+ * Upload a new version of a document. Unchanged passages keep their
+ * embeddings, so only the edited parts are re-processed.
+ * @param {string} documentId
+ * @param {File} file
+ */
+async function uploadDocumentVersion(documentId, file) {
+    try {
+        const formData = new FormData();
+        formData.append('file', file);
+        const response = await fetch(`/api/documents/${encodeURIComponent(documentId)}/versions`, {
+            method: 'POST',
+            body: formData
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `Upload failed (${response.status})`);
+        }
+
+        closeDocumentModal();
+        showNotification('New version uploaded. It will replace the current one once processed.', 'success');
+        await loadIngestionJobs();
+    } catch (error) {
+        console.error('Error uploading new document version:', error);
+        showNotification(`Error uploading new version: ${error.message}`, 'error');
+    }
+}
+
 /**
  * Close the document modal
  */
@@ -114,6 +114,10 @@ function renderInstructorFlashcardSection(unitName) {
                 <button type="button" class="secondary-button" onclick="saveFlashcardDraft('${unitName}')">Save Draft</button>
                 <button type="button" class="flashcard-publish-btn" onclick="publishFlashcardDeck('${unitName}', this)">Publish to Students</button>
             ` : ''}
+            ${deck.publishedCards?.length ? `
+                <a class="button secondary-button" href="/api/flashcards/instructor/${encodeURIComponent(deck.deckId)}/export?format=anki" download>Export for Anki</a>
+                <a class="button secondary-button" href="/api/flashcards/instructor/${encodeURIComponent(deck.deckId)}/export?format=csv" download>Export CSV</a>
+            ` : ''}
             ${deck.isPublished ? `<button type="button" class="flashcard-unpublish-btn" onclick="unpublishFlashcardDeck('${unitName}', this)">Unpublish</button>` : ''}
         </div>
     `;
@@ -168,6 +172,55 @@ async function generateFlashcardDraft(unitName, button) {
     }
 }
 
+function renderFlashcardImportReport(unitName, rejected = []) {
+    const report = document.getElementById(`flashcard-import-report-${flashcardUnitId(unitName)}`);
+    if (!report) return;
+    report.hidden = rejected.length === 0;
+    report.innerHTML = rejected.map(row => `
+        <li>Row ${row.row}${row.front ? ` (“${flashcardEscapeHtml(row.front)}”)` : ''}: ${flashcardEscapeHtml(row.reason)}</li>
+    `).join('');
+}
+
+async function importFlashcardFile(unitName, input) {
+    const file = input.files?.[0];
+    if (!file) return;
+    const unitId = flashcardUnitId(unitName);
+    const append = document.getElementById(`flashcard-import-append-${unitId}`)?.checked;
+    const deck = flashcardDecksByUnit.get(unitName);
+    if (!append && deck?.hasDraft && !confirm('Replace the current draft cards with the imported file?')) {
+        input.value = '';
+        return;
+    }
+
+    setFlashcardSectionMessage(unitName, `Importing ${file.name}…`);
+    renderFlashcardImportReport(unitName);
+    try {
+        const formData = new FormData();
+        formData.append('courseId', await getCurrentCourseId());
+        formData.append('lectureName', unitName);
+        formData.append('mode', append ? 'append' : 'replace');
+        formData.append('file', file);
+        const response = await fetch('/api/flashcards/instructor/import', { method: 'POST', body: formData });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            renderFlashcardImportReport(unitName, result.data?.rejected);
+            throw new Error(result.message || 'Import failed');
+        }
+
+        flashcardDecksByUnit.set(unitName, result.data.deck);
+        renderInstructorFlashcardSection(unitName);
+        setFlashcardSectionMessage(unitName, `${result.message}. Review the draft before publishing.`, result.data.rejected.length ? 'warning' : 'success');
+        renderFlashcardImportReport(unitName, result.data.rejected);
+        showNotification(result.message, result.data.rejected.length ? 'warning' : 'success');
+    } catch (error) {
+        console.error('Error importing flashcards:', error);
+        setFlashcardSectionMessage(unitName, error.message, 'error');
+        showNotification(error.message, 'error');
+    } finally {
+        input.value = '';
+    }
+}
+
 function collectFlashcardDraftCards(unitName) {
     const editor = document.getElementById(`flashcard-editor-${flashcardUnitId(unitName)}`);
     return Array.from(editor?.querySelectorAll('.flashcard-editor-row') || []).map(row => {
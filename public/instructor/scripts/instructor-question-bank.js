@@ -0,0 +1,353 @@
+/**
+ * Question bank import and export for the instructor Course Upload page.
+ *
+ * Import uploads a QTI, Moodle XML, or GIFT file for a preview first: every
+ * question the file holds is listed with the unit and learning objective it
+ * maps to, plus anything BiocBot cannot import. The instructor can move
+ * questions between units or leave them out before anything is saved.
+ * Export downloads the course's questions (or one unit's) in any of the
+ * three formats and reports the questions the format could not hold.
+ */
+(function questionBankModule() {
+    const TYPE_LABELS = {
+        'multiple-choice': 'Multiple choice',
+        'true-false': 'True/false',
+        'short-answer': 'Short answer',
+        numeric: 'Numeric',
+        'fill-in-the-blank': 'Fill in the blank',
+        matching: 'Matching',
+        ordering: 'Ordering'
+    };
+
+    const state = {
+        lectures: [],
+        preview: null,
+        importing: false
+    };
+
+    let lastFocusedElement = null;
+
+    function element(id) {
+        return document.getElementById(id);
+    }
+
+    function setMessage(message, type = '') {
+        const target = element('question-bank-message');
+        target.textContent = message || '';
+        target.className = type ? `lms-import-message ${type}` : 'lms-import-message';
+    }
+
+    async function parseResponse(response) {
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok || body.success === false) {
+            throw new Error(body.message || `Request failed (${response.status})`);
+        }
+        return body;
+    }
+
+    function fillUnitSelect(select, firstLabel) {
+        select.replaceChildren();
+        const first = document.createElement('option');
+        first.value = '';
+        first.textContent = firstLabel;
+        select.appendChild(first);
+        for (const lecture of state.lectures) {
+            const item = document.createElement('option');
+            item.value = lecture.name;
+            item.textContent = lecture.displayName || lecture.name;
+            select.appendChild(item);
+        }
+    }
+
+    async function loadLectures() {
+        const courseId = await getCurrentCourseId();
+        const response = await fetch(
+            `/api/courses/${encodeURIComponent(courseId)}?instructorId=${encodeURIComponent(getCurrentInstructorId())}`
+        );
+        state.lectures = (await parseResponse(response)).data?.lectures || [];
+    }
+
+    async function openModal(mode) {
+        lastFocusedElement = document.activeElement;
+        state.preview = null;
+        setMessage('');
+        element('question-bank-title').textContent = mode === 'import' ? 'Import questions' : 'Export questions';
+        element('question-bank-import-panel').hidden = mode !== 'import';
+        element('question-bank-export-panel').hidden = mode !== 'export';
+        element('question-bank-import-confirm').hidden = mode !== 'import';
+        element('question-bank-preview').hidden = true;
+        element('question-bank-export-report').hidden = true;
+        refreshImportButton();
+        element('question-bank-modal').classList.add('show');
+
+        try {
+            await loadLectures();
+        } catch (error) {
+            setMessage(`Could not load this course's units: ${error.message}`, 'error');
+        }
+        fillUnitSelect(element('question-bank-default-unit'), 'Leave unassigned');
+        fillUnitSelect(element('question-bank-export-unit'), 'All units');
+        element('question-bank-close').focus();
+    }
+
+    function closeModal() {
+        if (state.importing) return;
+        element('question-bank-modal').classList.remove('show');
+        element('question-bank-file').value = '';
+        lastFocusedElement?.focus?.();
+    }
+
+    // ------------------------------------------------------------------ import
+
+    function unitSelectFor(item) {
+        const select = document.createElement('select');
+        select.className = 'question-bank-unit';
+        select.dataset.index = String(item.index);
+        select.setAttribute('aria-label', 'Unit');
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = 'Choose a unit…';
+        select.appendChild(none);
+        for (const lecture of state.lectures) {
+            const option = document.createElement('option');
+            option.value = lecture.name;
+            option.textContent = lecture.displayName || lecture.name;
+            option.selected = lecture.name === item.lectureName;
+            select.appendChild(option);
+        }
+        select.addEventListener('change', refreshImportButton);
+        return select;
+    }
+
+    function renderPreview(preview) {
+        const rows = element('question-bank-rows');
+        rows.replaceChildren();
+
+        for (const item of preview.questions) {
+            const row = document.createElement('tr');
+            row.dataset.index = String(item.index);
+            if (item.error) row.classList.add('invalid');
+
+            const pickCell = document.createElement('td');
+            const pick = document.createElement('input');
+            pick.type = 'checkbox';
+            pick.className = 'question-bank-pick';
+            pick.checked = !item.error;
+            pick.disabled = Boolean(item.error);
+            pick.setAttribute('aria-label', 'Import this question');
+            pick.addEventListener('change', refreshImportButton);
+            pickCell.appendChild(pick);
+
+            const questionCell = document.createElement('td');
+            const notes = [...item.warnings, ...(item.error ? [item.error] : [])];
+            questionCell.innerHTML = `
+                <div class="question-bank-question">${escapeHTML(item.question)}</div>
+                ${item.correctAnswer !== null ? `<div class="question-bank-answer">Answer: ${escapeHTML(String(item.correctAnswer))}</div>` : ''}
+                ${notes.length > 0 ? `<ul class="question-bank-notes${item.error ? ' error' : ''}">${notes.map(note => `<li>${escapeHTML(note)}</li>`).join('')}</ul>` : ''}
+            `;
+
+            const typeCell = document.createElement('td');
+            typeCell.textContent = TYPE_LABELS[item.questionType] || item.questionType;
+
+            const unitCell = document.createElement('td');
+            unitCell.appendChild(unitSelectFor(item));
+
+            const objectiveCell = document.createElement('td');
+            objectiveCell.textContent = item.learningObjective || '—';
+
+            row.append(pickCell, questionCell, typeCell, unitCell, objectiveCell);
+            rows.appendChild(row);
+        }
+
+        const { summary } = preview;
+        element('question-bank-summary').textContent =
+            `${preview.formatLabel}: ${summary.total} question${summary.total === 1 ? '' : 's'} found — ` +
+            `${summary.total - summary.invalid - summary.unsupported} can be imported, ` +
+            `${summary.invalid} need fixing in the source file, ${summary.unsupported} unsupported.`;
+
+        const unsupported = element('question-bank-unsupported');
+        unsupported.hidden = preview.unsupported.length === 0;
+        element('question-bank-unsupported-summary').textContent =
+            `${preview.unsupported.length} question${preview.unsupported.length === 1 ? '' : 's'} cannot be imported`;
+        element('question-bank-unsupported-list').innerHTML = preview.unsupported
+            .map(item => `<li><strong>${escapeHTML(item.title || 'Untitled')}</strong>: ${escapeHTML(item.reason)}</li>`)
+            .join('');
+
+        element('question-bank-preview').hidden = false;
+        refreshImportButton();
+    }
+
+    function selectedQuestions() {
+        if (!state.preview) return [];
+        const chosen = [];
+        for (const row of element('question-bank-rows').querySelectorAll('tr')) {
+            if (!row.querySelector('.question-bank-pick').checked) continue;
+            const item = state.preview.questions[Number(row.dataset.index)];
+            chosen.push({
+                ...item.draft,
+                lectureName: row.querySelector('.question-bank-unit').value,
+                learningObjective: item.learningObjective
+            });
+        }
+        return chosen;
+    }
+
+    function refreshImportButton() {
+        const button = element('question-bank-import-confirm');
+        const chosen = selectedQuestions();
+        button.disabled = state.importing || chosen.length === 0 || chosen.some(question => !question.lectureName);
+        button.textContent = chosen.length > 0 ? `Import ${chosen.length} question${chosen.length === 1 ? '' : 's'}` : 'Import';
+    }
+
+    async function previewImport() {
+        const file = element('question-bank-file').files[0];
+        if (!file) {
+            setMessage('Choose a question bank file first.', 'error');
+            return;
+        }
+
+        const button = element('question-bank-preview-btn');
+        button.disabled = true;
+        setMessage('Reading the file…');
+        try {
+            const formData = new FormData();
+            formData.append('courseId', await getCurrentCourseId());
+            formData.append('instructorId', getCurrentInstructorId());
+            formData.append('format', element('question-bank-format').value);
+            formData.append('defaultLectureName', element('question-bank-default-unit').value);
+            formData.append('file', file);
+            const result = await parseResponse(await fetch('/api/questions/bank/preview', {
+                method: 'POST',
+                credentials: 'same-origin',
+                body: formData
+            }));
+            state.preview = result.data;
+            renderPreview(result.data);
+            setMessage('Review the questions, then import.');
+        } catch (error) {
+            state.preview = null;
+            element('question-bank-preview').hidden = true;
+            setMessage(error.message, 'error');
+        } finally {
+            button.disabled = false;
+            refreshImportButton();
+        }
+    }
+
+    async function confirmImport() {
+        const questions = selectedQuestions();
+        if (questions.length === 0) return;
+
+        state.importing = true;
+        refreshImportButton();
+        setMessage('Importing…');
+        try {
+            const result = await parseResponse(await fetch('/api/questions/bank/import', {
+                method: 'POST',
+                credentials: 'same-origin',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    courseId: await getCurrentCourseId(),
+                    instructorId: getCurrentInstructorId(),
+                    format: state.preview.format,
+                    questions
+                })
+            }));
+
+            const units = [...new Set(result.data.created.map(item => item.lectureName))];
+            for (const unit of units) {
+                await reloadQuestionsForUnit(unit);
+                updateQuestionsDisplay(unit);
+            }
+
+            const { createdCount, rejected } = result.data;
+            state.importing = false;
+            if (rejected.length > 0) {
+                setMessage(`${createdCount} imported; ${rejected.length} rejected: ${rejected.map(item => item.error).join('; ')}`, 'error');
+            } else {
+                showNotification(result.message, 'success');
+                closeModal();
+            }
+        } catch (error) {
+            setMessage(error.message, 'error');
+        } finally {
+            state.importing = false;
+            refreshImportButton();
+        }
+    }
+
+    // ------------------------------------------------------------------ export
+
+    function filenameFrom(response, fallback) {
+        const match = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '');
+        return match ? match[1] : fallback;
+    }
+
+    function renderExportReport(response) {
+        const report = element('question-bank-export-report');
+        let details = { skipped: [], warnings: [] };
+        try {
+            details = JSON.parse(decodeURIComponent(response.headers.get('X-Question-Bank-Report') || '')) || details;
+        } catch {
+            // Counts below still describe the export
+        }
+        const lines = [
+            ...details.skipped.map(item => `Skipped ${item.lectureName}: ${item.reason}`),
+            ...details.warnings.map(item => `${item.lectureName}: ${item.message}`)
+        ];
+        const hidden = Number(response.headers.get('X-Question-Bank-Skipped') || 0) +
+            Number(response.headers.get('X-Question-Bank-Warnings') || 0) - lines.length;
+        if (hidden > 0) lines.push(`…and ${hidden} more`);
+        report.innerHTML = lines.map(line => `<li>${escapeHTML(line)}</li>`).join('');
+        report.hidden = lines.length === 0;
+    }
+
+    async function exportQuestions(format) {
+        setMessage('Preparing the download…');
+        try {
+            const params = new URLSearchParams({ courseId: await getCurrentCourseId(), format });
+            const lectureName = element('question-bank-export-unit').value;
+            if (lectureName) params.set('lectureName', lectureName);
+
+            const response = await fetch(`/api/questions/bank/export?${params}`, { credentials: 'same-origin' });
+            if (!response.ok) await parseResponse(response);
+
+            const blob = await response.blob();
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filenameFrom(response, `question-bank.${format}`);
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+
+            const exported = Number(response.headers.get('X-Question-Bank-Exported') || 0);
+            renderExportReport(response);
+            setMessage(`Exported ${exported} question${exported === 1 ? '' : 's'}.`, 'success');
+        } catch (error) {
+            element('question-bank-export-report').hidden = true;
+            setMessage(error.message, 'error');
+        }
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        if (!element('question-bank-modal')) return;
+
+        element('question-bank-import-btn').addEventListener('click', () => openModal('import'));
+        element('question-bank-export-btn').addEventListener('click', () => openModal('export'));
+        element('question-bank-close').addEventListener('click', closeModal);
+        element('question-bank-cancel').addEventListener('click', closeModal);
+        element('question-bank-preview-btn').addEventListener('click', previewImport);
+        element('question-bank-import-confirm').addEventListener('click', confirmImport);
+        for (const button of document.querySelectorAll('[data-question-bank-export]')) {
+            button.addEventListener('click', () => exportQuestions(button.dataset.questionBankExport));
+        }
+        element('question-bank-modal').addEventListener('click', (event) => {
+            if (event.target.id === 'question-bank-modal') closeModal();
+        });
+        document.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape' && element('question-bank-modal').classList.contains('show')) closeModal();
+        });
+    });
+})();
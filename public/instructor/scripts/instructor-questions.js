@@ -53,7 +53,8 @@ function loadAssessmentQuestionsFromCourseData(courseData) {
                     question: dbQuestion.question,
                     correctAnswer: dbQuestion.correctAnswer,
                     options: dbQuestion.options || {},
-                    learningObjective: dbQuestion.learningObjective || ''
+                    learningObjective: dbQuestion.learningObjective || '',
+                    rubric: dbQuestion.rubric || null
                 };
                 
                 assessmentQuestions[unit.name].push(localQuestion);
@@ -110,7 +111,8 @@ async function loadAssessmentQuestions() {
                             question: dbQuestion.question,
                             correctAnswer: dbQuestion.correctAnswer,
                             options: dbQuestion.options || {},
-                            learningObjective: dbQuestion.learningObjective || ''
+                            learningObjective: dbQuestion.learningObjective || '',
+                            rubric: dbQuestion.rubric || null
                         };
                         assessmentQuestions[lectureName].push(localQuestion);
                     });
@@ -518,6 +520,7 @@ function resetQuestionForm() {
     document.getElementById('tf-answer-section').style.display = 'none';
     document.getElementById('mcq-answer-section').style.display = 'none';
     document.getElementById('sa-answer-section').style.display = 'none';
+    hideStructuredAnswerSections();
     
     // Clear radio buttons
     const radioButtons = document.querySelectorAll('input[type="radio"]');
@@ -529,6 +532,7 @@ function resetQuestionForm() {
     
     // Clear short answer
     document.getElementById('sa-answer').value = '';
+    clearStructuredAnswerFields();
     
     // Reset AI generation tracking
     aiGenerationCount = 0;
@@ -575,10 +579,168 @@ function clearAllFormFields() {
     if (saAnswer) {
         saAnswer.value = '';
     }
+
+    // Clear numeric, blank, matching, and ordering answers
+    clearStructuredAnswerFields();
     
     console.log('✅ [CLEAR_FORM] All form fields cleared');
 }
 
+// Answer editors for the structured question types, keyed by question type
+const STRUCTURED_ANSWER_SECTIONS = {
+    'numeric': 'numeric-answer-section',
+    'fill-in-the-blank': 'blanks-answer-section',
+    'matching': 'matching-answer-section',
+    'ordering': 'ordering-answer-section'
+};
+
+function splitLines(value) {
+    return String(value || '').split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+function hideStructuredAnswerSections() {
+    Object.values(STRUCTURED_ANSWER_SECTIONS).forEach(sectionId => {
+        const section = document.getElementById(sectionId);
+        if (section) section.style.display = 'none';
+    });
+}
+
+function clearStructuredAnswerFields() {
+    ['numeric-value', 'numeric-unit', 'numeric-tolerance', 'blanks-answers', 'matching-pairs', 'matching-distractors', 'ordering-items', 'rubric-criteria', 'rubric-examples']
+        .forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.value = '';
+        });
+    const toleranceType = document.getElementById('numeric-tolerance-type');
+    if (toleranceType) toleranceType.value = 'absolute';
+}
+
+/**
+ * Read the answer key for a structured question type from the modal
+ * @param {string} questionType - Question type
+ * @param {string} questionText - Question text (blanks are counted from it)
+ * @returns {Object} { fields } on success, { error } otherwise
+ */
+function readStructuredAnswerFields(questionType, questionText) {
+    if (questionType === 'numeric') {
+        const value = document.getElementById('numeric-value').value.trim();
+        if (value === '' || !Number.isFinite(Number(value))) {
+            return { error: 'Please enter the correct numeric value.' };
+        }
+        const tolerance = document.getElementById('numeric-tolerance').value.trim();
+        return {
+            fields: {
+                numeric: {
+                    value: Number(value),
+                    tolerance: tolerance === '' ? 0 : Number(tolerance),
+                    toleranceType: document.getElementById('numeric-tolerance-type').value,
+                    unit: document.getElementById('numeric-unit').value.trim()
+                }
+            }
+        };
+    }
+    if (questionType === 'fill-in-the-blank') {
+        const blankCount = (questionText.match(/_{3,}/g) || []).length;
+        if (blankCount === 0) {
+            return { error: 'Mark each blank in the question with ___ (three underscores).' };
+        }
+        const blanks = splitLines(document.getElementById('blanks-answers').value)
+            .map(line => ({ answers: line.split('|').map(answer => answer.trim()).filter(Boolean) }));
+        if (blanks.length !== blankCount) {
+            return { error: `The question has ${blankCount} blank(s); enter one line of accepted answers for each.` };
+        }
+        return { fields: { blanks } };
+    }
+    if (questionType === 'matching') {
+        const pairs = splitLines(document.getElementById('matching-pairs').value).map(line => {
+            const separator = line.indexOf('=');
+            return separator < 0
+                ? { prompt: line, match: '' }
+                : { prompt: line.slice(0, separator).trim(), match: line.slice(separator + 1).trim() };
+        });
+        if (pairs.length < 2 || pairs.some(pair => !pair.prompt || !pair.match)) {
+            return { error: 'Enter at least two pairs, one per line, as prompt = match.' };
+        }
+        return {
+            fields: {
+                pairs,
+                distractors: splitLines(document.getElementById('matching-distractors').value)
+            }
+        };
+    }
+    if (questionType === 'ordering') {
+        const items = splitLines(document.getElementById('ordering-items').value);
+        if (items.length < 2) {
+            return { error: 'Enter at least two items, one per line, in the correct order.' };
+        }
+        return { fields: { items } };
+    }
+    return { fields: {} };
+}
+
+/**
+ * Split a "points | text" rubric line; points are optional
+ * @param {string} line
+ * @returns {Object} { points, text }
+ */
+function parseRubricLine(line) {
+    const separator = line.indexOf('|');
+    if (separator < 0) return { points: null, text: line };
+    return { points: line.slice(0, separator).trim(), text: line.slice(separator + 1).trim() };
+}
+
+/**
+ * Read the optional short-answer rubric from the modal
+ * @returns {Object} { rubric } on success (null when no criteria), { error } otherwise
+ */
+function readRubricFields() {
+    const criteria = splitLines(document.getElementById('rubric-criteria').value).map(parseRubricLine);
+    if (criteria.length === 0) return { rubric: null };
+    if (criteria.some(criterion => !criterion.text || !(Number(criterion.points) > 0))) {
+        return { error: 'Write each rubric criterion as points | description, with points above 0.' };
+    }
+    const exampleAnswers = splitLines(document.getElementById('rubric-examples').value).map(parseRubricLine);
+    if (exampleAnswers.some(example => !example.text)) {
+        return { error: 'Write each example answer as points | answer.' };
+    }
+    return {
+        rubric: {
+            criteria: criteria.map(criterion => ({ description: criterion.text, points: Number(criterion.points) })),
+            exampleAnswers: exampleAnswers.map(example => ({
+                answer: example.text,
+                points: example.points === null || example.points === '' ? null : Number(example.points)
+            }))
+        }
+    };
+}
+
+/**
+ * Fill the structured answer editors from a question or AI-generated content
+ * @param {Object} content - { numeric, blanks, pairs, distractors, items }
+ */
+function fillStructuredAnswerFields(content) {
+    if (content.numeric) {
+        document.getElementById('numeric-value').value = content.numeric.value ?? '';
+        document.getElementById('numeric-tolerance').value = content.numeric.tolerance ?? '';
+        document.getElementById('numeric-tolerance-type').value = content.numeric.toleranceType || 'absolute';
+        document.getElementById('numeric-unit').value = content.numeric.unit || '';
+    }
+    if (Array.isArray(content.blanks)) {
+        document.getElementById('blanks-answers').value = content.blanks
+            .map(blank => (blank.answers || []).join(' | '))
+            .join('\n');
+    }
+    if (Array.isArray(content.pairs)) {
+        document.getElementById('matching-pairs').value = content.pairs
+            .map(pair => `${pair.prompt} = ${pair.match}`)
+            .join('\n');
+        document.getElementById('matching-distractors').value = (content.distractors || []).join('\n');
+    }
+    if (Array.isArray(content.items)) {
+        document.getElementById('ordering-items').value = content.items.join('\n');
+    }
+}
+
 /**
  * Update question form based on selected question type
  */
@@ -605,6 +767,7 @@ function updateQuestionForm() {
     document.getElementById('tf-answer-section').style.display = 'none';
     document.getElementById('mcq-answer-section').style.display = 'none';
     document.getElementById('sa-answer-section').style.display = 'none';
+    hideStructuredAnswerSections();
     
     // Show relevant section
     if (questionType === 'true-false') {
@@ -615,6 +778,8 @@ function updateQuestionForm() {
         setupMCQValidation();
     } else if (questionType === 'short-answer') {
         document.getElementById('sa-answer-section').style.display = 'block';
+    } else if (STRUCTURED_ANSWER_SECTIONS[questionType]) {
+        document.getElementById(STRUCTURED_ANSWER_SECTIONS[questionType]).style.display = 'block';
     }
     
     // Check if AI generation should be available
@@ -736,6 +901,19 @@ async function saveQuestion() {
             return;
         }
         question.correctAnswer = saAnswer;
+        const rubricFields = readRubricFields();
+        if (rubricFields.error) {
+            showNotification(rubricFields.error, 'error');
+            return;
+        }
+        question.rubric = rubricFields.rubric;
+    } else if (STRUCTURED_ANSWER_SECTIONS[questionType]) {
+        const structured = readStructuredAnswerFields(questionType, questionText);
+        if (structured.error) {
+            showNotification(structured.error, 'error');
+            return;
+        }
+        Object.assign(question, structured.fields);
     }
     
     try {
@@ -805,7 +983,13 @@ async function saveQuestion() {
                 difficulty: 'medium',
                 tags: [],
                 learningObjective: question.learningObjective,
-                points: 1
+                points: 1,
+                numeric: question.numeric,
+                blanks: question.blanks,
+                pairs: question.pairs,
+                distractors: question.distractors,
+                items: question.items,
+                rubric: question.rubric
             })
         });
         
@@ -837,9 +1021,10 @@ async function saveQuestion() {
             questionId: result.data.questionId,
             questionType: question.questionType,
             question: question.question,
-            correctAnswer: wireCorrectAnswer,
+            correctAnswer: result.data.correctAnswer ?? wireCorrectAnswer,
             options: wireOptions,
-            learningObjective: question.learningObjective || ''
+            learningObjective: question.learningObjective || '',
+            rubric: result.data.rubric ?? question.rubric ?? null
         };
         
         assessmentQuestions[currentWeek].push(savedQuestion);
@@ -895,7 +1080,8 @@ async function reloadQuestionsForUnit(unitName) {
                     question: dbQuestion.question,
                     correctAnswer: dbQuestion.correctAnswer,
                     options: dbQuestion.options || {},
-                    learningObjective: dbQuestion.learningObjective || ''
+                    learningObjective: dbQuestion.learningObjective || '',
+                    rubric: dbQuestion.rubric || null
                 };
                 
                 assessmentQuestions[unitName].push(localQuestion);
@@ -1007,6 +1193,10 @@ function getQuestionTypeLabel(type) {
         case 'true-false': return 'T/F';
         case 'multiple-choice': return 'MCQ';
         case 'short-answer': return 'SA';
+        case 'numeric': return 'NUM';
+        case 'fill-in-the-blank': return 'FIB';
+        case 'matching': return 'MATCH';
+        case 'ordering': return 'ORDER';
         default: return type;
     }
 }
@@ -1036,7 +1226,18 @@ function getQuestionAnswerDisplay(question) {
         });
         return `<div class="mcq-preview">${optionsHtml}</div>`;
     } else if (questionType === 'short-answer') {
-        return `<p class="answer-preview"><strong>Expected:</strong> ${answer}</p>`;
+        const criteria = question.rubric?.criteria || [];
+        if (criteria.length === 0) {
+            return `<p class="answer-preview"><strong>Expected:</strong> ${answer}</p>`;
+        }
+        const total = criteria.reduce((sum, criterion) => sum + criterion.points, 0);
+        const items = criteria
+            .map(criterion => `<li>${escapeHTML(criterion.description)} (${criterion.points} pt${criterion.points === 1 ? '' : 's'})</li>`)
+            .join('');
+        return `<p class="answer-preview"><strong>Expected:</strong> ${answer}</p>`
+            + `<p class="answer-preview"><strong>Rubric:</strong> ${total} points</p><ul class="rubric-preview">${items}</ul>`;
+    } else if (STRUCTURED_ANSWER_SECTIONS[questionType]) {
+        return `<p class="answer-preview"><strong>Answer key:</strong> ${answer}</p>`;
     }
     return '';
 }
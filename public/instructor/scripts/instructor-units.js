@@ -407,8 +407,14 @@ function createUnitElement(unitName, unitData, isExpanded = false, canDelete = t
                         <button type="button" class="flashcard-generate-btn" onclick="generateFlashcardDraft('${unitName}', this)">
                             <span aria-hidden="true">🪄</span> Generate Draft
                         </button>
+                        <button type="button" class="secondary-button" onclick="document.getElementById('flashcard-import-${unitId}').click()">Import CSV / Anki</button>
+                        <input type="file" id="flashcard-import-${unitId}" accept=".csv,.txt,.tsv,text/csv,text/plain" hidden onchange="importFlashcardFile('${unitName}', this)">
+                        <label class="flashcard-import-mode">
+                            <input type="checkbox" id="flashcard-import-append-${unitId}"> Add to current cards
+                        </label>
                     </div>
                     <p class="flashcard-section-message" id="flashcard-message-${unitId}">Upload course materials to generate a shared deck.</p>
+                    <ul class="flashcard-import-report" id="flashcard-import-report-${unitId}" hidden></ul>
                     <div class="flashcard-draft-editor" id="flashcard-editor-${unitId}" style="display: none;"></div>
                 </div>
             </div>
@@ -730,6 +736,10 @@ function addActionButtonsIfMissing(container, unitName) {
                 <span class="btn-icon">➕</span>
                 Add Additional Material
             </button>
+            <button class="add-content-btn chunking" onclick="openChunkingModal('${unitName}')">
+                <span class="btn-icon">✂️</span>
+                Chunking
+            </button>
         `;
         container.appendChild(addContentSection);
     }
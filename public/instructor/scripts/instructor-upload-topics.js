@@ -259,10 +259,15 @@ function resetModal() {
     const materialName = document.getElementById('material-name');
     const uploadFileBtn = document.querySelector('.upload-file-btn span:last-child');
 
+    const webImportUrl = document.getElementById('web-import-url');
+    const webImportFile = document.getElementById('web-import-file');
+
     if (fileInput) fileInput.value = '';
     if (fileInfo) fileInfo.style.display = 'none';
     if (textInput) textInput.value = '';
     if (materialName) materialName.value = '';
+    if (webImportUrl) webImportUrl.value = '';
+    if (webImportFile) webImportFile.value = '';
 
     // Reset upload file button text to default
     if (uploadFileBtn) {
@@ -286,6 +291,8 @@ function resetModal() {
     if (loadingIndicator) loadingIndicator.style.display = 'none';
     if (uploadSection) uploadSection.style.display = 'block';
     if (topicSection) topicSection.style.display = 'none';
+    const stageMessage = document.querySelector('#upload-loading-indicator .loading-message strong');
+    if (stageMessage) stageMessage.textContent = 'Uploading and processing document...';
 
     // Reset to selection view
     resetToSelection();
@@ -298,6 +305,7 @@ function showFileUpload() {
     document.getElementById('upload-method-selection').style.display = 'none';
     document.getElementById('file-upload-section').style.display = 'block';
     document.getElementById('text-input-section').style.display = 'none';
+    document.getElementById('web-import-section').style.display = 'none';
     const nameInputSection = document.getElementById('name-input-section');
     if (nameInputSection) nameInputSection.style.display = 'none';
 }
@@ -309,10 +317,23 @@ function showTextInput() {
     document.getElementById('upload-method-selection').style.display = 'none';
     document.getElementById('file-upload-section').style.display = 'none';
     document.getElementById('text-input-section').style.display = 'block';
+    document.getElementById('web-import-section').style.display = 'none';
     const nameInputSection = document.getElementById('name-input-section');
     if (nameInputSection) nameInputSection.style.display = 'block';
 }
 
+/**
+ * Show web page / open textbook import section
+ */
+function showWebImport() {
+    document.getElementById('upload-method-selection').style.display = 'none';
+    document.getElementById('file-upload-section').style.display = 'none';
+    document.getElementById('text-input-section').style.display = 'none';
+    document.getElementById('web-import-section').style.display = 'block';
+    const nameInputSection = document.getElementById('name-input-section');
+    if (nameInputSection) nameInputSection.style.display = 'none';
+}
+
 /**
  * Reset to selection view
  */
@@ -320,6 +341,7 @@ function resetToSelection() {
     document.getElementById('upload-method-selection').style.display = 'flex';
     document.getElementById('file-upload-section').style.display = 'none';
     document.getElementById('text-input-section').style.display = 'none';
+    document.getElementById('web-import-section').style.display = 'none';
 }
 
 function showInlineTopicReview(courseId, sourceName, existingTopics, suggestedTopics) {
@@ -474,6 +496,27 @@ function handleFileUpload(file) {
     showNotification(`File "${file.name}" selected successfully`, 'success');
 }
 
+/**
+ * The server processes uploads and web imports in a background job; follow it
+ * so the topic review sees the saved document
+ * @param {Object} uploadResult - Response body, with `data.jobId` when queued
+ * @param {HTMLElement} uploadBtn
+ * @returns {Promise<Object>} The result once the document is processed
+ */
+async function followProcessingJob(uploadResult, uploadBtn) {
+    if (!uploadResult?.data?.jobId) return uploadResult;
+
+    uploadBtn.textContent = 'Processing...';
+    const stageMessage = document.querySelector('#upload-loading-indicator .loading-message strong');
+    const job = await waitForIngestionJob(uploadResult.data.jobId, current => {
+        if (stageMessage) stageMessage.textContent = describeIngestionJob(current);
+    });
+    if (job.status === 'failed') {
+        throw new Error(`Processing failed: ${job.error || 'unknown error'}. You can retry it from the unit's materials list.`);
+    }
+    return { message: 'Document uploaded and processed successfully', data: job.result };
+}
+
 /**
  * Handle the main upload action
  */
@@ -481,9 +524,18 @@ async function handleUpload() {
     const textInput = document.getElementById('text-input').value.trim();
     const materialNameInput = document.getElementById('material-name').value.trim();
     const uploadBtn = document.getElementById('upload-btn');
-    
+    // A web page or textbook, when that method is open
+    const webImportActive = document.getElementById('web-import-section').style.display === 'block';
+    const webImportUrl = webImportActive ? document.getElementById('web-import-url').value.trim() : '';
+    const webImportFile = webImportActive ? document.getElementById('web-import-file').files[0] : null;
+
+    if (webImportActive && !webImportUrl && !webImportFile) {
+        showNotification('Please enter a web page address or choose an HTML, ZIP, or EPUB file', 'error');
+        return;
+    }
+
     // Check if at least one input method is provided
-    if (!uploadedFile && !textInput) {
+    if (!webImportActive && !uploadedFile && !textInput) {
         showNotification('Please provide content via file upload or direct text input', 'error');
         return;
     }
@@ -515,7 +567,32 @@ async function handleUpload() {
         
         let uploadResult;
         
-        if (uploadedFile) {
+        if (webImportActive) {
+            // Import a web page or open textbook; its sections become citations
+            const formData = new FormData();
+            formData.append('courseId', courseId);
+            formData.append('lectureName', lectureName);
+            formData.append('documentType', currentContentType);
+            formData.append('instructorId', instructorId);
+            if (webImportFile) {
+                formData.append('file', webImportFile);
+            } else {
+                formData.append('url', webImportUrl);
+            }
+
+            const response = await fetch('/api/documents/import-web', {
+                method: 'POST',
+                body: formData
+            });
+
+            if (!response.ok) {
+                const errorBody = await response.json().catch(() => null);
+                throw new Error(errorBody?.message || `Import failed: ${response.status}`);
+            }
+
+            uploadResult = await followProcessingJob(await response.json(), uploadBtn);
+
+        } else if (uploadedFile) {
             // Handle file upload
             const formData = new FormData();
             formData.append('file', uploadedFile);
@@ -540,7 +617,7 @@ async function handleUpload() {
                 throw new Error(`Upload failed: ${response.status} ${errorText}`);
             }
             
-            uploadResult = await response.json();
+            uploadResult = await followProcessingJob(await response.json(), uploadBtn);
             
         } else if (textInput) {
             // Handle text submission
@@ -569,32 +646,6 @@ async function handleUpload() {
             
             uploadResult = await response.json();
             
-        } else if (urlInput) {
-            // Handle URL import (treat as text with URL as description)
-            const title = materialNameInput || `Content from URL - ${currentWeek}`;
-            
-            const response = await fetch('/api/documents/text', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    courseId: courseId,
-                    lectureName: lectureName,
-                    documentType: currentContentType,
-                    instructorId: instructorId,
-                    content: `Content imported from: ${urlInput}`,
-                    title: title,
-                    description: urlInput
-                })
-            });
-            
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`URL import failed: ${response.status} ${errorText}`);
-            }
-            
-            uploadResult = await response.json();
         }
         
         const fileName = uploadResult?.data?.filename
@@ -610,7 +610,15 @@ async function saveUnit1Document(courseId, lectureName, documentType, file, inst
             throw new Error(`Failed to save document: ${response.status} ${errorText}`);
         }
         
-        const result = await response.json();
+        let result = await response.json();
+        // The file is processed in a background job; wait for its outcome
+        if (result.data?.jobId) {
+            const job = await waitForIngestionJob(result.data.jobId);
+            if (job.status === 'failed') {
+                throw new Error(`Processing failed: ${job.error || 'unknown error'}`);
+            }
+            result = { success: true, message: 'Document uploaded and processed successfully', data: job.result };
+        }
         console.log('✅ [MONGODB] Document saved successfully:', result);
         console.log('📁 [DOCUMENT] Document ID from response:', result.data?.documentId);
         
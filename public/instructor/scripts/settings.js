@@ -16,6 +16,15 @@ document.addEventListener('DOMContentLoaded', async () => {
         minSummaryTriggerMessageCount: 2,
         maxSummaryTriggerMessageCount: 40
     };
+    const DEFAULT_RERANK_SETTINGS = { enabled: false, scorer: 'llm', candidateCount: 12 };
+    const DEFAULT_ANSWER_CACHE_SETTINGS = { enabled: false, similarityThreshold: 0.95 };
+    // Prompts for the structured question types, keyed by their stored name
+    const STRUCTURED_QUESTION_PROMPT_INPUTS = {
+        numeric: 'question-numeric-prompt',
+        fillInTheBlank: 'question-fill-in-the-blank-prompt',
+        matching: 'question-matching-prompt',
+        ordering: 'question-ordering-prompt'
+    };
 
     const settingsHub = document.getElementById('settings-hub');
     const settingsPanels = document.getElementById('settings-panels');
@@ -41,6 +50,10 @@ document.addEventListener('DOMContentLoaded', async () => {
     const systemAdminList = document.getElementById('system-admin-list');
     const systemAdminEmailInput = document.getElementById('system-admin-email-input');
     const grantSystemAdminBtn = document.getElementById('grant-system-admin-btn');
+    const answerCacheList = document.getElementById('answer-cache-list');
+    const purgeAnswerCacheBtn = document.getElementById('purge-answer-cache-btn');
+    const tokenUsageStatus = document.getElementById('token-usage-status');
+    const tokenUsageBreakdown = document.getElementById('token-usage-breakdown');
     let lifecycleCourseData = null;
     let pendingTransferPayload = null;
     let isTransferInProgress = false;
@@ -237,6 +250,10 @@ document.addEventListener('DOMContentLoaded', async () => {
         // failure in an unrelated section below can never hide them.
         try {
             await loadAiSettings();
+            await loadAnswerCache();
+            await loadTokenUsage();
+            await loadCourseRateLimits();
+            await loadCourseWellnessResources();
             await loadSuperCourseChatSettings();
         } catch (error) {
             console.error('Error loading Super Course settings:', error);
@@ -245,6 +262,10 @@ document.addEventListener('DOMContentLoaded', async () => {
         try {
             // Load global config (prompts and additive retrieval)
             await loadGlobalConfig();
+            await loadPromptPreviewUnits();
+            fillExperimentVariantB();
+            await loadPromptHistory('prompt-history-list');
+            await loadPromptExperiments();
 
             // Load quiz practice settings
             await loadQuizSettings();
@@ -275,7 +296,10 @@ document.addEventListener('DOMContentLoaded', async () => {
                 await loadNotesLlmKey();
                 await loadInstructorSuperchatLlmKey();
                 await loadQuestionPrompts();
+                await loadPromptHistory('question-prompt-history-list');
                 await loadSystemAdmins();
+                await loadPlatformRateLimits();
+                await loadPlatformWellnessResources();
             }
 
             consumeDeferredFlashMessage();
@@ -1015,6 +1039,21 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     }
 
+    // Golden-set recall/MRR per course, from runs saved on each model.
+    function describeEmbeddingQuality(quality) {
+        const courses = (quality && quality.courses) || [];
+        if (courses.length === 0) {
+            return 'Retrieval quality: no golden-set runs saved for the affected courses.\n\n';
+        }
+        const format = (value) => (typeof value === 'number' ? value.toFixed(2) : '—');
+        const lines = courses.map(course => {
+            const { recallAtK, mrr } = course.comparison;
+            return `  ${course.courseId}: recall@k ${format(recallAtK.before)} → ${format(recallAtK.after)}, `
+                + `MRR ${format(mrr.before)} → ${format(mrr.after)}`;
+        });
+        return `Retrieval quality (current → new model):\n${lines.join('\n')}\n\n`;
+    }
+
     /**
      * Stage an embedding-model change: show the admin the impact first, then
      * create the migration. The previous model stays active throughout.
@@ -1056,6 +1095,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             + `Courses affected: ${impact.impact.courses}\n`
             + `Items to re-index: ${impact.impact.itemsToReindex}\n`
             + `Already current: ${impact.impact.itemsAlreadyCurrent}\n\n`
+            + describeEmbeddingQuality(impact.quality)
             + `New collection: ${impact.profile.collection} (${impact.profile.vectorSize} dimensions).\n`
             + 'The current embedding model stays active until re-indexing finishes. '
             + 'No existing vectors or collections are deleted.'
@@ -1136,6 +1176,346 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     }
 
+    async function loadAnswerCache() {
+        if (!answerCacheList) {
+            return;
+        }
+
+        try {
+            const courseId = await getCurrentCourseId();
+            if (!courseId) return;
+
+            const response = await fetch(`/api/settings/answer-cache?courseId=${encodeURIComponent(courseId)}`, {
+                credentials: 'include'
+            });
+            const result = await response.json();
+
+            if (!result.success || !Array.isArray(result.entries)) {
+                throw new Error(result.message || 'Failed to load cached answers');
+            }
+
+            renderAnswerCache(result.entries, result.stats);
+        } catch (error) {
+            console.error('Error loading cached answers:', error);
+            answerCacheList.innerHTML = '<div class="answer-cache-empty">Failed to load cached answers.</div>';
+        }
+    }
+
+    function renderAnswerCache(entries, stats) {
+        const summary = stats && stats.lookups > 0
+            ? `<div class="answer-cache-empty">${stats.hits} of ${stats.lookups} questions answered from the cache in the last ${stats.days} days.</div>`
+            : '';
+
+        if (!entries.length) {
+            answerCacheList.innerHTML = `${summary}<div class="answer-cache-empty">No cached answers yet.</div>`;
+            return;
+        }
+
+        answerCacheList.innerHTML = summary + entries.map(entry => `
+            <div class="answer-cache-row${entry.pinned ? ' is-pinned' : ''}">
+                <div class="answer-cache-details">
+                    <div class="answer-cache-question">
+                        <strong>${escapeHtml(entry.question || '')}</strong>
+                        ${entry.pinned ? '<span class="answer-cache-badge">Pinned</span>' : ''}
+                        ${entry.sourcesChangedAt ? '<span class="answer-cache-badge is-stale">Sources changed</span>' : ''}
+                    </div>
+                    <div class="answer-cache-meta">${escapeHtml(entry.unitName || '')} · ${escapeHtml(entry.mode || '')} · ${Number(entry.hitCount) || 0} reuses</div>
+                </div>
+                <div class="answer-cache-actions">
+                    <button class="secondary-button answer-cache-pin-btn" data-entry-id="${escapeHtml(entry.entryId)}" data-pinned="${entry.pinned ? 'true' : 'false'}">${entry.pinned ? 'Unpin' : 'Pin'}</button>
+                    <button class="secondary-button answer-cache-remove-btn" data-entry-id="${escapeHtml(entry.entryId)}">Remove</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    async function loadTokenUsage() {
+        if (!tokenUsageStatus) {
+            return;
+        }
+
+        try {
+            const courseId = await getCurrentCourseId();
+            if (!courseId) return;
+
+            const response = await fetch(`/api/settings/token-usage?courseId=${encodeURIComponent(courseId)}`, {
+                credentials: 'include'
+            });
+            const result = await response.json();
+
+            if (!result.success || !result.usage) {
+                throw new Error(result.message || 'Failed to load AI usage');
+            }
+
+            applyTokenBudget(result.budget);
+            renderTokenUsage(result);
+        } catch (error) {
+            console.error('Error loading AI usage:', error);
+            tokenUsageStatus.textContent = 'Failed to load AI usage.';
+            if (tokenUsageBreakdown) tokenUsageBreakdown.innerHTML = '';
+        }
+    }
+
+    function formatTokens(value) {
+        return (Number(value) || 0).toLocaleString();
+    }
+
+    function describeSpend(label, used, limit, percent) {
+        return limit
+            ? `${label}: ${formatTokens(used)} of ${formatTokens(limit)} tokens (${percent}%)`
+            : `${label}: ${formatTokens(used)} tokens (no limit)`;
+    }
+
+    function renderTokenUsage({ usage, spend, budget, status }) {
+        const parts = [
+            describeSpend('Today', spend.day, budget.dailyTokens, status.usedPercent.day),
+            describeSpend('This month', spend.month, budget.monthlyTokens, status.usedPercent.month)
+        ];
+        if (status.level === 'exhausted') {
+            parts.push('Budget used: AI features are paused except wellbeing checks.');
+        } else if (status.level === 'degraded') {
+            parts.push('Near budget: optional calls are paused.');
+        }
+        tokenUsageStatus.textContent = parts.join(' · ');
+        tokenUsageStatus.classList.toggle('is-warning', status.level === 'degraded');
+        tokenUsageStatus.classList.toggle('is-exhausted', status.level === 'exhausted');
+
+        if (!tokenUsageBreakdown) return;
+        if (!usage.totals.calls) {
+            tokenUsageBreakdown.innerHTML = `<div class="token-usage-empty">No AI calls in the last ${usage.days} days.</div>`;
+            return;
+        }
+
+        const estimatedNote = usage.totals.estimatedCalls > 0
+            ? `<div class="token-usage-empty">${usage.totals.estimatedCalls} calls were estimated because the provider reported no token counts.</div>`
+            : '';
+        const rows = (items, nameOf) => items.map(item => `
+            <tr>
+                <td>${escapeHtml(nameOf(item))}</td>
+                <td>${formatTokens(item.calls)}</td>
+                <td>${formatTokens(item.totalTokens)}</td>
+            </tr>
+        `).join('');
+
+        tokenUsageBreakdown.innerHTML = `
+            <table class="token-usage-table">
+                <caption>Last ${usage.days} days: ${formatTokens(usage.totals.totalTokens)} tokens over ${formatTokens(usage.totals.calls)} calls</caption>
+                <thead><tr><th scope="col">Feature</th><th scope="col">Calls</th><th scope="col">Tokens</th></tr></thead>
+                <tbody>${rows(usage.byFeature, item => item.label)}</tbody>
+                <thead><tr><th scope="col">Model</th><th scope="col">Calls</th><th scope="col">Tokens</th></tr></thead>
+                <tbody>${rows(usage.byModel, item => item.model)}</tbody>
+                <thead><tr><th scope="col">Lane</th><th scope="col">Calls</th><th scope="col">Tokens</th></tr></thead>
+                <tbody>${rows(usage.byLane, item => item.lane)}</tbody>
+            </table>
+            ${estimatedNote}
+        `;
+    }
+
+    function applyTokenBudget(budget) {
+        const dailyInput = document.getElementById('daily-token-budget-input');
+        const monthlyInput = document.getElementById('monthly-token-budget-input');
+        const degradeInput = document.getElementById('token-budget-degrade-input');
+        if (dailyInput) dailyInput.value = budget.dailyTokens ?? '';
+        if (monthlyInput) monthlyInput.value = budget.monthlyTokens ?? '';
+        if (degradeInput) degradeInput.value = budget.degradeAtPercent;
+    }
+
+    const RATE_LIMIT_FIELDS = ['requestsPerMinute', 'burstLimit', 'tokensPerDay'];
+    let platformStudentRateLimits = null;
+
+    function readLimitInput(input) {
+        const raw = input ? input.value.trim() : '';
+        return raw === '' ? null : Number(raw);
+    }
+
+    function applyCourseRateLimits(overrides) {
+        const inheritToggle = document.getElementById('course-rate-limits-inherit');
+        if (!inheritToggle) return;
+        const studentOverride = overrides && overrides.student;
+        inheritToggle.checked = !studentOverride;
+        const shown = studentOverride || platformStudentRateLimits || {};
+        RATE_LIMIT_FIELDS.forEach(field => {
+            const input = document.getElementById(`course-rate-limit-${field}-input`);
+            if (!input) return;
+            input.value = shown[field] ?? '';
+            input.disabled = inheritToggle.checked;
+        });
+    }
+
+    async function loadCourseRateLimits() {
+        if (!document.getElementById('course-rate-limits-section')) {
+            return;
+        }
+
+        try {
+            const courseId = await getCurrentCourseId();
+            if (!courseId) return;
+
+            const response = await fetch(`/api/settings/rate-limits?courseId=${encodeURIComponent(courseId)}`, {
+                credentials: 'include'
+            });
+            const result = await response.json();
+
+            if (!result.success) {
+                throw new Error(result.message || 'Failed to load AI limits');
+            }
+
+            platformStudentRateLimits = result.platform && result.platform.student;
+            applyCourseRateLimits(result.rateLimits);
+        } catch (error) {
+            console.error('Error loading AI limits:', error);
+        }
+    }
+
+    async function loadPlatformRateLimits() {
+        try {
+            const response = await fetch('/api/settings/rate-limits/platform', {
+                credentials: 'include'
+            });
+            const result = await response.json();
+
+            if (!result.success) {
+                throw new Error(result.message || 'Failed to load rate limits');
+            }
+
+            Object.entries(result.limits).forEach(([role, limits]) => {
+                RATE_LIMIT_FIELDS.forEach(field => {
+                    const input = document.getElementById(`platform-rate-limit-${role}-${field}`);
+                    if (input) input.value = limits[field] ?? '';
+                });
+            });
+        } catch (error) {
+            console.error('Error loading platform rate limits:', error);
+        }
+    }
+
+    const WELLNESS_RESOURCE_FIELDS = [
+        { field: 'name', label: 'Name', type: 'text' },
+        { field: 'phone', label: 'Phone', type: 'tel' },
+        { field: 'url', label: 'Website', type: 'url' },
+        { field: 'hours', label: 'Hours', type: 'text' },
+        { field: 'region', label: 'Region', type: 'text' }
+    ];
+
+    function addWellnessResourceRow(container, resource = {}) {
+        const row = document.createElement('div');
+        row.className = 'wellness-resource-row';
+        if (resource.resourceId) row.dataset.resourceId = resource.resourceId;
+        const kind = resource.kind === 'crisis' ? 'crisis' : 'wellness';
+        row.innerHTML = `
+            <label>Type
+                <select data-field="kind">
+                    <option value="crisis"${kind === 'crisis' ? ' selected' : ''}>Crisis line</option>
+                    <option value="wellness"${kind === 'wellness' ? ' selected' : ''}>Wellness service</option>
+                </select>
+            </label>
+            ${WELLNESS_RESOURCE_FIELDS.map(({ field, label, type }) => `
+                <label>${label}
+                    <input type="${type}" data-field="${field}" value="${escapeHtml(resource[field] || '')}">
+                </label>`).join('')}
+            <button type="button" class="secondary-button remove-wellness-resource">Remove</button>
+        `;
+        row.querySelector('.remove-wellness-resource').addEventListener('click', () => {
+            row.remove();
+            container.dispatchEvent(new Event('input', { bubbles: true }));
+        });
+        container.appendChild(row);
+    }
+
+    function renderWellnessResourceRows(containerId, resources) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+        container.innerHTML = '';
+        (resources || []).forEach(resource => addWellnessResourceRow(container, resource));
+    }
+
+    function readWellnessResourceRows(containerId) {
+        const container = document.getElementById(containerId);
+        if (!container) return [];
+        return Array.from(container.querySelectorAll('.wellness-resource-row')).map(row => {
+            const resource = { kind: row.querySelector('[data-field="kind"]').value };
+            if (row.dataset.resourceId) resource.resourceId = row.dataset.resourceId;
+            WELLNESS_RESOURCE_FIELDS.forEach(({ field }) => {
+                resource[field] = row.querySelector(`[data-field="${field}"]`).value.trim();
+            });
+            return resource;
+        });
+    }
+
+    function applyCourseWellnessResources(result) {
+        const override = result.wellnessResources;
+        const includePlatform = document.getElementById('course-wellness-include-platform');
+        if (includePlatform) includePlatform.checked = !override || override.includePlatform;
+        renderWellnessResourceRows('course-wellness-resource-rows', override ? override.resources : []);
+
+        const effectiveList = document.getElementById('course-wellness-effective-list');
+        if (effectiveList) {
+            effectiveList.innerHTML = (result.effective || []).length
+                ? result.effective.map(resource => {
+                    const contact = [resource.phone, resource.url].filter(Boolean).join(', ');
+                    return `<li><strong>${escapeHtml(resource.name)}</strong> ${escapeHtml(contact)}</li>`;
+                }).join('')
+                : '<li>No resources. Students will not see a support card.</li>';
+        }
+    }
+
+    async function loadCourseWellnessResources() {
+        if (!document.getElementById('course-wellness-resources-section')) {
+            return;
+        }
+
+        try {
+            const courseId = await getCurrentCourseId();
+            if (!courseId) return;
+
+            const response = await fetch(`/api/settings/wellness-resources?courseId=${encodeURIComponent(courseId)}`, {
+                credentials: 'include'
+            });
+            const result = await response.json();
+
+            if (!result.success) {
+                throw new Error(result.message || 'Failed to load support resources');
+            }
+
+            applyCourseWellnessResources(result);
+        } catch (error) {
+            console.error('Error loading support resources:', error);
+        }
+    }
+
+    async function saveCourseWellnessResources(wellnessResources) {
+        const courseId = await getCurrentCourseId();
+        if (!courseId) throw new Error('Select a course first');
+        const response = await fetch('/api/settings/wellness-resources', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ courseId, wellnessResources })
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || 'Failed to save support resources');
+        }
+        applyCourseWellnessResources(result);
+    }
+
+    async function loadPlatformWellnessResources() {
+        try {
+            const response = await fetch('/api/settings/wellness-resources/platform', {
+                credentials: 'include'
+            });
+            const result = await response.json();
+
+            if (!result.success) {
+                throw new Error(result.message || 'Failed to load support resources');
+            }
+
+            renderWellnessResourceRows('platform-wellness-resource-rows', result.resources);
+        } catch (error) {
+            console.error('Error loading platform support resources:', error);
+        }
+    }
+
     async function loadAiSettings() {
         try {
             const courseId = await getCurrentCourseId();
@@ -1149,6 +1529,10 @@ document.addEventListener('DOMContentLoaded', async () => {
 
             const topKInput = document.getElementById('student-chat-topk-input');
             if (topKInput) topKInput.value = result.settings.ragSettings?.student?.topK || 3;
+            const hybridToggle = document.getElementById('hybrid-retrieval-toggle');
+            if (hybridToggle) hybridToggle.checked = result.settings.ragSettings?.student?.retrievalMode === 'hybrid';
+            applyRerankSettings(result.settings.ragSettings?.student?.rerank || result.settings.defaults?.studentRerank);
+            applyAnswerCacheSettings(result.settings.ragSettings?.student?.answerCache || result.settings.defaults?.studentAnswerCache);
 
             availableSuperchats = result.availableSuperchats || [];
             renderCourseSuperchatChecklist(
@@ -1546,6 +1930,307 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     }
 
+    async function loadPromptPreviewUnits() {
+        const select = document.getElementById('prompt-preview-unit');
+        if (!select) return;
+
+        try {
+            const courseId = await getCurrentCourseId();
+            if (!courseId) return;
+            const response = await fetch(`/api/courses/${courseId}`);
+            const result = await response.json();
+            const lectures = (result.success && result.data && result.data.lectures) || [];
+            select.innerHTML = lectures.map(lecture => {
+                const label = lecture.displayName ? `${lecture.name}: ${lecture.displayName}` : lecture.name;
+                return `<option value="${escapeHtml(lecture.name)}">${escapeHtml(label)}</option>`;
+            }).join('');
+        } catch (error) {
+            console.error('Error loading units for prompt preview:', error);
+        }
+    }
+
+    // Render the selected prompt's current (possibly unsaved) text with this
+    // course's variables.
+    async function previewPrompt() {
+        const keySelect = document.getElementById('prompt-preview-key');
+        const option = keySelect.options[keySelect.selectedIndex];
+        const source = document.getElementById(option.dataset.source);
+        const output = document.getElementById('prompt-preview-output');
+        const variablesContainer = document.getElementById('prompt-preview-variables');
+
+        const response = await fetch('/api/settings/prompts/preview', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                courseId: await getCurrentCourseId(),
+                key: keySelect.value,
+                template: source ? source.value : '',
+                unitName: document.getElementById('prompt-preview-unit')?.value || null
+            })
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            output.hidden = true;
+            variablesContainer.innerHTML = '';
+            throw new Error(result.message || 'Failed to preview prompt');
+        }
+
+        const rows = result.variables.map(variable => `
+            <tr>
+                <td><code>{{${escapeHtml(variable.name)}}}</code></td>
+                <td>${variable.value === null
+                    ? '<em>Filled when a deck is generated</em>'
+                    : escapeHtml(variable.value).replace(/\n/g, '<br>')}</td>
+            </tr>`).join('');
+        variablesContainer.innerHTML = `
+            <table class="prompt-variable-table">
+                <caption>Values for ${escapeHtml(result.unitName || 'this course')}</caption>
+                <thead><tr><th scope="col">Variable</th><th scope="col">Value</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>`;
+        output.textContent = result.preview;
+        output.hidden = false;
+    }
+
+    const PROMPT_KEY_LABELS = {
+        base: 'Base system prompt',
+        protege: 'Protege mode prompt',
+        tutor: 'Tutor mode prompt',
+        explain: 'Explain mode prompt',
+        directive: 'Directive mode strategy',
+        quizHelp: 'Quiz help chat prompt',
+        chatSummary: 'Chat summary prompt',
+        flashcards: 'Flashcard generation prompt',
+        systemPrompt: 'Question system prompt',
+        trueFalse: 'True/false question prompt',
+        multipleChoice: 'Multiple choice question prompt',
+        shortAnswer: 'Short answer question prompt',
+        numeric: 'Numeric question prompt',
+        fillInTheBlank: 'Fill-in-the-blank question prompt',
+        matching: 'Matching question prompt',
+        ordering: 'Ordering question prompt'
+    };
+
+    function describePromptVersionSource(version) {
+        switch (version.source) {
+            case 'initial': return 'Prompts before history was kept';
+            case 'reset': return 'Reset to defaults';
+            case 'rollback': return `Rolled back to version ${version.restoredFrom}`;
+            default: return 'Saved';
+        }
+    }
+
+    function renderPromptDiff(change) {
+        if (!change.diff) {
+            return '<p class="prompt-diff-note">Too many changed lines to show.</p>';
+        }
+        const lines = change.diff.map(line => `
+            <div class="prompt-diff-line ${line.op === '+' ? 'added' : 'removed'}"><span class="prompt-diff-number">${line.line}</span>${line.op} ${escapeHtml(line.text)}</div>`).join('');
+        return `<div class="prompt-diff">${lines}</div>`;
+    }
+
+    function renderPromptVersions(versions) {
+        if (!versions.length) {
+            return '<p class="section-description">No versions yet. One is recorded each time these prompts are saved.</p>';
+        }
+        return versions.map((version, index) => {
+            const changed = version.changes.map(change => PROMPT_KEY_LABELS[change.key] || change.key).join(', ');
+            const author = version.createdByName || (version.source === 'initial' ? '' : 'Unknown');
+            const changes = version.changes.map(change => `
+                <h5>${escapeHtml(PROMPT_KEY_LABELS[change.key] || change.key)}</h5>
+                ${renderPromptDiff(change)}`).join('');
+            const rollback = index === 0
+                ? '<p class="prompt-version-current">Current version</p>'
+                : `<button type="button" class="secondary-button" data-rollback-version="${version.version}">Roll back to version ${version.version}</button>`;
+            return `
+                <details class="prompt-version">
+                    <summary>
+                        <strong>Version ${version.version}</strong>
+                        <span>${escapeHtml(new Date(version.createdAt).toLocaleString())}</span>
+                        ${author ? `<span>${escapeHtml(author)}</span>` : ''}
+                        <span>${escapeHtml(describePromptVersionSource(version))}</span>
+                        ${changed ? `<span class="prompt-version-changed">Changed: ${escapeHtml(changed)}</span>` : ''}
+                    </summary>
+                    ${changes}
+                    ${rollback}
+                </details>`;
+        }).join('');
+    }
+
+    async function loadPromptHistory(listId) {
+        const list = document.getElementById(listId);
+        if (!list) return;
+
+        try {
+            const courseId = await getCurrentCourseId();
+            if (!courseId) return;
+            const response = await fetch(`/api/settings/prompts/versions?courseId=${encodeURIComponent(courseId)}&kind=${list.dataset.kind}`);
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.message || 'Failed to load prompt history');
+            }
+            list.innerHTML = renderPromptVersions(result.versions);
+        } catch (error) {
+            console.error('Error loading prompt history:', error);
+        }
+    }
+
+    function initPromptHistoryRollback() {
+        document.querySelectorAll('.prompt-history-list').forEach(list => {
+            list.addEventListener('click', async event => {
+                const button = event.target.closest('[data-rollback-version]');
+                if (!button) return;
+                const version = Number(button.dataset.rollbackVersion);
+                if (!confirm(`Restore the prompt text from version ${version}? The current prompts stay in the history.`)) return;
+
+                button.disabled = true;
+                try {
+                    const response = await fetch(`/api/settings/prompts/versions/${version}/rollback`, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ courseId: await getCurrentCourseId(), kind: list.dataset.kind })
+                    });
+                    const result = await response.json();
+                    if (!response.ok || !result.success) {
+                        throw new Error(result.message || 'Failed to roll back prompts');
+                    }
+                    if (list.dataset.kind === 'questionPrompts') {
+                        applyQuestionPromptValues(result.prompts);
+                    } else {
+                        await loadGlobalConfig();
+                    }
+                    await loadPromptHistory(list.id);
+                    showNotification(result.message, 'success');
+                } catch (error) {
+                    console.error('Error rolling back prompts:', error);
+                    showNotification(error.message || 'Failed to roll back prompts', 'error');
+                    button.disabled = false;
+                }
+            });
+        });
+    }
+
+    function formatVariantFeedback(stats) {
+        return `${stats.up} up / ${stats.down} down`;
+    }
+
+    function formatVariantRating(value) {
+        return value === null ? '—' : `${value} / 5`;
+    }
+
+    function renderPromptExperiment(experiment) {
+        const { feedback, survey } = experiment.results;
+        const rows = ['A', 'B'].map(variant => `
+            <tr>
+                <th scope="row">${variant}${variant === 'A' ? ' (current prompt)' : ''}</th>
+                <td>${variant === 'A' ? 100 - experiment.splitPercent : experiment.splitPercent}%</td>
+                <td>${formatVariantFeedback(feedback[variant])}</td>
+                <td>${survey[variant].submitted}</td>
+                <td>${formatVariantRating(survey[variant].averageAccuracy)}</td>
+                <td>${formatVariantRating(survey[variant].averageSatisfaction)}</td>
+            </tr>`).join('');
+        const running = experiment.status === 'running';
+        return `
+            <div class="prompt-experiment ${running ? 'running' : ''}">
+                <h4>${escapeHtml(experiment.name)} <span class="prompt-experiment-status">${running ? 'Running' : 'Stopped'}</span></h4>
+                <p>${escapeHtml(PROMPT_KEY_LABELS[experiment.promptKey] || experiment.promptKey)} · started ${escapeHtml(new Date(experiment.startedAt).toLocaleString())}${experiment.stoppedAt ? ` · stopped ${escapeHtml(new Date(experiment.stoppedAt).toLocaleString())}` : ''}</p>
+                <table class="prompt-variable-table prompt-experiment-results">
+                    <thead><tr>
+                        <th scope="col">Variant</th><th scope="col">Students</th><th scope="col">Feedback</th>
+                        <th scope="col">Surveys</th><th scope="col">Avg. accuracy</th><th scope="col">Avg. satisfaction</th>
+                    </tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+                <details>
+                    <summary>Variant B prompt</summary>
+                    <pre class="prompt-preview-output">${escapeHtml(experiment.variants.B.prompt)}</pre>
+                </details>
+                ${running ? `<button type="button" class="secondary-button" data-stop-experiment="${escapeHtml(experiment.experimentId)}">Stop experiment</button>` : ''}
+            </div>`;
+    }
+
+    async function loadPromptExperiments() {
+        const list = document.getElementById('prompt-experiment-list');
+        if (!list) return;
+
+        try {
+            const courseId = await getCurrentCourseId();
+            if (!courseId) return;
+            const response = await fetch(`/api/settings/prompt-experiments?courseId=${encodeURIComponent(courseId)}`);
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.message || 'Failed to load prompt experiments');
+            }
+            list.innerHTML = result.experiments.map(renderPromptExperiment).join('');
+
+            // Only one experiment runs at a time.
+            const startButton = document.getElementById('start-prompt-experiment');
+            if (startButton) {
+                startButton.hidden = result.experiments.some(experiment => experiment.status === 'running');
+            }
+        } catch (error) {
+            console.error('Error loading prompt experiments:', error);
+        }
+    }
+
+    // Variant B starts as a copy of the selected prompt's saved text.
+    function fillExperimentVariantB() {
+        const keySelect = document.getElementById('prompt-experiment-key');
+        const variantB = document.getElementById('prompt-experiment-variant-b');
+        if (!keySelect || !variantB) return;
+        const source = document.getElementById(keySelect.options[keySelect.selectedIndex].dataset.source);
+        variantB.value = source ? source.value : '';
+    }
+
+    async function startPromptExperiment() {
+        const response = await fetch('/api/settings/prompt-experiments', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                courseId: await getCurrentCourseId(),
+                name: document.getElementById('prompt-experiment-name')?.value,
+                promptKey: document.getElementById('prompt-experiment-key')?.value,
+                splitPercent: Number(document.getElementById('prompt-experiment-split')?.value),
+                variantB: document.getElementById('prompt-experiment-variant-b')?.value
+            })
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || 'Failed to start experiment');
+        }
+        document.getElementById('prompt-experiment-name').value = '';
+        await loadPromptExperiments();
+        showNotification('Prompt experiment started', 'success');
+    }
+
+    function initPromptExperiments() {
+        document.getElementById('prompt-experiment-key')?.addEventListener('change', fillExperimentVariantB);
+        document.getElementById('prompt-experiment-list')?.addEventListener('click', async event => {
+            const button = event.target.closest('[data-stop-experiment]');
+            if (!button) return;
+            if (!confirm('Stop this experiment? All students go back to the current prompt. Results are kept.')) return;
+
+            button.disabled = true;
+            try {
+                const response = await fetch(`/api/settings/prompt-experiments/${encodeURIComponent(button.dataset.stopExperiment)}/stop`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ courseId: await getCurrentCourseId() })
+                });
+                const result = await response.json();
+                if (!response.ok || !result.success) {
+                    throw new Error(result.message || 'Failed to stop experiment');
+                }
+                await loadPromptExperiments();
+                showNotification('Prompt experiment stopped', 'success');
+            } catch (error) {
+                console.error('Error stopping prompt experiment:', error);
+                showNotification(error.message || 'Failed to stop experiment', 'error');
+                button.disabled = false;
+            }
+        });
+    }
+
     /**
      * Load question generation prompts for system admins only
      * These are course-specific prompts used for AI question generation
@@ -1574,6 +2259,10 @@ document.addEventListener('DOMContentLoaded', async () => {
         if (trueFalseInput) trueFalseInput.value = promptValues.trueFalse || '';
         if (multipleChoiceInput) multipleChoiceInput.value = promptValues.multipleChoice || '';
         if (shortAnswerInput) shortAnswerInput.value = promptValues.shortAnswer || '';
+        Object.entries(STRUCTURED_QUESTION_PROMPT_INPUTS).forEach(([key, inputId]) => {
+            const input = document.getElementById(inputId);
+            if (input) input.value = promptValues[key] || '';
+        });
     }
 
     /**
@@ -1795,15 +2484,51 @@ document.addEventListener('DOMContentLoaded', async () => {
        round-trip their current server values).
        ============================================= */
 
+    function applyRerankSettings(rerank) {
+        const settings = { ...DEFAULT_RERANK_SETTINGS, ...(rerank || {}) };
+        const rerankToggle = document.getElementById('rerank-toggle');
+        const scorerSelect = document.getElementById('rerank-scorer-select');
+        const candidatesInput = document.getElementById('rerank-candidates-input');
+        if (rerankToggle) rerankToggle.checked = settings.enabled === true;
+        if (scorerSelect) scorerSelect.value = settings.scorer;
+        if (candidatesInput) candidatesInput.value = settings.candidateCount;
+    }
+
+    function collectRerankSettings() {
+        return {
+            enabled: !!document.getElementById('rerank-toggle')?.checked,
+            scorer: document.getElementById('rerank-scorer-select')?.value || DEFAULT_RERANK_SETTINGS.scorer,
+            candidateCount: Number(document.getElementById('rerank-candidates-input')?.value || DEFAULT_RERANK_SETTINGS.candidateCount)
+        };
+    }
+
+    function applyAnswerCacheSettings(answerCache) {
+        const settings = { ...DEFAULT_ANSWER_CACHE_SETTINGS, ...(answerCache || {}) };
+        const answerCacheToggle = document.getElementById('answer-cache-toggle');
+        const thresholdInput = document.getElementById('answer-cache-threshold-input');
+        if (answerCacheToggle) answerCacheToggle.checked = settings.enabled === true;
+        if (thresholdInput) thresholdInput.value = settings.similarityThreshold;
+    }
+
+    function collectAnswerCacheSettings() {
+        return {
+            enabled: !!document.getElementById('answer-cache-toggle')?.checked,
+            similarityThreshold: Number(document.getElementById('answer-cache-threshold-input')?.value || DEFAULT_ANSWER_CACHE_SETTINGS.similarityThreshold)
+        };
+    }
+
     async function saveAiSettingsToServer() {
         const courseId = await getCurrentCourseId();
         const superchatIds = collectCourseSuperchatIds();
         const studentTopK = Number(document.getElementById('student-chat-topk-input')?.value || 3);
+        const studentRetrievalMode = document.getElementById('hybrid-retrieval-toggle')?.checked ? 'hybrid' : 'vector';
+        const studentRerank = collectRerankSettings();
+        const studentAnswerCache = collectAnswerCacheSettings();
         const response = await fetch('/api/settings/ai-settings', {
             method: 'PUT',
             headers: { 'Content-Type': 'application/json' },
             credentials: 'include',
-            body: JSON.stringify({ courseId, superchatIds, studentTopK })
+            body: JSON.stringify({ courseId, superchatIds, studentTopK, studentRetrievalMode, studentRerank, studentAnswerCache })
         });
         const result = await response.json();
         if (!response.ok || !result.success) {
@@ -2031,6 +2756,130 @@ document.addEventListener('DOMContentLoaded', async () => {
     }, { busyLabel: 'Testing...' });
 
     // Course basics
+    const courseRateLimitsInherit = document.getElementById('course-rate-limits-inherit');
+    if (courseRateLimitsInherit) {
+        courseRateLimitsInherit.addEventListener('change', () => {
+            RATE_LIMIT_FIELDS.forEach(field => {
+                const input = document.getElementById(`course-rate-limit-${field}-input`);
+                if (input) input.disabled = courseRateLimitsInherit.checked;
+            });
+        });
+    }
+
+    wireSectionButton('save-course-rate-limits', async () => {
+        const courseId = await getCurrentCourseId();
+        if (!courseId) throw new Error('Select a course first');
+        const rateLimits = {};
+        if (!courseRateLimitsInherit.checked) {
+            rateLimits.student = {};
+            RATE_LIMIT_FIELDS.forEach(field => {
+                rateLimits.student[field] = readLimitInput(document.getElementById(`course-rate-limit-${field}-input`));
+            });
+        }
+        const response = await fetch('/api/settings/rate-limits', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ courseId, rateLimits })
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || 'Failed to save AI limits');
+        }
+        applyCourseRateLimits(result.rateLimits);
+        showNotification('AI limits saved', 'success');
+    }, { busyLabel: 'Saving...' });
+
+    wireSectionButton('save-platform-rate-limits', async () => {
+        const limits = {};
+        ['student', 'ta', 'instructor'].forEach(role => {
+            limits[role] = {};
+            RATE_LIMIT_FIELDS.forEach(field => {
+                limits[role][field] = readLimitInput(document.getElementById(`platform-rate-limit-${role}-${field}`));
+            });
+        });
+        const response = await fetch('/api/settings/rate-limits/platform', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ limits })
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || 'Failed to save rate limits');
+        }
+        showNotification('Rate limits saved', 'success');
+        await loadCourseRateLimits();
+    }, { busyLabel: 'Saving...' });
+
+    [
+        ['add-course-wellness-resource', 'course-wellness-resource-rows'],
+        ['add-platform-wellness-resource', 'platform-wellness-resource-rows']
+    ].forEach(([buttonId, containerId]) => {
+        const button = document.getElementById(buttonId);
+        const container = document.getElementById(containerId);
+        if (!button || !container) return;
+        button.addEventListener('click', () => {
+            addWellnessResourceRow(container);
+            container.dispatchEvent(new Event('input', { bubbles: true }));
+        });
+    });
+
+    wireSectionButton('save-course-wellness-resources', async () => {
+        await saveCourseWellnessResources({
+            resources: readWellnessResourceRows('course-wellness-resource-rows'),
+            includePlatform: document.getElementById('course-wellness-include-platform').checked
+        });
+        showNotification('Support resources saved', 'success');
+    }, { busyLabel: 'Saving...' });
+
+    wireSectionButton('reset-course-wellness-resources', async () => {
+        await saveCourseWellnessResources(null);
+        showNotification('This course now uses the platform support resources', 'success');
+    }, { busyLabel: 'Resetting...', confirmMessage: 'Remove this course\'s support resources and use the platform list?' });
+
+    wireSectionButton('save-platform-wellness-resources', async () => {
+        const response = await fetch('/api/settings/wellness-resources/platform', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ resources: readWellnessResourceRows('platform-wellness-resource-rows') })
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || 'Failed to save support resources');
+        }
+        renderWellnessResourceRows('platform-wellness-resource-rows', result.resources);
+        showNotification('Support resources saved', 'success');
+        await loadCourseWellnessResources();
+    }, { busyLabel: 'Saving...' });
+
+    wireSectionButton('save-token-budget', async () => {
+        const courseId = await getCurrentCourseId();
+        if (!courseId) throw new Error('Select a course first');
+        const valueOf = id => {
+            const raw = document.getElementById(id).value.trim();
+            return raw === '' ? null : Number(raw);
+        };
+        const response = await fetch('/api/settings/token-budget', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({
+                courseId,
+                dailyTokens: valueOf('daily-token-budget-input'),
+                monthlyTokens: valueOf('monthly-token-budget-input'),
+                degradeAtPercent: valueOf('token-budget-degrade-input')
+            })
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || 'Failed to save budgets');
+        }
+        showNotification('Budgets saved', 'success');
+        await loadTokenUsage();
+    }, { busyLabel: 'Saving...' });
+
     wireSectionButton('save-course-basics', async () => {
         const courseId = await getCurrentCourseId();
         const yearLevelSelect = document.getElementById('course-year-level-select');
@@ -2065,10 +2914,14 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     wireSectionButton('reset-student-chat', async () => {
         const topKInput = document.getElementById('student-chat-topk-input');
+        const hybridToggle = document.getElementById('hybrid-retrieval-toggle');
         const additiveToggle = document.getElementById('additive-retrieval-toggle');
         const additionalSecondaryToggle = document.getElementById('additional-material-secondary-toggle');
         const sourceAttributionToggle = document.getElementById('source-attribution-download-toggle');
         if (topKInput) topKInput.value = 3;
+        if (hybridToggle) hybridToggle.checked = false;
+        applyRerankSettings(DEFAULT_RERANK_SETTINGS);
+        applyAnswerCacheSettings(DEFAULT_ANSWER_CACHE_SETTINGS);
         if (additiveToggle) additiveToggle.checked = true;
         if (additionalSecondaryToggle) additionalSecondaryToggle.checked = false;
         if (sourceAttributionToggle) sourceAttributionToggle.checked = false;
@@ -2079,13 +2932,14 @@ document.addEventListener('DOMContentLoaded', async () => {
         await saveChatSurveySettingsToServer();
         showNotification('Student chat settings reset to defaults', 'success');
     }, {
-        confirmMessage: 'Reset student chat settings (Top-K, additive retrieval, additional material search, source downloads, and survey settings) to defaults?',
+        confirmMessage: 'Reset student chat settings (Top-K, hybrid keyword search, re-ranking, additive retrieval, additional material search, source downloads, and survey settings) to defaults?',
         busyLabel: 'Resetting...'
     });
 
     // Course prompts
     wireSectionButton('save-prompts', async () => {
         await savePromptsConfigToServer();
+        await loadPromptHistory('prompt-history-list');
         showNotification('Prompts saved', 'success');
     }, { busyLabel: 'Saving...' });
 
@@ -2100,12 +2954,18 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
         applyPromptValues(result.prompts);
         await savePromptsConfigToServer();
+        await loadPromptHistory('prompt-history-list');
         showNotification('Prompts reset to defaults', 'success');
     }, {
         confirmMessage: 'Reset all course prompt text to the default values?',
         busyLabel: 'Resetting...'
     });
 
+    wireSectionButton('preview-prompt', previewPrompt, { busyLabel: 'Rendering...' });
+    wireSectionButton('start-prompt-experiment', startPromptExperiment, { busyLabel: 'Starting...' });
+    initPromptHistoryRollback();
+    initPromptExperiments();
+
     // Quiz practice
     wireSectionButton('save-quiz-settings', async () => {
         await saveQuizConfigToServer();
@@ -2257,19 +3117,26 @@ document.addEventListener('DOMContentLoaded', async () => {
         const multipleChoice = document.getElementById('question-multiple-choice-prompt')?.value;
         const shortAnswer = document.getElementById('question-short-answer-prompt')?.value;
 
-        if (!systemPrompt || !trueFalse || !multipleChoice || !shortAnswer) {
-            throw new Error('All four question prompts are required');
+        const structuredPrompts = {};
+        Object.entries(STRUCTURED_QUESTION_PROMPT_INPUTS).forEach(([key, inputId]) => {
+            structuredPrompts[key] = document.getElementById(inputId)?.value;
+        });
+
+        if (!systemPrompt || !trueFalse || !multipleChoice || !shortAnswer ||
+            Object.values(structuredPrompts).some(value => !value)) {
+            throw new Error('All question prompts are required');
         }
 
         const response = await fetch('/api/settings/question-prompts', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ systemPrompt, trueFalse, multipleChoice, shortAnswer, courseId })
+            body: JSON.stringify({ systemPrompt, trueFalse, multipleChoice, shortAnswer, ...structuredPrompts, courseId })
         });
         const result = await response.json();
         if (!response.ok || !result.success) {
             throw new Error(result.message || 'Failed to save question prompts');
         }
+        await loadPromptHistory('question-prompt-history-list');
         showNotification('Question prompts saved', 'success');
     }, { busyLabel: 'Saving...' });
 
@@ -2285,6 +3152,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             throw new Error(result.message || 'Failed to reset question prompts');
         }
         applyQuestionPromptValues(result.prompts);
+        await loadPromptHistory('question-prompt-history-list');
         showNotification('Question prompts reset to defaults', 'success');
     }, {
         confirmMessage: 'Are you sure you want to reset all question generation prompts to default values? This only affects the current course.',
@@ -3040,6 +3908,83 @@ document.addEventListener('DOMContentLoaded', async () => {
         });
     }
 
+    if (answerCacheList) {
+        answerCacheList.addEventListener('click', async event => {
+            const pinButton = event.target.closest('.answer-cache-pin-btn');
+            const removeButton = event.target.closest('.answer-cache-remove-btn');
+            const button = pinButton || removeButton;
+            if (!button || !button.dataset.entryId) {
+                return;
+            }
+
+            if (removeButton && !confirm('Remove this cached answer? The next matching question will get a fresh answer.')) {
+                return;
+            }
+
+            button.disabled = true;
+
+            try {
+                const courseId = await getCurrentCourseId();
+                const entryUrl = `/api/settings/answer-cache/${encodeURIComponent(button.dataset.entryId)}`;
+                const response = pinButton
+                    ? await fetch(`${entryUrl}/pin`, {
+                        method: 'PUT',
+                        headers: { 'Content-Type': 'application/json' },
+                        credentials: 'include',
+                        body: JSON.stringify({ courseId, pinned: pinButton.dataset.pinned !== 'true' })
+                    })
+                    : await fetch(`${entryUrl}?courseId=${encodeURIComponent(courseId)}`, {
+                        method: 'DELETE',
+                        credentials: 'include'
+                    });
+                const result = await response.json();
+
+                if (!result.success) {
+                    showNotification(result.message || 'Failed to update cached answer.', 'error');
+                }
+            } catch (error) {
+                console.error('Error updating cached answer:', error);
+                showNotification('Failed to update cached answer.', 'error');
+            }
+
+            await loadAnswerCache();
+        });
+    }
+
+    if (purgeAnswerCacheBtn) {
+        purgeAnswerCacheBtn.addEventListener('click', async () => {
+            if (!confirm('Remove every unpinned cached answer for this course?')) {
+                return;
+            }
+
+            purgeAnswerCacheBtn.disabled = true;
+
+            try {
+                const courseId = await getCurrentCourseId();
+                const response = await fetch('/api/settings/answer-cache/purge', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    credentials: 'include',
+                    body: JSON.stringify({ courseId })
+                });
+                const result = await response.json();
+
+                if (!result.success) {
+                    showNotification(result.message || 'Failed to purge cached answers.', 'error');
+                    return;
+                }
+
+                showNotification(`Removed ${result.removed} cached answers.`, 'success');
+            } catch (error) {
+                console.error('Error purging cached answers:', error);
+                showNotification('Failed to purge cached answers.', 'error');
+            } finally {
+                purgeAnswerCacheBtn.disabled = false;
+                await loadAnswerCache();
+            }
+        });
+    }
+
     /**
      * Check if the current user has system admin access.
      * Toggles the admin-only sections, hub tiles, and rail links.
@@ -3050,6 +3995,8 @@ document.addEventListener('DOMContentLoaded', async () => {
             'database-management-section',
             'login-restriction-section',
             'academic-api-section',
+            'platform-rate-limits-section',
+            'platform-wellness-resources-section',
             'question-generation-section',
             'mental-health-detection-section',
             'system-admin-section',
@@ -302,6 +302,44 @@ function renderStudentGrades(userId) {
     `;
 }
 
+/**
+ * Quiz practice results inside one student card. The score counts partial
+ * credit from rubrics and structured questions; accuracy only full marks.
+ */
+function renderQuizSummary(summary) {
+    if (!summary || !summary.totalAttempts) {
+        return `
+                    <div class="student-quiz-summary" data-state="empty">
+                        <strong>Quiz results</strong>
+                        <p class="lms-grade-empty">No quiz attempts yet.</p>
+                    </div>
+        `;
+    }
+
+    const chips = [
+        ['Attempts', summary.totalAttempts],
+        ['Full credit', summary.correctCount],
+        ['Partial credit', summary.partialCount || 0],
+        ['Accuracy', `${summary.accuracy}%`]
+    ].map(([name, value]) => `
+                            <div class="lms-grade-chip">
+                                <span class="lms-grade-chip-name">${escapeHTML(name)}</span>
+                                <span class="lms-grade-chip-value">${escapeHTML(String(value))}</span>
+                            </div>
+    `).join('');
+
+    return `
+                    <div class="student-quiz-summary" data-state="attempted">
+                        <div class="lms-grade-heading">
+                            <strong>Quiz results</strong>
+                            <span class="lms-grade-total" title="Average score, including partial credit">${escapeHTML(`${summary.averageScore}%`)}</span>
+                        </div>
+                        <div class="lms-grade-chips">${chips}</div>
+                        ${summary.lastAttemptAt ? `<p class="lms-grade-match">Last attempt ${escapeHTML(formatDateTime(summary.lastAttemptAt))}</p>` : ''}
+                    </div>
+    `;
+}
+
 function renderUnmatchedPanel(match) {
     const panel = document.getElementById('lms-unmatched-panel');
     const summary = document.getElementById('lms-unmatched-summary');
@@ -953,6 +991,7 @@ function renderStudents(courseId) {
                     <p><strong>Email:</strong> ${escapeHTML(s.email || '—')}</p>
                     <p><strong>Last Login:</strong> ${s.lastLogin ? new Date(s.lastLogin).toLocaleString() : '—'}</p>
                     ${isTA ? '' : renderStudentGrades(s.userId)}
+                    ${isTA ? '' : renderQuizSummary(s.quizSummary)}
                     ${struggleTopicsSection}
                 </div>
                 <div class="student-actions">
@@ -44,6 +44,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Initialize
     fetchStruggleState();
     loadApprovedCourseTopicsGlobal();
+    loadFlashcardReviews();
 
     // Event Listeners
     resetAllBtn.addEventListener('click', () => showConfirmModal('ALL'));
@@ -56,6 +57,58 @@ document.addEventListener('DOMContentLoaded', async () => {
         Auth.logout();
     });
 
+    /**
+     * Load the flashcard review streak and the week's due forecast
+     */
+    async function loadFlashcardReviews() {
+        const section = document.querySelector('.flashcard-review-section');
+        if (!courseId) {
+            section.style.display = 'none';
+            return;
+        }
+
+        try {
+            const timezoneOffset = new Date().getTimezoneOffset();
+            const response = await fetch(`/api/flashcards/student/stats?courseId=${encodeURIComponent(courseId)}&timezoneOffset=${timezoneOffset}`);
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                section.style.display = 'none';
+                return;
+            }
+            renderFlashcardReviews(data.data);
+        } catch (error) {
+            console.error('Error fetching flashcard reviews:', error);
+            section.style.display = 'none';
+        }
+    }
+
+    function renderFlashcardReviews(stats) {
+        document.getElementById('flashcard-due-today').textContent = stats.dueToday;
+        document.getElementById('flashcard-streak').textContent = stats.streak.current;
+        document.getElementById('flashcard-longest-streak').textContent = stats.streak.longest;
+
+        const forecastEl = document.getElementById('flashcard-forecast');
+        const peak = Math.max(1, ...stats.forecast.map(day => day.count));
+        forecastEl.innerHTML = '';
+        stats.forecast.forEach((day, index) => {
+            const date = new Date(`${day.date}T00:00:00`);
+            const label = index === 0 ? 'Today' : date.toLocaleDateString(undefined, { weekday: 'short' });
+            const item = document.createElement('li');
+            item.setAttribute('aria-label', `${label}: ${day.count} card${day.count === 1 ? '' : 's'}`);
+
+            const count = document.createElement('span');
+            count.textContent = day.count;
+            const bar = document.createElement('span');
+            bar.className = 'flashcard-forecast-bar';
+            bar.style.height = `${Math.round((day.count / peak) * 70)}px`;
+            const dayLabel = document.createElement('span');
+            dayLabel.textContent = label;
+
+            item.append(count, bar, dayLabel);
+            forecastEl.appendChild(item);
+        });
+    }
+
     /**
      * Fetch struggle state from API
      */
@@ -14,6 +14,11 @@ document.addEventListener('DOMContentLoaded', async () => {
     const studyCard = document.getElementById('study-card');
     const reviewActions = document.getElementById('review-actions');
     const complete = document.getElementById('study-complete');
+    const startDueReview = document.getElementById('start-due-review');
+    const exportLink = document.getElementById('export-deck');
+    // Lets the server work out "today" in the student's own timezone
+    const timezoneOffset = new Date().getTimezoneOffset();
+    const KEY_RATINGS = { 1: 'again', 2: 'hard', 3: 'good', 4: 'easy', ArrowLeft: 'again', ArrowRight: 'good' };
 
     let decks = [];
     let activeDeck = null;
@@ -33,9 +38,15 @@ document.addEventListener('DOMContentLoaded', async () => {
         showCurrentCard();
     });
     studyCard.addEventListener('click', flipCard);
-    document.getElementById('review-again').addEventListener('click', () => reviewCard('again'));
-    document.getElementById('review-know').addEventListener('click', () => reviewCard('know'));
+    reviewActions.querySelectorAll('button[data-rating]').forEach(button => {
+        button.addEventListener('click', () => reviewCard(button.dataset.rating));
+    });
+    startDueReview.addEventListener('click', openDueReview);
     document.getElementById('restart-deck').addEventListener('click', () => {
+        if (activeDeck?.isDueQueue) {
+            openDueReview();
+            return;
+        }
         currentIndex = 0;
         shuffle(cards);
         complete.style.display = 'none';
@@ -50,17 +61,14 @@ document.addEventListener('DOMContentLoaded', async () => {
         if (event.key === ' ' || event.key === 'Enter') {
             event.preventDefault();
             flipCard();
-        } else if (flipped && event.key === 'ArrowLeft') {
+        } else if (flipped && KEY_RATINGS[event.key]) {
             event.preventDefault();
-            reviewCard('again');
-        } else if (flipped && event.key === 'ArrowRight') {
-            event.preventDefault();
-            reviewCard('know');
+            reviewCard(KEY_RATINGS[event.key]);
         }
     });
 
     try {
-        const response = await fetch(`/api/flashcards/student?courseId=${encodeURIComponent(courseId)}`);
+        const response = await fetch(`/api/flashcards/student?${studentQuery()}`);
         const result = await response.json();
         if (!response.ok || !result.success) throw new Error(result.message || 'Unable to load flashcard decks');
         decks = result.data || [];
@@ -72,10 +80,37 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
         renderDecks();
         library.style.display = '';
+        loadReviewStats();
     } catch (error) {
         showError(error.message);
     }
 
+    function studentQuery() {
+        return `courseId=${encodeURIComponent(courseId)}&timezoneOffset=${timezoneOffset}`;
+    }
+
+    async function loadReviewStats() {
+        const summary = document.getElementById('due-today-summary');
+        try {
+            const response = await fetch(`/api/flashcards/student/stats?${studentQuery()}`);
+            const result = await response.json();
+            if (!response.ok || !result.success) throw new Error(result.message || 'Unable to load your review schedule');
+
+            const { dueToday, newCards, streak } = result.data;
+            const reviews = dueToday - newCards;
+            summary.textContent = dueToday === 0
+                ? 'All caught up. Come back tomorrow for your next reviews.'
+                : `${reviews} card${reviews === 1 ? '' : 's'} to review and ${newCards} new.`;
+            document.getElementById('review-streak').textContent = streak.current > 0
+                ? `${streak.current}-day review streak${streak.reviewedToday ? '' : ' — review today to keep it going'}`
+                : '';
+            startDueReview.disabled = dueToday === 0;
+        } catch (error) {
+            summary.textContent = error.message;
+            startDueReview.disabled = true;
+        }
+    }
+
     function showError(message) {
         loading.style.display = 'none';
         errorState.textContent = message;
@@ -93,6 +128,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                 <strong>${escapeFlashcardHtml(deck.title)}</strong>
                 <span>${deck.cardCount} cards</span>
                 <span class="deck-mastery">${deck.knownCount} known</span>
+                <span class="deck-due">${deck.dueCount ? `${deck.dueCount} due today` : 'Nothing due today'}</span>
                 <span class="deck-progress-track"><span style="width: ${deck.cardCount ? Math.round((deck.knownCount / deck.cardCount) * 100) : 0}%"></span></span>
             `;
             button.addEventListener('click', () => openDeck(deck.deckId));
@@ -105,31 +141,78 @@ document.addEventListener('DOMContentLoaded', async () => {
         loading.style.display = '';
         library.style.display = 'none';
         try {
-            const response = await fetch(`/api/flashcards/student/${encodeURIComponent(deckId)}?courseId=${encodeURIComponent(courseId)}`);
+            const response = await fetch(`/api/flashcards/student/${encodeURIComponent(deckId)}?${studentQuery()}`);
             const result = await response.json();
             if (!response.ok || !result.success) throw new Error(result.message || 'Unable to open deck');
 
             activeDeck = result.data;
-            cards = [...(activeDeck.cards || [])];
-            currentIndex = 0;
-            document.getElementById('study-title').textContent = activeDeck.title;
-            document.getElementById('study-unit').textContent = activeDeck.lectureName;
-            loading.style.display = 'none';
-            studyArea.style.display = '';
-            complete.style.display = 'none';
-            studyCard.style.display = '';
-            showCurrentCard();
+            // Cards that are due (or never studied) come first
+            const now = Date.now();
+            const isDue = card => {
+                const dueAt = activeDeck.progress?.[card.cardId]?.dueAt;
+                return !dueAt || new Date(dueAt).getTime() <= now;
+            };
+            const deckCards = activeDeck.cards || [];
+            cards = [...deckCards.filter(isDue), ...deckCards.filter(card => !isDue(card))];
+            exportLink.href = `/api/flashcards/student/${encodeURIComponent(deckId)}/export?courseId=${encodeURIComponent(courseId)}&format=anki`;
+            exportLink.style.display = '';
+            startSession('Deck complete');
         } catch (error) {
             showError(error.message);
             library.style.display = '';
         }
     }
 
-    function showLibrary() {
+    async function openDueReview() {
+        loading.textContent = 'Loading today’s reviews…';
+        loading.style.display = '';
+        library.style.display = 'none';
+        try {
+            const response = await fetch(`/api/flashcards/student/due?${studentQuery()}`);
+            const result = await response.json();
+            if (!response.ok || !result.success) throw new Error(result.message || 'Unable to load due cards');
+
+            activeDeck = { isDueQueue: true, title: 'Today’s review', lectureName: 'All decks' };
+            exportLink.style.display = 'none';
+            cards = [...result.data.cards];
+            startSession('Reviews complete');
+        } catch (error) {
+            showError(error.message);
+            library.style.display = '';
+        }
+    }
+
+    function startSession(completeTitle) {
+        currentIndex = 0;
+        document.getElementById('study-title').textContent = activeDeck.title;
+        document.getElementById('study-unit').textContent = activeDeck.lectureName;
+        document.getElementById('study-complete-title').textContent = completeTitle;
+        loading.style.display = 'none';
+        studyArea.style.display = '';
+        complete.style.display = 'none';
+        studyCard.style.display = '';
+        showCurrentCard();
+    }
+
+    async function showLibrary() {
         studyArea.style.display = 'none';
         complete.style.display = 'none';
         library.style.display = '';
         activeDeck = null;
+        await refreshDecks();
+        loadReviewStats();
+    }
+
+    async function refreshDecks() {
+        try {
+            const response = await fetch(`/api/flashcards/student?${studentQuery()}`);
+            const result = await response.json();
+            if (!response.ok || !result.success) return;
+            decks = result.data || [];
+            renderDecks();
+        } catch {
+            // Keep the list already on screen
+        }
     }
 
     function showCurrentCard() {
@@ -140,7 +223,9 @@ document.addEventListener('DOMContentLoaded', async () => {
 
         flipped = false;
         const card = cards[currentIndex];
-        document.getElementById('card-side-label').textContent = 'Front';
+        document.getElementById('card-side-label').textContent = card.lectureName && activeDeck.isDueQueue
+            ? `Front · ${card.lectureName}`
+            : 'Front';
         document.getElementById('card-content').textContent = card.front;
         document.getElementById('card-source').style.display = 'none';
         document.getElementById('flip-hint').textContent = 'Press to reveal the answer';
@@ -178,13 +263,16 @@ document.addEventListener('DOMContentLoaded', async () => {
         const card = cards[currentIndex];
         reviewActions.querySelectorAll('button').forEach(button => { button.disabled = true; });
         try {
-            const response = await fetch(`/api/flashcards/student/${encodeURIComponent(activeDeck.deckId)}/review`, {
+            const deckId = card.deckId || activeDeck.deckId;
+            const response = await fetch(`/api/flashcards/student/${encodeURIComponent(deckId)}/review`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ courseId, cardId: card.cardId, rating })
+                body: JSON.stringify({ courseId, cardId: card.cardId, rating, timezoneOffset })
             });
             const result = await response.json();
             if (!response.ok || !result.success) throw new Error(result.message || 'Unable to save progress');
+            // A forgotten card comes back later in the same session
+            if (rating === 'again') cards.push(card);
             currentIndex += 1;
             showCurrentCard();
         } catch (error) {
@@ -20,6 +20,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     let sessionCorrect = 0;
     let sessionTotal = 0;
     let answered = false;
+    let structuredInput = null;
 
     // Quiz help chat state
     let quizChatHistory = [];
@@ -192,7 +193,12 @@ document.addEventListener('DOMContentLoaded', async () => {
         document.getElementById('question-unit').textContent = q.lectureName;
 
         const typeBadge = document.getElementById('question-type-badge');
-        const typeLabels = { 'multiple-choice': 'Multiple Choice', 'true-false': 'True/False', 'short-answer': 'Short Answer' };
+        const typeLabels = {
+            'multiple-choice': 'Multiple Choice',
+            'true-false': 'True/False',
+            'short-answer': 'Short Answer',
+            ...StructuredQuestions.LABELS
+        };
         typeBadge.textContent = typeLabels[q.questionType] || q.questionType;
 
 
@@ -203,6 +209,10 @@ document.addEventListener('DOMContentLoaded', async () => {
         document.getElementById('mc-options').style.display = 'none';
         document.getElementById('tf-options').style.display = 'none';
         document.getElementById('sa-container').style.display = 'none';
+        const structuredContainer = document.getElementById('structured-container');
+        structuredContainer.style.display = 'none';
+        structuredContainer.innerHTML = '';
+        structuredInput = null;
 
         // Show appropriate answer area
         if (q.questionType === 'multiple-choice') {
@@ -240,6 +250,10 @@ document.addEventListener('DOMContentLoaded', async () => {
             const saInput = document.getElementById('sa-input');
             saInput.value = '';
             saInput.disabled = false;
+        } else if (StructuredQuestions.isStructured(q.questionType)) {
+            structuredInput = StructuredQuestions.render(q, `quiz-${currentIndex}`);
+            structuredContainer.appendChild(structuredInput.element);
+            structuredContainer.style.display = '';
         }
 
         // Reset buttons & feedback
@@ -278,6 +292,13 @@ document.addEventListener('DOMContentLoaded', async () => {
                 showToast('Please type your answer.');
                 return;
             }
+        } else if (structuredInput) {
+            const result = structuredInput.getAnswer();
+            if (result.error) {
+                showToast(result.error);
+                return;
+            }
+            studentAnswer = result.answer;
         }
 
         answered = true;
@@ -286,6 +307,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
         let correct = false;
         let feedback = '';
+        let evaluation = null;
 
         let serverCorrectAnswer = null;
 
@@ -309,6 +331,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
             const data = await res.json();
             if (data.success && data.data) {
+                evaluation = data.data;
                 correct = data.data.correct;
                 feedback = data.data.feedback || (correct ? 'Correct!' : 'Incorrect.');
                 serverCorrectAnswer = data.data.correctAnswer ?? null;
@@ -318,6 +341,8 @@ document.addEventListener('DOMContentLoaded', async () => {
 
             if (q.questionType === 'multiple-choice' || q.questionType === 'true-false') {
                 highlightOptions(q, studentAnswer, serverCorrectAnswer);
+            } else if (structuredInput) {
+                structuredInput.setDisabled(true);
             } else {
                 document.getElementById('sa-input').disabled = true;
             }
@@ -327,7 +352,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
 
         // Show feedback
-        showFeedback(correct, feedback);
+        showFeedback(correct, feedback, evaluation);
 
         // Update session stats
         sessionTotal++;
@@ -405,14 +430,38 @@ document.addEventListener('DOMContentLoaded', async () => {
         });
     }
 
-    function showFeedback(correct, text) {
+    function showFeedback(correct, text, evaluation = null) {
         const container = document.getElementById('feedback-container');
         const icon = document.getElementById('feedback-icon');
         const textEl = document.getElementById('feedback-text');
-
-        container.className = 'feedback-container ' + (correct ? 'correct' : 'incorrect');
-        icon.textContent = correct ? '\u2705' : '\u274C';
-        textEl.textContent = text;
+        const breakdown = document.getElementById('rubric-breakdown');
+        const partial = !correct && typeof evaluation?.score === 'number' && evaluation.score > 0;
+
+        container.className = 'feedback-container ' + (correct ? 'correct' : (partial ? 'partial' : 'incorrect'));
+        icon.textContent = correct ? '\u2705' : (partial ? '\u25D0' : '\u274C');
+        textEl.textContent = partial ? `${text} (Score: ${Math.round(evaluation.score * 100)}%)` : text;
+
+        breakdown.innerHTML = '';
+        breakdown.style.display = 'none';
+        if (Array.isArray(evaluation?.criteria)) {
+            evaluation.criteria.forEach(criterion => {
+                const item = document.createElement('li');
+                const points = document.createElement('span');
+                points.className = 'rubric-criterion-points';
+                points.textContent = `${criterion.earned}/${criterion.points}`;
+                const detail = document.createElement('span');
+                detail.textContent = criterion.description;
+                if (criterion.feedback) {
+                    const note = document.createElement('span');
+                    note.className = 'rubric-criterion-feedback';
+                    note.textContent = criterion.feedback;
+                    detail.appendChild(note);
+                }
+                item.append(points, detail);
+                breakdown.appendChild(item);
+            });
+            breakdown.style.display = '';
+        }
         container.style.display = '';
     }
 
@@ -518,10 +567,12 @@ document.addEventListener('DOMContentLoaded', async () => {
         } else if (question.questionType === 'short-answer') {
             // Short-answer correctAnswer is not on the client; server will look it up
             correctAnswerStr = '[evaluated by AI on server]';
+        } else if (serverCorrectAnswer) {
+            correctAnswerStr = String(serverCorrectAnswer);
         }
 
         // Build student answer display string
-        let studentAnswerStr = studentAnswer;
+        let studentAnswerStr = Array.isArray(studentAnswer) ? studentAnswer.join('; ') : studentAnswer;
         if (question.questionType === 'multiple-choice' && question.options && question.options[studentAnswer]) {
             studentAnswerStr = `${studentAnswer}. ${question.options[studentAnswer]}`;
         }
@@ -632,12 +683,21 @@ document.addEventListener('DOMContentLoaded', async () => {
             const data = await response.json();
             quizChatTyping.style.display = 'none';
 
-            if (data.success) {
+            if (window.RateLimitNotice && RateLimitNotice.isRateLimited(response, data)) {
+                quizChatHistory.pop();
+                RateLimitNotice.show(data, {
+                    anchor: document.querySelector('.quiz-chat-input-area'),
+                    controls: [quizChatInput, document.getElementById('quiz-chat-send')]
+                });
+            } else if (data.success) {
                 if (typeof window.applyLLMBodyTag === 'function') {
                     await window.applyLLMBodyTag();
                 }
                 const botMessage = data.message;
                 addQuizChatMessage(botMessage, data.source === 'system' ? 'system' : 'bot');
+                if (data.wellnessResources && window.WellnessResources) {
+                    WellnessResources.append(quizChatMessages, data.wellnessResources);
+                }
                 quizChatHistory.push({ role: 'assistant', content: botMessage });
             } else {
                 addQuizChatMessage('Sorry, I had trouble processing that. Please try again.', 'system');
@@ -672,6 +732,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         document.getElementById('stat-total').textContent = stats.totalAttempts;
         document.getElementById('stat-correct').textContent = stats.correctCount;
         document.getElementById('stat-accuracy').textContent = stats.accuracy + '%';
+        document.getElementById('stat-score').textContent = (stats.averageScore ?? stats.accuracy) + '%';
     }
 
     function showDisabled(message) {
@@ -555,6 +555,13 @@ async function loadQuestionsForSelectedUnit(unitName) {
                     options: cleanOptions,
                     correctAnswer: q.correctAnswer,
                     explanation: q.explanation || '',
+                    // Answer keys for the structured types (numeric, blanks, matching, ordering)
+                    numeric: q.numeric,
+                    blanks: q.blanks,
+                    pairs: q.pairs,
+                    distractors: q.distractors,
+                    items: q.items,
+                    rubric: q.rubric,
                     unitName: selectedUnit.name,
                     passThreshold: selectedUnit.passThreshold !== undefined && selectedUnit.passThreshold !== null ? selectedUnit.passThreshold : 0
                 };
@@ -609,6 +616,13 @@ async function loadQuestionsForSelectedUnit(unitName) {
                                 options: cleanOptions,
                                 correctAnswer: q.correctAnswer,
                                 explanation: q.explanation || '',
+                                // Answer keys for the structured types (numeric, blanks, matching, ordering)
+                                numeric: q.numeric,
+                                blanks: q.blanks,
+                                pairs: q.pairs,
+                                distractors: q.distractors,
+                                items: q.items,
+                                rubric: q.rubric,
                                 unitName: selectedUnit.name,
                                 passThreshold: selectedUnit.passThreshold !== undefined && selectedUnit.passThreshold !== null ? selectedUnit.passThreshold : 0
                             };
@@ -952,6 +966,22 @@ function showCalibrationQuestion() {
         submitButton.onclick = () => submitShortAnswer(answerInput.value, currentQuestionIndex);
 
         answerContainer.appendChild(answerInput);
+        answerContainer.appendChild(submitButton);
+        contentDiv.appendChild(answerContainer);
+    } else if (window.StructuredQuestions && StructuredQuestions.isStructured(question.type)) {
+        // Numeric, fill-in-the-blank, matching, and ordering inputs
+        const questionIndex = currentQuestionIndex;
+        const answerContainer = document.createElement('div');
+        answerContainer.classList.add('calibration-structured-answer');
+
+        const structuredInput = StructuredQuestions.render(question, `calibration-${questionIndex}`);
+        answerContainer.appendChild(structuredInput.element);
+
+        const submitButton = document.createElement('button');
+        submitButton.classList.add('calibration-submit-btn');
+        submitButton.textContent = 'Submit Answer';
+        submitButton.onclick = () => submitStructuredAnswer(structuredInput, questionIndex);
+
         answerContainer.appendChild(submitButton);
         contentDiv.appendChild(answerContainer);
     } else {
@@ -1183,6 +1213,7 @@ async function submitShortAnswer(answer, questionIndex) {
                 studentAnswer: answer,
                 expectedAnswer: expectedAnswer,
                 questionType: 'short-answer',
+                rubric: question.rubric || undefined,
                 studentName: studentName
             })
         });
@@ -1203,8 +1234,13 @@ async function submitShortAnswer(answer, questionIndex) {
                 feedbackDiv.style.color = isCorrect ? '#155724' : '#721c24';
                 feedbackDiv.style.border = isCorrect ? '1px solid #c3e6cb' : '1px solid #f5c6cb';
                 
+                // Rubric-graded answers report the points earned as well
+                const scoreLine = typeof evaluation.pointsPossible === 'number'
+                    ? `<div style="margin-bottom:4px;">Score: ${evaluation.pointsEarned}/${evaluation.pointsPossible}</div>`
+                    : '';
                 feedbackDiv.innerHTML = `
                     <div style="font-weight:600; margin-bottom:4px;">${isCorrect ? '✅ Correct' : '❌ Needs Improvement'}</div>
+                    ${scoreLine}
                     <div>${evaluation.feedback}</div>
                 `;
             }
@@ -1261,6 +1297,119 @@ async function submitShortAnswer(answer, questionIndex) {
     }, 2500); // 2.5 second delay to read feedback
 }
 
+/**
+ * Handle a numeric, fill-in-the-blank, matching, or ordering answer.
+ * These are graded against the answer key on the server, without AI.
+ * @param {Object} structuredInput - Inputs from StructuredQuestions.render()
+ * @param {number} questionIndex - The question index this answer belongs to
+ */
+async function submitStructuredAnswer(structuredInput, questionIndex) {
+    const { answer, error } = structuredInput.getAnswer();
+    if (error) {
+        alert(error);
+        return;
+    }
+
+    // Store the answer
+    studentAnswers[questionIndex] = answer;
+    window.studentAnswers = studentAnswers; // Update global reference
+
+    const questionMessage = document.getElementById(`calibration-question-${questionIndex}`);
+    const submitButton = questionMessage ? questionMessage.querySelector('.calibration-submit-btn') : null;
+    const feedbackDiv = document.createElement('div');
+    feedbackDiv.className = 'calibration-feedback';
+    feedbackDiv.style.marginTop = '10px';
+    feedbackDiv.style.padding = '12px';
+    feedbackDiv.style.borderRadius = '6px';
+    feedbackDiv.style.fontSize = '0.9em';
+    feedbackDiv.style.lineHeight = '1.4';
+    if (submitButton) {
+        submitButton.parentNode.insertBefore(feedbackDiv, submitButton.nextSibling);
+        submitButton.disabled = true;
+        submitButton.textContent = 'Checking...';
+    }
+    structuredInput.setDisabled(true);
+
+    if (!window.studentEvaluations) window.studentEvaluations = [];
+    const question = currentCalibrationQuestions[questionIndex];
+
+    try {
+        const response = await fetch('/api/questions/check-answer', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                courseId: localStorage.getItem('selectedCourseId'),
+                questionType: question.type,
+                question: question.question,
+                studentAnswer: answer,
+                numeric: question.numeric,
+                blanks: question.blanks,
+                pairs: question.pairs,
+                distractors: question.distractors,
+                items: question.items
+            })
+        });
+
+        const result = await response.json();
+        if (!result.success || !result.data) {
+            throw new Error(result.message || 'Failed to check answer');
+        }
+
+        const evaluation = result.data;
+        window.studentEvaluations[questionIndex] = evaluation;
+
+        feedbackDiv.style.backgroundColor = evaluation.correct ? '#d4edda' : '#f8d7da';
+        feedbackDiv.style.color = evaluation.correct ? '#155724' : '#721c24';
+        feedbackDiv.style.border = evaluation.correct ? '1px solid #c3e6cb' : '1px solid #f5c6cb';
+        const heading = document.createElement('div');
+        heading.style.fontWeight = '600';
+        heading.style.marginBottom = '4px';
+        heading.textContent = evaluation.correct ? '✅ Correct' : '❌ Needs Improvement';
+        const body = document.createElement('div');
+        body.textContent = evaluation.feedback;
+        feedbackDiv.append(heading, body);
+
+        if (submitButton) {
+            submitButton.textContent = 'Answer Submitted';
+        }
+    } catch (checkError) {
+        console.error('Error checking answer:', checkError);
+        feedbackDiv.innerHTML = '<em>Unable to check this answer. Proceeding...</em>';
+        window.studentEvaluations[questionIndex] = {
+            correct: false,
+            feedback: 'Could not check this answer.'
+        };
+    }
+
+    // Update auto-save with FRESH assessment data (capturing the UI feedback state)
+    try {
+        const studentId = getCurrentStudentId();
+        const autoSaveKey = `biocbot_current_chat_${studentId}`;
+        const currentChatData = await collectAllChatData();
+
+        if (currentChatData) {
+            currentChatData.lastActivityTimestamp = new Date().toISOString();
+            localStorage.setItem(autoSaveKey, JSON.stringify(currentChatData));
+            scheduleChatSessionExpiration(currentChatData);
+        }
+    } catch (e) {
+        console.error('Error auto-saving assessment answer:', e);
+    }
+
+    // Automatically proceed to next question after a short delay to read feedback
+    setTimeout(() => {
+        currentQuestionIndex++;
+
+        if (currentQuestionIndex < currentCalibrationQuestions.length) {
+            showCalibrationQuestion();
+        } else {
+            calculateStudentMode();
+        }
+    }, 2500);
+}
+
 /**
  * Calculate student mode based on answers to real assessment questions
  */
@@ -1376,7 +1525,10 @@ function showModeToggleResult(mode) {
     contentDiv.classList.add('message-content');
 
     const resultText = document.createElement('p');
-    if (mode === 'protege') {
+    if (mode === 'quizme') {
+        resultText.innerHTML = `<strong>BiocBot is now in quiz me mode</strong><br>
+        Send any message and I'll start asking you short questions about this unit. Type "stop" to finish early.`;
+    } else if (mode === 'protege') {
         resultText.innerHTML = `<strong>BiocBot is now in protégé mode</strong><br>
         I'm ready to be your study partner! Ask me questions about the course material and I'll help you explore topics together.`;
     } else {
@@ -1473,6 +1625,49 @@ function initializeModeToggle() {
     });
 }
 
+/**
+ * Whether quiz-me mode is on. It sits on top of the tutor/protégé choice,
+ * which is kept for when the quiz ends.
+ * @returns {boolean}
+ */
+function isQuizMeActive() {
+    return localStorage.getItem('quizMeActive') === 'true';
+}
+
+/**
+ * Turn quiz-me mode on or off and update the button
+ * @param {boolean} active
+ */
+function setQuizMeActive(active) {
+    if (active) {
+        localStorage.setItem('quizMeActive', 'true');
+    } else {
+        localStorage.removeItem('quizMeActive');
+    }
+
+    const quizMeButton = document.getElementById('quiz-me-toggle');
+    if (quizMeButton) {
+        quizMeButton.classList.toggle('active', active);
+        quizMeButton.setAttribute('aria-pressed', String(active));
+    }
+}
+
+/**
+ * Initialize the quiz me button
+ */
+function initializeQuizMeToggle() {
+    const quizMeButton = document.getElementById('quiz-me-toggle');
+    if (!quizMeButton) return;
+
+    setQuizMeActive(isQuizMeActive());
+
+    quizMeButton.addEventListener('click', function() {
+        const active = !isQuizMeActive();
+        setQuizMeActive(active);
+        showModeToggleResult(active ? 'quizme' : (localStorage.getItem('studentMode') || 'tutor'));
+    });
+}
+
 /**
  * Update the mode toggle UI to reflect current mode
  * @param {string} mode - Current mode (tutor or protege)
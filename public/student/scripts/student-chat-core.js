@@ -125,6 +125,86 @@ function renderRevokedAccessUI() {
     } catch (_) {}
 }
 
+/**
+ * Read a Server-Sent Events response from POST /api/chat/stream.
+ * Calls handlers[eventName](data) for each event in arrival order.
+ * @param {Response} response - fetch response with a text/event-stream body
+ * @param {Object} handlers - Map of event name to callback
+ * @returns {Promise<void>} Resolves when the server closes the stream
+ */
+async function readChatEventStream(response, handlers = {}) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const dispatch = (frame) => {
+        let eventName = 'message';
+        const dataLines = [];
+        frame.split('\n').forEach(line => {
+            if (line.startsWith('event:')) eventName = line.slice(6).trim();
+            else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+        });
+        if (!dataLines.length || typeof handlers[eventName] !== 'function') return;
+        handlers[eventName](JSON.parse(dataLines.join('\n')));
+    };
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        let boundary = buffer.indexOf('\n\n');
+        while (boundary !== -1) {
+            dispatch(buffer.slice(0, boundary));
+            buffer = buffer.slice(boundary + 2);
+            boundary = buffer.indexOf('\n\n');
+        }
+    }
+    if (buffer.trim()) dispatch(buffer);
+}
+
+/**
+ * Show the reply generated so far inside the pending bot bubble (the typing
+ * indicator), so the input stays locked until the answer completes. The
+ * bubble is replaced by a normal message via removeTypingIndicator + addMessage.
+ * @param {string} text - Full reply text received so far
+ * @param {Function|null} onStop - Called when the student presses Stop
+ */
+function updateStreamingBotMessage(text, onStop = null) {
+    const bubble = document.getElementById('typing-indicator');
+    if (!bubble) return;
+
+    let paragraph = bubble.querySelector('.streaming-text');
+    if (!paragraph) {
+        bubble.classList.add('streaming');
+        const dots = bubble.querySelector('.dots');
+        if (dots) dots.remove();
+
+        const contentDiv = document.createElement('div');
+        contentDiv.classList.add('message-content');
+        paragraph = document.createElement('p');
+        paragraph.classList.add('streaming-text');
+        paragraph.style.whiteSpace = 'pre-wrap';
+        contentDiv.appendChild(paragraph);
+
+        if (typeof onStop === 'function') {
+            const stopButton = document.createElement('button');
+            stopButton.type = 'button';
+            stopButton.classList.add('stop-streaming-btn');
+            stopButton.textContent = 'Stop';
+            stopButton.addEventListener('click', () => {
+                stopButton.disabled = true;
+                onStop();
+            });
+            contentDiv.appendChild(stopButton);
+        }
+        bubble.appendChild(contentDiv);
+    }
+
+    paragraph.innerText = text;
+    const chatMessages = document.getElementById('chat-messages');
+    if (chatMessages) chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
 /**
  * Handle explanation request for a message
  * @param {string} text - The message text to explain
@@ -155,12 +235,15 @@ async function handleExplainAction(text, topic = null, sourceMessageId = null) {
     
     // Show typing indicator
     showTypingIndicator();
+    const controller = new AbortController();
     
     try {
         // Send the clean text to the LLM - backend will wrap it with the Explain Mode prompt
         // Pass the topic if available so backend can increment struggle count
         const explanationOptions = topic ? { topic: topic } : true;
-        const response = await sendMessageToLLM(cleanText, false, null, explanationOptions);
+        const response = await sendMessageToLLM(cleanText, false, controller.signal, explanationOptions, {
+            onDelta: (soFar) => updateStreamingBotMessage(soFar, () => controller.abort())
+        });
         
         // Remove typing indicator
         removeTypingIndicator();
@@ -183,12 +266,20 @@ async function handleExplainAction(text, topic = null, sourceMessageId = null) {
                 sourceMessageId: resolvedSourceMessageId
             }
         );
+        if (window.WellnessResources) {
+            WellnessResources.appendForReply(document.getElementById('chat-messages'), response);
+        }
         if (typeof maybeShowChatSurvey === 'function') {
             maybeShowChatSurvey();
         }
         
     } catch (error) {
         removeTypingIndicator();
+        if (error.name === 'AbortError') {
+            addMessage('You have stopped this response', 'bot', false, true, null);
+            return;
+        }
+        if (error.name === 'RateLimitError') return;
         console.error('Explain error:', error);
         addMessage('Sorry, I encountered an error. Please try again.', 'bot', false, true, null);
     }
@@ -211,12 +302,14 @@ function renderSourceAttribution(sourceDiv, sourceAttribution) {
 
     if (!hasDownloadableSources) {
         sourceDiv.textContent = `Source: ${fallbackText}`;
+        appendSourceSections(sourceDiv, sourceAttribution);
         return;
     }
 
     const courseId = localStorage.getItem('selectedCourseId');
     if (!courseId) {
         sourceDiv.textContent = `Source: ${fallbackText}`;
+        appendSourceSections(sourceDiv, sourceAttribution);
         return;
     }
 
@@ -241,6 +334,86 @@ function renderSourceAttribution(sourceDiv, sourceAttribution) {
         link.title = 'Download source document';
         sourceDiv.appendChild(link);
     });
+    appendSourceSections(sourceDiv, sourceAttribution);
+}
+
+/**
+ * List the sections of imported web pages and books an answer drew on,
+ * linking back to the original page when it is on the web
+ */
+function appendSourceSections(sourceDiv, sourceAttribution) {
+    const sections = (sourceAttribution && Array.isArray(sourceAttribution.documents) ? sourceAttribution.documents : [])
+        .flatMap(doc => (doc && Array.isArray(doc.sections) ? doc.sections : []))
+        .filter(section => section && section.heading);
+    if (sections.length === 0) return;
+
+    sourceDiv.appendChild(document.createTextNode(' · Sections: '));
+    sections.forEach((section, index) => {
+        if (index > 0) {
+            sourceDiv.appendChild(document.createTextNode(', '));
+        }
+        if (typeof section.url === 'string' && /^https?:\/\//i.test(section.url)) {
+            const link = document.createElement('a');
+            link.href = section.url;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.textContent = section.heading;
+            link.title = 'Open the original page';
+            sourceDiv.appendChild(link);
+        } else {
+            sourceDiv.appendChild(document.createTextNode(section.heading));
+        }
+    });
+}
+
+function buildSourceFigureUrl(figure, courseId) {
+    const encodedDocId = encodeURIComponent(figure.documentId);
+    const encodedCourseId = encodeURIComponent(courseId);
+    return `/api/chat/source-documents/${encodedDocId}/figures/${encodeURIComponent(figure.figureNumber)}?courseId=${encodedCourseId}`;
+}
+
+/**
+ * Thumbnails for figures the answer drew on, under the source citation.
+ * Clicking one opens the full-size image.
+ */
+function renderSourceFigures(sourceDiv, sourceAttribution) {
+    const figures = sourceAttribution && Array.isArray(sourceAttribution.figures)
+        ? sourceAttribution.figures.filter(figure => figure && figure.documentId && figure.hasImage)
+        : [];
+    const courseId = localStorage.getItem('selectedCourseId');
+    if (figures.length === 0 || !courseId) return;
+
+    const list = document.createElement('div');
+    list.classList.add('message-source-figures');
+    figures.forEach(figure => {
+        const location = figure.slideNumber
+            ? `slide ${figure.slideNumber}`
+            : (figure.pageNumber ? `page ${figure.pageNumber}` : '');
+        const label = `Figure ${figure.figureNumber}${location ? `, ${location}` : ''}${figure.fileName ? ` — ${figure.fileName}` : ''}`;
+        const url = buildSourceFigureUrl(figure, courseId);
+
+        const link = document.createElement('a');
+        link.classList.add('message-source-figure');
+        link.href = url;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.title = figure.caption ? `${label}: ${figure.caption}` : label;
+
+        const image = document.createElement('img');
+        image.src = url;
+        image.alt = figure.caption || label;
+        image.loading = 'lazy';
+        // A figure removed since the answer was given: drop the empty frame.
+        image.addEventListener('error', () => link.remove());
+
+        const caption = document.createElement('span');
+        caption.textContent = `Figure ${figure.figureNumber}${location ? ` (${location})` : ''}`;
+
+        link.appendChild(image);
+        link.appendChild(caption);
+        list.appendChild(link);
+    });
+    sourceDiv.appendChild(list);
 }
 
 function getCurrentFeedbackConversationId() {
@@ -496,6 +669,7 @@ function addMessage(content, sender, withSource = false, skipAutoSave = false, s
         sourceDiv.classList.add('message-source');
 
         renderSourceAttribution(sourceDiv, sourceAttribution);
+        renderSourceFigures(sourceDiv, sourceAttribution);
 
         footerDiv.appendChild(sourceDiv);
     }
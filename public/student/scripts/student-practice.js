@@ -32,6 +32,11 @@ async function handlePracticeQuestion(topic) {
         removeTypingIndicator();
         const result = await response.json();
 
+        if (window.RateLimitNotice && RateLimitNotice.isRateLimited(response, result)) {
+            RateLimitNotice.show(result, { anchor: document.querySelector('.chat-input-container') });
+            return;
+        }
+
         if (!result.success) {
             addMessage(result.message || 'Failed to generate a practice question.', 'bot', false, true, null);
             return;
@@ -537,6 +537,64 @@ function formatHistoryDate(dateString) {
     }
 }
 
+/**
+ * Seed the local autosave from the student's most recent server-side thread
+ * for the selected unit, so a chat started on another device continues here.
+ * Only runs when this browser has no chat of its own, and only for a thread
+ * still inside the course's continue window. The normal auto-continue path
+ * then renders it.
+ * @returns {Promise<boolean>} True when a thread was copied into the autosave
+ */
+async function restoreLatestServerThread() {
+    try {
+        const studentId = getCurrentStudentId();
+        const courseId = localStorage.getItem('selectedCourseId');
+        const unitName = localStorage.getItem('selectedUnitName');
+        const chatData = getCurrentChatData();
+        if (!studentId || !courseId || !unitName || !chatData || !chatData.metadata) return false;
+        if (hasSavedChatSessionContent(chatData)) return false;
+
+        const params = new URLSearchParams({ courseId, unitName, limit: '1' });
+        const listResponse = await fetch(`/api/chat/threads?${params.toString()}`);
+        if (!listResponse.ok) return false;
+        const listResult = await listResponse.json();
+        const latest = listResult && listResult.data && Array.isArray(listResult.data.threads)
+            ? listResult.data.threads[0]
+            : null;
+        if (!latest || isSavedChatSessionStale({ lastActivityTimestamp: latest.lastMessageAt })) return false;
+
+        const threadResponse = await fetch(`/api/chat/threads/${encodeURIComponent(latest.threadId)}?courseId=${encodeURIComponent(courseId)}`);
+        if (!threadResponse.ok) return false;
+        const threadResult = await threadResponse.json();
+        const thread = threadResult && threadResult.data ? threadResult.data.thread : null;
+        if (!thread || !Array.isArray(thread.turns) || thread.turns.length === 0) return false;
+
+        chatData.messages = thread.turns.map(turn => ({
+            type: turn.role === 'user' ? 'user' : 'bot',
+            content: turn.content,
+            timestamp: turn.createdAt,
+            hasFlagButton: turn.role === 'assistant',
+            messageType: 'regular-chat',
+            sourceAttribution: null,
+            isHtml: false,
+            activeStruggleTopic: null,
+            messageId: turn.messageId || null,
+            feedbackRating: null
+        }));
+        chatData.metadata.totalMessages = chatData.messages.length;
+        if (thread.mode) chatData.metadata.currentMode = thread.mode;
+        chatData.sessionInfo = { ...(chatData.sessionInfo || {}), sessionId: thread.threadId };
+        chatData.lastActivityTimestamp = thread.lastMessageAt;
+
+        localStorage.setItem(`biocbot_current_chat_${studentId}`, JSON.stringify(chatData));
+        adoptServerSessionId(thread.threadId);
+        return true;
+    } catch (error) {
+        console.warn('Could not restore chat from the server:', error);
+        return false;
+    }
+}
+
 /**
  * Check for chat data to load from history
  */
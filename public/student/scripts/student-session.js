@@ -457,6 +457,21 @@ function getCurrentSessionId(chatData) {
     return sessionId;
 }
 
+/**
+ * Switch the current chat to a session ID issued by the server (the chat
+ * route's conversation thread), keeping chatData and the per-unit key in sync.
+ * @param {string} sessionId - Server-issued session/thread ID
+ */
+function adoptServerSessionId(sessionId) {
+    const chatData = getCurrentChatData();
+    if (!sessionId || !chatData || !chatData.metadata) return;
+
+    const { studentId, courseId, unitName } = chatData.metadata;
+    localStorage.setItem(`biocbot_session_${studentId}_${courseId}_${unitName}`, sessionId);
+    chatData.sessionInfo = { ...(chatData.sessionInfo || {}), sessionId };
+    localStorage.setItem(`biocbot_current_chat_${studentId}`, JSON.stringify(chatData));
+}
+
 /**
  * Check if we should create a new session (if assessment is currently being taken)
  * @param {Object} chatData - The chat data
@@ -688,7 +703,7 @@ async function loadCurrentSessionIntoInterface() {
 
 
         // Set flags for continuing chat BEFORE loading data
-        // This ensures getConversationContext() can access the data
+        // so the calibration flow knows this unit is already underway
         sessionStorage.setItem('isContinuingChat', 'true');
         sessionStorage.setItem('loadedChatData', JSON.stringify(chatData));
 
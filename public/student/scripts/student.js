@@ -125,6 +125,9 @@ document.addEventListener('DOMContentLoaded', async () => {
 
         await refreshChatSessionTimeoutForSelectedCourse(true);
         await initializeAutoSave();
+        // Pick up a conversation started on another device before deciding
+        // whether to auto-continue.
+        await restoreLatestServerThread();
         scheduleChatSessionExpiration();
         if (typeof window.updateChatSummaryButtonState === 'function') {
             window.updateChatSummaryButtonState();
@@ -193,6 +196,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // Initialize mode toggle functionality
     initializeModeToggle();
+    initializeQuizMeToggle();
 
     // Ensure mode toggle is properly set after a short delay (fallback for timing issues)
     setTimeout(() => {
@@ -330,6 +334,9 @@ document.addEventListener('DOMContentLoaded', async () => {
      * @param {string} message - The message to send
      * @param {boolean} checkSummaryAttempt - Whether to check for summary attempt
      * @param {AbortSignal} signal - Optional abort signal
+     * @param {boolean|Object} isExplanationRequest - Explain-mode flag, or { topic }
+     * @param {Object} options - Optional settings; `onDelta(textSoFar)` streams the
+     *   reply from /api/chat/stream instead of waiting for /api/chat
      * @returns {Promise<Object>} Response from LLM service
      */
     async function sendMessageToLLM(message, checkSummaryAttempt = false, signal = null, isExplanationRequest = false, options = {}) {
@@ -345,14 +352,13 @@ document.addEventListener('DOMContentLoaded', async () => {
 
             const unitName = localStorage.getItem('selectedUnitName') || getCurrentUnitName();
 
-            // Check if we're continuing a chat and need to include conversation context.
+            // The server rebuilds history from its own copy of this conversation.
             // Summary-seeded sessions intentionally send their first message without
             // prior context because the summary itself is the full context.
-            const skipConversationContext = !!(options.skipConversationContext || window.skipConversationContextForNextMessage);
+            const skipHistory = !!(options.skipConversationContext || window.skipConversationContextForNextMessage);
             if (window.skipConversationContextForNextMessage) {
                 window.skipConversationContextForNextMessage = false;
             }
-            const conversationContext = skipConversationContext ? null : getConversationContext();
             let conversationId = null;
             try {
                 const chatData = typeof getCurrentChatData === 'function' ? getCurrentChatData() : null;
@@ -363,16 +369,16 @@ document.addEventListener('DOMContentLoaded', async () => {
                 console.warn('Could not resolve conversation id for chat request:', error);
             }
 
-            // conversationContext retrieved or new conversation started
-
+            // Explanation requests always go to the tutor, even mid-quiz.
+            const quizMe = !isExplanationRequest && typeof isQuizMeActive === 'function' && isQuizMeActive();
 
             const requestBody = {
                 message: message,
                 conversationId: conversationId,
-                mode: currentMode,
+                mode: quizMe ? 'quizme' : currentMode,
                 courseId: courseId,
                 unitName: unitName,
-                conversationContext: conversationContext,
+                skipHistory: skipHistory,
                 checkSummaryAttempt: checkSummaryAttempt,
                 isExplanationRequest: isExplanationRequest,
                 topic: isExplanationRequest && typeof isExplanationRequest === 'object' ? isExplanationRequest.topic : null
@@ -393,21 +399,64 @@ document.addEventListener('DOMContentLoaded', async () => {
                 fetchOptions.signal = signal;
             }
 
-            const response = await fetch('/api/chat', fetchOptions);
+            const streaming = typeof options.onDelta === 'function';
+            const response = await fetch(streaming ? '/api/chat/stream' : '/api/chat', fetchOptions);
 
 
 
             if (!response.ok) {
                 const errorData = await response.json();
+                if (window.RateLimitNotice && RateLimitNotice.isRateLimited(response, errorData)) {
+                    RateLimitNotice.show(errorData, {
+                        anchor: document.querySelector('.chat-input-container'),
+                        controls: [document.getElementById('chat-input'), document.getElementById('send-button')]
+                    });
+                    throw RateLimitNotice.createError(errorData);
+                }
                 throw new Error(errorData.message || `HTTP error! status: ${response.status}`);
             }
 
-            const data = await response.json();
+            let data = null;
+            const contentType = response.headers && typeof response.headers.get === 'function'
+                ? response.headers.get('Content-Type') || ''
+                : '';
+            const isEventStream = contentType.includes('text/event-stream');
+            if (streaming && isEventStream) {
+                let streamedText = '';
+                let streamError = null;
+                await readChatEventStream(response, {
+                    delta: (event) => {
+                        streamedText += event.text || '';
+                        options.onDelta(streamedText);
+                    },
+                    done: (event) => { data = event; },
+                    error: (event) => { streamError = event; }
+                });
+                if (streamError) {
+                    throw new Error(streamError.message || 'Failed to get response from LLM');
+                }
+                if (!data) {
+                    throw new Error('The response ended before it was complete');
+                }
+            } else {
+                data = await response.json();
+            }
 
             if (!data.success) {
                 throw new Error(data.message || 'Failed to get response from LLM');
             }
 
+            // The server issues a fresh id when ours cannot be used for a thread;
+            // adopt it so the next turn continues the same conversation.
+            if (data.conversationId && data.conversationId !== conversationId && typeof adoptServerSessionId === 'function') {
+                adoptServerSessionId(data.conversationId);
+            }
+
+            // A finished (or impossible) quiz hands the chat back to the student's mode.
+            if (data.quizMe && data.quizMe.status !== 'asking' && typeof setQuizMeActive === 'function') {
+                setQuizMeActive(false);
+            }
+
             if (typeof window.applyLLMBodyTag === 'function') {
                 await window.applyLLMBodyTag();
             }
@@ -813,193 +862,6 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     }
 
-    /**
-     * Get conversation context for continuing a chat
-     * @returns {Object|null} Conversation context or null if not continuing a chat
-     */
-    function getConversationContext() {
-
-
-        // Check if we're continuing a chat (this flag is set when loading chat data)
-        const isContinuingChat = sessionStorage.getItem('isContinuingChat') === 'true';
-
-
-        // Always get the latest chat data from localStorage to ensure we have the most recent messages
-        // The sessionStorage might be stale if messages were added after loading
-        const currentChatData = getCurrentChatData();
-        let loadedChatData = null;
-
-        if (currentChatData && currentChatData.messages && currentChatData.messages.length > 0) {
-
-            // Always use the latest data from localStorage
-            loadedChatData = JSON.stringify(currentChatData);
-            // Update sessionStorage with the latest data
-            sessionStorage.setItem('isContinuingChat', 'true');
-            sessionStorage.setItem('loadedChatData', loadedChatData);
-        } else {
-            // Fallback: try sessionStorage if localStorage is empty
-            loadedChatData = sessionStorage.getItem('loadedChatData');
-            if (!loadedChatData) {
-                // No chat data found
-            }
-        }
-
-        if (!loadedChatData) {
-
-            return null;
-        }
-
-
-
-        try {
-            const chatData = JSON.parse(loadedChatData);
-
-            // Verify session ID matches - only use context if we're in the same session
-            const currentChatData = getCurrentChatData();
-            let currentSessionId = null;
-            if (currentChatData && currentChatData.sessionInfo && currentChatData.sessionInfo.sessionId) {
-                currentSessionId = currentChatData.sessionInfo.sessionId;
-            }
-
-            const loadedSessionId = chatData.sessionInfo && chatData.sessionInfo.sessionId
-                ? chatData.sessionInfo.sessionId
-                : null;
-
-
-
-            // If we have a current session ID, verify it matches the loaded session ID
-            if (currentSessionId && loadedSessionId && currentSessionId !== loadedSessionId) {
-                // This is a new session - clearing old context and returning null
-                // Clear the old context flags since they're from a different session
-                sessionStorage.removeItem('isContinuingChat');
-                sessionStorage.removeItem('loadedChatData');
-                return null;
-            }
-
-            // If current session has no ID but loaded does, it means we're starting fresh
-            // Don't use old session context - new sessions should not reference old conversations
-            if (!currentSessionId && loadedSessionId) {
-                sessionStorage.removeItem('isContinuingChat');
-                sessionStorage.removeItem('loadedChatData');
-                return null;
-            }
-
-
-
-            const currentMode = localStorage.getItem('studentMode') || 'tutor';
-            const unitName = localStorage.getItem('selectedUnitName') || 'this unit';
-
-            // Build structured conversation context
-            const conversationMessages = [];
-
-            // 1) System prompt (handled by the API)
-
-            // 2) Hardcoded assistant response with learning objectives and test questions
-            let assistantResponse = `I'm BiocBot in ${currentMode === 'protege' ? 'Protégé' : 'Tutor'} Mode. We're discussing ${unitName} this week.`;
-
-            if (chatData.practiceTests && chatData.practiceTests.questions.length > 0) {
-                assistantResponse += ` How did you get on with the test questions?`;
-            } else {
-                assistantResponse += ` How can I help you today?`;
-            }
-
-            conversationMessages.push({
-                role: 'assistant',
-                content: assistantResponse
-            });
-
-            // 3) Hardcoded student response with test answers (if practice test exists)
-            if (chatData.practiceTests && chatData.practiceTests.questions.length > 0 &&
-                chatData.studentAnswers && chatData.studentAnswers.answers.length > 0) {
-
-                let studentResponse = `Here's my responses to those:\n\n`;
-                chatData.studentAnswers.answers.forEach((answer, index) => {
-                    const question = chatData.practiceTests.questions[index];
-                    if (question) {
-                        studentResponse += `${index + 1}. ${question.question}\n`;
-                        studentResponse += `   My Answer: ${answer.answer}\n`;
-                        studentResponse += `   Correct: ${question.correctAnswer}\n`;
-                        const result = chatData.assessmentScore?.results?.[index]
-                            ?? chatData.practiceTests.score?.results?.[index];
-                        studentResponse += `   Result: ${(result?.isCorrect ?? question.isCorrect ?? answer.isCorrect) ? 'Correct' : 'Incorrect'}\n\n`;
-                    }
-                });
-
-                conversationMessages.push({
-                    role: 'user',
-                    content: studentResponse
-                });
-
-                // 4) Hardcoded assistant response acknowledging the test
-                // Calculate overall performance
-                const restoredScore = chatData.assessmentScore ?? chatData.practiceTests.score
-                    ?? AssessmentScoring.evaluateAssessment(
-                        chatData.practiceTests.questions,
-                        chatData.studentAnswers.answers.map(answer => answer.answer),
-                        chatData.practiceTests.passThreshold
-                    );
-                conversationMessages.push({
-                    role: 'assistant',
-                    content: `Thank you for that. Based on your responses, I can see you ${restoredScore.passed ? 'demonstrated good understanding' : 'need some additional support'}. So how can I help you today?`
-                });
-            }
-
-            // 5) Add the actual conversation history from the previous chat
-            if (chatData.messages && chatData.messages.length > 0) {
-                // Filter out system messages and only include actual conversation
-                const regularChatMessages = chatData.messages.filter(msg =>
-                    msg.messageType === 'regular-chat' &&
-                    (msg.type === 'user' || msg.type === 'bot')
-                );
-
-
-
-                // Add the conversation history
-                regularChatMessages.forEach((msg, index) => {
-                    conversationMessages.push({
-                        role: msg.type === 'user' ? 'user' : 'assistant',
-                        content: msg.content
-                    });
-                    // Log first few messages for debugging
-
-                });
-
-                // Log last few messages with full content for debugging
-                if (regularChatMessages.length > 3) {
-                    const lastFew = regularChatMessages.slice(-3);
-                    lastFew.forEach((msg, idx) => {
-                        const actualIdx = regularChatMessages.length - 3 + idx;
-                        console.log(`🔄 [CONTEXT] Message ${actualIdx + 1}:`, msg.type, '-', msg.content.substring(0, 100) + (msg.content.length > 100 ? '...' : ''));
-                        // Log full content for hero-related messages to debug
-                        if (msg.content.toLowerCase().includes('hero') || msg.content.toLowerCase().includes('batman')) {
-                            console.log(`🔄 [CONTEXT] FULL CONTENT for message ${actualIdx + 1}:`, msg.content);
-                        }
-                    });
-                }
-
-                // Also search through all messages for hero-related content to verify it's included
-                const heroMessages = regularChatMessages.filter(msg =>
-                    msg.content.toLowerCase().includes('hero') ||
-                    msg.content.toLowerCase().includes('batman') ||
-                    msg.content.toLowerCase().includes('favorite')
-                );
-
-            }
-
-
-
-            return {
-                conversationMessages: conversationMessages,
-                mode: currentMode,
-                hasPracticeTest: !!(chatData.practiceTests && chatData.practiceTests.questions.length > 0)
-            };
-
-        } catch (error) {
-            console.error('Error building conversation context:', error);
-            return null;
-        }
-    }
-
     // Handle chat form submission
     if (chatForm) {
         chatForm.addEventListener('submit', async (e) => {
@@ -1095,7 +957,10 @@ document.addEventListener('DOMContentLoaded', async () => {
 
                 }
                 
-                const response = await sendMessageToLLM(message, shouldCheckSummaryAttempt, signal);
+                const controller = currentController;
+                const response = await sendMessageToLLM(message, shouldCheckSummaryAttempt, signal, false, {
+                    onDelta: (soFar) => updateStreamingBotMessage(soFar, () => controller.abort())
+                });
 
                 // Request completed successfully
                 currentController = null;
@@ -1187,6 +1052,9 @@ document.addEventListener('DOMContentLoaded', async () => {
                 // Only show "I understand X now" button when directive mode is active for this response
                 const showStruggleReset = response.struggleDebug?.directiveModeActive ? lastActiveStruggleTopic : null;
                 addMessage(response.message, 'bot', true, false, response.sourceAttribution, false, showStruggleReset, detectedTopic, response.messageId);
+                if (window.WellnessResources) {
+                    WellnessResources.appendForReply(document.getElementById('chat-messages'), response);
+                }
                 if (typeof maybeShowChatSurvey === 'function') {
                     maybeShowChatSurvey();
                 }
@@ -1207,6 +1075,11 @@ document.addEventListener('DOMContentLoaded', async () => {
                     return;
                 }
 
+                if (error.name === 'RateLimitError') {
+                    // The rate limit notice above the input explains the wait
+                    return;
+                }
+
                 // Show error message
                 console.error('Chat error:', error);
 
@@ -185,6 +185,15 @@ document.addEventListener('DOMContentLoaded', async () => {
             });
 
             const result = await response.json();
+            if (window.RateLimitNotice && RateLimitNotice.isRateLimited(response, result)) {
+                typing.remove();
+                conversationMessages.pop();
+                RateLimitNotice.show(result, {
+                    anchor: document.querySelector('.chat-input-container'),
+                    controls: [input, document.getElementById('send-button')]
+                });
+                return;
+            }
             if (!response.ok || !result.success) {
                 throw new Error(result.message || 'Failed to send message');
             }
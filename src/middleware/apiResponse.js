@@ -14,4 +14,22 @@ function normalizeErrorResponses(req, res, next) {
     next();
 }
 
-module.exports = { normalizeErrorResponses };
+/**
+ * Standard 429 payload for rate-limited requests. `retryAfterSeconds` drives
+ * the countdown shown in the student UI.
+ * @param {Object} res - Express response object
+ * @param {Object} details - { message, limit, retryAfterSeconds }
+ */
+function sendRateLimited(res, { message, limit, retryAfterSeconds }) {
+    const seconds = Math.max(1, Math.ceil(retryAfterSeconds));
+    res.set('Retry-After', String(seconds));
+    return res.status(429).json({
+        success: false,
+        code: 'RATE_LIMITED',
+        message,
+        limit,
+        retryAfterSeconds: seconds
+    });
+}
+
+module.exports = { normalizeErrorResponses, sendRateLimited };
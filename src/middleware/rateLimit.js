@@ -0,0 +1,104 @@
+/**
+ * Per-user rate limiting for AI endpoints
+ * Requests per minute, a short burst window, and tokens per day, each counted
+ * per user and course in MongoDB (see models/RateLimitCounter.js). Limits come
+ * from services/rateLimits.js.
+ */
+
+const RateLimitCounter = require('../models/RateLimitCounter');
+const { BURST_WINDOW_SECONDS, resolveRateLimits } = require('../services/rateLimits');
+const { trackRequestTokens } = require('../services/tokenMeter');
+const { sendRateLimited } = require('./apiResponse');
+
+const MINUTE_SECONDS = 60;
+const DAY_SECONDS = 24 * 60 * 60;
+
+function windowAt(now, seconds) {
+    const length = seconds * 1000;
+    const start = Math.floor(now / length) * length;
+    return { start, end: start + length };
+}
+
+function limitedResponse(limit, window, now, message) {
+    return { limited: true, limit, message, retryAfterSeconds: (window.end - now) / 1000 };
+}
+
+/**
+ * Count one request against the user's limits
+ * @param {Object} db - MongoDB database instance
+ * @param {Object} request - { userId, role, courseId, now }
+ * @returns {Promise<Object>} { limited, limit, message, retryAfterSeconds } or { limited: false, tokenKey, tokenExpiresAt }
+ */
+async function countRequest(db, { userId, role, courseId, now }) {
+    const limits = await resolveRateLimits(db, { courseId, role });
+    const prefix = `${userId}|${courseId || 'platform'}`;
+    const day = windowAt(now, DAY_SECONDS);
+    const tokenKey = `${prefix}|tokens|${day.start}`;
+
+    if (limits.tokensPerDay && await RateLimitCounter.getCounter(db, tokenKey) >= limits.tokensPerDay) {
+        return limitedResponse('tokensPerDay', day, now,
+            'You have used today\'s AI allowance. You can ask again once it resets.');
+    }
+
+    const windows = [
+        ['burstLimit', BURST_WINDOW_SECONDS, limits.burstLimit,
+            'You are sending messages very quickly. Please wait a few seconds.'],
+        ['requestsPerMinute', MINUTE_SECONDS, limits.requestsPerMinute,
+            `You have reached the limit of ${limits.requestsPerMinute} AI requests per minute. Please wait a moment.`]
+    ];
+    for (const [limit, seconds, max, message] of windows) {
+        if (!max) continue;
+        const window = windowAt(now, seconds);
+        const count = await RateLimitCounter.incrementCounter(db, `${prefix}|${limit}|${window.start}`, 1, new Date(window.end));
+        if (count > max) {
+            return limitedResponse(limit, window, now, message);
+        }
+    }
+
+    return { limited: false, tokenKey, tokenExpiresAt: new Date(day.end) };
+}
+
+/**
+ * Create rate-limit middleware for an AI endpoint. Tokens spent while the
+ * request runs are charged to the user's daily allowance when it finishes.
+ * Limit checks that fail (for example, the database is unavailable) let the
+ * request through.
+ * @param {Object} [options] - { courseIdFrom(req) } picks the course the limits belong to
+ * @returns {Function} Express middleware
+ */
+function createAiRateLimit({ courseIdFrom = req => (req.body && req.body.courseId) || null } = {}) {
+    return async function aiRateLimit(req, res, next) {
+        const db = req.app.locals.db;
+        const userId = req.user && req.user.userId;
+        if (!db || !userId) {
+            return next();
+        }
+
+        const courseId = courseIdFrom(req);
+        const now = Date.now();
+        let result;
+        try {
+            result = await countRequest(db, { userId, role: req.user.role, courseId, now });
+        } catch (error) {
+            console.warn(`⚠️ [RATE_LIMIT] Check skipped for ${userId}:`, error.message);
+            return next();
+        }
+
+        if (result.limited) {
+            console.log(`⏸️ [RATE_LIMIT] ${userId} hit ${result.limit} on ${courseId || 'platform'}`);
+            return sendRateLimited(res, result);
+        }
+
+        let tally = null;
+        res.once('close', () => {
+            if (!tally || !tally.totalTokens) return;
+            RateLimitCounter.incrementCounter(db, result.tokenKey, tally.totalTokens, result.tokenExpiresAt)
+                .catch(error => console.error(`❌ [RATE_LIMIT] Error recording tokens for ${userId} (non-blocking):`, error.message));
+        });
+        tally = trackRequestTokens(next);
+    };
+}
+
+module.exports = {
+    createAiRateLimit
+};
@@ -0,0 +1,368 @@
+const { createId } = require('../services/id');
+
+/**
+ * Answer Cache Model for MongoDB
+ * Semantic cache of student chat answers. Large sections ask the same few
+ * questions many times; a new question whose embedding is close enough to a
+ * cached one in the same course, unit, and mode is answered from the cache
+ * instead of a full retrieval + LLM call on the instructor's key.
+ *
+ * Entries are invalidated when a unit's documents change or the course prompts
+ * change. Pinned entries survive invalidation (they are marked with
+ * `sourcesChangedAt` instead) and are only removed by an explicit purge.
+ * Lookups are also scoped to `promptKey`, so editing anything the prompts'
+ * {{variables}} are filled from stops older answers from matching.
+ *
+ * Answer Cache Schema Structure:
+ * {
+ *   _id: ObjectId,
+ *   entryId: String,
+ *   courseId: String,
+ *   unitName: String,          // Unit the question was asked in
+ *   lectureNames: [String],    // Every unit the answer could draw on (additive retrieval)
+ *   mode: String,              // "tutor" | "protege" | "default"
+ *   profileKey: String,        // Embedding profile the question vector came from
+ *   promptKey: String,         // Fingerprint of the course prompts and their variables
+ *   question: String,
+ *   embedding: [Number],
+ *   answer: String,
+ *   model: String,
+ *   citations: Array,
+ *   sourceAttribution: Object,
+ *   pinned: Boolean,
+ *   hitCount: Number,
+ *   lastHitAt: Date,
+ *   sourcesChangedAt: Date,    // Set on pinned entries when an invalidation skipped them
+ *   createdAt: Date,
+ *   updatedAt: Date
+ * }
+ *
+ * Daily lookup counters live in `answer_cache_stats`:
+ * { courseId, day: 'YYYY-MM-DD', lookups: Number, hits: Number }
+ */
+
+const COLLECTION_NAME = 'answer_cache';
+const STATS_COLLECTION_NAME = 'answer_cache_stats';
+// Entries scanned per lookup; the oldest unpinned entries beyond this are evicted.
+const MAX_ENTRIES_PER_SCOPE = 500;
+const MAX_QUESTION_CHARACTERS = 2000;
+const DEFAULT_STATS_DAYS = 30;
+
+function getAnswerCacheCollection(db) {
+    return db.collection(COLLECTION_NAME);
+}
+
+function getStatsCollection(db) {
+    return db.collection(STATS_COLLECTION_NAME);
+}
+
+function normalizeText(value, limit = 255) {
+    if (value === undefined || value === null) return '';
+    return String(value).trim().slice(0, limit);
+}
+
+function toPublicEntry(entry) {
+    if (!entry) return null;
+    const { _id, embedding, ...publicEntry } = entry;
+    return publicEntry;
+}
+
+function dayKey(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+function cosineSimilarity(a, b) {
+    if (!Array.isArray(a) || !Array.isArray(b) || a.length === 0 || a.length !== b.length) return 0;
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function scopeFilter(scope) {
+    return {
+        courseId: scope.courseId,
+        unitName: scope.unitName,
+        mode: scope.mode,
+        profileKey: scope.profileKey,
+        promptKey: scope.promptKey || null
+    };
+}
+
+async function ensureIndexes(db) {
+    const collection = getAnswerCacheCollection(db);
+    await collection.createIndex(
+        { entryId: 1 },
+        { unique: true, name: 'unique_answer_cache_entry' }
+    );
+    await collection.createIndex(
+        { courseId: 1, unitName: 1, mode: 1, profileKey: 1, updatedAt: -1 },
+        { name: 'answer_cache_scope' }
+    );
+    await collection.createIndex(
+        { courseId: 1, lectureNames: 1 },
+        { name: 'answer_cache_units' }
+    );
+    await getStatsCollection(db).createIndex(
+        { courseId: 1, day: 1 },
+        { unique: true, name: 'unique_answer_cache_day' }
+    );
+}
+
+/**
+ * Find the cached answer closest to a question
+ * @param {Object} db - MongoDB database instance
+ * @param {Object} scope - { courseId, unitName, mode, profileKey, promptKey }
+ * @param {number[]} embedding - Question embedding
+ * @param {number} threshold - Minimum cosine similarity for a hit
+ * @returns {Promise<{entry: Object, similarity: number}|null>}
+ */
+async function findSimilarAnswer(db, scope, embedding, threshold) {
+    const candidates = await getAnswerCacheCollection(db)
+        .find(scopeFilter(scope))
+        .sort({ updatedAt: -1 })
+        .limit(MAX_ENTRIES_PER_SCOPE)
+        .toArray();
+
+    let best = null;
+    for (const candidate of candidates) {
+        const similarity = cosineSimilarity(embedding, candidate.embedding);
+        if (similarity < threshold) continue;
+        // Pinned entries win ties: the instructor vouched for them.
+        if (!best || similarity > best.similarity
+            || (similarity === best.similarity && candidate.pinned && !best.entry.pinned)) {
+            best = { entry: candidate, similarity };
+        }
+    }
+
+    return best ? { entry: toPublicEntry(best.entry), similarity: best.similarity } : null;
+}
+
+/**
+ * Store a freshly generated answer, evicting the oldest unpinned entries once
+ * the scope is full
+ * @param {Object} db - MongoDB database instance
+ * @param {Object} data - Scope plus { lectureNames, question, embedding, answer, model, citations, sourceAttribution }
+ * @returns {Promise<Object>} { success, entry } or { success: false, error }
+ */
+async function saveAnswer(db, data = {}) {
+    const courseId = normalizeText(data.courseId, 120);
+    const unitName = normalizeText(data.unitName, 160);
+    if (!courseId || !unitName || !data.profileKey) {
+        return { success: false, error: 'courseId, unitName, and profileKey are required' };
+    }
+    if (!Array.isArray(data.embedding) || data.embedding.length === 0 || !data.answer) {
+        return { success: false, error: 'embedding and answer are required' };
+    }
+
+    const now = new Date();
+    const entry = {
+        entryId: createId('anscache'),
+        courseId,
+        unitName,
+        lectureNames: Array.isArray(data.lectureNames) && data.lectureNames.length > 0
+            ? data.lectureNames
+            : [unitName],
+        mode: normalizeText(data.mode, 40) || 'default',
+        profileKey: String(data.profileKey),
+        promptKey: data.promptKey ? String(data.promptKey) : null,
+        question: normalizeText(data.question, MAX_QUESTION_CHARACTERS),
+        embedding: data.embedding,
+        answer: String(data.answer),
+        model: data.model || null,
+        citations: Array.isArray(data.citations) ? data.citations : [],
+        sourceAttribution: data.sourceAttribution || null,
+        pinned: false,
+        hitCount: 0,
+        lastHitAt: null,
+        sourcesChangedAt: null,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    const collection = getAnswerCacheCollection(db);
+    await collection.insertOne(entry);
+
+    const overflow = await collection
+        .find({ ...scopeFilter(entry), pinned: { $ne: true } })
+        .sort({ updatedAt: -1 })
+        .skip(MAX_ENTRIES_PER_SCOPE)
+        .toArray();
+    if (overflow.length > 0) {
+        await collection.deleteMany({ entryId: { $in: overflow.map(old => old.entryId) } });
+    }
+
+    return { success: true, entry: toPublicEntry(entry) };
+}
+
+/**
+ * Count one cache lookup for the course's daily analytics, and the hit on the
+ * entry that answered it
+ * @param {Object} db - MongoDB database instance
+ * @param {string} courseId - Course identifier
+ * @param {string|null} entryId - Entry served, or null for a miss
+ */
+async function recordLookup(db, courseId, entryId = null) {
+    const now = new Date();
+    await getStatsCollection(db).updateOne(
+        { courseId, day: dayKey(now) },
+        {
+            $inc: { lookups: 1, hits: entryId ? 1 : 0 },
+            $set: { updatedAt: now }
+        },
+        { upsert: true }
+    );
+    if (entryId) {
+        await getAnswerCacheCollection(db).updateOne(
+            { courseId, entryId },
+            { $inc: { hitCount: 1 }, $set: { lastHitAt: now } }
+        );
+    }
+}
+
+/**
+ * Drop cached answers that could have drawn on a unit. Pinned entries are kept
+ * and marked so instructors can review them.
+ * @param {Object} db - MongoDB database instance
+ * @param {string} courseId - Course identifier
+ * @param {string} unitName - Unit whose documents changed
+ * @returns {Promise<number>} Entries removed
+ */
+async function invalidateUnit(db, courseId, unitName) {
+    return invalidate(db, { courseId, lectureNames: unitName });
+}
+
+/**
+ * Drop every unpinned cached answer in a course (e.g. after a prompt change)
+ * @param {Object} db - MongoDB database instance
+ * @param {string} courseId - Course identifier
+ * @returns {Promise<number>} Entries removed
+ */
+async function invalidateCourse(db, courseId) {
+    return invalidate(db, { courseId });
+}
+
+async function invalidate(db, filter) {
+    const collection = getAnswerCacheCollection(db);
+    const now = new Date();
+    await collection.updateMany(
+        { ...filter, pinned: true },
+        { $set: { sourcesChangedAt: now } }
+    );
+    const result = await collection.deleteMany({ ...filter, pinned: { $ne: true } });
+    return result.deletedCount || 0;
+}
+
+/**
+ * List a course's cached answers, most used first
+ * @param {Object} db - MongoDB database instance
+ * @param {string} courseId - Course identifier
+ * @param {Object} [options] - { unitName, limit }
+ * @returns {Promise<Array<Object>>}
+ */
+async function listEntries(db, courseId, options = {}) {
+    const query = { courseId };
+    const unitName = normalizeText(options.unitName, 160);
+    if (unitName) query.unitName = unitName;
+    const limit = Number.isInteger(options.limit) && options.limit > 0 ? Math.min(options.limit, 500) : 100;
+
+    const entries = await getAnswerCacheCollection(db)
+        .find(query, { projection: { embedding: 0 } })
+        .sort({ pinned: -1, hitCount: -1, updatedAt: -1 })
+        .limit(limit)
+        .toArray();
+    return entries.map(toPublicEntry);
+}
+
+/**
+ * Pin or unpin a cached answer
+ * @param {Object} db - MongoDB database instance
+ * @param {string} courseId - Course identifier
+ * @param {string} entryId - Entry identifier
+ * @param {boolean} pinned
+ * @returns {Promise<Object|null>} Updated entry, or null if not found
+ */
+async function setPinned(db, courseId, entryId, pinned) {
+    const update = { pinned: pinned === true, updatedAt: new Date() };
+    // Re-pinning acknowledges any source change.
+    if (pinned === true) update.sourcesChangedAt = null;
+    const result = await getAnswerCacheCollection(db).findOneAndUpdate(
+        { courseId, entryId },
+        { $set: update },
+        { returnDocument: 'after' }
+    );
+    return toPublicEntry(result);
+}
+
+/**
+ * Remove cached answers. Without an entryId this purges the course (or one
+ * unit); pinned entries are only removed when includePinned is set.
+ * @param {Object} db - MongoDB database instance
+ * @param {string} courseId - Course identifier
+ * @param {Object} [options] - { entryId, unitName, includePinned }
+ * @returns {Promise<number>} Entries removed
+ */
+async function purgeEntries(db, courseId, options = {}) {
+    const query = { courseId };
+    if (options.entryId) {
+        query.entryId = options.entryId;
+    } else {
+        const unitName = normalizeText(options.unitName, 160);
+        if (unitName) query.unitName = unitName;
+        if (options.includePinned !== true) query.pinned = { $ne: true };
+    }
+    const result = await getAnswerCacheCollection(db).deleteMany(query);
+    return result.deletedCount || 0;
+}
+
+/**
+ * Cache effectiveness across courses over the last `days` days
+ * @param {Object} db - MongoDB database instance
+ * @param {Array<string>} courseIds - Course identifiers
+ * @param {Object} [options] - { days }
+ * @returns {Promise<Object>} { lookups, hits, hitRate, entries, pinnedEntries }
+ */
+async function getCacheStats(db, courseIds, options = {}) {
+    const days = Number.isInteger(options.days) && options.days > 0 ? options.days : DEFAULT_STATS_DAYS;
+    const since = dayKey(new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000));
+    const courseFilter = { courseId: { $in: courseIds } };
+
+    const [dailyRows, entries, pinnedEntries] = await Promise.all([
+        getStatsCollection(db).find({ ...courseFilter, day: { $gte: since } }).toArray(),
+        getAnswerCacheCollection(db).countDocuments(courseFilter),
+        getAnswerCacheCollection(db).countDocuments({ ...courseFilter, pinned: true })
+    ]);
+
+    const lookups = dailyRows.reduce((sum, row) => sum + (row.lookups || 0), 0);
+    const hits = dailyRows.reduce((sum, row) => sum + (row.hits || 0), 0);
+    return {
+        days,
+        lookups,
+        hits,
+        hitRate: lookups > 0 ? Math.round((hits / lookups) * 1000) / 1000 : 0,
+        entries,
+        pinnedEntries
+    };
+}
+
+module.exports = {
+    COLLECTION_NAME,
+    STATS_COLLECTION_NAME,
+    MAX_ENTRIES_PER_SCOPE,
+    cosineSimilarity,
+    ensureIndexes,
+    findSimilarAnswer,
+    saveAnswer,
+    recordLookup,
+    invalidateUnit,
+    invalidateCourse,
+    listEntries,
+    setPinned,
+    purgeEntries,
+    getCacheStats
+};
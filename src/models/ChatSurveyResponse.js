@@ -6,6 +6,7 @@
 const crypto = require('crypto');
 const { createId } = require('../services/id');
 const { excludePreviewFilter } = require('../services/previewSession');
+const { normalizePromptVariant } = require('./PromptExperiment');
 
 const COLLECTION_NAME = 'chatSurveyResponses';
 const VALID_EVENT_TYPES = new Set(['shown', 'dismissed', 'submitted']);
@@ -52,7 +53,7 @@ function normalizeMessageCount(value) {
 
 function buildSettingsSnapshot(settings = {}) {
     const triggerMessageCount = Number(settings.triggerMessageCount);
-    return {
+    const snapshot = {
         enabled: settings.enabled === true,
         triggerMessageCount: Number.isInteger(triggerMessageCount) ? triggerMessageCount : null,
         promptText: normalizeText(settings.promptText, 1000),
@@ -61,6 +62,11 @@ function buildSettingsSnapshot(settings = {}) {
         satisfactionPrompt: normalizeText(settings.satisfactionPrompt, 500),
         allowFreeText: settings.allowFreeText === true
     };
+    // The prompt experiment variant the student chatted with. Only added when
+    // there is one, so fingerprints from before experiments are unchanged.
+    const promptVariant = normalizePromptVariant(settings.promptVariant);
+    if (promptVariant) snapshot.promptVariant = promptVariant;
+    return snapshot;
 }
 
 function buildSettingsFingerprint(settings = {}) {
@@ -261,13 +267,7 @@ async function listSurveyResponsesForCourse(db, courseId, options = {}) {
     return responses.map(toPublicSurveyResponse);
 }
 
-async function getSurveyStatsForCourse(db, courseId) {
-    const collection = getChatSurveyResponseCollection(db);
-    const responses = await collection.find({
-        courseId: normalizeText(courseId, 120),
-        ...excludePreviewFilter('studentId')
-    }).toArray();
-
+function summarizeSurveyResponses(responses) {
     const average = (values) => values.length
         ? Number((values.reduce((sum, value) => sum + value, 0) / values.length).toFixed(2))
         : null;
@@ -289,6 +289,37 @@ async function getSurveyStatsForCourse(db, courseId) {
     };
 }
 
+async function getSurveyStatsForCourse(db, courseId) {
+    const collection = getChatSurveyResponseCollection(db);
+    const responses = await collection.find({
+        courseId: normalizeText(courseId, 120),
+        ...excludePreviewFilter('studentId')
+    }).toArray();
+
+    return summarizeSurveyResponses(responses);
+}
+
+/**
+ * Survey stats per variant of a prompt experiment
+ * @param {Object} db - MongoDB database instance
+ * @param {string} courseId - Course identifier
+ * @param {string} experimentId - Prompt experiment identifier
+ * @returns {Promise<Object>} { A: stats, B: stats }
+ */
+async function getSurveyStatsByVariant(db, courseId, experimentId) {
+    const collection = getChatSurveyResponseCollection(db);
+    const responses = await collection.find({
+        courseId: normalizeText(courseId, 120),
+        'settingsSnapshot.promptVariant.experimentId': normalizeText(experimentId, 120),
+        ...excludePreviewFilter('studentId')
+    }).toArray();
+
+    return {
+        A: summarizeSurveyResponses(responses.filter(item => item.settingsSnapshot.promptVariant.variant === 'A')),
+        B: summarizeSurveyResponses(responses.filter(item => item.settingsSnapshot.promptVariant.variant === 'B'))
+    };
+}
+
 function escapeCsvCell(value) {
     if (value === undefined || value === null) return '';
     const text = value instanceof Date ? value.toISOString() : String(value);
@@ -345,6 +376,7 @@ module.exports = {
     getSurveyResponseForSession,
     listSurveyResponsesForCourse,
     getSurveyStatsForCourse,
+    getSurveyStatsByVariant,
     surveyResponsesToCsv,
     toPublicSurveyResponse
 };
@@ -0,0 +1,268 @@
+const { createId } = require('../services/id');
+const { normalizePromptVariant } = require('./PromptExperiment');
+
+/**
+ * Chat Thread Model for MongoDB
+ * Server-owned conversation history for student chat. The chat route creates
+ * a thread on the first turn and appends every student/assistant turn itself,
+ * so prompt history is rebuilt from here rather than from the browser.
+ *
+ * Chat Thread Schema Structure:
+ * {
+ *   _id: ObjectId,
+ *   threadId: String,        // The client's chat session id, or "thread_<uuid>"
+ *   studentId: String,       // Owner; only the owner can read or extend a thread
+ *   studentName: String,
+ *   courseId: String,
+ *   unitName: String,
+ *   mode: String,            // Student mode at the most recent turn
+ *   turns: [{
+ *     turnId: String,
+ *     role: String,          // "user" | "assistant"
+ *     content: String,
+ *     messageId: String,     // Assistant message id returned to the client
+ *     searchQueries: [String], // Assistant turns: rewritten retrieval queries, if any
+ *     promptVariant: { experimentId, variant }, // Assistant turns: prompt experiment variant, if any
+ *     mode: String,
+ *     isExplanationRequest: Boolean,
+ *     createdAt: Date
+ *   }],
+ *   turnCount: Number,
+ *   createdAt: Date,
+ *   updatedAt: Date,
+ *   lastMessageAt: Date
+ * }
+ */
+
+const COLLECTION_NAME = 'chat_threads';
+const THREAD_ID_PATTERN = /^[A-Za-z0-9_-]{1,160}$/;
+const MAX_TURN_CHARACTERS = 20000;
+const VALID_ROLES = new Set(['user', 'assistant']);
+
+function getChatThreadCollection(db) {
+    return db.collection(COLLECTION_NAME);
+}
+
+function normalizeText(value, limit = 255) {
+    if (value === undefined || value === null) return '';
+    return String(value).trim().slice(0, limit);
+}
+
+function normalizeSearchQueries(value) {
+    if (!Array.isArray(value)) return null;
+    const queries = value.map(query => normalizeText(query, 500)).filter(Boolean).slice(0, 5);
+    return queries.length > 0 ? queries : null;
+}
+
+function isDuplicateKeyError(error) {
+    return !!error && error.code === 11000;
+}
+
+function toPublicThread(thread, { includeTurns = true } = {}) {
+    if (!thread) return null;
+    const { _id, turns, ...publicThread } = thread;
+    if (!includeTurns) return publicThread;
+    return {
+        ...publicThread,
+        turns: Array.isArray(turns) ? turns : []
+    };
+}
+
+async function ensureIndexes(db) {
+    const collection = getChatThreadCollection(db);
+    await collection.createIndex(
+        { threadId: 1 },
+        { unique: true, name: 'unique_thread_id' }
+    );
+    await collection.createIndex(
+        { studentId: 1, courseId: 1, lastMessageAt: -1 },
+        { name: 'student_course_threads_recent' }
+    );
+}
+
+/**
+ * Find the caller's thread, creating it on first use.
+ *
+ * The client's chat session id is reused as the thread id so feedback,
+ * surveys, and saved sessions keep lining up with the same conversation. An id
+ * that is malformed or already owned by another student/course is never
+ * shared: a fresh server id is issued instead, and the caller should return it
+ * to the client.
+ *
+ * @param {Object} db - MongoDB database instance
+ * @param {Object} data - { threadId, studentId, studentName, courseId, unitName, mode }
+ * @returns {Promise<Object>} { success, thread, created } or { success: false, error }
+ */
+async function resolveThread(db, data = {}) {
+    const studentId = normalizeText(data.studentId, 120);
+    const courseId = normalizeText(data.courseId, 120);
+    if (!studentId || !courseId) {
+        return { success: false, error: 'studentId and courseId are required' };
+    }
+
+    const requestedId = normalizeText(data.threadId, 160);
+    const candidateIds = THREAD_ID_PATTERN.test(requestedId)
+        ? [requestedId, createId('thread')]
+        : [createId('thread')];
+
+    const collection = getChatThreadCollection(db);
+    for (const threadId of candidateIds) {
+        const now = new Date();
+        try {
+            const thread = await collection.findOneAndUpdate(
+                { threadId, studentId, courseId },
+                {
+                    $setOnInsert: {
+                        threadId,
+                        studentId,
+                        courseId,
+                        studentName: normalizeText(data.studentName, 160) || null,
+                        unitName: normalizeText(data.unitName, 160) || null,
+                        mode: normalizeText(data.mode, 60) || null,
+                        turns: [],
+                        turnCount: 0,
+                        createdAt: now,
+                        updatedAt: now,
+                        lastMessageAt: null
+                    }
+                },
+                { upsert: true, returnDocument: 'after' }
+            );
+            return {
+                success: true,
+                thread: toPublicThread(thread),
+                created: !thread.turnCount
+            };
+        } catch (error) {
+            // The id exists under another owner: fall through to a fresh id.
+            if (!isDuplicateKeyError(error)) throw error;
+        }
+    }
+
+    return { success: false, error: 'Could not allocate a chat thread' };
+}
+
+/**
+ * Append turns to a thread the caller owns
+ * @param {Object} db - MongoDB database instance
+ * @param {Object} data - { threadId, studentId, unitName, mode, turns: [{ role, content, messageId, isExplanationRequest }] }
+ * @returns {Promise<Object>} { success, appended } or { success: false, error }
+ */
+async function appendTurns(db, data = {}) {
+    const threadId = normalizeText(data.threadId, 160);
+    const studentId = normalizeText(data.studentId, 120);
+    if (!threadId || !studentId) {
+        return { success: false, error: 'threadId and studentId are required' };
+    }
+
+    const now = new Date();
+    const mode = normalizeText(data.mode, 60) || null;
+    const turns = (Array.isArray(data.turns) ? data.turns : [])
+        .filter(turn => turn && VALID_ROLES.has(turn.role) && typeof turn.content === 'string' && turn.content.trim())
+        .map(turn => ({
+            turnId: createId('turn'),
+            role: turn.role,
+            content: turn.content.slice(0, MAX_TURN_CHARACTERS),
+            messageId: normalizeText(turn.messageId, 160) || null,
+            mode,
+            isExplanationRequest: turn.isExplanationRequest === true,
+            searchQueries: normalizeSearchQueries(turn.searchQueries),
+            promptVariant: normalizePromptVariant(turn.promptVariant),
+            createdAt: now
+        }));
+
+    if (turns.length === 0) {
+        return { success: false, error: 'No valid turns to append' };
+    }
+
+    const $set = { updatedAt: now, lastMessageAt: now };
+    if (mode) $set.mode = mode;
+    const unitName = normalizeText(data.unitName, 160);
+    if (unitName) $set.unitName = unitName;
+
+    const result = await getChatThreadCollection(db).updateOne(
+        { threadId, studentId },
+        {
+            $push: { turns: { $each: turns } },
+            $inc: { turnCount: turns.length },
+            $set
+        }
+    );
+
+    if (!result.matchedCount) {
+        return { success: false, error: 'Thread not found' };
+    }
+    return { success: true, appended: turns.length };
+}
+
+/**
+ * Get a thread with its turns, only for its owner
+ * @param {Object} db - MongoDB database instance
+ * @param {string} threadId - Thread identifier
+ * @param {string} studentId - Requesting student
+ * @returns {Promise<Object|null>}
+ */
+async function getThreadForStudent(db, threadId, studentId) {
+    const normalizedThreadId = normalizeText(threadId, 160);
+    const normalizedStudentId = normalizeText(studentId, 120);
+    if (!normalizedThreadId || !normalizedStudentId) return null;
+
+    return toPublicThread(await getChatThreadCollection(db).findOne({
+        threadId: normalizedThreadId,
+        studentId: normalizedStudentId
+    }));
+}
+
+/**
+ * Find one assistant turn by message id in a thread the student owns
+ * @param {Object} db - MongoDB database instance
+ * @param {Object} data - { threadId, studentId, messageId }
+ * @returns {Promise<Object|null>} The turn, or null
+ */
+async function getAssistantTurn(db, data = {}) {
+    const thread = await getThreadForStudent(db, data.threadId, data.studentId);
+    const messageId = normalizeText(data.messageId, 160);
+    if (!thread || !messageId) return null;
+    return thread.turns.find(turn => turn.role === 'assistant' && turn.messageId === messageId) || null;
+}
+
+/**
+ * List a student's threads in a course, most recent first, without turns
+ * @param {Object} db - MongoDB database instance
+ * @param {Object} options - { studentId, courseId, unitName, limit }
+ * @returns {Promise<Array>}
+ */
+async function listThreadsForStudent(db, options = {}) {
+    const filter = {
+        studentId: normalizeText(options.studentId, 120),
+        courseId: normalizeText(options.courseId, 120),
+        turnCount: { $gt: 0 }
+    };
+    if (options.unitName) {
+        filter.unitName = normalizeText(options.unitName, 160);
+    }
+
+    const limit = Number.isInteger(options.limit) && options.limit > 0
+        ? Math.min(options.limit, 100)
+        : 20;
+
+    const threads = await getChatThreadCollection(db).find(filter)
+        .sort({ lastMessageAt: -1 })
+        .limit(limit)
+        .toArray();
+
+    return threads.map(thread => toPublicThread(thread, { includeTurns: false }));
+}
+
+module.exports = {
+    COLLECTION_NAME,
+    MAX_TURN_CHARACTERS,
+    getChatThreadCollection,
+    ensureIndexes,
+    resolveThread,
+    appendTurns,
+    getThreadForStudent,
+    getAssistantTurn,
+    listThreadsForStudent,
+    toPublicThread
+};
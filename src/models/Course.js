@@ -7,6 +7,10 @@ const { MongoClient } = require('mongodb');
 const { isAcademicApiEnabled } = require('../services/academicApi');
 const { createId } = require('../services/id');
 const { parsePreviewUserId } = require('../services/previewSession');
+const AnswerCache = require('./AnswerCache');
+const { describeLimitRanges, normalizeCourseRateLimits } = require('../services/rateLimits');
+const { normalizeCourseOverride } = require('../services/wellnessResources');
+const { normalizeChunkingProfile } = require('../services/chunkingProfiles');
 
 const COURSE_STATUS = Object.freeze({
     ACTIVE: 'active',
@@ -343,6 +347,40 @@ function compareCoursesWithInactiveLast(a = {}, b = {}) {
 const DEFAULT_STUDENT_RAG_TOP_K = 3;
 const MIN_RAG_TOP_K = 1;
 const MAX_RAG_TOP_K = 20;
+// 'vector' is dense similarity only; 'hybrid' fuses it with a BM25 keyword
+// ranking so exact terms (EC numbers, gene names) are not missed.
+const RAG_RETRIEVAL_MODES = Object.freeze(['vector', 'hybrid']);
+const DEFAULT_RAG_RETRIEVAL_MODE = 'vector';
+// Optional re-ranking stage: over-fetch `candidateCount` chunks, score each
+// against the question ('llm' = back-end LLM lane, 'local' = in-process
+// scorer), and keep the best top-K.
+const RERANK_SCORERS = Object.freeze(['llm', 'local']);
+const MIN_RERANK_CANDIDATES = 2;
+const MAX_RERANK_CANDIDATES = 40;
+const DEFAULT_RERANK_SETTINGS = Object.freeze({
+    enabled: false,
+    scorer: 'llm',
+    candidateCount: 12
+});
+// Semantic answer cache: a first question in a unit whose embedding is at
+// least `similarityThreshold` (cosine) from an earlier one reuses its answer.
+const MIN_ANSWER_CACHE_THRESHOLD = 0.8;
+const MAX_ANSWER_CACHE_THRESHOLD = 0.99;
+const DEFAULT_ANSWER_CACHE_SETTINGS = Object.freeze({
+    enabled: false,
+    similarityThreshold: 0.95
+});
+// LLM token budgets (null = no limit). Non-essential calls stop once usage
+// reaches `degradeAtPercent` of either budget; everything but safety checks
+// stops at 100%.
+const MAX_TOKEN_BUDGET = 10000000000;
+const MIN_TOKEN_BUDGET_DEGRADE_PERCENT = 50;
+const MAX_TOKEN_BUDGET_DEGRADE_PERCENT = 100;
+const DEFAULT_TOKEN_BUDGET = Object.freeze({
+    dailyTokens: null,
+    monthlyTokens: null,
+    degradeAtPercent: 80
+});
 const MIN_CHAT_SURVEY_TRIGGER_MESSAGES = 2;
 const MAX_CHAT_SURVEY_TRIGGER_MESSAGES = 30;
 const DEFAULT_CHAT_SUMMARY_TRIGGER_MESSAGES = 25;
@@ -368,6 +406,58 @@ function normalizeRagTopK(value, fallback = DEFAULT_STUDENT_RAG_TOP_K) {
     return parsed;
 }
 
+function normalizeRagRetrievalMode(value, fallback = DEFAULT_RAG_RETRIEVAL_MODE) {
+    return RAG_RETRIEVAL_MODES.includes(value) ? value : fallback;
+}
+
+/**
+ * Normalize re-rank settings. Lenient mode (stored documents) falls back per
+ * field; strict mode (instructor input) returns null if any field is invalid.
+ */
+function normalizeRerankSettings(value, { strict = false } = {}) {
+    const source = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+    const scorer = source.scorer === undefined ? DEFAULT_RERANK_SETTINGS.scorer : source.scorer;
+    const candidateCount = source.candidateCount === undefined
+        ? DEFAULT_RERANK_SETTINGS.candidateCount
+        : Number(source.candidateCount);
+
+    const scorerValid = RERANK_SCORERS.includes(scorer);
+    const countValid = Number.isInteger(candidateCount)
+        && candidateCount >= MIN_RERANK_CANDIDATES
+        && candidateCount <= MAX_RERANK_CANDIDATES;
+    if (strict && (!scorerValid || !countValid)) {
+        return null;
+    }
+
+    return {
+        enabled: source.enabled === true,
+        scorer: scorerValid ? scorer : DEFAULT_RERANK_SETTINGS.scorer,
+        candidateCount: countValid ? candidateCount : DEFAULT_RERANK_SETTINGS.candidateCount
+    };
+}
+
+/**
+ * Normalize answer cache settings; same lenient/strict split as re-ranking.
+ */
+function normalizeAnswerCacheSettings(value, { strict = false } = {}) {
+    const source = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+    const similarityThreshold = source.similarityThreshold === undefined
+        ? DEFAULT_ANSWER_CACHE_SETTINGS.similarityThreshold
+        : Number(source.similarityThreshold);
+
+    const thresholdValid = Number.isFinite(similarityThreshold)
+        && similarityThreshold >= MIN_ANSWER_CACHE_THRESHOLD
+        && similarityThreshold <= MAX_ANSWER_CACHE_THRESHOLD;
+    if (strict && !thresholdValid) {
+        return null;
+    }
+
+    return {
+        enabled: source.enabled === true,
+        similarityThreshold: thresholdValid ? similarityThreshold : DEFAULT_ANSWER_CACHE_SETTINGS.similarityThreshold
+    };
+}
+
 function resolveRagSettings(courseDoc = {}) {
     const studentSettings = courseDoc && courseDoc.ragSettings && courseDoc.ragSettings.student
         ? courseDoc.ragSettings.student
@@ -375,7 +465,10 @@ function resolveRagSettings(courseDoc = {}) {
 
     return {
         student: {
-            topK: normalizeRagTopK(studentSettings.topK)
+            topK: normalizeRagTopK(studentSettings.topK),
+            retrievalMode: normalizeRagRetrievalMode(studentSettings.retrievalMode),
+            rerank: normalizeRerankSettings(studentSettings.rerank),
+            answerCache: normalizeAnswerCacheSettings(studentSettings.answerCache)
         }
     };
 }
@@ -520,6 +613,204 @@ async function updateChatSurveySettings(db, courseId, settings = {}, updatedById
     };
 }
 
+function normalizeTokenLimit(value) {
+    if (value === undefined || value === null || value === '') return { valid: true, limit: null };
+    const parsed = Number(value);
+    const valid = Number.isInteger(parsed) && parsed > 0 && parsed <= MAX_TOKEN_BUDGET;
+    return { valid, limit: valid ? parsed : null };
+}
+
+/**
+ * Normalize a course token budget; same lenient/strict split as re-ranking.
+ */
+function normalizeTokenBudget(value, { strict = false } = {}) {
+    const source = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+    const daily = normalizeTokenLimit(source.dailyTokens);
+    const monthly = normalizeTokenLimit(source.monthlyTokens);
+    const degradeAtPercent = [undefined, null, ''].includes(source.degradeAtPercent)
+        ? DEFAULT_TOKEN_BUDGET.degradeAtPercent
+        : Number(source.degradeAtPercent);
+    const percentValid = Number.isInteger(degradeAtPercent)
+        && degradeAtPercent >= MIN_TOKEN_BUDGET_DEGRADE_PERCENT
+        && degradeAtPercent <= MAX_TOKEN_BUDGET_DEGRADE_PERCENT;
+    if (strict && (!daily.valid || !monthly.valid || !percentValid)) {
+        return null;
+    }
+
+    return {
+        dailyTokens: daily.limit,
+        monthlyTokens: monthly.limit,
+        degradeAtPercent: percentValid ? degradeAtPercent : DEFAULT_TOKEN_BUDGET.degradeAtPercent
+    };
+}
+
+function resolveTokenBudget(courseDoc = {}) {
+    return normalizeTokenBudget(courseDoc && courseDoc.tokenBudget);
+}
+
+async function getTokenBudget(db, courseId) {
+    const course = await getCoursesCollection(db).findOne(
+        { courseId, status: { $ne: 'deleted' } },
+        { projection: { tokenBudget: 1, courseId: 1 } }
+    );
+
+    if (!course) {
+        return { success: false, error: 'Course not found' };
+    }
+
+    return { success: true, budget: resolveTokenBudget(course) };
+}
+
+async function updateTokenBudget(db, courseId, budget = {}, updatedById = null) {
+    const tokenBudget = normalizeTokenBudget(budget, { strict: true });
+    if (!tokenBudget) {
+        return {
+            success: false,
+            error: `Budgets must be whole token counts up to ${MAX_TOKEN_BUDGET} (or empty for no limit), and the degrade point ${MIN_TOKEN_BUDGET_DEGRADE_PERCENT}-${MAX_TOKEN_BUDGET_DEGRADE_PERCENT}%`
+        };
+    }
+
+    const now = new Date();
+    const result = await getCoursesCollection(db).updateOne(
+        { courseId, status: { $ne: 'deleted' } },
+        {
+            $set: {
+                tokenBudget: { ...tokenBudget, updatedAt: now, updatedById },
+                updatedAt: now,
+                lastUpdatedById: updatedById
+            }
+        }
+    );
+
+    return {
+        success: result.matchedCount > 0,
+        budget: tokenBudget,
+        error: result.matchedCount > 0 ? null : 'Course not found'
+    };
+}
+
+/**
+ * Course overrides of the platform AI rate limits, by role
+ */
+async function getRateLimits(db, courseId) {
+    const course = await getCoursesCollection(db).findOne(
+        { courseId, status: { $ne: 'deleted' } },
+        { projection: { rateLimits: 1, courseId: 1 } }
+    );
+
+    if (!course) {
+        return { success: false, error: 'Course not found' };
+    }
+
+    return { success: true, rateLimits: normalizeCourseRateLimits(course.rateLimits) };
+}
+
+async function updateRateLimits(db, courseId, rateLimits = {}, updatedById = null) {
+    const overrides = normalizeCourseRateLimits(rateLimits, { strict: true });
+    if (!overrides) {
+        return { success: false, error: describeLimitRanges() };
+    }
+
+    const now = new Date();
+    const result = await getCoursesCollection(db).updateOne(
+        { courseId, status: { $ne: 'deleted' } },
+        {
+            $set: {
+                rateLimits: overrides,
+                updatedAt: now,
+                lastUpdatedById: updatedById
+            }
+        }
+    );
+
+    return {
+        success: result.matchedCount > 0,
+        rateLimits: overrides,
+        error: result.matchedCount > 0 ? null : 'Course not found'
+    };
+}
+
+/**
+ * Course crisis and wellness resources; null means the platform list is used
+ */
+async function getWellnessResources(db, courseId) {
+    const course = await getCoursesCollection(db).findOne(
+        { courseId, status: { $ne: 'deleted' } },
+        { projection: { wellnessResources: 1, courseId: 1 } }
+    );
+
+    if (!course) {
+        return { success: false, error: 'Course not found' };
+    }
+
+    return { success: true, wellnessResources: normalizeCourseOverride(course.wellnessResources).override };
+}
+
+async function updateWellnessResources(db, courseId, wellnessResources, updatedById = null) {
+    const { override, error } = normalizeCourseOverride(wellnessResources, { strict: true });
+    if (error) {
+        return { success: false, error };
+    }
+
+    const now = new Date();
+    const result = await getCoursesCollection(db).updateOne(
+        { courseId, status: { $ne: 'deleted' } },
+        {
+            $set: {
+                wellnessResources: override,
+                updatedAt: now,
+                lastUpdatedById: updatedById
+            }
+        }
+    );
+
+    return {
+        success: result.matchedCount > 0,
+        wellnessResources: override,
+        error: result.matchedCount > 0 ? null : 'Course not found'
+    };
+}
+
+/**
+ * How the course's documents are chunked; null means the default chunker
+ */
+async function getChunkingProfile(db, courseId) {
+    const course = await getCoursesCollection(db).findOne(
+        { courseId, status: { $ne: 'deleted' } },
+        { projection: { chunkingProfile: 1, courseId: 1 } }
+    );
+
+    if (!course) {
+        return { success: false, error: 'Course not found' };
+    }
+
+    return { success: true, chunkingProfile: normalizeChunkingProfile(course.chunkingProfile).profile };
+}
+
+async function updateChunkingProfile(db, courseId, chunkingProfile, updatedById = null) {
+    const { profile, error } = normalizeChunkingProfile(chunkingProfile, { strict: true });
+    if (error) {
+        return { success: false, error };
+    }
+
+    const result = await getCoursesCollection(db).updateOne(
+        { courseId, status: { $ne: 'deleted' } },
+        {
+            $set: {
+                chunkingProfile: profile,
+                updatedAt: new Date(),
+                lastUpdatedById: updatedById
+            }
+        }
+    );
+
+    return {
+        success: result.matchedCount > 0,
+        chunkingProfile: profile,
+        error: result.matchedCount > 0 ? null : 'Course not found'
+    };
+}
+
 function getAllowInSuperCourse(courseDoc = {}) {
     return courseDoc.allowInSuperCourse === true;
 }
@@ -543,7 +834,8 @@ async function getRagSettings(db, courseId) {
 }
 
 async function updateRagSettings(db, courseId, settings = {}, updatedById = null) {
-    const topK = normalizeRagTopK(settings.student && settings.student.topK, null);
+    const studentSettings = settings.student || {};
+    const topK = normalizeRagTopK(studentSettings.topK, null);
     if (topK === null) {
         return {
             success: false,
@@ -551,11 +843,53 @@ async function updateRagSettings(db, courseId, settings = {}, updatedById = null
         };
     }
 
+    // Retrieval mode is optional here: omitting it keeps the stored mode.
+    const ragSettings = { student: { topK } };
+    if (studentSettings.retrievalMode !== undefined) {
+        const retrievalMode = normalizeRagRetrievalMode(studentSettings.retrievalMode, null);
+        if (retrievalMode === null) {
+            return {
+                success: false,
+                error: `Student Chat retrieval mode must be one of: ${RAG_RETRIEVAL_MODES.join(', ')}`
+            };
+        }
+        ragSettings.student.retrievalMode = retrievalMode;
+    }
+    if (studentSettings.rerank !== undefined) {
+        const rerank = normalizeRerankSettings(studentSettings.rerank, { strict: true });
+        if (rerank === null) {
+            return {
+                success: false,
+                error: `Re-ranking needs a scorer (${RERANK_SCORERS.join(', ')}) and ${MIN_RERANK_CANDIDATES}-${MAX_RERANK_CANDIDATES} candidates`
+            };
+        }
+        ragSettings.student.rerank = rerank;
+    }
+    if (studentSettings.answerCache !== undefined) {
+        const answerCache = normalizeAnswerCacheSettings(studentSettings.answerCache, { strict: true });
+        if (answerCache === null) {
+            return {
+                success: false,
+                error: `Answer cache similarity threshold must be from ${MIN_ANSWER_CACHE_THRESHOLD} to ${MAX_ANSWER_CACHE_THRESHOLD}`
+            };
+        }
+        ragSettings.student.answerCache = answerCache;
+    }
+
     const collection = getCoursesCollection(db);
     const update = {
         'ragSettings.student.topK': topK,
         updatedAt: new Date()
     };
+    if (ragSettings.student.retrievalMode) {
+        update['ragSettings.student.retrievalMode'] = ragSettings.student.retrievalMode;
+    }
+    if (ragSettings.student.rerank) {
+        update['ragSettings.student.rerank'] = ragSettings.student.rerank;
+    }
+    if (ragSettings.student.answerCache) {
+        update['ragSettings.student.answerCache'] = ragSettings.student.answerCache;
+    }
 
     if (updatedById) {
         update.lastUpdatedById = updatedById;
@@ -568,7 +902,7 @@ async function updateRagSettings(db, courseId, settings = {}, updatedById = null
 
     return {
         success: result.matchedCount > 0,
-        ragSettings: { student: { topK } },
+        ragSettings,
         error: result.matchedCount > 0 ? null : 'Course not found'
     };
 }
@@ -1448,6 +1782,26 @@ async function updateUnitDisplayName(db, courseId, unitName, displayName, instru
     };
 }
 
+/**
+ * Drop cached chat answers that drew on units whose documents just changed.
+ * A cache failure must not fail the document change itself.
+ * @param {Object} db - MongoDB database instance
+ * @param {string} courseId - Course identifier
+ * @param {Array<string>} unitNames - Units whose documents changed
+ */
+async function invalidateCachedAnswers(db, courseId, unitNames) {
+    for (const unitName of unitNames) {
+        try {
+            const removed = await AnswerCache.invalidateUnit(db, courseId, unitName);
+            if (removed > 0) {
+                console.log(`🗑️ Invalidated ${removed} cached answer(s) for ${courseId} / ${unitName}`);
+            }
+        } catch (error) {
+            console.warn(`⚠️ Could not invalidate cached answers for ${courseId} / ${unitName}: ${error.message}`);
+        }
+    }
+}
+
 /**
  * Add or update a document reference within a specific unit
  * @param {Object} db - MongoDB database instance
@@ -1503,6 +1857,7 @@ async function addDocumentToUnit(db, courseId, unitName, documentData, instructo
             }
             
             console.log(`Updated existing document in ${unitName}`);
+            await invalidateCachedAnswers(db, courseId, [unitName]);
             return { success: true, created: false, modifiedCount: result.modifiedCount };
         } else {
             // Add new document
@@ -1532,6 +1887,7 @@ async function addDocumentToUnit(db, courseId, unitName, documentData, instructo
             }
             
             console.log(`Added new document to ${unitName}`);
+            await invalidateCachedAnswers(db, courseId, [unitName]);
             return { success: true, created: true, modifiedCount: result.modifiedCount };
         }
     } else {
@@ -1563,6 +1919,7 @@ async function removeDocumentFromAnyUnit(db, courseId, documentId, instructorId)
     // Find and remove the document from any unit
     let documentRemoved = false;
     let removedCount = 0;
+    const changedUnits = [];
     if (currentCourse.lectures) {
         for (let i = 0; i < currentCourse.lectures.length; i++) {
             const unit = currentCourse.lectures[i];
@@ -1573,6 +1930,7 @@ async function removeDocumentFromAnyUnit(db, courseId, documentId, instructorId)
                     documentRemoved = true;
                     removedCount += (initialLength - unit.documents.length);
                     unit.updatedAt = now;
+                    changedUnits.push(unit.name);
                 }
             }
         }
@@ -1596,6 +1954,7 @@ async function removeDocumentFromAnyUnit(db, courseId, documentId, instructorId)
     );
     
     console.log(`Removed document ${documentId} from any unit in course ${courseId}`);
+    await invalidateCachedAnswers(db, courseId, changedUnits);
     return { success: true, removedCount: result.modifiedCount, documentId };
 }
 
@@ -2473,10 +2832,26 @@ module.exports = {
     DEFAULT_STUDENT_RAG_TOP_K,
     MIN_RAG_TOP_K,
     MAX_RAG_TOP_K,
+    RAG_RETRIEVAL_MODES,
+    DEFAULT_RAG_RETRIEVAL_MODE,
+    RERANK_SCORERS,
+    MIN_RERANK_CANDIDATES,
+    MAX_RERANK_CANDIDATES,
+    DEFAULT_RERANK_SETTINGS,
+    MIN_ANSWER_CACHE_THRESHOLD,
+    MAX_ANSWER_CACHE_THRESHOLD,
+    DEFAULT_ANSWER_CACHE_SETTINGS,
+    MAX_TOKEN_BUDGET,
+    MIN_TOKEN_BUDGET_DEGRADE_PERCENT,
+    MAX_TOKEN_BUDGET_DEGRADE_PERCENT,
+    DEFAULT_TOKEN_BUDGET,
     DEFAULT_CHAT_SURVEY_SETTINGS,
     MIN_CHAT_SURVEY_TRIGGER_MESSAGES,
     MAX_CHAT_SURVEY_TRIGGER_MESSAGES,
     normalizeRagTopK,
+    normalizeRagRetrievalMode,
+    normalizeRerankSettings,
+    normalizeAnswerCacheSettings,
     resolveRagSettings,
     normalizeChatSurveyTriggerMessageCount,
     resolveChatSurveySettings,
@@ -2484,6 +2859,16 @@ module.exports = {
     updateChatSurveySettings,
     getRagSettings,
     updateRagSettings,
+    normalizeTokenBudget,
+    resolveTokenBudget,
+    getTokenBudget,
+    updateTokenBudget,
+    getRateLimits,
+    updateRateLimits,
+    getWellnessResources,
+    updateWellnessResources,
+    getChunkingProfile,
+    updateChunkingProfile,
     getAllowInSuperCourse,
     updateAllowInSuperCourse,
     normalizeSuperchatIds,
@@ -23,13 +23,43 @@ const { createId } = require('../services/id');
  *   mimeType: String,             // MIME type of the file
  *   size: Number,                 // File size in bytes
  *   status: String,               // "uploaded", "parsing", "parsed", "error"
+ *   version: Number,              // Current version, starting at 1
+ *   versions: [{                  // Every stored revision, oldest first (absent
+ *     version: Number,            // until the first replacement; see listDocumentVersions)
+ *     fileId: String,             // GridFS file of that revision, kept for download
+ *     filename: String,
+ *     originalName: String,
+ *     mimeType: String,
+ *     size: Number,
+ *     contentHash: String,
+ *     uploadedBy: String,
+ *     uploadedAt: Date,
+ *     jobId: String               // Ingestion job that saved it
+ *   }],
  *   uploadDate: Date,             // When the document was uploaded
  *   lastModified: Date,           // Last modification timestamp
  *   metadata: {                   // Additional metadata
  *     description: String,
  *     tags: [String],
  *     learningObjectives: [String]
- *   }
+ *   },
+ *   figures: [{                   // Described images, indexed as "figure" chunks
+ *     figureNumber: Number,
+ *     pageNumber: Number,
+ *     slideNumber: Number,
+ *     caption: String,
+ *     description: String,
+ *     mimeType: String,
+ *     fileId: String              // GridFS image, null when too large to keep
+ *   }],
+ *   sections: [{                  // Imported web pages and books only; chunked
+ *     sectionNumber: Number,      // one per section (services/webDocumentImport)
+ *     heading: String,
+ *     level: Number,
+ *     anchor: String,
+ *     sourceUrl: String,          // Page URL or archive path, with the anchor
+ *     text: String
+ *   }]
  * }
  */
 
@@ -82,7 +112,8 @@ async function uploadDocument(db, documentData) {
         type: specificType, // Add the new specific type field
         uploadDate: now,
         lastModified: now,
-        status: 'uploaded'
+        status: 'uploaded',
+        version: 1
     };
     
     // Generate unique document ID
@@ -194,6 +225,147 @@ async function updateDocumentStatus(db, documentId, status, additionalData = {})
     return result;
 }
 
+/**
+ * Record the figures extracted from a document
+ * @param {Object} db - MongoDB database instance
+ * @param {string} documentId - Document identifier
+ * @param {Array<Object>} figures - Figure records from services/figureIndex
+ * @returns {Promise<Object>} Update result
+ */
+async function setDocumentFigures(db, documentId, figures) {
+    const collection = getDocumentsCollection(db);
+    return collection.updateOne(
+        { documentId: documentId },
+        { $set: { figures: Array.isArray(figures) ? figures : [], lastModified: new Date() } }
+    );
+}
+
+/**
+ * Set the chunking profile a document overrides its course's with
+ * @param {Object} db - MongoDB database instance
+ * @param {string} documentId - Document identifier
+ * @param {Object|null} chunkingProfile - Normalized profile
+ *   (services/chunkingProfiles), or null to use the course's
+ * @returns {Promise<Object>} Update result
+ */
+async function setDocumentChunkingProfile(db, documentId, chunkingProfile) {
+    const collection = getDocumentsCollection(db);
+    return collection.updateOne(
+        { documentId: documentId },
+        { $set: { chunkingProfile: chunkingProfile || null, lastModified: new Date() } }
+    );
+}
+
+/**
+ * Get one figure of a document
+ * @param {Object} document - Document record
+ * @param {number|string} figureNumber
+ * @returns {Object|null} Figure record
+ */
+function findDocumentFigure(document, figureNumber) {
+    const number = Number.parseInt(figureNumber, 10);
+    if (!document || !Array.isArray(document.figures) || !Number.isInteger(number)) return null;
+    return document.figures.find(figure => figure && figure.figureNumber === number) || null;
+}
+
+function versionEntry(document, version) {
+    return {
+        version,
+        fileId: document.fileId ? String(document.fileId) : null,
+        filename: document.filename || null,
+        originalName: document.originalName || null,
+        mimeType: document.mimeType || null,
+        size: Number(document.size) || 0,
+        contentHash: document.contentHash || null,
+        uploadedBy: document.instructorId || null,
+        uploadedAt: document.uploadDate || null,
+        jobId: null
+    };
+}
+
+/**
+ * Every stored revision of a document, oldest first. A document that was never
+ * replaced has one implicit version built from its own fields.
+ * @param {Object} document - Document record
+ * @returns {Array<Object>} Version entries
+ */
+function listDocumentVersions(document) {
+    if (!document) return [];
+    if (Array.isArray(document.versions) && document.versions.length > 0) {
+        return [...document.versions].sort((a, b) => a.version - b.version);
+    }
+    return [versionEntry(document, document.version || 1)];
+}
+
+/**
+ * Get one revision of a document
+ * @param {Object} document - Document record
+ * @param {number|string} version
+ * @returns {Object|null} Version entry
+ */
+function findDocumentVersion(document, version) {
+    const number = Number.parseInt(version, 10);
+    if (!Number.isInteger(number)) return null;
+    return listDocumentVersions(document).find(entry => entry.version === number) || null;
+}
+
+/**
+ * Make a new file the current version of a document. The previous versions'
+ * files stay referenced in `versions` so they remain downloadable. Recording
+ * the same ingestion job twice (a resumed job) returns the document unchanged.
+ * @param {Object} db - MongoDB database instance
+ * @param {string} documentId - Document identifier
+ * @param {Object} revision - New file fields ({ fileId, filename, originalName,
+ *   mimeType, size, content }) plus { contentHash, uploadedBy, jobId }
+ * @returns {Promise<Object|null>} The updated document, or null when it no
+ *   longer exists
+ */
+async function recordDocumentRevision(db, documentId, revision) {
+    const collection = getDocumentsCollection(db);
+    const document = await getDocumentById(db, documentId);
+    if (!document) return null;
+
+    const history = listDocumentVersions(document);
+    if (revision.jobId && history.some(entry => entry.jobId === revision.jobId)) {
+        return document;
+    }
+
+    const now = new Date();
+    const version = (document.version || 1) + 1;
+    const fields = {
+        fileId: revision.fileId ? String(revision.fileId) : null,
+        filename: revision.filename || document.filename,
+        originalName: revision.originalName,
+        mimeType: revision.mimeType,
+        size: Number(revision.size) || 0,
+        content: revision.content || '',
+        contentHash: revision.contentHash || null
+    };
+    const entry = {
+        ...versionEntry({ ...fields, instructorId: revision.uploadedBy, uploadDate: now }, version),
+        jobId: revision.jobId || null
+    };
+
+    // Guard on the version read above so two replacements cannot both claim it
+    const result = await collection.updateOne(
+        { documentId, version: document.version ? document.version : { $exists: false } },
+        {
+            $set: {
+                ...fields,
+                // Sections of an imported web page describe the old content
+                sections: Array.isArray(revision.sections) ? revision.sections : null,
+                version,
+                versions: [...history, entry],
+                lastModified: now
+            }
+        }
+    );
+    if (result.matchedCount === 0) {
+        throw new Error('The document was changed by another upload; try again');
+    }
+    return getDocumentById(db, documentId);
+}
+
 /**
  * Delete a document
  * @param {Object} db - MongoDB database instance
@@ -241,6 +413,12 @@ module.exports = {
     getDocumentById,
     updateDocumentContent,
     updateDocumentStatus,
+    setDocumentFigures,
+    setDocumentChunkingProfile,
+    findDocumentFigure,
+    listDocumentVersions,
+    findDocumentVersion,
+    recordDocumentRevision,
     deleteDocument,
     getDocumentStats,
     mapContentTypeToDocumentType
@@ -1,9 +1,14 @@
 const { createId } = require('../services/id');
+const { dayKey, normalizeRating, scheduleReview } = require('../services/flashcardScheduler');
 
 const DECKS_COLLECTION = 'flashcardDecks';
 const PROGRESS_COLLECTION = 'flashcardProgress';
+// One document per review, for streaks and review history
+const REVIEWS_COLLECTION = 'flashcardReviews';
 const MIN_CARD_COUNT = 1;
 const MAX_CARD_COUNT = 20;
+const MAX_FRONT_LENGTH = 300;
+const MAX_BACK_LENGTH = 1200;
 
 function getDecksCollection(db) {
     return db.collection(DECKS_COLLECTION);
@@ -13,6 +18,10 @@ function getProgressCollection(db) {
     return db.collection(PROGRESS_COLLECTION);
 }
 
+function getReviewsCollection(db) {
+    return db.collection(REVIEWS_COLLECTION);
+}
+
 function normalizeText(value, maxLength) {
     return String(value || '').replace(/\s+/g, ' ').trim().slice(0, maxLength);
 }
@@ -30,7 +39,7 @@ function normalizeSource(source) {
 }
 
 function normalizeFront(value) {
-    return normalizeText(value, 300).toLowerCase();
+    return normalizeText(value, MAX_FRONT_LENGTH).toLowerCase();
 }
 
 function prepareCards(cards, previousCards = []) {
@@ -50,8 +59,8 @@ function prepareCards(cards, previousCards = []) {
     const seenFronts = new Set();
 
     return cards.map((card) => {
-        const front = normalizeText(card && card.front, 300);
-        const back = normalizeText(card && card.back, 1200);
+        const front = normalizeText(card && card.front, MAX_FRONT_LENGTH);
+        const back = normalizeText(card && card.back, MAX_BACK_LENGTH);
         if (!front || !back) {
             throw new Error('Every flashcard needs a front and back');
         }
@@ -79,6 +88,7 @@ async function ensureIndexes(db) {
     await decks.createIndex({ courseId: 1, lectureName: 1 }, { unique: true });
     await decks.createIndex({ courseId: 1, isPublished: 1 });
     await progress.createIndex({ studentId: 1, deckId: 1 }, { unique: true });
+    await getReviewsCollection(db).createIndex({ studentId: 1, courseId: 1, day: 1 });
 }
 
 async function getDeckById(db, deckId) {
@@ -104,24 +114,27 @@ async function listPublishedDecks(db, courseId, lectureNames = []) {
     return getDecksCollection(db).find(query).sort({ lectureName: 1 }).toArray();
 }
 
-async function saveGeneratedDraft(db, data) {
+/**
+ * Cards a new draft builds on: the current draft, or the published cards
+ * when there is no draft
+ */
+function currentDeckCards(deck) {
+    return deck?.draftCards?.length ? deck.draftCards : (deck?.publishedCards || []);
+}
+
+async function upsertDraft(db, data, buildFields) {
     const collection = getDecksCollection(db);
     const existing = await getDeckForUnit(db, data.courseId, data.lectureName);
-    const previousCards = existing?.draftCards?.length
-        ? existing.draftCards
-        : (existing?.publishedCards || []);
-    const draftCards = prepareCards(data.cards, previousCards);
+    const draftCards = prepareCards(data.cards, currentDeckCards(existing));
     const now = new Date();
 
-    const deck = await collection.findOneAndUpdate(
+    return collection.findOneAndUpdate(
         { courseId: data.courseId, lectureName: data.lectureName },
         {
             $set: {
-                title: normalizeText(data.title, 160) || `${data.lectureName} Flashcards`,
+                title: normalizeText(data.title, 160) || existing?.title || `${data.lectureName} Flashcards`,
                 draftCards,
-                draftSourceDocumentIds: [...new Set((data.sourceDocumentIds || []).filter(Boolean))],
-                draftGeneratedAt: now,
-                draftGeneratedBy: data.generatedBy,
+                ...buildFields(draftCards, now),
                 hasDraft: true,
                 isStale: false,
                 updatedAt: now
@@ -137,8 +150,29 @@ async function saveGeneratedDraft(db, data) {
         },
         { upsert: true, returnDocument: 'after' }
     );
+}
+
+async function saveGeneratedDraft(db, data) {
+    return upsertDraft(db, { ...data, title: data.title || `${data.lectureName} Flashcards` }, (draftCards, now) => ({
+        draftSourceDocumentIds: [...new Set((data.sourceDocumentIds || []).filter(Boolean))],
+        draftGeneratedAt: now,
+        draftGeneratedBy: data.generatedBy
+    }));
+}
 
-    return deck;
+/**
+ * Replace a unit's draft with imported cards. Cards whose front matches an
+ * existing card keep its id, so student schedules carry over.
+ * @param {Object} db - MongoDB database instance
+ * @param {Object} data - { courseId, lectureName, title, cards, importedBy }
+ * @returns {Promise<Object>} The saved deck
+ */
+async function saveImportedDraft(db, data) {
+    return upsertDraft(db, data, (draftCards, now) => ({
+        draftSourceDocumentIds: [...new Set(draftCards.map(card => card.source?.documentId).filter(Boolean))],
+        draftImportedAt: now,
+        draftImportedBy: data.importedBy
+    }));
 }
 
 async function updateDraft(db, deckId, updates) {
@@ -223,17 +257,39 @@ async function getStudentProgress(db, studentId, deckId) {
     return getProgressCollection(db).findOne({ studentId, deckId });
 }
 
+async function getStudentProgressByDeck(db, studentId, deckIds) {
+    if (!deckIds.length) return {};
+    const progress = await getProgressCollection(db)
+        .find({ studentId, deckId: { $in: deckIds } })
+        .toArray();
+    return Object.fromEntries(progress.map(entry => [entry.deckId, entry]));
+}
+
+/**
+ * Record a review and reschedule the card. Progress is keyed by cardId, and
+ * prepareCards keeps card ids across edits and republishing, so a schedule
+ * follows its card into new deck versions.
+ * @param {Object} db - MongoDB database instance
+ * @param {Object} data - { studentId, courseId, deckId, deckVersion, cardId, rating, timezoneOffset }
+ * @returns {Promise<Object>} Updated progress document
+ */
 async function saveStudentReview(db, data) {
     const now = new Date();
-    const mastery = data.rating === 'know' ? 'known' : 'learning';
+    const rating = normalizeRating(data.rating);
+    if (!rating) {
+        throw new Error('Rating must be again, hard, good, or easy');
+    }
+    const existing = await getStudentProgress(db, data.studentId, data.deckId);
+    const schedule = scheduleReview(existing?.cards?.[data.cardId] || {}, rating, now);
     const key = `cards.${data.cardId}`;
-    return getProgressCollection(db).findOneAndUpdate(
+
+    const progress = await getProgressCollection(db).findOneAndUpdate(
         { studentId: data.studentId, deckId: data.deckId },
         {
             $set: {
                 courseId: data.courseId,
                 deckVersion: data.deckVersion,
-                [`${key}.mastery`]: mastery,
+                ...Object.fromEntries(Object.entries(schedule).map(([field, value]) => [`${key}.${field}`, value])),
                 [`${key}.lastReviewedAt`]: now,
                 updatedAt: now
             },
@@ -242,13 +298,42 @@ async function saveStudentReview(db, data) {
         },
         { upsert: true, returnDocument: 'after' }
     );
+
+    await getReviewsCollection(db).insertOne({
+        reviewId: createId('fcr'),
+        studentId: data.studentId,
+        courseId: data.courseId,
+        deckId: data.deckId,
+        cardId: data.cardId,
+        rating,
+        intervalDays: schedule.intervalDays,
+        day: dayKey(now, data.timezoneOffset || 0),
+        reviewedAt: now
+    });
+
+    return progress;
+}
+
+/**
+ * Local days on which a student reviewed flashcards in a course
+ * @returns {Promise<Array>} [{ day, reviews }]
+ */
+async function getStudentReviewDays(db, studentId, courseId) {
+    const days = await getReviewsCollection(db).aggregate([
+        { $match: { studentId, courseId } },
+        { $group: { _id: '$day', reviews: { $sum: 1 } } }
+    ]).toArray();
+    return days.map(entry => ({ day: entry._id, reviews: entry.reviews }));
 }
 
 module.exports = {
     DECKS_COLLECTION,
     PROGRESS_COLLECTION,
+    REVIEWS_COLLECTION,
     MIN_CARD_COUNT,
     MAX_CARD_COUNT,
+    MAX_FRONT_LENGTH,
+    MAX_BACK_LENGTH,
     ensureIndexes,
     prepareCards,
     getDeckById,
@@ -256,10 +341,14 @@ module.exports = {
     listDecksForCourse,
     listPublishedDecks,
     saveGeneratedDraft,
+    saveImportedDraft,
+    currentDeckCards,
     updateDraft,
     publishDraft,
     unpublishDeck,
     markUnitStale,
     getStudentProgress,
-    saveStudentReview
+    getStudentProgressByDeck,
+    saveStudentReview,
+    getStudentReviewDays
 };
@@ -24,11 +24,41 @@ const { createId } = require('../services/id');
  *   escalatedAt: Date,           // When escalation occurred
  *   resolvedBy: String,          // Admin ID who resolved/disregarded
  *   resolvedAt: Date,            // When resolution occurred
+ *   assignedTo: {                // Instructor or TA handling the case (null when unassigned)
+ *     userId: String,
+ *     name: String,
+ *     role: String               // "instructor" | "ta"
+ *   },
+ *   assignedAt: Date,
+ *   followUpAt: Date,            // Follow-up deadline; open flags past it are overdue
+ *   caseNotes: [{                // Private to course staff with flag access
+ *     noteId: String,
+ *     text: String,
+ *     authorId: String,
+ *     authorName: String,
+ *     createdAt: Date
+ *   }],
+ *   timeline: [{                 // Every case change, oldest first
+ *     eventId: String,
+ *     type: String,              // "created" | "status" | "assigned" | "note" | "followUp"
+ *     fromStatus: String,        // Status events
+ *     toStatus: String,
+ *     reason: String,            // Why the actor made the change
+ *     detail: String,            // Assignee name or follow-up date
+ *     actorId: String,
+ *     actorName: String,
+ *     at: Date
+ *   }],
  *   createdAt: Date,
  *   updatedAt: Date
  * }
  */
 
+const FLAG_STATUSES = Object.freeze(['pending', 'escalated', 'dismissed', 'resolved', 'disregarded']);
+const OPEN_STATUSES = Object.freeze(['pending', 'escalated']);
+const MAX_NOTE_LENGTH = 2000;
+const MAX_REASON_LENGTH = 500;
+
 /**
  * Get the mental health flags collection
  * @param {Object} db - MongoDB database instance
@@ -38,6 +68,41 @@ function getCollection(db) {
     return db.collection('mentalHealthFlags');
 }
 
+function normalizeText(value, limit) {
+    return typeof value === 'string' ? value.trim().slice(0, limit) : '';
+}
+
+/**
+ * Build a timeline entry
+ * @param {string} type - "created" | "status" | "assigned" | "note" | "followUp"
+ * @param {Object|null} actor - { userId, name }
+ * @param {Object} [fields] - { fromStatus, toStatus, reason, detail }
+ * @returns {Object}
+ */
+function buildTimelineEvent(type, actor, fields = {}) {
+    return {
+        eventId: createId('mhfevt'),
+        type,
+        fromStatus: fields.fromStatus || null,
+        toStatus: fields.toStatus || null,
+        reason: normalizeText(fields.reason, MAX_REASON_LENGTH) || null,
+        detail: fields.detail || null,
+        actorId: (actor && actor.userId) || null,
+        actorName: (actor && actor.name) || null,
+        at: new Date()
+    };
+}
+
+/**
+ * Whether an open flag has passed its follow-up deadline
+ * @param {Object} flag
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isFlagOverdue(flag, now = new Date()) {
+    return !!(flag && flag.followUpAt && OPEN_STATUSES.includes(flag.status) && new Date(flag.followUpAt) < now);
+}
+
 /**
  * Create a new mental health flag
  * @param {Object} db - MongoDB database instance
@@ -64,6 +129,11 @@ async function createMentalHealthFlag(db, flagData) {
         escalatedAt: null,
         resolvedBy: null,
         resolvedAt: null,
+        assignedTo: null,
+        assignedAt: null,
+        followUpAt: null,
+        caseNotes: [],
+        timeline: [buildTimelineEvent('created', null, { toStatus: 'pending', reason: flagData.llmReason })],
         createdAt: now,
         updatedAt: now
     };
@@ -94,17 +164,32 @@ async function getMentalHealthFlagsForCourse(db, courseId, status = null) {
     return collection.find(filter).sort({ createdAt: -1 }).toArray();
 }
 
+/**
+ * Get one flag
+ * @param {Object} db - MongoDB database instance
+ * @param {string} flagId - Flag identifier
+ * @returns {Promise<Object|null>}
+ */
+async function getFlagById(db, flagId) {
+    return getCollection(db).findOne({ flagId });
+}
+
 /**
  * Update flag status (escalate, dismiss, resolve, disregard)
  * @param {Object} db - MongoDB database instance
  * @param {string} flagId - Flag identifier
  * @param {string} newStatus - New status
  * @param {string} userId - ID of user making the change
+ * @param {Object} [options] - { reason, actorName } recorded on the timeline
  * @returns {Promise<Object>}
  */
-async function updateFlagStatus(db, flagId, newStatus, userId) {
+async function updateFlagStatus(db, flagId, newStatus, userId, options = {}) {
     const collection = getCollection(db);
     const now = new Date();
+    const current = await collection.findOne({ flagId });
+    if (!current) {
+        return { success: false, error: 'Flag not found or no changes made' };
+    }
 
     const updateData = {
         status: newStatus,
@@ -120,9 +205,14 @@ async function updateFlagStatus(db, flagId, newStatus, userId) {
         updateData.resolvedAt = now;
     }
 
+    const event = buildTimelineEvent('status', { userId, name: options.actorName }, {
+        fromStatus: current.status,
+        toStatus: newStatus,
+        reason: options.reason
+    });
     const result = await collection.updateOne(
         { flagId },
-        { $set: updateData }
+        { $set: updateData, $push: { timeline: event } }
     );
 
     if (result.modifiedCount > 0) {
@@ -132,6 +222,188 @@ async function updateFlagStatus(db, flagId, newStatus, userId) {
     return { success: false, error: 'Flag not found or no changes made' };
 }
 
+async function applyCaseChange(db, flagId, set, event) {
+    const result = await getCollection(db).updateOne(
+        { flagId },
+        { $set: { ...set, updatedAt: new Date() }, $push: { timeline: event } }
+    );
+    return result.matchedCount > 0
+        ? { success: true, event }
+        : { success: false, error: 'Flag not found' };
+}
+
+/**
+ * Assign a flag to a staff member, or clear the assignment
+ * @param {Object} db - MongoDB database instance
+ * @param {string} flagId - Flag identifier
+ * @param {Object|null} assignee - { userId, name, role }
+ * @param {Object} actor - { userId, name }
+ * @param {string} [reason]
+ * @returns {Promise<Object>} { success, event, error }
+ */
+async function assignFlag(db, flagId, assignee, actor, reason = '') {
+    const assignedTo = assignee
+        ? { userId: assignee.userId, name: assignee.name || assignee.userId, role: assignee.role || null }
+        : null;
+    return applyCaseChange(
+        db,
+        flagId,
+        { assignedTo, assignedAt: assignedTo ? new Date() : null },
+        buildTimelineEvent('assigned', actor, { reason, detail: assignedTo ? assignedTo.name : 'Unassigned' })
+    );
+}
+
+/**
+ * Add a private case note
+ * @param {Object} db - MongoDB database instance
+ * @param {string} flagId - Flag identifier
+ * @param {string} text - Note text
+ * @param {Object} actor - { userId, name }
+ * @returns {Promise<Object>} { success, note, error }
+ */
+async function addCaseNote(db, flagId, text, actor) {
+    const noteText = normalizeText(text, MAX_NOTE_LENGTH);
+    if (!noteText) {
+        return { success: false, error: 'Note text is required' };
+    }
+
+    const note = {
+        noteId: createId('mhfnote'),
+        text: noteText,
+        authorId: (actor && actor.userId) || null,
+        authorName: (actor && actor.name) || null,
+        createdAt: new Date()
+    };
+    const result = await getCollection(db).updateOne(
+        { flagId },
+        {
+            $push: { caseNotes: note, timeline: buildTimelineEvent('note', actor) },
+            $set: { updatedAt: new Date() }
+        }
+    );
+    return result.matchedCount > 0
+        ? { success: true, note }
+        : { success: false, error: 'Flag not found' };
+}
+
+/**
+ * Set or clear the follow-up deadline
+ * @param {Object} db - MongoDB database instance
+ * @param {string} flagId - Flag identifier
+ * @param {string|Date|null} followUpAt - Deadline; null clears it
+ * @param {Object} actor - { userId, name }
+ * @returns {Promise<Object>} { success, followUpAt, error }
+ */
+async function setFollowUp(db, flagId, followUpAt, actor) {
+    let deadline = null;
+    if (followUpAt !== null && followUpAt !== undefined && followUpAt !== '') {
+        deadline = new Date(followUpAt);
+        if (Number.isNaN(deadline.getTime())) {
+            return { success: false, error: 'followUpAt must be a valid date' };
+        }
+    }
+
+    const result = await applyCaseChange(
+        db,
+        flagId,
+        { followUpAt: deadline },
+        buildTimelineEvent('followUp', actor, { detail: deadline ? deadline.toISOString() : 'Cleared' })
+    );
+    return result.success ? { ...result, followUpAt: deadline } : result;
+}
+
+/**
+ * Count open flags past their follow-up deadline
+ * @param {Object} db - MongoDB database instance
+ * @param {string} courseId - Course identifier
+ * @returns {Promise<number>}
+ */
+async function countOverdueFlags(db, courseId) {
+    const overdue = await getCollection(db)
+        .find({ courseId, status: { $in: OPEN_STATUSES }, followUpAt: { $ne: null, $lt: new Date() } })
+        .toArray();
+    return overdue.length;
+}
+
+/**
+ * One flag as a counselling referral record. Case notes stay private to
+ * course staff and are never exported.
+ * @param {Object} flag - Flag, optionally with resourcesShown
+ * @param {Object} [options] - { includeTranscript, includeIdentity }
+ * @returns {Object}
+ */
+function toReferralRecord(flag, { includeTranscript = true, includeIdentity = false } = {}) {
+    const record = {
+        flagId: flag.flagId,
+        courseId: flag.courseId,
+        unitName: flag.unitName,
+        studentId: includeIdentity ? flag.studentId : null,
+        studentName: includeIdentity ? flag.studentName : 'Anonymous Student',
+        concernLevel: flag.concernLevel,
+        status: flag.status,
+        detectionReason: flag.llmReason || null,
+        message: flag.message,
+        assignedTo: flag.assignedTo ? flag.assignedTo.name : null,
+        followUpAt: flag.followUpAt || null,
+        overdue: isFlagOverdue(flag),
+        resourcesShown: (flag.resourcesShown || [])
+            .flatMap(display => display.resources.map(resource => resource.name)),
+        statusHistory: (flag.timeline || [])
+            .filter(event => event.type === 'status' || event.type === 'created')
+            .map(event => ({ status: event.toStatus, at: event.at, by: event.actorName, reason: event.reason })),
+        createdAt: flag.createdAt
+    };
+    if (includeTranscript) {
+        record.transcript = (flag.conversationContext || [])
+            .map(message => ({ role: message.role === 'user' ? 'student' : 'bot', content: message.content }));
+    }
+    return record;
+}
+
+function escapeCsvCell(value) {
+    if (value === undefined || value === null) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    if (/[",\n\r]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+function referralsToCsv(records) {
+    const headers = [
+        'flagId',
+        'courseId',
+        'unitName',
+        'studentId',
+        'studentName',
+        'concernLevel',
+        'status',
+        'detectionReason',
+        'message',
+        'assignedTo',
+        'followUpAt',
+        'overdue',
+        'resourcesShown',
+        'statusHistory',
+        'createdAt'
+    ];
+    if (records.some(record => record.transcript)) headers.push('transcript');
+
+    const format = {
+        resourcesShown: value => value.join(' | '),
+        statusHistory: value => value
+            .map(event => [event.status, event.at instanceof Date ? event.at.toISOString() : event.at, event.by, event.reason]
+                .filter(Boolean).join(' / '))
+            .join(' | '),
+        transcript: value => value.map(message => `${message.role}: ${message.content}`).join('\n')
+    };
+    const rows = records.map(record => headers.map(header => {
+        const value = record[header];
+        return escapeCsvCell(format[header] && Array.isArray(value) ? format[header](value) : value);
+    }).join(','));
+    return [headers.join(','), ...rows].join('\n');
+}
+
 /**
  * Get mental health flag statistics for a course
  * @param {Object} db - MongoDB database instance
@@ -171,8 +443,19 @@ async function getMentalHealthFlagStats(db, courseId) {
 }
 
 module.exports = {
+    FLAG_STATUSES,
+    OPEN_STATUSES,
+    MAX_NOTE_LENGTH,
     createMentalHealthFlag,
+    getFlagById,
     getMentalHealthFlagsForCourse,
     updateFlagStatus,
+    assignFlag,
+    addCaseNote,
+    setFollowUp,
+    isFlagOverdue,
+    countOverdueFlags,
+    toReferralRecord,
+    referralsToCsv,
     getMentalHealthFlagStats
 };
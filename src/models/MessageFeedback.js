@@ -1,5 +1,6 @@
 const { createId } = require('../services/id');
 const { excludePreviewFilter } = require('../services/previewSession');
+const { normalizePromptVariant } = require('./PromptExperiment');
 
 /**
  * Message Feedback Model for MongoDB
@@ -61,6 +62,12 @@ function normalizeSourceAttribution(sourceAttribution) {
     };
 }
 
+function normalizeSearchQueries(searchQueries) {
+    if (!Array.isArray(searchQueries)) return null;
+    const queries = searchQueries.map(query => normalizeText(query, 500)).filter(Boolean).slice(0, 5);
+    return queries.length > 0 ? queries : null;
+}
+
 function validateRequiredFeedbackFields(data) {
     const required = ['courseId', 'studentId', 'conversationId', 'messageId'];
     for (const field of required) {
@@ -127,6 +134,8 @@ async function upsertMessageFeedback(db, data) {
             studentName: normalizeText(data.studentName, 160) || null,
             botMode: normalizeText(data.botMode, 60) || null,
             sourceAttribution: normalizeSourceAttribution(data.sourceAttribution),
+            searchQueries: normalizeSearchQueries(data.searchQueries),
+            promptVariant: normalizePromptVariant(data.promptVariant),
             ...messageSnapshot,
             updatedAt: now
         }
@@ -199,13 +208,7 @@ async function listFeedbackForCourse(db, courseId, options = {}) {
     return feedback.map(toPublicFeedback);
 }
 
-async function getFeedbackStatsForCourse(db, courseId) {
-    const collection = getMessageFeedbackCollection(db);
-    const feedback = await collection.find({
-        courseId: normalizeText(courseId, 120),
-        ...excludePreviewFilter('studentId')
-    }).toArray();
-
+function summarizeFeedback(feedback) {
     return feedback.reduce((stats, item) => {
         stats.total += 1;
         if (item.isActive && item.rating === 'up') stats.up += 1;
@@ -215,6 +218,37 @@ async function getFeedbackStatsForCourse(db, courseId) {
     }, { total: 0, up: 0, down: 0, cleared: 0 });
 }
 
+async function getFeedbackStatsForCourse(db, courseId) {
+    const collection = getMessageFeedbackCollection(db);
+    const feedback = await collection.find({
+        courseId: normalizeText(courseId, 120),
+        ...excludePreviewFilter('studentId')
+    }).toArray();
+
+    return summarizeFeedback(feedback);
+}
+
+/**
+ * Feedback stats per variant of a prompt experiment
+ * @param {Object} db - MongoDB database instance
+ * @param {string} courseId - Course identifier
+ * @param {string} experimentId - Prompt experiment identifier
+ * @returns {Promise<Object>} { A: stats, B: stats }
+ */
+async function getFeedbackStatsByVariant(db, courseId, experimentId) {
+    const collection = getMessageFeedbackCollection(db);
+    const feedback = await collection.find({
+        courseId: normalizeText(courseId, 120),
+        'promptVariant.experimentId': normalizeText(experimentId, 120),
+        ...excludePreviewFilter('studentId')
+    }).toArray();
+
+    return {
+        A: summarizeFeedback(feedback.filter(item => item.promptVariant.variant === 'A')),
+        B: summarizeFeedback(feedback.filter(item => item.promptVariant.variant === 'B'))
+    };
+}
+
 function escapeCsvCell(value) {
     if (value === undefined || value === null) return '';
     const text = value instanceof Date ? value.toISOString() : String(value);
@@ -238,12 +272,16 @@ function feedbackToCsv(feedback) {
         'botMode',
         'messageContentPreview',
         'messageContentHash',
+        'searchQueries',
         'createdAt',
         'updatedAt',
         'clearedAt'
     ];
 
-    const rows = feedback.map(item => headers.map(header => escapeCsvCell(item[header])).join(','));
+    const rows = feedback.map(item => headers.map(header => {
+        const value = item[header];
+        return escapeCsvCell(Array.isArray(value) ? value.join(' | ') : value);
+    }).join(','));
     return [headers.join(','), ...rows].join('\n');
 }
 
@@ -260,6 +298,7 @@ module.exports = {
     getFeedbackForMessage,
     listFeedbackForCourse,
     getFeedbackStatsForCourse,
+    getFeedbackStatsByVariant,
     feedbackToCsv,
     toPublicFeedback
 };
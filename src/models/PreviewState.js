@@ -26,8 +26,12 @@ const COLLECTION_NAME = 'previewStates';
  */
 const PREVIEW_DATA_COLLECTIONS = [
     { collection: 'chat_sessions', field: 'studentId' },
+    { collection: 'chat_threads', field: 'studentId' },
+    { collection: 'retrieval_traces', field: 'studentId' },
     { collection: 'quizAttempts', field: 'studentId' },
+    { collection: 'quiz_me_sessions', field: 'studentId' },
     { collection: 'flashcardProgress', field: 'studentId' },
+    { collection: 'flashcardReviews', field: 'studentId' },
     { collection: 'messageFeedback', field: 'studentId' },
     { collection: 'chatSurveyResponses', field: 'studentId' },
     { collection: 'flaggedQuestions', field: 'studentId' },
@@ -0,0 +1,199 @@
+/**
+ * Prompt Experiment Model for MongoDB
+ * A/B tests of one chat prompt. While an experiment runs, each student in the
+ * course is assigned to variant A or B and chats with that variant's text for
+ * the experiment's prompt key. Feedback and survey ratings record the variant
+ * (see MessageFeedback.promptVariant and ChatSurveyResponse settingsSnapshot),
+ * so results can be compared per variant.
+ *
+ * Prompt Experiment Schema Structure:
+ * {
+ *   _id: ObjectId,
+ *   experimentId: String,    // "promptexp_<uuid>"
+ *   courseId: String,
+ *   name: String,
+ *   promptKey: String,       // One of EXPERIMENT_PROMPT_KEYS
+ *   variants: {
+ *     A: { prompt: String }, // The course prompt when the experiment started
+ *     B: { prompt: String }
+ *   },
+ *   splitPercent: Number,    // Share of students assigned to B (1-99)
+ *   status: String,          // "running" | "stopped"
+ *   createdById: String,
+ *   startedAt: Date,
+ *   stoppedAt: Date,
+ *   stoppedById: String
+ * }
+ */
+
+const crypto = require('crypto');
+const { createId } = require('../services/id');
+
+const COLLECTION_NAME = 'prompt_experiments';
+
+// Prompts that shape chat answers, which is what the ratings measure.
+const EXPERIMENT_PROMPT_KEYS = Object.freeze(['base', 'protege', 'tutor', 'explain', 'directive']);
+const VARIANTS = Object.freeze(['A', 'B']);
+const DEFAULT_SPLIT_PERCENT = 50;
+const MAX_NAME_LENGTH = 120;
+
+function getExperimentsCollection(db) {
+    return db.collection(COLLECTION_NAME);
+}
+
+function toPublicExperiment(experiment) {
+    if (!experiment) return null;
+    const { _id, ...publicExperiment } = experiment;
+    return publicExperiment;
+}
+
+/**
+ * Validate a { experimentId, variant } reference stored on ratings and turns
+ * @param {Object} promptVariant
+ * @returns {Object|null}
+ */
+function normalizePromptVariant(promptVariant) {
+    if (!promptVariant || typeof promptVariant !== 'object') return null;
+    const experimentId = typeof promptVariant.experimentId === 'string' ? promptVariant.experimentId.trim().slice(0, 120) : '';
+    return experimentId && VARIANTS.includes(promptVariant.variant)
+        ? { experimentId, variant: promptVariant.variant }
+        : null;
+}
+
+async function ensureIndexes(db) {
+    const collection = getExperimentsCollection(db);
+    await collection.createIndex({ experimentId: 1 }, { unique: true, name: 'unique_prompt_experiment_id' });
+    await collection.createIndex({ courseId: 1, status: 1, startedAt: -1 }, { name: 'course_prompt_experiments' });
+}
+
+/**
+ * Variant for a student. Assignment hashes the experiment and student ids, so
+ * it is random across students but stable for each one without storing it.
+ * @param {Object} experiment - { experimentId, splitPercent }
+ * @param {string} studentId
+ * @returns {string} "A" | "B"
+ */
+function assignVariant(experiment, studentId) {
+    const hash = crypto.createHash('sha256').update(`${experiment.experimentId}:${studentId}`).digest();
+    return hash.readUInt32BE(0) % 100 < experiment.splitPercent ? 'B' : 'A';
+}
+
+/**
+ * Start an experiment; a course runs at most one at a time
+ * @param {Object} db - MongoDB database instance
+ * @param {Object} data - { courseId, name, promptKey, variantA, variantB, splitPercent, createdById }
+ * @returns {Promise<Object>} { success, experiment, error }
+ */
+async function createExperiment(db, data = {}) {
+    const name = typeof data.name === 'string' ? data.name.trim().slice(0, MAX_NAME_LENGTH) : '';
+    if (!data.courseId || !name) {
+        return { success: false, error: 'courseId and name are required' };
+    }
+    if (!EXPERIMENT_PROMPT_KEYS.includes(data.promptKey)) {
+        return { success: false, error: `promptKey must be one of: ${EXPERIMENT_PROMPT_KEYS.join(', ')}` };
+    }
+    if (typeof data.variantB !== 'string' || !data.variantB.trim()) {
+        return { success: false, error: 'Variant B prompt is required' };
+    }
+    if (data.variantB === data.variantA) {
+        return { success: false, error: 'Variant B must differ from the current prompt' };
+    }
+    const splitPercent = data.splitPercent === undefined || data.splitPercent === null || data.splitPercent === ''
+        ? DEFAULT_SPLIT_PERCENT
+        : Number(data.splitPercent);
+    if (!Number.isInteger(splitPercent) || splitPercent < 1 || splitPercent > 99) {
+        return { success: false, error: 'splitPercent must be a whole number from 1 to 99' };
+    }
+
+    if (await getRunningExperiment(db, data.courseId)) {
+        return { success: false, error: 'Stop the running experiment before starting another' };
+    }
+
+    const experiment = {
+        experimentId: createId('promptexp'),
+        courseId: data.courseId,
+        name,
+        promptKey: data.promptKey,
+        variants: {
+            A: { prompt: data.variantA || '' },
+            B: { prompt: data.variantB }
+        },
+        splitPercent,
+        status: 'running',
+        createdById: data.createdById || null,
+        startedAt: new Date(),
+        stoppedAt: null,
+        stoppedById: null
+    };
+    await getExperimentsCollection(db).insertOne(experiment);
+    return { success: true, experiment: toPublicExperiment(experiment) };
+}
+
+/**
+ * The course's running experiment, if any
+ * @param {Object} db - MongoDB database instance
+ * @param {string} courseId - Course identifier
+ * @returns {Promise<Object|null>}
+ */
+async function getRunningExperiment(db, courseId) {
+    return toPublicExperiment(await getExperimentsCollection(db).findOne({ courseId, status: 'running' }));
+}
+
+/**
+ * The variant a student is in for the course's running experiment
+ * @param {Object} db - MongoDB database instance
+ * @param {string} courseId - Course identifier
+ * @param {string} studentId - Student user ID
+ * @returns {Promise<Object|null>} { experiment, variant } or null when none is running
+ */
+async function resolveStudentVariant(db, courseId, studentId) {
+    if (!courseId || !studentId) return null;
+    const experiment = await getRunningExperiment(db, courseId);
+    return experiment ? { experiment, variant: assignVariant(experiment, studentId) } : null;
+}
+
+async function getExperiment(db, courseId, experimentId) {
+    return toPublicExperiment(await getExperimentsCollection(db).findOne({ courseId, experimentId }));
+}
+
+async function listExperiments(db, courseId) {
+    const experiments = await getExperimentsCollection(db)
+        .find({ courseId })
+        .sort({ startedAt: -1 })
+        .limit(50)
+        .toArray();
+    return experiments.map(toPublicExperiment);
+}
+
+/**
+ * Stop a running experiment; students go back to the course prompt
+ * @param {Object} db - MongoDB database instance
+ * @param {string} courseId - Course identifier
+ * @param {string} experimentId - Experiment identifier
+ * @param {string} stoppedById - Instructor user ID
+ * @returns {Promise<Object|null>} The stopped experiment, or null if it was not running
+ */
+async function stopExperiment(db, courseId, experimentId, stoppedById = null) {
+    const experiment = await getExperimentsCollection(db).findOneAndUpdate(
+        { courseId, experimentId, status: 'running' },
+        { $set: { status: 'stopped', stoppedAt: new Date(), stoppedById } },
+        { returnDocument: 'after' }
+    );
+    return toPublicExperiment(experiment);
+}
+
+module.exports = {
+    COLLECTION_NAME,
+    DEFAULT_SPLIT_PERCENT,
+    EXPERIMENT_PROMPT_KEYS,
+    VARIANTS,
+    assignVariant,
+    createExperiment,
+    ensureIndexes,
+    getExperiment,
+    getRunningExperiment,
+    listExperiments,
+    normalizePromptVariant,
+    resolveStudentVariant,
+    stopExperiment
+};
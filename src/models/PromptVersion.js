@@ -0,0 +1,212 @@
+/**
+ * Prompt Version Model for MongoDB
+ * Immutable history of a course's prompts. Every save, reset, and rollback of
+ * the course prompts (or the admin question-generation prompts) records the
+ * full prompt text with its author and a line diff against the version
+ * before it; rolling back writes the chosen snapshot as a new version.
+ *
+ * Prompt Version Schema Structure:
+ * {
+ *   _id: ObjectId,
+ *   versionId: String,       // "promptver_<uuid>"
+ *   courseId: String,
+ *   kind: String,            // "prompts" | "questionPrompts"
+ *   version: Number,         // 1, 2, 3... per course and kind
+ *   prompts: Object,         // Full prompt text, one field per prompt key
+ *   changes: [{              // Keys that differ from the previous version
+ *     key: String,
+ *     diff: [{ op: String, line: Number, text: String }] // null when too large to diff
+ *   }],
+ *   source: String,          // "initial" | "save" | "reset" | "rollback"
+ *   restoredFrom: Number,    // Rollbacks: the version restored
+ *   createdById: String,
+ *   createdByName: String,
+ *   createdAt: Date
+ * }
+ */
+
+const { createId } = require('../services/id');
+const { diffLines } = require('../services/textDiff');
+
+const COLLECTION_NAME = 'prompt_versions';
+
+const PROMPT_VERSION_KEYS = Object.freeze({
+    prompts: Object.freeze(['base', 'protege', 'tutor', 'explain', 'directive', 'quizHelp', 'chatSummary', 'flashcards']),
+    questionPrompts: Object.freeze([
+        'systemPrompt', 'trueFalse', 'multipleChoice', 'shortAnswer',
+        'numeric', 'fillInTheBlank', 'matching', 'ordering'
+    ])
+});
+
+const VERSION_SOURCES = new Set(['initial', 'save', 'reset', 'rollback']);
+
+function getPromptVersionsCollection(db) {
+    return db.collection(COLLECTION_NAME);
+}
+
+function isDuplicateKeyError(error) {
+    return !!error && error.code === 11000;
+}
+
+function isValidKind(kind) {
+    return Object.prototype.hasOwnProperty.call(PROMPT_VERSION_KEYS, kind);
+}
+
+function toPublicVersion(version, { includePrompts = true } = {}) {
+    if (!version) return null;
+    const { _id, prompts, ...publicVersion } = version;
+    return includePrompts ? { ...publicVersion, prompts } : publicVersion;
+}
+
+async function ensureIndexes(db) {
+    const collection = getPromptVersionsCollection(db);
+    await collection.createIndex(
+        { courseId: 1, kind: 1, version: -1 },
+        { unique: true, name: 'unique_course_prompt_version' }
+    );
+    await collection.createIndex({ versionId: 1 }, { unique: true, name: 'unique_prompt_version_id' });
+}
+
+function snapshotPrompts(kind, prompts = {}) {
+    const snapshot = {};
+    for (const key of PROMPT_VERSION_KEYS[kind]) {
+        snapshot[key] = typeof prompts[key] === 'string' ? prompts[key] : '';
+    }
+    return snapshot;
+}
+
+/**
+ * Keys that differ between two snapshots, with a line diff for each
+ * @param {string} kind - "prompts" | "questionPrompts"
+ * @param {Object} before - Previous snapshot
+ * @param {Object} after - New snapshot
+ * @returns {Array<Object>} [{ key, diff }]
+ */
+function diffSnapshots(kind, before, after) {
+    return PROMPT_VERSION_KEYS[kind]
+        .filter(key => (before[key] || '') !== (after[key] || ''))
+        .map(key => ({ key, diff: diffLines(before[key] || '', after[key] || '') }));
+}
+
+async function getLatestVersion(db, courseId, kind) {
+    const [latest] = await getPromptVersionsCollection(db)
+        .find({ courseId, kind })
+        .sort({ version: -1 })
+        .limit(1)
+        .toArray();
+    return latest || null;
+}
+
+async function insertVersion(db, doc) {
+    // Two saves racing for the same number: the unique index rejects one,
+    // which then takes the next number.
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+        const latest = await getLatestVersion(db, doc.courseId, doc.kind);
+        const version = { ...doc, versionId: createId('promptver'), version: latest ? latest.version + 1 : 1 };
+        try {
+            await getPromptVersionsCollection(db).insertOne(version);
+            return version;
+        } catch (error) {
+            if (!isDuplicateKeyError(error)) throw error;
+        }
+    }
+    throw new Error('Could not allocate a prompt version number');
+}
+
+/**
+ * Record a new version of a course's prompts. The first save also records
+ * the prompts it replaced (source "initial"), so that state can be restored.
+ * Saves that change no prompt text record nothing.
+ * @param {Object} db - MongoDB database instance
+ * @param {Object} data - { courseId, kind, previous, prompts, source, restoredFrom, createdBy: { userId, name } }
+ * @returns {Promise<Object>} { success, version, unchanged, error }
+ */
+async function recordVersion(db, data = {}) {
+    const { courseId, kind } = data;
+    if (!courseId || !isValidKind(kind)) {
+        return { success: false, error: 'courseId and a valid prompt kind are required' };
+    }
+    const source = VERSION_SOURCES.has(data.source) ? data.source : 'save';
+    const snapshot = snapshotPrompts(kind, data.prompts);
+
+    let latest = await getLatestVersion(db, courseId, kind);
+    if (!latest && data.previous) {
+        const previous = snapshotPrompts(kind, data.previous);
+        if (diffSnapshots(kind, previous, snapshot).length) {
+            latest = await insertVersion(db, {
+                courseId,
+                kind,
+                prompts: previous,
+                changes: [],
+                source: 'initial',
+                restoredFrom: null,
+                createdById: null,
+                createdByName: null,
+                createdAt: new Date()
+            });
+        }
+    }
+
+    const changes = latest ? diffSnapshots(kind, latest.prompts, snapshot) : [];
+    if (latest && changes.length === 0) {
+        return { success: true, version: toPublicVersion(latest), unchanged: true };
+    }
+
+    const createdBy = data.createdBy || {};
+    const version = await insertVersion(db, {
+        courseId,
+        kind,
+        prompts: snapshot,
+        changes,
+        source,
+        restoredFrom: Number.isInteger(data.restoredFrom) ? data.restoredFrom : null,
+        createdById: createdBy.userId || null,
+        createdByName: createdBy.name || null,
+        createdAt: new Date()
+    });
+    return { success: true, version: toPublicVersion(version), unchanged: false };
+}
+
+/**
+ * List a course's prompt versions, newest first, without the full text
+ * @param {Object} db - MongoDB database instance
+ * @param {string} courseId - Course identifier
+ * @param {string} kind - "prompts" | "questionPrompts"
+ * @param {Object} [options] - { limit }
+ * @returns {Promise<Array>}
+ */
+async function listVersions(db, courseId, kind, options = {}) {
+    const limit = Number.isInteger(options.limit) && options.limit > 0
+        ? Math.min(options.limit, 200)
+        : 50;
+    const versions = await getPromptVersionsCollection(db)
+        .find({ courseId, kind })
+        .sort({ version: -1 })
+        .limit(limit)
+        .toArray();
+    return versions.map(version => toPublicVersion(version, { includePrompts: false }));
+}
+
+/**
+ * Get one version with its full prompt text
+ * @param {Object} db - MongoDB database instance
+ * @param {string} courseId - Course identifier
+ * @param {string} kind - "prompts" | "questionPrompts"
+ * @param {number} version - Version number
+ * @returns {Promise<Object|null>}
+ */
+async function getVersion(db, courseId, kind, version) {
+    return toPublicVersion(await getPromptVersionsCollection(db).findOne({ courseId, kind, version }));
+}
+
+module.exports = {
+    COLLECTION_NAME,
+    PROMPT_VERSION_KEYS,
+    diffSnapshots,
+    ensureIndexes,
+    getVersion,
+    isValidKind,
+    listVersions,
+    recordVersion,
+    snapshotPrompts
+};
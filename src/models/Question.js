@@ -13,10 +13,26 @@ const { createId } = require('../services/id');
  *   courseId: String,             // Course this question belongs to
  *   lectureName: String,          // Unit/Week this question is for
  *   instructorId: String,         // ID of the instructor who created
- *   questionType: String,         // "multiple-choice", "true-false", "short-answer"
- *   question: String,             // The question text
+ *   questionType: String,         // One of questionTypes.QUESTION_TYPES: "multiple-choice", "true-false",
+ *                                 // "short-answer", "numeric", "fill-in-the-blank", "matching", "ordering"
+ *   question: String,             // The question text (fill-in-the-blank marks each blank as ___)
  *   options: Object,              // For multiple choice: { "A": "option text", "B": "option text" }
- *   correctAnswer: String,        // Correct answer (option key for MC, true/false for TF, text for SA)
+ *   correctAnswer: String,        // Correct answer (option key for MC, true/false for TF, text for SA,
+ *                                 // a readable answer key for the structured types)
+ *   numeric: {                    // Numeric only
+ *     value: Number,
+ *     tolerance: Number,
+ *     toleranceType: String,      // "absolute" | "percent"
+ *     unit: String                // Empty for unitless answers
+ *   },
+ *   blanks: [{ answers: [String] }], // Fill-in-the-blank only: accepted answers per blank, in order
+ *   pairs: [{ prompt, match }],   // Matching only
+ *   distractors: [String],        // Matching only: choices that match no prompt
+ *   items: [String],              // Ordering only: items in the correct order
+ *   rubric: {                     // Short-answer only, optional: graded per criterion (services/rubric)
+ *     criteria: [{ description, points }],
+ *     exampleAnswers: [{ answer, points }]
+ *   },
  *   explanation: String,          // Explanation of the correct answer
  *   difficulty: String,           // "easy", "medium", "hard"
  *   tags: [String],               // Learning objectives or topics this question covers
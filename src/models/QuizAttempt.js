@@ -5,11 +5,24 @@
 
 const { createId } = require('../services/id');
 const COLLECTION_NAME = 'quizAttempts';
+// Where the question was answered: the quiz practice page or quiz-me chat mode
+const ATTEMPT_SOURCES = ['practice', 'quizme'];
+
+// Credit an attempt earned: its partial score, or 1/0 for right/wrong
+const ATTEMPT_CREDIT = { $ifNull: ['$score', { $cond: ['$correct', 1, 0] }] };
 
 function getCollection(db) {
     return db.collection(COLLECTION_NAME);
 }
 
+function toPercent(part, whole) {
+    return whole > 0 ? Math.round((part / whole) * 100) : 0;
+}
+
+function roundCredit(value) {
+    return Math.round(value * 100) / 100;
+}
+
 /**
  * Generate a unique attempt ID
  * @returns {string} Prefixed collision-resistant attempt ID
@@ -36,7 +49,14 @@ async function saveAttempt(db, attemptData) {
         questionType: attemptData.questionType,
         studentAnswer: attemptData.studentAnswer,
         correct: attemptData.correct,
+        // Partial credit (0-1) for structured types and rubric-graded short
+        // answers; null when all-or-nothing
+        score: typeof attemptData.score === 'number' ? attemptData.score : null,
+        // Per-criterion breakdown for rubric-graded short answers:
+        // [{ description, points, earned, feedback }]
+        rubricScores: Array.isArray(attemptData.rubricScores) ? attemptData.rubricScores : null,
         feedback: attemptData.feedback || '',
+        source: ATTEMPT_SOURCES.includes(attemptData.source) ? attemptData.source : 'practice',
         attemptedAt: new Date()
     };
 
@@ -81,10 +101,12 @@ async function getAttemptStats(db, studentId, courseId) {
                 _id: null,
                 totalAttempts: { $sum: 1 },
                 correctCount: { $sum: { $cond: ['$correct', 1, 0] } },
+                credit: { $sum: ATTEMPT_CREDIT },
                 byUnit: {
                     $push: {
                         lectureName: '$lectureName',
-                        correct: '$correct'
+                        correct: '$correct',
+                        credit: ATTEMPT_CREDIT
                     }
                 }
             }
@@ -98,6 +120,8 @@ async function getAttemptStats(db, studentId, courseId) {
             totalAttempts: 0,
             correctCount: 0,
             accuracy: 0,
+            creditEarned: 0,
+            averageScore: 0,
             unitBreakdown: {}
         };
     }
@@ -108,9 +132,10 @@ async function getAttemptStats(db, studentId, courseId) {
     const unitBreakdown = {};
     for (const entry of stats.byUnit) {
         if (!unitBreakdown[entry.lectureName]) {
-            unitBreakdown[entry.lectureName] = { total: 0, correct: 0 };
+            unitBreakdown[entry.lectureName] = { total: 0, correct: 0, credit: 0 };
         }
         unitBreakdown[entry.lectureName].total++;
+        unitBreakdown[entry.lectureName].credit = roundCredit(unitBreakdown[entry.lectureName].credit + entry.credit);
         if (entry.correct) {
             unitBreakdown[entry.lectureName].correct++;
         }
@@ -119,13 +144,53 @@ async function getAttemptStats(db, studentId, courseId) {
     return {
         totalAttempts: stats.totalAttempts,
         correctCount: stats.correctCount,
-        accuracy: stats.totalAttempts > 0 ? Math.round((stats.correctCount / stats.totalAttempts) * 100) : 0,
+        accuracy: toPercent(stats.correctCount, stats.totalAttempts),
+        // Partial credit counts here: two half-right answers make one answer's worth
+        creditEarned: roundCredit(stats.credit),
+        averageScore: toPercent(stats.credit, stats.totalAttempts),
         unitBreakdown
     };
 }
 
+/**
+ * Per-student quiz results for a course, for the instructor Student Hub
+ * @param {Object} db - MongoDB database instance
+ * @param {string} courseId - Course ID
+ * @returns {Promise<Object>} studentId -> { totalAttempts, correctCount, partialCount, accuracy, averageScore, lastAttemptAt }
+ */
+async function getCourseStudentSummaries(db, courseId) {
+    const rows = await getCollection(db).aggregate([
+        { $match: { courseId } },
+        {
+            $group: {
+                _id: '$studentId',
+                totalAttempts: { $sum: 1 },
+                correctCount: { $sum: { $cond: ['$correct', 1, 0] } },
+                partialCount: { $sum: { $cond: [{ $ifNull: ['$score', false] }, { $cond: ['$correct', 0, 1] }, 0] } },
+                credit: { $sum: ATTEMPT_CREDIT },
+                lastAttemptAt: { $max: '$attemptedAt' }
+            }
+        }
+    ]).toArray();
+
+    const summaries = {};
+    for (const row of rows) {
+        summaries[row._id] = {
+            totalAttempts: row.totalAttempts,
+            correctCount: row.correctCount,
+            partialCount: row.partialCount,
+            accuracy: toPercent(row.correctCount, row.totalAttempts),
+            averageScore: toPercent(row.credit, row.totalAttempts),
+            lastAttemptAt: row.lastAttemptAt || null
+        };
+    }
+    return summaries;
+}
+
 module.exports = {
+    ATTEMPT_SOURCES,
     saveAttempt,
     getAttemptsByStudent,
-    getAttemptStats
+    getAttemptStats,
+    getCourseStudentSummaries
 };
@@ -0,0 +1,80 @@
+/**
+ * Quiz Grading Model for MongoDB
+ * The rubric grading a student was just shown by /api/quiz/check-answer, kept
+ * until the attempt is recorded so the stored score is the one the student
+ * saw and the answer is sent to the LLM once. A TTL index drops gradings
+ * whose attempt never arrived.
+ *
+ * Quiz Grading Schema Structure:
+ * {
+ *   _id: ObjectId,
+ *   key: String,            // '<studentId>|<courseId>|<questionId>'
+ *   studentAnswer: String,  // The answer that was graded
+ *   grading: Object,        // { correct, score, criteria, feedback }
+ *   expiresAt: Date
+ * }
+ */
+
+const COLLECTION_NAME = 'quiz_gradings';
+// Long enough to read the feedback before the attempt is recorded
+const GRADING_TTL_MS = 60 * 60 * 1000;
+
+function getGradingsCollection(db) {
+    return db.collection(COLLECTION_NAME);
+}
+
+function gradingKey({ studentId, courseId, questionId }) {
+    return `${studentId}|${courseId}|${questionId}`;
+}
+
+async function ensureIndexes(db) {
+    const collection = getGradingsCollection(db);
+    await collection.createIndex({ key: 1 }, { unique: true, name: 'unique_quiz_grading_key' });
+    await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0, name: 'quiz_grading_ttl' });
+}
+
+/**
+ * Keep a student's latest grading of a question
+ * @param {Object} db - MongoDB database instance
+ * @param {Object} data - { studentId, courseId, questionId, studentAnswer, grading }
+ * @returns {Promise<void>}
+ */
+async function saveGrading(db, { studentId, courseId, questionId, studentAnswer, grading }) {
+    await getGradingsCollection(db).updateOne(
+        { key: gradingKey({ studentId, courseId, questionId }) },
+        {
+            $set: {
+                studentAnswer: String(studentAnswer),
+                grading,
+                expiresAt: new Date(Date.now() + GRADING_TTL_MS)
+            }
+        },
+        { upsert: true }
+    );
+}
+
+/**
+ * Take the grading of exactly this answer, if it is still kept; it is used once
+ * @param {Object} db - MongoDB database instance
+ * @param {Object} data - { studentId, courseId, questionId, studentAnswer }
+ * @returns {Promise<Object|null>} The grading, or null
+ */
+async function takeGrading(db, { studentId, courseId, questionId, studentAnswer }) {
+    const collection = getGradingsCollection(db);
+    const key = gradingKey({ studentId, courseId, questionId });
+    const stored = await collection.findOne({
+        key,
+        studentAnswer: String(studentAnswer),
+        expiresAt: { $gt: new Date() }
+    });
+    if (!stored) return null;
+    await collection.deleteOne({ key });
+    return stored.grading;
+}
+
+module.exports = {
+    COLLECTION_NAME,
+    ensureIndexes,
+    saveGrading,
+    takeGrading
+};
@@ -0,0 +1,167 @@
+/**
+ * Quiz Me Session Model for MongoDB
+ * One Socratic "quiz me" run in a chat thread: the question BiocBot is
+ * waiting on, the current difficulty, and each graded answer. Answers are
+ * also saved as QuizAttempt records (source "quizme"); see services/quizMe.
+ *
+ * Quiz Me Session Schema Structure:
+ * {
+ *   _id: ObjectId,
+ *   sessionId: String,          // "quizme_<uuid>"
+ *   courseId: String,
+ *   unitName: String,
+ *   studentId: String,
+ *   threadId: String,           // Chat thread the quiz runs in
+ *   status: String,             // "active" | "complete"
+ *   difficulty: String,         // Target for the next question: "easy" | "medium" | "hard"
+ *   questionCount: Number,      // Questions in this run
+ *   currentQuestionId: String,  // Question awaiting an answer
+ *   askedQuestionIds: [String],
+ *   results: [{
+ *     questionId, learningObjective, questionType, difficulty,
+ *     studentAnswer, correct, feedback, answeredAt
+ *   }],
+ *   summary: Object,            // quizMe.summarizeResults() once complete
+ *   startedAt: Date,
+ *   updatedAt: Date,
+ *   completedAt: Date
+ * }
+ */
+
+const { createId } = require('../services/id');
+
+const COLLECTION_NAME = 'quiz_me_sessions';
+const MAX_ANSWER_LENGTH = 2000;
+
+function getSessionsCollection(db) {
+    return db.collection(COLLECTION_NAME);
+}
+
+function toPublicSession(session) {
+    if (!session) return null;
+    const { _id, ...publicSession } = session;
+    return publicSession;
+}
+
+async function ensureIndexes(db) {
+    const collection = getSessionsCollection(db);
+    await collection.createIndex({ sessionId: 1 }, { unique: true, name: 'unique_quiz_me_session_id' });
+    await collection.createIndex(
+        { studentId: 1, courseId: 1, unitName: 1, threadId: 1, status: 1 },
+        { name: 'student_active_quiz_me' }
+    );
+    await collection.createIndex({ courseId: 1, startedAt: -1 }, { name: 'course_quiz_me_sessions' });
+}
+
+/**
+ * The run a student is in for a chat thread, if any
+ * @param {Object} db - MongoDB database instance
+ * @param {Object} scope - { studentId, courseId, unitName, threadId }
+ * @returns {Promise<Object|null>}
+ */
+async function getActiveSession(db, { studentId, courseId, unitName, threadId }) {
+    const session = await getSessionsCollection(db).findOne({
+        studentId,
+        courseId,
+        unitName,
+        threadId: threadId || null,
+        status: 'active'
+    });
+    return toPublicSession(session);
+}
+
+/**
+ * Start a run with its first question
+ * @param {Object} db - MongoDB database instance
+ * @param {Object} data - { studentId, courseId, unitName, threadId, difficulty, questionCount, firstQuestionId }
+ * @returns {Promise<Object>} { success, session, error }
+ */
+async function createSession(db, data = {}) {
+    if (!data.studentId || !data.courseId || !data.unitName || !data.firstQuestionId) {
+        return { success: false, error: 'studentId, courseId, unitName, and firstQuestionId are required' };
+    }
+
+    const now = new Date();
+    const session = {
+        sessionId: createId('quizme'),
+        courseId: data.courseId,
+        unitName: data.unitName,
+        studentId: data.studentId,
+        threadId: data.threadId || null,
+        status: 'active',
+        difficulty: data.difficulty,
+        questionCount: data.questionCount,
+        currentQuestionId: data.firstQuestionId,
+        askedQuestionIds: [data.firstQuestionId],
+        results: [],
+        summary: null,
+        startedAt: now,
+        updatedAt: now,
+        completedAt: null
+    };
+    await getSessionsCollection(db).insertOne(session);
+    return { success: true, session: toPublicSession(session) };
+}
+
+/**
+ * Record a graded answer and move on: to the next question, or (with a null
+ * nextQuestionId) to no question while the run is finished
+ * @param {Object} db - MongoDB database instance
+ * @param {string} sessionId
+ * @param {Object} result - { questionId, learningObjective, questionType, difficulty, studentAnswer, correct, feedback }
+ * @param {Object} next - { difficulty, nextQuestionId }
+ * @returns {Promise<Object>} { success, error }
+ */
+async function recordAnswer(db, sessionId, result, { difficulty, nextQuestionId = null }) {
+    const now = new Date();
+    const update = {
+        $set: { difficulty, currentQuestionId: nextQuestionId, updatedAt: now },
+        $push: {
+            results: {
+                questionId: result.questionId,
+                learningObjective: result.learningObjective || null,
+                questionType: result.questionType,
+                difficulty: result.difficulty,
+                studentAnswer: String(result.studentAnswer || '').slice(0, MAX_ANSWER_LENGTH),
+                correct: result.correct === true,
+                feedback: result.feedback || '',
+                answeredAt: now
+            }
+        }
+    };
+    if (nextQuestionId) {
+        update.$addToSet = { askedQuestionIds: nextQuestionId };
+    }
+
+    const outcome = await getSessionsCollection(db).updateOne({ sessionId, status: 'active' }, update);
+    return outcome.matchedCount > 0
+        ? { success: true }
+        : { success: false, error: 'Quiz session not found or already complete' };
+}
+
+/**
+ * Finish a run with its summary
+ * @param {Object} db - MongoDB database instance
+ * @param {string} sessionId
+ * @param {Object} summary - quizMe.summarizeResults() output
+ * @returns {Promise<Object>} { success, error }
+ */
+async function completeSession(db, sessionId, summary) {
+    const now = new Date();
+    const outcome = await getSessionsCollection(db).updateOne(
+        { sessionId, status: 'active' },
+        { $set: { status: 'complete', currentQuestionId: null, summary, updatedAt: now, completedAt: now } }
+    );
+    return outcome.matchedCount > 0
+        ? { success: true }
+        : { success: false, error: 'Quiz session not found or already complete' };
+}
+
+module.exports = {
+    COLLECTION_NAME,
+    completeSession,
+    createSession,
+    ensureIndexes,
+    getActiveSession,
+    recordAnswer
+};
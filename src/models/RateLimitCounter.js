@@ -0,0 +1,61 @@
+/**
+ * Rate Limit Counter Model for MongoDB
+ * Fixed-window counters for per-user AI rate limits. Keeping them in Mongo
+ * means limits hold across restarts and across server processes; a TTL index
+ * drops each window once it has passed.
+ *
+ * Rate Limit Counter Schema Structure:
+ * {
+ *   _id: ObjectId,
+ *   key: String,        // '<userId>|<courseId or platform>|<kind>|<window start>'
+ *   count: Number,      // Requests (burst/minute windows) or tokens (day windows)
+ *   expiresAt: Date     // End of the window
+ * }
+ */
+
+const COLLECTION_NAME = 'rate_limit_counters';
+
+function getCountersCollection(db) {
+    return db.collection(COLLECTION_NAME);
+}
+
+async function ensureIndexes(db) {
+    const collection = getCountersCollection(db);
+    await collection.createIndex({ key: 1 }, { unique: true, name: 'unique_rate_limit_key' });
+    await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0, name: 'rate_limit_ttl' });
+}
+
+/**
+ * Add to a window's counter and return the new total
+ * @param {Object} db - MongoDB database instance
+ * @param {string} key - Counter key (includes the window start)
+ * @param {number} amount - Amount to add
+ * @param {Date} expiresAt - End of the window
+ * @returns {Promise<number>} Counter value after the increment
+ */
+async function incrementCounter(db, key, amount, expiresAt) {
+    const counter = await getCountersCollection(db).findOneAndUpdate(
+        { key },
+        { $inc: { count: amount }, $setOnInsert: { expiresAt } },
+        { upsert: true, returnDocument: 'after' }
+    );
+    return (counter && counter.count) || 0;
+}
+
+/**
+ * Current value of a window's counter (0 when the window has no activity)
+ * @param {Object} db - MongoDB database instance
+ * @param {string} key - Counter key
+ * @returns {Promise<number>}
+ */
+async function getCounter(db, key) {
+    const counter = await getCountersCollection(db).findOne({ key });
+    return (counter && counter.count) || 0;
+}
+
+module.exports = {
+    COLLECTION_NAME,
+    ensureIndexes,
+    getCounter,
+    incrementCounter
+};
@@ -0,0 +1,289 @@
+const { createId } = require('../services/id');
+
+/**
+ * Retrieval Evaluation Model for MongoDB
+ * A per-course golden set — questions paired with the documents or units that
+ * should be retrieved for them, plus an optional reference answer — and the
+ * saved results of running it (see services/retrievalEvaluation). Runs are
+ * tagged with the embedding profile they were scored against so quality can
+ * be compared before and after a model or chunking change.
+ *
+ * Golden Item Schema Structure (retrieval_eval_items):
+ * {
+ *   _id: ObjectId,
+ *   itemId: String,
+ *   courseId: String,
+ *   question: String,
+ *   expectedDocumentIds: [String],
+ *   expectedUnitNames: [String],
+ *   referenceAnswer: String,    // Optional; enables the correctness score
+ *   createdById: String,
+ *   createdAt: Date,
+ *   updatedAt: Date
+ * }
+ *
+ * Run Schema Structure (retrieval_eval_runs):
+ * {
+ *   _id: ObjectId,
+ *   runId: String,
+ *   courseId: String,
+ *   profileKey: String,         // provider:model:revision of the collection scored
+ *   collection: String,
+ *   retrievalMode: String,
+ *   topK: Number,
+ *   includeAnswers: Boolean,
+ *   metrics: { recallAtK, mrr, faithfulness, correctness, itemCount, failedCount },
+ *   items: [{ itemId, question, recall, reciprocalRank, faithfulness, correctness,
+ *             answer, judgeReason, retrieved, error }],
+ *   createdById: String,
+ *   durationMs: Number,
+ *   createdAt: Date
+ * }
+ */
+
+const ITEMS_COLLECTION_NAME = 'retrieval_eval_items';
+const RUNS_COLLECTION_NAME = 'retrieval_eval_runs';
+const MAX_ITEMS_PER_COURSE = 200;
+const MAX_QUESTION_CHARACTERS = 1000;
+const MAX_REFERENCE_ANSWER_CHARACTERS = 4000;
+const MAX_EXPECTED_TARGETS = 20;
+
+function getItemsCollection(db) {
+    return db.collection(ITEMS_COLLECTION_NAME);
+}
+
+function getRunsCollection(db) {
+    return db.collection(RUNS_COLLECTION_NAME);
+}
+
+function normalizeText(value, limit = 255) {
+    if (value === undefined || value === null) return '';
+    return String(value).trim().slice(0, limit);
+}
+
+function normalizeTargets(value) {
+    const list = Array.isArray(value) ? value : [];
+    return [...new Set(list.map(entry => normalizeText(entry, 160)).filter(Boolean))]
+        .slice(0, MAX_EXPECTED_TARGETS);
+}
+
+function stripId(record) {
+    if (!record) return null;
+    const { _id, ...rest } = record;
+    return rest;
+}
+
+function toRunSummary(run) {
+    if (!run) return null;
+    const { _id, items, ...summary } = run;
+    return summary;
+}
+
+async function ensureIndexes(db) {
+    await getItemsCollection(db).createIndex(
+        { itemId: 1 },
+        { unique: true, name: 'unique_eval_item' }
+    );
+    await getItemsCollection(db).createIndex(
+        { courseId: 1, createdAt: 1 },
+        { name: 'course_eval_items' }
+    );
+    await getRunsCollection(db).createIndex(
+        { runId: 1 },
+        { unique: true, name: 'unique_eval_run' }
+    );
+    await getRunsCollection(db).createIndex(
+        { courseId: 1, profileKey: 1, createdAt: -1 },
+        { name: 'course_eval_runs_recent' }
+    );
+}
+
+/**
+ * Validate golden item fields shared by create and update
+ * @returns {{ fields?: Object, error?: string }}
+ */
+function validateItemFields(data) {
+    const question = normalizeText(data.question, MAX_QUESTION_CHARACTERS);
+    if (!question) {
+        return { error: 'question is required' };
+    }
+    const expectedDocumentIds = normalizeTargets(data.expectedDocumentIds);
+    const expectedUnitNames = normalizeTargets(data.expectedUnitNames);
+    if (expectedDocumentIds.length === 0 && expectedUnitNames.length === 0) {
+        return { error: 'At least one expected document or unit is required' };
+    }
+    return {
+        fields: {
+            question,
+            expectedDocumentIds,
+            expectedUnitNames,
+            referenceAnswer: normalizeText(data.referenceAnswer, MAX_REFERENCE_ANSWER_CHARACTERS) || null
+        }
+    };
+}
+
+/**
+ * Add a question to a course's golden set
+ * @param {Object} db - MongoDB database instance
+ * @param {string} courseId - Course identifier
+ * @param {Object} data - { question, expectedDocumentIds, expectedUnitNames, referenceAnswer }
+ * @param {string} createdById - User adding the item
+ * @returns {Promise<Object>} { success, item } or { success: false, error }
+ */
+async function createEvalItem(db, courseId, data = {}, createdById) {
+    const normalizedCourseId = normalizeText(courseId, 120);
+    if (!normalizedCourseId) {
+        return { success: false, error: 'courseId is required' };
+    }
+    const { fields, error } = validateItemFields(data);
+    if (error) {
+        return { success: false, error };
+    }
+
+    const existing = await getItemsCollection(db).countDocuments({ courseId: normalizedCourseId });
+    if (existing >= MAX_ITEMS_PER_COURSE) {
+        return { success: false, error: `A golden set holds at most ${MAX_ITEMS_PER_COURSE} questions` };
+    }
+
+    const now = new Date();
+    const item = {
+        itemId: createId('evalitem'),
+        courseId: normalizedCourseId,
+        ...fields,
+        createdById: normalizeText(createdById, 120) || null,
+        createdAt: now,
+        updatedAt: now
+    };
+    await getItemsCollection(db).insertOne(item);
+    return { success: true, item: stripId(item) };
+}
+
+/**
+ * Replace a golden item's question, targets, and reference answer
+ * @returns {Promise<Object>} { success, item } or { success: false, error, notFound? }
+ */
+async function updateEvalItem(db, courseId, itemId, data = {}) {
+    const { fields, error } = validateItemFields(data);
+    if (error) {
+        return { success: false, error };
+    }
+
+    const filter = { courseId: normalizeText(courseId, 120), itemId: normalizeText(itemId, 160) };
+    const result = await getItemsCollection(db).updateOne(filter, {
+        $set: { ...fields, updatedAt: new Date() }
+    });
+    if (result.matchedCount === 0) {
+        return { success: false, notFound: true, error: 'Golden set question not found' };
+    }
+    return { success: true, item: stripId(await getItemsCollection(db).findOne(filter)) };
+}
+
+/**
+ * @returns {Promise<boolean>} Whether an item was deleted
+ */
+async function deleteEvalItem(db, courseId, itemId) {
+    const result = await getItemsCollection(db).deleteOne({
+        courseId: normalizeText(courseId, 120),
+        itemId: normalizeText(itemId, 160)
+    });
+    return result.deletedCount > 0;
+}
+
+/**
+ * List a course's golden set, oldest first
+ * @returns {Promise<Array>}
+ */
+async function listEvalItems(db, courseId) {
+    const items = await getItemsCollection(db)
+        .find({ courseId: normalizeText(courseId, 120) })
+        .sort({ createdAt: 1 })
+        .toArray();
+    return items.map(stripId);
+}
+
+/**
+ * Save the result of an evaluation run
+ * @param {Object} db - MongoDB database instance
+ * @param {Object} data - { courseId, profileKey, collection, retrievalMode, topK,
+ *   includeAnswers, metrics, items, createdById, durationMs }
+ * @returns {Promise<Object>} { success, run } or { success: false, error }
+ */
+async function saveEvalRun(db, data = {}) {
+    const courseId = normalizeText(data.courseId, 120);
+    if (!courseId || !data.metrics) {
+        return { success: false, error: 'courseId and metrics are required' };
+    }
+
+    const run = {
+        runId: createId('evalrun'),
+        courseId,
+        profileKey: normalizeText(data.profileKey, 300) || null,
+        collection: normalizeText(data.collection, 200) || null,
+        retrievalMode: normalizeText(data.retrievalMode, 20) || null,
+        topK: Number.isInteger(data.topK) ? data.topK : null,
+        includeAnswers: data.includeAnswers === true,
+        metrics: data.metrics,
+        items: Array.isArray(data.items) ? data.items : [],
+        createdById: normalizeText(data.createdById, 120) || null,
+        durationMs: Number.isFinite(data.durationMs) ? data.durationMs : null,
+        createdAt: new Date()
+    };
+    await getRunsCollection(db).insertOne(run);
+    return { success: true, run: stripId(run) };
+}
+
+/**
+ * List a course's runs, most recent first, without per-item detail
+ * @param {Object} [options] - { profileKey, limit }
+ * @returns {Promise<Array>}
+ */
+async function listEvalRuns(db, courseId, options = {}) {
+    const filter = { courseId: normalizeText(courseId, 120) };
+    if (options.profileKey) {
+        filter.profileKey = normalizeText(options.profileKey, 300);
+    }
+    const limit = Number.isInteger(options.limit) && options.limit > 0
+        ? Math.min(options.limit, 100)
+        : 20;
+
+    const runs = await getRunsCollection(db).find(filter)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .toArray();
+    return runs.map(toRunSummary);
+}
+
+/**
+ * Get one run with its per-item results
+ * @returns {Promise<Object|null>}
+ */
+async function getEvalRun(db, courseId, runId) {
+    return stripId(await getRunsCollection(db).findOne({
+        courseId: normalizeText(courseId, 120),
+        runId: normalizeText(runId, 160)
+    }));
+}
+
+/**
+ * Most recent run summary for a course scored against one embedding profile
+ * @returns {Promise<Object|null>}
+ */
+async function getLatestEvalRun(db, courseId, profileKey) {
+    const [latest] = await listEvalRuns(db, courseId, { profileKey, limit: 1 });
+    return latest || null;
+}
+
+module.exports = {
+    ITEMS_COLLECTION_NAME,
+    RUNS_COLLECTION_NAME,
+    MAX_ITEMS_PER_COURSE,
+    ensureIndexes,
+    createEvalItem,
+    updateEvalItem,
+    deleteEvalItem,
+    listEvalItems,
+    saveEvalRun,
+    listEvalRuns,
+    getEvalRun,
+    getLatestEvalRun
+};
@@ -0,0 +1,158 @@
+const { createId } = require('../services/id');
+const { excludePreviewFilter } = require('../services/previewSession');
+
+/**
+ * Retrieval Trace Model for MongoDB
+ * One record per re-ranked student chat answer: the over-fetched candidates,
+ * their retrieval and re-rank scores, and whether each was promoted, demoted,
+ * or dropped. Instructors read these to see why a source was (or was not)
+ * cited in an answer.
+ *
+ * Retrieval Trace Schema Structure:
+ * {
+ *   _id: ObjectId,
+ *   traceId: String,
+ *   messageId: String,       // Assistant message id returned to the client
+ *   conversationId: String,
+ *   courseId: String,
+ *   unitName: String,
+ *   studentId: String,
+ *   query: String,           // The search query sent to retrieval
+ *   retrievalMode: String,   // "vector" | "hybrid"
+ *   scorer: String,          // "llm" | "local"
+ *   candidateCount: Number,
+ *   keep: Number,
+ *   fallbackReason: String,  // Set when the scorer failed and retrieval order was kept
+ *   chunks: [{ id, documentId, fileName, lectureName, chunkIndex, retrievalScore,
+ *              rerankScore, reason, originalRank, finalRank, movement }],
+ *   createdAt: Date
+ * }
+ */
+
+const COLLECTION_NAME = 'retrieval_traces';
+const MAX_QUERY_CHARACTERS = 2000;
+
+function getRetrievalTraceCollection(db) {
+    return db.collection(COLLECTION_NAME);
+}
+
+function normalizeText(value, limit = 255) {
+    if (value === undefined || value === null) return '';
+    return String(value).trim().slice(0, limit);
+}
+
+function toPublicTrace(trace) {
+    if (!trace) return null;
+    const { _id, ...publicTrace } = trace;
+    return publicTrace;
+}
+
+async function ensureIndexes(db) {
+    const collection = getRetrievalTraceCollection(db);
+    await collection.createIndex(
+        { messageId: 1 },
+        { unique: true, name: 'unique_trace_message' }
+    );
+    await collection.createIndex(
+        { courseId: 1, createdAt: -1 },
+        { name: 'course_traces_recent' }
+    );
+}
+
+/**
+ * Store the re-rank trace for one assistant message
+ * @param {Object} db - MongoDB database instance
+ * @param {Object} data - { messageId, conversationId, courseId, unitName, studentId, query, retrievalMode, trace }
+ * @returns {Promise<Object>} { success, trace } or { success: false, error }
+ */
+async function recordTrace(db, data = {}) {
+    const messageId = normalizeText(data.messageId, 160);
+    const courseId = normalizeText(data.courseId, 120);
+    if (!messageId || !courseId) {
+        return { success: false, error: 'messageId and courseId are required' };
+    }
+    const trace = data.trace || {};
+    if (!Array.isArray(trace.chunks)) {
+        return { success: false, error: 'trace.chunks is required' };
+    }
+
+    const record = {
+        traceId: createId('trace'),
+        messageId,
+        conversationId: normalizeText(data.conversationId, 160) || null,
+        courseId,
+        unitName: normalizeText(data.unitName, 160) || null,
+        studentId: normalizeText(data.studentId, 120) || null,
+        query: normalizeText(data.query, MAX_QUERY_CHARACTERS),
+        retrievalMode: normalizeText(data.retrievalMode, 20) || null,
+        scorer: normalizeText(trace.scorer, 20) || null,
+        candidateCount: trace.chunks.length,
+        keep: Number.isInteger(trace.keep) ? trace.keep : null,
+        fallbackReason: normalizeText(trace.fallbackReason, 500) || null,
+        chunks: trace.chunks,
+        createdAt: new Date()
+    };
+
+    await getRetrievalTraceCollection(db).insertOne(record);
+    return { success: true, trace: toPublicTrace(record) };
+}
+
+/**
+ * Get the trace behind one assistant message in a course
+ * @param {Object} db - MongoDB database instance
+ * @param {string} courseId - Course identifier
+ * @param {string} messageId - Assistant message id
+ * @returns {Promise<Object|null>}
+ */
+async function getTraceForMessage(db, courseId, messageId) {
+    const normalizedCourseId = normalizeText(courseId, 120);
+    const normalizedMessageId = normalizeText(messageId, 160);
+    if (!normalizedCourseId || !normalizedMessageId) return null;
+
+    return toPublicTrace(await getRetrievalTraceCollection(db).findOne({
+        courseId: normalizedCourseId,
+        messageId: normalizedMessageId
+    }));
+}
+
+/**
+ * List recent traces for a course, most recent first. Traces from "View as
+ * Student" previews are left out.
+ * @param {Object} db - MongoDB database instance
+ * @param {string} courseId - Course identifier
+ * @param {Object} [options] - { unitName, conversationId, limit }
+ * @returns {Promise<Array>}
+ */
+async function listTracesForCourse(db, courseId, options = {}) {
+    const filter = {
+        courseId: normalizeText(courseId, 120),
+        ...excludePreviewFilter('studentId')
+    };
+    if (options.unitName) {
+        filter.unitName = normalizeText(options.unitName, 160);
+    }
+    if (options.conversationId) {
+        filter.conversationId = normalizeText(options.conversationId, 160);
+    }
+
+    const limit = Number.isInteger(options.limit) && options.limit > 0
+        ? Math.min(options.limit, 200)
+        : 50;
+
+    const traces = await getRetrievalTraceCollection(db).find(filter)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .toArray();
+
+    return traces.map(toPublicTrace);
+}
+
+module.exports = {
+    COLLECTION_NAME,
+    getRetrievalTraceCollection,
+    ensureIndexes,
+    recordTrace,
+    getTraceForMessage,
+    listTracesForCourse,
+    toPublicTrace
+};
@@ -0,0 +1,175 @@
+const { featureLabel, normalizeFeature } = require('../services/llmFeatures');
+const { normalizeLane } = require('../services/llmLanes');
+
+/**
+ * Token Usage Model for MongoDB
+ * Daily LLM token counters per course, split by lane, model, and feature.
+ * Every metered LLMService call increments one row; the usage dashboard and
+ * the course budget checks read the sums.
+ *
+ * Token Usage Schema Structure:
+ * {
+ *   _id: ObjectId,
+ *   courseId: String,
+ *   day: String,               // 'YYYY-MM-DD' (UTC)
+ *   month: String,             // 'YYYY-MM' (UTC)
+ *   lane: String,              // "frontend" | "backend"
+ *   model: String,
+ *   feature: String,           // See services/llmFeatures.js
+ *   calls: Number,
+ *   promptTokens: Number,
+ *   completionTokens: Number,
+ *   totalTokens: Number,
+ *   estimatedCalls: Number,    // Calls whose provider reported no usage
+ *   updatedAt: Date
+ * }
+ */
+
+const COLLECTION_NAME = 'llm_token_usage';
+const DEFAULT_SUMMARY_DAYS = 30;
+const MAX_SUMMARY_DAYS = 366;
+
+function getTokenUsageCollection(db) {
+    return db.collection(COLLECTION_NAME);
+}
+
+function dayKey(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+function monthKey(date = new Date()) {
+    return date.toISOString().slice(0, 7);
+}
+
+function toTokenCount(value) {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) && parsed > 0 ? Math.round(parsed) : 0;
+}
+
+async function ensureIndexes(db) {
+    const collection = getTokenUsageCollection(db);
+    await collection.createIndex(
+        { courseId: 1, day: 1, lane: 1, model: 1, feature: 1 },
+        { unique: true, name: 'unique_token_usage_bucket' }
+    );
+    await collection.createIndex(
+        { courseId: 1, month: 1 },
+        { name: 'token_usage_course_month' }
+    );
+}
+
+/**
+ * Add one LLM call to the course's daily counters
+ * @param {Object} db - MongoDB database instance
+ * @param {Object} usage - { courseId, lane, model, feature, promptTokens, completionTokens, totalTokens, estimated }
+ * @returns {Promise<void>}
+ */
+async function recordUsage(db, usage = {}) {
+    if (!usage.courseId) return;
+    const now = new Date();
+    const promptTokens = toTokenCount(usage.promptTokens);
+    const completionTokens = toTokenCount(usage.completionTokens);
+    const totalTokens = toTokenCount(usage.totalTokens) || promptTokens + completionTokens;
+
+    await getTokenUsageCollection(db).updateOne(
+        {
+            courseId: usage.courseId,
+            day: dayKey(now),
+            month: monthKey(now),
+            lane: normalizeLane(usage.lane),
+            model: usage.model ? String(usage.model) : 'unknown',
+            feature: normalizeFeature(usage.feature)
+        },
+        {
+            $inc: {
+                calls: 1,
+                promptTokens,
+                completionTokens,
+                totalTokens,
+                estimatedCalls: usage.estimated ? 1 : 0
+            },
+            $set: { updatedAt: now }
+        },
+        { upsert: true }
+    );
+}
+
+/**
+ * Tokens a course has used today and this calendar month (UTC)
+ * @param {Object} db - MongoDB database instance
+ * @param {string} courseId - Course identifier
+ * @returns {Promise<{day: number, month: number}>}
+ */
+async function getSpendTotals(db, courseId) {
+    const now = new Date();
+    const today = dayKey(now);
+    const rows = await getTokenUsageCollection(db)
+        .find({ courseId, month: monthKey(now) })
+        .toArray();
+
+    return rows.reduce((totals, row) => {
+        const tokens = row.totalTokens || 0;
+        totals.month += tokens;
+        if (row.day === today) totals.day += tokens;
+        return totals;
+    }, { day: 0, month: 0 });
+}
+
+function groupRows(rows, key, describe = () => ({})) {
+    const groups = new Map();
+    for (const row of rows) {
+        const value = row[key];
+        const group = groups.get(value) || { [key]: value, ...describe(value), calls: 0, totalTokens: 0 };
+        group.calls += row.calls || 0;
+        group.totalTokens += row.totalTokens || 0;
+        groups.set(value, group);
+    }
+    return Array.from(groups.values()).sort((a, b) => b.totalTokens - a.totalTokens);
+}
+
+/**
+ * Usage breakdown for the instructor dashboard
+ * @param {Object} db - MongoDB database instance
+ * @param {string} courseId - Course identifier
+ * @param {Object} [options] - { days }
+ * @returns {Promise<Object>} { days, totals, byFeature, byLane, byModel, daily }
+ */
+async function getUsageSummary(db, courseId, options = {}) {
+    const days = Number.isInteger(options.days) && options.days > 0
+        ? Math.min(options.days, MAX_SUMMARY_DAYS)
+        : DEFAULT_SUMMARY_DAYS;
+    const since = dayKey(new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000));
+    const rows = await getTokenUsageCollection(db)
+        .find({ courseId, day: { $gte: since } })
+        .toArray();
+
+    const totals = rows.reduce((sum, row) => {
+        sum.calls += row.calls || 0;
+        sum.promptTokens += row.promptTokens || 0;
+        sum.completionTokens += row.completionTokens || 0;
+        sum.totalTokens += row.totalTokens || 0;
+        sum.estimatedCalls += row.estimatedCalls || 0;
+        return sum;
+    }, { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, estimatedCalls: 0 });
+
+    const daily = groupRows(rows, 'day')
+        .map(({ day, calls, totalTokens }) => ({ day, calls, totalTokens }))
+        .sort((a, b) => a.day.localeCompare(b.day));
+
+    return {
+        days,
+        totals,
+        byFeature: groupRows(rows, 'feature', feature => ({ label: featureLabel(feature) })),
+        byLane: groupRows(rows, 'lane'),
+        byModel: groupRows(rows, 'model'),
+        daily
+    };
+}
+
+module.exports = {
+    COLLECTION_NAME,
+    ensureIndexes,
+    recordUsage,
+    getSpendTotals,
+    getUsageSummary
+};
@@ -0,0 +1,122 @@
+/**
+ * Wellness Resource Display Model for MongoDB
+ * Audit record of the support resources a student was shown: one document
+ * each time a chat reply carries the resources card after a mental health
+ * flag, or the quiz help chat answers a safety keyword.
+ *
+ * Wellness Resource Display Schema Structure:
+ * {
+ *   _id: ObjectId,
+ *   displayId: String,       // "wellshown_<uuid>"
+ *   courseId: String,
+ *   studentId: String,
+ *   flagId: String,          // Mental health flag behind the display (null for quiz keywords)
+ *   source: String,          // "chat" | "quiz"
+ *   unitName: String,
+ *   conversationId: String,
+ *   messageId: String,       // Reply the card was attached to
+ *   resources: [{ resourceId, kind, name, phone, url }],
+ *   shownAt: Date
+ * }
+ */
+
+const { createId } = require('../services/id');
+
+const COLLECTION_NAME = 'wellness_resource_displays';
+const DISPLAY_SOURCES = ['chat', 'quiz'];
+
+function getDisplaysCollection(db) {
+    return db.collection(COLLECTION_NAME);
+}
+
+function toPublicDisplay(display) {
+    if (!display) return null;
+    const { _id, ...publicDisplay } = display;
+    return publicDisplay;
+}
+
+async function ensureIndexes(db) {
+    const collection = getDisplaysCollection(db);
+    await collection.createIndex({ displayId: 1 }, { unique: true, name: 'unique_wellness_display_id' });
+    await collection.createIndex({ courseId: 1, shownAt: -1 }, { name: 'course_wellness_displays' });
+    await collection.createIndex({ flagId: 1 }, { name: 'flag_wellness_displays' });
+}
+
+/**
+ * Record that resources were shown to a student
+ * @param {Object} db - MongoDB database instance
+ * @param {Object} data - { courseId, studentId, flagId, source, unitName, conversationId, messageId, resources }
+ * @returns {Promise<Object>} { success, display, error }
+ */
+async function recordDisplay(db, data = {}) {
+    if (!data.courseId || !data.studentId) {
+        return { success: false, error: 'courseId and studentId are required' };
+    }
+    if (!Array.isArray(data.resources) || data.resources.length === 0) {
+        return { success: false, error: 'resources are required' };
+    }
+
+    const display = {
+        displayId: createId('wellshown'),
+        courseId: data.courseId,
+        studentId: data.studentId,
+        flagId: data.flagId || null,
+        source: DISPLAY_SOURCES.includes(data.source) ? data.source : 'chat',
+        unitName: data.unitName || null,
+        conversationId: data.conversationId || null,
+        messageId: data.messageId || null,
+        resources: data.resources.map(resource => ({
+            resourceId: resource.resourceId,
+            kind: resource.kind,
+            name: resource.name,
+            phone: resource.phone || null,
+            url: resource.url || null
+        })),
+        shownAt: new Date()
+    };
+    await getDisplaysCollection(db).insertOne(display);
+    return { success: true, display: toPublicDisplay(display) };
+}
+
+/**
+ * Displays for a course, newest first
+ * @param {Object} db - MongoDB database instance
+ * @param {string} courseId - Course identifier
+ * @param {Object} [options] - { flagIds, limit }
+ * @returns {Promise<Array>}
+ */
+async function listDisplays(db, courseId, options = {}) {
+    const filter = { courseId };
+    if (Array.isArray(options.flagIds)) {
+        filter.flagId = { $in: options.flagIds };
+    }
+    const limit = Number.isInteger(options.limit) && options.limit > 0 ? Math.min(options.limit, 500) : 100;
+    const displays = await getDisplaysCollection(db)
+        .find(filter)
+        .sort({ shownAt: -1 })
+        .limit(limit)
+        .toArray();
+    return displays.map(toPublicDisplay);
+}
+
+/**
+ * The chat display recorded for one of a student's replies
+ * @param {Object} db - MongoDB database instance
+ * @param {string} studentId - Student identifier
+ * @param {string} messageId - Reply the card was attached to
+ * @returns {Promise<Object|null>}
+ */
+async function findChatDisplay(db, studentId, messageId) {
+    if (!studentId || !messageId) return null;
+    const display = await getDisplaysCollection(db).findOne({ studentId, messageId, source: 'chat' });
+    return toPublicDisplay(display);
+}
+
+module.exports = {
+    COLLECTION_NAME,
+    DISPLAY_SOURCES,
+    ensureIndexes,
+    findChatDisplay,
+    listDisplays,
+    recordDisplay
+};
@@ -5,9 +5,9 @@ const { hasSystemAdminAccess } = require('../services/authorization');
 const {
     MAX_DOCUMENT_BYTES,
     SUPPORTED_DOCUMENT_MIME_TYPES,
-    ingestFileBuffer,
     isSupportedDocumentMimeType
 } = require('../services/documentIngestion');
+const { ingestFileThroughQueue } = require('../services/ingestionJobRunner');
 const { resolveCourseAi, sendLlmKeyError } = require('./llmKeyMiddleware');
 const { createImportProgressStream } = require('./lmsImportProgress');
 const { createLmsImportDiagnostics } = require('../services/lmsImportDiagnostics');
@@ -56,7 +56,7 @@ function getCanvasFileSource(course = {}) {
 function createCanvasLmsRouter(
     integration,
     {
-        ingestFile = ingestFileBuffer,
+        ingestFile = ingestFileThroughQueue,
         resolveAi = resolveCourseAi
     } = {}
 ) {
@@ -248,6 +248,9 @@ function createCanvasLmsRouter(
             const { result, courseResult, qdrantResult } = await ingestFile({
                 db,
                 ai,
+                registry: req.app.locals.llmRegistry,
+                source: 'canvas',
+                createdBy: req.user.userId,
                 buffer,
                 onProgress: progress?.onIngestionProgress || diagnostics.onIngestionProgress,
                 originalName: normalized.filename || normalized.name,
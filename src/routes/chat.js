@@ -6,6 +6,7 @@
 
 const express = require('express');
 const path = require('path');
+const crypto = require('crypto');
 const router = express.Router();
 const LLMService = require('../services/llm');
 const prompts = require('../services/prompts');
@@ -18,12 +19,31 @@ const profanityFilter = new BadWordsFilter();
 const TrackerService = require('../services/tracker');
 const User = require('../models/User');
 const MentalHealthFlag = require('../models/MentalHealthFlag');
+const ChatThread = require('../models/ChatThread');
+const PromptExperiment = require('../models/PromptExperiment');
+const WellnessResourceDisplay = require('../models/WellnessResourceDisplay');
+const QuizMeSession = require('../models/QuizMeSession');
+const QuizAttempt = require('../models/QuizAttempt');
+const RetrievalTrace = require('../models/RetrievalTrace');
+const AnswerCache = require('../models/AnswerCache');
 const previewSession = require('../services/previewSession');
 const gridfs = require('../services/gridfs');
 const { resolveCourseAi, sendLlmKeyError } = require('./llmKeyMiddleware');
 const { evaluateObjectiveAnswer } = require('../services/objectiveAnswer');
 const { createId } = require('../services/id');
 const { LANES } = require('../services/llmLanes');
+const { FEATURES } = require('../services/llmFeatures');
+const { openEventStream } = require('../services/eventStream');
+const { selectHistoryWindow, formatHistory } = require('../services/conversationHistory');
+const { rerankChunks } = require('../services/reranker');
+const { rewriteQuery, literalQuery } = require('../services/queryRewriter');
+const { buildPromptVariables, renderPromptTemplate } = require('../services/promptTemplates');
+const wellness = require('../services/wellnessResources');
+const quizMe = require('../services/quizMe');
+const { reciprocalRankFusion } = require('../services/lexicalSearch');
+const { createAiRateLimit } = require('../middleware/rateLimit');
+
+const aiRateLimit = createAiRateLimit();
 
 function generateChatMessageId() {
     return createId('msg');
@@ -33,6 +53,107 @@ function normalizeQdrantSearchResults(results) {
     return Array.isArray(results) ? results : [];
 }
 
+/**
+ * Merge the result lists of several sub-queries with reciprocal rank fusion,
+ * so a chunk that answers any part of a compound question can be kept.
+ * @param {Array<Array>} resultLists - One normalized result list per sub-query
+ * @param {number} limit - How many chunks to keep
+ * @returns {Array} Distinct chunks, best first
+ */
+function fuseSubQueryResults(resultLists, limit) {
+    const chunksByKey = new Map();
+    const rankings = resultLists.map(results => results.map(result => {
+        const key = result.id !== undefined && result.id !== null
+            ? String(result.id)
+            : `${result.documentId}:${result.chunkIndex}`;
+        const existing = chunksByKey.get(key);
+        if (!existing || (result.score || 0) > (existing.score || 0)) {
+            chunksByKey.set(key, result);
+        }
+        return key;
+    }));
+    return reciprocalRankFusion(rankings)
+        .slice(0, limit)
+        .map(entry => chunksByKey.get(entry.id));
+}
+
+/**
+ * Fingerprint of the course prompts and the values their {{variables}} render
+ * with. It is part of the answer cache scope, so changing the course name,
+ * year level, unit objectives, struggle topics, or wellness resources stops
+ * older answers from matching.
+ * @param {Object} course - Course document
+ * @param {Object} promptVariables - Output of buildPromptVariables
+ * @returns {string}
+ */
+function answerCachePromptKey(course, promptVariables) {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify({ prompts: course.prompts || null, variables: promptVariables }), 'utf8')
+        .digest('hex');
+}
+
+/**
+ * Look up a semantically similar cached answer for a chat question. The
+ * lookup is counted for analytics; any failure is logged and treated as a miss.
+ * @param {Object} db - MongoDB database instance
+ * @param {Object} qdrant - Course QdrantService (embeds the question)
+ * @param {Object} scope - { courseId, unitName, mode, promptKey }
+ * @param {string} message - Student question
+ * @param {number} threshold - Minimum cosine similarity for a hit
+ * @returns {Promise<Object|null>} { status: 'hit'|'miss', scope, embedding, entry, similarity },
+ *   or null when the question could not be embedded
+ */
+async function lookupCachedAnswer(db, qdrant, scope, message, threshold) {
+    const profileKey = qdrant && qdrant.embeddingProfile && qdrant.embeddingProfile.key;
+    if (!profileKey || typeof qdrant.generateQueryVector !== 'function') return null;
+    try {
+        const embedding = await qdrant.generateQueryVector(message);
+        const cacheScope = { ...scope, profileKey };
+        const match = await AnswerCache.findSimilarAnswer(db, cacheScope, embedding, threshold);
+        await AnswerCache.recordLookup(db, scope.courseId, match ? match.entry.entryId : null);
+        return match
+            ? { status: 'hit', scope: cacheScope, embedding, entry: match.entry, similarity: match.similarity }
+            : { status: 'miss', scope: cacheScope, embedding, entry: null, similarity: null };
+    } catch (err) {
+        if (err && err.name === 'LlmKeyError') throw err;
+        console.error('❌ [ANSWER_CACHE] Lookup failed (non-blocking):', err);
+        return null;
+    }
+}
+
+const MAX_ATTRIBUTED_FIGURES = 3;
+const MAX_CITED_SECTIONS = 3;
+
+/**
+ * Figures among the retrieved chunks, best first, for thumbnails next to the
+ * citation. Each is served by GET /api/chat/source-documents/:documentId/figures/:figureNumber.
+ * @param {Array} chunks - Relevant search results
+ * @returns {Array<Object>}
+ */
+function referencedFigures(chunks) {
+    const seen = new Set();
+    return chunks
+        .filter(chunk => chunk.chunkType === 'figure' && chunk.figure && chunk.documentId)
+        .sort((a, b) => (b.score || 0) - (a.score || 0))
+        .filter(chunk => {
+            const key = `${chunk.documentId}::${chunk.figure.figureNumber}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .slice(0, MAX_ATTRIBUTED_FIGURES)
+        .map(chunk => ({
+            documentId: chunk.documentId,
+            fileName: chunk.fileName || null,
+            lectureName: chunk.lectureName || null,
+            figureNumber: chunk.figure.figureNumber,
+            pageNumber: chunk.figure.pageNumber,
+            slideNumber: chunk.figure.slideNumber,
+            caption: chunk.figure.caption,
+            hasImage: chunk.figure.hasImage
+        }));
+}
+
 /**
  * Determine source attribution based on retrieved chunks
  * @param {Array} searchResults - Array of search results from Qdrant
@@ -57,7 +178,8 @@ async function determineSourceAttribution(searchResults, unitName, sourceDownloa
                 unitName: null,
                 documentType: null,
                 downloadsEnabled: false,
-                documents: []
+                documents: [],
+                figures: []
             };
         }
 
@@ -80,7 +202,8 @@ async function determineSourceAttribution(searchResults, unitName, sourceDownloa
                 unitName: null,
                 documentType: null,
                 downloadsEnabled: false,
-                documents: []
+                documents: [],
+                figures: []
             };
         }
 
@@ -94,7 +217,8 @@ async function determineSourceAttribution(searchResults, unitName, sourceDownloa
                 unitName: null,
                 documentType: null,
                 downloadsEnabled: false,
-                documents: []
+                documents: [],
+                figures: []
             };
         }
 
@@ -136,17 +260,21 @@ async function determineSourceAttribution(searchResults, unitName, sourceDownloa
                 : `fallback::${fileName}::${sourceUnit}::${readableType}`;
             const existing = sourceDocuments.get(dedupeKey);
 
+            const documentVersion = chunk.documentVersion || null;
             if (!existing) {
                 sourceDocuments.set(dedupeKey, {
                     documentId,
+                    documentVersion,
                     fileName,
                     documentType: readableType,
                     lectureName: sourceUnit || unitName || null,
-                    maxScore: score
+                    maxScore: score,
+                    sections: []
                 });
             } else {
                 if (score > existing.maxScore) {
                     existing.maxScore = score;
+                    if (documentVersion) existing.documentVersion = documentVersion;
                     // Prefer documentId from highest-scoring chunk (most likely the newest valid upload)
                     if (documentId) {
                         existing.documentId = documentId;
@@ -155,6 +283,13 @@ async function determineSourceAttribution(searchResults, unitName, sourceDownloa
                     existing.documentId = documentId;
                 }
             }
+
+            // Imported web pages and books cite the sections the answer drew on
+            const entry = sourceDocuments.get(dedupeKey);
+            if (chunk.section && chunk.section.heading && entry.sections.length < MAX_CITED_SECTIONS
+                && !entry.sections.some(section => section.heading === chunk.section.heading)) {
+                entry.sections.push(chunk.section);
+            }
         });
 
         // Debug: Log details about practice quiz chunks specifically
@@ -176,9 +311,11 @@ async function determineSourceAttribution(searchResults, unitName, sourceDownloa
             .filter(doc => !!doc.documentId)
             .map(doc => ({
                 documentId: doc.documentId,
+                documentVersion: doc.documentVersion,
                 fileName: doc.fileName,
                 documentType: doc.documentType,
-                lectureName: doc.lectureName
+                lectureName: doc.lectureName,
+                ...(doc.sections.length > 0 ? { sections: doc.sections } : {})
             }));
 
         return {
@@ -187,7 +324,8 @@ async function determineSourceAttribution(searchResults, unitName, sourceDownloa
             unitName: unitName,
             documentType: 'multiple',
             downloadsEnabled: !!sourceDownloadsEnabled,
-            documents: sourceDownloadsEnabled ? downloadableDocuments : []
+            documents: sourceDownloadsEnabled ? downloadableDocuments : [],
+            figures: referencedFigures(relevantChunks)
         };
 
     } catch (error) {
@@ -198,7 +336,8 @@ async function determineSourceAttribution(searchResults, unitName, sourceDownloa
             unitName: null,
             documentType: null,
             downloadsEnabled: false,
-            documents: []
+            documents: [],
+            figures: []
         };
     }
 }
@@ -383,13 +522,15 @@ function normalizeSummaryMessages(messages = []) {
     return bounded;
 }
 
-function resolveChatSummaryInstructions(course) {
+function resolveChatSummaryInstructions(course, unitName) {
     const coursePrompt = course
         && course.prompts
         && typeof course.prompts.chatSummary === 'string'
         ? course.prompts.chatSummary.trim()
         : '';
-    return (coursePrompt || prompts.DEFAULT_PROMPTS.chatSummary).slice(0, SUMMARY_MAX_PROMPT_CHARS);
+    const template = coursePrompt || prompts.DEFAULT_PROMPTS.chatSummary;
+    return renderPromptTemplate(template, buildPromptVariables(course, { unitNames: [unitName] }))
+        .slice(0, SUMMARY_MAX_PROMPT_CHARS);
 }
 
 function buildChatSummaryPrompt({ messages, unitName, mode, instructions }) {
@@ -465,6 +606,14 @@ router.post('/feedback', async (req, res) => {
             return res.status(403).json({ success: false, message: 'No access to submit feedback for this course' });
         }
 
+        // Snapshot the retrieval queries from the server's own record of the
+        // turn, so bad query rewrites can be audited against the rating.
+        const assistantTurn = await ChatThread.getAssistantTurn(db, {
+            threadId: conversationId,
+            studentId: user.userId,
+            messageId
+        });
+
         const result = await MessageFeedback.upsertMessageFeedback(db, {
             courseId,
             unitName,
@@ -475,7 +624,9 @@ router.post('/feedback', async (req, res) => {
             studentName: user.displayName || user.username || user.userId,
             botMode,
             messageContent,
-            sourceAttribution
+            sourceAttribution,
+            searchQueries: assistantTurn ? assistantTurn.searchQueries : null,
+            promptVariant: assistantTurn ? assistantTurn.promptVariant : null
         });
 
         if (!result.success) {
@@ -549,11 +700,12 @@ router.post('/summary', async (req, res) => {
             messages: summaryMessages,
             unitName,
             mode,
-            instructions: resolveChatSummaryInstructions(course)
+            instructions: resolveChatSummaryInstructions(course, unitName)
         });
 
         const response = await ai.llm.sendMessage(summaryPrompt, {
             lane: LANES.FRONTEND,
+            feature: FEATURES.CHAT_SUMMARY,
             temperature: 0.2,
             maxTokens: 700,
             systemPrompt: 'You summarize tutoring conversations for continuity. Return only the student-voice summary.'
@@ -582,6 +734,11 @@ router.post('/summary', async (req, res) => {
     }
 });
 
+async function resolveSurveyPromptVariant(db, courseId, studentId) {
+    const assignment = await PromptExperiment.resolveStudentVariant(db, courseId, studentId);
+    return assignment ? { experimentId: assignment.experiment.experimentId, variant: assignment.variant } : null;
+}
+
 /**
  * GET /api/chat/survey-settings
  * Return the student-facing chat survey settings for an enrolled student.
@@ -616,7 +773,10 @@ router.get('/survey-settings', async (req, res) => {
             return res.status(403).json({ success: false, message: 'No access to this course survey' });
         }
 
-        const settingsFingerprint = ChatSurveyResponse.buildSettingsFingerprint(settingsResult.settings);
+        const settingsFingerprint = ChatSurveyResponse.buildSettingsFingerprint({
+            ...settingsResult.settings,
+            promptVariant: await resolveSurveyPromptVariant(db, courseId, user.userId)
+        });
         let response = null;
         if (conversationId) {
             response = await ChatSurveyResponse.getSurveyResponseForSession(db, {
@@ -692,7 +852,11 @@ router.post('/survey', async (req, res) => {
             return res.status(403).json({ success: false, message: 'No access to submit surveys for this course' });
         }
 
-        const settings = settingsResult.settings;
+        // The snapshot records the prompt variant the student chatted with
+        const settings = {
+            ...settingsResult.settings,
+            promptVariant: await resolveSurveyPromptVariant(db, courseId, user.userId)
+        };
         if (!settings.enabled) {
             return res.status(400).json({ success: false, message: 'Chat survey is not enabled for this course' });
         }
@@ -817,6 +981,72 @@ router.get('/feedback/course/:courseId/export', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/chat/retrieval/course/:courseId
+ * List recent re-rank traces for instructor/TA review.
+ */
+router.get('/retrieval/course/:courseId', async (req, res) => {
+    try {
+        const { courseId } = req.params;
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+
+        const hasAccess = await canReadCourseFeedback(db, req.user, courseId);
+        if (!hasAccess) {
+            return res.status(403).json({ success: false, message: 'No access to retrieval traces for this course' });
+        }
+
+        const traces = await RetrievalTrace.listTracesForCourse(db, courseId, {
+            unitName: req.query.unitName,
+            conversationId: req.query.conversationId,
+            limit: Number.parseInt(req.query.limit, 10)
+        });
+
+        return res.json({
+            success: true,
+            data: {
+                courseId,
+                traces,
+                count: traces.length
+            }
+        });
+    } catch (error) {
+        console.error('Error listing retrieval traces:', error);
+        return res.status(500).json({ success: false, message: 'Internal server error while retrieving traces' });
+    }
+});
+
+/**
+ * GET /api/chat/retrieval/course/:courseId/messages/:messageId
+ * Show which chunks the re-ranker promoted, demoted, or dropped for one answer.
+ */
+router.get('/retrieval/course/:courseId/messages/:messageId', async (req, res) => {
+    try {
+        const { courseId, messageId } = req.params;
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+
+        const hasAccess = await canReadCourseFeedback(db, req.user, courseId);
+        if (!hasAccess) {
+            return res.status(403).json({ success: false, message: 'No access to retrieval traces for this course' });
+        }
+
+        const trace = await RetrievalTrace.getTraceForMessage(db, courseId, messageId);
+        if (!trace) {
+            return res.status(404).json({ success: false, message: 'No retrieval trace for this message' });
+        }
+
+        return res.json({ success: true, data: trace });
+    } catch (error) {
+        console.error('Error getting retrieval trace:', error);
+        return res.status(500).json({ success: false, message: 'Internal server error while retrieving trace' });
+    }
+});
+
 /**
  * GET /api/chat/survey/course/:courseId
  * List chat survey responses for instructor/TA review.
@@ -996,354 +1226,613 @@ router.get('/source-documents/:documentId/download', async (req, res) => {
 });
 
 /**
- * POST /api/chat
- * Send a message to the LLM and get a response
+ * GET /api/chat/source-documents/:documentId/figures/:figureNumber?courseId=
+ * Image of a figure cited in a chat answer, shown as a thumbnail next to the
+ * citation. Unlike full-document downloads this is not gated on the course's
+ * download setting: it is the figure the answer was built from.
  */
-router.post('/', async (req, res) => {
+router.get('/source-documents/:documentId/figures/:figureNumber', async (req, res) => {
     try {
-        console.log('🔥 [CHAT_ROUTE_HIT] Processing POST /api/chat');
-        console.log('💬 [CHAT_API] New chat request received');
-        console.log('💬 [CHAT_API] Message:', req.body.message?.substring(0, 50) + '...');
-        console.log('💬 [CHAT_API] Has conversationContext:', !!req.body.conversationContext);
-        console.log('🔐 [CHAT_API] Auth check - Cookie present:', !!req.headers.cookie);
-        console.log('🔐 [CHAT_API] Auth check - User present:', !!req.user);
-
-        let llmService = null;
-        let qdrant = null;
+        const { documentId, figureNumber } = req.params;
+        const { courseId } = req.query;
+        if (!courseId) {
+            return res.status(400).json({ success: false, message: 'Missing courseId' });
+        }
 
-        const { message, conversationId, mode, unitName, courseId, conversationContext } = req.body;
+        const user = req.user;
+        if (!user) {
+            return res.status(401).json({ success: false, message: 'Authentication required' });
+        }
 
-        // Get DB connection early
         const db = req.app.locals.db;
         if (!db) {
             return res.status(503).json({ success: false, message: 'Database connection not available' });
         }
 
-
-        // Validate required fields
-        if (!message || typeof message !== 'string') {
-            return res.status(400).json({
-                success: false,
-                message: 'Message is required and must be a string'
-            });
+        let hasAccess = false;
+        if (user.role === 'student') {
+            const enrollment = await CourseModel.getStudentEnrollment(db, courseId, user.userId);
+            hasAccess = !!(enrollment.success && enrollment.enrolled);
+        } else if (user.role === 'instructor' || user.role === 'ta') {
+            hasAccess = await CourseModel.userHasCourseAccess(db, courseId, user.userId, user.role);
+        }
+        if (!hasAccess) {
+            return res.status(403).json({ success: false, message: 'Access denied for this course' });
         }
 
-        console.log(`💬 Chat request received: "${message.substring(0, 50)}..."`);
-        console.log(`🎯 Mode: ${mode || 'default'}`);
+        const document = await DocumentModel.getDocumentById(db, documentId);
+        const figure = document && document.courseId === courseId
+            ? DocumentModel.findDocumentFigure(document, figureNumber)
+            : null;
+        if (!figure || !figure.fileId) {
+            return res.status(404).json({ success: false, message: 'Figure not found' });
+        }
+
+        res.setHeader('Content-Type', figure.mimeType || 'application/octet-stream');
+        res.setHeader('Cache-Control', 'private, max-age=3600');
+        return gridfs.openDownloadStream(db, figure.fileId)
+            .on('error', (err) => {
+                console.error(`❌ GridFS read failed for figure ${figureNumber} of ${documentId}:`, err.message);
+                if (!res.headersSent) {
+                    res.status(500).json({ success: false, message: 'Stored figure could not be read' });
+                } else {
+                    res.end();
+                }
+            })
+            .pipe(res);
+    } catch (error) {
+        console.error('Error serving source figure:', error);
+        res.status(500).json({ success: false, message: 'Failed to load figure' });
+    }
+});
 
-        // Require courseId and unitName per requirements
-        if (!courseId || !unitName) {
-            return res.status(400).json({
-                success: false,
-                message: 'courseId and unitName are required to start chat'
-            });
-        }
+/**
+ * Run everything a student chat turn needs before the tutor reply is
+ * generated: validation, struggle tracking, the background safety check,
+ * retrieval, and prompt assembly. Shared by POST /api/chat and its streaming
+ * variant so both answer from exactly the same context.
+ *
+ * @returns {Promise<Object|null>} null when a response was already sent
+ *   (validation failure, missing key); `{ immediate }` for a reply that needs
+ *   no LLM call; otherwise the prepared turn.
+ */
+async function prepareChatTurn(req, res) {
+    console.log('💬 [CHAT_API] New chat request received');
+    console.log('💬 [CHAT_API] Message:', req.body.message?.substring(0, 50) + '...');
+    if (req.body.conversationContext) {
+        // History now comes from the server-side thread; a client-built
+        // transcript could carry invented "BiocBot:" turns.
+        console.log('💬 [CHAT_API] Ignoring client-supplied conversationContext');
+    }
+    console.log('🔐 [CHAT_API] Auth check - Cookie present:', !!req.headers.cookie);
+    console.log('🔐 [CHAT_API] Auth check - User present:', !!req.user);
+
+    let llmService = null;
+    let qdrant = null;
 
-        // Profanity filter: intercept before any RAG/GPT work to save tokens
-        // If the cleaned text differs from the original, return a warning response
-        // Skip for explanation requests (system generated from valid bot content)
-        if (!req.body.isExplanationRequest) {
-            const cleanedMessage = profanityFilter.clean(message);
+    const { message, conversationId, mode, unitName, courseId } = req.body;
 
-            if (cleanedMessage !== message) {
+    // Get DB connection early
+    const db = req.app.locals.db;
+    if (!db) {
+        res.status(503).json({ success: false, message: 'Database connection not available' });
+        return null;
+    }
+
+
+    // Validate required fields
+    if (!message || typeof message !== 'string') {
+        res.status(400).json({
+            success: false,
+            message: 'Message is required and must be a string'
+        });
+        return null;
+    }
+
+    console.log(`💬 Chat request received: "${message.substring(0, 50)}..."`);
+    console.log(`🎯 Mode: ${mode || 'default'}`);
+
+    // Quiz-me runs are stored per student, so the mode needs a signed-in user.
+    const isQuizMe = mode === quizMe.QUIZ_ME_MODE;
+    if (isQuizMe && !req.user) {
+        res.status(401).json({ success: false, message: 'Sign in to use quiz me mode' });
+        return null;
+    }
+
+    // Require courseId and unitName per requirements
+    if (!courseId || !unitName) {
+        res.status(400).json({
+            success: false,
+            message: 'courseId and unitName are required to start chat'
+        });
+        return null;
+    }
+
+    // Profanity filter: intercept before any RAG/GPT work to save tokens
+    // If the cleaned text differs from the original, return a warning response
+    // Skip for explanation requests (system generated from valid bot content)
+    if (!req.body.isExplanationRequest) {
+        const cleanedMessage = profanityFilter.clean(message);
+
+        if (cleanedMessage !== message) {
             const warningText = 'please watch the language, this is a tool and this data will be used for internal and data analysis';
             console.log('⚠️ [CHAT_API] Profanity detected. Returning warning without querying LLM.');
-            return res.json({
-                success: true,
-                messageId: generateChatMessageId(),
-                message: warningText,
-                model: 'system',
-                usage: { tokens: 0 },
-                timestamp: new Date().toISOString(),
-                mode: mode || 'default',
-                citations: [],
-                sourceAttribution: {
-                    source: 'system',
-                    description: 'Profanity filtered warning',
-                    unitName: null,
-                    documentType: null,
-                    downloadsEnabled: false,
-                    documents: []
-                },
-                debug: {
-                    profanityFiltered: true
-                },
-                retrieval: {
-                    mode: 'n/a',
-                    lectureNames: []
+            return {
+                immediate: {
+                    success: true,
+                    messageId: generateChatMessageId(),
+                    message: warningText,
+                    model: 'system',
+                    usage: { tokens: 0 },
+                    timestamp: new Date().toISOString(),
+                    mode: mode || 'default',
+                    citations: [],
+                    sourceAttribution: {
+                        source: 'system',
+                        description: 'Profanity filtered warning',
+                        unitName: null,
+                        documentType: null,
+                        downloadsEnabled: false,
+                        documents: []
+                    },
+                    debug: {
+                        profanityFiltered: true
+                    },
+                    retrieval: {
+                        mode: 'n/a',
+                        lectureNames: []
+                    }
                 }
-
-            });
+            };
         }
     }
-        
-        
-        // Mental health detection is handled by the parallel LLM detection (fire-and-forget)
-        // The chat bot's mode prompts include SAFETY PROTOCOL to provide the wellness link directly
 
-        // Load course early (used by both struggle mapping and retrieval config)
-        const coursesCol = db.collection('courses');
-        const course = await coursesCol.findOne({ courseId });
-        if (!course) {
-            return res.status(404).json({ success: false, message: 'Course not found' });
-        }
+    // Mental health detection is handled by the parallel LLM detection below.
+    // The mode prompts' SAFETY PROTOCOL names the course's wellness resources,
+    // and a raised flag adds them to the reply as a structured card.
 
-        const ai = await resolveCourseAi(req, res, courseId);
-        if (!ai) return;
-        llmService = ai.llm;
-        qdrant = ai.qdrant;
+    // Load course early (used by both struggle mapping and retrieval config)
+    const coursesCol = db.collection('courses');
+    const course = await coursesCol.findOne({ courseId });
+    if (!course) {
+        res.status(404).json({ success: false, message: 'Course not found' });
+        return null;
+    }
 
-        const approvedStruggleTopics = CourseModel.normalizeTopicList(course.approvedStruggleTopics || []);
-        console.log(`🧭 [CHAT_TOPIC_MAP] Approved topics loaded: ${approvedStruggleTopics.length}`);
+    let wellnessResources;
+    try {
+        wellnessResources = await wellness.resolveCourseResources(db, course);
+    } catch (err) {
+        // Never leave a student without resources because settings failed to load.
+        console.error('Error loading wellness resources (using defaults):', err);
+        wellnessResources = wellness.DEFAULT_WELLNESS_RESOURCES.map(resource => ({ ...resource }));
+    }
 
-        // STRUGGLE DETECTION & TRACKING
-        let struggleState = null;
-        let directiveModeActive = false;
-        let identifiedTopic = null;
+    const ai = await resolveCourseAi(req, res, courseId);
+    if (!ai) return null;
+    llmService = ai.llm;
+    qdrant = ai.qdrant;
 
-        const appLLM = llmService;
-        const trackerService = appLLM ? new TrackerService(appLLM) : null;
+    // Server-owned conversation thread: the source of prompt history.
+    let thread = null;
+    let history = { turns: [], tokenCount: 0, omittedCount: 0 };
+    if (req.user) {
+        try {
+            const resolved = await ChatThread.resolveThread(db, {
+                threadId: conversationId,
+                studentId: req.user.userId,
+                studentName: req.user.displayName || req.user.username,
+                courseId,
+                unitName,
+                mode
+            });
+            if (resolved.success) {
+                thread = resolved.thread;
+                // Summary-seeded chats start from the summary alone.
+                if (!req.body.skipHistory) {
+                    history = selectHistoryWindow(thread.turns);
+                }
+                console.log(`🧵 [CHAT_THREAD] ${thread.threadId}: ${history.turns.length} turns in history, ${history.omittedCount} omitted (${history.tokenCount} tokens)`);
+            }
+        } catch (err) {
+            console.error('❌ [CHAT_THREAD] Could not load conversation thread (non-blocking):', err);
+        }
+    }
 
-        console.log(`🕵️ [CHAT_API_DEBUG] User Context: ID=${req.user ? req.user.userId : 'MISSING'}, Tracker=${!!trackerService}`);
+    const approvedStruggleTopics = CourseModel.normalizeTopicList(course.approvedStruggleTopics || []);
+    console.log(`🧭 [CHAT_TOPIC_MAP] Approved topics loaded: ${approvedStruggleTopics.length}`);
 
-        if (req.user && trackerService) {
-            try {
-                // Check if this is an explanation request with a known topic
-                // If so, we can skip analysis and directly increment struggle for that topic
-                if (req.body.isExplanationRequest && req.body.topic) {
-                     const explanationTopic = String(req.body.topic || '').trim();
-                     const matchedApprovedTopic = approvedStruggleTopics.find(
-                        topic => topic.toLowerCase() === explanationTopic.toLowerCase()
-                     );
-
-                     if (!matchedApprovedTopic) {
-                        console.log(`🕵️ [CHAT_API_DEBUG] Explanation topic "${explanationTopic}" is not approved; skipping struggle update.`);
-                     } else {
-                        console.log(`🕵️ [CHAT_API_DEBUG] Explanation Request for approved topic: "${matchedApprovedTopic}" - Incrementing Struggle Count`);
-
-                        const updateResult = await User.updateUserStruggleState(db, req.user.userId, {
-                            topic: matchedApprovedTopic,
-                            isStruggling: true,
-                            reason: 'User requested explanation'
-                        }, courseId);
-
-                        console.log('🕵️ [CHAT_API_DEBUG] Struggle Update (Explain) Result:', JSON.stringify(updateResult, null, 2));
-
-                        if (updateResult.success && !updateResult.skipped) {
-                            struggleState = updateResult.state; // topic specific state
-                            identifiedTopic = matchedApprovedTopic;
-
-                            // We also need the full state to determine if ANY directive mode is active
-                            // But updateUserStruggleState returns { success, state, allTopics }
-                            // Let's verify if *this* topic triggered directive mode
-                            if (struggleState && struggleState.isActive) {
-                                directiveModeActive = true;
-                                console.log(`🚨 [CHAT_API_DEBUG] Directive Mode ACTIVATED via Explain for topic: ${identifiedTopic}`);
-                            }
+    // STRUGGLE DETECTION & TRACKING
+    let struggleState = null;
+    let directiveModeActive = false;
+    let identifiedTopic = null;
+
+    const appLLM = llmService;
+    const trackerService = appLLM ? new TrackerService(appLLM) : null;
+
+    console.log(`🕵️ [CHAT_API_DEBUG] User Context: ID=${req.user ? req.user.userId : 'MISSING'}, Tracker=${!!trackerService}`);
+
+    if (isQuizMe) {
+        // Quiz-me replies are answers, not questions: the graded result feeds
+        // the tracker instead (see generateQuizMeReply).
+        console.log('🕵️ [CHAT_API_DEBUG] Quiz-me turn; struggle is recorded from grading.');
+    } else if (req.user && trackerService) {
+        try {
+            // Check if this is an explanation request with a known topic
+            // If so, we can skip analysis and directly increment struggle for that topic
+            if (req.body.isExplanationRequest && req.body.topic) {
+                 const explanationTopic = String(req.body.topic || '').trim();
+                 const matchedApprovedTopic = approvedStruggleTopics.find(
+                    topic => topic.toLowerCase() === explanationTopic.toLowerCase()
+                 );
+
+                 if (!matchedApprovedTopic) {
+                    console.log(`🕵️ [CHAT_API_DEBUG] Explanation topic "${explanationTopic}" is not approved; skipping struggle update.`);
+                 } else {
+                    console.log(`🕵️ [CHAT_API_DEBUG] Explanation Request for approved topic: "${matchedApprovedTopic}" - Incrementing Struggle Count`);
+
+                    const updateResult = await User.updateUserStruggleState(db, req.user.userId, {
+                        topic: matchedApprovedTopic,
+                        isStruggling: true,
+                        reason: 'User requested explanation'
+                    }, courseId);
+
+                    console.log('🕵️ [CHAT_API_DEBUG] Struggle Update (Explain) Result:', JSON.stringify(updateResult, null, 2));
+
+                    if (updateResult.success && !updateResult.skipped) {
+                        struggleState = updateResult.state; // topic specific state
+                        identifiedTopic = matchedApprovedTopic;
+
+                        // We also need the full state to determine if ANY directive mode is active
+                        // But updateUserStruggleState returns { success, state, allTopics }
+                        // Let's verify if *this* topic triggered directive mode
+                        if (struggleState && struggleState.isActive) {
+                            directiveModeActive = true;
+                            console.log(`🚨 [CHAT_API_DEBUG] Directive Mode ACTIVATED via Explain for topic: ${identifiedTopic}`);
                         }
-                     }
+                    }
+                 }
 
-                } else {
-                    // Normal message analysis
-                    // 1. Analyze message for struggle
-                    console.log('🕵️ [CHAT_API_DEBUG] ------------------------------------------------');
-                    console.log(`🕵️ [CHAT_API_DEBUG] Analysis Start for msg: "${message.substring(0, 50)}..."`);
-                    
-                    const analysis = await trackerService.analyzeMessage(message, courseId, unitName, approvedStruggleTopics);
-                    console.log('🕵️ [CHAT_API_DEBUG] Raw Analysis Result:', JSON.stringify(analysis, null, 2));
-
-                    if (analysis.isStruggling && analysis.isMapped) {
-                        // 2. Update user state and persist to MongoDB for mapped topics only
-                        const updateResult = await User.updateUserStruggleState(db, req.user.userId, analysis, courseId);
-                        console.log('🕵️ [CHAT_API_DEBUG] User State Update Result:', JSON.stringify(updateResult, null, 2));
-
-                        if (updateResult.success && !updateResult.skipped) {
-                            struggleState = updateResult.state;
-                            identifiedTopic = analysis.topic;
-
-                            // 3. Check if Directive Mode should be active
-                            if (struggleState && struggleState.isActive) {
-                                directiveModeActive = true;
-                                console.log(`🚨 [CHAT_API_DEBUG] Directive Mode ACTIVATED for topic: ${identifiedTopic}`);
-                            } else {
-                                 console.log(`🕵️ [CHAT_API_DEBUG] Struggle recorded but Directive Mode NOT active yet.`);
-                            }
+            } else {
+                // Normal message analysis
+                // 1. Analyze message for struggle
+                console.log('🕵️ [CHAT_API_DEBUG] ------------------------------------------------');
+                console.log(`🕵️ [CHAT_API_DEBUG] Analysis Start for msg: "${message.substring(0, 50)}..."`);
+                
+                const analysis = await trackerService.analyzeMessage(message, courseId, unitName, approvedStruggleTopics);
+                console.log('🕵️ [CHAT_API_DEBUG] Raw Analysis Result:', JSON.stringify(analysis, null, 2));
+
+                if (analysis.isStruggling && analysis.isMapped) {
+                    // 2. Update user state and persist to MongoDB for mapped topics only
+                    const updateResult = await User.updateUserStruggleState(db, req.user.userId, analysis, courseId);
+                    console.log('🕵️ [CHAT_API_DEBUG] User State Update Result:', JSON.stringify(updateResult, null, 2));
+
+                    if (updateResult.success && !updateResult.skipped) {
+                        struggleState = updateResult.state;
+                        identifiedTopic = analysis.topic;
+
+                        // 3. Check if Directive Mode should be active
+                        if (struggleState && struggleState.isActive) {
+                            directiveModeActive = true;
+                            console.log(`🚨 [CHAT_API_DEBUG] Directive Mode ACTIVATED for topic: ${identifiedTopic}`);
+                        } else {
+                             console.log(`🕵️ [CHAT_API_DEBUG] Struggle recorded but Directive Mode NOT active yet.`);
                         }
-                    } else if (analysis.isStruggling && !analysis.isMapped) {
-                        console.log(`🕵️ [CHAT_API_DEBUG] Struggle detected but topic unmapped; no struggle topic update applied.`);
-                    } else {
-                        console.log(`🕵️ [CHAT_API_DEBUG] No struggle detected for this message.`);
                     }
+                } else if (analysis.isStruggling && !analysis.isMapped) {
+                    console.log(`🕵️ [CHAT_API_DEBUG] Struggle detected but topic unmapped; no struggle topic update applied.`);
+                } else {
+                    console.log(`🕵️ [CHAT_API_DEBUG] No struggle detected for this message.`);
                 }
-            } catch (trackerError) {
-                console.error('❌ [CHAT_API_DEBUG] Error in struggle tracking:', trackerError);
             }
-        } else {
-            console.warn('⚠️ [CHAT_API_DEBUG] Check skipped. User:', !!req.user, 'Tracker:', !!trackerService);
-            if (!req.user) console.warn('⚠️ [CHAT_API_DEBUG] req.user is MISSING. Auth middleware might be failing.');
-            if (!trackerService) console.warn('⚠️ [CHAT_API_DEBUG] trackerService is MISSING. LLM service might not be ready.');
-        }
-
-
-        // Fire-and-forget: parallel mental health detection LLM call
-        // Only send trimmed context: most recent bot message + 2 most recent student messages
-        // Never runs for a preview: a sentence typed while testing the bot must
-        // not create a mental-health flag or page anyone. The student-facing
-        // safety response still comes through the mode prompts, so the
-        // previewer sees what a student would see.
-        const appLLMForMH = previewSession.isPreviewRequest(req) ? null : llmService;
-        if (appLLMForMH && req.user) {
-            (async () => {
-                try {
-                    const detectionPrompt = course.mentalHealthDetectionPrompt || prompts.DEFAULT_MENTAL_HEALTH_DETECTION_PROMPT;
-                    const convMessages = (conversationContext && conversationContext.conversationMessages) || [];
-                    // convMessages from frontend already includes the current message,
-                    // so only append it if the history is empty (first message in chat)
-                    const allMessages = convMessages.length > 0
-                        ? convMessages
-                        : [{ role: 'user', content: message }];
-
-                    // Trim to last 2 student messages + last bot message
-                    const recentStudentMsgs = allMessages.filter(m => m.role === 'user').slice(-2);
-                    const recentBotMsg = [...allMessages].reverse().find(m => m.role === 'assistant');
-                    const trimmedHistory = [];
-                    if (recentBotMsg) trimmedHistory.push(recentBotMsg);
-                    trimmedHistory.push(...recentStudentMsgs);
-
-                    const result = await appLLMForMH.analyzeMentalHealth(trimmedHistory, detectionPrompt);
-
-                    if (result.concernLevel !== 'no concern') {
-                        await MentalHealthFlag.createMentalHealthFlag(db, {
-                            studentId: req.user.userId,
-                            studentName: req.user.displayName || req.user.username || 'Unknown',
-                            courseId,
-                            unitName,
-                            message,
-                            conversationContext: trimmedHistory,
-                            concernLevel: result.concernLevel,
-                            llmReason: result.reason
-                        });
-                    }
-                } catch (err) {
-                    console.error('Mental health detection error (non-blocking):', err);
-                }
-            })();
+        } catch (trackerError) {
+            console.error('❌ [CHAT_API_DEBUG] Error in struggle tracking:', trackerError);
         }
+    } else {
+        console.warn('⚠️ [CHAT_API_DEBUG] Check skipped. User:', !!req.user, 'Tracker:', !!trackerService);
+        if (!req.user) console.warn('⚠️ [CHAT_API_DEBUG] req.user is MISSING. Auth middleware might be failing.');
+        if (!trackerService) console.warn('⚠️ [CHAT_API_DEBUG] trackerService is MISSING. LLM service might not be ready.');
+    }
 
-        // Course is already loaded above for topic mapping; reuse it here for retrieval config.
 
-        // Determine retrieval mode: Course override ? Default : False (default)
-        const isAdditive = course.isAdditiveRetrieval !== undefined && course.isAdditiveRetrieval !== null
-            ? !!course.isAdditiveRetrieval 
-            : false;
+    // Parallel mental health detection LLM call. A raised flag adds the
+    // resources card to the reply, or to a follow-up poll when the check
+    // finishes after the reply is sent (see attachWellnessResources).
+    // Only send trimmed context: most recent bot message + 2 most recent student messages
+    // Never runs for a preview: a sentence typed while testing the bot must
+    // not create a mental-health flag or page anyone. The student-facing
+    // safety response still comes through the mode prompts, so the
+    // previewer sees what a student would see.
+    const appLLMForMH = previewSession.isPreviewRequest(req) ? null : llmService;
+    let mentalHealthCheck = Promise.resolve({ checked: false, flagRaised: false });
+    if (appLLMForMH && req.user) {
+        mentalHealthCheck = (async () => {
+            try {
+                const detectionPrompt = course.mentalHealthDetectionPrompt || prompts.DEFAULT_MENTAL_HEALTH_DETECTION_PROMPT;
+                const allMessages = [
+                    ...history.turns.map(turn => ({ role: turn.role, content: turn.content })),
+                    { role: 'user', content: message }
+                ];
+
+                // Trim to last 2 student messages + last bot message
+                const recentStudentMsgs = allMessages.filter(m => m.role === 'user').slice(-2);
+                const recentBotMsg = [...allMessages].reverse().find(m => m.role === 'assistant');
+                const trimmedHistory = [];
+                if (recentBotMsg) trimmedHistory.push(recentBotMsg);
+                trimmedHistory.push(...recentStudentMsgs);
+
+                const result = await appLLMForMH.analyzeMentalHealth(trimmedHistory, detectionPrompt);
+
+                if (result.concernLevel !== 'no concern') {
+                    const flag = await MentalHealthFlag.createMentalHealthFlag(db, {
+                        studentId: req.user.userId,
+                        studentName: req.user.displayName || req.user.username || 'Unknown',
+                        courseId,
+                        unitName,
+                        message,
+                        conversationContext: trimmedHistory,
+                        concernLevel: result.concernLevel,
+                        llmReason: result.reason
+                    });
+                    return { checked: true, flagRaised: true, flagId: (flag && flag.flagId) || null };
+                }
+                return { checked: true, flagRaised: false };
+            } catch (err) {
+                console.error('Mental health detection error (non-blocking):', err);
+                return { checked: false, flagRaised: false };
+            }
+        })();
+    }
 
-        // Build lectureNames filter using published units only, ordered by lectures array
-        const publishedLectures = (course.lectures || []).filter(l => l.isPublished).map(l => l.name);
-        if (!publishedLectures.includes(unitName)) {
-            return res.status(400).json({ success: false, message: 'Selected unit is not published or does not exist' });
-        }
+    // Course is already loaded above for topic mapping; reuse it here for retrieval config.
 
-        let lectureNames = [unitName];
-        if (isAdditive) {
-            const order = (course.lectures || []).filter(l => l.isPublished).map(l => l.name);
-            const idx = order.indexOf(unitName);
-            lectureNames = idx >= 0 ? order.slice(0, idx + 1) : [unitName];
-        }
+    // Determine retrieval mode: Course override ? Default : False (default)
+    const isAdditive = course.isAdditiveRetrieval !== undefined && course.isAdditiveRetrieval !== null
+        ? !!course.isAdditiveRetrieval 
+        : false;
+
+    // Build lectureNames filter using published units only, ordered by lectures array
+    const publishedLectures = (course.lectures || []).filter(l => l.isPublished).map(l => l.name);
+    if (!publishedLectures.includes(unitName)) {
+        res.status(400).json({ success: false, message: 'Selected unit is not published or does not exist' });
+        return null;
+    }
+
+    let lectureNames = [unitName];
+    if (isAdditive) {
+        const order = (course.lectures || []).filter(l => l.isPublished).map(l => l.name);
+        const idx = order.indexOf(unitName);
+        lectureNames = idx >= 0 ? order.slice(0, idx + 1) : [unitName];
+    }
+
+    // Debug logging to verify retrieval mode and scope
+    console.log(`🔎 [CHAT_RAG] RetrievalMode=${isAdditive ? 'additive' : 'single'} | Course=${courseId} | Unit=${unitName} | LectureNames=${JSON.stringify(lectureNames)}`);
+
+    const ragSettings = CourseModel.resolveRagSettings(course);
+    const searchOptions = { retrievalMode: ragSettings.student.retrievalMode };
+    const rerankSettings = ragSettings.student.rerank && ragSettings.student.rerank.enabled
+        ? ragSettings.student.rerank
+        : null;
+    // With re-ranking on, over-fetch candidates and let the re-ranker keep topK.
+    const searchLimit = rerankSettings
+        ? Math.max(rerankSettings.candidateCount, ragSettings.student.topK)
+        : ragSettings.student.topK;
+
+    // A running prompt experiment gives each student variant A or B of one
+    // prompt. Previews keep the course prompts.
+    const promptAssignment = req.user && req.user.role === 'student' && !previewSession.isPreviewRequest(req)
+        ? await PromptExperiment.resolveStudentVariant(db, courseId, req.user.userId)
+        : null;
+
+    // Semantic answer cache. Only a unit's opening question is cacheable:
+    // follow-ups depend on the conversation, and directive-mode, summary, and
+    // explanation turns are specific to the student. Previews never touch it.
+    const answerCacheSettings = ragSettings.student.answerCache;
+    let answerCache = null;
+    if (answerCacheSettings && answerCacheSettings.enabled
+        && history.turns.length === 0
+        && !req.body.skipHistory
+        && !directiveModeActive
+        && !req.body.isExplanationRequest
+        && !req.body.checkSummaryAttempt
+        && !isQuizMe
+        && !promptAssignment
+        && !previewSession.isPreviewRequest(req)) {
+        answerCache = await lookupCachedAnswer(db, qdrant, {
+            courseId,
+            unitName,
+            mode: mode || 'default',
+            promptKey: answerCachePromptKey(course, buildPromptVariables(course, { unitNames: lectureNames, wellnessResources }))
+        }, message, answerCacheSettings.similarityThreshold);
+    }
+
+    const turnContext = {
+        llmService,
+        message,
+        mode,
+        unitName,
+        courseId,
+        user: req.user || null,
+        db,
+        threadId: thread ? thread.threadId : null,
+        history,
+        isExplanationRequest: !!req.body.isExplanationRequest,
+        retrievalMode: ragSettings.student.retrievalMode,
+        isAdditive,
+        lectureNames,
+        struggleState,
+        directiveModeActive,
+        identifiedTopic,
+        trackerInitialized: !!trackerService,
+        mentalHealthCheck,
+        wellnessResources,
+        answerCache,
+        promptVariant: promptAssignment
+            ? { experimentId: promptAssignment.experiment.experimentId, variant: promptAssignment.variant }
+            : null
+    };
+
+    if (isQuizMe) {
+        return {
+            ...turnContext,
+            quizMe: true,
+            approvedStruggleTopics,
+            shouldAppendReprompt: false,
+            searchResults: [],
+            rerankTrace: null,
+            queryRewrite: literalQuery(message),
+            citations: [],
+            sourceAttribution: {
+                source: 'quiz',
+                description: `Quiz me: ${unitName} assessment questions`,
+                unitName,
+                documentType: null,
+                downloadsEnabled: false,
+                documents: []
+            }
+        };
+    }
 
-        // Debug logging to verify retrieval mode and scope
-        console.log(`🔎 [CHAT_RAG] RetrievalMode=${isAdditive ? 'additive' : 'single'} | Course=${courseId} | Unit=${unitName} | LectureNames=${JSON.stringify(lectureNames)}`);
+    if (answerCache && answerCache.status === 'hit') {
+        console.log(`♻️ [ANSWER_CACHE] Serving ${answerCache.entry.entryId} (similarity ${answerCache.similarity.toFixed(3)})`);
+        return {
+            ...turnContext,
+            cachedAnswer: answerCache.entry,
+            shouldAppendReprompt: false,
+            searchResults: [],
+            rerankTrace: null,
+            queryRewrite: literalQuery(message),
+            citations: answerCache.entry.citations || [],
+            sourceAttribution: answerCache.entry.sourceAttribution
+        };
+    }
 
-        const ragSettings = CourseModel.resolveRagSettings(course);
+    // Follow-ups ("why does it do that?") are rewritten into standalone
+    // queries using the recent turns; compound questions become sub-queries.
+    // Explanation requests are bot text the student highlighted: search as is.
+    const queryRewrite = req.body.isExplanationRequest
+        ? literalQuery(message)
+        : await rewriteQuery(message, { turns: history.turns, llmService });
+    if (queryRewrite.rewritten) {
+        console.log(`✏️ [CHAT_RAG] Search queries: ${JSON.stringify(queryRewrite.queries)}`);
+    }
 
-        // Retrieve top chunks from Qdrant.
-        // When the course de-prioritizes additional materials, search the main
-        // materials (lecture notes, practice questions) first and only fall back
-        // to additional materials if nothing was found there.
-        let searchResults;
+    // Retrieve top chunks from Qdrant.
+    // When the course de-prioritizes additional materials, search the main
+    // materials (lecture notes, practice questions) first and only fall back
+    // to additional materials if nothing was found there.
+    const searchCourseMaterials = async (query) => {
+        let results;
         if (course.additionalMaterialSecondarySearch === true) {
-            searchResults = await qdrant.searchDocuments(message, { courseId, lectureNames, excludeAdditionalMaterials: true }, ragSettings.student.topK);
-            if (!Array.isArray(searchResults) || searchResults.length === 0) {
+            results = await qdrant.searchDocuments(query, { courseId, lectureNames, excludeAdditionalMaterials: true }, searchLimit, searchOptions);
+            if (!Array.isArray(results) || results.length === 0) {
                 console.log('🔎 [CHAT_RAG] No chunks found in main materials; falling back to additional materials');
-                searchResults = await qdrant.searchDocuments(message, { courseId, lectureNames, additionalMaterialsOnly: true }, ragSettings.student.topK);
+                results = await qdrant.searchDocuments(query, { courseId, lectureNames, additionalMaterialsOnly: true }, searchLimit, searchOptions);
             }
         } else {
-            searchResults = await qdrant.searchDocuments(message, { courseId, lectureNames }, ragSettings.student.topK);
+            results = await qdrant.searchDocuments(query, { courseId, lectureNames }, searchLimit, searchOptions);
         }
+        return normalizeQdrantSearchResults(results);
+    };
 
-        searchResults = normalizeQdrantSearchResults(searchResults);
+    let searchResults;
+    if (queryRewrite.queries.length === 1) {
+        searchResults = await searchCourseMaterials(queryRewrite.queries[0]);
+    } else {
+        const perQueryResults = await Promise.all(queryRewrite.queries.map(searchCourseMaterials));
+        searchResults = fuseSubQueryResults(perQueryResults, searchLimit);
+    }
 
-        // Log summary of results by lecture to validate scope
-        try {
-            const lecturesHit = Array.from(new Set((searchResults || []).map(r => r.lectureName)));
-            console.log(`📚 [CHAT_RAG] Retrieved ${searchResults.length} chunks from lectures: ${lecturesHit.join(', ')}`);
-            // Group by document to see which files contributed
-            const byDoc = {};
-            for (const r of (searchResults || [])) {
-                const docId = r.documentId || 'unknown-doc';
-                if (!byDoc[docId]) {
-                    byDoc[docId] = {
-                        fileName: r.fileName || 'unknown-filename',
-                        lectures: new Set(),
-                        count: 0,
-                        maxScore: 0
-                    };
-                }
-                byDoc[docId].count += 1;
-                byDoc[docId].lectures.add(r.lectureName);
-                if (typeof r.score === 'number' && r.score > byDoc[docId].maxScore) {
-                    byDoc[docId].maxScore = r.score;
-                }
+    let rerankTrace = null;
+    if (rerankSettings && searchResults.length > 0) {
+        const reranked = await rerankChunks(queryRewrite.standalone, searchResults, {
+            keep: ragSettings.student.topK,
+            scorer: rerankSettings.scorer,
+            llmService
+        });
+        searchResults = reranked.results;
+        rerankTrace = reranked.trace;
+        console.log(`🔀 [CHAT_RAG] Re-ranked ${rerankTrace.candidateCount} candidates with ${rerankTrace.scorer} scorer; kept ${searchResults.length}${rerankTrace.fallbackReason ? ' (fallback: retrieval order)' : ''}`);
+    }
+
+    // Log summary of results by lecture to validate scope
+    try {
+        const lecturesHit = Array.from(new Set((searchResults || []).map(r => r.lectureName)));
+        console.log(`📚 [CHAT_RAG] Retrieved ${searchResults.length} chunks from lectures: ${lecturesHit.join(', ')}`);
+        // Group by document to see which files contributed
+        const byDoc = {};
+        for (const r of (searchResults || [])) {
+            const docId = r.documentId || 'unknown-doc';
+            if (!byDoc[docId]) {
+                byDoc[docId] = {
+                    fileName: r.fileName || 'unknown-filename',
+                    lectures: new Set(),
+                    count: 0,
+                    maxScore: 0
+                };
             }
-            const docKeys = Object.keys(byDoc);
-            console.log(`📄 [CHAT_RAG] Documents contributing (${docKeys.length}):`);
-            for (const k of docKeys) {
-                const info = byDoc[k];
-                const lecturesList = Array.from(info.lectures).join(', ');
-                const scoreStr = info.maxScore ? info.maxScore.toFixed(3) : 'n/a';
-                console.log(`   - ${info.fileName} (id=${k}) | lectures=[${lecturesList}] | chunks=${info.count} | maxScore=${scoreStr}`);
+            byDoc[docId].count += 1;
+            byDoc[docId].lectures.add(r.lectureName);
+            if (typeof r.score === 'number' && r.score > byDoc[docId].maxScore) {
+                byDoc[docId].maxScore = r.score;
             }
-        } catch (_) {}
-
-        // Build concise context window with citations
-        const citations = searchResults.map(r => ({
-            lectureName: r.lectureName,
-            fileName: r.fileName,
-            score: r.score
-        }));
-        const contextText = searchResults
-            .map(r => `From ${r.lectureName} (${r.fileName}):\n${r.chunkText}`)
-            .join('\n\n---\n\n');
-
-        // Determine source attribution based on retrieved chunks
-        console.log('🔍 [SOURCE_DEBUG] Retrieved chunks for source analysis:', searchResults.map(r => ({
-            fileName: r.fileName,
-            documentType: r.documentType,
-            type: r.type,
-            lectureName: r.lectureName
-        })));
-
-        let sourceAttribution;
-        try {
-            const sourceDownloadsEnabled = !!(course.quizSettings && course.quizSettings.allowSourceAttributionDownloads);
-            sourceAttribution = await determineSourceAttribution(searchResults, unitName, sourceDownloadsEnabled);
-            console.log('🔍 [SOURCE_DEBUG] Determined source attribution:', sourceAttribution);
-        } catch (error) {
-            console.error('🔍 [SOURCE_DEBUG] Error in source attribution:', error);
-            sourceAttribution = {
-                source: 'GPT',
-                description: 'Generated by AI (error determining source)',
-                unitName: null,
-                documentType: null,
-                downloadsEnabled: false,
-                documents: []
-            };
         }
+        const docKeys = Object.keys(byDoc);
+        console.log(`📄 [CHAT_RAG] Documents contributing (${docKeys.length}):`);
+        for (const k of docKeys) {
+            const info = byDoc[k];
+            const lecturesList = Array.from(info.lectures).join(', ');
+            const scoreStr = info.maxScore ? info.maxScore.toFixed(3) : 'n/a';
+            console.log(`   - ${info.fileName} (id=${k}) | lectures=[${lecturesList}] | chunks=${info.count} | maxScore=${scoreStr}`);
+        }
+    } catch (_) {}
+
+    // Build concise context window with citations
+    // The document version is recorded because a document can be replaced
+    // after the answer was given
+    const citations = searchResults.map(r => ({
+        lectureName: r.lectureName,
+        fileName: r.fileName,
+        documentId: r.documentId || null,
+        documentVersion: r.documentVersion || null,
+        score: r.score,
+        ...(r.section ? { section: r.section } : {})
+    }));
+    const contextText = searchResults
+        .map(r => `From ${r.lectureName} (${r.fileName}${r.section && r.section.heading ? `, "${r.section.heading}"` : ''}):\n${r.chunkText}`)
+        .join('\n\n---\n\n');
+
+    // Determine source attribution based on retrieved chunks
+    console.log('🔍 [SOURCE_DEBUG] Retrieved chunks for source analysis:', searchResults.map(r => ({
+        fileName: r.fileName,
+        documentType: r.documentType,
+        type: r.type,
+        lectureName: r.lectureName
+    })));
+
+    let sourceAttribution;
+    try {
+        const sourceDownloadsEnabled = !!(course.quizSettings && course.quizSettings.allowSourceAttributionDownloads);
+        sourceAttribution = await determineSourceAttribution(searchResults, unitName, sourceDownloadsEnabled);
+        console.log('🔍 [SOURCE_DEBUG] Determined source attribution:', sourceAttribution);
+    } catch (error) {
+        console.error('🔍 [SOURCE_DEBUG] Error in source attribution:', error);
+        sourceAttribution = {
+            source: 'GPT',
+            description: 'Generated by AI (error determining source)',
+            unitName: null,
+            documentType: null,
+            downloadsEnabled: false,
+            documents: [],
+            figures: []
+        };
+    }
 
-        // Build the message to send to LLM
-        let messageToSend;
-        
-        if (mode === 'protege') {
-            messageToSend = `
+    // Build the message to send to LLM
+    let messageToSend;
+    
+    if (mode === 'protege') {
+        messageToSend = `
 CONTEXT (The correct answers):
 ${contextText}
 
@@ -1351,224 +1840,704 @@ INSTRUCTIONS:
 Based on the Context above, act as the student described in the System Prompt.
 The user just said: "${message}"
 Do not explain the context to the user. Ask the user to explain it to you.`;
-        } else if (req.body.isExplanationRequest) {
-            // Explain mode
-            messageToSend = `Use the provided course context to help explain the concept if needed.
+    } else if (req.body.isExplanationRequest) {
+        // Explain mode
+        messageToSend = `Use the provided course context to help explain the concept if needed.
 \n\nCourse context:\n${contextText}\n\nConcept/Text to explain:\n"${message}"`;
-        } else {
-            // Default/Tutor mode
-            messageToSend = `Use only the provided course context to answer. Cite which unit a fact came from.
+    } else {
+        // Default/Tutor mode
+        messageToSend = `Use only the provided course context to answer. Cite which unit a fact came from.
 \n\nCourse context:\n${contextText}\n\nStudent question: ${message}`;
-        }
+    }
 
-        // If we have conversation context (continuing a chat), use structured conversation approach
-        if (conversationContext && conversationContext.conversationMessages) {
-            console.log('🔄 [CHAT_CONTINUE] Using structured conversation context');
+    // If the thread has earlier turns (continuing a chat), use structured conversation approach
+    if (history.turns.length > 0) {
+        console.log('🔄 [CHAT_CONTINUE] Using server-side conversation history');
 
-            // Build the conversation history as a single message
-            let conversationHistory = '';
-            conversationContext.conversationMessages.forEach(msg => {
-                const speaker = msg.role === 'user' ? 'Student' : 'BiocBot';
-                conversationHistory += `${speaker}: ${msg.content}\n\n`;
-            });
+        // Build the conversation history as a single message
+        let conversationHistory = formatHistory(history.turns);
 
-            // Add the student's new message
-            conversationHistory += `Student: ${message}`;
+        // Add the student's new message
+        conversationHistory += `Student: ${message}`;
 
-            // Create the full message with conversation context
-            messageToSend = `Use only the provided course context to answer. Cite which unit a fact came from.
+        // Create the full message with conversation context
+        messageToSend = `Use only the provided course context to answer. Cite which unit a fact came from.
 
 Course context:
 ${contextText}
 
 Previous conversation:
 ${conversationHistory}`;
-        }
+    }
+
+    // Retrieve custom prompts from course object or use defaults
+    let basePrompt = prompts.DEFAULT_PROMPTS.base;
+    let protegePrompt = prompts.DEFAULT_PROMPTS.protege;
+    let tutorPrompt = prompts.DEFAULT_PROMPTS.tutor;
+    let explainPrompt = prompts.DEFAULT_PROMPTS.explain;
+    let directivePrompt = prompts.DEFAULT_PROMPTS.directive;
+
+    // Check if course has custom prompts; an experiment variant replaces one
+    let coursePrompts = course.prompts || null;
+    if (promptAssignment) {
+        const { experiment, variant } = promptAssignment;
+        console.log(`🧪 [CHAT_API] Prompt experiment ${experiment.experimentId}: variant ${variant} of ${experiment.promptKey}`);
+        coursePrompts = { ...coursePrompts, [experiment.promptKey]: experiment.variants[variant].prompt };
+    }
+    if (coursePrompts) {
+        console.log('📝 [CHAT_API] Using course-specific prompts');
+        if (coursePrompts.base) basePrompt = coursePrompts.base;
+        if (coursePrompts.protege) protegePrompt = coursePrompts.protege;
+        if (coursePrompts.tutor) tutorPrompt = coursePrompts.tutor;
+        if (coursePrompts.explain) explainPrompt = coursePrompts.explain;
+        if (coursePrompts.directive) directivePrompt = coursePrompts.directive;
+    } else {
+        console.log('[CHAT_API] Using default prompts');
+    }
+
+    // Fill {{variables}} from the course and the in-scope unit(s)
+    const promptVariables = buildPromptVariables(course, { unitNames: lectureNames, wellnessResources });
+    basePrompt = renderPromptTemplate(basePrompt, promptVariables);
+    protegePrompt = renderPromptTemplate(protegePrompt, promptVariables);
+    tutorPrompt = renderPromptTemplate(tutorPrompt, promptVariables);
+    explainPrompt = renderPromptTemplate(explainPrompt, promptVariables);
+    directivePrompt = renderPromptTemplate(directivePrompt, promptVariables);
+
+    // Apply Directive Mode adjustments if active
+    // Apply Directive Mode adjustments if active
+    if (directiveModeActive) {
+        // Locked Trigger: Always prepend the topic announcement
+        const lockedHeader = `\n\nCRITICAL INSTRUCTION: The student is struggling significantly with the topic "${identifiedTopic}".\nSwitch to DIRECTIVE MODE:\n`;
+        
+        // Configurable Strategy: Append the instructor's custom instructions
+        // Append to TUTOR prompt only to avoid polluting Protege mode or Base
+        tutorPrompt += lockedHeader + directivePrompt;
+        
+        console.log(' [CHAT_API] Appended Directive Mode instructions (Header + Strategy) to TUTOR prompt');
+    }
 
-        // Retrieve custom prompts from course object or use defaults
-        let basePrompt = prompts.DEFAULT_PROMPTS.base;
-        let protegePrompt = prompts.DEFAULT_PROMPTS.protege;
-        let tutorPrompt = prompts.DEFAULT_PROMPTS.tutor;
-        let explainPrompt = prompts.DEFAULT_PROMPTS.explain;
-        let directivePrompt = prompts.DEFAULT_PROMPTS.directive;
-
-        // Check if course has custom prompts
-        if (course.prompts) {
-            console.log('📝 [CHAT_API] Using course-specific prompts');
-            if (course.prompts.base) basePrompt = course.prompts.base;
-            if (course.prompts.protege) protegePrompt = course.prompts.protege;
-            if (course.prompts.tutor) tutorPrompt = course.prompts.tutor;
-            if (course.prompts.explain) explainPrompt = course.prompts.explain;
-            if (course.prompts.directive) directivePrompt = course.prompts.directive;
+    // Inject the unit's learning objectives directly into the prompt.
+    // We read them deterministically per in-scope unit (single unit, or the
+    // additive set when additive retrieval is on) so the objectives always
+    // match the content the bot can actually retrieve — no keyword/vector
+    // matching. They are appended to basePrompt so every mode (protege/"bot"
+    // and tutor/explain/"student") sees them.
+    try {
+        const objectiveSections = [];
+        for (const ln of lectureNames) {
+            const objectives = await CourseModel.getLearningObjectives(db, courseId, ln);
+            if (!objectives || objectives.length === 0) continue;
+
+            // Shuffle so the model is not positionally biased toward the
+            // first-listed objective; the instruction below also tells it to
+            // treat them as an equally-weighted set.
+            const shuffled = [...objectives].sort(() => Math.random() - 0.5);
+            const list = shuffled.map((o, i) => `${i + 1}. ${o}`).join('\n');
+            objectiveSections.push(`Learning objectives for ${ln}:\n${list}`);
+        }
+
+        if (objectiveSections.length > 0) {
+            basePrompt += `\n\nLEARNING OBJECTIVES (the complete set of goals for the in-scope unit(s); treat every objective as equally important — do not fixate on or default to a single one, and cover the breadth of topics they span):\n\n${objectiveSections.join('\n\n')}`;
+            console.log(`🎯 [CHAT_API] Injected learning objectives for unit(s): ${lectureNames.join(', ')}`);
         } else {
-            console.log('[CHAT_API] Using default prompts');
+            console.log('🎯 [CHAT_API] No learning objectives found for in-scope unit(s)');
         }
+    } catch (err) {
+        console.error('🎯 [CHAT_API] Error injecting learning objectives:', err);
+        // Non-fatal: continue without injected objectives.
+    }
 
-        // Apply Directive Mode adjustments if active
-        // Apply Directive Mode adjustments if active
-        if (directiveModeActive) {
-            // Locked Trigger: Always prepend the topic announcement
-            const lockedHeader = `\n\nCRITICAL INSTRUCTION: The student is struggling significantly with the topic "${identifiedTopic}".\nSwitch to DIRECTIVE MODE:\n`;
-            
-            // Configurable Strategy: Append the instructor's custom instructions
-            // Append to TUTOR prompt only to avoid polluting Protege mode or Base
-            tutorPrompt += lockedHeader + directivePrompt;
+    // Check for summary attempt via LLM if requested
+    let shouldAppendReprompt = false;
+    if (req.body.checkSummaryAttempt) {
+        try {
+            console.log('🔍 [SUMMARY_CHECK] Analyzing student message for summary attempt...');
+            const summaryCheckPrompt = `Analyze the following student message. Does it attempt to summarize, recap, or explain the previous conversation? Respond with only YES or NO. Message: "${message}"`;
             
-            console.log(' [CHAT_API] Appended Directive Mode instructions (Header + Strategy) to TUTOR prompt');
-        }
+            // Use a separate, cheap LLM call (low temp, system prompt irrelevant but using base for safety)
+            const summaryCheckResponse = await llmService.sendMessage(summaryCheckPrompt, {
+                lane: LANES.BACKEND,
+                feature: FEATURES.CHAT_SUMMARY,
+                temperature: 0.1,
+                maxTokens: 10,
+                systemPrompt: "You are a classifier. Respond only with YES or NO."
+            });
 
-        // Inject the unit's learning objectives directly into the prompt.
-        // We read them deterministically per in-scope unit (single unit, or the
-        // additive set when additive retrieval is on) so the objectives always
-        // match the content the bot can actually retrieve — no keyword/vector
-        // matching. They are appended to basePrompt so every mode (protege/"bot"
-        // and tutor/explain/"student") sees them.
-        try {
-            const objectiveSections = [];
-            for (const ln of lectureNames) {
-                const objectives = await CourseModel.getLearningObjectives(db, courseId, ln);
-                if (!objectives || objectives.length === 0) continue;
-
-                // Shuffle so the model is not positionally biased toward the
-                // first-listed objective; the instruction below also tells it to
-                // treat them as an equally-weighted set.
-                const shuffled = [...objectives].sort(() => Math.random() - 0.5);
-                const list = shuffled.map((o, i) => `${i + 1}. ${o}`).join('\n');
-                objectiveSections.push(`Learning objectives for ${ln}:\n${list}`);
-            }
+            const isSummary = summaryCheckResponse && summaryCheckResponse.content && summaryCheckResponse.content.trim().toUpperCase().includes('YES');
+            console.log(`🔍 [SUMMARY_CHECK] Result: ${isSummary ? 'YES' : 'NO'} (Raw: ${summaryCheckResponse?.content})`);
 
-            if (objectiveSections.length > 0) {
-                basePrompt += `\n\nLEARNING OBJECTIVES (the complete set of goals for the in-scope unit(s); treat every objective as equally important — do not fixate on or default to a single one, and cover the breadth of topics they span):\n\n${objectiveSections.join('\n\n')}`;
-                console.log(`🎯 [CHAT_API] Injected learning objectives for unit(s): ${lectureNames.join(', ')}`);
+            if (!isSummary) {
+                shouldAppendReprompt = true;
+                console.log('🔍 [SUMMARY_CHECK] Student did NOT summarize -> Appending re-prompt');
             } else {
-                console.log('🎯 [CHAT_API] No learning objectives found for in-scope unit(s)');
+                console.log('🔍 [SUMMARY_CHECK] Student provided summary -> No re-prompt');
             }
         } catch (err) {
-            console.error('🎯 [CHAT_API] Error injecting learning objectives:', err);
-            // Non-fatal: continue without injected objectives.
+            console.error('❌ [SUMMARY_CHECK] Error during check:', err);
+            // Fail safe: don't annoy the user if check fails. Or default to true? 
+            // Let's default to false (no re-prompt) to be safe.
         }
+    }
 
-        // Check for summary attempt via LLM if requested
-        let shouldAppendReprompt = false;
-        if (req.body.checkSummaryAttempt) {
-            try {
-                console.log('🔍 [SUMMARY_CHECK] Analyzing student message for summary attempt...');
-                const summaryCheckPrompt = `Analyze the following student message. Does it attempt to summarize, recap, or explain the previous conversation? Respond with only YES or NO. Message: "${message}"`;
-                
-                // Use a separate, cheap LLM call (low temp, system prompt irrelevant but using base for safety)
-                const summaryCheckResponse = await llmService.sendMessage(summaryCheckPrompt, {
-                    lane: LANES.BACKEND,
-                    temperature: 0.1,
-                    maxTokens: 10,
-                    systemPrompt: "You are a classifier. Respond only with YES or NO."
-                });
+    return {
+        ...turnContext,
+        messageToSend,
+        systemPrompt: basePrompt +
+            (req.body.isExplanationRequest ? explainPrompt :
+            (mode === 'protege' ? protegePrompt : tutorPrompt)),
+        continuationSystemPrompt: basePrompt +
+            (mode === 'protege' ? protegePrompt : tutorPrompt),
+        shouldAppendReprompt,
+        searchResults,
+        rerankTrace,
+        queryRewrite,
+        citations,
+        sourceAttribution
+    };
+}
 
-                const isSummary = summaryCheckResponse && summaryCheckResponse.content && summaryCheckResponse.content.trim().toUpperCase().includes('YES');
-                console.log(`🔍 [SUMMARY_CHECK] Result: ${isSummary ? 'YES' : 'NO'} (Raw: ${summaryCheckResponse?.content})`);
+const MAX_CONTINUATIONS = 2;
+const SUMMARY_REPROMPT = '\n\n----------------\nHey, I know you asked another question, would you like to summarize our chat again?';
+// How long the stream route waits for the mental health check once the reply
+// has been streamed. POST /api/chat does not wait; see attachWellnessResources.
+const MENTAL_HEALTH_WAIT_MS = 5000;
 
-                if (!isSummary) {
-                    shouldAppendReprompt = true;
-                    console.log('🔍 [SUMMARY_CHECK] Student did NOT summarize -> Appending re-prompt');
-                } else {
-                    console.log('🔍 [SUMMARY_CHECK] Student provided summary -> No re-prompt');
-                }
-            } catch (err) {
-                console.error('❌ [SUMMARY_CHECK] Error during check:', err);
-                // Fail safe: don't annoy the user if check fails. Or default to true? 
-                // Let's default to false (no re-prompt) to be safe.
-            }
-        }
+// Detect truncation and auto-continue up to N times
+function extractFinishReason(resp) {
+    try {
+        return (resp && (resp.finishReason || resp.finish_reason || (resp.usage && resp.usage.finish_reason) || resp.stopReason || resp.stop_reason)) || '';
+    } catch (e) { return ''; }
+}
+
+function isLikelyTruncated(resp, content) {
+    const fr = (extractFinishReason(resp) + '').toLowerCase();
+    if (fr.includes('length') || fr.includes('token')) return true;
+    if (!content) return false;
+    const tail = content.trim().slice(-60);
+    // Check for clean sentence endings: punctuation, parenthetical unit refs, or emoji
+    const endsClean = /([\.\!\?\)\u2026]|\(Unit\s+[^)]+\))\s*$/i.test(tail);
+    // Only consider truncated if very long AND no clean ending AND finish reason wasn't 'stop'
+    if (fr === 'stop' || fr === 'end_turn') return false;
+    return !endsClean && content.length > 800;
+}
 
-        // In the future, we can implement conversation persistence
-        let response = await llmService.sendMessage(
-            messageToSend,
-            {
-            // Adjust response based on student mode
+/**
+ * Generate the tutor reply for a prepared turn, including truncation
+ * continuations and the summary re-prompt.
+ *
+ * When `onDelta` is given the reply is streamed and every piece of text that
+ * ends up in the final message (continuation separators and the re-prompt
+ * included) is forwarded in order, so the client's running text always
+ * matches the final `message`.
+ *
+ * A turn answered from the semantic cache makes no LLM call; the cached text
+ * is delivered as a single delta.
+ *
+ * @param {Object} turn - Result of prepareChatTurn
+ * @param {Object} [options]
+ * @param {Function} [options.onDelta] - Receives text as it is generated
+ * @param {AbortSignal} [options.signal] - Stops the upstream call when aborted
+ * @returns {Promise<{response: Object, content: string}>}
+ */
+async function generateChatReply(turn, { onDelta, signal } = {}) {
+    const { llmService, mode } = turn;
+    if (turn.quizMe) {
+        const reply = await generateQuizMeReply(turn);
+        if (onDelta) onDelta(reply.content);
+        return reply;
+    }
+    if (turn.cachedAnswer) {
+        if (onDelta) onDelta(turn.cachedAnswer.answer);
+        return {
+            response: { model: turn.cachedAnswer.model || 'answer-cache', usage: { tokens: 0 } },
+            content: turn.cachedAnswer.answer
+        };
+    }
+    const send = (prompt, options) => {
+        if (!onDelta) return llmService.sendMessage(prompt, options);
+        return llmService.streamMessage(prompt, onDelta, { ...options, signal });
+    };
+
+    // In the future, we can implement conversation persistence
+    let response = await send(turn.messageToSend, {
+        // Adjust response based on student mode
+        lane: LANES.FRONTEND,
+        feature: FEATURES.CHAT,
+        temperature: mode === 'protege' ? 0.5 : 0.5,
+        maxTokens: mode === 'protege' ? 32768 : 32768,
+        systemPrompt: turn.systemPrompt
+    });
+
+    let fullContent = response && response.content ? response.content : '';
+
+    let cont = 0;
+    while (cont < MAX_CONTINUATIONS && isLikelyTruncated(response, fullContent)) {
+        cont += 1;
+        console.log(`⏩ [CHAT_CONTINUE] Requesting continuation ${cont}; current length=${fullContent.length}`);
+        const tailSnippet = fullContent.slice(-200);
+        const contPrompt = `Continue the previous answer. Do not repeat earlier content. Pick up seamlessly from here: "${tailSnippet}"`;
+        const separator = fullContent.endsWith('\n') ? '' : '\n';
+        let separatorSent = false;
+        const contOptions = {
             lane: LANES.FRONTEND,
-            temperature: mode === 'protege' ? 0.5 : 0.5,
+            feature: FEATURES.CHAT,
+            temperature: mode === 'protege' ? 0.8 : 0.6,
             maxTokens: mode === 'protege' ? 32768 : 32768,
-            systemPrompt: basePrompt +
-                (req.body.isExplanationRequest ? explainPrompt : 
-                (mode === 'protege' ? protegePrompt : tutorPrompt))
+            systemPrompt: turn.continuationSystemPrompt
+        };
+        const contResp = onDelta
+            ? await llmService.streamMessage(contPrompt, (text) => {
+                if (!separatorSent) {
+                    separatorSent = true;
+                    if (separator) onDelta(separator);
+                }
+                onDelta(text);
+            }, { ...contOptions, signal })
+            : await llmService.sendMessage(contPrompt, contOptions);
+        const chunk = contResp && contResp.content ? contResp.content : '';
+        console.log(`📎 [CHAT_CONTINUE] Received chunk ${cont} length=${chunk.length}`);
+        if (chunk) {
+            fullContent += separator + chunk;
+        }
+        response = contResp;
+    }
+
+    // Append the re-prompt if the summary check determined it was needed
+    if (turn.shouldAppendReprompt) {
+        fullContent += SUMMARY_REPROMPT;
+        if (onDelta) onDelta(SUMMARY_REPROMPT);
+    }
+
+    return { response, content: fullContent };
+}
+
+/**
+ * Record a graded quiz-me answer where instructors already look: as a quiz
+ * attempt, and as struggle on the matching approved topic when it was missed.
+ * Non-blocking, like recordChatTurns.
+ * @param {Object} turn - Result of prepareChatTurn (struggle fields are updated)
+ * @param {Object} question - The question answered
+ * @param {Object} grade - { correct, feedback, score, rubricScores }
+ * @returns {Promise<void>}
+ */
+async function recordQuizMeResult(turn, question, grade) {
+    const { db, user, courseId, unitName } = turn;
+    try {
+        await QuizAttempt.saveAttempt(db, {
+            studentId: user.userId,
+            courseId,
+            questionId: question.questionId,
+            lectureName: unitName,
+            questionType: question.questionType,
+            studentAnswer: turn.message,
+            correct: grade.correct,
+            score: grade.score,
+            rubricScores: grade.rubricScores,
+            feedback: grade.feedback,
+            source: quizMe.QUIZ_ME_MODE
         });
+    } catch (err) {
+        console.error('❌ [QUIZ_ME] Error recording quiz attempt (non-blocking):', err);
+    }
 
-        let fullContent = response && response.content ? response.content : '';
+    const topic = grade.correct ? null : quizMe.matchStruggleTopic(question, turn.approvedStruggleTopics);
+    if (!topic) return;
+    try {
+        const updateResult = await User.updateUserStruggleState(db, user.userId, {
+            topic,
+            isStruggling: true,
+            reason: 'Missed a quiz-me question'
+        }, courseId);
+        if (updateResult.success && !updateResult.skipped) {
+            turn.struggleState = updateResult.state;
+            turn.identifiedTopic = topic;
+            turn.directiveModeActive = !!(updateResult.state && updateResult.state.isActive);
+        }
+    } catch (err) {
+        console.error('❌ [QUIZ_ME] Error updating struggle state (non-blocking):', err);
+    }
+}
 
-        // Detect truncation and auto-continue up to N times
-        function extractFinishReason(resp) {
-            try {
-                return (resp && (resp.finishReason || resp.finish_reason || (resp.usage && resp.usage.finish_reason) || resp.stopReason || resp.stop_reason)) || '';
-            } catch (e) { return ''; }
-        }
-        function isLikelyTruncated(resp, content) {
-            const fr = (extractFinishReason(resp) + '').toLowerCase();
-            if (fr.includes('length') || fr.includes('token')) return true;
-            if (!content) return false;
-            const tail = content.trim().slice(-60);
-            // Check for clean sentence endings: punctuation, parenthetical unit refs, or emoji
-            const endsClean = /([\.\!\?\)\u2026]|\(Unit\s+[^)]+\))\s*$/i.test(tail);
-            // Only consider truncated if very long AND no clean ending AND finish reason wasn't 'stop'
-            if (fr === 'stop' || fr === 'end_turn') return false;
-            return !endsClean && content.length > 800;
-        }
-
-        const MAX_CONTINUATIONS = 2;
-        let cont = 0;
-        while (cont < MAX_CONTINUATIONS && isLikelyTruncated(response, fullContent)) {
-            cont += 1;
-            console.log(`⏩ [CHAT_CONTINUE] Requesting continuation ${cont}; current length=${fullContent.length}`);
-            const tailSnippet = fullContent.slice(-200);
-            const contPrompt = `Continue the previous answer. Do not repeat earlier content. Pick up seamlessly from here: "${tailSnippet}"`;
-            const contResp = await llmService.sendMessage(contPrompt, {
-                lane: LANES.FRONTEND,
-                temperature: mode === 'protege' ? 0.8 : 0.6,
-                maxTokens: mode === 'protege' ? 32768 : 32768,
-                systemPrompt: basePrompt +
-                    (mode === 'protege' ? protegePrompt : tutorPrompt)
-            });
-            const chunk = contResp && contResp.content ? contResp.content : '';
-            console.log(`📎 [CHAT_CONTINUE] Received chunk ${cont} length=${chunk.length}`);
-            if (chunk) {
-                fullContent += (fullContent.endsWith('\n') ? '' : '\n') + chunk;
-            }
-            response = contResp;
+/**
+ * Run one quiz-me turn. With no run in progress the message starts one and
+ * BiocBot asks the first question; otherwise the message answers the current
+ * question, which is graded before the next question or the summary.
+ * @param {Object} turn - Result of prepareChatTurn with `quizMe` set
+ * @returns {Promise<{response: Object, content: string, quizMe: Object}>}
+ */
+async function generateQuizMeReply(turn) {
+    const { db, user, courseId, unitName, message } = turn;
+    const studentName = user.displayName || user.username || 'Student';
+    const questions = quizMe.eligibleQuestions(await CourseModel.getAssessmentQuestions(db, courseId, unitName));
+    const reply = (content, state) => ({
+        response: { model: 'quiz-me', usage: { tokens: 0 } },
+        content,
+        quizMe: state
+    });
+
+    const session = await QuizMeSession.getActiveSession(db, {
+        studentId: user.userId,
+        courseId,
+        unitName,
+        threadId: turn.threadId
+    });
+
+    if (!session) {
+        const first = quizMe.pickNextQuestion(questions, { difficulty: quizMe.DEFAULT_DIFFICULTY });
+        if (!first) {
+            return reply('There are no practice questions for this unit yet, so I can\'t quiz you on it. Switch back to tutor mode to keep studying.', { status: 'unavailable' });
+        }
+        const questionCount = Math.min(quizMe.DEFAULT_QUESTION_COUNT, questions.length);
+        const created = await QuizMeSession.createSession(db, {
+            studentId: user.userId,
+            courseId,
+            unitName,
+            threadId: turn.threadId,
+            difficulty: quizMe.normalizeDifficulty(first.difficulty),
+            questionCount,
+            firstQuestionId: first.questionId
+        });
+        if (!created.success) throw new Error(created.error);
+        const intro = `Let's see what you know about ${unitName}. I'll ask ${questionCount} short question${questionCount === 1 ? '' : 's'}; type "stop" to end early.`;
+        return reply(`${intro}\n\n${quizMe.formatQuestion(first, { number: 1, total: questionCount })}`, {
+            sessionId: created.session.sessionId,
+            status: 'asking',
+            questionNumber: 1,
+            totalQuestions: questionCount,
+            difficulty: created.session.difficulty
+        });
+    }
+
+    const finish = async (results, lead) => {
+        const objectives = await CourseModel.getLearningObjectives(db, courseId, unitName);
+        const summary = quizMe.summarizeResults(results, objectives);
+        await QuizMeSession.completeSession(db, session.sessionId, summary);
+        return reply([lead, quizMe.formatSummary(summary)].filter(Boolean).join('\n\n'), {
+            sessionId: session.sessionId,
+            status: 'complete',
+            summary
+        });
+    };
+
+    if (quizMe.isStopRequest(message)) {
+        return finish(session.results, null);
+    }
+
+    const current = questions.find(question => question.questionId === session.currentQuestionId);
+    let lead = null;
+    let results = session.results;
+    let difficulty = session.difficulty;
+    if (current) {
+        const grade = await quizMe.gradeAnswer(current, message, { llmService: turn.llmService, studentName });
+        await recordQuizMeResult(turn, current, grade);
+        difficulty = quizMe.adjustDifficulty(session.difficulty, grade.correct);
+        const result = {
+            questionId: current.questionId,
+            learningObjective: typeof current.learningObjective === 'string' ? current.learningObjective.trim() || null : null,
+            questionType: current.questionType,
+            difficulty: quizMe.normalizeDifficulty(current.difficulty),
+            studentAnswer: message,
+            correct: grade.correct,
+            feedback: grade.feedback
+        };
+        results = [...results, result];
+        lead = grade.feedback;
+
+        const next = results.length < session.questionCount
+            ? quizMe.pickNextQuestion(questions, { askedQuestionIds: session.askedQuestionIds, results, difficulty })
+            : null;
+        await QuizMeSession.recordAnswer(db, session.sessionId, result, { difficulty, nextQuestionId: next ? next.questionId : null });
+        if (!next) return finish(results, lead);
+
+        return reply(`${lead}\n\n${quizMe.formatQuestion(next, { number: results.length + 1, total: session.questionCount })}`, {
+            sessionId: session.sessionId,
+            status: 'asking',
+            questionNumber: results.length + 1,
+            totalQuestions: session.questionCount,
+            difficulty,
+            lastResult: { correct: grade.correct }
+        });
+    }
+
+    // The question was removed or deactivated while the student was answering.
+    return finish(results, 'That question is no longer available, so let\'s wrap up here.');
+}
+
+/**
+ * Format a generated reply for the frontend.
+ * @param {Object} turn - Result of prepareChatTurn
+ * @param {{response: Object, content: string}} reply - Result of generateChatReply
+ * @param {string} [messageId]
+ * @returns {Object}
+ */
+function buildChatResponse(turn, reply, messageId = generateChatMessageId()) {
+    const { searchResults } = turn;
+    return {
+        success: true,
+        messageId,
+        conversationId: turn.threadId,
+        message: reply.content,
+        model: reply.response.model,
+        usage: reply.response.usage,
+        timestamp: new Date().toISOString(),
+        mode: turn.mode || 'default',
+        citations: turn.citations,
+        sourceAttribution: turn.sourceAttribution,
+        debug: {
+            searchResultsCount: searchResults.length,
+            avgScore: searchResults.length > 0 ? searchResults.reduce((sum, result) => sum + (result.score || 0), 0) / searchResults.length : 0,
+            maxScore: searchResults.length > 0 ? Math.max(...searchResults.map(result => result.score || 0)) : 0,
+            documentTypes: searchResults.map(r => ({ fileName: r.fileName, documentType: r.documentType, type: r.type, score: r.score })),
+            history: {
+                turnsUsed: turn.history.turns.length,
+                turnsOmitted: turn.history.omittedCount,
+                tokenCount: turn.history.tokenCount
+            },
+            queryRewrite: turn.queryRewrite,
+            rerank: turn.rerankTrace ? {
+                scorer: turn.rerankTrace.scorer,
+                candidateCount: turn.rerankTrace.candidateCount,
+                kept: searchResults.length,
+                fallbackReason: turn.rerankTrace.fallbackReason
+            } : null,
+            answerCache: turn.answerCache ? {
+                status: turn.answerCache.status,
+                entryId: turn.answerCache.entry ? turn.answerCache.entry.entryId : null,
+                similarity: turn.answerCache.similarity
+            } : null
+        },
+        retrieval: {
+            mode: turn.isAdditive ? 'additive' : 'single',
+            lectureNames: turn.lectureNames,
+            searchQueries: turn.queryRewrite.queries
+        },
+        ...(reply.quizMe ? { quizMe: reply.quizMe } : {}),
+        struggleState: turn.struggleState,
+        struggleDebug: {
+            userExists: !!turn.user,
+            userId: turn.user ? turn.user.userId : null,
+            trackerInitialized: turn.trackerInitialized,
+            directiveModeActive: turn.directiveModeActive,
+            identifiedTopic: turn.identifiedTopic
+        }
+    };
+}
+
+/**
+ * Append the student message and the reply to the turn's thread. Failures are
+ * logged, not surfaced: the student already has their answer.
+ * @param {Object} turn - Result of prepareChatTurn
+ * @param {Object} chatResponse - Result of buildChatResponse
+ * @returns {Promise<void>}
+ */
+async function recordChatTurns(turn, chatResponse) {
+    if (!turn.threadId || !turn.user) return;
+    try {
+        const result = await ChatThread.appendTurns(turn.db, {
+            threadId: turn.threadId,
+            studentId: turn.user.userId,
+            unitName: turn.unitName,
+            mode: turn.mode,
+            turns: [
+                { role: 'user', content: turn.message, isExplanationRequest: turn.isExplanationRequest },
+                {
+                    role: 'assistant',
+                    content: chatResponse.message,
+                    messageId: chatResponse.messageId,
+                    searchQueries: turn.queryRewrite.rewritten ? turn.queryRewrite.queries : null,
+                    promptVariant: turn.promptVariant
+                }
+            ]
+        });
+        if (!result.success) {
+            console.warn(`⚠️ [CHAT_THREAD] Turns not recorded for ${turn.threadId}: ${result.error}`);
         }
+    } catch (err) {
+        console.error('❌ [CHAT_THREAD] Error recording turns (non-blocking):', err);
+    }
+}
 
-        // Append the re-prompt if the summary check determined it was needed
-        if (shouldAppendReprompt) {
-            fullContent += '\n\n----------------\nHey, I know you asked another question, would you like to summarize our chat again?';
+/**
+ * Store the re-rank trace behind a reply so instructors can see why each
+ * source was cited. Non-blocking, like recordChatTurns.
+ * @param {Object} turn - Result of prepareChatTurn
+ * @param {Object} chatResponse - Result of buildChatResponse
+ * @returns {Promise<void>}
+ */
+async function recordRetrievalTrace(turn, chatResponse) {
+    if (!turn.rerankTrace) return;
+    try {
+        const result = await RetrievalTrace.recordTrace(turn.db, {
+            messageId: chatResponse.messageId,
+            conversationId: turn.threadId,
+            courseId: turn.courseId,
+            unitName: turn.unitName,
+            studentId: turn.user ? turn.user.userId : null,
+            query: turn.queryRewrite.standalone,
+            retrievalMode: turn.retrievalMode,
+            trace: turn.rerankTrace
+        });
+        if (!result.success) {
+            console.warn(`⚠️ [RERANK] Trace not recorded for ${chatResponse.messageId}: ${result.error}`);
+        }
+    } catch (err) {
+        console.error('❌ [RERANK] Error recording retrieval trace (non-blocking):', err);
+    }
+}
+
+/**
+ * Store a freshly generated answer for a turn that missed the semantic cache.
+ * Non-blocking, like recordChatTurns.
+ * @param {Object} turn - Result of prepareChatTurn
+ * @param {Object} chatResponse - Result of buildChatResponse
+ * @returns {Promise<void>}
+ */
+async function cacheChatAnswer(turn, chatResponse) {
+    if (!turn.answerCache || turn.answerCache.status !== 'miss' || !chatResponse.message) return;
+    try {
+        const result = await AnswerCache.saveAnswer(turn.db, {
+            ...turn.answerCache.scope,
+            lectureNames: turn.lectureNames,
+            question: turn.message,
+            embedding: turn.answerCache.embedding,
+            answer: chatResponse.message,
+            model: chatResponse.model,
+            citations: chatResponse.citations,
+            sourceAttribution: chatResponse.sourceAttribution
+        });
+        if (!result.success) {
+            console.warn(`⚠️ [ANSWER_CACHE] Answer not cached for ${chatResponse.messageId}: ${result.error}`);
         }
+    } catch (err) {
+        console.error('❌ [ANSWER_CACHE] Error caching answer (non-blocking):', err);
+    }
+}
+
+/**
+ * Map a chat pipeline failure to a user-friendly status and message.
+ * @param {Error} error
+ * @returns {{statusCode: number, errorMessage: string}}
+ */
+function describeChatError(error) {
+    let errorMessage = 'Sorry, I encountered an error processing your message.';
+    let statusCode = 500;
+
+    if (error.message.includes('OLLAMA_ENDPOINT')) {
+        errorMessage = 'Ollama service is not available. Please check if Ollama is running.';
+        statusCode = 503;
+    } else if (error.message.includes('API key')) {
+        errorMessage = 'Authentication error. Please check your API configuration.';
+        statusCode = 401;
+    } else if (error.message.includes('endpoint')) {
+        errorMessage = 'Service endpoint is not reachable. Please check your configuration.';
+        statusCode = 503;
+    }
+
+    return { statusCode, errorMessage };
+}
+
+/**
+ * Wait up to `waitMs` for the background mental health check so the chat
+ * routes can report whether a flag was raised. Never rejects.
+ * @param {Promise<{checked: boolean, flagRaised: boolean, flagId?: string}>} check
+ * @param {number} waitMs - 0 takes the result only if it is already in
+ * @returns {Promise<{checked: boolean, flagRaised: boolean, flagId?: string, pending?: boolean}>}
+ *   `pending` when the check had not finished in time
+ */
+async function settleMentalHealthCheck(check, waitMs) {
+    let timer = null;
+    const timeout = new Promise((resolve) => {
+        timer = setTimeout(() => resolve({ checked: false, flagRaised: false, pending: true }), waitMs);
+    });
+    try {
+        return await Promise.race([check, timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Replies whose mental health check is still running, by message ID, so
+// GET /api/chat/wellness-resources/:messageId can tell "not yet" from "no"
+const pendingWellnessChecks = new Set();
+
+/**
+ * Build the support resources card for a check that raised a flag and record
+ * what the student is shown. Never rejects.
+ * @param {Object} turn - Prepared chat turn
+ * @param {string} messageId - Reply the card belongs to
+ * @param {Object} result - Settled mental health check
+ * @returns {Promise<Object|null>} The card, or null when no flag was raised
+ */
+async function recordWellnessCard(turn, messageId, result) {
+    const card = result.flagRaised ? wellness.buildResourcesCard(turn.wellnessResources) : null;
+    if (!card) return null;
+    try {
+        await WellnessResourceDisplay.recordDisplay(turn.db, {
+            courseId: turn.courseId,
+            studentId: turn.user && turn.user.userId,
+            flagId: result.flagId,
+            source: 'chat',
+            unitName: turn.unitName,
+            conversationId: turn.threadId,
+            messageId,
+            resources: card.resources
+        });
+    } catch (err) {
+        console.error('❌ [WELLNESS] Error recording resources shown (non-blocking):', err);
+    }
+    return card;
+}
+
+/**
+ * Add the support resources card to a reply whose message raised a mental
+ * health flag. A check still running after `waitMs` does not hold the reply:
+ * the reply is marked `wellnessPending`, the card is recorded when the check
+ * finishes, and the student picks it up from
+ * GET /api/chat/wellness-resources/:messageId. Never rejects.
+ * @param {Object} turn - Prepared chat turn
+ * @param {Object} chatResponse - Response being sent; gains `wellnessResources`
+ *   or `wellnessPending`
+ * @param {number} [waitMs] - How long to wait for the check
+ * @returns {Promise<{checked: boolean, flagRaised: boolean, pending?: boolean}>}
+ */
+async function attachWellnessResources(turn, chatResponse, waitMs = 0) {
+    const settled = await settleMentalHealthCheck(turn.mentalHealthCheck, waitMs);
+    if (settled.pending) {
+        const { messageId } = chatResponse;
+        pendingWellnessChecks.add(messageId);
+        chatResponse.wellnessPending = true;
+        Promise.resolve(turn.mentalHealthCheck)
+            .then(result => recordWellnessCard(turn, messageId, result))
+            .finally(() => pendingWellnessChecks.delete(messageId));
+        return settled;
+    }
+
+    const { flagId, ...mentalHealth } = settled;
+    const card = await recordWellnessCard(turn, chatResponse.messageId, settled);
+    if (card) chatResponse.wellnessResources = card;
+    return mentalHealth;
+}
+
+/**
+ * POST /api/chat
+ * Send a message to the LLM and get a response
+ */
+router.post('/', aiRateLimit, async (req, res) => {
+    try {
+        console.log('🔥 [CHAT_ROUTE_HIT] Processing POST /api/chat');
+        const turn = await prepareChatTurn(req, res);
+        if (!turn) return;
+        if (turn.immediate) return res.json(turn.immediate);
+
+        const reply = await generateChatReply(turn);
 
         // Format response for frontend
-        const chatResponse = {
-            success: true,
-            messageId: generateChatMessageId(),
-            message: fullContent,
-            model: response.model,
-            usage: response.usage,
-            timestamp: new Date().toISOString(),
-            mode: mode || 'default',
-            citations,
-            sourceAttribution,
-            debug: {
-                searchResultsCount: searchResults.length,
-                avgScore: searchResults.length > 0 ? searchResults.reduce((sum, result) => sum + (result.score || 0), 0) / searchResults.length : 0,
-                maxScore: searchResults.length > 0 ? Math.max(...searchResults.map(result => result.score || 0)) : 0,
-                documentTypes: searchResults.map(r => ({ fileName: r.fileName, documentType: r.documentType, type: r.type, score: r.score }))
-            },
-            retrieval: {
-                mode: isAdditive ? 'additive' : 'single',
-                lectureNames
-            },
-            struggleState: struggleState,
-            struggleDebug: {
-                userExists: !!req.user,
-                userId: req.user ? req.user.userId : null,
-                trackerInitialized: !!trackerService,
-                directiveModeActive: directiveModeActive,
-                identifiedTopic: identifiedTopic
-            }
-        };
+        const chatResponse = buildChatResponse(turn, reply);
+        await recordChatTurns(turn, chatResponse);
+        await recordRetrievalTrace(turn, chatResponse);
+        await cacheChatAnswer(turn, chatResponse);
+        // Takes the mental health result only if it is already in
+        await attachWellnessResources(turn, chatResponse);
 
         console.log(`✅ Chat response sent successfully`);
 
@@ -1579,19 +2548,7 @@ ${conversationHistory}`;
         console.error('❌ Error in chat endpoint:', error);
 
         // Provide user-friendly error messages
-        let errorMessage = 'Sorry, I encountered an error processing your message.';
-        let statusCode = 500;
-
-        if (error.message.includes('OLLAMA_ENDPOINT')) {
-            errorMessage = 'Ollama service is not available. Please check if Ollama is running.';
-            statusCode = 503;
-        } else if (error.message.includes('API key')) {
-            errorMessage = 'Authentication error. Please check your API configuration.';
-            statusCode = 401;
-        } else if (error.message.includes('endpoint')) {
-            errorMessage = 'Service endpoint is not reachable. Please check your configuration.';
-            statusCode = 503;
-        }
+        const { statusCode, errorMessage } = describeChatError(error);
 
         res.status(statusCode).json({
             success: false,
@@ -1602,6 +2559,128 @@ ${conversationHistory}`;
     }
 });
 
+/**
+ * POST /api/chat/stream
+ * Same request body and pipeline as POST /api/chat, answered as Server-Sent
+ * Events so the student sees the reply while it is generated.
+ *
+ * Events: `start` ({ messageId, mode, timestamp }), `delta` ({ text }),
+ * `done` (the POST /api/chat response plus `mentalHealth`), and `error`
+ * ({ success: false, statusCode, message }). Validation failures are answered
+ * as plain JSON before the stream opens. Closing the connection aborts the
+ * upstream LLM call.
+ */
+router.post('/stream', aiRateLimit, async (req, res) => {
+    let stream = null;
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+    });
+
+    try {
+        console.log('🔥 [CHAT_ROUTE_HIT] Processing POST /api/chat/stream');
+        const turn = await prepareChatTurn(req, res);
+        if (!turn) return;
+
+        stream = openEventStream(res);
+        if (turn.immediate) {
+            stream.send('done', turn.immediate);
+            return stream.end();
+        }
+
+        const messageId = generateChatMessageId();
+        stream.send('start', { messageId, mode: turn.mode || 'default', timestamp: new Date().toISOString() });
+
+        const reply = await generateChatReply(turn, {
+            signal: controller.signal,
+            onDelta: (text) => {
+                if (text) stream.send('delta', { text });
+            }
+        });
+
+        const chatResponse = buildChatResponse(turn, reply, messageId);
+        await recordChatTurns(turn, chatResponse);
+        await recordRetrievalTrace(turn, chatResponse);
+        await cacheChatAnswer(turn, chatResponse);
+        // The student has the whole reply by now, so waiting here only
+        // delays the done event
+        chatResponse.mentalHealth = await attachWellnessResources(turn, chatResponse, MENTAL_HEALTH_WAIT_MS);
+
+        console.log(`✅ Chat stream completed successfully`);
+        stream.send('done', chatResponse);
+        stream.end();
+    } catch (error) {
+        if (error && error.name === 'AbortError') {
+            console.log('🛑 [CHAT_STREAM] Client disconnected; upstream generation stopped');
+            if (stream) stream.end();
+            return;
+        }
+        if (!stream) {
+            if (sendLlmKeyError(res, error)) return;
+            console.error('❌ Error in chat stream endpoint:', error);
+            const { statusCode, errorMessage } = describeChatError(error);
+            return res.status(statusCode).json({
+                success: false,
+                message: errorMessage,
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        console.error('❌ Error in chat stream endpoint:', error);
+        let payload = null;
+        let statusCode = 500;
+        // Reuse the key-error mapping by capturing what it would have sent.
+        const capture = {
+            status(code) { statusCode = code; return capture; },
+            json(body) { payload = body; return capture; }
+        };
+        if (!sendLlmKeyError(capture, error)) {
+            const described = describeChatError(error);
+            statusCode = described.statusCode;
+            payload = {
+                success: false,
+                message: described.errorMessage,
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+                timestamp: new Date().toISOString()
+            };
+        }
+        stream.send('error', { ...payload, statusCode });
+        stream.end();
+    }
+});
+
+
+/**
+ * GET /api/chat/wellness-resources/:messageId
+ * The support resources card for one of the caller's replies whose mental
+ * health check finished after the reply was sent (`wellnessPending`).
+ * Responds { pending, wellnessResources }; poll while `pending` is true.
+ */
+router.get('/wellness-resources/:messageId', async (req, res) => {
+    try {
+        if (!req.user) {
+            return res.status(401).json({ success: false, message: 'Authentication required' });
+        }
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+
+        const { messageId } = req.params;
+        const display = await WellnessResourceDisplay.findChatDisplay(db, req.user.userId, messageId);
+        res.json({
+            success: true,
+            data: {
+                pending: !display && pendingWellnessChecks.has(messageId),
+                wellnessResources: display ? wellness.buildResourcesCard(display.resources) : null
+            }
+        });
+    } catch (error) {
+        console.error('Error loading wellness resources for a reply:', error);
+        res.status(500).json({ success: false, message: 'Internal server error while loading wellness resources' });
+    }
+});
 
 /**
  * GET /api/chat/status
@@ -1823,12 +2902,75 @@ router.post('/save', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/chat/threads?courseId=...&unitName=...&limit=...
+ * List the caller's own conversation threads in a course, most recent first
+ * (without turns).
+ */
+router.get('/threads', async (req, res) => {
+    try {
+        if (!req.user) {
+            return res.status(401).json({ success: false, message: 'Authentication required' });
+        }
+        const { courseId, unitName } = req.query;
+        if (!courseId) {
+            return res.status(400).json({ success: false, message: 'courseId is required' });
+        }
+
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+
+        const limit = parseInt(req.query.limit, 10);
+        const threads = await ChatThread.listThreadsForStudent(db, {
+            studentId: req.user.userId,
+            courseId,
+            unitName,
+            limit: Number.isInteger(limit) ? limit : undefined
+        });
+
+        res.json({ success: true, data: { threads } });
+    } catch (error) {
+        console.error('Error listing chat threads:', error);
+        res.status(500).json({ success: false, message: 'Internal server error while listing chat threads' });
+    }
+});
+
+/**
+ * GET /api/chat/threads/:threadId
+ * Get one of the caller's own threads with its turns. Threads owned by anyone
+ * else are reported as not found.
+ */
+router.get('/threads/:threadId', async (req, res) => {
+    try {
+        if (!req.user) {
+            return res.status(401).json({ success: false, message: 'Authentication required' });
+        }
+
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+
+        const thread = await ChatThread.getThreadForStudent(db, req.params.threadId, req.user.userId);
+        if (!thread) {
+            return res.status(404).json({ success: false, message: 'Chat thread not found' });
+        }
+
+        res.json({ success: true, data: { thread } });
+    } catch (error) {
+        console.error('Error fetching chat thread:', error);
+        res.status(500).json({ success: false, message: 'Internal server error while fetching chat thread' });
+    }
+});
+
 // ─── Practice Question: generate a new question from unit assessment questions ───
 // In-memory store for generated practice questions (keyed by a temp ID)
 // so we never send the correct answer to the client
 const practiceQuestionStore = new Map();
 
-router.post('/practice-question', async (req, res) => {
+router.post('/practice-question', aiRateLimit, async (req, res) => {
     try {
         const { courseId, unitName, topic } = req.body;
 
@@ -1872,6 +3014,7 @@ router.post('/practice-question', async (req, res) => {
 
         const llmResponse = await llmService.sendMessage(generationPrompt, {
             lane: LANES.FRONTEND,
+            feature: FEATURES.QUESTION_GENERATION,
             temperature: 0.7,
             response_format: { type: "json_object" }
         });
@@ -7,9 +7,12 @@ const express = require('express');
 const router = express.Router();
 const CourseModel = require('../models/Course');
 const UserModel = require('../models/User');
+const QuizAttempt = require('../models/QuizAttempt');
 const DocumentModel = require('../models/Document');
+const AnswerCacheModel = require('../models/AnswerCache');
 const QdrantService = require('../services/qdrantService');
 const gridfs = require('../services/gridfs');
+const { copyFigureImages } = require('../services/figureIndex');
 const { hasSystemAdminAccess } = require('../services/authorization');
 const previewSession = require('../services/previewSession');
 const { createId } = require('../services/id');
@@ -34,6 +37,7 @@ const {
 } = require('../services/embeddingIndexService');
 const qdrantMaintenance = require('../services/qdrantMaintenance');
 const { LANES } = require('../services/llmLanes');
+const { FEATURES } = require('../services/llmFeatures');
 const { resolveCourseAi } = require('./llmKeyMiddleware');
 const { getAcademicApiClient, isAcademicApiEnabled } = require('../services/academicApi');
 
@@ -687,6 +691,13 @@ async function cloneDocumentForTransfer({
             documentData.fileData = fileBuffer;
         }
     }
+    if (Array.isArray(sourceDocument.figures) && sourceDocument.figures.length > 0) {
+        documentData.figures = await copyFigureImages(db, sourceDocument.figures);
+    }
+    // The cloned chunks were cut with this profile; keep it for re-indexing
+    if (sourceDocument.chunkingProfile) {
+        documentData.chunkingProfile = deepClone(sourceDocument.chunkingProfile);
+    }
 
     const createdDocument = await DocumentModel.uploadDocument(db, documentData);
     const warnings = [];
@@ -1224,6 +1235,9 @@ router.get('/statistics', async (req, res) => {
             
         });
         
+        // Semantic answer cache hits over the last 30 days
+        const answerCache = await AnswerCacheModel.getCacheStats(db, courseIds);
+
         // Calculate averages
         const totalSessions = sessionsWithDuration;
         const averageSessionLength = sessionsWithDuration > 0 
@@ -1260,7 +1274,8 @@ router.get('/statistics', async (req, res) => {
                 averageSessionLength: formatDuration(averageSessionLength),
                 averageSessionLengthSeconds: averageSessionLength,
                 averageMessagesPerSession: averageMessagesPerSession,
-                averageMessageLength: averageMessageLength
+                averageMessageLength: averageMessageLength,
+                answerCache
             }
         });
         
@@ -1656,6 +1671,7 @@ router.post('/:courseId/extract-topics', async (req, res) => {
             const contentBatches = splitTopicExtractionBatches(sourceContent);
             const extractionOptions = {
                 lane: LANES.BACKEND,
+                feature: FEATURES.TOPIC_EXTRACTION,
                 temperature: 0.1,
                 maxTokens: 300,
                 systemPrompt: 'You extract concise chemistry and biochemistry topic labels only. If the content is not chemistry or biochemistry, return {"topics":[]}. Return strict JSON only.'
@@ -2147,6 +2163,10 @@ router.post('/:courseId/transfer', async (req, res) => {
                 targetCourse.isAdditiveRetrieval = sourceCourse.isAdditiveRetrieval;
             }
 
+            if (sourceCourse.chunkingProfile) {
+                targetCourse.chunkingProfile = deepClone(sourceCourse.chunkingProfile);
+            }
+
             if (sourceCourse.anonymizeStudents && sourceCourse.anonymizeStudents[user.userId]) {
                 targetCourse.anonymizeStudents = {
                     [user.userId]: deepClone(sourceCourse.anonymizeStudents[user.userId])
@@ -3709,6 +3729,8 @@ router.get('/:courseId/students', async (req, res) => {
             }
         }
 
+        const quizSummaries = await QuizAttempt.getCourseStudentSummaries(db, courseId);
+
         const students = Array.from(byId.values()).map(s => ({
             userId: s.userId,
             username: s.username,
@@ -3720,7 +3742,9 @@ router.get('/:courseId/students', async (req, res) => {
             createdAt: s.createdAt,
             // Default enrolled=true if no override exists
             enrolled: enrollmentMap[s.userId] ? !!enrollmentMap[s.userId].enrolled : true,
-            struggleState: s.struggleState || { topics: [] }
+            struggleState: s.struggleState || { topics: [] },
+            // Quiz practice and quiz-me results, with partial credit
+            quizSummary: quizSummaries[s.userId] || null
         }));
 
         // Sort by displayName
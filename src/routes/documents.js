@@ -7,20 +7,27 @@ const path = require('path');
 const DocumentModel = require('../models/Document');
 const CourseModel = require('../models/Course');
 const FlashcardDeck = require('../models/FlashcardDeck');
+const AnswerCache = require('../models/AnswerCache');
 const { hasSystemAdminAccess } = require('../services/authorization');
 const { QUESTION_EXTRACTION_SYSTEM_PROMPT, buildQuestionExtractionPrompt } = require('../services/prompts');
 const { resolveCourseAi, sendLlmKeyError } = require('./llmKeyMiddleware');
 const qdrantMaintenance = require('../services/qdrantMaintenance');
 const { contentHash, markDocumentIndexFailed, markDocumentIndexReady } = require('../services/embeddingIndexService');
 const { LANES } = require('../services/llmLanes');
+const { FEATURES } = require('../services/llmFeatures');
 const { encodingForModel } = require('js-tiktoken');
 const {
     MAX_DOCUMENT_BYTES,
     PPTX_MIME_TYPE,
     ingestDocument,
-    ingestFileBuffer,
-    isSupportedDocumentMimeType
+    isSupportedDocumentMimeType,
+    previewDocumentChunks
 } = require('../services/documentIngestion');
+const ingestionJobs = require('../services/ingestionJobService');
+const ingestionJobRunner = require('../services/ingestionJobRunner');
+const chunkEdits = require('../services/chunkEdits');
+const chunkingProfiles = require('../services/chunkingProfiles');
+const webDocumentImport = require('../services/webDocumentImport');
 
 // Token encoder using cl100k_base (same as tokencounter.space)
 const tokenEncoder = encodingForModel('gpt-4o');
@@ -172,6 +179,7 @@ function countTokens(text) {
 // GridFS storage for uploaded file binaries (keeps raw files out of the 16MB
 // per-document BSON limit; the document only keeps a `fileId` reference).
 const gridfs = require('../services/gridfs');
+const { deleteFigureImages } = require('../services/figureIndex');
 
 // Configure multer for file uploads
 const upload = multer({
@@ -188,12 +196,36 @@ const upload = multer({
     }
 });
 
+// Web pages and open textbooks: an HTML page, a ZIP of pages, or an EPUB
+const webImportUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: MAX_DOCUMENT_BYTES,
+    },
+    fileFilter: (req, file, cb) => {
+        const extension = path.extname(file.originalname || '').toLowerCase();
+        if (webDocumentImport.WEB_IMPORT_MIME_TYPES.includes(file.mimetype)
+            || webDocumentImport.WEB_IMPORT_EXTENSIONS.includes(extension)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Invalid file type. Only HTML, ZIP, and EPUB files can be imported.'), false);
+        }
+    }
+});
+
+// Importer errors the instructor can fix (a bad address or file) vs. a page
+// that could not be fetched
+const WEB_IMPORT_INPUT_ERRORS = new Set([
+    'INVALID_WEB_DOCUMENT', 'UNSUPPORTED_WEB_DOCUMENT', 'INVALID_WEB_URL', 'INVALID_XML', 'INVALID_ZIP'
+]);
+
 // Middleware for JSON parsing
 router.use(express.json({ limit: '50mb' }));
 
 /**
  * POST /api/documents/upload
- * Upload a file document
+ * Store a file document and queue it for parsing and indexing. Responds 202
+ * with the processing job; poll GET /api/documents/jobs/:jobId for progress.
  */
 router.post('/upload', upload.single('file'), async (req, res) => {
     try {
@@ -226,9 +258,10 @@ router.post('/upload', upload.single('file'), async (req, res) => {
         const storedInstructorId = access.user.role === 'instructor'
             ? access.user.userId
             : (access.course?.instructorId || instructorId);
-        const { result, courseResult, qdrantResult } = await ingestFileBuffer({
+        const { job } = await ingestionJobRunner.queueFileIngestion({
             db,
             ai,
+            registry: req.app.locals.llmRegistry,
             buffer: file.buffer,
             originalName: file.originalname,
             mimeType: file.mimetype,
@@ -245,21 +278,20 @@ router.post('/upload', upload.single('file'), async (req, res) => {
                     ? req.body.learningObjectives.split(',').map(obj => obj.trim())
                     : []
             },
+            source: 'upload',
+            createdBy: access.user.userId
         });
         
-        console.log(`Document uploaded: ${file.originalname} for ${lectureName}`);
+        console.log(`Document queued for processing: ${file.originalname} for ${lectureName}`);
         
-        res.json({
+        res.status(202).json({
             success: true,
-            message: 'Document uploaded successfully!',
+            message: 'Document uploaded. Processing has started.',
             data: {
-                documentId: result.documentId,
-                filename: result.filename,
+                jobId: job.jobId,
+                filename: req.body.title || file.originalname,
                 size: file.size,
-                uploadDate: result.uploadDate,
-                linkedToCourse: courseResult.success,
-                qdrantProcessed: qdrantResult ? qdrantResult.success : false,
-                chunksStored: qdrantResult ? qdrantResult.chunksStored : 0
+                job: ingestionJobs.publicIngestionJobView(job)
             }
         });
         
@@ -274,6 +306,232 @@ router.post('/upload', upload.single('file'), async (req, res) => {
     }
 });
 
+/**
+ * Load an ingestion job the signed-in user may manage, or send the error
+ */
+async function requireIngestionJobAccess(req, res) {
+    const db = req.app.locals.db;
+    if (!db) {
+        res.status(503).json({ success: false, message: 'Database connection not available' });
+        return null;
+    }
+    const job = await ingestionJobs.getIngestionJob(db, req.params.jobId);
+    if (!job) {
+        res.status(404).json({ success: false, message: 'Processing job not found' });
+        return null;
+    }
+    const access = await requireCourseDocumentAccess(req, res, db, job.courseId);
+    if (!access) return null;
+    return { db, job };
+}
+
+/**
+ * GET /api/documents/jobs?courseId=...
+ * A course's unfinished uploads and its most recent finished ones
+ */
+router.get('/jobs', async (req, res) => {
+    try {
+        const { courseId } = req.query;
+        if (!courseId) {
+            return res.status(400).json({ success: false, message: 'courseId is required' });
+        }
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+        const access = await requireCourseDocumentAccess(req, res, db, courseId);
+        if (!access) return;
+
+        const jobs = await ingestionJobs.listIngestionJobs(db, courseId);
+        res.json({ success: true, data: { jobs: jobs.map(ingestionJobs.publicIngestionJobView) } });
+    } catch (error) {
+        console.error('Error listing processing jobs:', error);
+        res.status(500).json({ success: false, message: 'Failed to load processing jobs' });
+    }
+});
+
+/**
+ * GET /api/documents/jobs/:jobId
+ * Live status of one upload's processing
+ */
+router.get('/jobs/:jobId', async (req, res) => {
+    try {
+        const loaded = await requireIngestionJobAccess(req, res);
+        if (!loaded) return;
+        res.json({ success: true, data: ingestionJobs.publicIngestionJobView(loaded.job) });
+    } catch (error) {
+        console.error('Error loading processing job:', error);
+        res.status(500).json({ success: false, message: 'Failed to load processing job' });
+    }
+});
+
+/**
+ * POST /api/documents/jobs/:jobId/retry
+ * Run a failed upload again from the stage that failed
+ */
+router.post('/jobs/:jobId/retry', async (req, res) => {
+    try {
+        const loaded = await requireIngestionJobAccess(req, res);
+        if (!loaded) return;
+        if (loaded.job.status !== ingestionJobs.JOB_STATUSES.FAILED) {
+            return res.status(409).json({ success: false, message: 'Only failed processing jobs can be retried' });
+        }
+
+        const job = await ingestionJobRunner.retryIngestion(loaded.db, loaded.job.jobId, {
+            registry: req.app.locals.llmRegistry
+        });
+        res.status(202).json({
+            success: true,
+            message: 'Processing restarted',
+            data: ingestionJobs.publicIngestionJobView(job)
+        });
+    } catch (error) {
+        console.error('Error retrying processing job:', error);
+        res.status(500).json({ success: false, message: 'Failed to retry processing job' });
+    }
+});
+
+/**
+ * GET /api/documents/chunking-profile?courseId=...
+ * How the course's documents are chunked, and the strategies to choose from
+ */
+router.get('/chunking-profile', async (req, res) => {
+    try {
+        const { courseId } = req.query;
+        if (!courseId) {
+            return res.status(400).json({ success: false, message: 'courseId is required' });
+        }
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+        const access = await requireCourseDocumentAccess(req, res, db, courseId);
+        if (!access) return;
+
+        const result = await CourseModel.getChunkingProfile(db, courseId);
+        if (!result.success) {
+            return res.status(404).json({ success: false, message: result.error });
+        }
+        res.json({
+            success: true,
+            data: {
+                courseId,
+                chunkingProfile: result.chunkingProfile,
+                strategies: chunkingProfiles.CHUNKING_STRATEGIES,
+                defaults: chunkingProfiles.DEFAULT_CHUNKING_PROFILE,
+                limits: { minChunkSize: chunkingProfiles.MIN_CHUNK_SIZE, maxChunkSize: chunkingProfiles.MAX_CHUNK_SIZE }
+            }
+        });
+    } catch (error) {
+        console.error('Error loading chunking profile:', error);
+        res.status(500).json({ success: false, message: 'Failed to load chunking profile' });
+    }
+});
+
+/**
+ * PUT /api/documents/chunking-profile
+ * Set the course's chunking profile (null for the default chunker). Body:
+ * { courseId, chunkingProfile }. Documents already indexed keep their chunks
+ * until their unit is re-chunked.
+ */
+router.put('/chunking-profile', async (req, res) => {
+    try {
+        const { courseId, chunkingProfile } = req.body;
+        if (!courseId) {
+            return res.status(400).json({ success: false, message: 'courseId is required' });
+        }
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+        const access = await requireCourseDocumentAccess(req, res, db, courseId);
+        if (!access) return;
+        if (!access.course) {
+            return res.status(404).json({ success: false, message: 'Course not found' });
+        }
+
+        const { error } = chunkingProfiles.normalizeChunkingProfile(chunkingProfile, { strict: true });
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        const result = await CourseModel.updateChunkingProfile(db, courseId, chunkingProfile, access.user.userId);
+        if (!result.success) {
+            return res.status(404).json({ success: false, message: result.error });
+        }
+        res.json({
+            success: true,
+            message: 'Chunking profile updated',
+            data: { courseId, chunkingProfile: result.chunkingProfile }
+        });
+    } catch (error) {
+        console.error('Error updating chunking profile:', error);
+        res.status(500).json({ success: false, message: 'Failed to update chunking profile' });
+    }
+});
+
+/**
+ * POST /api/documents/rechunk
+ * Chunk every document of a unit again with its current chunking profile.
+ * Body: { courseId, lectureName }. Each document is re-indexed by a background
+ * job that reuses the vectors of unchanged chunks; responds 202 with the jobs.
+ */
+router.post('/rechunk', async (req, res) => {
+    try {
+        const { courseId, lectureName } = req.body;
+        if (!courseId || !lectureName) {
+            return res.status(400).json({ success: false, message: 'Missing required fields: courseId, lectureName' });
+        }
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+        const access = await requireCourseDocumentAccess(req, res, db, courseId);
+        if (!access) return;
+        if (!access.course) {
+            return res.status(404).json({ success: false, message: 'Course not found' });
+        }
+
+        const ai = await resolveCourseAi(req, res, courseId);
+        if (!ai) return;
+
+        const documents = await DocumentModel.getDocumentsForLecture(db, courseId, lectureName);
+        const queued = [];
+        const skipped = [];
+        for (const document of documents) {
+            if (document.isDeleted) continue;
+            const name = document.filename || document.originalName || document.documentId;
+            if (!document.content || !String(document.content).trim()) {
+                skipped.push({ documentId: document.documentId, filename: name, reason: 'No text to chunk' });
+                continue;
+            }
+            if (await ingestionJobs.findActiveDocumentJob(db, document.documentId)) {
+                skipped.push({ documentId: document.documentId, filename: name, reason: 'Already being processed' });
+                continue;
+            }
+            const { job } = await ingestionJobRunner.queueDocumentRechunk({
+                db,
+                ai,
+                registry: req.app.locals.llmRegistry,
+                document,
+                createdBy: access.user.userId
+            });
+            queued.push(ingestionJobs.publicIngestionJobView(job));
+        }
+
+        res.status(202).json({
+            success: true,
+            message: queued.length > 0
+                ? `Re-chunking ${queued.length} ${queued.length === 1 ? 'document' : 'documents'}`
+                : 'No documents to re-chunk',
+            data: { courseId, lectureName, jobs: queued, skipped }
+        });
+    } catch (error) {
+        if (sendLlmKeyError(res, error)) return;
+        console.error('Error re-chunking unit:', error);
+        res.status(500).json({ success: false, message: 'Failed to re-chunk unit' });
+    }
+});
+
 /**
  * POST /api/documents/text
  * Submit text content as a document
@@ -370,6 +628,130 @@ router.post('/text', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/documents/import-web
+ * Import a web page or open textbook as a text document. Send either a `file`
+ * (HTML page, ZIP of HTML pages, or EPUB) or a `url` to fetch. Navigation and
+ * other page furniture is dropped; headings and figure alt text are kept, and
+ * the document is chunked by section so answers cite the chapter anchor. The
+ * converted text is saved and indexed by a background job, as an upload is.
+ */
+router.post('/import-web', webImportUpload.single('file'), async (req, res) => {
+    try {
+        const { courseId, lectureName, documentType, instructorId, title, description } = req.body;
+        const url = typeof req.body.url === 'string' ? req.body.url.trim() : '';
+        const file = req.file;
+
+        if (!courseId || !lectureName || !documentType || !instructorId || (!file && !url)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required fields: courseId, lectureName, documentType, instructorId, and a file or url'
+            });
+        }
+
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({
+                success: false,
+                message: 'Database connection not available'
+            });
+        }
+
+        const access = await requireCourseDocumentAccess(req, res, db, courseId, { instructorId });
+        if (!access) return;
+
+        let imported;
+        try {
+            imported = file
+                ? {
+                    ...webDocumentImport.convertWebDocument({
+                        buffer: file.buffer,
+                        mimeType: file.mimetype,
+                        originalName: file.originalname
+                    }),
+                    sourceUrl: null,
+                    originalName: file.originalname
+                }
+                : await webDocumentImport.importFromUrl(url);
+        } catch (error) {
+            if (error.code === 'WEB_FETCH_FAILED') {
+                return res.status(502).json({ success: false, message: error.message });
+            }
+            if (WEB_IMPORT_INPUT_ERRORS.has(error.code)) {
+                return res.status(400).json({ success: false, message: error.message });
+            }
+            throw error;
+        }
+
+        const ai = await resolveCourseAi(req, res, courseId);
+        if (!ai) return;
+
+        const storedInstructorId = access.user.role === 'instructor'
+            ? access.user.userId
+            : (access.course?.instructorId || instructorId);
+        const documentTitle = String(title || '').trim() || imported.title || imported.originalName || url;
+        const content = Buffer.from(imported.content, 'utf8');
+
+        // The converted text is chunked and embedded in a background job, like an upload
+        let job;
+        try {
+            ({ job } = await ingestionJobRunner.queueFileIngestion({
+                db,
+                ai,
+                registry: req.app.locals.llmRegistry,
+                buffer: content,
+                originalName: `${documentTitle.replace(/[\\/]/g, '-')}.md`,
+                mimeType: 'text/markdown',
+                size: content.length,
+                courseId,
+                lectureName,
+                documentType,
+                instructorId: storedInstructorId,
+                title: `${documentTitle}.md`,
+                metadata: {
+                    description: description || '',
+                    source: {
+                        format: imported.format,
+                        url: imported.sourceUrl,
+                        originalName: imported.originalName || null
+                    }
+                },
+                sections: imported.sections,
+                source: 'web',
+                createdBy: access.user.userId
+            }));
+        } catch (error) {
+            if (error.code !== 'DOCUMENT_TOO_LARGE') throw error;
+            return res.status(400).json({ success: false, message: error.message });
+        }
+
+        console.log(`Web document queued for processing: ${documentTitle} (${imported.format}, ${imported.sections.length} sections) for ${lectureName}`);
+
+        res.status(202).json({
+            success: true,
+            message: 'Web document imported. Processing has started.',
+            data: {
+                jobId: job.jobId,
+                title: documentTitle,
+                format: imported.format,
+                sourceUrl: imported.sourceUrl,
+                sections: imported.sections.length,
+                figures: imported.figureCount,
+                size: content.length,
+                job: ingestionJobs.publicIngestionJobView(job)
+            }
+        });
+    } catch (error) {
+        if (sendLlmKeyError(res, error)) return;
+        console.error('Error importing web document:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while importing web document',
+            error: error.message
+        });
+    }
+});
+
 /**
  * GET /api/documents/lecture
  * Get all documents for a specific lecture/unit
@@ -472,6 +854,68 @@ router.get('/stats', async (req, res) => {
     }
 });
 
+/**
+ * Load a document the signed-in instructor or TA may download, or send the error
+ */
+async function requireDocumentDownloadAccess(req, res) {
+    const user = req.user;
+    if (!user || !['instructor', 'ta'].includes(user.role)) {
+        res.status(403).json({
+            success: false,
+            message: 'Only instructors and TAs can download course materials from this page'
+        });
+        return null;
+    }
+
+    const db = req.app.locals.db;
+    if (!db) {
+        res.status(503).json({
+            success: false,
+            message: 'Database connection not available'
+        });
+        return null;
+    }
+
+    const document = await DocumentModel.getDocumentById(db, req.params.documentId);
+    if (!document) {
+        res.status(404).json({
+            success: false,
+            message: 'Document not found'
+        });
+        return null;
+    }
+
+    let hasAccess = await CourseModel.userHasCourseAccess(db, document.courseId, user.userId, user.role);
+
+    if (hasAccess && user.role === 'ta') {
+        hasAccess = await CourseModel.checkTAPermission(db, document.courseId, user.userId, 'courses');
+    }
+
+    if (!hasAccess) {
+        res.status(403).json({
+            success: false,
+            message: 'You do not have permission to download this document'
+        });
+        return null;
+    }
+
+    return { db, document };
+}
+
+function streamStoredFile(res, db, fileId, mimeType, documentId) {
+    res.setHeader('Content-Type', mimeType || 'application/octet-stream');
+    return gridfs.openDownloadStream(db, fileId)
+        .on('error', (err) => {
+            console.error(`❌ GridFS download failed for ${documentId}:`, err.message);
+            if (!res.headersSent) {
+                res.status(500).json({ success: false, message: 'Stored file could not be read' });
+            } else {
+                res.end();
+            }
+        })
+        .pipe(res);
+}
+
 /**
  * GET /api/documents/:documentId/download
  * Download the original source document for instructors/TAs
@@ -487,42 +931,9 @@ router.get('/:documentId/download', async (req, res) => {
             });
         }
 
-        const user = req.user;
-        if (!user || !['instructor', 'ta'].includes(user.role)) {
-            return res.status(403).json({
-                success: false,
-                message: 'Only instructors and TAs can download course materials from this page'
-            });
-        }
-
-        const db = req.app.locals.db;
-        if (!db) {
-            return res.status(503).json({
-                success: false,
-                message: 'Database connection not available'
-            });
-        }
-
-        const document = await DocumentModel.getDocumentById(db, documentId);
-        if (!document) {
-            return res.status(404).json({
-                success: false,
-                message: 'Document not found'
-            });
-        }
-
-        let hasAccess = await CourseModel.userHasCourseAccess(db, document.courseId, user.userId, user.role);
-
-        if (hasAccess && user.role === 'ta') {
-            hasAccess = await CourseModel.checkTAPermission(db, document.courseId, user.userId, 'courses');
-        }
-
-        if (!hasAccess) {
-            return res.status(403).json({
-                success: false,
-                message: 'You do not have permission to download this document'
-            });
-        }
+        const loaded = await requireDocumentDownloadAccess(req, res);
+        if (!loaded) return;
+        const { db, document } = loaded;
 
         const downloadFilename = resolveDownloadFilename(document);
         setAttachmentHeaders(res, downloadFilename);
@@ -533,17 +944,7 @@ router.get('/:documentId/download', async (req, res) => {
             // Newer uploads keep the binary in GridFS (referenced by fileId); older
             // documents may still have it inline in fileData. Support both.
             if (document.fileId) {
-                res.setHeader('Content-Type', document.mimeType || 'application/octet-stream');
-                return gridfs.openDownloadStream(db, document.fileId)
-                    .on('error', (err) => {
-                        console.error(`❌ GridFS download failed for ${documentId}:`, err.message);
-                        if (!res.headersSent) {
-                            res.status(500).json({ success: false, message: 'Stored file could not be read' });
-                        } else {
-                            res.end();
-                        }
-                    })
-                    .pipe(res);
+                return streamStoredFile(res, db, document.fileId, document.mimeType, documentId);
             }
 
             const payload = getStoredFileBuffer(document.fileData);
@@ -571,6 +972,435 @@ router.get('/:documentId/download', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/documents/:documentId/versions
+ * Upload a new version of a file document. It keeps its id, unit, and citations;
+ * only the chunks that changed are re-embedded, and earlier versions stay
+ * downloadable. Responds 202 with the processing job.
+ */
+router.post('/:documentId/versions', upload.single('file'), async (req, res) => {
+    try {
+        const file = req.file;
+        if (!file) {
+            return res.status(400).json({ success: false, message: 'Missing required field: file' });
+        }
+
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+
+        const document = await DocumentModel.getDocumentById(db, req.params.documentId);
+        if (!document || document.isDeleted) {
+            return res.status(404).json({ success: false, message: 'Document not found' });
+        }
+        if (document.contentType === 'text') {
+            return res.status(400).json({
+                success: false,
+                message: 'Pasted text documents cannot be replaced with a file'
+            });
+        }
+
+        const access = await requireCourseDocumentAccess(req, res, db, document.courseId);
+        if (!access) return;
+
+        // A new version or a re-chunk still writing this document's chunks
+        const activeJob = await ingestionJobs.findActiveDocumentJob(db, document.documentId);
+        if (activeJob) {
+            return res.status(409).json({
+                success: false,
+                message: activeJob.source === 'rechunk'
+                    ? 'This document is still being re-chunked'
+                    : 'A new version of this document is already being processed'
+            });
+        }
+
+        const ai = await resolveCourseAi(req, res, document.courseId);
+        if (!ai) return;
+
+        const { job } = await ingestionJobRunner.queueDocumentRevision({
+            db,
+            ai,
+            registry: req.app.locals.llmRegistry,
+            document,
+            buffer: file.buffer,
+            originalName: file.originalname,
+            mimeType: file.mimetype,
+            size: file.size,
+            title: req.body.title,
+            createdBy: access.user.userId
+        });
+
+        console.log(`New version of ${document.documentId} queued for processing: ${file.originalname}`);
+
+        res.status(202).json({
+            success: true,
+            message: 'New version uploaded. Processing has started.',
+            data: {
+                jobId: job.jobId,
+                documentId: document.documentId,
+                filename: job.title || file.originalname,
+                size: file.size,
+                job: ingestionJobs.publicIngestionJobView(job)
+            }
+        });
+    } catch (error) {
+        if (sendLlmKeyError(res, error)) return;
+        console.error('Error uploading document version:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while uploading document version',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/documents/:documentId/versions
+ * A document's versions, oldest first
+ */
+router.get('/:documentId/versions', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+
+        const document = await DocumentModel.getDocumentById(db, req.params.documentId);
+        if (!document) {
+            return res.status(404).json({ success: false, message: 'Document not found' });
+        }
+        const access = await requireCourseDocumentAccess(req, res, db, document.courseId);
+        if (!access) return;
+
+        const currentVersion = document.version || 1;
+        const versions = DocumentModel.listDocumentVersions(document).map(entry => ({
+            version: entry.version,
+            filename: entry.filename,
+            originalName: entry.originalName,
+            mimeType: entry.mimeType,
+            size: entry.size,
+            uploadedBy: entry.uploadedBy,
+            uploadedAt: entry.uploadedAt,
+            current: entry.version === currentVersion,
+            downloadable: entry.version === currentVersion || !!entry.fileId
+        }));
+        res.json({
+            success: true,
+            data: { documentId: document.documentId, currentVersion, versions }
+        });
+    } catch (error) {
+        console.error('Error listing document versions:', error);
+        res.status(500).json({ success: false, message: 'Failed to load document versions' });
+    }
+});
+
+/**
+ * GET /api/documents/:documentId/versions/:version/download
+ * Download the file of one version, including replaced ones
+ */
+router.get('/:documentId/versions/:version/download', async (req, res) => {
+    try {
+        const loaded = await requireDocumentDownloadAccess(req, res);
+        if (!loaded) return;
+        const { db, document } = loaded;
+
+        const entry = DocumentModel.findDocumentVersion(document, req.params.version);
+        if (!entry) {
+            return res.status(404).json({ success: false, message: 'Document version not found' });
+        }
+        if (!entry.fileId) {
+            return res.status(404).json({
+                success: false,
+                message: 'The file of this version is not stored; download the current document instead'
+            });
+        }
+
+        setAttachmentHeaders(res, resolveDownloadFilename({
+            documentId: document.documentId,
+            originalName: entry.originalName,
+            filename: entry.filename,
+            mimeType: entry.mimeType
+        }));
+        return streamStoredFile(res, db, entry.fileId, entry.mimeType, document.documentId);
+    } catch (error) {
+        console.error('Error downloading document version:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while downloading document'
+        });
+    }
+});
+
+/**
+ * Load a document, check the user may manage it, and resolve the course's
+ * vector store, or send the error
+ */
+async function requireDocumentChunkAccess(req, res) {
+    const db = req.app.locals.db;
+    if (!db) {
+        res.status(503).json({ success: false, message: 'Database connection not available' });
+        return null;
+    }
+    const document = await DocumentModel.getDocumentById(db, req.params.documentId);
+    if (!document || document.isDeleted) {
+        res.status(404).json({ success: false, message: 'Document not found' });
+        return null;
+    }
+    const access = await requireCourseDocumentAccess(req, res, db, document.courseId);
+    if (!access) return null;
+    const ai = await resolveCourseAi(req, res, document.courseId);
+    if (!ai) return null;
+    return { db, document, access, ai };
+}
+
+/**
+ * A document's stored chunks, excluded ones included: text (or slide) chunks
+ * first, then figure chunks, each in chunk order
+ */
+async function loadDocumentChunkRecords(qdrantService, document) {
+    const records = await qdrantService.getUnitChunkRecords(
+        document.courseId,
+        document.lectureName,
+        [document.documentId],
+        { includeExcluded: true }
+    );
+    const segmentOrder = record => (chunkEdits.chunkSegment(record) === 'figure' ? 1 : 0);
+    return records.sort((a, b) => segmentOrder(a) - segmentOrder(b)
+        || Number(a.chunkIndex || 0) - Number(b.chunkIndex || 0));
+}
+
+/**
+ * GET /api/documents/:documentId/chunks
+ * The chunk inspector: each chunk's text, number, page or slide, and whether
+ * an instructor edited it or excluded it from retrieval
+ */
+router.get('/:documentId/chunks', async (req, res) => {
+    try {
+        const loaded = await requireDocumentChunkAccess(req, res);
+        if (!loaded) return;
+        const { db, document, ai } = loaded;
+
+        const records = await loadDocumentChunkRecords(ai.qdrant, document);
+        const edits = await chunkEdits.listChunkEdits(db, document.documentId);
+        res.json({
+            success: true,
+            data: {
+                documentId: document.documentId,
+                chunks: records.map(record => ({
+                    id: record.id,
+                    segment: chunkEdits.chunkSegment(record),
+                    chunkIndex: record.chunkIndex,
+                    chunkNumber: Number(record.chunkIndex || 0) + 1,
+                    text: record.chunkText,
+                    pageNumber: record.pageNumber ?? null,
+                    slideNumber: record.slideNumber ?? null,
+                    sectionHeading: record.sectionHeading ?? null,
+                    questionNumber: record.questionNumber ?? null,
+                    figureNumber: record.figureNumber ?? null,
+                    excluded: record.excluded,
+                    edited: record.edited
+                })),
+                editCount: edits.length
+            }
+        });
+    } catch (error) {
+        if (sendLlmKeyError(res, error)) return;
+        console.error('Error loading document chunks:', error);
+        res.status(500).json({ success: false, message: 'Failed to load document chunks' });
+    }
+});
+
+/**
+ * POST /api/documents/:documentId/chunks/edits
+ * Edit, merge, split, or exclude chunks. Body: { action, chunkIds, text,
+ * texts, excluded }. Only changed chunks are re-embedded, and the edit is
+ * kept so it is replayed when the document is indexed again.
+ */
+router.post('/:documentId/chunks/edits', async (req, res) => {
+    try {
+        const chunkIds = Array.isArray(req.body.chunkIds) ? req.body.chunkIds.map(String) : [];
+        if (chunkIds.length === 0) {
+            return res.status(400).json({ success: false, message: 'Missing required field: chunkIds' });
+        }
+
+        const loaded = await requireDocumentChunkAccess(req, res);
+        if (!loaded) return;
+        const { db, document, access, ai } = loaded;
+
+        const records = await loadDocumentChunkRecords(ai.qdrant, document);
+        const byId = new Map(records.map(record => [String(record.id), record]));
+        const selected = chunkIds.map(id => byId.get(id));
+        if (selected.some(record => !record)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Chunk not found. The document may have been re-indexed; reload the chunks.'
+            });
+        }
+
+        let edit;
+        try {
+            edit = chunkEdits.buildChunkEdit(req.body, selected);
+        } catch (error) {
+            if (error.code !== 'INVALID_CHUNK_EDIT') throw error;
+            return res.status(400).json({ success: false, message: error.message });
+        }
+
+        const outcome = await chunkEdits.applyChunkEditToIndex(ai.qdrant, document, edit);
+        if (!outcome.applied) {
+            return res.status(409).json({
+                success: false,
+                message: 'The chunks changed while you were editing; reload the chunks.'
+            });
+        }
+        const record = await chunkEdits.recordChunkEdit(db, {
+            ...edit,
+            documentId: document.documentId,
+            courseId: document.courseId,
+            createdBy: access.user.userId
+        });
+        await FlashcardDeck.markUnitStale(db, document.courseId, document.lectureName);
+        // Cached answers may cite the chunk as it was before the edit
+        await AnswerCache.invalidateUnit(db, document.courseId, document.lectureName);
+
+        res.json({
+            success: true,
+            message: 'Chunks updated',
+            data: {
+                editId: record.editId,
+                action: record.action,
+                chunksEmbedded: outcome.chunksEmbedded,
+                chunksReused: outcome.chunksReused
+            }
+        });
+    } catch (error) {
+        if (sendLlmKeyError(res, error)) return;
+        console.error('Error editing document chunks:', error);
+        res.status(500).json({ success: false, message: 'Failed to update document chunks' });
+    }
+});
+
+/**
+ * Chunks in the shape the chunking preview shows
+ */
+function previewChunkView(text, metadata = {}) {
+    return {
+        text,
+        length: text.length,
+        pageNumber: metadata.pageNumber ?? null,
+        slideNumber: metadata.slideNumber ?? null,
+        sectionHeading: metadata.sectionHeading ?? null,
+        questionNumber: metadata.questionNumber ?? null,
+        excluded: metadata.excluded === true
+    };
+}
+
+/**
+ * POST /api/documents/:documentId/chunking-preview
+ * Dry run: the document's stored chunks next to the chunks a profile would
+ * produce. Body: { chunkingProfile } (omit for the profile it uses now).
+ * Nothing is embedded or stored.
+ */
+router.post('/:documentId/chunking-preview', async (req, res) => {
+    try {
+        const requested = req.body.chunkingProfile;
+        const { error } = chunkingProfiles.normalizeChunkingProfile(requested, { strict: true });
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const loaded = await requireDocumentChunkAccess(req, res);
+        if (!loaded) return;
+        const { db, document, ai } = loaded;
+        if (!document.content || !String(document.content).trim()) {
+            return res.status(400).json({ success: false, message: 'This document has no text to chunk' });
+        }
+
+        const currentProfile = await chunkingProfiles.resolveDocumentChunkingProfile(db, document);
+        const proposedProfile = requested
+            ? chunkingProfiles.normalizeChunkingProfile(requested).profile
+            : currentProfile;
+        const stored = (await loadDocumentChunkRecords(ai.qdrant, document))
+            .filter(record => chunkEdits.chunkSegment(record) !== 'figure');
+        const proposed = await previewDocumentChunks({
+            db,
+            qdrantService: ai.qdrant,
+            document,
+            chunkingProfile: proposedProfile,
+            slides: await ingestionJobs.findDocumentSlides(db, document.documentId)
+        });
+        const storedTexts = new Set(stored.map(record => record.chunkText));
+
+        res.json({
+            success: true,
+            data: {
+                documentId: document.documentId,
+                current: {
+                    chunkingProfile: currentProfile,
+                    strategyUsed: stored.length > 0 ? stored[0].strategyUsed || null : null,
+                    chunks: stored.map(record => previewChunkView(record.chunkText || '', record))
+                },
+                proposed: {
+                    chunkingProfile: proposedProfile,
+                    strategyUsed: proposed.strategyUsed,
+                    chunks: proposed.chunks.map((text, index) => previewChunkView(text, proposed.metadata[index])),
+                    // Chunks a re-chunk would keep the stored vectors of
+                    unchanged: proposed.chunks.filter(text => storedTexts.has(text)).length
+                }
+            }
+        });
+    } catch (error) {
+        if (sendLlmKeyError(res, error)) return;
+        console.error('Error previewing document chunking:', error);
+        res.status(500).json({ success: false, message: 'Failed to preview document chunking' });
+    }
+});
+
+/**
+ * PUT /api/documents/:documentId/chunking-profile
+ * Give a document its own chunking profile (null to follow the course's) and
+ * re-chunk it. Body: { chunkingProfile }. Responds 202 with the job when the
+ * document has text to re-chunk.
+ */
+router.put('/:documentId/chunking-profile', async (req, res) => {
+    try {
+        const { profile, error } = chunkingProfiles.normalizeChunkingProfile(req.body.chunkingProfile, { strict: true });
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const loaded = await requireDocumentChunkAccess(req, res);
+        if (!loaded) return;
+        const { db, document, access, ai } = loaded;
+        if (await ingestionJobs.findActiveDocumentJob(db, document.documentId)) {
+            return res.status(409).json({
+                success: false,
+                message: 'This document is already being processed'
+            });
+        }
+
+        await DocumentModel.setDocumentChunkingProfile(db, document.documentId, profile);
+        const data = { documentId: document.documentId, chunkingProfile: profile, job: null };
+        if (!document.content || !String(document.content).trim()) {
+            return res.json({ success: true, message: 'Chunking profile updated', data });
+        }
+
+        const { job } = await ingestionJobRunner.queueDocumentRechunk({
+            db,
+            ai,
+            registry: req.app.locals.llmRegistry,
+            document: { ...document, chunkingProfile: profile },
+            createdBy: access.user.userId
+        });
+        data.job = ingestionJobs.publicIngestionJobView(job);
+        res.status(202).json({ success: true, message: 'Chunking profile updated. Re-chunking has started.', data });
+    } catch (error) {
+        if (sendLlmKeyError(res, error)) return;
+        console.error('Error updating document chunking profile:', error);
+        res.status(500).json({ success: false, message: 'Failed to update document chunking profile' });
+    }
+});
+
 /**
  * GET /api/documents/:documentId
  * Get a specific document by ID
@@ -669,11 +1499,18 @@ router.delete('/:documentId', async (req, res) => {
         const result = await DocumentModel.deleteDocument(db, documentId);
         await FlashcardDeck.markUnitStale(db, document.courseId, document.lectureName);
 
-        // Remove the backing file from GridFS (no-op for older inline-fileData docs).
-        if (document.fileId) {
-            await gridfs.deleteFile(db, document.fileId);
-            console.log(`🧹 Deleted GridFS file ${document.fileId} for document ${documentId}`);
+        // Remove the backing files of every version from GridFS (no-op for
+        // older inline-fileData docs).
+        const storedFileIds = new Set([
+            document.fileId,
+            ...DocumentModel.listDocumentVersions(document).map(entry => entry.fileId)
+        ].filter(Boolean).map(String));
+        for (const fileId of storedFileIds) {
+            await gridfs.deleteFile(db, fileId);
+            console.log(`🧹 Deleted GridFS file ${fileId} for document ${documentId}`);
         }
+        await deleteFigureImages(db, document.figures);
+        await chunkEdits.deleteChunkEdits(db, documentId);
 
         // DELETE FROM ALL THREE STORAGE SYSTEMS: MongoDB documents, course structure, and Qdrant
         let qdrantDeleted = false;
@@ -682,16 +1519,18 @@ router.delete('/:documentId', async (req, res) => {
         if (result.deletedCount > 0) {
             console.log(`Document deleted from documents collection, now cleaning up course structure and Qdrant...`);
             
-            // Step 1: Delete from course structure
-            const coursesCollection = db.collection('courses');
-            const courseDeleteResult = await coursesCollection.updateOne(
-                { courseId: document.courseId },
-                { 
-                    $pull: { 
-                        'lectures.$[].documents': { documentId: documentId } 
-                    }
-                }
+            // Step 1: Delete from course structure, which also drops the
+            // unit's cached answers that could cite this document
+            const courseDeleteResult = await CourseModel.removeDocumentFromAnyUnit(
+                db,
+                document.courseId,
+                documentId,
+                access.user.userId
             );
+            if (!courseDeleteResult.success && document.lectureName) {
+                // Not linked from its unit, but its chunks may still have been cited
+                await AnswerCache.invalidateUnit(db, document.courseId, document.lectureName);
+            }
             
             console.log(`Course delete result:`, courseDeleteResult);
             
@@ -937,6 +1776,7 @@ async function extractQuestionsFromText(llm, text) {
 
     const response = await llm.sendMessage(prompt, {
         lane: LANES.BACKEND,
+        feature: FEATURES.QUESTION_GENERATION,
         temperature: 0.1,
         maxTokens: 4096,
         systemPrompt: QUESTION_EXTRACTION_SYSTEM_PROMPT
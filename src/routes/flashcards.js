@@ -1,14 +1,21 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const CourseModel = require('../models/Course');
 const FlashcardDeck = require('../models/FlashcardDeck');
 const flashcardService = require('../services/flashcardService');
+const flashcardScheduler = require('../services/flashcardScheduler');
+const flashcardTransfer = require('../services/flashcardTransfer');
 const { hasSystemAdminAccess } = require('../services/authorization');
 const { resolveCourseAi, sendLlmKeyError } = require('./llmKeyMiddleware');
 
 router.use(express.json());
 
 const generationLocks = new Set();
+const deckImportUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 2 * 1024 * 1024 }
+});
 
 async function requireInstructorCourse(db, req, res, courseId) {
     if (!req.user) {
@@ -75,9 +82,10 @@ function instructorDeckSummary(deck) {
     };
 }
 
-function publicDeckSummary(deck, progress) {
+function publicDeckSummary(deck, progress, scheduleOptions) {
     const cards = deck.publishedCards || [];
     const progressCards = progress?.cards || {};
+    const due = flashcardScheduler.buildDueQueue([deck], { [deck.deckId]: progress }, { ...scheduleOptions, limit: 0 });
     return {
         deckId: deck.deckId,
         courseId: deck.courseId,
@@ -86,10 +94,44 @@ function publicDeckSummary(deck, progress) {
         version: deck.publishedVersion || 1,
         cardCount: cards.length,
         knownCount: cards.filter(card => progressCards[card.cardId]?.mastery === 'known').length,
+        dueCount: due.total,
         publishedAt: deck.publishedAt || null
     };
 }
 
+function scheduleOptionsFrom(query) {
+    return {
+        now: new Date(),
+        timezoneOffset: flashcardScheduler.normalizeTimezoneOffset(query.timezoneOffset)
+    };
+}
+
+function sendDeckExport(res, deck, format = 'anki') {
+    if (!flashcardTransfer.FORMATS[format]) {
+        return res.status(400).json({
+            success: false,
+            message: `format must be one of: ${Object.keys(flashcardTransfer.FORMATS).join(', ')}`
+        });
+    }
+    if (!deck.publishedCards?.length) {
+        return res.status(404).json({ success: false, message: 'Publish this deck before exporting it' });
+    }
+
+    const result = flashcardTransfer.exportDeck(deck, format);
+    res.set({
+        'Content-Type': result.contentType,
+        'Content-Disposition': `attachment; filename="${result.filename}"`
+    });
+    return res.send(result.body);
+}
+
+async function loadStudentDecks(db, course, studentId) {
+    const publishedUnits = (course.lectures || []).filter(unit => unit.isPublished).map(unit => unit.name);
+    const decks = await FlashcardDeck.listPublishedDecks(db, course.courseId, publishedUnits);
+    const progressByDeck = await FlashcardDeck.getStudentProgressByDeck(db, studentId, decks.map(deck => deck.deckId));
+    return { decks, progressByDeck };
+}
+
 router.get('/instructor', async (req, res) => {
     try {
         const { courseId } = req.query;
@@ -170,6 +212,88 @@ router.post('/instructor/generate', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/flashcards/instructor/import
+ * Build a unit's draft from a CSV or Anki plain-text file. mode=append adds
+ * the file's cards to the current cards instead of replacing them. Rows that
+ * could not become cards come back in data.rejected.
+ */
+router.post('/instructor/import', deckImportUpload.single('file'), async (req, res) => {
+    try {
+        const { courseId, lectureName, title } = req.body;
+        const mode = req.body.mode === 'append' ? 'append' : 'replace';
+        if (!courseId || !lectureName || !req.file) {
+            return res.status(400).json({ success: false, message: 'courseId, lectureName, and a file are required' });
+        }
+        const db = req.app.locals.db;
+        const course = await requireInstructorCourse(db, req, res, courseId);
+        if (!course) return;
+        if (!(course.lectures || []).some(unit => unit.name === lectureName)) {
+            return res.status(404).json({ success: false, message: 'Unit not found' });
+        }
+
+        const existing = await FlashcardDeck.getDeckForUnit(db, courseId, lectureName);
+        const keptCards = mode === 'append' ? FlashcardDeck.currentDeckCards(existing) : [];
+        const parsed = flashcardTransfer.parseDeckImport(req.file.buffer, {
+            format: req.body.format,
+            filename: req.file.originalname,
+            existingCards: keptCards
+        });
+        if (parsed.cards.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No flashcards in the file could be imported',
+                data: { rejected: parsed.rejected }
+            });
+        }
+
+        const deck = await FlashcardDeck.saveImportedDraft(db, {
+            courseId,
+            lectureName,
+            title,
+            cards: [...keptCards, ...parsed.cards],
+            importedBy: req.user.userId
+        });
+        const skipped = parsed.rejected.length;
+        return res.json({
+            success: true,
+            message: `Imported ${parsed.cards.length} flashcard${parsed.cards.length === 1 ? '' : 's'}`
+                + (skipped ? `; ${skipped} row${skipped === 1 ? ' was' : 's were'} rejected` : ''),
+            data: {
+                deck: instructorDeckSummary(deck),
+                format: parsed.format,
+                imported: parsed.cards.length,
+                rejected: parsed.rejected
+            }
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_FLASHCARD_FILE') {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        console.error('Error importing flashcard deck:', error);
+        return res.status(500).json({ success: false, message: 'Unable to import flashcards' });
+    }
+});
+
+/**
+ * GET /api/flashcards/instructor/:deckId/export
+ * Download the published cards as Anki text (default) or CSV
+ */
+router.get('/instructor/:deckId/export', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const deck = await FlashcardDeck.getDeckById(db, req.params.deckId);
+        if (!deck) return res.status(404).json({ success: false, message: 'Flashcard deck not found' });
+        const course = await requireInstructorCourse(db, req, res, deck.courseId);
+        if (!course) return;
+
+        return sendDeckExport(res, deck, req.query.format);
+    } catch (error) {
+        console.error('Error exporting flashcard deck:', error);
+        return res.status(500).json({ success: false, message: 'Unable to export flashcard deck' });
+    }
+});
+
 router.put('/instructor/:deckId', async (req, res) => {
     try {
         const db = req.app.locals.db;
@@ -229,12 +353,9 @@ router.get('/student', async (req, res) => {
         const course = await requireStudentCourse(db, req, res, courseId);
         if (!course) return;
 
-        const publishedUnits = (course.lectures || []).filter(unit => unit.isPublished).map(unit => unit.name);
-        const decks = await FlashcardDeck.listPublishedDecks(db, courseId, publishedUnits);
-        const data = await Promise.all(decks.map(async deck => {
-            const progress = await FlashcardDeck.getStudentProgress(db, req.user.userId, deck.deckId);
-            return publicDeckSummary(deck, progress);
-        }));
+        const { decks, progressByDeck } = await loadStudentDecks(db, course, req.user.userId);
+        const scheduleOptions = scheduleOptionsFrom(req.query);
+        const data = decks.map(deck => publicDeckSummary(deck, progressByDeck[deck.deckId], scheduleOptions));
         return res.json({ success: true, data });
     } catch (error) {
         console.error('Error listing student flashcard decks:', error);
@@ -242,6 +363,61 @@ router.get('/student', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/flashcards/student/due
+ * Cards due by the end of the student's day across every published deck
+ */
+router.get('/student/due', async (req, res) => {
+    try {
+        const { courseId } = req.query;
+        if (!courseId) return res.status(400).json({ success: false, message: 'courseId is required' });
+        const db = req.app.locals.db;
+        const course = await requireStudentCourse(db, req, res, courseId);
+        if (!course) return;
+
+        const { decks, progressByDeck } = await loadStudentDecks(db, course, req.user.userId);
+        const queue = flashcardScheduler.buildDueQueue(decks, progressByDeck, scheduleOptionsFrom(req.query));
+        return res.json({ success: true, data: queue });
+    } catch (error) {
+        console.error('Error loading due flashcards:', error);
+        return res.status(500).json({ success: false, message: 'Unable to load due flashcards' });
+    }
+});
+
+/**
+ * GET /api/flashcards/student/stats
+ * Review streaks, cards due today, and a seven-day due forecast
+ */
+router.get('/student/stats', async (req, res) => {
+    try {
+        const { courseId } = req.query;
+        if (!courseId) return res.status(400).json({ success: false, message: 'courseId is required' });
+        const db = req.app.locals.db;
+        const course = await requireStudentCourse(db, req, res, courseId);
+        if (!course) return;
+
+        const options = scheduleOptionsFrom(req.query);
+        const { decks, progressByDeck } = await loadStudentDecks(db, course, req.user.userId);
+        const reviewDays = await FlashcardDeck.getStudentReviewDays(db, req.user.userId, courseId);
+        const todayKey = flashcardScheduler.dayKey(options.now, options.timezoneOffset);
+        const due = flashcardScheduler.buildDueQueue(decks, progressByDeck, { ...options, limit: 0 });
+
+        return res.json({
+            success: true,
+            data: {
+                streak: flashcardScheduler.computeStreak(reviewDays.map(entry => entry.day), todayKey),
+                reviewsToday: reviewDays.find(entry => entry.day === todayKey)?.reviews || 0,
+                dueToday: due.total,
+                newCards: due.newCount,
+                forecast: flashcardScheduler.buildForecast(decks, progressByDeck, options)
+            }
+        });
+    } catch (error) {
+        console.error('Error loading flashcard review stats:', error);
+        return res.status(500).json({ success: false, message: 'Unable to load flashcard review stats' });
+    }
+});
+
 router.get('/student/:deckId', async (req, res) => {
     try {
         const { courseId } = req.query;
@@ -260,7 +436,7 @@ router.get('/student/:deckId', async (req, res) => {
         return res.json({
             success: true,
             data: {
-                ...publicDeckSummary(deck, progress),
+                ...publicDeckSummary(deck, progress, scheduleOptionsFrom(req.query)),
                 cards: deck.publishedCards || [],
                 progress: progress?.cards || {}
             }
@@ -271,10 +447,35 @@ router.get('/student/:deckId', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/flashcards/student/:deckId/export
+ * Download a published deck as Anki text (default) or CSV
+ */
+router.get('/student/:deckId/export', async (req, res) => {
+    try {
+        const { courseId } = req.query;
+        if (!courseId) return res.status(400).json({ success: false, message: 'courseId is required' });
+        const db = req.app.locals.db;
+        const course = await requireStudentCourse(db, req, res, courseId);
+        if (!course) return;
+
+        const deck = await FlashcardDeck.getDeckById(db, req.params.deckId);
+        const unit = (course.lectures || []).find(item => item.name === deck?.lectureName);
+        if (!deck || deck.courseId !== courseId || !deck.isPublished || !unit?.isPublished) {
+            return res.status(404).json({ success: false, message: 'Published flashcard deck not found' });
+        }
+
+        return sendDeckExport(res, deck, req.query.format);
+    } catch (error) {
+        console.error('Error exporting student flashcard deck:', error);
+        return res.status(500).json({ success: false, message: 'Unable to export flashcard deck' });
+    }
+});
+
 router.post('/student/:deckId/review', async (req, res) => {
     try {
         const { courseId, cardId, rating } = req.body;
-        if (!courseId || !cardId || !['again', 'know'].includes(rating)) {
+        if (!courseId || !cardId || !flashcardScheduler.normalizeRating(rating)) {
             return res.status(400).json({ success: false, message: 'courseId, cardId, and a valid rating are required' });
         }
         const db = req.app.locals.db;
@@ -294,7 +495,8 @@ router.post('/student/:deckId/review', async (req, res) => {
             deckId: deck.deckId,
             deckVersion: deck.publishedVersion,
             cardId,
-            rating
+            rating,
+            timezoneOffset: flashcardScheduler.normalizeTimezoneOffset(req.body.timezoneOffset)
         });
         return res.json({ success: true, data: progress.cards?.[cardId] || null });
     } catch (error) {
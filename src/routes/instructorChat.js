@@ -14,6 +14,7 @@ const prompts = require('../services/prompts');
 const { resolveSuperchatAi, resolveSuperCourseChatAi, sendLlmKeyError } = require('./llmKeyMiddleware');
 const { structuredKeyError } = require('../services/llmKeyStore');
 const { LANES } = require('../services/llmLanes');
+const { FEATURES } = require('../services/llmFeatures');
 
 async function resolveInstructorSuperchat(db, requestedId = null) {
     if (requestedId) {
@@ -312,6 +313,7 @@ router.post('/', async (req, res) => {
 
         const response = await llmService.sendMessage(prompt, {
             lane: LANES.FRONTEND,
+            feature: FEATURES.CHAT,
             temperature: 0.4,
             maxTokens: 32768,
             systemPrompt
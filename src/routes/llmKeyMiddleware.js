@@ -13,6 +13,14 @@ function sendLlmKeyError(res, error) {
         });
         return true;
     }
+    if (error?.code === 'LLM_BUDGET_EXCEEDED') {
+        res.status(error.httpStatus || 429).json({
+            success: false,
+            code: 'LLM_BUDGET_EXCEEDED',
+            message: error.message
+        });
+        return true;
+    }
     if (!(error instanceof LlmKeyError) && !error?.code?.startsWith?.('LLM_KEY_')) {
         return false;
     }
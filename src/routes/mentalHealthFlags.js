@@ -1,12 +1,15 @@
 /**
  * Mental Health Flags API Routes
- * Handles CRUD operations for AI-detected mental health concern flags.
- * Regular instructors see anonymized flags; system admins see student names.
+ * Handles CRUD operations for AI-detected mental health concern flags and
+ * their case workflow (assignment, private notes, follow-up deadlines, and a
+ * timeline of every change). Regular instructors see anonymized flags;
+ * system admins see student names.
  */
 
 const express = require('express');
 const router = express.Router();
 const MentalHealthFlag = require('../models/MentalHealthFlag');
+const WellnessResourceDisplay = require('../models/WellnessResourceDisplay');
 const CourseModel = require('../models/Course');
 const { hasSystemAdminAccess } = require('../services/authorization');
 
@@ -17,6 +20,27 @@ function isAdmin(user) {
     return hasSystemAdminAccess(user);
 }
 
+// Course roles allowed to use each case action. TAs also need the Flags
+// permission from the TA hub; system admins can do everything.
+const CASE_ACTION_ROLES = Object.freeze({
+    view: ['instructor', 'ta'],
+    update: ['instructor', 'ta'],
+    assign: ['instructor'],
+    export: ['instructor']
+});
+
+function actorFor(user) {
+    return { userId: user.userId, name: user.displayName || user.username || user.userId };
+}
+
+/**
+ * Flag as returned to staff: anonymized for non-admins, with overdue state
+ */
+function toCaseView(flag, userIsAdmin) {
+    const view = { ...flag, overdue: MentalHealthFlag.isFlagOverdue(flag) };
+    return userIsAdmin ? view : anonymizeFlags([view])[0];
+}
+
 /**
  * Strip student identity from flags for non-admin users
  */
@@ -28,30 +52,141 @@ function anonymizeFlags(flags) {
     }));
 }
 
-async function requireCourseStaff(req, res, db, courseId) {
+/**
+ * Attach the support resources each flagged student was shown
+ */
+async function attachResourcesShown(db, courseId, flags) {
+    const flagIds = flags.map(flag => flag.flagId).filter(Boolean);
+    if (flagIds.length === 0) return flags;
+
+    const displays = await WellnessResourceDisplay.listDisplays(db, courseId, { flagIds, limit: 500 });
+    return flags.map(flag => ({
+        ...flag,
+        resourcesShown: displays
+            .filter(display => display.flagId === flag.flagId)
+            .map(({ displayId, source, shownAt, resources }) => ({ displayId, source, shownAt, resources }))
+    }));
+}
+
+async function requireCourseStaff(req, res, db, courseId, action = 'view') {
     const user = req.user;
     if (!user) {
         res.status(401).json({ success: false, message: 'Authentication required' });
         return false;
     }
     if (isAdmin(user)) return true;
-    if (user.role === 'instructor' &&
+    const roles = CASE_ACTION_ROLES[action];
+    if (user.role === 'instructor' && roles.includes('instructor') &&
         await CourseModel.userHasCourseAccess(db, courseId, user.userId, 'instructor')) return true;
-    if (user.role === 'ta' &&
-        await CourseModel.checkTAPermission(db, courseId, user.userId, 'courses')) return true;
+    if (user.role === 'ta' && roles.includes('ta') &&
+        await CourseModel.checkTAPermission(db, courseId, user.userId, 'flags')) return true;
     res.status(403).json({ success: false, message: 'Access denied' });
     return false;
 }
 
-async function requireFlagStaff(req, res, db, flagId) {
-    const flag = await db.collection('mentalHealthFlags').findOne({ flagId });
+/**
+ * Load a flag and check the caller may act on its course
+ * @returns {Promise<Object|null>} The flag, or null once a response was sent
+ */
+async function requireFlagStaff(req, res, db, flagId, action = 'update') {
+    const flag = await MentalHealthFlag.getFlagById(db, flagId);
     if (!flag) {
         res.status(404).json({ success: false, message: 'Flag not found' });
-        return false;
+        return null;
     }
-    return requireCourseStaff(req, res, db, flag.courseId);
+    return (await requireCourseStaff(req, res, db, flag.courseId, action)) ? flag : null;
+}
+
+/**
+ * Instructors and flag-permitted TAs of a course, who can be assigned cases
+ */
+async function listCaseStaff(db, courseId) {
+    const course = await CourseModel.getCourseById(db, courseId);
+    if (!course) return [];
+
+    const instructorIds = [course.instructorId, ...(course.instructors || [])].filter(Boolean);
+    const taIds = (course.tas || []).filter(taId => {
+        const permissions = course.taPermissions && course.taPermissions[taId];
+        return !permissions || permissions.canAccessFlags !== false;
+    });
+    const roleById = new Map();
+    taIds.forEach(taId => roleById.set(taId, 'ta'));
+    instructorIds.forEach(instructorId => roleById.set(instructorId, 'instructor'));
+
+    const users = await db.collection('users')
+        .find({ userId: { $in: [...roleById.keys()] } })
+        .toArray();
+    const nameById = new Map(users.map(user => [user.userId, user.displayName || user.username || user.email]));
+    return [...roleById.entries()].map(([userId, role]) => ({
+        userId,
+        name: nameById.get(userId) || userId,
+        role
+    }));
 }
 
+function statusChangeOptions(req) {
+    return { reason: req.body && req.body.reason, actorName: actorFor(req.user).name };
+}
+
+/**
+ * GET /api/mental-health-flags/course/:courseId/staff
+ * Instructors and TAs a flag can be assigned to
+ */
+router.get('/course/:courseId/staff', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+
+        const { courseId } = req.params;
+        if (!(await requireCourseStaff(req, res, db, courseId, 'assign'))) return;
+
+        res.json({ success: true, staff: await listCaseStaff(db, courseId) });
+    } catch (error) {
+        console.error('Error listing mental health case staff:', error);
+        res.status(500).json({ success: false, message: 'Failed to list course staff' });
+    }
+});
+
+/**
+ * GET /api/mental-health-flags/course/:courseId/export
+ * Counselling referral export (CSV, or JSON with ?format=json). Filter with
+ * ?status= and leave out conversations with ?includeTranscript=false.
+ * Student identity is included for system admins only.
+ */
+router.get('/course/:courseId/export', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+
+        const { courseId } = req.params;
+        if (!(await requireCourseStaff(req, res, db, courseId, 'export'))) return;
+
+        let flags = await MentalHealthFlag.getMentalHealthFlagsForCourse(db, courseId, req.query.status || null);
+        flags = await attachResourcesShown(db, courseId, flags);
+        const options = {
+            includeTranscript: req.query.includeTranscript !== 'false',
+            includeIdentity: isAdmin(req.user)
+        };
+        const records = flags.map(flag => MentalHealthFlag.toReferralRecord(flag, options));
+
+        if (req.query.format === 'json') {
+            return res.json({ success: true, courseId, exportedAt: new Date().toISOString(), referrals: records });
+        }
+
+        const safeCourseId = String(courseId).replace(/[^A-Za-z0-9_-]/g, '_');
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="wellbeing-referrals-${safeCourseId}.csv"`);
+        res.send(MentalHealthFlag.referralsToCsv(records));
+    } catch (error) {
+        console.error('Error exporting mental health flags:', error);
+        res.status(500).json({ success: false, message: 'Failed to export flags' });
+    }
+});
+
 /**
  * GET /api/mental-health-flags/course/:courseId
  * Get mental health flags for a course.
@@ -70,14 +205,14 @@ router.get('/course/:courseId', async (req, res) => {
         if (!(await requireCourseStaff(req, res, db, courseId))) return;
 
         let flags = await MentalHealthFlag.getMentalHealthFlagsForCourse(db, courseId, status);
+        flags = await attachResourcesShown(db, courseId, flags);
 
         // Anonymize for non-admin users
         const userIsAdmin = isAdmin(req.user);
-        if (!userIsAdmin) {
-            flags = anonymizeFlags(flags);
-        }
+        flags = flags.map(flag => toCaseView(flag, userIsAdmin));
 
         const stats = await MentalHealthFlag.getMentalHealthFlagStats(db, courseId);
+        stats.overdue = await MentalHealthFlag.countOverdueFlags(db, courseId);
 
         res.json({
             success: true,
@@ -91,6 +226,111 @@ router.get('/course/:courseId', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/mental-health-flags/:flagId
+ * One flag with its case notes and timeline
+ */
+router.get('/:flagId', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+
+        const flag = await requireFlagStaff(req, res, db, req.params.flagId, 'view');
+        if (!flag) return;
+
+        const [withResources] = await attachResourcesShown(db, flag.courseId, [flag]);
+        res.json({ success: true, flag: toCaseView(withResources, isAdmin(req.user)) });
+    } catch (error) {
+        console.error('Error fetching mental health flag:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch flag' });
+    }
+});
+
+/**
+ * PUT /api/mental-health-flags/:flagId/assign
+ * Assign the case to an instructor or TA of the course ({ assigneeId }),
+ * or clear the assignment with assigneeId null
+ */
+router.put('/:flagId/assign', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+
+        const flag = await requireFlagStaff(req, res, db, req.params.flagId, 'assign');
+        if (!flag) return;
+
+        const { assigneeId, reason } = req.body || {};
+        let assignee = null;
+        if (assigneeId) {
+            const staff = await listCaseStaff(db, flag.courseId);
+            assignee = staff.find(member => member.userId === assigneeId);
+            if (!assignee) {
+                return res.status(400).json({ success: false, message: 'Assignee must be an instructor or TA with flag access in this course' });
+            }
+        }
+
+        const result = await MentalHealthFlag.assignFlag(db, flag.flagId, assignee, actorFor(req.user), reason);
+        res.status(result.success ? 200 : 404).json({ success: result.success, assignedTo: assignee, message: result.error });
+    } catch (error) {
+        console.error('Error assigning mental health flag:', error);
+        res.status(500).json({ success: false, message: 'Failed to assign flag' });
+    }
+});
+
+/**
+ * POST /api/mental-health-flags/:flagId/notes
+ * Add a private case note ({ text })
+ */
+router.post('/:flagId/notes', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+
+        const flag = await requireFlagStaff(req, res, db, req.params.flagId, 'update');
+        if (!flag) return;
+
+        const result = await MentalHealthFlag.addCaseNote(db, flag.flagId, req.body && req.body.text, actorFor(req.user));
+        if (!result.success) {
+            return res.status(400).json({ success: false, message: result.error });
+        }
+        res.status(201).json({ success: true, note: result.note });
+    } catch (error) {
+        console.error('Error adding mental health case note:', error);
+        res.status(500).json({ success: false, message: 'Failed to add note' });
+    }
+});
+
+/**
+ * PUT /api/mental-health-flags/:flagId/follow-up
+ * Set the follow-up deadline ({ followUpAt }); null clears it
+ */
+router.put('/:flagId/follow-up', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+
+        const flag = await requireFlagStaff(req, res, db, req.params.flagId, 'update');
+        if (!flag) return;
+
+        const result = await MentalHealthFlag.setFollowUp(db, flag.flagId, req.body && req.body.followUpAt, actorFor(req.user));
+        if (!result.success) {
+            return res.status(400).json({ success: false, message: result.error });
+        }
+        res.json({ success: true, followUpAt: result.followUpAt });
+    } catch (error) {
+        console.error('Error setting mental health follow-up:', error);
+        res.status(500).json({ success: false, message: 'Failed to set follow-up' });
+    }
+});
+
 /**
  * PUT /api/mental-health-flags/:flagId/escalate
  * Instructor escalates a flag (makes it visible with student name to admins)
@@ -107,7 +347,7 @@ router.put('/:flagId/escalate', async (req, res) => {
 
         if (!(await requireFlagStaff(req, res, db, flagId))) return;
 
-        const result = await MentalHealthFlag.updateFlagStatus(db, flagId, 'escalated', userId);
+        const result = await MentalHealthFlag.updateFlagStatus(db, flagId, 'escalated', userId, statusChangeOptions(req));
         res.status(result.success ? 200 : 404).json(result);
     } catch (error) {
         console.error('Error escalating mental health flag:', error);
@@ -131,7 +371,7 @@ router.put('/:flagId/dismiss', async (req, res) => {
 
         if (!(await requireFlagStaff(req, res, db, flagId))) return;
 
-        const result = await MentalHealthFlag.updateFlagStatus(db, flagId, 'dismissed', userId);
+        const result = await MentalHealthFlag.updateFlagStatus(db, flagId, 'dismissed', userId, statusChangeOptions(req));
         res.status(result.success ? 200 : 404).json(result);
     } catch (error) {
         console.error('Error dismissing mental health flag:', error);
@@ -157,7 +397,7 @@ router.put('/:flagId/resolve', async (req, res) => {
         const { flagId } = req.params;
         const userId = req.user?.userId;
 
-        const result = await MentalHealthFlag.updateFlagStatus(db, flagId, 'resolved', userId);
+        const result = await MentalHealthFlag.updateFlagStatus(db, flagId, 'resolved', userId, statusChangeOptions(req));
         res.status(result.success ? 200 : 404).json(result);
     } catch (error) {
         console.error('Error resolving mental health flag:', error);
@@ -183,7 +423,7 @@ router.put('/:flagId/disregard', async (req, res) => {
         const { flagId } = req.params;
         const userId = req.user?.userId;
 
-        const result = await MentalHealthFlag.updateFlagStatus(db, flagId, 'disregarded', userId);
+        const result = await MentalHealthFlag.updateFlagStatus(db, flagId, 'disregarded', userId, statusChangeOptions(req));
         res.status(result.success ? 200 : 404).json(result);
     } catch (error) {
         console.error('Error disregarding mental health flag:', error);
@@ -3,9 +3,9 @@ const express = require('express');
 const {
     MAX_DOCUMENT_BYTES,
     SUPPORTED_DOCUMENT_MIME_TYPES,
-    ingestFileBuffer,
     isSupportedDocumentMimeType
 } = require('../services/documentIngestion');
+const { ingestFileThroughQueue } = require('../services/ingestionJobRunner');
 const { resolveCourseAi, sendLlmKeyError } = require('./llmKeyMiddleware');
 const { requireManagedCourse } = require('./canvasLms');
 const { createImportProgressStream } = require('./lmsImportProgress');
@@ -34,7 +34,7 @@ function getMoodleFileSource(course = {}) {
 function createMoodleLmsRouter(
     integration,
     {
-        ingestFile = ingestFileBuffer,
+        ingestFile = ingestFileThroughQueue,
         resolveAi = resolveCourseAi
     } = {}
 ) {
@@ -224,6 +224,9 @@ function createMoodleLmsRouter(
             const { result, courseResult, qdrantResult } = await ingestFile({
                 db,
                 ai,
+                registry: req.app.locals.llmRegistry,
+                source: 'moodle',
+                createdBy: req.user.userId,
                 buffer,
                 onProgress: progress?.onIngestionProgress || diagnostics.onIngestionProgress,
                 originalName: normalized.filename || normalized.name,
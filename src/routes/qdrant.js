@@ -213,11 +213,12 @@ router.post('/process-document', async (req, res) => {
 
 /**
  * POST /api/qdrant/search
- * Search for relevant document chunks using semantic similarity
+ * Search for relevant document chunks using semantic similarity. Uses the
+ * course's retrieval mode unless `retrievalMode` ('vector' | 'hybrid') is given.
  */
 router.post('/search', async (req, res) => {
     try {
-        const { query, courseId, lectureName, limit = 10 } = req.body;
+        const { query, courseId, lectureName, limit = 10, retrievalMode } = req.body;
 
         // Authorize before validating inputs so unauthorized callers (e.g. a
         // student hitting the API directly) get a 403 rather than a validation
@@ -239,6 +240,13 @@ router.post('/search', async (req, res) => {
             });
         }
 
+        if (retrievalMode !== undefined && CourseModel.normalizeRagRetrievalMode(retrievalMode, null) === null) {
+            return res.status(400).json({
+                success: false,
+                message: `retrievalMode must be one of: ${CourseModel.RAG_RETRIEVAL_MODES.join(', ')}`
+            });
+        }
+
         const ai = await resolveCourseAi(req, res, courseId);
         if (!ai) return;
 
@@ -247,8 +255,16 @@ router.post('/search', async (req, res) => {
         if (courseId) filters.courseId = courseId;
         if (lectureName) filters.lectureName = lectureName;
 
+        let mode = retrievalMode;
+        if (mode === undefined) {
+            const ragSettings = await CourseModel.getRagSettings(req.app.locals.db, courseId);
+            mode = ragSettings.success
+                ? ragSettings.ragSettings.student.retrievalMode
+                : CourseModel.DEFAULT_RAG_RETRIEVAL_MODE;
+        }
+
         // Perform search
-        const searchResults = await ai.qdrant.searchDocuments(query, filters, limit);
+        const searchResults = await ai.qdrant.searchDocuments(query, filters, limit, { retrievalMode: mode });
 
         res.json({
             success: true,
@@ -256,6 +272,7 @@ router.post('/search', async (req, res) => {
                 query,
                 results: searchResults,
                 totalResults: searchResults.length,
+                retrievalMode: mode,
                 filters
             }
         });
@@ -1,4 +1,5 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 
 // Import the Course model instead of Question model
@@ -7,10 +8,25 @@ const prompts = require('../services/prompts');
 const { hasSystemAdminAccess } = require('../services/authorization');
 const { resolveCourseAi, sendLlmKeyError } = require('./llmKeyMiddleware');
 const { LANES } = require('../services/llmLanes');
+const { FEATURES } = require('../services/llmFeatures');
+const { QUESTION_TYPES, isStructuredType, normalizeQuestionFields } = require('../services/questionTypes');
+const { gradeShortAnswer, normalizeRubric } = require('../services/rubric');
+const { evaluateObjectiveAnswer } = require('../services/objectiveAnswer');
+const questionBank = require('../services/questionBank');
 
 // Middleware for JSON parsing
 router.use(express.json());
 
+// Question bank files (QTI packages, Moodle XML, GIFT) are parsed in memory
+const QUESTION_BANK_MAX_BYTES = 20 * 1024 * 1024;
+const questionBankUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: QUESTION_BANK_MAX_BYTES }
+});
+const QUESTION_BANK_ERROR_CODES = new Set(['INVALID_XML', 'INVALID_ZIP', 'INVALID_QUESTION_BANK']);
+// Skipped/warning details sent in the export report header
+const EXPORT_REPORT_LIMIT = 20;
+
 const QUESTION_UPDATE_FIELDS = [
     'questionType',
     'question',
@@ -21,9 +37,29 @@ const QUESTION_UPDATE_FIELDS = [
     'tags',
     'points',
     'metadata',
-    'learningObjective'
+    'learningObjective',
+    // Answer keys for the structured question types (see services/questionTypes)
+    'numeric',
+    'blanks',
+    'pairs',
+    'distractors',
+    'items',
+    // Short-answer grading rubric (see services/rubric)
+    'rubric'
 ];
 
+const STRUCTURED_QUESTION_FIELDS = ['numeric', 'blanks', 'pairs', 'distractors', 'items'];
+
+function pickStructuredFields(input = {}) {
+    const fields = {};
+    STRUCTURED_QUESTION_FIELDS.forEach(field => {
+        if (input[field] !== undefined) {
+            fields[field] = input[field];
+        }
+    });
+    return fields;
+}
+
 function normalizeLearningObjective(value) {
     if (typeof value !== 'string') {
         return '';
@@ -209,6 +245,7 @@ async function linkQuestionsToLearningObjectives(llmService, learningObjectives
     const prompt = prompts.buildQuestionObjectiveLinkingPrompt(normalizedObjectives, questionsToMatch);
     const response = await llmService.sendMessage(prompt, {
         lane: LANES.BACKEND,
+        feature: FEATURES.QUESTION_GENERATION,
         temperature: 0.1,
         maxTokens: 2048,
         response_format: { type: 'json_object' }
@@ -263,9 +300,9 @@ router.post('/', async (req, res) => {
         
         // Validate required fields. Use an explicit presence check for
         // correctAnswer so structured falsy answers (TF `false`, MCQ index `0`)
-        // aren't rejected as missing.
-        const correctAnswerMissing =
-            correctAnswer === undefined || correctAnswer === null || correctAnswer === '';
+        // aren't rejected as missing. Structured types derive it from their key.
+        const correctAnswerMissing = !isStructuredType(questionType) &&
+            (correctAnswer === undefined || correctAnswer === null || correctAnswer === '');
         if (!courseId || !lectureName || !instructorId || !questionType || !question || correctAnswerMissing) {
             return res.status(400).json({
                 success: false,
@@ -289,11 +326,23 @@ router.post('/', async (req, res) => {
         if (!user) return;
         
         // Prepare question data
-        const questionData = {
+        const questionFields = normalizeQuestionFields({
             questionType,
             question,
-            options: options || {},
             correctAnswer,
+            ...pickStructuredFields(req.body),
+            ...(req.body.rubric !== undefined ? { rubric: req.body.rubric } : {})
+        });
+        if (!questionFields.valid) {
+            return res.status(400).json({
+                success: false,
+                message: questionFields.error
+            });
+        }
+
+        const questionData = {
+            ...questionFields.question,
+            options: options || {},
             explanation: explanation || '',
             difficulty: difficulty || 'medium',
             tags: tags || [],
@@ -332,7 +381,9 @@ router.post('/', async (req, res) => {
                 questionId: result.questionId,
                 question: questionData.question,
                 questionType: questionData.questionType,
+                correctAnswer: questionData.correctAnswer,
                 learningObjective: questionData.learningObjective,
+                rubric: questionData.rubric || null,
                 createdAt: new Date().toISOString(),
                 created: result.created
             }
@@ -937,7 +988,24 @@ router.put('/:questionId', async (req, res) => {
         if (!user) return;
         
         // Prepare the updated question data
-        const questionData = sanitizeQuestionPayload(rawUpdateData);
+        let questionData = sanitizeQuestionPayload(rawUpdateData);
+        // A rubric is only checked against its question type
+        if (questionData.rubric !== undefined && questionData.questionType === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'questionType is required when updating a rubric'
+            });
+        }
+        if (questionData.questionType !== undefined) {
+            const questionFields = normalizeQuestionFields(questionData);
+            if (!questionFields.valid) {
+                return res.status(400).json({
+                    success: false,
+                    message: questionFields.error
+                });
+            }
+            questionData = questionFields.question;
+        }
         questionData.questionId = questionId;
 
         // Update question in the course structure using Course model
@@ -1080,11 +1148,20 @@ router.post('/bulk', async (req, res) => {
         let insertedCount = 0;
         let autoLinkedCount = 0;
         const insertedIds = [];
-
-        let questionsToSave = questions.map(question => ({
-            ...question,
-            learningObjective: normalizeLearningObjective(question.learningObjective)
-        }));
+        const rejected = [];
+
+        let questionsToSave = [];
+        questions.forEach((question, index) => {
+            const questionFields = normalizeQuestionFields(question);
+            if (!questionFields.valid) {
+                rejected.push({ index, error: questionFields.error });
+                return;
+            }
+            questionsToSave.push({
+                ...questionFields.question,
+                learningObjective: normalizeLearningObjective(question.learningObjective)
+            });
+        });
 
         const unitLearningObjectives = await CourseModel.getLearningObjectives(db, courseId, lectureName);
         const needsAutoLinking = unitLearningObjectives.length > 0 && questionsToSave.some(question => !question.learningObjective);
@@ -1142,7 +1219,8 @@ router.post('/bulk', async (req, res) => {
                 lectureName,
                 insertedCount,
                 insertedIds,
-                autoLinkedCount
+                autoLinkedCount,
+                rejected
             }
         });
         
@@ -1157,6 +1235,253 @@ router.post('/bulk', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/questions/bank/preview
+ * Parse an uploaded question bank (QTI, Moodle XML, or GIFT) and show what
+ * importing it would create, without saving anything
+ */
+router.post('/bank/preview', questionBankUpload.single('file'), async (req, res) => {
+    try {
+        const { courseId, instructorId, defaultLectureName } = req.body;
+        const file = req.file;
+
+        if (!courseId || !file) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required fields: courseId, file'
+            });
+        }
+
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({
+                success: false,
+                message: 'Database connection not available'
+            });
+        }
+
+        const user = await requireCourseQuestionAccess(req, res, db, courseId, {
+            mode: 'write',
+            instructorId
+        });
+        if (!user) return;
+
+        const course = await CourseModel.getCourseById(db, courseId);
+        if (!course) {
+            return res.status(404).json({ success: false, message: 'Course not found' });
+        }
+
+        const format = req.body.format && req.body.format !== 'auto'
+            ? req.body.format
+            : questionBank.detectFormat(file.buffer, file.originalname);
+        if (!questionBank.FORMATS[format]) {
+            return res.status(400).json({
+                success: false,
+                message: 'Could not tell the file format. Choose QTI, Moodle XML, or GIFT.'
+            });
+        }
+
+        const parsed = questionBank.parseQuestionBank(file.buffer, format);
+        const preview = questionBank.buildImportPreview(parsed, course.lectures || [], { defaultLectureName });
+
+        res.json({
+            success: true,
+            data: {
+                courseId,
+                filename: file.originalname,
+                formatLabel: questionBank.FORMATS[format].label,
+                ...preview
+            }
+        });
+    } catch (error) {
+        if (QUESTION_BANK_ERROR_CODES.has(error.code)) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        console.error('Error previewing question bank import:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while reading the question bank',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/questions/bank/import
+ * Create the questions chosen from an import preview. Each question names
+ * its unit; questions that fail validation are reported, not saved.
+ */
+router.post('/bank/import', async (req, res) => {
+    try {
+        const { courseId, instructorId, format, questions } = req.body;
+
+        if (!courseId || !Array.isArray(questions) || questions.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required fields: courseId, questions (non-empty array)'
+            });
+        }
+
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({
+                success: false,
+                message: 'Database connection not available'
+            });
+        }
+
+        const user = await requireCourseQuestionAccess(req, res, db, courseId, {
+            mode: 'write',
+            instructorId
+        });
+        if (!user) return;
+
+        const course = await CourseModel.getCourseById(db, courseId);
+        if (!course) {
+            return res.status(404).json({ success: false, message: 'Course not found' });
+        }
+        const lectureNames = new Set((course.lectures || []).map(lecture => lecture.name));
+
+        const created = [];
+        const rejected = [];
+        for (const [index, item] of questions.entries()) {
+            if (!item || !lectureNames.has(item.lectureName)) {
+                rejected.push({ index, error: 'Choose a unit in this course' });
+                continue;
+            }
+            const validation = questionBank.validateImportedQuestion(item);
+            if (!validation.valid) {
+                rejected.push({ index, error: validation.error });
+                continue;
+            }
+
+            const questionData = {
+                ...validation.question,
+                difficulty: 'medium',
+                tags: [],
+                learningObjective: normalizeLearningObjective(item.learningObjective),
+                points: 1,
+                metadata: {
+                    source: 'import',
+                    importFormat: questionBank.FORMATS[format] ? format : 'unknown',
+                    aiGenerated: false,
+                    reviewStatus: 'draft'
+                }
+            };
+            const result = await CourseModel.updateAssessmentQuestions(
+                db,
+                courseId,
+                item.lectureName,
+                questionData,
+                user.userId
+            );
+            if (result.success) {
+                created.push({ index, questionId: result.questionId, lectureName: item.lectureName });
+            } else {
+                rejected.push({ index, error: result.error || 'Failed to create question' });
+            }
+        }
+
+        console.log(`Imported ${created.length} questions into ${courseId} by user ${user.userId}`);
+
+        res.json({
+            success: true,
+            message: `${created.length} question${created.length === 1 ? '' : 's'} imported.`,
+            data: {
+                courseId,
+                createdCount: created.length,
+                created,
+                rejected
+            }
+        });
+    } catch (error) {
+        console.error('Error importing question bank:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while importing questions',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/questions/bank/export
+ * Download a course's questions (or one unit's) as QTI, Moodle XML, or GIFT.
+ * Counts and details of skipped questions ride along in X-Question-Bank-*
+ * headers so the page can report them.
+ */
+router.get('/bank/export', async (req, res) => {
+    try {
+        const { courseId, format, lectureName } = req.query;
+
+        if (!courseId || !format) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required parameters: courseId, format'
+            });
+        }
+        if (!questionBank.FORMATS[format]) {
+            return res.status(400).json({
+                success: false,
+                message: `format must be one of: ${Object.keys(questionBank.FORMATS).join(', ')}`
+            });
+        }
+
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({
+                success: false,
+                message: 'Database connection not available'
+            });
+        }
+
+        const user = await requireCourseQuestionAccess(req, res, db, courseId, { mode: 'write' });
+        if (!user) return;
+
+        const course = await CourseModel.getCourseById(db, courseId);
+        if (!course) {
+            return res.status(404).json({ success: false, message: 'Course not found' });
+        }
+
+        const lectures = (course.lectures || []).filter(lecture => !lectureName || lecture.name === lectureName);
+        if (lectureName && lectures.length === 0) {
+            return res.status(404).json({ success: false, message: 'Unit not found' });
+        }
+
+        const result = questionBank.exportQuestionBank(lectures, format, {
+            title: course.courseName || courseId
+        });
+        if (result.exported === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'There are no questions to export in this format',
+                data: { skipped: result.skipped }
+            });
+        }
+
+        const report = {
+            skipped: result.skipped.slice(0, EXPORT_REPORT_LIMIT),
+            warnings: result.warnings.slice(0, EXPORT_REPORT_LIMIT)
+        };
+        res.set({
+            'Content-Type': result.contentType,
+            'Content-Disposition': `attachment; filename="${result.filename}"`,
+            'X-Question-Bank-Exported': String(result.exported),
+            'X-Question-Bank-Skipped': String(result.skipped.length),
+            'X-Question-Bank-Warnings': String(result.warnings.length),
+            'X-Question-Bank-Report': encodeURIComponent(JSON.stringify(report))
+        });
+        res.send(result.body);
+    } catch (error) {
+        console.error('Error exporting question bank:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while exporting questions',
+            error: error.message
+        });
+    }
+});
+
 /**
  * POST /api/questions/check-answer
  * Check a student's answer using LLM
@@ -1165,6 +1490,24 @@ router.post('/check-answer', async (req, res) => {
     try {
         const { courseId, question, studentAnswer, expectedAnswer, questionType, studentName } = req.body;
 
+        // Structured types are graded against their key here, with no LLM call
+        if (isStructuredType(questionType)) {
+            if (!question || studentAnswer === undefined || studentAnswer === null || studentAnswer === '') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Missing required fields: question, studentAnswer'
+                });
+            }
+            const questionFields = normalizeQuestionFields({ questionType, question, ...pickStructuredFields(req.body) });
+            if (!questionFields.valid) {
+                return res.status(400).json({ success: false, message: questionFields.error });
+            }
+            return res.json({
+                success: true,
+                data: evaluateObjectiveAnswer(questionFields.question, studentAnswer)
+            });
+        }
+
         if (!courseId || !question || !studentAnswer || !expectedAnswer) {
             return res.status(400).json({
                 success: false,
@@ -1172,15 +1515,19 @@ router.post('/check-answer', async (req, res) => {
             });
         }
 
+        // A short-answer rubric is scored per criterion
+        const rubric = questionType === 'short-answer' ? normalizeRubric(req.body.rubric) : { valid: true, rubric: null };
+        if (!rubric.valid) {
+            return res.status(400).json({ success: false, message: rubric.error });
+        }
+
         const ai = await resolveCourseAi(req, res, courseId);
         if (!ai) return;
-        const llmService = ai.llm;
 
-        const result = await llmService.evaluateStudentAnswer(
-            question,
+        const result = await gradeShortAnswer(
+            ai.llm,
+            { question, correctAnswer: expectedAnswer, questionType, rubric: rubric.rubric },
             studentAnswer,
-            expectedAnswer,
-            questionType,
             studentName || 'Student'
         );
 
@@ -1236,11 +1583,10 @@ router.post('/generate-ai', async (req, res) => {
         console.log('🎯 [GENERATE] Learning objectives:', learningObjectives);
         
         // Validate question type
-        const validQuestionTypes = ['true-false', 'multiple-choice', 'short-answer'];
-        if (!validQuestionTypes.includes(questionType)) {
+        if (!QUESTION_TYPES.includes(questionType)) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid question type. Must be one of: true-false, multiple-choice, short-answer'
+                message: `Invalid question type. Must be one of: ${QUESTION_TYPES.join(', ')}`
             });
         }
         
@@ -1510,6 +1856,8 @@ router.post('/generate-ai', async (req, res) => {
                     question: generatedQuestion.question,
                     answer: generatedQuestion.answer,
                     options: generatedQuestion.options || {},
+                    ...pickStructuredFields(generatedQuestion),
+                    explanation: generatedQuestion.explanation || '',
                     questionType: questionType,
                     unitName: lectureName,
                     courseId: courseId,
@@ -8,15 +8,24 @@ const path = require('path');
 const router = express.Router();
 const CourseModel = require('../models/Course');
 const QuizAttempt = require('../models/QuizAttempt');
+const QuizGrading = require('../models/QuizGrading');
 const DocumentModel = require('../models/Document');
 const gridfs = require('../services/gridfs');
 const prompts = require('../services/prompts');
 const BadWordsFilter = require('bad-words');
 const { resolveCourseAi, sendLlmKeyError } = require('./llmKeyMiddleware');
 const { publicProviderKeyState } = require('../services/llmKeyStore');
-const { evaluateObjectiveAnswer } = require('../services/objectiveAnswer');
+const { evaluateObjectiveAnswer, formatStudentAnswer, isAutoGradedQuestion } = require('../services/objectiveAnswer');
+const { toStudentFields } = require('../services/questionTypes');
+const { gradeShortAnswer, hasRubric } = require('../services/rubric');
 const { LANES } = require('../services/llmLanes');
+const { FEATURES } = require('../services/llmFeatures');
+const { buildPromptVariables, renderPromptTemplate } = require('../services/promptTemplates');
+const wellness = require('../services/wellnessResources');
+const WellnessResourceDisplay = require('../models/WellnessResourceDisplay');
+const { createAiRateLimit } = require('../middleware/rateLimit');
 const profanityFilter = new BadWordsFilter();
+const aiRateLimit = createAiRateLimit();
 
 router.use(express.json());
 
@@ -137,10 +146,6 @@ async function getVisibleQuizQuestion(db, courseId, lectureName, questionId) {
     return { question };
 }
 
-function isObjectiveQuestion(question) {
-    return question.questionType === 'multiple-choice' || question.questionType === 'true-false';
-}
-
 /**
  * GET /api/quiz/status
  * Lightweight check: is the quiz page enabled for this course?
@@ -238,10 +243,12 @@ router.get('/questions', async (req, res) => {
                         options: q.options || {},
                         difficulty: q.difficulty || 'medium',
                         tags: q.tags || [],
-                        points: q.points || 1
+                        points: q.points || 1,
+                        ...toStudentFields(q)
                     };
 
-                    // correctAnswer is never sent to the client — all checking is server-side
+                    // correctAnswer (and the structured answer keys) are never sent to
+                    // the client — all checking is server-side
 
                     allQuestions.push(sanitized);
                 }
@@ -300,24 +307,26 @@ router.post('/check-answer', async (req, res) => {
         const ai = await resolveCourseAi(req, res, courseId);
         if (!ai) return;
 
-        // MC and TF: direct comparison, no LLM needed
-        if (isObjectiveQuestion(question)) {
+        // MC, TF, and the structured types: graded against the key, no LLM needed
+        if (isAutoGradedQuestion(question)) {
             return res.json({
                 success: true,
                 data: evaluateObjectiveAnswer(question, studentAnswer)
             });
         }
 
-        // Short-answer: AI evaluation
-        const llmService = ai.llm;
-
-        const result = await llmService.evaluateStudentAnswer(
-            question.question,
-            studentAnswer,
-            question.correctAnswer,
-            question.questionType,
-            studentName || 'Student'
-        );
+        // Short-answer: AI evaluation, per criterion when the question has a rubric
+        const result = await gradeShortAnswer(ai.llm, question, studentAnswer, studentName || 'Student');
+        // The attempt records this rubric grading rather than grading again
+        if (hasRubric(question) && req.user) {
+            await QuizGrading.saveGrading(db, {
+                studentId: req.user.userId,
+                courseId,
+                questionId,
+                studentAnswer,
+                grading: result
+            });
+        }
 
         res.json({ success: true, data: result });
     } catch (error) {
@@ -358,7 +367,22 @@ router.post('/attempt', async (req, res) => {
         if (!ai) return;
 
         const { question } = lookup;
-        if (isObjectiveQuestion(question)) {
+        let score = null;
+        let isCorrect = Boolean(correct);
+        let criteria = null;
+        let savedFeedback = feedback || '';
+        // Rubric points are never taken from the client: the grading shown by
+        // /check-answer is reused, and only an unchecked answer is graded here
+        if (hasRubric(question)) {
+            const graded = await QuizGrading.takeGrading(db, { studentId, courseId, questionId, studentAnswer })
+                || await gradeShortAnswer(
+                    ai.llm, question, String(studentAnswer), req.user.displayName || req.user.username || 'Student'
+                );
+            criteria = Array.isArray(graded.criteria) ? graded.criteria : [];
+            score = typeof graded.score === 'number' ? graded.score : 0;
+            isCorrect = graded.correct === true;
+            savedFeedback = graded.feedback || savedFeedback;
+        } else if (isAutoGradedQuestion(question)) {
             const evaluated = evaluateObjectiveAnswer(question, studentAnswer);
             if (evaluated.correct !== Boolean(correct)) {
                 return res.status(409).json({
@@ -366,6 +390,7 @@ router.post('/attempt', async (req, res) => {
                     message: 'Submitted correctness does not match the stored answer'
                 });
             }
+            score = evaluated.score ?? null;
         }
 
         const result = await QuizAttempt.saveAttempt(db, {
@@ -374,9 +399,11 @@ router.post('/attempt', async (req, res) => {
             questionId,
             lectureName,
             questionType,
-            studentAnswer: String(studentAnswer),
-            correct: Boolean(correct),
-            feedback: feedback || ''
+            studentAnswer: formatStudentAnswer(studentAnswer),
+            correct: isCorrect,
+            score,
+            rubricScores: criteria,
+            feedback: savedFeedback
         });
 
         res.json({ success: true, attemptId: result.attemptId });
@@ -544,7 +571,7 @@ router.get('/materials/:documentId/download', async (req, res) => {
  * POST /api/quiz/chat
  * Quiz-specific help chat - scoped to a single question and its lecture unit
  */
-router.post('/chat', async (req, res) => {
+router.post('/chat', aiRateLimit, async (req, res) => {
     try {
         const {
             message,
@@ -588,10 +615,26 @@ router.post('/chat', async (req, res) => {
         // Safety check
         const safetyKeywords = ['suicide', 'kill myself', 'want to die', 'end my life', 'ending it all'];
         if (safetyKeywords.some(kw => message.toLowerCase().includes(kw))) {
+            const resources = await wellness.resolveWellnessResources(db, courseId);
+            const card = wellness.buildResourcesCard(resources);
+            if (card && req.user) {
+                try {
+                    await WellnessResourceDisplay.recordDisplay(db, {
+                        courseId,
+                        studentId: req.user.userId,
+                        source: 'quiz',
+                        unitName: lectureName,
+                        resources: card.resources
+                    });
+                } catch (auditError) {
+                    console.error('Error recording wellness resources shown (non-blocking):', auditError);
+                }
+            }
             return res.json({
                 success: true,
-                message: "I'm sorry you're feeling this way. Please reach out to the UBC Wellness Centre: http://students.ubc.ca/health/wellness-centre/",
-                source: 'system'
+                message: `I'm sorry you're feeling this way. Please reach out for support: ${wellness.formatResourcesForPrompt(resources)}`,
+                source: 'system',
+                wellnessResources: card
             });
         }
 
@@ -620,11 +663,16 @@ router.post('/chat', async (req, res) => {
         let contextText = '';
         try {
             const qdrant = ai.qdrant;
+            const ragCourse = await db.collection('courses').findOne(
+                { courseId },
+                { projection: { ragSettings: 1 } }
+            );
 
             const searchResults = await qdrant.searchDocuments(
                 message,
                 { courseId, lectureNames: [lectureName] },
-                6
+                6,
+                { retrievalMode: CourseModel.resolveRagSettings(ragCourse || {}).student.retrievalMode }
             );
 
             if (searchResults && searchResults.length > 0) {
@@ -671,9 +719,15 @@ Student's new message: ${message}`;
             if (course.prompts.quizHelp) quizHelpPrompt = course.prompts.quizHelp;
         }
 
+        const wellnessResources = await wellness.resolveCourseResources(db, course);
+        const promptVariables = buildPromptVariables(course, { unitNames: [lectureName], wellnessResources });
+        basePrompt = renderPromptTemplate(basePrompt, promptVariables);
+        quizHelpPrompt = renderPromptTemplate(quizHelpPrompt, promptVariables);
+
         // Call LLM
         const response = await llmService.sendMessage(messageToSend, {
             lane: LANES.FRONTEND,
+            feature: FEATURES.QUIZ_HELP,
             temperature: 0.5,
             maxTokens: 1024,
             systemPrompt: basePrompt + '\n\n' + quizHelpPrompt
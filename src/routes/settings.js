@@ -40,7 +40,21 @@ const {
     providerCatalog,
     providerLabel
 } = require('../services/llmProviders');
-const { buildEmbeddingProfile } = require('../services/embeddingConfig');
+const { buildEmbeddingProfile, embeddingProfileKey } = require('../services/embeddingConfig');
+const QdrantService = require('../services/qdrantService');
+const RetrievalEvalModel = require('../models/RetrievalEval');
+const AnswerCacheModel = require('../models/AnswerCache');
+const TokenUsageModel = require('../models/TokenUsage');
+const PromptVersionModel = require('../models/PromptVersion');
+const PromptExperimentModel = require('../models/PromptExperiment');
+const MessageFeedbackModel = require('../models/MessageFeedback');
+const ChatSurveyResponseModel = require('../models/ChatSurveyResponse');
+const { getBudgetStatus } = require('../services/tokenMeter');
+const rateLimits = require('../services/rateLimits');
+const wellnessResources = require('../services/wellnessResources');
+const promptTemplates = require('../services/promptTemplates');
+const { evaluateGoldenSet, compareMetrics } = require('../services/retrievalEvaluation');
+const { resolveCourseAi } = require('./llmKeyMiddleware');
 const {
     listSystemAdmins,
     grantSystemAdminByEmail,
@@ -77,7 +91,16 @@ function buildAiSettingsResponse(course) {
         defaults: {
             studentTopK: CourseModel.DEFAULT_STUDENT_RAG_TOP_K,
             minTopK: CourseModel.MIN_RAG_TOP_K,
-            maxTopK: CourseModel.MAX_RAG_TOP_K
+            maxTopK: CourseModel.MAX_RAG_TOP_K,
+            studentRetrievalMode: CourseModel.DEFAULT_RAG_RETRIEVAL_MODE,
+            retrievalModes: CourseModel.RAG_RETRIEVAL_MODES,
+            studentRerank: CourseModel.DEFAULT_RERANK_SETTINGS,
+            rerankScorers: CourseModel.RERANK_SCORERS,
+            minRerankCandidates: CourseModel.MIN_RERANK_CANDIDATES,
+            maxRerankCandidates: CourseModel.MAX_RERANK_CANDIDATES,
+            studentAnswerCache: CourseModel.DEFAULT_ANSWER_CACHE_SETTINGS,
+            minAnswerCacheThreshold: CourseModel.MIN_ANSWER_CACHE_THRESHOLD,
+            maxAnswerCacheThreshold: CourseModel.MAX_ANSWER_CACHE_THRESHOLD
         }
     };
 }
@@ -352,7 +375,7 @@ router.put('/ai-settings', async (req, res) => {
             return res.status(503).json({ success: false, message: 'Database connection not available' });
         }
 
-        const { courseId, superchatIds, studentTopK } = req.body || {};
+        const { courseId, superchatIds, studentTopK, studentRetrievalMode, studentRerank, studentAnswerCache } = req.body || {};
         if (!courseId) {
             return res.status(400).json({ success: false, message: 'courseId is required' });
         }
@@ -369,85 +392,912 @@ router.put('/ai-settings', async (req, res) => {
             });
         }
 
+        // Older clients don't send the retrieval mode; leave the stored one alone.
+        let retrievalMode = null;
+        if (studentRetrievalMode !== undefined) {
+            retrievalMode = CourseModel.normalizeRagRetrievalMode(studentRetrievalMode, null);
+            if (retrievalMode === null) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Student Chat retrieval mode must be one of: ${CourseModel.RAG_RETRIEVAL_MODES.join(', ')}`
+                });
+            }
+        }
+
+        // Same for re-ranking: omitted means keep the stored settings.
+        let rerank = null;
+        if (studentRerank !== undefined) {
+            rerank = CourseModel.normalizeRerankSettings(studentRerank, { strict: true });
+            if (rerank === null) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Re-ranking needs a scorer (${CourseModel.RERANK_SCORERS.join(', ')}) and ${CourseModel.MIN_RERANK_CANDIDATES}-${CourseModel.MAX_RERANK_CANDIDATES} candidates`
+                });
+            }
+        }
+
+        let answerCache = null;
+        if (studentAnswerCache !== undefined) {
+            answerCache = CourseModel.normalizeAnswerCacheSettings(studentAnswerCache, { strict: true });
+            if (answerCache === null) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Answer cache similarity threshold must be from ${CourseModel.MIN_ANSWER_CACHE_THRESHOLD} to ${CourseModel.MAX_ANSWER_CACHE_THRESHOLD}`
+                });
+            }
+        }
+
         const normalizedSuperchatIds = CourseModel.normalizeSuperchatIds(superchatIds);
 
-        const result = await db.collection('courses').updateOne(
-            { courseId, status: { $ne: 'deleted' } },
-            {
-                $set: {
-                    superchatIds: normalizedSuperchatIds,
-                    'ragSettings.student.topK': topK,
-                    updatedAt: new Date(),
-                    lastUpdatedById: req.user.userId
-                }
-            }
-        );
+        const update = {
+            superchatIds: normalizedSuperchatIds,
+            'ragSettings.student.topK': topK,
+            updatedAt: new Date(),
+            lastUpdatedById: req.user.userId
+        };
+        if (retrievalMode) {
+            update['ragSettings.student.retrievalMode'] = retrievalMode;
+        }
+        if (rerank) {
+            update['ragSettings.student.rerank'] = rerank;
+        }
+        if (answerCache) {
+            update['ragSettings.student.answerCache'] = answerCache;
+        }
+
+        const result = await db.collection('courses').findOneAndUpdate(
+            { courseId, status: { $ne: 'deleted' } },
+            { $set: update },
+            { returnDocument: 'after', projection: { ragSettings: 1 } }
+        );
+
+        if (!result) {
+            return res.status(404).json({ success: false, message: 'Course not found' });
+        }
+
+        res.json({
+            success: true,
+            courseId,
+            message: 'AI settings saved',
+            settings: {
+                superchatIds: normalizedSuperchatIds,
+                ragSettings: CourseModel.resolveRagSettings(result),
+                defaults: buildAiSettingsResponse({}).defaults
+            }
+        });
+    } catch (error) {
+        console.error('Error saving AI settings:', error);
+        res.status(500).json({ success: false, message: 'Failed to save AI settings' });
+    }
+});
+
+router.post('/ai-settings/reset', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+
+        const { courseId } = req.body || {};
+        if (!courseId) {
+            return res.status(400).json({ success: false, message: 'courseId is required' });
+        }
+
+        if (!(await requireCourseSettingsAccess(db, req, res, courseId))) {
+            return;
+        }
+
+        const result = await db.collection('courses').updateOne(
+            { courseId, status: { $ne: 'deleted' } },
+            {
+                $set: {
+                    superchatIds: [],
+                    'ragSettings.student.topK': CourseModel.DEFAULT_STUDENT_RAG_TOP_K,
+                    'ragSettings.student.retrievalMode': CourseModel.DEFAULT_RAG_RETRIEVAL_MODE,
+                    'ragSettings.student.rerank': { ...CourseModel.DEFAULT_RERANK_SETTINGS },
+                    updatedAt: new Date(),
+                    lastUpdatedById: req.user.userId
+                }
+            }
+        );
+
+        if (result.matchedCount === 0) {
+            return res.status(404).json({ success: false, message: 'Course not found' });
+        }
+
+        res.json({
+            success: true,
+            courseId,
+            message: 'AI settings reset to defaults',
+            settings: {
+                superchatIds: [],
+                ragSettings: {
+                    student: {
+                        topK: CourseModel.DEFAULT_STUDENT_RAG_TOP_K,
+                        retrievalMode: CourseModel.DEFAULT_RAG_RETRIEVAL_MODE,
+                        rerank: { ...CourseModel.DEFAULT_RERANK_SETTINGS }
+                    }
+                },
+                defaults: buildAiSettingsResponse({}).defaults
+            }
+        });
+    } catch (error) {
+        console.error('Error resetting AI settings:', error);
+        res.status(500).json({ success: false, message: 'Failed to reset AI settings' });
+    }
+});
+
+// Golden set questions scored per run; larger sets are cut to the oldest N so
+// one request stays within a reasonable number of LLM calls.
+const MAX_EVAL_ITEMS_PER_RUN = 50;
+
+/**
+ * GET /api/settings/retrieval-eval/items?courseId=
+ * A course's retrieval golden set
+ */
+router.get('/retrieval-eval/items', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+
+        const courseId = req.query.courseId;
+        if (!courseId) {
+            return res.status(400).json({ success: false, message: 'courseId is required' });
+        }
+        if (!(await requireCourseSettingsAccess(db, req, res, courseId))) {
+            return;
+        }
+
+        const items = await RetrievalEvalModel.listEvalItems(db, courseId);
+        res.json({
+            success: true,
+            courseId,
+            items,
+            maxItems: RetrievalEvalModel.MAX_ITEMS_PER_COURSE,
+            maxItemsPerRun: MAX_EVAL_ITEMS_PER_RUN
+        });
+    } catch (error) {
+        console.error('Error fetching retrieval golden set:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch golden set' });
+    }
+});
+
+/**
+ * POST /api/settings/retrieval-eval/items
+ * Add a question with the documents/units that should be retrieved for it
+ */
+router.post('/retrieval-eval/items', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+
+        const body = req.body || {};
+        if (!body.courseId) {
+            return res.status(400).json({ success: false, message: 'courseId is required' });
+        }
+        if (!(await requireCourseSettingsAccess(db, req, res, body.courseId))) {
+            return;
+        }
+
+        const result = await RetrievalEvalModel.createEvalItem(db, body.courseId, body, req.user.userId);
+        if (!result.success) {
+            return res.status(400).json({ success: false, message: result.error });
+        }
+        res.status(201).json({ success: true, item: result.item });
+    } catch (error) {
+        console.error('Error adding golden set question:', error);
+        res.status(500).json({ success: false, message: 'Failed to add golden set question' });
+    }
+});
+
+/**
+ * PUT /api/settings/retrieval-eval/items/:itemId
+ * Replace a golden set question
+ */
+router.put('/retrieval-eval/items/:itemId', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+
+        const body = req.body || {};
+        if (!body.courseId) {
+            return res.status(400).json({ success: false, message: 'courseId is required' });
+        }
+        if (!(await requireCourseSettingsAccess(db, req, res, body.courseId))) {
+            return;
+        }
+
+        const result = await RetrievalEvalModel.updateEvalItem(db, body.courseId, req.params.itemId, body);
+        if (!result.success) {
+            return res.status(result.notFound ? 404 : 400).json({ success: false, message: result.error });
+        }
+        res.json({ success: true, item: result.item });
+    } catch (error) {
+        console.error('Error updating golden set question:', error);
+        res.status(500).json({ success: false, message: 'Failed to update golden set question' });
+    }
+});
+
+/**
+ * DELETE /api/settings/retrieval-eval/items/:itemId?courseId=
+ */
+router.delete('/retrieval-eval/items/:itemId', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+
+        const courseId = req.query.courseId;
+        if (!courseId) {
+            return res.status(400).json({ success: false, message: 'courseId is required' });
+        }
+        if (!(await requireCourseSettingsAccess(db, req, res, courseId))) {
+            return;
+        }
+
+        const deleted = await RetrievalEvalModel.deleteEvalItem(db, courseId, req.params.itemId);
+        if (!deleted) {
+            return res.status(404).json({ success: false, message: 'Golden set question not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting golden set question:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete golden set question' });
+    }
+});
+
+/**
+ * Qdrant client for the embedding model an admin has staged but not yet
+ * activated on the course's platform, so the golden set can be scored against
+ * the new collection before anyone switches to it. Returns null when nothing
+ * is staged.
+ */
+async function buildPendingEvalQdrant(db, ai) {
+    const all = await adminModelSettings.getAllProviderSettings(db, { force: true });
+    const pending = all.pendingEmbedding && all.pendingEmbedding[ai.provider];
+    if (!pending) return null;
+
+    const profile = buildEmbeddingProfile({
+        provider: ai.provider,
+        embeddingModel: pending.embeddingModel,
+        revision: pending.embeddingRevision,
+        vectorSize: pending.vectorSize || undefined,
+        endpoint: ai.embeddingProfile.endpoint,
+        apiKey: ai.embeddingProfile.apiKey
+    });
+    const qdrant = new QdrantService({ embeddingProfile: profile, createCollectionIfMissing: false });
+    await qdrant.initialize();
+    return { qdrant, profile };
+}
+
+/**
+ * POST /api/settings/retrieval-eval/runs
+ * Score the golden set against the course's current collection (or, with
+ * `target: "pending"`, the collection of a staged embedding model) and save
+ * the result. `includeAnswers: false` skips answer generation and grading.
+ */
+router.post('/retrieval-eval/runs', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+
+        const body = req.body || {};
+        const courseId = body.courseId;
+        if (!courseId) {
+            return res.status(400).json({ success: false, message: 'courseId is required' });
+        }
+        if (body.target !== undefined && !['active', 'pending'].includes(body.target)) {
+            return res.status(400).json({ success: false, message: 'target must be "active" or "pending"' });
+        }
+        if (!(await requireCourseSettingsAccess(db, req, res, courseId))) {
+            return;
+        }
+
+        const items = await RetrievalEvalModel.listEvalItems(db, courseId);
+        if (items.length === 0) {
+            return res.status(400).json({ success: false, message: 'Add golden set questions before running an evaluation' });
+        }
+
+        const course = await db.collection('courses').findOne(
+            { courseId, status: { $ne: 'deleted' } },
+            { projection: { ragSettings: 1 } }
+        );
+        const ragSettings = CourseModel.resolveRagSettings(course || {});
+
+        const ai = await resolveCourseAi(req, res, courseId);
+        if (!ai) return;
+
+        let qdrant = ai.qdrant;
+        let profile = ai.embeddingProfile;
+        if (body.target === 'pending') {
+            const pending = await buildPendingEvalQdrant(db, ai);
+            if (!pending) {
+                return res.status(409).json({ success: false, message: 'No embedding model change is staged for this course\'s platform' });
+            }
+            ({ qdrant, profile } = pending);
+        }
+
+        const includeAnswers = body.includeAnswers !== false;
+        const startedAt = Date.now();
+        const evaluation = await evaluateGoldenSet({
+            items: items.slice(0, MAX_EVAL_ITEMS_PER_RUN),
+            qdrant,
+            courseId,
+            topK: ragSettings.student.topK,
+            retrievalMode: ragSettings.student.retrievalMode,
+            llmService: ai.llm,
+            includeAnswers
+        });
+
+        const saved = await RetrievalEvalModel.saveEvalRun(db, {
+            courseId,
+            profileKey: profile.key,
+            collection: profile.collection,
+            retrievalMode: ragSettings.student.retrievalMode,
+            topK: ragSettings.student.topK,
+            includeAnswers,
+            metrics: evaluation.metrics,
+            items: evaluation.items,
+            createdById: req.user.userId,
+            durationMs: Date.now() - startedAt
+        });
+
+        res.status(201).json({
+            success: true,
+            run: saved.run,
+            skippedItems: Math.max(0, items.length - MAX_EVAL_ITEMS_PER_RUN)
+        });
+    } catch (error) {
+        console.error('Error running retrieval evaluation:', error);
+        res.status(500).json({ success: false, message: 'Failed to run retrieval evaluation' });
+    }
+});
+
+/**
+ * GET /api/settings/retrieval-eval/runs?courseId=
+ * Saved runs, most recent first, with the latest compared to the one before it
+ */
+router.get('/retrieval-eval/runs', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+
+        const courseId = req.query.courseId;
+        if (!courseId) {
+            return res.status(400).json({ success: false, message: 'courseId is required' });
+        }
+        if (!(await requireCourseSettingsAccess(db, req, res, courseId))) {
+            return;
+        }
+
+        const runs = await RetrievalEvalModel.listEvalRuns(db, courseId, {
+            profileKey: req.query.profileKey,
+            limit: Number.parseInt(req.query.limit, 10) || undefined
+        });
+        res.json({
+            success: true,
+            courseId,
+            runs,
+            comparison: runs.length > 1 ? compareMetrics(runs[1].metrics, runs[0].metrics) : null
+        });
+    } catch (error) {
+        console.error('Error fetching retrieval evaluation runs:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch evaluation runs' });
+    }
+});
+
+/**
+ * GET /api/settings/retrieval-eval/runs/:runId?courseId=
+ * One run with its per-question results
+ */
+router.get('/retrieval-eval/runs/:runId', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+
+        const courseId = req.query.courseId;
+        if (!courseId) {
+            return res.status(400).json({ success: false, message: 'courseId is required' });
+        }
+        if (!(await requireCourseSettingsAccess(db, req, res, courseId))) {
+            return;
+        }
+
+        const run = await RetrievalEvalModel.getEvalRun(db, courseId, req.params.runId);
+        if (!run) {
+            return res.status(404).json({ success: false, message: 'Evaluation run not found' });
+        }
+        res.json({ success: true, run });
+    } catch (error) {
+        console.error('Error fetching retrieval evaluation run:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch evaluation run' });
+    }
+});
+
+/**
+ * GET /api/settings/answer-cache?courseId=&unitName=
+ * A course's cached student chat answers, pinned and most used first, with
+ * hit-rate stats
+ */
+router.get('/answer-cache', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+
+        const courseId = req.query.courseId;
+        if (!courseId) {
+            return res.status(400).json({ success: false, message: 'courseId is required' });
+        }
+        if (!(await requireCourseSettingsAccess(db, req, res, courseId))) {
+            return;
+        }
+
+        const [entries, stats] = await Promise.all([
+            AnswerCacheModel.listEntries(db, courseId, {
+                unitName: req.query.unitName,
+                limit: Number.parseInt(req.query.limit, 10)
+            }),
+            AnswerCacheModel.getCacheStats(db, [courseId])
+        ]);
+        res.json({ success: true, courseId, entries, stats });
+    } catch (error) {
+        console.error('Error fetching answer cache:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch cached answers' });
+    }
+});
+
+/**
+ * PUT /api/settings/answer-cache/:entryId/pin
+ * Pin (or unpin) a cached answer. Pinned answers survive document and prompt
+ * changes until purged.
+ */
+router.put('/answer-cache/:entryId/pin', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+
+        const { courseId, pinned } = req.body || {};
+        if (!courseId) {
+            return res.status(400).json({ success: false, message: 'courseId is required' });
+        }
+        if (typeof pinned !== 'boolean') {
+            return res.status(400).json({ success: false, message: 'pinned must be true or false' });
+        }
+        if (!(await requireCourseSettingsAccess(db, req, res, courseId))) {
+            return;
+        }
+
+        const entry = await AnswerCacheModel.setPinned(db, courseId, req.params.entryId, pinned);
+        if (!entry) {
+            return res.status(404).json({ success: false, message: 'Cached answer not found' });
+        }
+        res.json({ success: true, entry });
+    } catch (error) {
+        console.error('Error pinning cached answer:', error);
+        res.status(500).json({ success: false, message: 'Failed to update cached answer' });
+    }
+});
+
+/**
+ * DELETE /api/settings/answer-cache/:entryId?courseId=
+ */
+router.delete('/answer-cache/:entryId', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+
+        const courseId = req.query.courseId;
+        if (!courseId) {
+            return res.status(400).json({ success: false, message: 'courseId is required' });
+        }
+        if (!(await requireCourseSettingsAccess(db, req, res, courseId))) {
+            return;
+        }
+
+        const removed = await AnswerCacheModel.purgeEntries(db, courseId, { entryId: req.params.entryId });
+        if (removed === 0) {
+            return res.status(404).json({ success: false, message: 'Cached answer not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting cached answer:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete cached answer' });
+    }
+});
+
+/**
+ * POST /api/settings/answer-cache/purge
+ * Remove a course's (or one unit's) cached answers. Pinned answers are kept
+ * unless includePinned is true.
+ */
+router.post('/answer-cache/purge', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+
+        const { courseId, unitName, includePinned } = req.body || {};
+        if (!courseId) {
+            return res.status(400).json({ success: false, message: 'courseId is required' });
+        }
+        if (!(await requireCourseSettingsAccess(db, req, res, courseId))) {
+            return;
+        }
+
+        const removed = await AnswerCacheModel.purgeEntries(db, courseId, {
+            unitName,
+            includePinned: includePinned === true
+        });
+        res.json({ success: true, removed });
+    } catch (error) {
+        console.error('Error purging answer cache:', error);
+        res.status(500).json({ success: false, message: 'Failed to purge cached answers' });
+    }
+});
+
+/**
+ * GET /api/settings/token-usage?courseId=&days=
+ * LLM token usage for a course by feature, lane, model, and day, with the
+ * course budget and where usage stands against it
+ */
+router.get('/token-usage', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
 
-        if (result.matchedCount === 0) {
-            return res.status(404).json({ success: false, message: 'Course not found' });
+        const courseId = req.query.courseId;
+        if (!courseId) {
+            return res.status(400).json({ success: false, message: 'courseId is required' });
+        }
+        if (!(await requireCourseSettingsAccess(db, req, res, courseId))) {
+            return;
         }
 
+        const [usage, budgetStatus] = await Promise.all([
+            TokenUsageModel.getUsageSummary(db, courseId, { days: Number.parseInt(req.query.days, 10) }),
+            getBudgetStatus(db, courseId)
+        ]);
         res.json({
             success: true,
             courseId,
-            message: 'AI settings saved',
-            settings: {
-                superchatIds: normalizedSuperchatIds,
-                ragSettings: { student: { topK } },
-                defaults: buildAiSettingsResponse({}).defaults
+            usage,
+            budget: budgetStatus.budget,
+            spend: budgetStatus.spend,
+            status: {
+                level: budgetStatus.level,
+                period: budgetStatus.period,
+                usedPercent: budgetStatus.usedPercent
+            },
+            defaults: {
+                ...CourseModel.DEFAULT_TOKEN_BUDGET,
+                maxTokenBudget: CourseModel.MAX_TOKEN_BUDGET,
+                minDegradeAtPercent: CourseModel.MIN_TOKEN_BUDGET_DEGRADE_PERCENT,
+                maxDegradeAtPercent: CourseModel.MAX_TOKEN_BUDGET_DEGRADE_PERCENT
             }
         });
     } catch (error) {
-        console.error('Error saving AI settings:', error);
-        res.status(500).json({ success: false, message: 'Failed to save AI settings' });
+        console.error('Error fetching token usage:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch token usage' });
     }
 });
 
-router.post('/ai-settings/reset', async (req, res) => {
+/**
+ * PUT /api/settings/token-budget
+ * Set a course's daily and monthly token budgets (empty = no limit) and the
+ * percentage at which non-essential LLM calls stop
+ */
+router.put('/token-budget', async (req, res) => {
     try {
         const db = req.app.locals.db;
         if (!db) {
             return res.status(503).json({ success: false, message: 'Database connection not available' });
         }
 
-        const { courseId } = req.body || {};
+        const { courseId, dailyTokens, monthlyTokens, degradeAtPercent } = req.body || {};
         if (!courseId) {
             return res.status(400).json({ success: false, message: 'courseId is required' });
         }
-
         if (!(await requireCourseSettingsAccess(db, req, res, courseId))) {
             return;
         }
 
-        const result = await db.collection('courses').updateOne(
-            { courseId, status: { $ne: 'deleted' } },
-            {
-                $set: {
-                    superchatIds: [],
-                    'ragSettings.student.topK': CourseModel.DEFAULT_STUDENT_RAG_TOP_K,
-                    updatedAt: new Date(),
-                    lastUpdatedById: req.user.userId
-                }
-            }
+        const result = await CourseModel.updateTokenBudget(
+            db,
+            courseId,
+            { dailyTokens, monthlyTokens, degradeAtPercent },
+            req.user && req.user.userId
         );
+        if (!result.success) {
+            const status = result.error === 'Course not found' ? 404 : 400;
+            return res.status(status).json({ success: false, message: result.error });
+        }
 
-        if (result.matchedCount === 0) {
-            return res.status(404).json({ success: false, message: 'Course not found' });
+        res.json({ success: true, courseId, budget: result.budget });
+    } catch (error) {
+        console.error('Error updating token budget:', error);
+        res.status(500).json({ success: false, message: 'Failed to update token budget' });
+    }
+});
+
+function rateLimitDefaults() {
+    return {
+        roles: rateLimits.RATE_LIMIT_ROLES,
+        limits: rateLimits.DEFAULT_RATE_LIMITS,
+        ranges: rateLimits.LIMIT_RANGES,
+        burstWindowSeconds: rateLimits.BURST_WINDOW_SECONDS
+    };
+}
+
+/**
+ * GET /api/settings/rate-limits/platform
+ * Platform AI rate limits per role (system admins)
+ */
+router.get('/rate-limits/platform', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+        if (!requireSystemAdmin(req, res)) {
+            return;
+        }
+
+        const limits = await rateLimits.getPlatformRateLimits(db);
+        res.json({ success: true, limits, defaults: rateLimitDefaults() });
+    } catch (error) {
+        console.error('Error fetching platform rate limits:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch rate limits' });
+    }
+});
+
+/**
+ * PUT /api/settings/rate-limits/platform
+ * Save platform AI rate limits per role (system admins)
+ */
+router.put('/rate-limits/platform', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+        if (!requireSystemAdmin(req, res)) {
+            return;
+        }
+
+        const result = await rateLimits.updatePlatformRateLimits(db, req.body && req.body.limits, req.user.userId);
+        if (!result.success) {
+            return res.status(400).json({ success: false, message: result.error });
+        }
+
+        res.json({ success: true, limits: result.limits });
+    } catch (error) {
+        console.error('Error updating platform rate limits:', error);
+        res.status(500).json({ success: false, message: 'Failed to update rate limits' });
+    }
+});
+
+/**
+ * GET /api/settings/rate-limits?courseId=
+ * A course's rate-limit overrides alongside the platform limits they replace
+ */
+router.get('/rate-limits', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+
+        const courseId = req.query.courseId;
+        if (!courseId) {
+            return res.status(400).json({ success: false, message: 'courseId is required' });
+        }
+        if (!(await requireCourseSettingsAccess(db, req, res, courseId))) {
+            return;
+        }
+
+        const [course, platform] = await Promise.all([
+            CourseModel.getRateLimits(db, courseId),
+            rateLimits.getPlatformRateLimits(db)
+        ]);
+        if (!course.success) {
+            return res.status(404).json({ success: false, message: course.error });
         }
 
         res.json({
             success: true,
             courseId,
-            message: 'AI settings reset to defaults',
-            settings: {
-                superchatIds: [],
-                ragSettings: { student: { topK: CourseModel.DEFAULT_STUDENT_RAG_TOP_K } },
-                defaults: buildAiSettingsResponse({}).defaults
-            }
+            rateLimits: course.rateLimits,
+            platform,
+            defaults: rateLimitDefaults()
         });
     } catch (error) {
-        console.error('Error resetting AI settings:', error);
-        res.status(500).json({ success: false, message: 'Failed to reset AI settings' });
+        console.error('Error fetching course rate limits:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch rate limits' });
+    }
+});
+
+/**
+ * PUT /api/settings/rate-limits
+ * Replace a course's rate-limit overrides; roles left out follow the platform
+ */
+router.put('/rate-limits', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+
+        const { courseId, rateLimits: overrides } = req.body || {};
+        if (!courseId) {
+            return res.status(400).json({ success: false, message: 'courseId is required' });
+        }
+        if (!(await requireCourseSettingsAccess(db, req, res, courseId))) {
+            return;
+        }
+
+        const result = await CourseModel.updateRateLimits(db, courseId, overrides, req.user && req.user.userId);
+        if (!result.success) {
+            const status = result.error === 'Course not found' ? 404 : 400;
+            return res.status(status).json({ success: false, message: result.error });
+        }
+
+        res.json({ success: true, courseId, rateLimits: result.rateLimits });
+    } catch (error) {
+        console.error('Error updating course rate limits:', error);
+        res.status(500).json({ success: false, message: 'Failed to update rate limits' });
+    }
+});
+
+function wellnessResourceLimits() {
+    return {
+        kinds: wellnessResources.RESOURCE_KINDS,
+        maxResources: wellnessResources.MAX_RESOURCES,
+        fieldLimits: wellnessResources.FIELD_LIMITS
+    };
+}
+
+/**
+ * GET /api/settings/wellness-resources/platform
+ * Crisis and wellness resources shown in every course (system admins)
+ */
+router.get('/wellness-resources/platform', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+        if (!requireSystemAdmin(req, res)) {
+            return;
+        }
+
+        const resources = await wellnessResources.getPlatformResources(db);
+        res.json({ success: true, resources, limits: wellnessResourceLimits() });
+    } catch (error) {
+        console.error('Error fetching platform wellness resources:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch wellness resources' });
+    }
+});
+
+/**
+ * PUT /api/settings/wellness-resources/platform
+ * Replace the platform crisis and wellness resources (system admins)
+ */
+router.put('/wellness-resources/platform', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+        if (!requireSystemAdmin(req, res)) {
+            return;
+        }
+
+        const result = await wellnessResources.updatePlatformResources(db, req.body && req.body.resources, req.user.userId);
+        if (!result.success) {
+            return res.status(400).json({ success: false, message: result.error });
+        }
+
+        res.json({ success: true, resources: result.resources });
+    } catch (error) {
+        console.error('Error updating platform wellness resources:', error);
+        res.status(500).json({ success: false, message: 'Failed to update wellness resources' });
+    }
+});
+
+/**
+ * GET /api/settings/wellness-resources?courseId=
+ * A course's own resources, the platform list, and what students are shown
+ */
+router.get('/wellness-resources', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+
+        const courseId = req.query.courseId;
+        if (!courseId) {
+            return res.status(400).json({ success: false, message: 'courseId is required' });
+        }
+        if (!(await requireCourseSettingsAccess(db, req, res, courseId))) {
+            return;
+        }
+
+        const course = await CourseModel.getWellnessResources(db, courseId);
+        if (!course.success) {
+            return res.status(404).json({ success: false, message: course.error });
+        }
+        const [platform, effective] = await Promise.all([
+            wellnessResources.getPlatformResources(db),
+            wellnessResources.resolveCourseResources(db, { wellnessResources: course.wellnessResources })
+        ]);
+
+        res.json({
+            success: true,
+            courseId,
+            wellnessResources: course.wellnessResources,
+            platform,
+            effective,
+            limits: wellnessResourceLimits()
+        });
+    } catch (error) {
+        console.error('Error fetching course wellness resources:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch wellness resources' });
+    }
+});
+
+/**
+ * PUT /api/settings/wellness-resources
+ * Replace a course's resources; null goes back to the platform list
+ */
+router.put('/wellness-resources', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+
+        const { courseId, wellnessResources: override } = req.body || {};
+        if (!courseId) {
+            return res.status(400).json({ success: false, message: 'courseId is required' });
+        }
+        if (!(await requireCourseSettingsAccess(db, req, res, courseId))) {
+            return;
+        }
+
+        const result = await CourseModel.updateWellnessResources(db, courseId, override, req.user && req.user.userId);
+        if (!result.success) {
+            const status = result.error === 'Course not found' ? 404 : 400;
+            return res.status(status).json({ success: false, message: result.error });
+        }
+
+        const effective = await wellnessResources.resolveCourseResources(db, { wellnessResources: result.wellnessResources });
+        res.json({ success: true, courseId, wellnessResources: result.wellnessResources, effective });
+    } catch (error) {
+        console.error('Error updating course wellness resources:', error);
+        res.status(500).json({ success: false, message: 'Failed to update wellness resources' });
     }
 });
 
@@ -647,20 +1497,124 @@ router.get('/prompts', async (req, res) => {
             studentSessionTimeout: coursePrompts.studentSessionTimeout || 1800
         };
 
-        res.json({
-            success: true,
-            prompts: result,
-            isCourseSpecific: true,
-            courseId: courseId
-        });
-    } catch (error) {
-        console.error('Error fetching prompts:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to fetch prompts'
-        });
+        res.json({
+            success: true,
+            prompts: result,
+            isCourseSpecific: true,
+            courseId: courseId
+        });
+    } catch (error) {
+        console.error('Error fetching prompts:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch prompts'
+        });
+    }
+});
+
+// Chat prompts that shape student answers. The /prompts endpoint is a
+// full-document write, so cached answers are only dropped when one of these
+// (or the retrieval scope) actually changed.
+const ANSWER_PROMPT_KEYS = ['base', 'protege', 'tutor', 'explain', 'directive'];
+
+function answerSettingsChanged(course, next) {
+    const stored = (course && course.prompts) || {};
+    const promptChanged = ANSWER_PROMPT_KEYS.some(key =>
+        (stored[key] || prompts.DEFAULT_PROMPTS[key]) !== (next[key] || prompts.DEFAULT_PROMPTS[key]));
+    return promptChanged
+        || !!(course && course.isAdditiveRetrieval) !== !!next.additiveRetrieval
+        || !!(course && course.additionalMaterialSecondarySearch) !== !!next.additionalMaterialSecondarySearch;
+}
+
+const PROMPT_LABELS = {
+    base: 'Base system prompt',
+    protege: 'Protege mode prompt',
+    tutor: 'Tutor mode prompt',
+    explain: 'Explain mode prompt',
+    directive: 'Directive mode strategy',
+    quizHelp: 'Quiz help chat prompt',
+    chatSummary: 'Chat summary prompt',
+    flashcards: 'Flashcard generation prompt'
+};
+
+/**
+ * Validate the {{variables}} in each submitted prompt
+ * @returns {Object|null} Errors keyed by prompt, or null when all are valid
+ */
+function validatePromptTemplates(templates) {
+    const errors = {};
+    for (const [key, template] of Object.entries(templates)) {
+        if (typeof template !== 'string') continue;
+        const result = promptTemplates.validatePromptTemplate(template, key);
+        if (!result.valid) errors[key] = result.errors;
+    }
+    return Object.keys(errors).length ? errors : null;
+}
+
+function describeTemplateErrors(templateErrors) {
+    return Object.entries(templateErrors)
+        .map(([key, errors]) => `${PROMPT_LABELS[key]}: ${errors.join('; ')}`)
+        .join('. ');
+}
+
+const OPTIONAL_QUESTION_PROMPT_KEYS = ['numeric', 'fillInTheBlank', 'matching', 'ordering'];
+
+const VERSION_DEFAULTS = {
+    prompts: prompts.DEFAULT_PROMPTS,
+    questionPrompts: prompts.DEFAULT_QUESTION_PROMPTS
+};
+
+/**
+ * The prompt text a course actually uses: stored prompts over the defaults
+ * @param {string} kind - "prompts" | "questionPrompts"
+ * @param {Object} stored - course.prompts or course.questionPrompts
+ * @returns {Object}
+ */
+function effectivePrompts(kind, stored) {
+    const source = stored || {};
+    const result = {};
+    for (const key of PromptVersionModel.PROMPT_VERSION_KEYS[kind]) {
+        result[key] = source[key] || VERSION_DEFAULTS[kind][key];
     }
-});
+    return result;
+}
+
+/**
+ * Record a prompt version for a save, reset, or rollback by this user
+ * @returns {Promise<Object>} PromptVersion.recordVersion result
+ */
+function recordPromptVersion(db, req, { courseId, kind, previous, next, source, restoredFrom }) {
+    return PromptVersionModel.recordVersion(db, {
+        courseId,
+        kind,
+        previous: effectivePrompts(kind, previous),
+        prompts: effectivePrompts(kind, next),
+        source,
+        restoredFrom,
+        createdBy: {
+            userId: req.user && req.user.userId,
+            name: req.user && (req.user.displayName || req.user.username || req.user.userId)
+        }
+    });
+}
+
+/**
+ * Check access to a prompt kind's history: course prompts belong to the
+ * course's instructors, question-generation prompts to system admins
+ */
+async function requirePromptHistoryAccess(db, req, res, courseId, kind) {
+    if (!courseId) {
+        res.status(400).json({ success: false, message: 'courseId is required' });
+        return false;
+    }
+    if (!PromptVersionModel.isValidKind(kind)) {
+        res.status(400).json({ success: false, message: 'kind must be "prompts" or "questionPrompts"' });
+        return false;
+    }
+    return kind === 'questionPrompts'
+        ? requireSystemAdmin(req, res)
+        : requireCourseSettingsAccess(db, req, res, courseId);
+}
 
 /**
  * POST /api/settings/prompts
@@ -711,6 +1665,15 @@ router.post('/prompts', async (req, res) => {
             return res.status(400).json({ success: false, message: 'Invalid prompt format' });
         }
 
+        const templateErrors = validatePromptTemplates({ base, protege, tutor, explain, directive, quizHelp, chatSummary, flashcards });
+        if (templateErrors) {
+            return res.status(400).json({
+                success: false,
+                message: describeTemplateErrors(templateErrors),
+                templateErrors
+            });
+        }
+
         // Validate timeout if present
         let timeoutVal = 240; // Default
         if (studentIdleTimeout !== undefined) {
@@ -743,19 +1706,35 @@ router.post('/prompts', async (req, res) => {
             }
         }
 
+        const current = await db.collection('courses').findOne(
+            { courseId },
+            { projection: { prompts: 1, isAdditiveRetrieval: 1, additionalMaterialSecondarySearch: 1 } }
+        );
+
+        const savedPrompts = {
+            base,
+            protege,
+            tutor,
+            explain,
+            directive,
+            quizHelp: quizHelp || prompts.DEFAULT_PROMPTS.quizHelp,
+            chatSummary: chatSummary && chatSummary.trim() ? chatSummary : prompts.DEFAULT_PROMPTS.chatSummary,
+            flashcards: flashcards && flashcards.trim() ? flashcards : prompts.DEFAULT_PROMPTS.flashcards
+        };
+
         // Update the course document directly
         await db.collection('courses').updateOne(
             { courseId: courseId },
             { 
                 $set: { 
-                    'prompts.base': base, 
-                    'prompts.protege': protege, 
-                    'prompts.tutor': tutor,
-                    'prompts.explain': explain,
-                    'prompts.directive': directive,
-                    'prompts.quizHelp': quizHelp || prompts.DEFAULT_PROMPTS.quizHelp,
-                    'prompts.chatSummary': chatSummary && chatSummary.trim() ? chatSummary : prompts.DEFAULT_PROMPTS.chatSummary,
-                    'prompts.flashcards': flashcards && flashcards.trim() ? flashcards : prompts.DEFAULT_PROMPTS.flashcards,
+                    'prompts.base': savedPrompts.base, 
+                    'prompts.protege': savedPrompts.protege, 
+                    'prompts.tutor': savedPrompts.tutor,
+                    'prompts.explain': savedPrompts.explain,
+                    'prompts.directive': savedPrompts.directive,
+                    'prompts.quizHelp': savedPrompts.quizHelp,
+                    'prompts.chatSummary': savedPrompts.chatSummary,
+                    'prompts.flashcards': savedPrompts.flashcards,
                     'prompts.flashcardSourceTokenBudget': flashcardTokenBudget,
                     'prompts.studentIdleTimeout': timeoutVal,
                     'prompts.studentSessionTimeout': sessionTimeoutVal,
@@ -766,10 +1745,23 @@ router.post('/prompts', async (req, res) => {
             }
         );
 
+        if (answerSettingsChanged(current, { base, protege, tutor, explain, directive, additiveRetrieval, additionalMaterialSecondarySearch })) {
+            await AnswerCacheModel.invalidateCourse(db, courseId);
+        }
+
+        const versionResult = await recordPromptVersion(db, req, {
+            courseId,
+            kind: 'prompts',
+            previous: current && current.prompts,
+            next: savedPrompts,
+            source: 'save'
+        });
+
         res.json({
             success: true,
             message: 'Course settings saved successfully',
-            courseId: courseId
+            courseId: courseId,
+            version: versionResult.version ? versionResult.version.version : null
         });
     } catch (error) {
         console.error('Error saving prompts:', error);
@@ -780,6 +1772,63 @@ router.post('/prompts', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/settings/prompts/preview
+ * Render an (unsaved) prompt with this course's variables
+ * Body: { courseId, key, template, unitName? } - unitName defaults to the first unit
+ */
+router.post('/prompts/preview', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+
+        const { courseId, key, template, unitName } = req.body || {};
+        if (!courseId) {
+            return res.status(400).json({ success: false, message: 'courseId is required' });
+        }
+        if (!Object.prototype.hasOwnProperty.call(PROMPT_LABELS, key) || typeof template !== 'string') {
+            return res.status(400).json({ success: false, message: 'A known prompt key and template are required' });
+        }
+
+        if (!await requireCourseSettingsAccess(db, req, res, courseId)) {
+            return;
+        }
+
+        const validation = promptTemplates.validatePromptTemplate(template, key);
+        if (!validation.valid) {
+            return res.status(400).json({
+                success: false,
+                message: describeTemplateErrors({ [key]: validation.errors }),
+                templateErrors: { [key]: validation.errors }
+            });
+        }
+
+        const course = await db.collection('courses').findOne({ courseId, status: { $ne: 'deleted' } });
+        const lectures = (course && course.lectures) || [];
+        const previewUnit = unitName || (lectures[0] && lectures[0].name) || null;
+        const values = promptTemplates.buildPromptVariables(course, {
+            unitNames: [previewUnit],
+            wellnessResources: await wellnessResources.resolveCourseResources(db, course)
+        });
+
+        res.json({
+            success: true,
+            preview: promptTemplates.renderPromptTemplate(template, values),
+            unitName: previewUnit,
+            // Flashcard-only variables are filled per deck, so they have no preview value
+            variables: promptTemplates.describeVariables(key).map(variable => ({
+                ...variable,
+                value: Object.prototype.hasOwnProperty.call(values, variable.name) ? values[variable.name] : null
+            }))
+        });
+    } catch (error) {
+        console.error('Error previewing prompt:', error);
+        res.status(500).json({ success: false, message: 'Failed to preview prompt' });
+    }
+});
+
 /**
  * POST /api/settings/prompts/reset
  * Reset system prompts to defaults for a specific course
@@ -801,6 +1850,8 @@ router.post('/prompts/reset', async (req, res) => {
             return;
         }
 
+        const current = await db.collection('courses').findOne({ courseId }, { projection: { prompts: 1 } });
+
         // Unset the prompts field and isAdditiveRetrieval in the course document
         await db.collection('courses').updateOne(
             { courseId: courseId },
@@ -812,6 +1863,14 @@ router.post('/prompts/reset', async (req, res) => {
                 }
             }
         );
+        await AnswerCacheModel.invalidateCourse(db, courseId);
+        await recordPromptVersion(db, req, {
+            courseId,
+            kind: 'prompts',
+            previous: current && current.prompts,
+            next: null,
+            source: 'reset'
+        });
 
         res.json({
             success: true,
@@ -828,6 +1887,254 @@ router.post('/prompts/reset', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/settings/prompts/versions?courseId=...&kind=prompts
+ * List a course's prompt versions, newest first
+ * kind "questionPrompts" (question generation prompts) requires system admin access
+ */
+router.get('/prompts/versions', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+
+        const { courseId } = req.query;
+        const kind = req.query.kind || 'prompts';
+        if (!await requirePromptHistoryAccess(db, req, res, courseId, kind)) {
+            return;
+        }
+
+        const versions = await PromptVersionModel.listVersions(db, courseId, kind, {
+            limit: parseInt(req.query.limit, 10)
+        });
+        res.json({ success: true, courseId, kind, versions });
+    } catch (error) {
+        console.error('Error listing prompt versions:', error);
+        res.status(500).json({ success: false, message: 'Failed to list prompt versions' });
+    }
+});
+
+/**
+ * GET /api/settings/prompts/versions/:version?courseId=...&kind=prompts
+ * One prompt version with its full text
+ */
+router.get('/prompts/versions/:version', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+
+        const { courseId } = req.query;
+        const kind = req.query.kind || 'prompts';
+        if (!await requirePromptHistoryAccess(db, req, res, courseId, kind)) {
+            return;
+        }
+
+        const version = await PromptVersionModel.getVersion(db, courseId, kind, parseInt(req.params.version, 10));
+        if (!version) {
+            return res.status(404).json({ success: false, message: 'Prompt version not found' });
+        }
+        res.json({ success: true, version });
+    } catch (error) {
+        console.error('Error fetching prompt version:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch prompt version' });
+    }
+});
+
+/**
+ * POST /api/settings/prompts/versions/:version/rollback
+ * Restore a version's prompt text; the restore is recorded as a new version
+ * Body: { courseId, kind? }
+ */
+router.post('/prompts/versions/:version/rollback', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+
+        const { courseId } = req.body || {};
+        const kind = (req.body && req.body.kind) || 'prompts';
+        if (!await requirePromptHistoryAccess(db, req, res, courseId, kind)) {
+            return;
+        }
+
+        const target = await PromptVersionModel.getVersion(db, courseId, kind, parseInt(req.params.version, 10));
+        if (!target) {
+            return res.status(404).json({ success: false, message: 'Prompt version not found' });
+        }
+
+        const current = await db.collection('courses').findOne(
+            { courseId },
+            { projection: { [kind]: 1, isAdditiveRetrieval: 1, additionalMaterialSecondarySearch: 1 } }
+        );
+        if (!current) {
+            return res.status(404).json({ success: false, message: 'Course not found' });
+        }
+
+        const update = { updatedAt: new Date() };
+        for (const [key, text] of Object.entries(target.prompts)) {
+            update[`${kind}.${key}`] = text;
+        }
+        await db.collection('courses').updateOne({ courseId }, { $set: update });
+
+        if (kind === 'prompts' && answerSettingsChanged(current, {
+            ...target.prompts,
+            additiveRetrieval: current.isAdditiveRetrieval,
+            additionalMaterialSecondarySearch: current.additionalMaterialSecondarySearch
+        })) {
+            await AnswerCacheModel.invalidateCourse(db, courseId);
+        }
+
+        const versionResult = await recordPromptVersion(db, req, {
+            courseId,
+            kind,
+            previous: current[kind],
+            next: target.prompts,
+            source: 'rollback',
+            restoredFrom: target.version
+        });
+
+        res.json({
+            success: true,
+            message: `Restored prompt version ${target.version}`,
+            courseId,
+            kind,
+            prompts: target.prompts,
+            version: versionResult.version ? versionResult.version.version : null
+        });
+    } catch (error) {
+        console.error('Error rolling back prompts:', error);
+        res.status(500).json({ success: false, message: 'Failed to roll back prompts' });
+    }
+});
+
+async function withExperimentResults(db, experiment) {
+    const [feedback, survey] = await Promise.all([
+        MessageFeedbackModel.getFeedbackStatsByVariant(db, experiment.courseId, experiment.experimentId),
+        ChatSurveyResponseModel.getSurveyStatsByVariant(db, experiment.courseId, experiment.experimentId)
+    ]);
+    return { ...experiment, results: { feedback, survey } };
+}
+
+/**
+ * GET /api/settings/prompt-experiments?courseId=...
+ * A course's prompt experiments with feedback and survey results per variant
+ */
+router.get('/prompt-experiments', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+
+        const { courseId } = req.query;
+        if (!courseId) {
+            return res.status(400).json({ success: false, message: 'courseId is required' });
+        }
+        if (!await requireCourseSettingsAccess(db, req, res, courseId)) {
+            return;
+        }
+
+        const experiments = await PromptExperimentModel.listExperiments(db, courseId);
+        res.json({
+            success: true,
+            courseId,
+            promptKeys: PromptExperimentModel.EXPERIMENT_PROMPT_KEYS.map(key => ({ key, label: PROMPT_LABELS[key] })),
+            experiments: await Promise.all(experiments.map(experiment => withExperimentResults(db, experiment)))
+        });
+    } catch (error) {
+        console.error('Error listing prompt experiments:', error);
+        res.status(500).json({ success: false, message: 'Failed to list prompt experiments' });
+    }
+});
+
+/**
+ * POST /api/settings/prompt-experiments
+ * Start an A/B experiment: variant A is the course's current prompt
+ * Body: { courseId, name, promptKey, variantB, splitPercent? }
+ */
+router.post('/prompt-experiments', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+
+        const { courseId, name, promptKey, variantB, splitPercent } = req.body || {};
+        if (!courseId) {
+            return res.status(400).json({ success: false, message: 'courseId is required' });
+        }
+        if (!await requireCourseSettingsAccess(db, req, res, courseId)) {
+            return;
+        }
+
+        if (typeof variantB === 'string' && PromptExperimentModel.EXPERIMENT_PROMPT_KEYS.includes(promptKey)) {
+            const templateErrors = validatePromptTemplates({ [promptKey]: variantB });
+            if (templateErrors) {
+                return res.status(400).json({
+                    success: false,
+                    message: describeTemplateErrors(templateErrors),
+                    templateErrors
+                });
+            }
+        }
+
+        const course = await db.collection('courses').findOne({ courseId }, { projection: { prompts: 1 } });
+        const result = await PromptExperimentModel.createExperiment(db, {
+            courseId,
+            name,
+            promptKey,
+            variantA: effectivePrompts('prompts', course && course.prompts)[promptKey],
+            variantB,
+            splitPercent,
+            createdById: req.user.userId
+        });
+        if (!result.success) {
+            return res.status(400).json({ success: false, message: result.error });
+        }
+
+        res.status(201).json({ success: true, experiment: await withExperimentResults(db, result.experiment) });
+    } catch (error) {
+        console.error('Error starting prompt experiment:', error);
+        res.status(500).json({ success: false, message: 'Failed to start prompt experiment' });
+    }
+});
+
+/**
+ * POST /api/settings/prompt-experiments/:experimentId/stop
+ * Stop a running experiment; every student goes back to the course prompt
+ * Body: { courseId }
+ */
+router.post('/prompt-experiments/:experimentId/stop', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        if (!db) {
+            return res.status(503).json({ success: false, message: 'Database connection not available' });
+        }
+
+        const { courseId } = req.body || {};
+        if (!courseId) {
+            return res.status(400).json({ success: false, message: 'courseId is required' });
+        }
+        if (!await requireCourseSettingsAccess(db, req, res, courseId)) {
+            return;
+        }
+
+        const experiment = await PromptExperimentModel.stopExperiment(db, courseId, req.params.experimentId, req.user.userId);
+        if (!experiment) {
+            return res.status(404).json({ success: false, message: 'Running experiment not found' });
+        }
+
+        res.json({ success: true, experiment: await withExperimentResults(db, experiment) });
+    } catch (error) {
+        console.error('Error stopping prompt experiment:', error);
+        res.status(500).json({ success: false, message: 'Failed to stop prompt experiment' });
+    }
+});
+
 /**
  * GET /api/settings/academic-api-enabled
  * Lightweight read of the instance-wide academic-API gate. Available to any
@@ -1260,6 +2567,15 @@ router.post('/llm/embedding/impact', async (req, res) => {
             includeNotes: surfaces.includeNotes
         });
 
+        const quality = await embeddingQualityComparison(db, surfaces.courseIds, {
+            beforeKey: embeddingProfileKey({
+                provider,
+                embeddingModel: current.embeddingModel,
+                revision: current.embeddingRevision
+            }),
+            afterKey: profile.key
+        });
+
         res.json({
             success: true,
             provider,
@@ -1275,7 +2591,8 @@ router.post('/llm/embedding/impact', async (req, res) => {
                 includeNotes: surfaces.includeNotes,
                 itemsToReindex: work.items.length,
                 itemsAlreadyCurrent: work.skipped
-            }
+            },
+            quality
         });
     } catch (error) {
         console.error('Error calculating embedding change impact:', error);
@@ -1452,6 +2769,29 @@ router.post('/llm/embedding/rollback', async (req, res) => {
     }
 });
 
+/**
+ * Saved golden-set results for the current and target embedding profiles of
+ * each affected course. Read-only: runs against the target collection are made
+ * from the course's evaluation screen (target "pending") once it is indexed.
+ */
+async function embeddingQualityComparison(db, courseIds, { beforeKey, afterKey }) {
+    const courses = [];
+    for (const courseId of courseIds) {
+        const [before, after] = await Promise.all([
+            RetrievalEvalModel.getLatestEvalRun(db, courseId, beforeKey),
+            RetrievalEvalModel.getLatestEvalRun(db, courseId, afterKey)
+        ]);
+        if (!before && !after) continue;
+        courses.push({
+            courseId,
+            before: before ? { runId: before.runId, createdAt: before.createdAt, metrics: before.metrics } : null,
+            after: after ? { runId: after.runId, createdAt: after.createdAt, metrics: after.metrics } : null,
+            comparison: compareMetrics(before && before.metrics, after && after.metrics)
+        });
+    }
+    return { beforeProfileKey: beforeKey, afterProfileKey: afterKey, courses };
+}
+
 /**
  * Every surface running on a platform, and therefore every course whose
  * content must be re-indexed when that platform's embedding model changes.
@@ -1542,12 +2882,7 @@ router.get('/question-prompts', async (req, res) => {
         // Retrieve question prompts from course or use defaults
         const courseQuestionPrompts = course ? (course.questionPrompts || {}) : {};
         
-        const result = {
-            systemPrompt: courseQuestionPrompts.systemPrompt || prompts.DEFAULT_QUESTION_PROMPTS.systemPrompt,
-            trueFalse: courseQuestionPrompts.trueFalse || prompts.DEFAULT_QUESTION_PROMPTS.trueFalse,
-            multipleChoice: courseQuestionPrompts.multipleChoice || prompts.DEFAULT_QUESTION_PROMPTS.multipleChoice,
-            shortAnswer: courseQuestionPrompts.shortAnswer || prompts.DEFAULT_QUESTION_PROMPTS.shortAnswer
-        };
+        const result = effectivePrompts('questionPrompts', courseQuestionPrompts);
 
         res.json({
             success: true,
@@ -1581,6 +2916,12 @@ router.post('/question-prompts', async (req, res) => {
         }
 
         const { systemPrompt, trueFalse, multipleChoice, shortAnswer, courseId } = req.body;
+        // Prompts for the structured question types were added later, so older
+        // clients may leave them out; the stored or default prompt stays in use
+        const optionalPrompts = {};
+        for (const key of OPTIONAL_QUESTION_PROMPT_KEYS) {
+            if (req.body[key] !== undefined) optionalPrompts[key] = req.body[key];
+        }
 
         if (!courseId) {
             return res.status(400).json({ success: false, message: 'courseId is required to save question prompts' });
@@ -1588,10 +2929,13 @@ router.post('/question-prompts', async (req, res) => {
 
         // Validation - ensure they are all strings
         if (typeof systemPrompt !== 'string' || typeof trueFalse !== 'string' || 
-            typeof multipleChoice !== 'string' || typeof shortAnswer !== 'string') {
+            typeof multipleChoice !== 'string' || typeof shortAnswer !== 'string' ||
+            Object.values(optionalPrompts).some(value => typeof value !== 'string')) {
             return res.status(400).json({ success: false, message: 'Invalid prompt format - all prompts must be strings' });
         }
 
+        const current = await db.collection('courses').findOne({ courseId }, { projection: { questionPrompts: 1 } });
+
         // Update the course document with question prompts
         await db.collection('courses').updateOne(
             { courseId: courseId },
@@ -1601,11 +2945,29 @@ router.post('/question-prompts', async (req, res) => {
                     'questionPrompts.trueFalse': trueFalse,
                     'questionPrompts.multipleChoice': multipleChoice,
                     'questionPrompts.shortAnswer': shortAnswer,
+                    ...Object.fromEntries(
+                        Object.entries(optionalPrompts).map(([key, value]) => [`questionPrompts.${key}`, value])
+                    ),
                     updatedAt: new Date()
                 } 
             }
         );
 
+        await recordPromptVersion(db, req, {
+            courseId,
+            kind: 'questionPrompts',
+            previous: current && current.questionPrompts,
+            next: {
+                ...(current && current.questionPrompts),
+                systemPrompt,
+                trueFalse,
+                multipleChoice,
+                shortAnswer,
+                ...optionalPrompts
+            },
+            source: 'save'
+        });
+
         res.json({
             success: true,
             message: 'Question generation prompts saved successfully',
@@ -1642,6 +3004,8 @@ router.post('/question-prompts/reset', async (req, res) => {
             return res.status(400).json({ success: false, message: 'courseId is required to reset question prompts' });
         }
 
+        const current = await db.collection('courses').findOne({ courseId }, { projection: { questionPrompts: 1 } });
+
         // Unset the questionPrompts field in the course document
         await db.collection('courses').updateOne(
             { courseId: courseId },
@@ -1649,6 +3013,13 @@ router.post('/question-prompts/reset', async (req, res) => {
                 $unset: { questionPrompts: "" }
             }
         );
+        await recordPromptVersion(db, req, {
+            courseId,
+            kind: 'questionPrompts',
+            previous: current && current.questionPrompts,
+            next: null,
+            source: 'reset'
+        });
 
         res.json({
             success: true,
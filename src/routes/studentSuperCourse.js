@@ -20,6 +20,11 @@ const CourseModel = require('../models/Course');
 const { resolveSuperchatAi, sendLlmKeyError } = require('./llmKeyMiddleware');
 const { structuredKeyError } = require('../services/llmKeyStore');
 const { LANES } = require('../services/llmLanes');
+const { FEATURES } = require('../services/llmFeatures');
+const { createAiRateLimit } = require('../middleware/rateLimit');
+
+// The Super Course spans several courses, so its limits are the platform ones.
+const aiRateLimit = createAiRateLimit({ courseIdFrom: () => null });
 
 // Resolve a course's effective year level: prefer the stored value, fall back to
 // deriving it from the course name (covers courses created before yearLevel
@@ -426,7 +431,7 @@ router.delete('/sessions/:sessionId', async (req, res) => {
     }
 });
 
-router.post('/chat', async (req, res) => {
+router.post('/chat', aiRateLimit, async (req, res) => {
     try {
         const ctx = await resolveStudentSuperchat(req, res);
         if (!ctx) return;
@@ -502,6 +507,7 @@ router.post('/chat', async (req, res) => {
 
         const response = await llmService.sendMessage(prompt, {
             lane: LANES.FRONTEND,
+            feature: FEATURES.CHAT,
             temperature: 0.4,
             maxTokens: 32768,
             systemPrompt
@@ -53,13 +53,28 @@ router.post('/rule', (req, res) => {
     return res.json({ success: true, ruleCount: stub.rules.length });
 });
 
+router.post('/stream', (req, res) => {
+    const stub = getLLMStub();
+    const { chunkSize, delayMs } = req.body || {};
+    stub.setStreamOptions({ chunkSize, delayMs });
+    return res.json({
+        success: true,
+        chunkSize: stub.streamChunkSize,
+        delayMs: stub.streamDelayMs,
+    });
+});
+
 router.get('/state', (_req, res) => {
     const stub = getLLMStub();
+    const streams = stub.callLog.filter((entry) => entry.kind === 'streamConversation');
+    const lastStream = streams.length > 0 ? streams[streams.length - 1] : null;
     return res.json({
         success: true,
         queueLength: stub.queue.length,
         defaultContent: stub.defaultContent,
         callCount: stub.callLog.length,
+        streamCount: streams.length,
+        lastStream: lastStream ? { chunks: lastStream.chunks, completed: lastStream.completed } : null,
     });
 });
 
@@ -9,10 +9,24 @@ const { MongoClient } = require('mongodb');
 const { ensureCourseCodes } = require('./models/Course');
 const { ensureSuperchatsFromLegacy } = require('./models/Superchat');
 const { ensureIndexes: ensureMessageFeedbackIndexes } = require('./models/MessageFeedback');
+const { ensureIndexes: ensureChatThreadIndexes } = require('./models/ChatThread');
+const { ensureIndexes: ensureRetrievalTraceIndexes } = require('./models/RetrievalTrace');
+const { ensureIndexes: ensureRetrievalEvalIndexes } = require('./models/RetrievalEval');
+const { ensureIndexes: ensureAnswerCacheIndexes } = require('./models/AnswerCache');
+const { ensureIndexes: ensureTokenUsageIndexes } = require('./models/TokenUsage');
+const { ensureIndexes: ensureRateLimitCounterIndexes } = require('./models/RateLimitCounter');
+const { ensureIndexes: ensurePromptVersionIndexes } = require('./models/PromptVersion');
+const { ensureIndexes: ensurePromptExperimentIndexes } = require('./models/PromptExperiment');
+const { ensureIndexes: ensureWellnessResourceDisplayIndexes } = require('./models/WellnessResourceDisplay');
+const { ensureIndexes: ensureQuizGradingIndexes } = require('./models/QuizGrading');
+const { ensureIndexes: ensureQuizMeSessionIndexes } = require('./models/QuizMeSession');
 const { ensureIndexes: ensureChatSurveyResponseIndexes } = require('./models/ChatSurveyResponse');
 const { ensureIndexes: ensureFlashcardIndexes } = require('./models/FlashcardDeck');
 const { ensureIndexes: ensureProviderMigrationIndexes } = require('./services/providerMigrationService');
 const { resumePendingMigrations } = require('./services/providerMigrationRunner');
+const { ensureIndexes: ensureIngestionJobIndexes } = require('./services/ingestionJobService');
+const { resumePendingIngestionJobs } = require('./services/ingestionJobRunner');
+const { ensureIndexes: ensureChunkEditIndexes } = require('./services/chunkEdits');
 const coursesRoutes = require('./routes/courses');
 const flagsRoutes = require('./routes/flags');
 const lecturesRoutes = require('./routes/lectures');
@@ -783,6 +797,17 @@ async function startServer() {
         await ensureCourseCodes(db);
         await ensureSuperchatsFromLegacy(db);
         await ensureMessageFeedbackIndexes(db);
+        await ensureChatThreadIndexes(db);
+        await ensureRetrievalTraceIndexes(db);
+        await ensureRetrievalEvalIndexes(db);
+        await ensureAnswerCacheIndexes(db);
+        await ensureTokenUsageIndexes(db);
+        await ensureRateLimitCounterIndexes(db);
+        await ensurePromptVersionIndexes(db);
+        await ensurePromptExperimentIndexes(db);
+        await ensureWellnessResourceDisplayIndexes(db);
+        await ensureQuizMeSessionIndexes(db);
+        await ensureQuizGradingIndexes(db);
         await ensureChatSurveyResponseIndexes(db);
         await ensureFlashcardIndexes(db);
         await ensureProviderMigrationIndexes(db);
@@ -793,6 +818,14 @@ async function startServer() {
             console.error('⚠️ Failed to resume provider migrations:', error.message);
         });
 
+        // Uploads are processed by background jobs; pick up any that were
+        // interrupted mid-parse or mid-embed.
+        await ensureIngestionJobIndexes(db);
+        await ensureChunkEditIndexes(db);
+        await resumePendingIngestionJobs(db, { registry: app.locals.llmRegistry }).catch((error) => {
+            console.error('⚠️ Failed to resume document processing jobs:', error.message);
+        });
+
         // Set up routes after authentication is initialized
         setupProtectedRoutes();
         setupAPIRoutes();
@@ -0,0 +1,271 @@
+/**
+ * Instructor chunk edits
+ *
+ * Instructors can correct how a document was chunked: rewrite a chunk's text,
+ * merge neighbouring chunks, split one in two, or exclude a chunk (a garbled
+ * table, a page of references) from retrieval. Edits are stored apart from the
+ * document (`chunkEdits` collection) and replayed whenever the document is
+ * chunked again (a new version, a provider migration), so they are never lost
+ * to a re-index.
+ *
+ * Edit record:
+ *   {
+ *     editId, documentId, courseId,
+ *     action: 'edit' | 'merge' | 'split' | 'exclude',
+ *     sourceHashes,   // chunk hashes of the chunks the edit applies to, in order
+ *     texts,          // replacement text(s) for edit/merge/split
+ *     excluded,       // for 'exclude': true to exclude, false to include again
+ *     createdBy, createdAt
+ *   }
+ *
+ * An edit is matched by the text of the chunks it was made on, not by
+ * position. If that text no longer appears (the passage changed in a new
+ * version), the edit is skipped.
+ */
+
+const { createId } = require('./id');
+const { chunkHash, createVectorReuse, embedChunks } = require('./vectorReuse');
+
+const CHUNK_EDITS_COLLECTION = 'chunkEdits';
+
+const CHUNK_EDIT_ACTIONS = Object.freeze(['edit', 'merge', 'split', 'exclude']);
+
+const FIGURE_SEGMENT = 'figure';
+const TEXT_SEGMENT = 'text';
+
+// Payload fields storeChunks writes itself; everything else is chunk metadata
+// (slide/page numbers, figure locator, edit flags) that a rewrite must keep.
+const STORED_CHUNK_FIELDS = [
+    'courseId', 'lectureName', 'documentId', 'fileName', 'mimeType', 'documentType',
+    'type', 'chunkIndex', 'totalChunks', 'chunkText', 'chunkLength', 'chunkHash',
+    'documentVersion', 'strategyUsed', 'timestamp'
+];
+
+function chunkEditError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_CHUNK_EDIT';
+    return error;
+}
+
+async function ensureIndexes(db) {
+    const collection = db.collection(CHUNK_EDITS_COLLECTION);
+    await collection.createIndex({ editId: 1 }, { unique: true });
+    await collection.createIndex({ documentId: 1, createdAt: 1 });
+}
+
+/**
+ * A document's edits in the order they were made
+ */
+async function listChunkEdits(db, documentId) {
+    if (!db || !documentId) return [];
+    return db.collection(CHUNK_EDITS_COLLECTION)
+        .find({ documentId })
+        .sort({ createdAt: 1 })
+        .toArray();
+}
+
+async function deleteChunkEdits(db, documentId) {
+    return db.collection(CHUNK_EDITS_COLLECTION).deleteMany({ documentId });
+}
+
+/**
+ * Validate an instructor's edit against the chunks it targets and build the
+ * record to store. Throws an INVALID_CHUNK_EDIT error for a bad request.
+ * @param {Object} input - { action, text, texts, excluded }
+ * @param {Array<Object>} selected - The targeted chunk records
+ *   ({ chunkText, chunkIndex, chunkType })
+ * @returns {Object} Edit fields (action, sourceHashes, texts, excluded)
+ */
+function buildChunkEdit(input = {}, selected = []) {
+    const { action } = input;
+    if (!CHUNK_EDIT_ACTIONS.includes(action)) {
+        throw chunkEditError(`Unknown chunk edit: ${action}`);
+    }
+    if (selected.length === 0) {
+        throw chunkEditError('No chunks selected');
+    }
+    if (action === 'merge' ? selected.length < 2 : selected.length !== 1) {
+        throw chunkEditError(action === 'merge'
+            ? 'Select at least two neighbouring chunks to merge'
+            : 'Select exactly one chunk');
+    }
+
+    const sources = [...selected].sort((a, b) => Number(a.chunkIndex || 0) - Number(b.chunkIndex || 0));
+    const neighbours = sources.every((source, index) => index === 0 || (
+        chunkSegment(source) === chunkSegment(sources[0])
+        && Number(source.chunkIndex) === Number(sources[index - 1].chunkIndex) + 1
+    ));
+    if (!neighbours) {
+        throw chunkEditError('Only neighbouring chunks can be merged');
+    }
+
+    const sourceHashes = sources.map(source => chunkHash(source.chunkText));
+    if (action === 'exclude') {
+        return { action, sourceHashes, texts: [], excluded: input.excluded !== false };
+    }
+
+    let texts;
+    if (action === 'merge') {
+        texts = [typeof input.text === 'string' && input.text.trim()
+            ? input.text
+            : sources.map(source => source.chunkText).join('\n\n')];
+    } else if (action === 'split') {
+        texts = Array.isArray(input.texts) ? input.texts.filter(text => typeof text === 'string') : [];
+        if (texts.length < 2) {
+            throw chunkEditError('A split needs at least two parts');
+        }
+    } else {
+        texts = [input.text];
+    }
+
+    if (texts.some(text => typeof text !== 'string' || !text.trim())) {
+        throw chunkEditError('Chunk text cannot be empty');
+    }
+    if (action === 'edit' && texts[0].trim() === sources[0].chunkText.trim()) {
+        throw chunkEditError('The chunk text is unchanged');
+    }
+    return { action, sourceHashes, texts: texts.map(text => text.trim()), excluded: null };
+}
+
+async function recordChunkEdit(db, { documentId, courseId, createdBy = null, ...edit }) {
+    const record = {
+        editId: createId('chunkedit'),
+        documentId,
+        courseId,
+        action: edit.action,
+        sourceHashes: edit.sourceHashes,
+        texts: edit.texts || [],
+        excluded: edit.excluded ?? null,
+        createdBy,
+        createdAt: new Date()
+    };
+    await db.collection(CHUNK_EDITS_COLLECTION).insertOne(record);
+    return record;
+}
+
+function findSourceRun(hashes, sourceHashes) {
+    for (let start = 0; start + sourceHashes.length <= hashes.length; start += 1) {
+        if (sourceHashes.every((hash, offset) => hashes[start + offset] === hash)) return start;
+    }
+    return -1;
+}
+
+/**
+ * Replay edits over a freshly chunked document
+ * @param {Array<string>} chunks - Chunk texts in order
+ * @param {Array<Object>} [metadata] - Per-chunk metadata, parallel to chunks
+ * @param {Array<Object>} [edits] - Edit records, oldest first
+ * @returns {Object} { chunks, metadata, applied } - edited chunks carry
+ *   `edited: true`; excluded ones `excluded: true`
+ */
+function applyChunkEdits(chunks, metadata = [], edits = []) {
+    let texts = [...chunks];
+    let metas = chunks.map((_, index) => ({ ...(metadata[index] || {}) }));
+    let applied = 0;
+
+    for (const edit of Array.isArray(edits) ? edits : []) {
+        if (!edit || !Array.isArray(edit.sourceHashes) || edit.sourceHashes.length === 0) continue;
+        const start = findSourceRun(texts.map(chunkHash), edit.sourceHashes);
+        if (start === -1) continue;
+        applied += 1;
+
+        if (edit.action === 'exclude') {
+            metas[start] = { ...metas[start], excluded: edit.excluded !== false };
+            continue;
+        }
+
+        const replacement = edit.texts || [];
+        const meta = { ...metas[start], edited: true };
+        texts = [...texts.slice(0, start), ...replacement, ...texts.slice(start + edit.sourceHashes.length)];
+        metas = [
+            ...metas.slice(0, start),
+            ...replacement.map(() => ({ ...meta })),
+            ...metas.slice(start + edit.sourceHashes.length)
+        ];
+    }
+
+    return { chunks: texts, metadata: metas, applied };
+}
+
+/**
+ * Which chunk sequence a stored chunk belongs to. Text (or slide) chunks and
+ * figure chunks are numbered separately, so edits never cross the two.
+ */
+function chunkSegment(payload = {}) {
+    return payload.chunkType === FIGURE_SEGMENT ? FIGURE_SEGMENT : TEXT_SEGMENT;
+}
+
+function chunkMetadataOf(payload) {
+    const metadata = { ...payload };
+    for (const field of STORED_CHUNK_FIELDS) delete metadata[field];
+    return metadata;
+}
+
+/**
+ * Apply a new edit to a document's stored chunks in the service's collection.
+ * Excluding only updates the chunk's payload; the other edits rewrite the
+ * chunk sequence, reusing the vectors of every chunk whose text is unchanged.
+ * @param {Object} qdrantService
+ * @param {Object} document - { documentId, courseId }
+ * @param {Object} edit - Edit record
+ * @returns {Promise<Object>} { applied, chunksEmbedded, chunksReused }
+ */
+async function applyChunkEditToIndex(qdrantService, document, edit) {
+    const points = await qdrantService.getDocumentPoints(document.documentId, document.courseId);
+    const segments = new Map();
+    for (const point of points) {
+        const segment = chunkSegment(point.payload);
+        if (!segments.has(segment)) segments.set(segment, []);
+        segments.get(segment).push(point);
+    }
+
+    for (const segmentPoints of segments.values()) {
+        segmentPoints.sort((a, b) => Number(a.payload.chunkIndex || 0) - Number(b.payload.chunkIndex || 0));
+        const texts = segmentPoints.map(point => point.payload.chunkText || '');
+        const start = findSourceRun(texts.map(chunkHash), edit.sourceHashes);
+        if (start === -1) continue;
+
+        if (edit.action === 'exclude') {
+            await qdrantService.setChunkPayload([segmentPoints[start].id], { excluded: edit.excluded !== false });
+            return { applied: true, chunksEmbedded: 0, chunksReused: 0 };
+        }
+
+        const result = applyChunkEdits(texts, segmentPoints.map(point => chunkMetadataOf(point.payload)), [edit]);
+        const reuse = createVectorReuse(segmentPoints);
+        const embeddings = await embedChunks(qdrantService, result.chunks, reuse);
+        const first = segmentPoints[0].payload;
+        await qdrantService.storeChunks(
+            {
+                courseId: first.courseId,
+                lectureName: first.lectureName,
+                documentId: first.documentId,
+                fileName: first.fileName,
+                mimeType: first.mimeType,
+                documentType: first.documentType,
+                type: first.type,
+                documentVersion: first.documentVersion,
+                chunkMetadata: result.metadata
+            },
+            result.chunks,
+            embeddings,
+            first.strategyUsed
+        );
+        await qdrantService.deletePoints(segmentPoints.map(point => point.id));
+        return { applied: true, chunksEmbedded: reuse.embedded, chunksReused: reuse.reused };
+    }
+
+    return { applied: false, chunksEmbedded: 0, chunksReused: 0 };
+}
+
+module.exports = {
+    CHUNK_EDITS_COLLECTION,
+    CHUNK_EDIT_ACTIONS,
+    applyChunkEditToIndex,
+    applyChunkEdits,
+    buildChunkEdit,
+    chunkSegment,
+    deleteChunkEdits,
+    ensureIndexes,
+    listChunkEdits,
+    recordChunkEdit
+};
@@ -0,0 +1,361 @@
+/**
+ * Chunking profiles
+ *
+ * How a document's text is cut into chunks before it is embedded. Lecture
+ * slides, dense textbook chapters, and practice problem sets read best with
+ * different cuts, so a course picks a default profile and any document can
+ * override it:
+ *
+ *   { strategy, chunkSize, chunkOverlap }
+ *
+ *   default             the toolkit chunker, configured by CHUNK_* env vars
+ *   fixed-size          windows of chunkSize characters, chunkOverlap shared
+ *   heading-aware       one chunk per section, headings kept with their text
+ *   slide-per-chunk     one chunk per slide or page
+ *   question-per-chunk  one chunk per numbered question
+ *
+ * Courses store theirs as `chunkingProfile` (null means the default) and
+ * documents as `chunkingProfile` (null means the course's). Sections, slides,
+ * and questions longer than chunkSize are cut into fixed-size windows, and a
+ * document with no headings, slide markers, or questions falls back to
+ * fixed-size chunks.
+ *
+ * Imported web pages and EPUB books arrive already split into sections (see
+ * webDocumentImport); under the default and heading-aware profiles those
+ * sections are the chunks, so each one can cite its chapter anchor.
+ */
+
+const DEFAULT_STRATEGY = 'default';
+const CHUNKING_STRATEGIES = Object.freeze([
+    DEFAULT_STRATEGY,
+    'fixed-size',
+    'heading-aware',
+    'slide-per-chunk',
+    'question-per-chunk'
+]);
+
+const DEFAULT_CHUNK_SIZE = 1000;
+const DEFAULT_CHUNK_OVERLAP = 200;
+const MIN_CHUNK_SIZE = 200;
+const MAX_CHUNK_SIZE = 8000;
+
+const DEFAULT_CHUNKING_PROFILE = Object.freeze({
+    strategy: DEFAULT_STRATEGY,
+    chunkSize: DEFAULT_CHUNK_SIZE,
+    chunkOverlap: DEFAULT_CHUNK_OVERLAP
+});
+
+const MARKDOWN_HEADING = /^#{1,6}\s+\S/;
+const NUMBERED_HEADING = /^\d+(?:\.\d+)*\.?\s+[A-Z][^.!?]*$/;
+const NAMED_HEADING = /^(?:chapter|section|part|unit|module)\s+[\dIVXLC]+\b/i;
+// "Slide 3", "--- Page 3 ---", "Slide 3: Title"
+const SLIDE_MARKER = /^[\s\-=#[]*(slide|page)\s+(\d+)\b(?:\s*[:.–—-]+\s*(.*?))?[\s\-=\]]*$/i;
+const QUESTION_START = /^\s*(?:(?:q(?:uestion)?|problem|exercise)\s*#?\s*(\d+)\b|(\d{1,3})\s*[.)]\s+\S)/i;
+const MAX_HEADING_LENGTH = 80;
+
+/**
+ * Validate a chunking profile. Lenient mode (stored values) falls back to the
+ * default profile; strict mode (instructor input) reports the problem.
+ * @param {Object|null} value
+ * @param {Object} [options] - { strict }
+ * @returns {Object} { profile } (null for "not set") or { error }
+ */
+function normalizeChunkingProfile(value, { strict = false } = {}) {
+    if (value === undefined || value === null) return { profile: null };
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        return strict ? { error: 'chunkingProfile must be an object or null' } : { profile: null };
+    }
+
+    const strategy = value.strategy === undefined ? DEFAULT_STRATEGY : value.strategy;
+    const chunkSize = value.chunkSize === undefined ? DEFAULT_CHUNK_SIZE : Number(value.chunkSize);
+    const chunkOverlap = value.chunkOverlap === undefined ? DEFAULT_CHUNK_OVERLAP : Number(value.chunkOverlap);
+
+    if (!CHUNKING_STRATEGIES.includes(strategy)) {
+        return strict
+            ? { error: `Chunking strategy must be one of: ${CHUNKING_STRATEGIES.join(', ')}` }
+            : { profile: null };
+    }
+    const sizeValid = Number.isInteger(chunkSize) && chunkSize >= MIN_CHUNK_SIZE && chunkSize <= MAX_CHUNK_SIZE;
+    const overlapValid = Number.isInteger(chunkOverlap) && chunkOverlap >= 0 && chunkOverlap < chunkSize / 2;
+    if (strict && !sizeValid) {
+        return { error: `Chunk size must be an integer from ${MIN_CHUNK_SIZE} to ${MAX_CHUNK_SIZE} characters` };
+    }
+    if (strict && !overlapValid) {
+        return { error: 'Chunk overlap must be a whole number of characters, less than half the chunk size' };
+    }
+
+    const size = sizeValid ? chunkSize : DEFAULT_CHUNK_SIZE;
+    return {
+        profile: {
+            strategy,
+            chunkSize: size,
+            chunkOverlap: overlapValid ? chunkOverlap : Math.min(DEFAULT_CHUNK_OVERLAP, Math.floor(size / 4))
+        }
+    };
+}
+
+/**
+ * The profile a document is chunked with: its own, else its course's, else
+ * the default
+ * @param {Object} [course] - Course record
+ * @param {Object} [document] - Document record
+ * @returns {Object} Chunking profile
+ */
+function effectiveChunkingProfile(course, document) {
+    return normalizeChunkingProfile(document && document.chunkingProfile).profile
+        || normalizeChunkingProfile(course && course.chunkingProfile).profile
+        || { ...DEFAULT_CHUNKING_PROFILE };
+}
+
+/**
+ * effectiveChunkingProfile, reading the course's profile from the database
+ * @param {Object} db
+ * @param {Object} document - Document record
+ * @returns {Promise<Object>} Chunking profile
+ */
+async function resolveDocumentChunkingProfile(db, document) {
+    if (!db || !document) return effectiveChunkingProfile(null, document);
+    const course = await db.collection('courses').findOne(
+        { courseId: document.courseId },
+        { projection: { chunkingProfile: 1 } }
+    );
+    return effectiveChunkingProfile(course, document);
+}
+
+/**
+ * Keep line, tab, and page breaks (the structural strategies read them) but
+ * drop every other control character
+ */
+function sanitizeForChunking(content) {
+    return String(content || '')
+        .replace(/\r\n?/g, '\n')
+        .replace(/[\x00-\x08\x0B\x0D-\x1F\x7F-\x9F]/g, '');
+}
+
+/**
+ * Cut text into windows of at most `size` characters, ending each at a
+ * whitespace break where one is near, with `overlap` characters repeated at
+ * the start of the next window
+ * @returns {Array<string>}
+ */
+function fixedSizeChunks(text, size, overlap) {
+    const chunks = [];
+    const source = String(text || '');
+    let start = 0;
+    while (start < source.length) {
+        let end = Math.min(source.length, start + size);
+        if (end < source.length) {
+            const floor = start + Math.floor(size / 2);
+            let cut = end;
+            while (cut > floor && !/\s/.test(source[cut])) cut -= 1;
+            if (cut > floor) end = cut;
+        }
+
+        const piece = source.slice(start, end).trim();
+        if (piece) chunks.push(piece);
+        if (end >= source.length) break;
+
+        // Start the overlap on a word boundary
+        let next = Math.max(start + 1, end - overlap);
+        while (next < end && !/\s/.test(source[next - 1])) next += 1;
+        start = next;
+    }
+    return chunks;
+}
+
+/**
+ * Fixed-size windows of a block, each prefixed with its heading and carrying
+ * the block's metadata
+ */
+function windowed(block, profile, heading = '') {
+    const prefix = heading ? `${heading}\n` : '';
+    const body = block.text.trim();
+    if (!body) return [];
+    if (prefix.length + body.length <= profile.chunkSize) {
+        return [{ text: `${prefix}${body}`, metadata: block.metadata }];
+    }
+    const room = Math.max(MIN_CHUNK_SIZE / 2, profile.chunkSize - prefix.length);
+    return fixedSizeChunks(body, room, Math.min(profile.chunkOverlap, Math.floor(room / 4)))
+        .map(text => ({ text: `${prefix}${text}`, metadata: block.metadata }));
+}
+
+function isHeading(line) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.length > MAX_HEADING_LENGTH) return false;
+    if (MARKDOWN_HEADING.test(trimmed) || NUMBERED_HEADING.test(trimmed) || NAMED_HEADING.test(trimmed)) {
+        return true;
+    }
+    // A short all-caps line ("CELL RESPIRATION")
+    return /[A-Z]{3}/.test(trimmed) && !/[a-z]/.test(trimmed) && !/[.!?]$/.test(trimmed);
+}
+
+function headingAwareChunks(text, profile) {
+    const sections = [];
+    let current = { heading: '', lines: [] };
+    for (const line of text.split('\n')) {
+        if (isHeading(line)) {
+            // A heading with no text of its own ("Chapter 2" right before
+            // "2.1 Glycolysis") stays with the next heading
+            if (current.lines.join('').trim()) {
+                sections.push(current);
+                current = { heading: line.trim(), lines: [] };
+            } else {
+                current.heading = [current.heading, line.trim()].filter(Boolean).join('\n');
+            }
+        } else {
+            current.lines.push(line);
+        }
+    }
+    sections.push(current);
+
+    const headed = sections.filter(section => section.heading);
+    if (headed.length === 0) return null;
+    return sections.flatMap(section => windowed(
+        { text: section.lines.join('\n'), metadata: section.heading ? { sectionHeading: section.heading } : {} },
+        profile,
+        section.heading
+    ));
+}
+
+function slidePerChunk(text, profile) {
+    let blocks;
+    if (text.includes('\f')) {
+        blocks = text.split('\f').map((page, index) => ({
+            text: page,
+            metadata: { sourceUnit: 'page', pageNumber: index + 1 }
+        }));
+    } else {
+        blocks = [];
+        let current = null;
+        for (const line of text.split('\n')) {
+            const marker = line.match(SLIDE_MARKER);
+            if (marker) {
+                const unit = marker[1].toLowerCase();
+                current = {
+                    lines: marker[3] ? [marker[3]] : [],
+                    metadata: { sourceUnit: unit, [`${unit}Number`]: Number(marker[2]) }
+                };
+                blocks.push(current);
+            } else if (current) {
+                current.lines.push(line);
+            } else if (line.trim()) {
+                current = { lines: [line], metadata: {} };
+                blocks.push(current);
+            }
+        }
+        blocks = blocks.map(block => ({ text: block.lines.join('\n'), metadata: block.metadata }));
+    }
+
+    if (blocks.filter(block => block.text.trim()).length < 2) return null;
+    return blocks.flatMap(block => windowed(block, profile));
+}
+
+function questionPerChunk(text, profile) {
+    const blocks = [];
+    let current = { lines: [], metadata: {} };
+    for (const line of text.split('\n')) {
+        const start = line.match(QUESTION_START);
+        if (start) {
+            blocks.push(current);
+            current = { lines: [line], metadata: { questionNumber: Number(start[1] || start[2]) } };
+        } else {
+            current.lines.push(line);
+        }
+    }
+    blocks.push(current);
+
+    const questions = blocks.filter(block => block.metadata.questionNumber !== undefined);
+    if (questions.length < 2) return null;
+    return blocks.flatMap(block => windowed({ text: block.lines.join('\n'), metadata: block.metadata }, profile));
+}
+
+const STRUCTURED_CHUNKERS = {
+    'heading-aware': headingAwareChunks,
+    'slide-per-chunk': slidePerChunk,
+    'question-per-chunk': questionPerChunk
+};
+
+/**
+ * Chunk a document's text with a non-default profile (the default one is the
+ * toolkit chunker's job)
+ * @param {string} content - Document text
+ * @param {Object} profile - Chunking profile
+ * @returns {Object} { chunks, metadata, strategyUsed } - strategyUsed is
+ *   'fixed-size' when the structure the profile looks for was not found
+ */
+function chunkWithProfile(content, profile) {
+    const resolved = normalizeChunkingProfile(profile).profile || { ...DEFAULT_CHUNKING_PROFILE };
+    const text = sanitizeForChunking(content);
+
+    const structured = STRUCTURED_CHUNKERS[resolved.strategy];
+    const pieces = structured ? structured(text, resolved) : null;
+    if (pieces && pieces.length > 0) {
+        return {
+            chunks: pieces.map(piece => piece.text),
+            metadata: pieces.map(piece => ({ ...piece.metadata })),
+            strategyUsed: resolved.strategy
+        };
+    }
+
+    const chunks = fixedSizeChunks(text, resolved.chunkSize, resolved.chunkOverlap);
+    return { chunks, metadata: chunks.map(() => ({})), strategyUsed: 'fixed-size' };
+}
+
+function isDefaultProfile(profile) {
+    return !profile || profile.strategy === DEFAULT_STRATEGY;
+}
+
+/**
+ * Whether a document's stored sections should be chunked as they are rather
+ * than its text re-cut by the profile
+ * @param {Array} [sections] - Imported web document sections
+ * @param {Object} [profile] - Chunking profile
+ */
+function usesSectionChunks(sections, profile) {
+    return Array.isArray(sections) && sections.length > 0
+        && (isDefaultProfile(profile) || profile.strategy === 'heading-aware');
+}
+
+/**
+ * One chunk per imported section, headed by its heading; long sections are
+ * windowed under it. Each chunk's metadata points back to the section.
+ * @param {Array} sections - [{ heading, anchor, sourceUrl, text }]
+ * @param {Object} [profile] - Chunking profile (for its size and overlap)
+ * @returns {Object} { chunks, metadata, strategyUsed: 'section' }
+ */
+function chunkSections(sections, profile) {
+    const resolved = normalizeChunkingProfile(profile).profile || { ...DEFAULT_CHUNKING_PROFILE };
+    const pieces = sections.flatMap(section => windowed(
+        {
+            text: sanitizeForChunking(section.text),
+            metadata: {
+                sourceUnit: 'section',
+                sectionHeading: section.heading || '',
+                sectionAnchor: section.anchor || null,
+                sourceUrl: section.sourceUrl || null
+            }
+        },
+        resolved,
+        section.heading || ''
+    ));
+    return {
+        chunks: pieces.map(piece => piece.text),
+        metadata: pieces.map(piece => ({ ...piece.metadata })),
+        strategyUsed: 'section'
+    };
+}
+
+module.exports = {
+    CHUNKING_STRATEGIES,
+    DEFAULT_CHUNKING_PROFILE,
+    MAX_CHUNK_SIZE,
+    MIN_CHUNK_SIZE,
+    chunkSections,
+    chunkWithProfile,
+    effectiveChunkingProfile,
+    fixedSizeChunks,
+    isDefaultProfile,
+    normalizeChunkingProfile,
+    resolveDocumentChunkingProfile,
+    usesSectionChunks
+};
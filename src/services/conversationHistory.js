@@ -0,0 +1,83 @@
+/**
+ * Conversation History Service
+ *
+ * Turns the server-owned chat thread (see models/ChatThread) into the prompt
+ * history for the next turn. History is trimmed oldest-first to a token
+ * budget so a long chat can never crowd the course context out of the prompt.
+ */
+
+const { encodingForModel } = require('js-tiktoken');
+
+const tokenEncoder = encodingForModel('gpt-4o');
+const DEFAULT_HISTORY_TOKEN_BUDGET = 4000;
+const MIN_HISTORY_TOKEN_BUDGET = 500;
+const MAX_HISTORY_TOKEN_BUDGET = 32000;
+
+const SPEAKER_LABELS = {
+    user: 'Student',
+    assistant: 'BiocBot'
+};
+
+function countTokens(text) {
+    return tokenEncoder.encode(String(text || '')).length;
+}
+
+/**
+ * Resolve the history budget from CHAT_HISTORY_TOKEN_BUDGET, clamped to sane bounds
+ * @returns {number}
+ */
+function getHistoryTokenBudget() {
+    const configured = parseInt(process.env.CHAT_HISTORY_TOKEN_BUDGET, 10);
+    if (!Number.isFinite(configured)) return DEFAULT_HISTORY_TOKEN_BUDGET;
+    return Math.min(MAX_HISTORY_TOKEN_BUDGET, Math.max(MIN_HISTORY_TOKEN_BUDGET, configured));
+}
+
+function formatTurn(turn) {
+    return `${SPEAKER_LABELS[turn.role] || 'Student'}: ${turn.content}`;
+}
+
+/**
+ * Keep the most recent turns that fit the token budget, in chronological order
+ * @param {Array} turns - Thread turns, oldest first
+ * @param {Object} [options]
+ * @param {number} [options.tokenBudget] - Defaults to getHistoryTokenBudget()
+ * @returns {{turns: Array, tokenCount: number, omittedCount: number}}
+ */
+function selectHistoryWindow(turns, { tokenBudget = getHistoryTokenBudget() } = {}) {
+    const list = Array.isArray(turns)
+        ? turns.filter(turn => turn && SPEAKER_LABELS[turn.role] && typeof turn.content === 'string')
+        : [];
+
+    const kept = [];
+    let tokenCount = 0;
+    for (let index = list.length - 1; index >= 0; index -= 1) {
+        // +2 for the blank line separating turns in the prompt
+        const cost = countTokens(formatTurn(list[index])) + 2;
+        if (tokenCount + cost > tokenBudget) break;
+        kept.unshift(list[index]);
+        tokenCount += cost;
+    }
+
+    return {
+        turns: kept,
+        tokenCount,
+        omittedCount: list.length - kept.length
+    };
+}
+
+/**
+ * Render turns as the "Previous conversation" transcript used in the prompt
+ * @param {Array} turns - Turns from selectHistoryWindow()
+ * @returns {string}
+ */
+function formatHistory(turns) {
+    return (turns || []).map(turn => `${formatTurn(turn)}\n\n`).join('');
+}
+
+module.exports = {
+    DEFAULT_HISTORY_TOKEN_BUDGET,
+    countTokens,
+    getHistoryTokenBudget,
+    selectHistoryWindow,
+    formatHistory
+};
@@ -6,11 +6,15 @@ const DocumentModel = require('../models/Document');
 const CourseModel = require('../models/Course');
 const FlashcardDeck = require('../models/FlashcardDeck');
 const gridfs = require('./gridfs');
+const { deleteFigureImages, indexFigureChunks, numberFigures, storeFigureImages } = require('./figureIndex');
 const {
     contentHash,
     markDocumentIndexFailed,
     markDocumentIndexReady
 } = require('./embeddingIndexService');
+const { createVectorReuse, embedChunks } = require('./vectorReuse');
+const { applyChunkEdits, listChunkEdits } = require('./chunkEdits');
+const { isDefaultProfile, resolveDocumentChunkingProfile } = require('./chunkingProfiles');
 const { DocumentParsingModule } = require('ubc-genai-toolkit-document-parsing');
 const { ConsoleLogger } = require('ubc-genai-toolkit-core');
 
@@ -42,11 +46,22 @@ function createDocumentParser(options = {}) {
                 if (!llmService || typeof llmService.isReady !== 'function' || !llmService.isReady()) {
                     return null;
                 }
-                return await llmService.describeImage(image.data, image.mimeType, {
+                const description = await llmService.describeImage(image.data, image.mimeType, {
                     slideNumber: image.slideNumber,
                     pageNumber: image.pageNumber,
                     source: image.source
                 });
+                if (description && typeof options.onFigure === 'function') {
+                    options.onFigure({
+                        data: image.data,
+                        mimeType: image.mimeType,
+                        pageNumber: image.pageNumber,
+                        slideNumber: image.slideNumber,
+                        imageIndex: image.imageIndex,
+                        description
+                    });
+                }
+                return description;
             } catch (error) {
                 if (error?.name === 'LlmKeyError') throw error;
                 const where = image.slideNumber
@@ -59,12 +74,26 @@ function createDocumentParser(options = {}) {
     });
 }
 
-async function parseDocumentBuffer({ buffer, originalName, mimeType, llmService }) {
+/**
+ * Extract text, PPTX slides, and described figures from an uploaded file.
+ * `onProgress` receives running { slides, figures } counts as the parser
+ * reaches them.
+ */
+async function parseDocumentBuffer({ buffer, originalName, mimeType, llmService, onProgress }) {
     if (mimeType === 'text/plain' || mimeType === 'text/markdown') {
-        return { textContent: buffer.toString('utf8'), parsedSlides: [] };
+        return { textContent: buffer.toString('utf8'), parsedSlides: [], figures: [] };
     }
 
     const parsedSlides = [];
+    const describedImages = [];
+    const reportProgress = () => {
+        if (typeof onProgress !== 'function') return;
+        try {
+            onProgress({ slides: parsedSlides.length, figures: describedImages.length });
+        } catch (error) {
+            console.warn(`⚠️ Parse progress listener failed: ${error.message}`);
+        }
+    };
     const safeName = path.basename(originalName || 'document');
     const tempFilePath = path.join(os.tmpdir(), `${Date.now()}_${safeName}`);
 
@@ -76,9 +105,14 @@ async function parseDocumentBuffer({ buffer, originalName, mimeType, llmService
                 ? async (slide) => {
                     if (slide && typeof slide.text === 'string' && slide.text.trim()) {
                         parsedSlides.push(slide);
+                        reportProgress();
                     }
                 }
-                : undefined
+                : undefined,
+            onFigure: (figure) => {
+                describedImages.push(figure);
+                reportProgress();
+            }
         });
         const parsePromise = parser.parse({ filePath: tempFilePath }, 'text');
         let timeoutId;
@@ -100,7 +134,7 @@ async function parseDocumentBuffer({ buffer, originalName, mimeType, llmService
             throw new Error('Failed to extract text content from document');
         }
 
-        return { textContent: parseResult.content, parsedSlides };
+        return { textContent: parseResult.content, parsedSlides, figures: numberFigures(describedImages) };
     } finally {
         try {
             fs.unlinkSync(tempFilePath);
@@ -125,19 +159,56 @@ function createProgressEmitter(onProgress) {
     };
 }
 
-async function ingestDocument({
+/**
+ * Save a document and link it into its unit, storing any described figures.
+ * When `existingDocumentId` names a document an earlier attempt already
+ * inserted, that document is refreshed in place instead of duplicated. With
+ * `revision` ({ jobId, uploadedBy }) the file becomes a new version of that
+ * document instead. `onSaved` runs as soon as the document has an id.
+ */
+async function saveIngestedDocument({
     db,
-    qdrantService,
     documentData,
     storedInstructorId,
     linkTitle,
-    qdrantData,
-    indexDocument,
-    onProgress
+    figures = [],
+    existingDocumentId = null,
+    revision = null,
+    onSaved
 }) {
-    const emit = createProgressEmitter(onProgress);
-    emit('saving');
-    const result = await DocumentModel.uploadDocument(db, documentData);
+    let result = existingDocumentId ? await DocumentModel.getDocumentById(db, existingDocumentId) : null;
+    if (revision && !result) {
+        throw new Error('The document was deleted before its new version could be saved');
+    }
+    if (result) {
+        const previousFigures = result.figures;
+        if (revision) {
+            result = await DocumentModel.recordDocumentRevision(db, result.documentId, {
+                fileId: documentData.fileId,
+                filename: documentData.filename,
+                originalName: documentData.originalName,
+                mimeType: documentData.mimeType,
+                size: documentData.size,
+                content: documentData.content,
+                contentHash: contentHash(documentData.content),
+                uploadedBy: revision.uploadedBy,
+                jobId: revision.jobId
+            });
+            if (!result) {
+                throw new Error('The document was deleted before its new version could be saved');
+            }
+        }
+        await db.collection('documents').updateOne(
+            { documentId: result.documentId },
+            { $set: { content: documentData.content, lastModified: new Date() } }
+        );
+        await deleteFigureImages(db, previousFigures);
+        result = { ...result, content: documentData.content };
+    } else {
+        result = await DocumentModel.uploadDocument(db, documentData);
+    }
+    if (typeof onSaved === 'function') await onSaved(result);
+
     const courseResult = await CourseModel.addDocumentToUnit(
         db,
         documentData.courseId,
@@ -151,32 +222,200 @@ async function ingestDocument({
             mimeType: documentData.mimeType,
             size: documentData.size,
             status: 'uploaded',
+            version: result.version || 1,
             metadata: documentData.metadata
         },
         storedInstructorId
     );
 
+    let figureRecords = [];
+    if (Array.isArray(figures) && figures.length > 0) {
+        figureRecords = await storeFigureImages(db, result, figures);
+    }
+    if (figureRecords.length > 0 || existingDocumentId) {
+        await DocumentModel.setDocumentFigures(db, result.documentId, figureRecords);
+    }
+
+    return { result, courseResult, figureRecords };
+}
+
+/**
+ * Chunk and embed a saved document's text, plus its figure descriptions, and
+ * record which embedding profile now holds its vectors. Errors are recorded
+ * against the profile and rethrown.
+ *
+ * `incremental` re-indexes a document that already has chunks (a new
+ * version): unchanged chunks reuse their stored vectors, and the previous
+ * points are removed only once the new ones are stored. The instructor's
+ * chunk edits are replayed over the new chunks either way, and the text is
+ * chunked with the document's (or its course's) chunking profile.
+ */
+async function indexIngestedDocument({
+    db,
+    qdrantService,
+    document,
+    qdrantData,
+    indexDocument,
+    figureRecords = [],
+    incremental = false
+}) {
+    const profile = qdrantService && qdrantService.embeddingProfile;
+    const hash = contentHash(qdrantData.content);
+    try {
+        const payload = {
+            ...qdrantData,
+            documentId: document.documentId,
+            type: document.type,
+            documentVersion: document.version || 1,
+            sections: document.sections,
+            chunkEdits: await listChunkEdits(db, document.documentId),
+            chunkingProfile: await resolveDocumentChunkingProfile(db, document)
+        };
+        const previousPoints = incremental
+            ? await qdrantService.getDocumentPoints(document.documentId, document.courseId)
+            : [];
+        if (incremental) payload.vectorReuse = createVectorReuse(previousPoints);
+
+        const qdrantResult = indexDocument
+            ? await indexDocument(payload)
+            : await qdrantService.processAndStoreDocument(payload);
+        if (qdrantResult && qdrantResult.success !== false && figureRecords.length > 0) {
+            qdrantResult.figureChunksStored = await indexFigureChunks(qdrantService, payload, figureRecords);
+        }
+        if (incremental && qdrantResult && qdrantResult.success !== false) {
+            qdrantResult.chunksRemoved = await qdrantService.deletePoints(previousPoints.map(point => point.id));
+            qdrantResult.chunksReused = payload.vectorReuse.reused;
+            qdrantResult.chunksEmbedded = payload.vectorReuse.embedded;
+        }
+
+        // Record which embedding profile now has current vectors for this
+        // document. Other profiles stay untouched, so a later switch only
+        // re-embeds what is genuinely missing.
+        if (profile && qdrantResult && qdrantResult.success !== false) {
+            await markDocumentIndexReady(db, document.documentId, profile, hash);
+        }
+        return qdrantResult;
+    } catch (error) {
+        if (profile) {
+            await markDocumentIndexFailed(db, document.documentId, profile, hash, error).catch(() => {});
+        }
+        throw error;
+    }
+}
+
+/**
+ * PowerPoint decks are indexed one chunk per slide so answers can cite the
+ * slide, unless their chunking profile asks for another cut
+ */
+function usesSlideChunks(mimeType, parsedSlides, chunkingProfile) {
+    return mimeType === PPTX_MIME_TYPE
+        && parsedSlides.length > 0
+        && (isDefaultProfile(chunkingProfile) || chunkingProfile.strategy === 'slide-per-chunk');
+}
+
+function chunkSlides(parsedSlides, chunkEdits) {
+    const nonBlankSlides = parsedSlides.filter((slide) => slide.text && slide.text.trim());
+    return applyChunkEdits(
+        nonBlankSlides.map((slide) => slide.text.trim()),
+        nonBlankSlides.map((slide) => ({
+            sourceUnit: 'slide',
+            slideNumber: slide.slideNumber,
+            describedImageCount: slide.describedImageCount || 0
+        })),
+        chunkEdits
+    );
+}
+
+/**
+ * Index a PowerPoint deck one chunk per slide. Returns null when there are no
+ * slides to index that way.
+ */
+function createSlideIndexer(qdrantService, mimeType, parsedSlides = []) {
+    if (mimeType !== PPTX_MIME_TYPE || parsedSlides.length === 0) return null;
+    return async (qdrantDocumentData) => {
+        if (!usesSlideChunks(mimeType, parsedSlides, qdrantDocumentData.chunkingProfile)) {
+            return qdrantService.processAndStoreDocument(qdrantDocumentData);
+        }
+        const { chunks: slideChunks, metadata: slideMetadata } = chunkSlides(
+            parsedSlides,
+            qdrantDocumentData.chunkEdits
+        );
+        const embeddings = await embedChunks(qdrantService, slideChunks, qdrantDocumentData.vectorReuse);
+        const storedChunks = await qdrantService.storeChunks(
+            { ...qdrantDocumentData, chunkMetadata: slideMetadata },
+            slideChunks,
+            embeddings,
+            'pptx-slide'
+        );
+        return {
+            success: true,
+            chunksProcessed: slideChunks.length,
+            chunksStored: storedChunks.length,
+            message: `PowerPoint processed and ${storedChunks.length} slide chunks stored successfully`
+        };
+    };
+}
+
+/**
+ * The chunks a saved document would be indexed as with a chunking profile,
+ * without embedding or storing anything. Follows the same path as indexing:
+ * slides for a deck, and the instructor's chunk edits replayed.
+ * @returns {Promise<Object>} { chunks, metadata, strategyUsed }
+ */
+async function previewDocumentChunks({ db, qdrantService, document, chunkingProfile, slides = [] }) {
+    const chunkEdits = await listChunkEdits(db, document.documentId);
+    if (usesSlideChunks(document.mimeType, slides, chunkingProfile)) {
+        const { chunks, metadata } = chunkSlides(slides, chunkEdits);
+        return { chunks, metadata, strategyUsed: 'pptx-slide' };
+    }
+    return qdrantService.chunkDocument({
+        documentId: document.documentId,
+        content: String(document.content || ''),
+        sections: document.sections,
+        chunkingProfile,
+        chunkEdits
+    });
+}
+
+/**
+ * Save a document, link it into its unit, and index it for retrieval.
+ * `figures` (from parseDocumentBuffer) are stored on the document and indexed
+ * as their own "figure" chunks alongside the text chunks.
+ */
+async function ingestDocument({
+    db,
+    qdrantService,
+    documentData,
+    storedInstructorId,
+    linkTitle,
+    qdrantData,
+    indexDocument,
+    figures = [],
+    onProgress
+}) {
+    const emit = createProgressEmitter(onProgress);
+    emit('saving');
+    const { result, courseResult, figureRecords } = await saveIngestedDocument({
+        db,
+        documentData,
+        storedInstructorId,
+        linkTitle,
+        figures
+    });
+
     let qdrantResult = null;
     if (documentData.content) {
         emit('indexing');
-        const profile = qdrantService && qdrantService.embeddingProfile;
-        const hash = contentHash(documentData.content);
         try {
-            const payload = { ...qdrantData, documentId: result.documentId, type: result.type };
-            qdrantResult = indexDocument
-                ? await indexDocument(payload)
-                : await qdrantService.processAndStoreDocument(payload);
-
-            // Record which embedding profile now has current vectors for this
-            // document. Other profiles stay untouched, so a later switch only
-            // re-embeds what is genuinely missing.
-            if (profile && qdrantResult && qdrantResult.success !== false) {
-                await markDocumentIndexReady(db, result.documentId, profile, hash);
-            }
+            qdrantResult = await indexIngestedDocument({
+                db,
+                qdrantService,
+                document: result,
+                qdrantData,
+                indexDocument,
+                figureRecords
+            });
         } catch (error) {
-            if (profile) {
-                await markDocumentIndexFailed(db, result.documentId, profile, hash, error).catch(() => {});
-            }
             if (error?.name === 'LlmKeyError') throw error;
             console.warn('Warning: Document uploaded but Qdrant processing failed:', error.message);
         }
@@ -186,6 +425,62 @@ async function ingestDocument({
     return { result, courseResult, qdrantResult };
 }
 
+/**
+ * Reject files the ingestion pipeline cannot handle, before anything is stored
+ */
+function validateDocumentFile({ buffer, mimeType, size }) {
+    if (!Buffer.isBuffer(buffer)) {
+        throw new TypeError('Document buffer is required');
+    }
+    if (!isSupportedDocumentMimeType(mimeType)) {
+        const error = new Error('Invalid file type. Only PDF, DOC, DOCX, PPTX, TXT, MD, and RTF files are allowed.');
+        error.code = 'UNSUPPORTED_DOCUMENT_TYPE';
+        throw error;
+    }
+    if (buffer.length > MAX_DOCUMENT_BYTES || Number(size) > MAX_DOCUMENT_BYTES) {
+        const error = new Error('Document exceeds the 50 MB file-size limit.');
+        error.code = 'DOCUMENT_TOO_LARGE';
+        throw error;
+    }
+}
+
+/** The stored document record for an uploaded file */
+function buildFileDocumentData({
+    courseId,
+    lectureName,
+    documentType,
+    instructorId,
+    filename,
+    originalName,
+    fileId,
+    mimeType,
+    size,
+    content,
+    sections = null,
+    metadata = {}
+}) {
+    return {
+        courseId,
+        lectureName,
+        documentType,
+        instructorId,
+        contentType: 'file',
+        filename,
+        originalName,
+        fileId,
+        mimeType,
+        size,
+        content,
+        ...(Array.isArray(sections) ? { sections } : {}),
+        metadata: {
+            description: '',
+            tags: [],
+            learningObjectives: [],
+            ...metadata
+        }
+    };
+}
+
 async function ingestFileBuffer({
     db,
     ai,
@@ -202,19 +497,7 @@ async function ingestFileBuffer({
     onProgress
 }) {
     const emit = createProgressEmitter(onProgress);
-    if (!Buffer.isBuffer(buffer)) {
-        throw new TypeError('Document buffer is required');
-    }
-    if (!isSupportedDocumentMimeType(mimeType)) {
-        const error = new Error('Invalid file type. Only PDF, DOC, DOCX, PPTX, TXT, MD, and RTF files are allowed.');
-        error.code = 'UNSUPPORTED_DOCUMENT_TYPE';
-        throw error;
-    }
-    if (buffer.length > MAX_DOCUMENT_BYTES || Number(size) > MAX_DOCUMENT_BYTES) {
-        const error = new Error('Document exceeds the 50 MB file-size limit.');
-        error.code = 'DOCUMENT_TOO_LARGE';
-        throw error;
-    }
+    validateDocumentFile({ buffer, mimeType, size });
 
     const effectiveSize = Number(size) || buffer.length;
     const effectiveName = path.basename(originalName || 'document');
@@ -226,9 +509,10 @@ async function ingestFileBuffer({
 
     let textContent = '';
     let parsedSlides = [];
+    let figures = [];
     emit('extracting', { mimeType });
     try {
-        ({ textContent, parsedSlides } = await parseDocumentBuffer({
+        ({ textContent, parsedSlides, figures } = await parseDocumentBuffer({
             buffer,
             originalName: effectiveName,
             mimeType,
@@ -237,55 +521,24 @@ async function ingestFileBuffer({
     } catch (error) {
         console.error(`❌ Error extracting text from ${mimeType}:`, error);
     }
-    emit('extracted', { characters: textContent.length, slides: parsedSlides.length });
+    emit('extracted', { characters: textContent.length, slides: parsedSlides.length, figures: figures.length });
 
     const filename = title || effectiveName;
-    const documentData = {
+    const documentData = buildFileDocumentData({
         courseId,
         lectureName,
         documentType,
         instructorId,
-        contentType: 'file',
         filename,
         originalName: effectiveName,
         fileId: gridfsFileId,
         mimeType,
         size: effectiveSize,
         content: textContent,
-        metadata: {
-            description: '',
-            tags: [],
-            learningObjectives: [],
-            ...metadata
-        }
-    };
+        metadata
+    });
 
     const qdrantService = ai.qdrant;
-    const indexSlides = mimeType === PPTX_MIME_TYPE && parsedSlides.length > 0
-        ? async (qdrantDocumentData) => {
-            const nonBlankSlides = parsedSlides.filter((slide) => slide.text && slide.text.trim());
-            const slideChunks = nonBlankSlides.map((slide) => slide.text.trim());
-            const slideMetadata = nonBlankSlides.map((slide) => ({
-                sourceUnit: 'slide',
-                slideNumber: slide.slideNumber,
-                describedImageCount: slide.describedImageCount || 0
-            }));
-            const embeddings = await qdrantService.generateEmbeddings(slideChunks);
-            const storedChunks = await qdrantService.storeChunks(
-                { ...qdrantDocumentData, chunkMetadata: slideMetadata },
-                slideChunks,
-                embeddings,
-                'pptx-slide'
-            );
-            return {
-                success: true,
-                chunksProcessed: slideChunks.length,
-                chunksStored: storedChunks.length,
-                message: `PowerPoint processed and ${storedChunks.length} slide chunks stored successfully`
-            };
-        }
-        : null;
-
     return ingestDocument({
         db,
         qdrantService,
@@ -300,7 +553,8 @@ async function ingestFileBuffer({
             mimeType,
             documentType
         },
-        indexDocument: indexSlides,
+        indexDocument: createSlideIndexer(qdrantService, mimeType, parsedSlides),
+        figures,
         onProgress
     });
 }
@@ -309,10 +563,16 @@ module.exports = {
     MAX_DOCUMENT_BYTES,
     PPTX_MIME_TYPE,
     SUPPORTED_DOCUMENT_MIME_TYPES,
+    buildFileDocumentData,
     createDocumentParser,
     createProgressEmitter,
+    createSlideIndexer,
+    indexIngestedDocument,
     ingestDocument,
     ingestFileBuffer,
     isSupportedDocumentMimeType,
-    parseDocumentBuffer
+    parseDocumentBuffer,
+    previewDocumentChunks,
+    saveIngestedDocument,
+    validateDocumentFile
 };
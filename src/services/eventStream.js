@@ -0,0 +1,51 @@
+/**
+ * Event Stream Service
+ *
+ * Minimal Server-Sent Events writer for routes that stream long-running
+ * responses (e.g. the student chat reply) to the browser. Each event is a
+ * named `event:` line followed by a single JSON `data:` line.
+ */
+
+/**
+ * Format one SSE frame.
+ * @param {string} event - Event name
+ * @param {*} data - JSON-serializable payload
+ * @returns {string}
+ */
+function formatEvent(event, data) {
+    return `event: ${event}\ndata: ${JSON.stringify(data === undefined ? null : data)}\n\n`;
+}
+
+/**
+ * Switch an Express response into SSE mode.
+ * @param {import('express').Response} res
+ * @returns {{send: Function, end: Function}} `send(event, data)` writes a frame
+ *   while the connection is open; `end()` closes the stream once.
+ */
+function openEventStream(res) {
+    res.status(200);
+    res.set({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        // Stop reverse proxies (nginx) from buffering the whole reply.
+        'X-Accel-Buffering': 'no'
+    });
+    if (typeof res.flushHeaders === 'function') res.flushHeaders();
+
+    return {
+        send(event, data) {
+            if (res.writableEnded || res.destroyed) return false;
+            res.write(formatEvent(event, data));
+            return true;
+        },
+        end() {
+            if (!res.writableEnded) res.end();
+        }
+    };
+}
+
+module.exports = {
+    formatEvent,
+    openEventStream
+};
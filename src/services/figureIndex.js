@@ -0,0 +1,207 @@
+/**
+ * Figure Index Service
+ * Turns images embedded in uploaded PDFs and slide decks into retrievable
+ * "figure" chunks. The document parser hands every embedded image to
+ * LLMService.describeImage; the images that get a real description (not
+ * decorative clip-art) are numbered, captioned, kept in GridFS, and indexed as
+ * their own chunk type that points back to the page/slide and figure number.
+ *
+ * Figure records live on the document (`documents.figures`) so a re-index into
+ * another embedding profile can rebuild the chunks without re-describing.
+ */
+
+const gridfs = require('./gridfs');
+const { embedChunks } = require('./vectorReuse');
+const { applyChunkEdits } = require('./chunkEdits');
+
+const FIGURE_CHUNK_TYPE = 'figure';
+const MAX_FIGURES_PER_DOCUMENT = 100;
+const MAX_FIGURE_IMAGE_BYTES = 5 * 1024 * 1024;
+const MAX_CAPTION_CHARACTERS = 160;
+const MAX_DESCRIPTION_CHARACTERS = 4000;
+
+/**
+ * Short caption for a figure: the first sentence of its description.
+ * @param {string} description
+ * @returns {string}
+ */
+function captionFromDescription(description) {
+    const text = String(description || '').replace(/\s+/g, ' ').trim();
+    const sentence = (text.match(/^.+?[.!?](?=\s|$)/) || [text])[0];
+    return sentence.length > MAX_CAPTION_CHARACTERS
+        ? `${sentence.slice(0, MAX_CAPTION_CHARACTERS - 1).trimEnd()}…`
+        : sentence;
+}
+
+/**
+ * "Figure 3 (page 5)" / "Figure 1 (slide 2)"
+ * @param {Object} figure - Figure record
+ * @returns {string}
+ */
+function figureLabel(figure) {
+    const location = figure.slideNumber
+        ? ` (slide ${figure.slideNumber})`
+        : (figure.pageNumber ? ` (page ${figure.pageNumber})` : '');
+    return `Figure ${figure.figureNumber}${location}`;
+}
+
+/**
+ * Order described images as they appear in the document and number them.
+ * Images arrive from the parser concurrently, so arrival order is not page order.
+ * @param {Array<Object>} images - { data, mimeType, pageNumber, slideNumber, imageIndex, description }
+ * @returns {Array<Object>} The same images with figureNumber, caption, and a trimmed description
+ */
+function numberFigures(images = []) {
+    return images
+        .filter(image => image && typeof image.description === 'string' && image.description.trim())
+        .sort((a, b) => (Number(a.slideNumber || a.pageNumber) || 0) - (Number(b.slideNumber || b.pageNumber) || 0)
+            || (Number(a.imageIndex) || 0) - (Number(b.imageIndex) || 0))
+        .slice(0, MAX_FIGURES_PER_DOCUMENT)
+        .map((image, index) => {
+            const description = image.description.trim().slice(0, MAX_DESCRIPTION_CHARACTERS);
+            return {
+                ...image,
+                figureNumber: index + 1,
+                caption: captionFromDescription(description),
+                description
+            };
+        });
+}
+
+/**
+ * Keep each figure's image bytes in GridFS so the chat can show a thumbnail.
+ * Oversized images are indexed without an image.
+ * @param {Object} db - MongoDB database instance
+ * @param {Object} document - { documentId, courseId, lectureName, originalName }
+ * @param {Array<Object>} figures - Output of numberFigures (still carrying `data`)
+ * @returns {Promise<Array<Object>>} Figure records for `documents.figures`
+ */
+async function storeFigureImages(db, document, figures) {
+    const records = [];
+    for (const figure of figures) {
+        const buffer = Buffer.isBuffer(figure.data)
+            ? figure.data
+            : (typeof figure.data === 'string' ? Buffer.from(figure.data, 'base64') : null);
+
+        let fileId = null;
+        if (buffer && buffer.length > 0 && buffer.length <= MAX_FIGURE_IMAGE_BYTES) {
+            try {
+                fileId = await gridfs.uploadBuffer(
+                    db,
+                    buffer,
+                    `${document.documentId}_figure_${figure.figureNumber}`,
+                    {
+                        contentType: figure.mimeType || 'application/octet-stream',
+                        metadata: {
+                            courseId: document.courseId,
+                            lectureName: document.lectureName,
+                            documentId: document.documentId,
+                            figureNumber: figure.figureNumber
+                        }
+                    }
+                );
+            } catch (error) {
+                console.warn(`⚠️ Could not store image for ${figureLabel(figure)} of ${document.documentId}: ${error.message}`);
+            }
+        }
+
+        records.push({
+            figureNumber: figure.figureNumber,
+            pageNumber: Number.isInteger(figure.pageNumber) ? figure.pageNumber : null,
+            slideNumber: Number.isInteger(figure.slideNumber) ? figure.slideNumber : null,
+            caption: figure.caption,
+            description: figure.description,
+            mimeType: fileId ? (figure.mimeType || null) : null,
+            fileId: fileId ? String(fileId) : null
+        });
+    }
+    return records;
+}
+
+function buildFigureChunkText(figure, fileName) {
+    return `${figureLabel(figure)}${fileName ? ` in ${fileName}` : ''}: ${figure.caption}\n\n${figure.description}`;
+}
+
+/**
+ * Embed and store one chunk per figure
+ * @param {Object} qdrantService - QdrantService bound to the target collection
+ * @param {Object} documentData - Qdrant payload fields shared with the text chunks
+ *   (courseId, lectureName, documentId, fileName, mimeType, documentType, type,
+ *   documentVersion), plus an optional `vectorReuse` for a new document version
+ *   and the instructor's `chunkEdits` to replay
+ * @param {Array<Object>} figures - Figure records
+ * @returns {Promise<number>} Chunks stored
+ */
+async function indexFigureChunks(qdrantService, documentData, figures = []) {
+    if (!Array.isArray(figures) || figures.length === 0) return 0;
+
+    const { chunks, metadata: chunkMetadata } = applyChunkEdits(
+        figures.map(figure => buildFigureChunkText(figure, documentData.fileName)),
+        figures.map(figure => ({
+            chunkType: FIGURE_CHUNK_TYPE,
+            sourceUnit: FIGURE_CHUNK_TYPE,
+            figureNumber: figure.figureNumber,
+            pageNumber: figure.pageNumber,
+            slideNumber: figure.slideNumber,
+            caption: figure.caption,
+            hasImage: !!figure.fileId
+        })),
+        documentData.chunkEdits
+    );
+
+    const embeddings = await embedChunks(qdrantService, chunks, documentData.vectorReuse);
+    const stored = await qdrantService.storeChunks(
+        { ...documentData, chunkMetadata },
+        chunks,
+        embeddings,
+        FIGURE_CHUNK_TYPE
+    );
+    return stored.length;
+}
+
+/**
+ * Give a cloned document its own copies of the figure images, so the two
+ * documents can be deleted independently
+ * @param {Object} db - MongoDB database instance
+ * @param {Array<Object>} figures - Source `documents.figures`
+ * @returns {Promise<Array<Object>>} Figure records pointing at the copies
+ */
+async function copyFigureImages(db, figures = []) {
+    const copies = [];
+    for (const figure of Array.isArray(figures) ? figures : []) {
+        if (!figure) continue;
+        const copiedFileId = figure.fileId ? await gridfs.copyFile(db, figure.fileId) : null;
+        copies.push({
+            ...figure,
+            fileId: copiedFileId ? String(copiedFileId) : null,
+            mimeType: copiedFileId ? figure.mimeType : null
+        });
+    }
+    return copies;
+}
+
+/**
+ * Remove a document's figure images from GridFS
+ * @param {Object} db - MongoDB database instance
+ * @param {Array<Object>} figures - `documents.figures`
+ */
+async function deleteFigureImages(db, figures = []) {
+    for (const figure of Array.isArray(figures) ? figures : []) {
+        if (figure && figure.fileId) {
+            await gridfs.deleteFile(db, figure.fileId);
+        }
+    }
+}
+
+module.exports = {
+    FIGURE_CHUNK_TYPE,
+    MAX_FIGURES_PER_DOCUMENT,
+    MAX_FIGURE_IMAGE_BYTES,
+    captionFromDescription,
+    figureLabel,
+    numberFigures,
+    storeFigureImages,
+    indexFigureChunks,
+    copyFigureImages,
+    deleteFigureImages
+};
@@ -0,0 +1,221 @@
+/**
+ * Spaced-repetition scheduling for student flashcard reviews.
+ *
+ * An SM-2 style scheduler with Anki's four ratings. Each card a student has
+ * reviewed carries:
+ *
+ *   ease          interval multiplier, starts at 2.5, never below 1.3
+ *   intervalDays  days until the next review (0 while relearning)
+ *   repetitions   successful reviews in a row
+ *   lapses        times the card was forgotten after being learned
+ *   dueAt         when the card is next due
+ *
+ * Cards without a schedule (never reviewed, or reviewed before scheduling
+ * existed) are due now. "Today" is the student's local day, so callers pass
+ * the browser's Date#getTimezoneOffset() in minutes.
+ */
+
+const RATINGS = Object.freeze(['again', 'hard', 'good', 'easy']);
+// Earlier clients sent know/again only
+const LEGACY_RATINGS = Object.freeze({ know: 'good' });
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+const MAX_INTERVAL_DAYS = 365;
+const RELEARN_MINUTES = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_TIMEZONE_OFFSET = 14 * 60;
+
+function normalizeRating(rating) {
+    if (RATINGS.includes(rating)) return rating;
+    return LEGACY_RATINGS[rating] || null;
+}
+
+function normalizeTimezoneOffset(value) {
+    const offset = Number(value);
+    return Number.isFinite(offset) && Math.abs(offset) <= MAX_TIMEZONE_OFFSET ? Math.round(offset) : 0;
+}
+
+function roundEase(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Next schedule for a card after a review
+ * @param {Object} previous - The card's stored progress (may be empty or legacy)
+ * @param {string} rating - again, hard, good, or easy
+ * @param {Date} [now]
+ * @returns {Object} { ease, intervalDays, repetitions, lapses, dueAt, lastRating, mastery }
+ */
+function scheduleReview(previous = {}, rating, now = new Date()) {
+    const ease = Number.isFinite(previous.ease) ? previous.ease : DEFAULT_EASE;
+    const interval = Number.isFinite(previous.intervalDays) ? previous.intervalDays : 0;
+    const repetitions = Number.isInteger(previous.repetitions) ? previous.repetitions : 0;
+    const lapses = Number.isInteger(previous.lapses) ? previous.lapses : 0;
+
+    if (rating === 'again') {
+        return {
+            ease: roundEase(Math.max(MIN_EASE, ease - 0.2)),
+            intervalDays: 0,
+            repetitions: 0,
+            lapses: repetitions > 0 ? lapses + 1 : lapses,
+            dueAt: new Date(now.getTime() + RELEARN_MINUTES * 60 * 1000),
+            lastRating: rating,
+            mastery: 'learning'
+        };
+    }
+
+    const goodInterval = repetitions === 0 ? 1 : (repetitions === 1 ? 3 : Math.max(interval + 1, Math.round(interval * ease)));
+    let nextEase = ease;
+    let nextInterval = goodInterval;
+    if (rating === 'hard') {
+        nextEase = Math.max(MIN_EASE, ease - 0.15);
+        nextInterval = repetitions === 0 ? 1 : Math.max(interval + 1, Math.round(interval * 1.2));
+    } else if (rating === 'easy') {
+        // Always at least a day beyond what good would give
+        nextEase = ease + 0.15;
+        nextInterval = repetitions === 0 ? 4 : Math.max(goodInterval + 1, Math.round(Math.max(interval, 1) * ease * 1.3));
+    }
+    nextInterval = Math.min(MAX_INTERVAL_DAYS, nextInterval);
+
+    return {
+        ease: roundEase(nextEase),
+        intervalDays: nextInterval,
+        repetitions: repetitions + 1,
+        lapses,
+        dueAt: new Date(now.getTime() + nextInterval * DAY_MS),
+        lastRating: rating,
+        mastery: rating === 'hard' ? 'learning' : 'known'
+    };
+}
+
+/** Local calendar day (YYYY-MM-DD) of a moment for a timezone offset */
+function dayKey(date, timezoneOffset = 0) {
+    return new Date(new Date(date).getTime() - timezoneOffset * 60 * 1000).toISOString().slice(0, 10);
+}
+
+/** The instant the student's local day ends */
+function endOfDay(now, timezoneOffset = 0) {
+    const local = now.getTime() - timezoneOffset * 60 * 1000;
+    return new Date(Math.floor(local / DAY_MS) * DAY_MS + DAY_MS + timezoneOffset * 60 * 1000);
+}
+
+function dueDate(state) {
+    const due = state?.dueAt ? new Date(state.dueAt) : null;
+    return due && !Number.isNaN(due.getTime()) ? due : null;
+}
+
+/**
+ * Cards due by the end of the student's day across published decks: scheduled
+ * reviews first (most overdue first), then cards never scheduled
+ * @param {Array} decks - Published decks
+ * @param {Object} progressByDeck - deckId -> progress document
+ * @param {Object} [options] - { now, timezoneOffset, limit }
+ * @returns {Object} { cards, dueCount, newCount, total }
+ */
+function buildDueQueue(decks, progressByDeck = {}, { now = new Date(), timezoneOffset = 0, limit = 100 } = {}) {
+    const cutoff = endOfDay(now, timezoneOffset);
+    const reviews = [];
+    const fresh = [];
+
+    for (const deck of decks) {
+        const cardStates = progressByDeck[deck.deckId]?.cards || {};
+        for (const card of deck.publishedCards || []) {
+            const state = cardStates[card.cardId];
+            const due = dueDate(state);
+            if (due && due > cutoff) continue;
+            const item = {
+                deckId: deck.deckId,
+                lectureName: deck.lectureName,
+                deckTitle: deck.title,
+                cardId: card.cardId,
+                front: card.front,
+                back: card.back,
+                source: card.source || null,
+                isNew: !due,
+                dueAt: due,
+                intervalDays: state?.intervalDays ?? null
+            };
+            (due ? reviews : fresh).push(item);
+        }
+    }
+
+    reviews.sort((a, b) => a.dueAt - b.dueAt);
+    const all = [...reviews, ...fresh];
+    return {
+        cards: all.slice(0, limit),
+        dueCount: reviews.length,
+        newCount: fresh.length,
+        total: all.length
+    };
+}
+
+/**
+ * Cards coming due on each of the next few days; overdue and unscheduled
+ * cards count toward today
+ * @returns {Array} [{ date, count }]
+ */
+function buildForecast(decks, progressByDeck = {}, { now = new Date(), timezoneOffset = 0, days = 7 } = {}) {
+    const todayKey = dayKey(now, timezoneOffset);
+    const forecast = Array.from({ length: days }, (_, index) => ({
+        date: dayKey(new Date(now.getTime() + index * DAY_MS), timezoneOffset),
+        count: 0
+    }));
+    const byDate = new Map(forecast.map(entry => [entry.date, entry]));
+
+    for (const deck of decks) {
+        const cardStates = progressByDeck[deck.deckId]?.cards || {};
+        for (const card of deck.publishedCards || []) {
+            const due = dueDate(cardStates[card.cardId]);
+            const key = !due || due <= now ? todayKey : dayKey(due, timezoneOffset);
+            const entry = byDate.get(key);
+            if (entry) entry.count += 1;
+        }
+    }
+    return forecast;
+}
+
+function previousDay(key) {
+    return new Date(Date.parse(`${key}T00:00:00Z`) - DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Review streaks from the local days a student reviewed on. The current
+ * streak survives until the end of a day without reviews.
+ * @param {Array} days - YYYY-MM-DD keys
+ * @param {string} todayKey
+ * @returns {Object} { current, longest, reviewedToday }
+ */
+function computeStreak(days, todayKey) {
+    const reviewed = new Set(days);
+    const reviewedToday = reviewed.has(todayKey);
+
+    let current = 0;
+    let cursor = reviewedToday ? todayKey : previousDay(todayKey);
+    while (reviewed.has(cursor)) {
+        current += 1;
+        cursor = previousDay(cursor);
+    }
+
+    let longest = 0;
+    let run = 0;
+    let last = null;
+    for (const key of [...reviewed].sort()) {
+        run = last && previousDay(key) === last ? run + 1 : 1;
+        longest = Math.max(longest, run);
+        last = key;
+    }
+
+    return { current, longest, reviewedToday };
+}
+
+module.exports = {
+    RATINGS,
+    buildDueQueue,
+    buildForecast,
+    computeStreak,
+    dayKey,
+    endOfDay,
+    normalizeRating,
+    normalizeTimezoneOffset,
+    scheduleReview
+};
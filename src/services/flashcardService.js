@@ -1,8 +1,10 @@
 const { encodingForModel } = require('js-tiktoken');
 const DocumentModel = require('../models/Document');
 const FlashcardDeck = require('../models/FlashcardDeck');
+const { buildPromptVariables, findTemplateVariables, renderPromptTemplate } = require('./promptTemplates');
 const prompts = require('./prompts');
 const { LANES } = require('./llmLanes');
+const { FEATURES } = require('./llmFeatures');
 
 const tokenEncoder = encodingForModel('gpt-4o');
 const DEFAULT_CARD_COUNT = 10;
@@ -194,11 +196,7 @@ function parseGeneratedCards(content, sourceRecords, requestedCount) {
     return cards;
 }
 
-function replacePromptPlaceholder(template, name, value) {
-    return template.split(`{{${name}}}`).join(value);
-}
-
-function buildPrompt({ lectureName, cardCount, learningObjectives, sourceRecords, promptTemplate }) {
+function buildPrompt({ course, lectureName, cardCount, learningObjectives, sourceRecords, promptTemplate }) {
     const objectives = Array.isArray(learningObjectives) && learningObjectives.length
         ? learningObjectives.map((objective, index) => `${index + 1}. ${String(objective).trim()}`).join('\n')
         : 'No learning objectives were provided.';
@@ -212,13 +210,16 @@ function buildPrompt({ lectureName, cardCount, learningObjectives, sourceRecords
     const template = typeof promptTemplate === 'string' && promptTemplate.trim()
         ? promptTemplate.trim()
         : prompts.DEFAULT_PROMPTS.flashcards;
-    const includesObjectives = template.includes('{{learningObjectives}}');
-    const includesCourseMaterial = template.includes('{{courseMaterial}}');
-    let rendered = template;
-    rendered = replacePromptPlaceholder(rendered, 'cardCount', String(cardCount));
-    rendered = replacePromptPlaceholder(rendered, 'lectureName', String(lectureName));
-    rendered = replacePromptPlaceholder(rendered, 'learningObjectives', objectives);
-    rendered = replacePromptPlaceholder(rendered, 'courseMaterial', sources);
+    const used = findTemplateVariables(template);
+    const includesObjectives = used.includes('learningObjectives');
+    const includesCourseMaterial = used.includes('courseMaterial');
+    let rendered = renderPromptTemplate(template, {
+        ...buildPromptVariables(course, { unitNames: [lectureName] }),
+        cardCount: String(cardCount),
+        lectureName: String(lectureName),
+        learningObjectives: objectives,
+        courseMaterial: sources
+    });
 
     if (!includesObjectives) {
         rendered += `\n\nLearning objectives:\n${objectives}`;
@@ -292,6 +293,7 @@ async function generateDeck({
     }
 
     const prompt = buildPrompt({
+        course,
         lectureName,
         cardCount: requestedCount,
         learningObjectives: lecture.learningObjectives || [],
@@ -300,6 +302,7 @@ async function generateDeck({
     });
     const response = await llmService.sendMessage(prompt, {
         lane: LANES.BACKEND,
+        feature: FEATURES.FLASHCARDS,
         temperature: 0.2,
         maxTokens: 4000,
         response_format: { type: 'json_object' }
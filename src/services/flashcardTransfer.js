@@ -0,0 +1,323 @@
+/**
+ * Flashcard deck import and export.
+ *
+ * Imports read two plain-text layouts:
+ *   csv   comma-separated rows, with an optional front/back/source header row
+ *   anki  Anki's "Notes in Plain Text" export: tab-separated rows, optionally
+ *         preceded by #key:value header lines (#separator, #html, #columns,
+ *         and the #guid/#notetype/#deck/#tags column markers)
+ *
+ * Each row is front, back, and an optional source citation. Rows that cannot
+ * become cards are reported rather than failing the whole file. Exports write
+ * the same layouts, so a deck round-trips through Anki and back.
+ */
+
+const {
+    MAX_BACK_LENGTH,
+    MAX_CARD_COUNT,
+    MAX_FRONT_LENGTH
+} = require('../models/FlashcardDeck');
+const { htmlToText } = require('./xmlDocument');
+
+const FORMATS = Object.freeze({
+    csv: { label: 'CSV', extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+    anki: { label: 'Anki text', extension: 'txt', contentType: 'text/plain; charset=utf-8' }
+});
+
+const ANKI_SEPARATORS = Object.freeze({
+    tab: '\t',
+    comma: ',',
+    semicolon: ';',
+    pipe: '|',
+    colon: ':',
+    space: ' '
+});
+// Header names that identify a column, in either layout
+const COLUMN_NAMES = Object.freeze({
+    front: ['front', 'question', 'term', 'prompt'],
+    back: ['back', 'answer', 'definition', 'response'],
+    source: ['source', 'citation', 'reference']
+});
+const ANKI_META_COLUMNS = ['guid column', 'notetype column', 'deck column', 'tags column'];
+const HTML_PATTERN = /<\/?[a-z][^>]*>|&(?:[a-z]+|#\d+);/i;
+
+function importError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_FLASHCARD_FILE';
+    return error;
+}
+
+function collapse(value) {
+    return String(value || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Guess the layout from the file name, falling back to whether the first
+ * data line is tab-separated
+ * @param {string} text
+ * @param {string} [filename]
+ * @returns {string} csv or anki
+ */
+function detectFormat(text, filename = '') {
+    const extension = String(filename).toLowerCase().split('.').pop();
+    if (extension === 'csv') return 'csv';
+    if (extension === 'txt' || extension === 'tsv') return 'anki';
+    const firstLine = String(text).split(/\r?\n/).find(line => line.trim() && !line.startsWith('#')) || '';
+    return firstLine.includes('\t') ? 'anki' : 'csv';
+}
+
+/**
+ * Split delimited text into rows, honouring double-quoted fields (which may
+ * contain the delimiter, doubled quotes, and line breaks)
+ * @returns {Array} [{ line, cells }] with 1-based starting line numbers
+ */
+function parseDelimited(text, delimiter, startLine = 1) {
+    const rows = [];
+    let cells = [];
+    let cell = '';
+    let inQuotes = false;
+    let atFieldStart = true;
+    let line = startLine;
+    let rowLine = startLine;
+
+    const endCell = () => {
+        cells.push(cell);
+        cell = '';
+        atFieldStart = true;
+    };
+    const endRow = () => {
+        endCell();
+        rows.push({ line: rowLine, cells });
+        cells = [];
+    };
+
+    for (let index = 0; index < text.length; index++) {
+        const char = text[index];
+        if (inQuotes) {
+            if (char === '"' && text[index + 1] === '"') {
+                cell += '"';
+                index++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') line++;
+                cell += char;
+            }
+        } else if (char === '"' && atFieldStart) {
+            inQuotes = true;
+            atFieldStart = false;
+        } else if (char === delimiter) {
+            endCell();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[index + 1] === '\n') index++;
+            endRow();
+            line++;
+            rowLine = line;
+        } else {
+            cell += char;
+            atFieldStart = false;
+        }
+    }
+    if (cell || cells.length) endRow();
+    return rows;
+}
+
+/** Anki's leading #key:value lines, and the line the notes start on */
+function readAnkiHeaders(text) {
+    const lines = text.split(/\r?\n/);
+    const headers = {};
+    let index = 0;
+    for (; index < lines.length; index++) {
+        const match = lines[index].match(/^#([a-z ]+):(.*)$/i);
+        if (!match) break;
+        headers[match[1].trim().toLowerCase()] = match[2].trim();
+    }
+    return { headers, body: lines.slice(index).join('\n'), startLine: index + 1 };
+}
+
+function ankiSeparator(value) {
+    if (!value) return '\t';
+    return ANKI_SEPARATORS[value.toLowerCase()] || value[0];
+}
+
+function findNamedColumn(names, key) {
+    return names.findIndex(name => COLUMN_NAMES[key].includes(collapse(name).toLowerCase()));
+}
+
+/**
+ * Map front/back/source to column indexes from a header row, or from the
+ * order of the columns that are not Anki metadata
+ */
+function resolveColumns(headerNames, reservedColumns, width) {
+    if (headerNames) {
+        const columns = {
+            front: findNamedColumn(headerNames, 'front'),
+            back: findNamedColumn(headerNames, 'back'),
+            source: findNamedColumn(headerNames, 'source')
+        };
+        if (columns.front >= 0 && columns.back >= 0) return columns;
+    }
+    const fields = Array.from({ length: Math.max(width, 2) }, (_, index) => index)
+        .filter(index => !reservedColumns.has(index));
+    return { front: fields[0], back: fields[1], source: fields[2] ?? -1 };
+}
+
+function looksLikeHeader(cells) {
+    return findNamedColumn(cells, 'front') >= 0 && findNamedColumn(cells, 'back') >= 0;
+}
+
+/**
+ * Read "Lecture 1.pdf, page 3" style citations back into a card source.
+ * Section numbers are 1-based chunk positions.
+ */
+function parseSourceCitation(value) {
+    const text = collapse(value).replace(/^source:\s*/i, '');
+    if (!text) return null;
+    const match = text.match(/^(.*?),\s*(page|slide|section)\s+(\d+)$/i);
+    if (!match) return { fileName: text };
+
+    const [, fileName, kind, number] = match;
+    const source = { fileName: fileName.trim() || 'Course material' };
+    const position = Number(number);
+    if (kind.toLowerCase() === 'page') source.pageNumber = position;
+    else if (kind.toLowerCase() === 'slide') source.slideNumber = position;
+    else source.chunkIndex = position - 1;
+    return source;
+}
+
+/** The citation students see under a card, as a single field */
+function formatSourceCitation(source) {
+    if (!source) return '';
+    const fileName = source.fileName || 'Course material';
+    if (source.slideNumber) return `${fileName}, slide ${source.slideNumber}`;
+    if (source.pageNumber) return `${fileName}, page ${source.pageNumber}`;
+    if (Number.isInteger(source.chunkIndex)) return `${fileName}, section ${source.chunkIndex + 1}`;
+    return fileName;
+}
+
+/**
+ * Parse an uploaded deck into cards that fit alongside the cards already kept
+ * @param {Buffer|string} input - File contents
+ * @param {Object} [options] - { format, filename, existingCards }
+ * @returns {Object} { format, cards, rejected, totalRows }
+ */
+function parseDeckImport(input, { format, filename, existingCards = [] } = {}) {
+    const buffer = Buffer.isBuffer(input) ? input : Buffer.from(String(input || ''), 'utf8');
+    if (buffer.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]))) {
+        throw importError('Anki packages (.apkg) are not supported. In Anki, export the deck as "Notes in Plain Text" instead.');
+    }
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    if (!text.trim()) throw importError('The file is empty');
+
+    const resolvedFormat = format && FORMATS[format] ? format : detectFormat(text, filename);
+    let headers = {};
+    let body = text;
+    let startLine = 1;
+    if (resolvedFormat === 'anki') {
+        ({ headers, body, startLine } = readAnkiHeaders(text));
+    }
+
+    const delimiter = resolvedFormat === 'anki' ? ankiSeparator(headers.separator) : ',';
+    const rows = parseDelimited(body, delimiter, startLine)
+        .filter(row => row.cells.some(cell => cell.trim()));
+    const reservedColumns = new Set(ANKI_META_COLUMNS
+        .map(key => Number(headers[key]) - 1)
+        .filter(index => index >= 0));
+
+    let headerNames = headers.columns ? headers.columns.split(delimiter) : null;
+    if (!headerNames && rows.length && looksLikeHeader(rows[0].cells)) {
+        headerNames = rows.shift().cells;
+    }
+    const width = Math.max(0, ...rows.map(row => row.cells.length));
+    const columns = resolveColumns(headerNames, reservedColumns, width);
+    // Anki exports HTML unless told otherwise; CSV files are plain text
+    const html = headers.html ? headers.html.toLowerCase() === 'true' : resolvedFormat === 'anki';
+
+    const readCell = (cells, index) => {
+        const value = index >= 0 ? cells[index] || '' : '';
+        return collapse(html && HTML_PATTERN.test(value) ? htmlToText(value) : value);
+    };
+
+    const seenFronts = new Set(existingCards.map(card => collapse(card.front).toLowerCase()));
+    const cards = [];
+    const rejected = [];
+    const reject = (row, front, reason) => rejected.push({ row: row.line, front: front.slice(0, 80), reason });
+
+    for (const row of rows) {
+        const front = readCell(row.cells, columns.front);
+        const back = readCell(row.cells, columns.back);
+        const key = front.toLowerCase();
+
+        if (!front || !back) {
+            reject(row, front, 'Missing a front or back');
+        } else if (front.length > MAX_FRONT_LENGTH) {
+            reject(row, front, `Front is longer than ${MAX_FRONT_LENGTH} characters`);
+        } else if (back.length > MAX_BACK_LENGTH) {
+            reject(row, front, `Back is longer than ${MAX_BACK_LENGTH} characters`);
+        } else if (seenFronts.has(key)) {
+            reject(row, front, 'Duplicate front');
+        } else if (existingCards.length + cards.length >= MAX_CARD_COUNT) {
+            reject(row, front, `A deck can hold at most ${MAX_CARD_COUNT} cards`);
+        } else {
+            seenFronts.add(key);
+            cards.push({ front, back, source: parseSourceCitation(readCell(row.cells, columns.source)) });
+        }
+    }
+
+    return { format: resolvedFormat, cards, rejected, totalRows: rows.length };
+}
+
+function quoteField(value, delimiter) {
+    const text = String(value ?? '');
+    if (text.includes('"') || text.includes(delimiter) || /[\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+function exportFilename(title, extension) {
+    const slug = String(title || 'flashcards')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 80);
+    return `${slug || 'flashcards'}.${extension}`;
+}
+
+/**
+ * Write a deck's published cards in an importable layout. The Anki layout
+ * declares its separator, columns, and target deck in header lines.
+ * @param {Object} deck
+ * @param {string} [format] - anki (default) or csv
+ * @returns {Object} { body, filename, contentType, exported }
+ */
+function exportDeck(deck, format = 'anki') {
+    const spec = FORMATS[format];
+    if (!spec) throw new Error(`Unknown flashcard export format: ${format}`);
+
+    const cards = deck.publishedCards || [];
+    const delimiter = format === 'anki' ? '\t' : ',';
+    const rows = cards.map(card => [card.front, card.back, formatSourceCitation(card.source)]
+        .map(value => quoteField(value, delimiter))
+        .join(delimiter));
+    const header = format === 'anki'
+        ? ['#separator:tab', '#html:false', `#deck:${collapse(deck.title)}`, '#columns:Front\tBack\tSource']
+        : ['front,back,source'];
+
+    return {
+        body: `${[...header, ...rows].join('\n')}\n`,
+        filename: exportFilename(deck.title, spec.extension),
+        contentType: spec.contentType,
+        exported: cards.length
+    };
+}
+
+module.exports = {
+    FORMATS,
+    detectFormat,
+    exportDeck,
+    formatSourceCitation,
+    parseDeckImport,
+    parseDelimited,
+    parseSourceCitation
+};
@@ -0,0 +1,588 @@
+/**
+ * Document ingestion runner
+ *
+ * Works through the jobs created by ingestionJobService: reads the stored file
+ * back from GridFS, parses it (describing images as it goes), saves the
+ * document into its unit, then chunks and embeds it. Each stage records its
+ * progress on the job so the instructor page can poll it.
+ *
+ * Jobs run in the background, a few at a time, and are restarted at boot. A
+ * job whose worker died is reclaimed once its lease expires, and resumes at
+ * the first stage that had not finished.
+ *
+ * A job with `revisionOf` saves its file as a new version of that document and
+ * re-indexes it incrementally, so only the chunks that changed are embedded.
+ * A 'rechunk' job skips straight to indexing its saved document the same way.
+ */
+
+const { randomUUID } = require('crypto');
+const path = require('path');
+
+const AnswerCache = require('../models/AnswerCache');
+const DocumentModel = require('../models/Document');
+const FlashcardDeck = require('../models/FlashcardDeck');
+const gridfs = require('./gridfs');
+const {
+    buildFileDocumentData,
+    createProgressEmitter,
+    createSlideIndexer,
+    indexIngestedDocument,
+    parseDocumentBuffer,
+    saveIngestedDocument,
+    validateDocumentFile
+} = require('./documentIngestion');
+const jobs = require('./ingestionJobService');
+
+const { JOB_STATUSES, STAGE_STATUSES } = jobs;
+
+const WORKER_ID = `worker_${randomUUID()}`;
+// Parsing and embedding are memory-heavy, so only a few files at a time
+const MAX_CONCURRENT_JOBS = 2;
+// Frequent enough for a live progress display; the lease itself is minutes
+const HEARTBEAT_MS = 5000;
+const LEASE_RETRY_BUFFER_MS = 250;
+
+const waiting = [];
+const scheduled = new Map();
+const leaseRetryTimers = new Map();
+let activeCount = 0;
+let idleWaiters = [];
+
+function drainQueue() {
+    while (activeCount < MAX_CONCURRENT_JOBS && waiting.length > 0) {
+        const { task, resolve } = waiting.shift();
+        activeCount += 1;
+        task().then(resolve).finally(() => {
+            activeCount -= 1;
+            drainQueue();
+        });
+    }
+    if (activeCount === 0 && waiting.length === 0) {
+        const waiters = idleWaiters;
+        idleWaiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+}
+
+/**
+ * Resolves once every job this process has queued has finished
+ */
+function whenIdle() {
+    if (activeCount === 0 && waiting.length === 0) return Promise.resolve();
+    return new Promise(resolve => idleWaiters.push(resolve));
+}
+
+function readStoredFile(db, fileId) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let stream;
+        try {
+            stream = gridfs.openDownloadStream(db, fileId);
+        } catch (error) {
+            reject(error);
+            return;
+        }
+        stream
+            .on('data', chunk => chunks.push(Buffer.from(chunk)))
+            .on('error', reject)
+            .on('end', () => resolve(Buffer.concat(chunks)));
+    });
+}
+
+/**
+ * The course's AI services: the ones the request already resolved when the
+ * job starts straight after an upload, otherwise the registry's.
+ */
+async function resolveJobAi(db, job, { ai, registry }) {
+    if (ai) return ai;
+    if (!registry) throw new Error('LLM registry is not initialized');
+    return registry.forCourse(db, job.courseId);
+}
+
+function describeExtraction({ characters = 0, slides = 0, figures = 0 }) {
+    const parts = [];
+    if (slides > 0) parts.push(`${slides} slides read`);
+    else if (characters > 0) parts.push(`${characters.toLocaleString('en-US')} characters read`);
+    else parts.push('No text could be extracted');
+    if (figures > 0) parts.push(`${figures} ${figures === 1 ? 'figure' : 'figures'} described`);
+    return parts.join(', ');
+}
+
+/**
+ * Parse the stored file and save the document. Parse failures are logged and
+ * the document is saved without text, as an in-request upload always was.
+ */
+async function extractAndSave(db, job, ai, { emit, progress }) {
+    await jobs.updateStage(db, job.jobId, WORKER_ID, 'extract', STAGE_STATUSES.RUNNING);
+    emit('extracting', { mimeType: job.file.mimeType });
+
+    // A missing stored file fails the job; an unparseable one does not
+    const buffer = await readStoredFile(db, job.file.fileId);
+    let textContent = '';
+    let parsedSlides = [];
+    let figures = [];
+    try {
+        ({ textContent, parsedSlides, figures } = await parseDocumentBuffer({
+            buffer,
+            originalName: job.file.originalName,
+            mimeType: job.file.mimeType,
+            llmService: ai.llm,
+            onProgress: counts => Object.assign(progress, counts)
+        }));
+    } catch (error) {
+        if (error?.name === 'LlmKeyError') throw error;
+        console.error(`❌ Error extracting text from ${job.file.mimeType}:`, error);
+    }
+    Object.assign(progress, {
+        characters: textContent.length,
+        slides: parsedSlides.length,
+        figures: figures.length
+    });
+    emit('extracted', { ...progress });
+
+    // Slide text is kept so a later indexing retry can rebuild per-slide chunks
+    // without parsing the deck again.
+    const slides = parsedSlides.map(slide => ({
+        slideNumber: slide.slideNumber,
+        text: slide.text,
+        describedImageCount: slide.describedImageCount || 0
+    }));
+    await jobs.updateStage(db, job.jobId, WORKER_ID, 'extract', STAGE_STATUSES.DONE, {
+        detail: describeExtraction(progress),
+        fields: { slides, progress: { ...progress } }
+    });
+
+    await jobs.updateStage(db, job.jobId, WORKER_ID, 'save', STAGE_STATUSES.RUNNING);
+    emit('saving');
+    const filename = job.title || job.file.originalName;
+    const { result, courseResult } = await saveIngestedDocument({
+        db,
+        documentData: buildFileDocumentData({
+            courseId: job.courseId,
+            lectureName: job.lectureName,
+            documentType: job.documentType,
+            instructorId: job.instructorId,
+            filename,
+            originalName: job.file.originalName,
+            fileId: job.file.fileId,
+            mimeType: job.file.mimeType,
+            size: job.file.size,
+            content: textContent,
+            sections: job.sections,
+            metadata: job.metadata
+        }),
+        storedInstructorId: job.instructorId,
+        linkTitle: filename,
+        figures,
+        existingDocumentId: job.documentId,
+        revision: job.revisionOf
+            ? { jobId: job.jobId, uploadedBy: job.createdBy || job.instructorId }
+            : null,
+        // Recorded before anything else so a crash past this point refreshes
+        // this document on resume instead of inserting a second copy.
+        onSaved: saved => jobs.updateStage(db, job.jobId, WORKER_ID, 'save', STAGE_STATUSES.RUNNING, {
+            fields: { documentId: saved.documentId }
+        })
+    });
+    await FlashcardDeck.markUnitStale(db, job.courseId, job.lectureName);
+
+    const linkedToCourse = !!(courseResult && courseResult.success);
+    let detail = linkedToCourse ? `Added to ${job.lectureName}` : 'Saved, but not linked to its unit';
+    if (job.revisionOf) detail = `Saved as version ${result.version}`;
+    await jobs.updateStage(db, job.jobId, WORKER_ID, 'save', STAGE_STATUSES.DONE, {
+        detail,
+        fields: { documentId: result.documentId, linkedToCourse }
+    });
+    return { documentId: result.documentId, slides, linkedToCourse };
+}
+
+function describeIndexing(qdrantResult, incremental) {
+    const parts = [`${qdrantResult.chunksStored || 0} chunks stored`];
+    if (qdrantResult.figureChunksStored) parts.push(`${qdrantResult.figureChunksStored} figure chunks`);
+    if (incremental) {
+        parts.push(`${qdrantResult.chunksReused || 0} unchanged, ${qdrantResult.chunksEmbedded || 0} re-embedded`);
+    }
+    return parts.join(', ');
+}
+
+function isIncrementalJob(job) {
+    return !!job.revisionOf || job.source === 'rechunk';
+}
+
+/**
+ * Chunk and embed the saved document. Chunks a previous attempt may have
+ * written are removed first, so a retry cannot leave duplicates behind. A new
+ * version or a re-chunk is indexed incrementally, which replaces every earlier
+ * chunk itself.
+ */
+async function indexSavedDocument(db, job, ai, { documentId, slides, emit, progress }) {
+    const document = await DocumentModel.getDocumentById(db, documentId);
+    if (!document || document.isDeleted) {
+        throw new Error('The document was deleted before it could be indexed');
+    }
+    if (!document.content || !String(document.content).trim()) {
+        await jobs.updateStage(db, job.jobId, WORKER_ID, 'index', STAGE_STATUSES.SKIPPED, {
+            detail: 'No text to index'
+        });
+        return null;
+    }
+
+    await jobs.updateStage(db, job.jobId, WORKER_ID, 'index', STAGE_STATUSES.RUNNING);
+    emit('indexing');
+    const qdrantService = ai.qdrant;
+    const incremental = isIncrementalJob(job);
+    const previousAttempt = job.stages && job.stages.index && job.stages.index.startedAt;
+    if (!incremental && previousAttempt && typeof qdrantService.deleteDocumentChunks === 'function') {
+        await qdrantService.deleteDocumentChunks(documentId, job.courseId);
+    }
+
+    const qdrantResult = await indexIngestedDocument({
+        db,
+        qdrantService,
+        document,
+        qdrantData: {
+            courseId: job.courseId,
+            lectureName: job.lectureName,
+            content: document.content,
+            fileName: document.filename,
+            mimeType: document.mimeType,
+            documentType: job.documentType
+        },
+        indexDocument: createSlideIndexer(qdrantService, document.mimeType, slides),
+        figureRecords: document.figures || [],
+        incremental
+    });
+    if (!qdrantResult || qdrantResult.success === false) {
+        throw new Error((qdrantResult && qdrantResult.error) || 'Document indexing failed');
+    }
+
+    progress.chunksStored = qdrantResult.chunksStored || 0;
+    await jobs.updateStage(db, job.jobId, WORKER_ID, 'index', STAGE_STATUSES.DONE, {
+        detail: describeIndexing(qdrantResult, incremental),
+        fields: { 'progress.chunksStored': progress.chunksStored }
+    });
+    return qdrantResult;
+}
+
+/**
+ * The job was reclaimed after this worker's lease expired: the new owner's
+ * progress stands, and nothing this worker did is recorded over it.
+ */
+async function leaseLost(db, jobId) {
+    console.error(`⚠️ Ingestion job ${jobId} lost its lease to another worker`);
+    return { job: await jobs.getIngestionJob(db, jobId), error: null };
+}
+
+/**
+ * Run one ingestion job to completion, starting at its first unfinished stage.
+ *
+ * @param {Object} db
+ * @param {string} jobId
+ * @param {Object} [options] - { ai, registry, onProgress }
+ * @returns {Promise<Object>} { job, error } - the job as it ended, and the
+ *   original error when it failed
+ */
+async function runIngestionJob(db, jobId, options = {}) {
+    const claimed = await jobs.claimIngestionJob(db, jobId, WORKER_ID);
+    if (!claimed) {
+        // Another worker holds a live lease, or the job is already finished.
+        return { job: await jobs.getIngestionJob(db, jobId), error: null };
+    }
+
+    const job = await jobs.getIngestionJob(db, jobId);
+    const emit = createProgressEmitter(options.onProgress);
+    const progress = { ...(job.progress || {}) };
+
+    let heartbeatInFlight = false;
+    const heartbeatTimer = setInterval(() => {
+        if (heartbeatInFlight) return;
+        heartbeatInFlight = true;
+        jobs.heartbeat(db, jobId, WORKER_ID, progress)
+            .catch(error => console.error(`⚠️ Ingestion job ${jobId} heartbeat failed:`, error.message))
+            .finally(() => { heartbeatInFlight = false; });
+    }, HEARTBEAT_MS);
+    if (typeof heartbeatTimer.unref === 'function') heartbeatTimer.unref();
+
+    let stage = 'extract';
+    try {
+        const ai = await resolveJobAi(db, job, options);
+
+        let documentId = job.documentId;
+        let slides = job.slides || [];
+        let linkedToCourse = !!job.linkedToCourse;
+        const saved = job.stages
+            && [STAGE_STATUSES.DONE, STAGE_STATUSES.SKIPPED].includes(job.stages.save.status);
+        if (!saved) {
+            ({ documentId, slides, linkedToCourse } = await extractAndSave(db, job, ai, { emit, progress }));
+        }
+
+        stage = 'index';
+        const qdrantResult = await indexSavedDocument(db, job, ai, { documentId, slides, emit, progress });
+
+        const result = {
+            documentId,
+            filename: job.title || job.file.originalName,
+            linkedToCourse,
+            qdrantProcessed: !!qdrantResult,
+            chunksStored: qdrantResult ? qdrantResult.chunksStored || 0 : 0,
+            figureChunksStored: qdrantResult ? qdrantResult.figureChunksStored || 0 : 0
+        };
+        if (isIncrementalJob(job)) {
+            const document = await DocumentModel.getDocumentById(db, documentId);
+            Object.assign(result, {
+                version: document ? document.version || 1 : null,
+                chunksReused: qdrantResult ? qdrantResult.chunksReused || 0 : 0,
+                chunksEmbedded: qdrantResult ? qdrantResult.chunksEmbedded || 0 : 0
+            });
+        }
+        // Saving already cleared both, but a question asked while the chunks
+        // were being embedded was answered (and cached) from the old ones
+        await FlashcardDeck.markUnitStale(db, job.courseId, job.lectureName);
+        await AnswerCache.invalidateUnit(db, job.courseId, job.lectureName);
+        console.log(`Document ingested: ${result.filename} for ${job.lectureName}`);
+        return {
+            job: await jobs.finishIngestionJob(db, jobId, WORKER_ID, JOB_STATUSES.COMPLETED, { result }),
+            error: null
+        };
+    } catch (error) {
+        if (jobs.isLeaseLost(error)) return leaseLost(db, jobId);
+        const current = await jobs.getIngestionJob(db, jobId);
+        const failedStage = current && current.stage ? current.stage : stage;
+        console.error(`❌ Ingestion job ${jobId} failed at ${failedStage}:`, error.message);
+        try {
+            await jobs.updateStage(db, jobId, WORKER_ID, failedStage, STAGE_STATUSES.FAILED, { error });
+            return { job: await jobs.finishIngestionJob(db, jobId, WORKER_ID, JOB_STATUSES.FAILED, { error }), error };
+        } catch (finishError) {
+            if (jobs.isLeaseLost(finishError)) return leaseLost(db, jobId);
+            throw finishError;
+        }
+    } finally {
+        clearInterval(heartbeatTimer);
+    }
+}
+
+function leaseRetryDelay(job, now = Date.now()) {
+    const heartbeatAt = job && job.heartbeatAt ? new Date(job.heartbeatAt).getTime() : 0;
+    if (!Number.isFinite(heartbeatAt) || heartbeatAt <= 0) return LEASE_RETRY_BUFFER_MS;
+    return Math.max(
+        LEASE_RETRY_BUFFER_MS,
+        heartbeatAt + jobs.LEASE_TIMEOUT_MS - now + LEASE_RETRY_BUFFER_MS
+    );
+}
+
+function scheduleLeaseRetry(db, jobId, job, options) {
+    if (leaseRetryTimers.has(jobId)) return;
+    const delay = leaseRetryDelay(job);
+    console.log(`⏳ Ingestion job ${jobId} is leased by another worker; retrying in ${Math.ceil(delay / 1000)}s`);
+    const timer = setTimeout(() => {
+        leaseRetryTimers.delete(jobId);
+        startIngestionJob(db, jobId, options);
+    }, delay);
+    // A lease retry should not keep a shutting-down Node process alive.
+    if (typeof timer.unref === 'function') timer.unref();
+    leaseRetryTimers.set(jobId, timer);
+}
+
+/**
+ * Queue a job to run in this process. Never rejects; callers that do not need
+ * the outcome can ignore the returned promise.
+ *
+ * @returns {Promise<Object>} { job, error } once the job has run
+ */
+function startIngestionJob(db, jobId, options = {}) {
+    if (scheduled.has(jobId)) return scheduled.get(jobId);
+
+    const run = new Promise((resolve) => {
+        waiting.push({
+            resolve,
+            task: () => runIngestionJob(db, jobId, options)
+                .catch(async (error) => {
+                    console.error(`❌ Ingestion job ${jobId} crashed:`, error.message);
+                    const job = await jobs.finishIngestionJob(db, jobId, WORKER_ID, JOB_STATUSES.FAILED, { error }).catch(() => null);
+                    return { job, error };
+                })
+                .then((outcome) => {
+                    scheduled.delete(jobId);
+                    // Startup can race the previous process's still-fresh lease.
+                    const job = outcome.job;
+                    if (job && jobs.ACTIVE_STATUSES.includes(job.status) && job.leaseOwner !== WORKER_ID) {
+                        scheduleLeaseRetry(db, jobId, job, { registry: options.registry });
+                    }
+                    return outcome;
+                })
+        });
+    });
+    scheduled.set(jobId, run);
+    setImmediate(drainQueue);
+    return run;
+}
+
+/**
+ * Store an uploaded file and queue its ingestion.
+ *
+ * @param {Object} input - The file ({ buffer, originalName, mimeType, size }),
+ *   its destination ({ courseId, lectureName, documentType, instructorId,
+ *   title, metadata, revisionOf, sections }), and { db, ai, registry, source,
+ *   createdBy, onProgress }
+ * @returns {Promise<Object>} { job, finished } - the queued job, and a promise
+ *   of { job, error } once it has run
+ */
+async function queueFileIngestion({
+    db,
+    ai = null,
+    registry = null,
+    buffer,
+    originalName,
+    mimeType,
+    size,
+    courseId,
+    lectureName,
+    documentType,
+    instructorId,
+    title,
+    metadata = {},
+    source = 'upload',
+    revisionOf = null,
+    sections = null,
+    createdBy = null,
+    onProgress
+}) {
+    validateDocumentFile({ buffer, mimeType, size });
+    const emit = createProgressEmitter(onProgress);
+
+    const effectiveSize = Number(size) || buffer.length;
+    const effectiveName = path.basename(originalName || 'document');
+    emit('storing', { filename: effectiveName, size: effectiveSize });
+    const fileId = await gridfs.uploadBuffer(db, buffer, effectiveName, {
+        contentType: mimeType,
+        metadata: { courseId, lectureName, originalName: effectiveName }
+    });
+
+    const job = await jobs.createIngestionJob(db, {
+        courseId,
+        lectureName,
+        documentType,
+        instructorId,
+        title,
+        metadata: {
+            description: '',
+            tags: [],
+            learningObjectives: [],
+            ...metadata
+        },
+        source,
+        file: { fileId, originalName: effectiveName, mimeType, size: effectiveSize },
+        revisionOf,
+        sections,
+        createdBy
+    });
+    const finished = startIngestionJob(db, job.jobId, { ai, registry, onProgress });
+    return { job, finished };
+}
+
+/**
+ * Store a new file for an existing document and queue it as the document's
+ * next version. The document keeps its id, unit, type, and (unless `title` is
+ * given) its display name, so citations and flashcard sources still resolve.
+ *
+ * @param {Object} input - { db, ai, registry, document, buffer, originalName,
+ *   mimeType, size, title, createdBy }
+ * @returns {Promise<Object>} { job, finished }, as queueFileIngestion
+ */
+function queueDocumentRevision({ document, title, ...input }) {
+    return queueFileIngestion({
+        ...input,
+        courseId: document.courseId,
+        lectureName: document.lectureName,
+        documentType: document.documentType,
+        instructorId: document.instructorId,
+        title: title || document.filename || null,
+        metadata: document.metadata || {},
+        source: 'revision',
+        revisionOf: document.documentId
+    });
+}
+
+/**
+ * Queue a saved document to be chunked again with its current chunking
+ * profile. Chunks whose text is unchanged keep their vectors.
+ *
+ * @param {Object} input - { db, ai, registry, document, createdBy }
+ * @returns {Promise<Object>} { job, finished }, as queueFileIngestion
+ */
+async function queueDocumentRechunk({ db, ai = null, registry = null, document, createdBy = null }) {
+    const slides = await jobs.findDocumentSlides(db, document.documentId);
+    const job = await jobs.createRechunkJob(db, { document, slides, createdBy });
+    const finished = startIngestionJob(db, job.jobId, { ai, registry });
+    return { job, finished };
+}
+
+/**
+ * Ingest a file through the job queue and wait for the outcome, in the shape
+ * documentIngestion.ingestFileBuffer returns. For callers that stream their
+ * own progress (LMS imports): the work still survives a dropped connection
+ * or a restart, because it belongs to the job rather than to the request.
+ */
+async function ingestFileThroughQueue(input) {
+    const { job: queued, finished } = await queueFileIngestion(input);
+    const { job, error } = await finished;
+    if (error) throw error;
+    if (!job || job.status !== JOB_STATUSES.COMPLETED) {
+        const pending = new Error('The file is still being processed in the background');
+        pending.code = 'INGESTION_PENDING';
+        pending.jobId = queued.jobId;
+        throw pending;
+    }
+
+    const result = job.result || {};
+    return {
+        jobId: job.jobId,
+        result: { documentId: result.documentId, filename: result.filename },
+        courseResult: { success: !!result.linkedToCourse },
+        qdrantResult: result.qdrantProcessed
+            ? { success: true, chunksStored: result.chunksStored, figureChunksStored: result.figureChunksStored }
+            : null
+    };
+}
+
+/**
+ * Requeue a failed job and start it again.
+ */
+async function retryIngestion(db, jobId, options = {}) {
+    const job = await jobs.retryIngestionJob(db, jobId);
+    if (job && job.status === JOB_STATUSES.QUEUED) {
+        startIngestionJob(db, jobId, options);
+    }
+    return job;
+}
+
+/**
+ * Resume every unfinished ingestion job at boot.
+ */
+async function resumePendingIngestionJobs(db, options = {}) {
+    if (!db) return [];
+    const pending = await db.collection(jobs.INGESTION_JOBS_COLLECTION)
+        .find({ status: { $in: jobs.ACTIVE_STATUSES } })
+        .toArray();
+
+    for (const job of pending) {
+        console.log(`♻️ Resuming ingestion of ${job.file && job.file.originalName} (${job.jobId})`);
+        startIngestionJob(db, job.jobId, options);
+    }
+    return pending.map(job => job.jobId);
+}
+
+module.exports = {
+    MAX_CONCURRENT_JOBS,
+    WORKER_ID,
+    ingestFileThroughQueue,
+    leaseRetryDelay,
+    queueDocumentRechunk,
+    queueDocumentRevision,
+    queueFileIngestion,
+    resumePendingIngestionJobs,
+    retryIngestion,
+    runIngestionJob,
+    startIngestionJob,
+    whenIdle
+};
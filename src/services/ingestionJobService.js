@@ -0,0 +1,461 @@
+/**
+ * Document ingestion jobs
+ *
+ * Parsing a 50 MB slide deck, describing its images, and embedding the result
+ * can take minutes, so uploads are not processed inside the HTTP request. The
+ * request stores the raw file in GridFS and creates a persistent job; the
+ * ingestion runner works through it in the background and is restarted at
+ * boot, so an upload survives a server restart.
+ *
+ * Job document (`ingestionJobs` collection):
+ *   {
+ *     jobId, courseId, lectureName, documentType, instructorId, title, metadata,
+ *     source: 'upload' | 'canvas' | 'moodle' | 'web' | 'revision' | 'rechunk',
+ *     file: { fileId, originalName, mimeType, size },
+ *     status: 'queued' | 'running' | 'completed' | 'failed',
+ *     stage, stages: { store, extract, save, index },
+ *     progress: { characters, slides, figures, chunksStored },
+ *     documentId, linkedToCourse, slides, result, attempts, error,
+ *     revisionOf,   // documentId this file replaces as a new version, or null
+ *     sections,     // Headings and anchors of an imported web document, or null
+ *     createdBy, createdAt, startedAt, finishedAt, heartbeatAt, leaseOwner
+ *   }
+ *
+ * Each stage is { status, detail, startedAt, finishedAt, error }. Stages
+ * already done are skipped on resume, so a retry after an indexing failure
+ * re-embeds the saved document instead of parsing and describing it again.
+ *
+ * A 'rechunk' job re-indexes a saved document (after its chunking profile
+ * changed) without reading its file again: only its index stage runs.
+ */
+
+const { createId } = require('./id');
+
+const INGESTION_JOBS_COLLECTION = 'ingestionJobs';
+
+const JOB_STATUSES = Object.freeze({
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+});
+
+const STAGE_STATUSES = Object.freeze({
+    PENDING: 'pending',
+    RUNNING: 'running',
+    DONE: 'done',
+    FAILED: 'failed',
+    SKIPPED: 'skipped'
+});
+
+// The same step ids the LMS import progress stream uses
+const STAGES = Object.freeze(['store', 'extract', 'save', 'index']);
+
+const ACTIVE_STATUSES = [JOB_STATUSES.QUEUED, JOB_STATUSES.RUNNING];
+// A running job whose worker died is reclaimable after this long.
+const LEASE_TIMEOUT_MS = 5 * 60 * 1000;
+const DEFAULT_LIST_LIMIT = 20;
+const LIST_PROJECTION = { slides: 0, sections: 0, metadata: 0 };
+
+async function ensureIndexes(db) {
+    const collection = db.collection(INGESTION_JOBS_COLLECTION);
+    await collection.createIndex({ jobId: 1 }, { unique: true });
+    await collection.createIndex({ courseId: 1, createdAt: -1 });
+    await collection.createIndex({ courseId: 1, status: 1, createdAt: -1 });
+    await collection.createIndex({ status: 1, createdAt: 1 });
+    await collection.createIndex({ revisionOf: 1, status: 1 });
+    await collection.createIndex({ documentId: 1, createdAt: -1 });
+}
+
+function pendingStage() {
+    return { status: STAGE_STATUSES.PENDING, detail: null, startedAt: null, finishedAt: null, error: null };
+}
+
+/**
+ * Create a queued job for a file that is already stored in GridFS.
+ */
+async function createIngestionJob(db, {
+    courseId,
+    lectureName,
+    documentType,
+    instructorId,
+    title = null,
+    metadata = {},
+    source = 'upload',
+    file,
+    revisionOf = null,
+    sections = null,
+    createdBy = null
+}) {
+    const now = new Date();
+    const stages = Object.fromEntries(STAGES.map(stage => [stage, pendingStage()]));
+    stages.store = {
+        ...stages.store,
+        status: STAGE_STATUSES.DONE,
+        detail: file.originalName,
+        startedAt: now,
+        finishedAt: now
+    };
+
+    const job = {
+        jobId: createId('ingest'),
+        courseId,
+        lectureName,
+        documentType,
+        instructorId,
+        title: title || null,
+        metadata,
+        source,
+        file: {
+            fileId: file.fileId ? String(file.fileId) : null,
+            originalName: file.originalName,
+            mimeType: file.mimeType,
+            size: Number(file.size) || 0
+        },
+        status: JOB_STATUSES.QUEUED,
+        stage: 'extract',
+        stages,
+        progress: { characters: 0, slides: 0, figures: 0, chunksStored: 0 },
+        // A new version is saved onto the document it replaces
+        documentId: revisionOf || null,
+        revisionOf: revisionOf || null,
+        sections: Array.isArray(sections) ? sections : null,
+        linkedToCourse: null,
+        slides: [],
+        result: null,
+        attempts: 0,
+        error: null,
+        createdBy,
+        createdAt: now,
+        updatedAt: now,
+        startedAt: null,
+        finishedAt: null,
+        heartbeatAt: null,
+        leaseOwner: null
+    };
+
+    await db.collection(INGESTION_JOBS_COLLECTION).insertOne(job);
+    return job;
+}
+
+/**
+ * Create a queued job that re-chunks and re-embeds a saved document. Its
+ * PowerPoint slides, when it has them, come from the job that parsed it.
+ */
+async function createRechunkJob(db, { document, slides = [], createdBy = null }) {
+    const now = new Date();
+    const skipped = {
+        status: STAGE_STATUSES.SKIPPED,
+        detail: 'Already saved',
+        startedAt: null,
+        finishedAt: now,
+        error: null
+    };
+
+    const job = {
+        jobId: createId('ingest'),
+        courseId: document.courseId,
+        lectureName: document.lectureName,
+        documentType: document.documentType,
+        instructorId: document.instructorId,
+        title: document.filename || document.originalName || null,
+        metadata: document.metadata || {},
+        source: 'rechunk',
+        file: {
+            fileId: null,
+            originalName: document.originalName || document.filename || null,
+            mimeType: document.mimeType || null,
+            size: Number(document.size) || 0
+        },
+        status: JOB_STATUSES.QUEUED,
+        stage: 'index',
+        stages: { store: skipped, extract: skipped, save: skipped, index: pendingStage() },
+        progress: { characters: 0, slides: slides.length, figures: 0, chunksStored: 0 },
+        documentId: document.documentId,
+        revisionOf: null,
+        linkedToCourse: true,
+        slides,
+        result: null,
+        attempts: 0,
+        error: null,
+        createdBy,
+        createdAt: now,
+        updatedAt: now,
+        startedAt: null,
+        finishedAt: null,
+        heartbeatAt: null,
+        leaseOwner: null
+    };
+
+    await db.collection(INGESTION_JOBS_COLLECTION).insertOne(job);
+    return job;
+}
+
+async function getIngestionJob(db, jobId) {
+    if (!jobId) return null;
+    return db.collection(INGESTION_JOBS_COLLECTION).findOne({ jobId });
+}
+
+/**
+ * A course's unfinished jobs plus its most recent finished ones, newest first.
+ * Stored slide text is left out: the processing list polls this.
+ */
+async function listIngestionJobs(db, courseId, { limit = DEFAULT_LIST_LIMIT } = {}) {
+    const collection = db.collection(INGESTION_JOBS_COLLECTION);
+    const options = { projection: LIST_PROJECTION };
+    const [active, finished] = await Promise.all([
+        collection.find({ courseId, status: { $in: ACTIVE_STATUSES } }, options)
+            .sort({ createdAt: -1 })
+            .toArray(),
+        collection.find({ courseId, status: { $in: [JOB_STATUSES.COMPLETED, JOB_STATUSES.FAILED] } }, options)
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .toArray()
+    ]);
+    return [...active, ...finished].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * The queued or running job that is saving a new version of a document, if any
+ */
+async function findActiveRevisionJob(db, documentId) {
+    if (!documentId) return null;
+    return db.collection(INGESTION_JOBS_COLLECTION).findOne({
+        revisionOf: documentId,
+        status: { $in: ACTIVE_STATUSES }
+    });
+}
+
+/**
+ * The queued or running job that is writing a document's chunks (a new
+ * version or a re-chunk), if any
+ */
+async function findActiveDocumentJob(db, documentId) {
+    if (!documentId) return null;
+    return db.collection(INGESTION_JOBS_COLLECTION).findOne({
+        documentId,
+        status: { $in: ACTIVE_STATUSES }
+    });
+}
+
+/**
+ * The PowerPoint slides of a document's current text, kept by the latest job
+ * that saved it, so a re-chunk can keep one chunk per slide
+ */
+async function findDocumentSlides(db, documentId) {
+    const documentJobs = await db.collection(INGESTION_JOBS_COLLECTION)
+        .find({ documentId })
+        .sort({ createdAt: -1 })
+        .toArray();
+    const saved = [STAGE_STATUSES.DONE, STAGE_STATUSES.SKIPPED];
+    const latest = documentJobs.find(job => job.stages && job.stages.save && saved.includes(job.stages.save.status));
+    return latest && Array.isArray(latest.slides) ? latest.slides : [];
+}
+
+/**
+ * Claim a job for this worker. Returns null when another live worker owns it
+ * or the job is no longer waiting to run.
+ */
+async function claimIngestionJob(db, jobId, leaseOwner) {
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - LEASE_TIMEOUT_MS);
+    const result = await db.collection(INGESTION_JOBS_COLLECTION).findOneAndUpdate(
+        {
+            jobId,
+            $or: [
+                { status: JOB_STATUSES.QUEUED },
+                // Reclaim a running job whose worker stopped heart-beating
+                // (e.g. the server restarted mid-upload).
+                { status: JOB_STATUSES.RUNNING, heartbeatAt: { $lt: staleBefore } },
+                { status: JOB_STATUSES.RUNNING, heartbeatAt: null }
+            ]
+        },
+        {
+            $set: {
+                status: JOB_STATUSES.RUNNING,
+                leaseOwner,
+                heartbeatAt: now,
+                startedAt: now,
+                updatedAt: now
+            },
+            $inc: { attempts: 1 }
+        },
+        { returnDocument: 'after' }
+    );
+
+    return result && (result.value || result);
+}
+
+/**
+ * Keep the lease alive and publish the running counters for pollers.
+ */
+async function heartbeat(db, jobId, leaseOwner, progress = null) {
+    const now = new Date();
+    const set = { heartbeatAt: now, updatedAt: now };
+    if (progress) {
+        for (const [key, value] of Object.entries(progress)) {
+            set[`progress.${key}`] = value;
+        }
+    }
+    // Once another worker has reclaimed an expired lease, an old worker must
+    // not make the new lease look alive with a late heartbeat.
+    await db.collection(INGESTION_JOBS_COLLECTION).updateOne(
+        { jobId, status: JOB_STATUSES.RUNNING, leaseOwner },
+        { $set: set }
+    );
+}
+
+function leaseLostError(jobId) {
+    const error = new Error(`Ingestion job ${jobId} was reclaimed by another worker`);
+    error.code = 'INGESTION_LEASE_LOST';
+    return error;
+}
+
+function isLeaseLost(error) {
+    return !!error && error.code === 'INGESTION_LEASE_LOST';
+}
+
+/**
+ * Move a stage to a new status. `fields` are extra top-level job fields to
+ * persist alongside it (documentId, slides, progress counters). Throws an
+ * INGESTION_LEASE_LOST error when this worker no longer owns the job.
+ */
+async function updateStage(db, jobId, leaseOwner, stage, status, { detail, error, fields = {} } = {}) {
+    const now = new Date();
+    const set = {
+        [`stages.${stage}.status`]: status,
+        updatedAt: now,
+        ...fields
+    };
+    if (status === STAGE_STATUSES.RUNNING) {
+        set.stage = stage;
+        set[`stages.${stage}.startedAt`] = now;
+        set[`stages.${stage}.error`] = null;
+    } else {
+        set[`stages.${stage}.finishedAt`] = now;
+    }
+    if (detail !== undefined) set[`stages.${stage}.detail`] = detail;
+    if (error) set[`stages.${stage}.error`] = String(error.message || error).slice(0, 500);
+
+    const updated = await db.collection(INGESTION_JOBS_COLLECTION).updateOne(
+        { jobId, status: JOB_STATUSES.RUNNING, leaseOwner },
+        { $set: set }
+    );
+    if (updated.matchedCount === 0) throw leaseLostError(jobId);
+}
+
+/**
+ * Record how a running job ended and release its lease. Throws an
+ * INGESTION_LEASE_LOST error when this worker no longer owns the job.
+ */
+async function finishIngestionJob(db, jobId, leaseOwner, status, { error = null, result = null } = {}) {
+    const now = new Date();
+    const set = {
+        status,
+        error: error ? String(error.message || error).slice(0, 500) : null,
+        errorCode: error && error.code ? String(error.code) : null,
+        finishedAt: now,
+        updatedAt: now,
+        leaseOwner: null
+    };
+    if (result) set.result = result;
+    // A failed job keeps the stage it stopped at, for the retry control
+    if (status === JOB_STATUSES.COMPLETED) set.stage = null;
+
+    const updated = await db.collection(INGESTION_JOBS_COLLECTION).updateOne(
+        { jobId, status: JOB_STATUSES.RUNNING, leaseOwner },
+        { $set: set }
+    );
+    if (updated.matchedCount === 0) throw leaseLostError(jobId);
+    return getIngestionJob(db, jobId);
+}
+
+/**
+ * Requeue a failed job. Finished stages keep their output, so the retry
+ * starts at the stage that failed.
+ */
+async function retryIngestionJob(db, jobId) {
+    const job = await getIngestionJob(db, jobId);
+    if (!job || job.status !== JOB_STATUSES.FAILED) return job;
+
+    const set = {
+        status: JOB_STATUSES.QUEUED,
+        error: null,
+        errorCode: null,
+        finishedAt: null,
+        leaseOwner: null,
+        heartbeatAt: null,
+        updatedAt: new Date()
+    };
+    for (const stage of STAGES) {
+        const current = job.stages && job.stages[stage];
+        if (current && current.status === STAGE_STATUSES.FAILED) {
+            set[`stages.${stage}.status`] = STAGE_STATUSES.PENDING;
+            set[`stages.${stage}.error`] = null;
+        }
+    }
+
+    await db.collection(INGESTION_JOBS_COLLECTION).updateOne(
+        { jobId, status: JOB_STATUSES.FAILED },
+        { $set: set }
+    );
+    return getIngestionJob(db, jobId);
+}
+
+/**
+ * Browser-safe job view: progress per stage, the outcome, and enough context
+ * to offer a retry. The stored file id and extracted slide text stay private.
+ */
+function publicIngestionJobView(job) {
+    if (!job) return null;
+    return {
+        jobId: job.jobId,
+        courseId: job.courseId,
+        lectureName: job.lectureName,
+        documentType: job.documentType,
+        filename: job.title || (job.file && job.file.originalName) || null,
+        source: job.source,
+        status: job.status,
+        stage: job.stage || null,
+        stages: STAGES.map(stage => ({
+            id: stage,
+            status: (job.stages && job.stages[stage] && job.stages[stage].status) || STAGE_STATUSES.PENDING,
+            detail: (job.stages && job.stages[stage] && job.stages[stage].detail) || null,
+            error: (job.stages && job.stages[stage] && job.stages[stage].error) || null
+        })),
+        progress: job.progress || null,
+        documentId: job.documentId || null,
+        revisionOf: job.revisionOf || null,
+        result: job.result || null,
+        attempts: job.attempts || 0,
+        error: job.error || null,
+        createdAt: job.createdAt || null,
+        startedAt: job.startedAt || null,
+        finishedAt: job.finishedAt || null,
+        updatedAt: job.updatedAt || null
+    };
+}
+
+module.exports = {
+    ACTIVE_STATUSES,
+    INGESTION_JOBS_COLLECTION,
+    JOB_STATUSES,
+    LEASE_TIMEOUT_MS,
+    STAGES,
+    STAGE_STATUSES,
+    claimIngestionJob,
+    createIngestionJob,
+    createRechunkJob,
+    ensureIndexes,
+    findActiveDocumentJob,
+    findActiveRevisionJob,
+    findDocumentSlides,
+    finishIngestionJob,
+    getIngestionJob,
+    heartbeat,
+    isLeaseLost,
+    listIngestionJobs,
+    publicIngestionJobView,
+    retryIngestionJob,
+    updateStage
+};
@@ -0,0 +1,180 @@
+/**
+ * Lexical Search Service
+ * BM25 keyword index over stored chunk payloads, plus reciprocal rank fusion
+ * for combining it with the dense vector ranking (hybrid retrieval).
+ *
+ * Dense embeddings blur exact biochemistry identifiers — EC numbers
+ * ("EC 2.7.1.11"), gene/enzyme names ("PFK-1"), abbreviations — so the keyword
+ * side keeps those tokens whole and also indexes their joined and split forms
+ * ("pfk-1" → "pfk-1", "pfk1", "pfk").
+ */
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const RRF_K = 60;
+const INDEX_CACHE_TTL_MS = 5 * 60 * 1000;
+const MAX_CACHED_INDEXES = 20;
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for',
+    'from', 'how', 'i', 'in', 'is', 'it', 'of', 'on', 'or', 'that', 'the', 'this',
+    'to', 'was', 'what', 'when', 'where', 'which', 'who', 'why', 'with', 'you'
+]);
+
+// Runs of letters/digits, keeping internal "-", ".", "/" and "'" so
+// identifiers like "pfk-1", "2.7.1.11", and "nad+/nadh" survive as one token.
+const TOKEN_PATTERN = /[\p{L}\p{N}]+(?:[-./'][\p{L}\p{N}]+)*\+?/gu;
+const SEPARATOR_PATTERN = /[-./'+]/;
+
+/**
+ * Split text into BM25 terms
+ * @param {string} text
+ * @returns {string[]} Terms, with compound identifiers expanded
+ */
+function tokenize(text) {
+    const terms = [];
+    const matches = String(text || '').toLowerCase().match(TOKEN_PATTERN) || [];
+    for (const token of matches) {
+        if (!SEPARATOR_PATTERN.test(token)) {
+            if (!STOPWORDS.has(token)) terms.push(token);
+            continue;
+        }
+        const parts = token.split(/[-./'+]+/).filter(Boolean);
+        const forms = new Set([token, parts.join('')]);
+        for (const part of parts) {
+            if (part.length > 1 && !STOPWORDS.has(part)) forms.add(part);
+        }
+        terms.push(...forms);
+    }
+    return terms;
+}
+
+/**
+ * Build an in-memory BM25 index
+ * @param {Array<{id: string, text: string}>} documents
+ * @returns {{size: number, search: function(string, number): Array<{id: string, score: number}>}}
+ */
+function buildLexicalIndex(documents = []) {
+    const entries = [];
+    const documentFrequency = new Map();
+    let totalLength = 0;
+
+    for (const doc of documents) {
+        if (!doc || doc.id === undefined || doc.id === null) continue;
+        const terms = tokenize(doc.text);
+        const termFrequency = new Map();
+        for (const term of terms) {
+            termFrequency.set(term, (termFrequency.get(term) || 0) + 1);
+        }
+        for (const term of termFrequency.keys()) {
+            documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+        }
+        entries.push({ id: doc.id, termFrequency, length: terms.length });
+        totalLength += terms.length;
+    }
+
+    const averageLength = entries.length > 0 ? totalLength / entries.length : 0;
+
+    function idf(term) {
+        const df = documentFrequency.get(term) || 0;
+        return Math.log(1 + (entries.length - df + 0.5) / (df + 0.5));
+    }
+
+    function search(query, limit = 10) {
+        const queryTerms = [...new Set(tokenize(query))].filter(term => documentFrequency.has(term));
+        if (queryTerms.length === 0) return [];
+
+        const scored = [];
+        for (const entry of entries) {
+            let score = 0;
+            for (const term of queryTerms) {
+                const tf = entry.termFrequency.get(term);
+                if (!tf) continue;
+                const norm = 1 - BM25_B + BM25_B * (entry.length / (averageLength || 1));
+                score += idf(term) * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * norm);
+            }
+            if (score > 0) scored.push({ id: entry.id, score });
+        }
+
+        scored.sort((a, b) => b.score - a.score);
+        return scored.slice(0, limit);
+    }
+
+    return { size: entries.length, search };
+}
+
+/**
+ * Fuse ranked id lists with reciprocal rank fusion: score = Σ 1 / (k + rank)
+ * @param {Array<Array<string>>} rankings - Each list holds ids, best first
+ * @param {Object} [options]
+ * @param {number} [options.k=60] - Damping constant from the original RRF paper
+ * @returns {Array<{id: string, score: number, ranks: Array<number|null>}>} Best first;
+ *   `ranks[i]` is the 1-based rank in list i, or null when absent from it
+ */
+function reciprocalRankFusion(rankings = [], { k = RRF_K } = {}) {
+    const fused = new Map();
+    rankings.forEach((ranking, listIndex) => {
+        (ranking || []).forEach((id, position) => {
+            if (!fused.has(id)) {
+                fused.set(id, { id, score: 0, ranks: rankings.map(() => null) });
+            }
+            const entry = fused.get(id);
+            if (entry.ranks[listIndex] !== null) return;
+            entry.ranks[listIndex] = position + 1;
+            entry.score += 1 / (k + position + 1);
+        });
+    });
+
+    // Ties keep first-seen order, which favours the first (dense) list.
+    return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+// Built indexes, keyed by collection + search filter. Rebuilding means
+// scrolling every chunk in scope, so indexes are reused briefly and dropped
+// whenever the owning collection is written to.
+const indexCache = new Map();
+
+/**
+ * Get a cached index or build one with the loader
+ * @param {string} collectionName - Qdrant collection the chunks came from
+ * @param {string} scopeKey - Stable key for the search scope (e.g. the filter)
+ * @param {function(): Promise<Object>} loader - Builds the index on a miss
+ * @returns {Promise<Object>} Index from buildLexicalIndex
+ */
+async function getCachedLexicalIndex(collectionName, scopeKey, loader) {
+    const key = `${collectionName}::${scopeKey}`;
+    const cached = indexCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.index;
+    }
+
+    const index = await loader();
+    indexCache.delete(key);
+    indexCache.set(key, { index, expiresAt: Date.now() + INDEX_CACHE_TTL_MS });
+    while (indexCache.size > MAX_CACHED_INDEXES) {
+        indexCache.delete(indexCache.keys().next().value);
+    }
+    return index;
+}
+
+/**
+ * Drop cached indexes for a collection after its chunks change
+ * @param {string} [collectionName] - Omit to clear every cached index
+ */
+function invalidateLexicalIndexes(collectionName) {
+    if (!collectionName) {
+        indexCache.clear();
+        return;
+    }
+    for (const key of [...indexCache.keys()]) {
+        if (key.startsWith(`${collectionName}::`)) indexCache.delete(key);
+    }
+}
+
+module.exports = {
+    tokenize,
+    buildLexicalIndex,
+    reciprocalRankFusion,
+    getCachedLexicalIndex,
+    invalidateLexicalIndexes
+};
@@ -7,6 +7,7 @@
 const { LLMModule } = require('ubc-genai-toolkit-llm');
 const config = require('./config');
 const prompts = require('./prompts');
+const { buildPromptVariables, renderPromptTemplate } = require('./promptTemplates');
 const { LlmKeyError, mapOpenAIErrorToStatus } = require('./llmKeyStore');
 const {
     catalogForProvider,
@@ -17,6 +18,10 @@ const {
 const adminModelSettings = require('./adminModelSettings');
 const { isSelectableProvider } = require('./llmProviders');
 const { DEFAULT_LANE, LANES, normalizeLane } = require('./llmLanes');
+const { FEATURES } = require('./llmFeatures');
+const { addRequestTokens, usageFromResponse } = require('./tokenMeter');
+const { isStructuredType, normalizeQuestionFields } = require('./questionTypes');
+const { scoreRubricEvaluation } = require('./rubric');
 const MODEL_SETTINGS_TTL_MS = 30 * 1000; // Re-read at most every 30 seconds
 
 /**
@@ -43,6 +48,65 @@ function normalizeResponseContent(content) {
         .trim();
 }
 
+/**
+ * Incremental counterpart of `normalizeResponseContent` for streamed replies.
+ *
+ * Leading whitespace and a leaked `<think>` block can only be recognized once
+ * enough of the reply has arrived, so the start of the stream is held back
+ * until it is clearly ordinary answer text. After that, chunks pass through
+ * untouched.
+ *
+ * @returns {{ push: function(string): string, flush: function(): string }}
+ */
+function createStreamContentFilter() {
+    let buffer = '';
+    let passThrough = false;
+
+    function drain() {
+        for (;;) {
+            const trimmed = buffer.replace(/^\s+/, '');
+            const lower = trimmed.toLowerCase();
+            if (lower.startsWith('<think>')) {
+                const end = lower.indexOf('</think>');
+                if (end === -1) return '';
+                buffer = trimmed.slice(end + '</think>'.length);
+                continue;
+            }
+            if (lower.startsWith('</think>')) {
+                buffer = trimmed.slice('</think>'.length);
+                continue;
+            }
+            if (!trimmed || '<think>'.startsWith(lower) || '</think>'.startsWith(lower)) {
+                return '';
+            }
+            passThrough = true;
+            buffer = '';
+            return trimmed;
+        }
+    }
+
+    return {
+        push(chunk) {
+            if (typeof chunk !== 'string' || !chunk) return '';
+            if (passThrough) return chunk;
+            buffer += chunk;
+            return drain();
+        },
+        flush() {
+            if (passThrough) return '';
+            const rest = buffer.replace(/^\s+/, '');
+            buffer = '';
+            return rest;
+        }
+    };
+}
+
+function createAbortError() {
+    const error = new Error('LLM stream aborted');
+    error.name = 'AbortError';
+    return error;
+}
+
 class LLMService {
     constructor(options = {}) {
         this.llm = null;
@@ -53,6 +117,9 @@ class LLMService {
             ? options.onProviderKeyFailure
             : null;
         this.scope = options.scope || null;
+        // Optional token meter (see services/tokenMeter.js): budget check
+        // before each call, usage record after it.
+        this.usageMeter = options.usageMeter || null;
         this._dbAccessor = null;
         this._modelSettingsCache = new Map();
 
@@ -143,6 +210,7 @@ class LLMService {
         const provider = this.llmConfig?.provider || process.env.LLM_PROVIDER || 'openai';
         const result = { ...options, model: settings.model };
         delete result.lane;
+        delete result.feature;
         const maxTokens = result.maxTokens ?? result.max_completion_tokens ?? result.max_tokens;
         delete result.max_completion_tokens;
         delete result.max_tokens;
@@ -256,7 +324,10 @@ class LLMService {
                 ...options
             };
             const finalOptions = await this._applyModelOptions(defaultOptions);
-            const response = await this.llm.sendMessage(message, finalOptions);
+            const response = await this._metered(
+                { feature: defaultOptions.feature, lane: defaultOptions.lane, model: finalOptions.model, promptText: `${finalOptions.systemPrompt || ''}${message}` },
+                () => this.llm.sendMessage(message, finalOptions)
+            );
             if (response && typeof response.content === 'string') {
                 response.content = normalizeResponseContent(response.content);
             }
@@ -272,6 +343,73 @@ class LLMService {
         }
     }
 
+    /**
+     * Stream a single message to the LLM, forwarding text deltas as they arrive.
+     *
+     * Aborting `options.signal` cancels the upstream provider call: the toolkit
+     * providers consume the provider's response in a `for await` loop, and
+     * throwing from the chunk callback ends that loop and closes the request.
+     *
+     * @param {string} message - The message to send
+     * @param {function(string): void} onDelta - Called with each text delta
+     * @param {Object} options - Same options as sendMessage, plus `signal`
+     * @returns {Promise<Object>} Aggregated LLM response (full content)
+     */
+    async streamMessage(message, onDelta, options = {}) {
+        const { signal, ...llmOptions } = options;
+        try {
+            if (!this.isInitialized) {
+                console.log(`🔄 Initializing LLM service for first use...`);
+                await this._performInitialization();
+            }
+            if (signal && signal.aborted) throw createAbortError();
+
+            console.log(`📤 Streaming message to LLM: "${message.substring(0, 50)}..."`);
+
+            const defaultOptions = {
+                systemPrompt: this.getSystemPrompt(),
+                temperature: 0.1,
+                ...this._getProviderSpecificOptions(),
+                ...llmOptions
+            };
+            const finalOptions = await this._applyModelOptions(defaultOptions);
+            const filter = createStreamContentFilter();
+            const emit = (text) => {
+                if (text && typeof onDelta === 'function') onDelta(text);
+            };
+
+            const response = await this._metered(
+                { feature: defaultOptions.feature, lane: defaultOptions.lane, model: finalOptions.model, promptText: `${finalOptions.systemPrompt || ''}${message}` },
+                () => this.llm.streamConversation(
+                    [{ role: 'user', content: message }],
+                    (chunk) => {
+                        if (signal && signal.aborted) throw createAbortError();
+                        emit(filter.push(chunk));
+                    },
+                    finalOptions
+                )
+            );
+            emit(filter.flush());
+
+            if (response && typeof response.content === 'string') {
+                response.content = normalizeResponseContent(response.content);
+            }
+
+            console.log(`✅ LLM stream finished (${response.content.length} characters)`);
+            return response;
+
+        } catch (error) {
+            if (error && error.name === 'AbortError') {
+                console.log('⏹️ LLM stream aborted by client');
+                throw error;
+            }
+            const keyError = await this._handleProviderError(error);
+            if (keyError) throw keyError;
+            console.error('❌ Error streaming message to LLM:', error.message);
+            throw error;
+        }
+    }
+
     async _handleProviderError(error) {
         const status = mapOpenAIErrorToStatus(error);
         if (status && this.onProviderKeyFailure) {
@@ -285,9 +423,35 @@ class LLMService {
         return null;
     }
 
-    async _sendRawMessage(message, options = {}) {
+    /**
+     * Run one provider call through the usage meter, if this service has one.
+     * @param {Object} call - { feature, lane, model, promptText }
+     * @param {Function} send - Performs the provider call
+     * @returns {Promise<Object>} The provider response
+     * @private
+     */
+    async _metered({ feature = FEATURES.OTHER, lane, model, promptText }, send) {
+        if (this.usageMeter) await this.usageMeter.check(feature);
+        const response = await send();
+        const usage = usageFromResponse(response, promptText);
+        addRequestTokens(usage.totalTokens);
+        if (this.usageMeter) {
+            await this.usageMeter.record({
+                feature,
+                lane: normalizeLane(lane),
+                model: (response && response.model) || model,
+                usage
+            });
+        }
+        return response;
+    }
+
+    async _sendRawMessage(message, options = {}, meter = {}) {
         try {
-            return await this.llm.sendMessage(message, options);
+            return await this._metered(
+                { ...meter, model: options.model, promptText: `${options.systemPrompt || ''}${message}` },
+                () => this.llm.sendMessage(message, options)
+            );
         } catch (error) {
             const keyError = await this._handleProviderError(error);
             if (keyError) throw keyError;
@@ -295,9 +459,12 @@ class LLMService {
         }
     }
 
-    async _sendRawConversation(messages, options = {}) {
+    async _sendRawConversation(messages, options = {}, meter = {}) {
         try {
-            return await this.llm.sendConversation(messages, options);
+            return await this._metered(
+                { ...meter, model: options.model, promptText: messages.map(m => m.content || '').join('\n') },
+                () => this.llm.sendConversation(messages, options)
+            );
         } catch (error) {
             const keyError = await this._handleProviderError(error);
             if (keyError) throw keyError;
@@ -368,7 +535,8 @@ class LLMService {
                     images: [{ data: base64, mimeType }],
                 },
             ],
-            finalOptions
+            finalOptions,
+            { feature: FEATURES.IMAGE_DESCRIPTION, lane: LANES.BACKEND }
         );
 
         const content = (response && response.content) ? response.content.trim() : '';
@@ -402,18 +570,19 @@ class LLMService {
      *
      * @param {Array} messages - Conversation messages (with image attachments).
      * @param {Object} options - Provider/model options.
+     * @param {Object} meter - { feature, lane } for the usage meter.
      * @param {number} [maxAttempts=4] - Total attempts before giving up.
      * @returns {Promise<Object>} The LLM response.
      * @private
      */
-    async _sendImageConversationWithRetry(messages, options, maxAttempts = 4) {
+    async _sendImageConversationWithRetry(messages, options, meter, maxAttempts = 4) {
         let attempt = 0;
         for (;;) {
             try {
-                return await this._sendRawConversation(messages, options);
+                return await this._sendRawConversation(messages, options, meter);
             } catch (error) {
-                // Invalid key / exhausted quota won't recover on retry.
-                if (error && error.name === 'LlmKeyError') {
+                // Invalid key / exhausted quota / spent budget won't recover on retry.
+                if (error && (error.name === 'LlmKeyError' || error.name === 'LlmBudgetError')) {
                     throw error;
                 }
                 attempt++;
@@ -512,7 +681,10 @@ class LLMService {
             const finalOptions = await this._applyModelOptions(defaultOptions);
 
             // Send message and get response
-            const response = await conversation.send(finalOptions);
+            const response = await this._metered(
+                { feature: defaultOptions.feature, lane: defaultOptions.lane, model: finalOptions.model, promptText: message },
+                () => conversation.send(finalOptions)
+            );
             if (response && typeof response.content === 'string') {
                 response.content = normalizeResponseContent(response.content);
             }
@@ -559,11 +731,12 @@ class LLMService {
     }
 
     /**
-     * Get system prompt for BiocBot
+     * Get system prompt for BiocBot (course variables use their fallbacks;
+     * course chat renders its own prompts)
      * @returns {string} System prompt
      */
     getSystemPrompt() {
-        return prompts.BASE_SYSTEM_PROMPT;
+        return renderPromptTemplate(prompts.BASE_SYSTEM_PROMPT, buildPromptVariables(null));
     }
 
     /**
@@ -677,7 +850,7 @@ class LLMService {
             let response;
             try {
                 response = await Promise.race([
-                    this._sendRawMessage(prompt, generationOptions),
+                    this._sendRawMessage(prompt, generationOptions, { feature: FEATURES.QUESTION_GENERATION, lane: LANES.BACKEND }),
                     timeoutPromise
                 ]);
             } finally {
@@ -741,6 +914,7 @@ Return ONLY a JSON object with the following structure:
             const response = await this.sendMessage(prompt, {
                 temperature: 0.1,
                 lane: LANES.FRONTEND,
+                feature: FEATURES.ANSWER_EVALUATION,
                 response_format: { type: "json_object" } // For providers that support it
             });
 
@@ -775,6 +949,68 @@ Return ONLY a JSON object with the following structure:
         }
     }
 
+    /**
+     * Score a short answer against an instructor rubric, criterion by criterion
+     * @param {string} question - The question text
+     * @param {string} studentAnswer - The student's answer
+     * @param {string} expectedAnswer - The model answer
+     * @param {Object} rubric - Normalized rubric { criteria, exampleAnswers }
+     * @param {string} studentName - The name of the student (optional, defaults to 'Student')
+     * @returns {Promise<Object>} rubric.scoreRubricEvaluation() result
+     */
+    async evaluateWithRubric(question, studentAnswer, expectedAnswer, rubric, studentName = 'Student') {
+        if (!this.isInitialized) {
+            await this._performInitialization();
+        }
+
+        const criteriaText = rubric.criteria
+            .map((criterion, index) => `${index + 1}. (${criterion.points} pts) ${criterion.description}`)
+            .join('\n');
+        const examplesText = (rubric.exampleAnswers || []).length > 0
+            ? `\nExample answers and the points they earn:\n${rubric.exampleAnswers
+                .map(example => `- ${example.points === null ? '' : `(${example.points} pts) `}${example.answer}`)
+                .join('\n')}\n`
+            : '';
+
+        const prompt = `You are an automated grader for a biology course.
+Question: ${question}
+Model Answer: ${expectedAnswer || '(none provided)'}
+Student Answer: ${studentAnswer}
+
+Score the answer from ${studentName} against each rubric criterion:
+${criteriaText}
+${examplesText}
+Award each criterion any number of points from 0 to its maximum; partial credit is allowed.
+Be lenient with spelling if the meaning is clear.
+Address the student directly by name in the overall feedback.
+
+Return ONLY a JSON object with the following structure, with one entry per criterion in the same order:
+{
+    "criteria": [{ "points": number, "feedback": "One sentence on this criterion" }],
+    "feedback": "Brief overall feedback addressed to ${studentName}"
+}`;
+
+        const response = await this.sendMessage(prompt, {
+            temperature: 0.1,
+            lane: LANES.FRONTEND,
+            feature: FEATURES.ANSWER_EVALUATION,
+            response_format: { type: "json_object" }
+        });
+
+        let evaluation = {};
+        try {
+            const jsonStart = response.content.indexOf('{');
+            const jsonEnd = response.content.lastIndexOf('}') + 1;
+            evaluation = JSON.parse(response.content.substring(jsonStart, jsonEnd));
+        } catch (e) {
+            // An unreadable reply scores zero rather than guessing
+            console.error('Failed to parse rubric evaluation JSON:', e);
+            evaluation = { feedback: 'The answer could not be scored automatically. Please ask your instructor to review it.' };
+        }
+
+        return scoreRubricEvaluation(rubric, evaluation);
+    }
+
     /**
      * Analyze a conversation for mental health concerns
      * @param {Array} conversationHistory - Array of {role, content} messages
@@ -798,7 +1034,7 @@ Return ONLY a JSON object with the following structure:
                 max_tokens: 256,
                 lane: LANES.BACKEND
             });
-            const response = await this._sendRawMessage(conversationText, mhOptions);
+            const response = await this._sendRawMessage(conversationText, mhOptions, { feature: FEATURES.MENTAL_HEALTH, lane: LANES.BACKEND });
 
             if (!response || !response.content) {
                 return { concernLevel: 'no concern', reason: 'No response from detection model' };
@@ -890,7 +1126,7 @@ Return ONLY a JSON object with the following structure:
             let response;
             try {
                 response = await Promise.race([
-                    this._sendRawMessage(prompt, generationOptions),
+                    this._sendRawMessage(prompt, generationOptions, { feature: FEATURES.QUESTION_GENERATION, lane: LANES.BACKEND }),
                     timeoutPromise
                 ]);
             } finally {
@@ -941,6 +1177,18 @@ Return ONLY a JSON object with the following structure:
                 case 'short-answer':
                     template = customPrompts.shortAnswer;
                     break;
+                case 'numeric':
+                    template = customPrompts.numeric;
+                    break;
+                case 'fill-in-the-blank':
+                    template = customPrompts.fillInTheBlank;
+                    break;
+                case 'matching':
+                    template = customPrompts.matching;
+                    break;
+                case 'ordering':
+                    template = customPrompts.ordering;
+                    break;
                 default:
                     throw new Error(`Unsupported question type: ${questionType}`);
             }
@@ -963,6 +1211,14 @@ Return ONLY a JSON object with the following structure:
                 return prompts.QUESTION_GENERATION_PROMPT_TEMPLATE.multipleChoice(learningObjectives, courseMaterialContent, unitName);
             case 'short-answer':
                 return prompts.QUESTION_GENERATION_PROMPT_TEMPLATE.shortAnswer(learningObjectives, courseMaterialContent, unitName);
+            case 'numeric':
+                return prompts.QUESTION_GENERATION_PROMPT_TEMPLATE.numeric(learningObjectives, courseMaterialContent, unitName);
+            case 'fill-in-the-blank':
+                return prompts.QUESTION_GENERATION_PROMPT_TEMPLATE.fillInTheBlank(learningObjectives, courseMaterialContent, unitName);
+            case 'matching':
+                return prompts.QUESTION_GENERATION_PROMPT_TEMPLATE.matching(learningObjectives, courseMaterialContent, unitName);
+            case 'ordering':
+                return prompts.QUESTION_GENERATION_PROMPT_TEMPLATE.ordering(learningObjectives, courseMaterialContent, unitName);
             default:
                 throw new Error(`Unsupported question type: ${questionType}`);
         }
@@ -1001,6 +1257,10 @@ Correct Answer: ${previousQuestion.answer || 'No answer'}`;
         } else if (questionType === 'short-answer') {
             regenerationPrompt += `
 Expected Answer: ${previousQuestion.answer || 'No answer'}`;
+        } else if (isStructuredType(questionType)) {
+            // Structured types carry their key in their own fields; answer is the readable form
+            regenerationPrompt += `
+Answer Key: ${previousQuestion.answer || 'No answer'}`;
         }
 
         regenerationPrompt += `
@@ -1070,6 +1330,40 @@ Generate a completely new question that addresses the feedback, don't just modif
     "expectedAnswer": "string - model answer",
     "keyPoints": "array - key points for the answer",
     "explanation": "string - explanation of the answer"
+}`;
+            case 'numeric':
+                return `{
+    "type": "numeric",
+    "question": "string - the question text, including every value needed",
+    "numeric": {
+        "value": "number - the correct answer",
+        "tolerance": "number - allowed difference from value",
+        "toleranceType": "string - absolute or percent",
+        "unit": "string - unit of the answer, empty if unitless"
+    },
+    "explanation": "string - worked solution"
+}`;
+            case 'fill-in-the-blank':
+                return `{
+    "type": "fill-in-the-blank",
+    "question": "string - the passage, with each blank written as ___",
+    "blanks": "array - one { answers: [string] } object per blank, in order",
+    "explanation": "string - explanation of the completed passage"
+}`;
+            case 'matching':
+                return `{
+    "type": "matching",
+    "question": "string - the matching instructions",
+    "pairs": "array - { prompt: string, match: string } objects",
+    "distractors": "array - optional extra matches that fit no prompt",
+    "explanation": "string - explanation of each pairing"
+}`;
+            case 'ordering':
+                return `{
+    "type": "ordering",
+    "question": "string - the ordering instructions",
+    "items": "array - the items in the correct order",
+    "explanation": "string - explanation of the sequence"
 }`;
             default:
                 return '{}';
@@ -1154,6 +1448,21 @@ Generate a completely new question that addresses the feedback, don't just modif
                     }
                     break;
 
+                case 'numeric':
+                case 'fill-in-the-blank':
+                case 'matching':
+                case 'ordering': {
+                    const checked = normalizeQuestionFields({ ...jsonResponse, questionType });
+                    if (!checked.valid) {
+                        throw new Error(`Invalid ${questionType} question: ${checked.error}`);
+                    }
+                    for (const field of ['numeric', 'blanks', 'pairs', 'distractors', 'items']) {
+                        if (checked.question[field] !== undefined) parsed[field] = checked.question[field];
+                    }
+                    parsed.answer = checked.question.correctAnswer;
+                    break;
+                }
+
                 default:
                     console.warn(`⚠️ [PARSE] Unknown question type: ${questionType}`);
             }
@@ -1178,3 +1487,4 @@ Generate a completely new question that addresses the feedback, don't just modif
 // Export the class instead of an instance
 module.exports = LLMService;
 module.exports.normalizeResponseContent = normalizeResponseContent;
+module.exports.createStreamContentFilter = createStreamContentFilter;
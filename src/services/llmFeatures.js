@@ -0,0 +1,77 @@
+/**
+ * What an LLM call is for. Every LLMService call is metered under one of these
+ * so instructors can see where a course's tokens go.
+ */
+const FEATURES = Object.freeze({
+    CHAT: 'chat',
+    CHAT_SUMMARY: 'chat-summary',
+    TRACKER: 'tracker',
+    MENTAL_HEALTH: 'mental-health',
+    QUERY_REWRITE: 'query-rewrite',
+    RERANK: 'rerank',
+    QUESTION_GENERATION: 'question-generation',
+    ANSWER_EVALUATION: 'answer-evaluation',
+    QUIZ_HELP: 'quiz-help',
+    FLASHCARDS: 'flashcards',
+    IMAGE_DESCRIPTION: 'image-description',
+    TOPIC_EXTRACTION: 'topic-extraction',
+    RETRIEVAL_EVAL: 'retrieval-eval',
+    OTHER: 'other'
+});
+
+const FEATURE_LABELS = Object.freeze({
+    [FEATURES.CHAT]: 'Student chat',
+    [FEATURES.CHAT_SUMMARY]: 'Chat summaries',
+    [FEATURES.TRACKER]: 'Struggle tracker',
+    [FEATURES.MENTAL_HEALTH]: 'Wellbeing check',
+    [FEATURES.QUERY_REWRITE]: 'Query rewriting',
+    [FEATURES.RERANK]: 'Re-ranking',
+    [FEATURES.QUESTION_GENERATION]: 'Question generation',
+    [FEATURES.ANSWER_EVALUATION]: 'Answer grading',
+    [FEATURES.QUIZ_HELP]: 'Quiz help',
+    [FEATURES.FLASHCARDS]: 'Flashcards',
+    [FEATURES.IMAGE_DESCRIPTION]: 'Image descriptions',
+    [FEATURES.TOPIC_EXTRACTION]: 'Topic extraction',
+    [FEATURES.RETRIEVAL_EVAL]: 'Retrieval evaluation',
+    [FEATURES.OTHER]: 'Other'
+});
+
+const VALID_FEATURES = new Set(Object.values(FEATURES));
+
+// Switched off first when a course nears its budget; each caller already
+// falls back to a cheaper path when its LLM call fails.
+const NON_ESSENTIAL_FEATURES = new Set([
+    FEATURES.TRACKER,
+    FEATURES.QUERY_REWRITE,
+    FEATURES.RERANK,
+    FEATURES.RETRIEVAL_EVAL
+]);
+
+// Still allowed once a budget is spent: student safety checks.
+const BUDGET_EXEMPT_FEATURES = new Set([
+    FEATURES.MENTAL_HEALTH
+]);
+
+function normalizeFeature(value) {
+    return VALID_FEATURES.has(value) ? value : FEATURES.OTHER;
+}
+
+function featureLabel(feature) {
+    return FEATURE_LABELS[normalizeFeature(feature)];
+}
+
+function isNonEssentialFeature(feature) {
+    return NON_ESSENTIAL_FEATURES.has(normalizeFeature(feature));
+}
+
+function isBudgetExemptFeature(feature) {
+    return BUDGET_EXEMPT_FEATURES.has(normalizeFeature(feature));
+}
+
+module.exports = {
+    FEATURES,
+    featureLabel,
+    isBudgetExemptFeature,
+    isNonEssentialFeature,
+    normalizeFeature
+};
@@ -6,6 +6,7 @@ const { DEFAULT_PROFILE_REVISION, buildEmbeddingProfile } = require('./embedding
 const { normalizeProvider } = require('./llmProviders');
 const { configuredDefaultModel, defaultEmbeddingModelForProvider } = require('./llmModels');
 const { LANES } = require('./llmLanes');
+const { createCourseMeter } = require('./tokenMeter');
 const {
     KEY_STATUSES,
     LlmKeyError,
@@ -280,7 +281,9 @@ class LlmRegistry {
         const llm = await LLMService.create({
             llmConfig,
             scope: scopeWithProvider,
-            onProviderKeyFailure
+            onProviderKeyFailure,
+            // Token usage and budgets are per course.
+            usageMeter: scope.type === 'course' ? createCourseMeter(db, scope.id) : null
         });
         if (typeof llm.setDbAccessor === 'function') {
             llm.setDbAccessor(() => db);
@@ -12,6 +12,7 @@
  */
 
 const DEFAULT_RESPONSE_CONTENT = '{}';
+const DEFAULT_STREAM_CHUNK_SIZE = 8;
 
 class LLMStub {
     constructor() {
@@ -19,6 +20,8 @@ class LLMStub {
         this.rules = [];
         this.defaultContent = DEFAULT_RESPONSE_CONTENT;
         this.callLog = [];
+        this.streamChunkSize = DEFAULT_STREAM_CHUNK_SIZE;
+        this.streamDelayMs = 0;
     }
 
     reset() {
@@ -26,6 +29,8 @@ class LLMStub {
         this.rules = [];
         this.defaultContent = DEFAULT_RESPONSE_CONTENT;
         this.callLog = [];
+        this.streamChunkSize = DEFAULT_STREAM_CHUNK_SIZE;
+        this.streamDelayMs = 0;
     }
 
     enqueueContent(content) {
@@ -65,6 +70,15 @@ class LLMStub {
         });
     }
 
+    // Control how streamConversation() slices its scripted reply. A delay lets
+    // e2e specs observe chunks arriving over time (and cancel mid-stream).
+    setStreamOptions({ chunkSize, delayMs } = {}) {
+        const size = Number.parseInt(chunkSize, 10);
+        const delay = Number.parseInt(delayMs, 10);
+        if (Number.isInteger(size) && size > 0) this.streamChunkSize = size;
+        if (Number.isInteger(delay) && delay >= 0) this.streamDelayMs = delay;
+    }
+
     _ruleMatch(message, options) {
         const sysPrompt = (options && typeof options.systemPrompt === 'string') ? options.systemPrompt : '';
         const msg = typeof message === 'string' ? message : '';
@@ -98,6 +112,27 @@ class LLMStub {
         return { content };
     }
 
+    // Streams the scripted reply in fixed-size chunks. Like the real providers,
+    // a callback that throws ends the stream early and the error propagates —
+    // that is how LLMService cancels an in-flight stream.
+    async streamConversation(messages = [], callback = () => {}, options = {}) {
+        const lastUser = [...messages].reverse().find((m) => m && m.role === 'user');
+        const content = this._nextContent(lastUser ? lastUser.content : '', options);
+        const entry = { kind: 'streamConversation', messages, options, chunks: 0, completed: false };
+        this.callLog.push(entry);
+
+        for (let offset = 0; offset < content.length; offset += this.streamChunkSize) {
+            if (this.streamDelayMs > 0) {
+                await new Promise((resolve) => setTimeout(resolve, this.streamDelayMs));
+            }
+            callback(content.slice(offset, offset + this.streamChunkSize));
+            entry.chunks += 1;
+        }
+
+        entry.completed = true;
+        return { content };
+    }
+
     createConversation() {
         const stub = this;
         const messages = [];
@@ -1,15 +1,194 @@
+/**
+ * Deterministic grading for questions that need no LLM: multiple choice,
+ * true/false, and the structured types from services/questionTypes.
+ *
+ * Structured types earn partial credit. `score` is the fraction earned (0-1)
+ * and `correct` is only true for full marks.
+ */
+
+const { formatCorrectAnswer, isStructuredType, normalizeQuestionFields } = require('./questionTypes');
+
+// Share of the credit kept when a numeric value is right but its unit is not
+const WRONG_UNIT_CREDIT = 0.5;
+const NUMBER_WITH_UNIT = /^([-+]?(?:\d+(?:\.\d*)?|\.\d+)(?:e[-+]?\d+)?)\s*(.*)$/i;
+
 function normalizeAnswer(value) {
     return String(value).trim().toLowerCase();
 }
 
+function normalizeText(value) {
+    return String(value ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function normalizeUnit(value) {
+    return String(value || '').replace(/\s+/g, '').replace(/·/g, '*').toLowerCase();
+}
+
+function roundScore(score) {
+    return Math.round(score * 100) / 100;
+}
+
+/**
+ * Student answers for the list-shaped types arrive as arrays, but the quiz
+ * chat and stored attempts may pass them back as JSON text
+ * @param {*} answer
+ * @returns {Array}
+ */
+function toAnswerList(answer) {
+    if (Array.isArray(answer)) return answer;
+    if (typeof answer === 'string') {
+        try {
+            const parsed = JSON.parse(answer);
+            if (Array.isArray(parsed)) return parsed;
+        } catch {
+            // Not JSON; treat as a single answer
+        }
+        return [answer];
+    }
+    return [];
+}
+
+function isAutoGradedQuestion(question) {
+    return Boolean(question) && (
+        question.questionType === 'multiple-choice'
+        || question.questionType === 'true-false'
+        || isStructuredType(question.questionType)
+    );
+}
+
+/**
+ * Parse "7.4", "-30.5 kJ/mol", or "2.5e-3 M" into a value and unit
+ * @param {*} answer
+ * @returns {Object|null} { value, unit }
+ */
+function parseNumericAnswer(answer) {
+    if (typeof answer === 'number') {
+        return Number.isFinite(answer) ? { value: answer, unit: '' } : null;
+    }
+    const match = NUMBER_WITH_UNIT.exec(String(answer ?? '').trim().replace(/,/g, '').replace(/[−–]/g, '-'));
+    if (!match) return null;
+    const value = Number(match[1]);
+    return Number.isFinite(value) ? { value, unit: match[2].trim() } : null;
+}
+
+function withinTolerance(actual, { value, tolerance, toleranceType }) {
+    const allowed = toleranceType === 'percent' ? Math.abs(value) * (tolerance / 100) : tolerance;
+    // Small epsilon so 0.1 + 0.2 style float noise never costs a mark
+    return Math.abs(actual - value) <= allowed + 1e-9 * Math.max(1, Math.abs(value));
+}
+
+function gradeNumeric(question, studentAnswer) {
+    const key = question.numeric;
+    const correctAnswer = formatCorrectAnswer(question);
+    const parsed = parseNumericAnswer(studentAnswer);
+    if (!parsed) {
+        return { score: 0, feedback: `That is not a number. The correct answer is ${correctAnswer}.` };
+    }
+    if (!withinTolerance(parsed.value, key)) {
+        return { score: 0, feedback: `Incorrect. The correct answer is ${correctAnswer}.` };
+    }
+    if (key.unit && normalizeUnit(parsed.unit) !== normalizeUnit(key.unit)) {
+        return {
+            score: WRONG_UNIT_CREDIT,
+            feedback: parsed.unit
+                ? `The value is right, but the unit should be ${key.unit}, not ${parsed.unit}.`
+                : `The value is right, but include the unit: ${key.unit}.`
+        };
+    }
+    return { score: 1, feedback: 'Correct! Well done.' };
+}
+
+function gradeBlanks(question, studentAnswer) {
+    const answers = toAnswerList(studentAnswer);
+    const results = question.blanks.map((blank, index) =>
+        blank.answers.some(accepted => normalizeText(accepted) === normalizeText(answers[index]))
+    );
+    const right = results.filter(Boolean).length;
+    const missed = results
+        .map((ok, index) => (ok ? null : `blank ${index + 1}: ${question.blanks[index].answers[0]}`))
+        .filter(Boolean);
+    return {
+        score: right / results.length,
+        feedback: missed.length === 0
+            ? 'Correct! Every blank is right.'
+            : `${right} of ${results.length} blanks correct. Expected ${missed.join('; ')}.`
+    };
+}
+
+function gradeMatching(question, studentAnswer) {
+    const answers = toAnswerList(studentAnswer);
+    const missed = question.pairs.filter((pair, index) => normalizeText(pair.match) !== normalizeText(answers[index]));
+    const right = question.pairs.length - missed.length;
+    return {
+        score: right / question.pairs.length,
+        feedback: missed.length === 0
+            ? 'Correct! Every pair is matched.'
+            : `${right} of ${question.pairs.length} matched. ${missed.map(pair => `${pair.prompt} → ${pair.match}`).join('; ')}.`
+    };
+}
+
+function gradeOrdering(question, studentAnswer) {
+    const answers = toAnswerList(studentAnswer);
+    const right = question.items.filter((item, index) => normalizeText(item) === normalizeText(answers[index])).length;
+    return {
+        score: right / question.items.length,
+        feedback: right === question.items.length
+            ? 'Correct! Everything is in order.'
+            : `${right} of ${question.items.length} in the right position. The correct order is ${question.items.join(' → ')}.`
+    };
+}
+
+const STRUCTURED_GRADERS = {
+    numeric: gradeNumeric,
+    'fill-in-the-blank': gradeBlanks,
+    matching: gradeMatching,
+    ordering: gradeOrdering
+};
+
+/**
+ * Grade an answer without an LLM
+ * @param {Object} question - Stored question
+ * @param {*} studentAnswer - Text for MC/TF/numeric, an array for blanks, matching, and ordering
+ * @returns {Object} { correct, feedback, correctAnswer } plus `score` for structured types
+ */
 function evaluateObjectiveAnswer(question, studentAnswer) {
+    const grader = STRUCTURED_GRADERS[question.questionType];
+    if (grader) {
+        const checked = normalizeQuestionFields(question);
+        if (!checked.valid) {
+            return { correct: false, score: 0, feedback: 'This question is missing its answer key.', correctAnswer: null };
+        }
+        const { score, feedback } = grader(checked.question, studentAnswer);
+        return {
+            correct: score === 1,
+            score: roundScore(score),
+            feedback,
+            correctAnswer: checked.question.correctAnswer
+        };
+    }
+
     const correctAnswer = question.correctAnswer;
     const correct = normalizeAnswer(studentAnswer) === normalizeAnswer(correctAnswer);
-    const feedback = correct
-        ? 'Correct! Well done.'
-        : `Incorrect. The correct answer is ${correctAnswer}.`;
-
+    const feedback = correct ? 'Correct! Well done.' : `Incorrect. The correct answer is ${correctAnswer}.`;
     return { correct, feedback, correctAnswer };
 }
 
-module.exports = { evaluateObjectiveAnswer };
+/**
+ * Student answer as stored on an attempt and shown in summaries
+ * @param {*} studentAnswer
+ * @returns {string}
+ */
+function formatStudentAnswer(studentAnswer) {
+    if (Array.isArray(studentAnswer)) {
+        return studentAnswer.map(answer => String(answer ?? '').trim()).join('; ');
+    }
+    return String(studentAnswer ?? '');
+}
+
+module.exports = {
+    WRONG_UNIT_CREDIT,
+    evaluateObjectiveAnswer,
+    formatStudentAnswer,
+    isAutoGradedQuestion,
+    parseNumericAnswer
+};
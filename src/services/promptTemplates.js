@@ -0,0 +1,172 @@
+/**
+ * Prompt template variables.
+ *
+ * Course prompts may contain `{{variable}}` placeholders that are filled from
+ * the course document when a prompt is used, so one default prompt works for
+ * every course instead of naming a single one. Instructors see the variable
+ * list and a rendered preview on the settings page; saving rejects templates
+ * that reference unknown variables or contain a malformed placeholder.
+ */
+
+const { normalizeTopicList, normalizeYearLevel, parseYearLevelFromName } = require('../models/Course');
+const { YEAR_LABELS } = require('../models/Superchat');
+const { DEFAULT_WELLNESS_RESOURCES, formatResourcesForPrompt } = require('./wellnessResources');
+
+// Variables available in every course prompt, with the text used when the
+// course has no value for them.
+const PROMPT_VARIABLES = Object.freeze({
+    courseName: { description: 'Course name', fallback: 'this course' },
+    courseCode: { description: 'Subject code and number from the course name, e.g. BIOC 202', fallback: 'this course' },
+    unitDisplayName: { description: 'Title of the unit the student is working in', fallback: 'the current unit' },
+    yearLevel: { description: 'Year level of the course, e.g. 2nd Year or Graduate', fallback: 'university' },
+    approvedTopics: { description: 'Topics approved for the course, comma separated', fallback: 'those covered in the course materials' },
+    learningObjectives: { description: 'Learning objectives of the unit, numbered', fallback: 'No learning objectives were provided.' },
+    wellnessResources: {
+        description: 'Crisis and wellness resources for the course, used by the safety protocol',
+        fallback: formatResourcesForPrompt(DEFAULT_WELLNESS_RESOURCES)
+    }
+});
+
+// The flashcard prompt is also filled by flashcardService with the deck
+// request, so it accepts these on top of the course variables.
+const FLASHCARD_PROMPT_VARIABLES = Object.freeze({
+    cardCount: { description: 'Number of cards requested' },
+    lectureName: { description: 'Unit the deck is generated for' },
+    courseMaterial: { description: 'Source material selected for the deck' }
+});
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}]*?)\s*\}\}/g;
+const VARIABLE_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9]*$/;
+const COURSE_NUMBER_PATTERN = /\b([A-Za-z]{2,5})[\s-]?(\d{3,4}[A-Za-z]?)\b/;
+
+/**
+ * Variable names a prompt may use
+ * @param {string} promptKey - Key in DEFAULT_PROMPTS (base, tutor, flashcards, ...)
+ * @returns {Array<string>}
+ */
+function allowedVariables(promptKey) {
+    const names = Object.keys(PROMPT_VARIABLES);
+    return promptKey === 'flashcards'
+        ? names.concat(Object.keys(FLASHCARD_PROMPT_VARIABLES))
+        : names;
+}
+
+/**
+ * Variable list for the settings page
+ * @param {string} promptKey - Key in DEFAULT_PROMPTS
+ * @returns {Array<Object>} [{ name, description }]
+ */
+function describeVariables(promptKey) {
+    const all = { ...PROMPT_VARIABLES, ...FLASHCARD_PROMPT_VARIABLES };
+    return allowedVariables(promptKey).map(name => ({ name, description: all[name].description }));
+}
+
+/**
+ * Names of the placeholders a template uses (in order, without duplicates)
+ * @param {string} template
+ * @returns {Array<string>}
+ */
+function findTemplateVariables(template) {
+    const names = [];
+    for (const match of String(template || '').matchAll(PLACEHOLDER_PATTERN)) {
+        if (!names.includes(match[1])) names.push(match[1]);
+    }
+    return names;
+}
+
+/**
+ * Check a template before it is saved
+ * @param {string} template
+ * @param {string} promptKey - Key in DEFAULT_PROMPTS, selects the allowed variables
+ * @returns {Object} { valid, errors }
+ */
+function validatePromptTemplate(template, promptKey) {
+    const allowed = allowedVariables(promptKey);
+    const errors = [];
+
+    for (const name of findTemplateVariables(template)) {
+        if (!VARIABLE_NAME_PATTERN.test(name)) {
+            errors.push(`Malformed placeholder {{${name}}}`);
+        } else if (!allowed.includes(name)) {
+            errors.push(`Unknown variable {{${name}}}`);
+        }
+    }
+
+    // Anything left that still opens a placeholder was never closed.
+    const remainder = String(template || '').replace(PLACEHOLDER_PATTERN, '');
+    const unclosed = remainder.indexOf('{{');
+    if (unclosed !== -1) {
+        errors.push(`Unclosed placeholder near "${remainder.slice(unclosed, unclosed + 30).trim()}"`);
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Fill a template's placeholders. Placeholders without a value are left as
+ * they are so a later step (e.g. flashcard generation) can fill them.
+ * @param {string} template
+ * @param {Object} variables - { name: value }
+ * @returns {string}
+ */
+function renderPromptTemplate(template, variables = {}) {
+    return String(template || '').replace(PLACEHOLDER_PATTERN, (placeholder, name) =>
+        (Object.prototype.hasOwnProperty.call(variables, name) ? String(variables[name]) : placeholder));
+}
+
+// The stored `courseCode` is the student join code, which must never reach
+// a prompt; the subject code comes from the course name instead.
+function courseCodeFromName(courseName) {
+    const match = typeof courseName === 'string' ? courseName.match(COURSE_NUMBER_PATTERN) : null;
+    return match ? `${match[1].toUpperCase()} ${match[2].toUpperCase()}` : null;
+}
+
+/**
+ * Resolve the course variables for a prompt
+ * @param {Object|null} course - Course document (courseName, yearLevel, approvedStruggleTopics, lectures)
+ * @param {Object} [scope] - { unitNames, wellnessResources } the units in scope for the prompt
+ *   and the course's resources from services/wellnessResources
+ * @returns {Object} { courseName, courseCode, unitDisplayName, yearLevel, approvedTopics, learningObjectives, wellnessResources }
+ */
+function buildPromptVariables(course, { unitNames = [], wellnessResources = null } = {}) {
+    const source = course || {};
+    const courseName = typeof source.courseName === 'string' ? source.courseName.trim() : '';
+    const lectures = Array.isArray(source.lectures) ? source.lectures : [];
+    const units = unitNames
+        .filter(Boolean)
+        .map(name => lectures.find(lecture => lecture.name === name) || { name });
+
+    const yearLevel = normalizeYearLevel(source.yearLevel) || parseYearLevelFromName(courseName);
+    const topics = normalizeTopicList(source.approvedStruggleTopics);
+    const objectives = units.flatMap(unit =>
+        (Array.isArray(unit.learningObjectives) ? unit.learningObjectives : [])
+            .map(objective => String(objective).trim())
+            .filter(Boolean));
+
+    const values = {
+        courseName,
+        courseCode: courseCodeFromName(courseName) || courseName,
+        unitDisplayName: units.map(unit => unit.displayName || unit.name).join(', '),
+        yearLevel: YEAR_LABELS[yearLevel] || '',
+        approvedTopics: topics.join(', '),
+        learningObjectives: objectives.map((objective, index) => `${index + 1}. ${objective}`).join('\n'),
+        wellnessResources: formatResourcesForPrompt(wellnessResources)
+    };
+
+    const variables = {};
+    for (const [name, { fallback }] of Object.entries(PROMPT_VARIABLES)) {
+        variables[name] = values[name] || fallback;
+    }
+    return variables;
+}
+
+module.exports = {
+    FLASHCARD_PROMPT_VARIABLES,
+    PROMPT_VARIABLES,
+    allowedVariables,
+    buildPromptVariables,
+    describeVariables,
+    findTemplateVariables,
+    renderPromptTemplate,
+    validatePromptTemplate
+};
@@ -4,8 +4,9 @@
  * For dynamic prompts, example/dummy values are provided to show the structure.
  */
 
-// Base system prompt for general chat interactions
-const BASE_SYSTEM_PROMPT = `You are BiocBot, an AI study partner for BIOC 202 (Cellular Processes and Reactions) at UBC.
+// Base system prompt for general chat interactions. {{variables}} are filled
+// from the course when the prompt is used (see promptTemplates.js).
+const BASE_SYSTEM_PROMPT = `You are BiocBot, an AI study partner for {{courseName}} at UBC. The student is currently working on {{unitDisplayName}}.
 
 Core Principles:
 - Promote active learning and deeper understanding of biochemistry concepts
@@ -15,8 +16,8 @@ Core Principles:
 - Ground responses in course material when possible, but acknowledge when drawing on general biochemistry knowledge
 
 Content Guidelines:
-- Focus on BIOC 202 topics: enzyme kinetics, metabolic pathways, cellular energetics, signal transduction, etc.
-- Use biochemistry-appropriate terminology, but explain complex terms when first introduced
+- Focus on {{courseCode}} topics such as {{approvedTopics}}
+- Pitch explanations for {{yearLevel}} students: use biochemistry-appropriate terminology, but explain complex terms when first introduced
 - Connect concepts to real biological examples when helpful
 - If unsure about course-specific details, acknowledge it and suggest the student verify with course materials
 
@@ -47,7 +48,7 @@ RULES FOR INTERACTION:
 CONTEXT USAGE:
 The "Course Context" provided below is the TRUTH. Use it to judge if the user is right or wrong. Do NOT output the text from the context directly. Use it only to generate follow-up questions.
 
-6. **SAFETY PROTOCOL:** If the student expresses severe distress, depression, or thoughts of self-harm, respond with compassion and provide this link: http://students.ubc.ca/health/wellness-centre/
+6. **SAFETY PROTOCOL:** If the student expresses severe distress, depression, or thoughts of self-harm, respond with compassion and point them to these support resources: {{wellnessResources}}
 
 TONE:
 Casual, inquisitive, slightly unsure, but eager to learn.
@@ -74,7 +75,7 @@ What to Avoid:
 - Don't move on without checking they're following along
 - Don't make them feel bad for not knowing - everyone learns at their own pace
 - **Format your responses:** Use short paragraphs (max 3-4 sentences). Use bullet points for lists. Avoid massive walls of text.
-- **SAFETY PROTOCOL:** If the student expresses severe distress, depression, or thoughts of self-harm, respond with compassion and provide this link: http://students.ubc.ca/health/wellness-centre/
+- **SAFETY PROTOCOL:** If the student expresses severe distress, depression, or thoughts of self-harm, respond with compassion and point them to these support resources: {{wellnessResources}}
 
 Example Interactions:
 - Student: "I don't understand enzyme inhibition"
@@ -126,7 +127,7 @@ FORMATTING:
 - Keep responses short and conversational
 - No markdown formatting (no headers, bold, italics, or bullet points)
 - Write in clear, simple language
-- SAFETY PROTOCOL: If the student expresses severe distress or thoughts of self-harm, respond with compassion and provide this link: http://students.ubc.ca/health/wellness-centre/`;
+- SAFETY PROTOCOL: If the student expresses severe distress or thoughts of self-harm, respond with compassion and point them to these support resources: {{wellnessResources}}`;
 
 const CHAT_SUMMARY_PROMPT = `Summarize the prior BiocBot tutoring conversation so it can become the first student message in a new chat session.
 
@@ -273,6 +274,14 @@ CRITICAL FORMAT REQUIREMENTS:
 5. For short-answer questions:
    - MUST include "expectedAnswer" with model answer
    - SHOULD include "keyPoints" array when relevant
+6. For numeric questions:
+   - MUST include "numeric" object with a number "value", "tolerance", "toleranceType" ("absolute" or "percent"), and "unit"
+7. For fill-in-the-blank questions:
+   - MUST mark each blank in "question" as ___ and include a "blanks" array with accepted "answers" for each blank, in order
+8. For matching questions:
+   - MUST include a "pairs" array of { "prompt", "match" } objects, and MAY include a "distractors" array
+9. For ordering questions:
+   - MUST include an "items" array listing the items in the correct order
 
 Guidelines:
 - Use learning objectives as the primary foundation for question design
@@ -404,7 +413,169 @@ IMPORTANT: Return your response in JSON format following this exact schema:
     "explanation": "A complete answer should mention glucose breakdown, the three stages (glycolysis, citric acid cycle, electron transport chain), ATP production, and oxygen's role as the final electron acceptor. Answers missing more than one of these points would be incomplete."
 }
 
-Generate your question following this exact JSON format.`
+Generate your question following this exact JSON format.`,
+
+    // Numeric question prompt template
+    numeric: `<learning_objectives>
+{{learningObjectives}}
+</learning_objectives>
+
+<reading_materials>
+{{courseMaterial}}
+</reading_materials>
+
+Please generate a numeric-answer question for {{unitName}} that:
+- Uses the learning objectives as the pedagogical foundation
+- Tests understanding of topics covered in the reading materials
+- Is appropriate for university-level students
+- Requires a calculation or quantitative reasoning (for example Km, Vmax, ΔG, pH, or concentrations) rather than recall of a memorized number
+- Gives every value the student needs in the question text
+- Has a single numeric answer with a sensible tolerance for rounding, and the unit the answer should be given in (use an empty unit for unitless answers such as pH)
+- Includes an explanation that works through the calculation
+- Prioritizes information from the most relevant course documents when multiple sources are available
+- Keeps responses concise and to the point
+- Does not use markdown formatting in responses
+- Presents information in plain text format only
+
+IMPORTANT: Return your response in JSON format following this exact schema:
+
+{
+    "type": "numeric",
+    "question": "An enzyme has a Km of 2.0 mM. At what substrate concentration does it reach 80% of Vmax?",
+    "numeric": {
+        "value": 8.0,
+        "tolerance": 0.1,
+        "toleranceType": "absolute",
+        "unit": "mM"
+    },
+    "explanation": "From v = Vmax[S]/(Km + [S]), 0.8 = [S]/(2.0 + [S]), so 0.2[S] = 1.6 and [S] = 8.0 mM."
+}
+
+IMPORTANT RULES:
+1. "value" must be a number, not a string
+2. "toleranceType" is "absolute" (same units as the value) or "percent"
+3. Use exactly this JSON format`,
+
+    // Fill-in-the-blank question prompt template
+    fillInTheBlank: `<learning_objectives>
+{{learningObjectives}}
+</learning_objectives>
+
+<reading_materials>
+{{courseMaterial}}
+</reading_materials>
+
+Please generate a fill-in-the-blank question for {{unitName}} that:
+- Uses the learning objectives as the pedagogical foundation
+- Tests understanding of topics covered in the reading materials
+- Is appropriate for university-level students
+- Is a sentence or short passage with one to four blanks, each written as ___ (three underscores)
+- Has blanks whose answers are a single term or short phrase, so they can be checked exactly
+- Lists the accepted answers for each blank in order, including common synonyms and spellings
+- Includes an explanation of the completed passage
+- Prioritizes information from the most relevant course documents when multiple sources are available
+- Keeps responses concise and to the point
+- Does not use markdown formatting in responses
+- Presents information in plain text format only
+
+IMPORTANT: Return your response in JSON format following this exact schema:
+
+{
+    "type": "fill-in-the-blank",
+    "question": "Glycolysis converts one molecule of glucose into two molecules of ___, with a net gain of ___ ATP.",
+    "blanks": [
+        { "answers": ["pyruvate", "pyruvic acid"] },
+        { "answers": ["2", "two"] }
+    ],
+    "explanation": "Glycolysis splits glucose into two pyruvate molecules. It uses 2 ATP and produces 4, for a net gain of 2 ATP."
+}
+
+IMPORTANT RULES:
+1. The number of ___ blanks in the question must equal the number of entries in "blanks"
+2. Put the most common form of each answer first
+3. Use exactly this JSON format`,
+
+    // Matching question prompt template
+    matching: `<learning_objectives>
+{{learningObjectives}}
+</learning_objectives>
+
+<reading_materials>
+{{courseMaterial}}
+</reading_materials>
+
+Please generate a matching question for {{unitName}} that:
+- Uses the learning objectives as the pedagogical foundation
+- Tests understanding of topics covered in the reading materials
+- Is appropriate for university-level students
+- Asks the student to match 3 to 6 prompts (for example enzymes) to their matches (for example pathways or functions)
+- Has exactly one correct match per prompt
+- May include up to 2 plausible distractor matches that belong to no prompt
+- Includes an explanation of each correct pairing
+- Prioritizes information from the most relevant course documents when multiple sources are available
+- Keeps responses concise and to the point
+- Does not use markdown formatting in responses
+- Presents information in plain text format only
+
+IMPORTANT: Return your response in JSON format following this exact schema:
+
+{
+    "type": "matching",
+    "question": "Match each enzyme to the pathway it regulates.",
+    "pairs": [
+        { "prompt": "Hexokinase", "match": "Glycolysis" },
+        { "prompt": "Citrate synthase", "match": "Citric acid cycle" },
+        { "prompt": "Acetyl-CoA carboxylase", "match": "Fatty acid synthesis" }
+    ],
+    "distractors": ["Urea cycle"],
+    "explanation": "Hexokinase catalyzes the first step of glycolysis, citrate synthase the first step of the citric acid cycle, and acetyl-CoA carboxylase the committed step of fatty acid synthesis."
+}
+
+IMPORTANT RULES:
+1. Every prompt and every match must be distinct
+2. Distractors must not be correct for any prompt
+3. Use exactly this JSON format`,
+
+    // Ordering question prompt template
+    ordering: `<learning_objectives>
+{{learningObjectives}}
+</learning_objectives>
+
+<reading_materials>
+{{courseMaterial}}
+</reading_materials>
+
+Please generate an ordering question for {{unitName}} that:
+- Uses the learning objectives as the pedagogical foundation
+- Tests understanding of topics covered in the reading materials
+- Is appropriate for university-level students
+- Asks the student to put 3 to 8 steps, stages, or intermediates into their correct sequence
+- Has one unambiguous correct order
+- Lists the items in the correct order
+- Includes an explanation of why the sequence runs that way
+- Prioritizes information from the most relevant course documents when multiple sources are available
+- Keeps responses concise and to the point
+- Does not use markdown formatting in responses
+- Presents information in plain text format only
+
+IMPORTANT: Return your response in JSON format following this exact schema:
+
+{
+    "type": "ordering",
+    "question": "Put these glycolytic intermediates in the order they are formed.",
+    "items": [
+        "Glucose-6-phosphate",
+        "Fructose-6-phosphate",
+        "Fructose-1,6-bisphosphate",
+        "Glyceraldehyde-3-phosphate"
+    ],
+    "explanation": "Hexokinase phosphorylates glucose, phosphoglucose isomerase converts it to fructose-6-phosphate, PFK-1 adds a second phosphate, and aldolase splits the product into triose phosphates."
+}
+
+IMPORTANT RULES:
+1. "items" must be in the correct order; the student sees them shuffled
+2. Every item must be distinct
+3. Use exactly this JSON format`
 };
 
 // Template function for question generation system prompt
@@ -431,6 +602,14 @@ CRITICAL FORMAT REQUIREMENTS:
 5. For short-answer questions:
    - MUST include "expectedAnswer" with model answer
    - SHOULD include "keyPoints" array when relevant
+6. For numeric questions:
+   - MUST include "numeric" object with a number "value", "tolerance", "toleranceType" ("absolute" or "percent"), and "unit"
+7. For fill-in-the-blank questions:
+   - MUST mark each blank in "question" as ___ and include a "blanks" array with accepted "answers" for each blank, in order
+8. For matching questions:
+   - MUST include a "pairs" array of { "prompt", "match" } objects, and MAY include a "distractors" array
+9. For ordering questions:
+   - MUST include an "items" array listing the items in the correct order
 
 Guidelines:
 - Use learning objectives as the primary foundation for question design
@@ -562,7 +741,165 @@ IMPORTANT: Return your response in JSON format following this exact schema:
     "explanation": "A complete answer should mention glucose breakdown, the three stages (glycolysis, citric acid cycle, electron transport chain), ATP production, and oxygen’s role as the final electron acceptor. Answers missing more than one of these points would be incomplete."
 }
 
-Generate your question following this exact JSON format.`
+Generate your question following this exact JSON format.`,
+
+    numeric: (learningObjectives = "Example: Apply the Michaelis-Menten equation to enzyme kinetics data", courseMaterial = "Example: The Michaelis-Menten equation relates reaction velocity to substrate concentration: v = Vmax[S]/(Km + [S]).", unitName = "Unit 4: Enzyme Kinetics") => `<learning_objectives>
+${learningObjectives}
+</learning_objectives>
+
+<reading_materials>
+${courseMaterial}
+</reading_materials>
+
+Please generate a numeric-answer question for ${unitName} that:
+- Uses the learning objectives as the pedagogical foundation
+- Tests understanding of topics covered in the reading materials
+- Is appropriate for university-level students
+- Requires a calculation or quantitative reasoning (for example Km, Vmax, ΔG, pH, or concentrations) rather than recall of a memorized number
+- Gives every value the student needs in the question text
+- Has a single numeric answer with a sensible tolerance for rounding, and the unit the answer should be given in (use an empty unit for unitless answers such as pH)
+- Includes an explanation that works through the calculation
+- Prioritizes information from the most relevant course documents when multiple sources are available
+- Keeps responses concise and to the point
+- Does not use markdown formatting in responses
+- Presents information in plain text format only
+
+IMPORTANT: Return your response in JSON format following this exact schema:
+
+{
+    "type": "numeric",
+    "question": "An enzyme has a Km of 2.0 mM. At what substrate concentration does it reach 80% of Vmax?",
+    "numeric": {
+        "value": 8.0,
+        "tolerance": 0.1,
+        "toleranceType": "absolute",
+        "unit": "mM"
+    },
+    "explanation": "From v = Vmax[S]/(Km + [S]), 0.8 = [S]/(2.0 + [S]), so 0.2[S] = 1.6 and [S] = 8.0 mM."
+}
+
+IMPORTANT RULES:
+1. "value" must be a number, not a string
+2. "toleranceType" is "absolute" (same units as the value) or "percent"
+3. Use exactly this JSON format`,
+
+    fillInTheBlank: (learningObjectives = "Example: Describe the inputs and outputs of glycolysis", courseMaterial = "Example: Glycolysis converts glucose into two pyruvate molecules with a net gain of two ATP and two NADH.", unitName = "Unit 3: Glycolysis") => `<learning_objectives>
+${learningObjectives}
+</learning_objectives>
+
+<reading_materials>
+${courseMaterial}
+</reading_materials>
+
+Please generate a fill-in-the-blank question for ${unitName} that:
+- Uses the learning objectives as the pedagogical foundation
+- Tests understanding of topics covered in the reading materials
+- Is appropriate for university-level students
+- Is a sentence or short passage with one to four blanks, each written as ___ (three underscores)
+- Has blanks whose answers are a single term or short phrase, so they can be checked exactly
+- Lists the accepted answers for each blank in order, including common synonyms and spellings
+- Includes an explanation of the completed passage
+- Prioritizes information from the most relevant course documents when multiple sources are available
+- Keeps responses concise and to the point
+- Does not use markdown formatting in responses
+- Presents information in plain text format only
+
+IMPORTANT: Return your response in JSON format following this exact schema:
+
+{
+    "type": "fill-in-the-blank",
+    "question": "Glycolysis converts one molecule of glucose into two molecules of ___, with a net gain of ___ ATP.",
+    "blanks": [
+        { "answers": ["pyruvate", "pyruvic acid"] },
+        { "answers": ["2", "two"] }
+    ],
+    "explanation": "Glycolysis splits glucose into two pyruvate molecules. It uses 2 ATP and produces 4, for a net gain of 2 ATP."
+}
+
+IMPORTANT RULES:
+1. The number of ___ blanks in the question must equal the number of entries in "blanks"
+2. Put the most common form of each answer first
+3. Use exactly this JSON format`,
+
+    matching: (learningObjectives = "Example: Identify the regulatory enzymes of central metabolic pathways", courseMaterial = "Example: Hexokinase, citrate synthase, and acetyl-CoA carboxylase each catalyze a regulated step in a different pathway.", unitName = "Unit 5: Metabolic Regulation") => `<learning_objectives>
+${learningObjectives}
+</learning_objectives>
+
+<reading_materials>
+${courseMaterial}
+</reading_materials>
+
+Please generate a matching question for ${unitName} that:
+- Uses the learning objectives as the pedagogical foundation
+- Tests understanding of topics covered in the reading materials
+- Is appropriate for university-level students
+- Asks the student to match 3 to 6 prompts (for example enzymes) to their matches (for example pathways or functions)
+- Has exactly one correct match per prompt
+- May include up to 2 plausible distractor matches that belong to no prompt
+- Includes an explanation of each correct pairing
+- Prioritizes information from the most relevant course documents when multiple sources are available
+- Keeps responses concise and to the point
+- Does not use markdown formatting in responses
+- Presents information in plain text format only
+
+IMPORTANT: Return your response in JSON format following this exact schema:
+
+{
+    "type": "matching",
+    "question": "Match each enzyme to the pathway it regulates.",
+    "pairs": [
+        { "prompt": "Hexokinase", "match": "Glycolysis" },
+        { "prompt": "Citrate synthase", "match": "Citric acid cycle" },
+        { "prompt": "Acetyl-CoA carboxylase", "match": "Fatty acid synthesis" }
+    ],
+    "distractors": ["Urea cycle"],
+    "explanation": "Hexokinase catalyzes the first step of glycolysis, citrate synthase the first step of the citric acid cycle, and acetyl-CoA carboxylase the committed step of fatty acid synthesis."
+}
+
+IMPORTANT RULES:
+1. Every prompt and every match must be distinct
+2. Distractors must not be correct for any prompt
+3. Use exactly this JSON format`,
+
+    ordering: (learningObjectives = "Example: Trace the intermediates of glycolysis in sequence", courseMaterial = "Example: Glucose is phosphorylated to glucose-6-phosphate, isomerized to fructose-6-phosphate, and phosphorylated again to fructose-1,6-bisphosphate.", unitName = "Unit 3: Glycolysis") => `<learning_objectives>
+${learningObjectives}
+</learning_objectives>
+
+<reading_materials>
+${courseMaterial}
+</reading_materials>
+
+Please generate an ordering question for ${unitName} that:
+- Uses the learning objectives as the pedagogical foundation
+- Tests understanding of topics covered in the reading materials
+- Is appropriate for university-level students
+- Asks the student to put 3 to 8 steps, stages, or intermediates into their correct sequence
+- Has one unambiguous correct order
+- Lists the items in the correct order
+- Includes an explanation of why the sequence runs that way
+- Prioritizes information from the most relevant course documents when multiple sources are available
+- Keeps responses concise and to the point
+- Does not use markdown formatting in responses
+- Presents information in plain text format only
+
+IMPORTANT: Return your response in JSON format following this exact schema:
+
+{
+    "type": "ordering",
+    "question": "Put these glycolytic intermediates in the order they are formed.",
+    "items": [
+        "Glucose-6-phosphate",
+        "Fructose-6-phosphate",
+        "Fructose-1,6-bisphosphate",
+        "Glyceraldehyde-3-phosphate"
+    ],
+    "explanation": "Hexokinase phosphorylates glucose, phosphoglucose isomerase converts it to fructose-6-phosphate, PFK-1 adds a second phosphate, and aldolase splits the product into triose phosphates."
+}
+
+IMPORTANT RULES:
+1. "items" must be in the correct order; the student sees them shuffled
+2. Every item must be distinct
+3. Use exactly this JSON format`
 };
 
 // Prompt for extracting assessment questions from practice quiz documents
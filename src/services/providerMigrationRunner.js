@@ -20,6 +20,9 @@ const adminModelSettings = require('./adminModelSettings');
 const config = require('./config');
 const { buildEmbeddingProfile } = require('./embeddingConfig');
 const { clearIndexRecord } = require('./embeddingIndexService');
+const { indexFigureChunks } = require('./figureIndex');
+const { listChunkEdits } = require('./chunkEdits');
+const { resolveDocumentChunkingProfile } = require('./chunkingProfiles');
 const { activeProviderOf, credentialForProvider, decryptApiKey } = require('./llmKeyStore');
 const { getCourseSuperchatIds } = require('../models/Course');
 const { resolveSuperCourseChatSettings } = require('./superCourseService');
@@ -328,7 +331,7 @@ async function migrateDocument(db, item, { qdrant, profile }) {
 
     await qdrant.deleteDocumentChunks(item.itemId, doc.courseId);
 
-    const result = await qdrant.processAndStoreDocument({
+    const payload = {
         courseId: doc.courseId,
         lectureName: doc.lectureName,
         documentId: doc.documentId,
@@ -336,12 +339,22 @@ async function migrateDocument(db, item, { qdrant, profile }) {
         fileName: doc.filename || doc.originalName,
         mimeType: doc.mimeType,
         documentType: doc.documentType,
-        type: doc.type
-    });
+        type: doc.type,
+        documentVersion: doc.version || 1,
+        sections: doc.sections,
+        // Instructor chunk edits and the chunking profile live outside the
+        // vectors, so they carry over
+        chunkEdits: await listChunkEdits(db, doc.documentId),
+        chunkingProfile: await resolveDocumentChunkingProfile(db, doc)
+    };
+    const result = await qdrant.processAndStoreDocument(payload);
 
     if (!result || result.success !== true) {
         throw new Error((result && result.error) || 'Document indexing failed');
     }
+    // Figure descriptions are kept on the document, so only the embeddings
+    // are redone here.
+    await indexFigureChunks(qdrant, payload, doc.figures);
 
     await migrations.markItemIndexed(db, item, profile);
     return { skipped: false };
@@ -11,6 +11,15 @@ const { randomUUID } = require('crypto');
 const config = require('./config');
 const { LlmKeyError, mapProviderErrorToStatus } = require('./llmKeyStore');
 const { buildEmbeddingProfile } = require('./embeddingConfig');
+const { chunkHash, embedChunks } = require('./vectorReuse');
+const { applyChunkEdits } = require('./chunkEdits');
+const { chunkSections, chunkWithProfile, isDefaultProfile, usesSectionChunks } = require('./chunkingProfiles');
+const {
+    buildLexicalIndex,
+    reciprocalRankFusion,
+    getCachedLexicalIndex,
+    invalidateLexicalIndexes
+} = require('./lexicalSearch');
 const {
     configuredProvider,
     defaultEmbeddingModelForProvider
@@ -18,6 +27,16 @@ const {
 
 console.log('✅ Successfully imported embeddings library:', typeof EmbeddingsModule);
 
+// Hybrid retrieval fuses a deeper candidate pool from each ranker than the
+// caller asked for, so a chunk ranked just outside top-K by one side can still
+// win on the other.
+const HYBRID_CANDIDATE_MULTIPLIER = 4;
+const HYBRID_MIN_CANDIDATES = 20;
+
+// Chunks an instructor excluded from retrieval (services/chunkEdits) never
+// reach a search result.
+const EXCLUDED_CHUNK_CONDITION = { key: 'excluded', match: { value: true } };
+
 /**
  * Last-resort embedding profile for callers that predate profile plumbing —
  * Qdrant maintenance operations (skipEmbeddings) and local dev runtimes.
@@ -343,6 +362,82 @@ class QdrantService {
         }
     }
 
+    /**
+     * Cut a document's text into chunks with its chunking profile (the
+     * toolkit chunker for the default one) and replay the instructor's chunk
+     * edits over them. Nothing is embedded, so the chunking preview uses this
+     * too.
+     * @param {Object} documentData - { documentId, content, sections,
+     *   chunkingProfile, chunkMetadata, chunkEdits }
+     * @returns {Promise<Object>} { chunks, metadata, strategyUsed }
+     */
+    async chunkDocument(documentData) {
+        const profile = documentData.chunkingProfile;
+        if (usesSectionChunks(documentData.sections, profile)) {
+            // An imported web page or book: one chunk per section, so each
+            // can cite its chapter anchor
+            const sectioned = chunkSections(documentData.sections, profile);
+            const edited = applyChunkEdits(sectioned.chunks, sectioned.metadata, documentData.chunkEdits);
+            return { chunks: edited.chunks, metadata: edited.metadata, strategyUsed: sectioned.strategyUsed };
+        }
+        if (!isDefaultProfile(profile)) {
+            // Repeated characters are collapsed the same way as below; line
+            // and page breaks are kept for the structural strategies.
+            const content = documentData.content.replace(/(.)\1{10,}/g, '$1$1$1');
+            const profiled = chunkWithProfile(content, profile);
+            const edited = applyChunkEdits(profiled.chunks, profiled.metadata, documentData.chunkEdits);
+            return { chunks: edited.chunks, metadata: edited.metadata, strategyUsed: profiled.strategyUsed };
+        }
+
+        // Sanitize content - remove any non-printable characters that might cause issues
+        let sanitizedContent = documentData.content
+            .replace(/[\x00-\x1F\x7F-\x9F]/g, '') // Remove control characters
+            .replace(/\r\n/g, '\n') // Normalize line endings
+            .replace(/\r/g, '\n'); // Convert remaining carriage returns
+        
+        // Check if content looks reasonable
+        if (sanitizedContent.length < 10) {
+            throw new Error('Document content is too short to process meaningfully');
+        }
+        
+        // Check for suspicious patterns (like repeated characters)
+        const suspiciousPattern = /(.)\1{10,}/; // Same character repeated 10+ times
+        if (suspiciousPattern.test(sanitizedContent)) {
+            console.warn('⚠️ Document content contains suspicious patterns (repeated characters)');
+            // Clean up the suspicious patterns
+            sanitizedContent = sanitizedContent.replace(/(.)\1{10,}/g, '$1$1$1');
+        }
+        
+        console.log(`Sanitized content length: ${sanitizedContent.length} characters`);
+        console.log(`Content preview: "${sanitizedContent.substring(0, 100)}..."`);
+
+        // Chunk the document content using toolkit chunker
+        if (!this.chunker) {
+            throw new Error('Chunking service is not initialized');
+        }
+
+        const documents = [{
+            content: sanitizedContent,
+            metadata: { sourceId: documentData.documentId }
+        }];
+
+        const chunkResp = await this.chunker.chunkDocuments(documents, {});
+        const sortedChunks = [...chunkResp.chunks].sort(
+            (a, b) => a.metadata.chunkNumber - b.metadata.chunkNumber
+        );
+        // Replay the instructor's chunk edits over the fresh chunks
+        const edited = applyChunkEdits(
+            sortedChunks.map(c => c.text),
+            documentData.chunkMetadata,
+            documentData.chunkEdits
+        );
+        return {
+            chunks: edited.chunks,
+            metadata: edited.metadata,
+            strategyUsed: chunkResp.strategy || this.chunker.getDefaultStrategyName()
+        };
+    }
+
     /**
      * Process and store a document in Qdrant
      * @param {Object} documentData - Document information
@@ -354,6 +449,13 @@ class QdrantService {
      * @param {string} documentData.mimeType - File MIME type
      * @param {string} documentData.documentType - Document type for source attribution
      * @param {string} documentData.type - Specific document type
+     * @param {number} [documentData.documentVersion] - Document version the chunks belong to
+     * @param {Object} [documentData.vectorReuse] - Stored vectors to reuse for
+     *   unchanged chunks (services/vectorReuse)
+     * @param {Object} [documentData.chunkingProfile] - How to chunk the text
+     *   (services/chunkingProfiles); the toolkit chunker when omitted
+     * @param {Array} [documentData.sections] - Sections of an imported web
+     *   document (services/webDocumentImport)
      * @returns {Promise<Object>} Result of document processing
      */
     async processAndStoreDocument(documentData) {
@@ -370,44 +472,9 @@ class QdrantService {
                 throw new Error('Document content is empty or contains only whitespace');
             }
 
-            // Sanitize content - remove any non-printable characters that might cause issues
-            let sanitizedContent = documentData.content
-                .replace(/[\x00-\x1F\x7F-\x9F]/g, '') // Remove control characters
-                .replace(/\r\n/g, '\n') // Normalize line endings
-                .replace(/\r/g, '\n'); // Convert remaining carriage returns
-            
-            // Check if content looks reasonable
-            if (sanitizedContent.length < 10) {
-                throw new Error('Document content is too short to process meaningfully');
-            }
-            
-            // Check for suspicious patterns (like repeated characters)
-            const suspiciousPattern = /(.)\1{10,}/; // Same character repeated 10+ times
-            if (suspiciousPattern.test(sanitizedContent)) {
-                console.warn('⚠️ Document content contains suspicious patterns (repeated characters)');
-                // Clean up the suspicious patterns
-                sanitizedContent = sanitizedContent.replace(/(.)\1{10,}/g, '$1$1$1');
-            }
-            
-            console.log(`Sanitized content length: ${sanitizedContent.length} characters`);
-            console.log(`Content preview: "${sanitizedContent.substring(0, 100)}..."`);
-
-            // Chunk the document content using toolkit chunker
-            if (!this.chunker) {
-                throw new Error('Chunking service is not initialized');
-            }
-
-            const documents = [{
-                content: sanitizedContent,
-                metadata: { sourceId: documentData.documentId }
-            }];
-
-            const chunkResp = await this.chunker.chunkDocuments(documents, {});
-            const sortedChunks = [...chunkResp.chunks].sort(
-                (a, b) => a.metadata.chunkNumber - b.metadata.chunkNumber
-            );
-            const chunks = sortedChunks.map(c => c.text);
-            const strategyUsed = chunkResp.strategy || this.chunker.getDefaultStrategyName();
+            const edited = await this.chunkDocument(documentData);
+            const chunks = edited.chunks;
+            const strategyUsed = edited.strategyUsed;
 
             console.log(`Created ${chunks.length} chunks from document (strategy=${strategyUsed})`);
             
@@ -415,8 +482,9 @@ class QdrantService {
                 throw new Error('No chunks were created from the document content');
             }
 
-            // Generate embeddings for each chunk
-            const embeddings = await this.generateEmbeddings(chunks);
+            // Generate embeddings for each chunk (or only the changed ones, for a
+            // new version of an indexed document)
+            const embeddings = await embedChunks(this, chunks, documentData.vectorReuse);
             console.log(`Generated embeddings for ${embeddings.length} chunks`);
             
             if (embeddings.length === 0) {
@@ -425,7 +493,12 @@ class QdrantService {
 
             // Store chunks and embeddings in Qdrant
             await this.assertNotCancelled();
-            const storedChunks = await this.storeChunks(documentData, chunks, embeddings, strategyUsed);
+            const storedChunks = await this.storeChunks(
+                { ...documentData, chunkMetadata: edited.metadata },
+                chunks,
+                embeddings,
+                strategyUsed
+            );
             console.log(`Stored ${storedChunks.length} chunks in Qdrant`);
 
             return {
@@ -549,6 +622,8 @@ class QdrantService {
                         totalChunks: chunks.length,
                         chunkText: chunks[i],
                         chunkLength: chunks[i].length,
+                        chunkHash: chunkHash(chunks[i]),
+                        documentVersion: documentData.documentVersion || 1,
                         strategyUsed: strategyUsed,
                         timestamp: new Date().toISOString()
                     }
@@ -567,6 +642,7 @@ class QdrantService {
             await this.client.upsert(this.collectionName, {
                 points: points
             });
+            invalidateLexicalIndexes(this.collectionName);
 
             return storedChunks;
 
@@ -633,9 +709,32 @@ class QdrantService {
      * Transform a raw Qdrant search hit into the flattened result shape the rest
      * of the app expects.
      * @param {Object} result - Raw Qdrant point with score + payload
-     * @returns {Object} Flattened result
+     * @returns {Object} Flattened result; figure chunks also carry `chunkType`
+     *   and a `figure` locator (figure/page/slide number, caption)
      */
     transformSearchResult(result) {
+        const figure = result.payload.chunkType === 'figure'
+            ? {
+                chunkType: 'figure',
+                figure: {
+                    figureNumber: result.payload.figureNumber,
+                    pageNumber: result.payload.pageNumber ?? null,
+                    slideNumber: result.payload.slideNumber ?? null,
+                    caption: result.payload.caption || null,
+                    hasImage: result.payload.hasImage === true
+                }
+            }
+            : {};
+        // Imported web pages and books cite the section the chunk came from
+        const section = result.payload.sourceUnit === 'section'
+            ? {
+                section: {
+                    heading: result.payload.sectionHeading || null,
+                    anchor: result.payload.sectionAnchor || null,
+                    url: result.payload.sourceUrl || null
+                }
+            }
+            : {};
         return {
             id: result.id,
             score: result.score,
@@ -647,26 +746,122 @@ class QdrantService {
             type: result.payload.type,
             chunkText: result.payload.chunkText,
             chunkIndex: result.payload.chunkIndex,
-            timestamp: result.payload.timestamp
+            // Chunks stored before versioning belong to a document's first version
+            documentVersion: result.payload.documentVersion || 1,
+            timestamp: result.payload.timestamp,
+            ...figure,
+            ...section
         };
     }
 
     /**
-     * Search for relevant document chunks using semantic similarity
+     * Translate app-level search filters into a Qdrant filter
+     * @param {Object} filters - courseId (string or string[]), lectureName,
+     *   lectureNames, excludeAdditionalMaterials, additionalMaterialsOnly
+     * @returns {Object} Qdrant filter; excluded chunks are always left out
+     */
+    buildSearchFilter(filters = {}) {
+        let filter;
+
+        if (Array.isArray(filters.courseId) && filters.courseId.length > 0) {
+            filter = {
+                must: [
+                    {
+                        key: 'courseId',
+                        match: { any: filters.courseId }
+                    }
+                ]
+            };
+        } else if (filters.courseId) {
+            filter = {
+                must: [
+                    {
+                        key: 'courseId',
+                        match: { value: filters.courseId }
+                    }
+                ]
+            };
+        }
+
+        if (filters.lectureName) {
+            if (!filter) {
+                filter = { must: [] };
+            }
+            filter.must.push({
+                key: 'lectureName',
+                match: { value: filters.lectureName }
+            });
+        }
+
+        // Support array of lecture names (any-of match)
+        if (filters.lectureNames && Array.isArray(filters.lectureNames) && filters.lectureNames.length > 0) {
+            if (!filter) {
+                filter = { must: [] };
+            }
+            filter.must.push({
+                key: 'lectureName',
+                match: { any: filters.lectureNames }
+            });
+        }
+
+        // Additional-material chunks carry 'additional' in documentType and/or
+        // type (legacy points may only have one of the two set), so both keys
+        // are checked when scoping the search around them.
+        if (filters.excludeAdditionalMaterials) {
+            if (!filter) {
+                filter = { must: [] };
+            }
+            filter.must_not = [
+                { key: 'documentType', match: { value: 'additional' } },
+                { key: 'type', match: { value: 'additional' } }
+            ];
+        } else if (filters.additionalMaterialsOnly) {
+            if (!filter) {
+                filter = { must: [] };
+            }
+            filter.must.push({
+                should: [
+                    { key: 'documentType', match: { value: 'additional' } },
+                    { key: 'type', match: { value: 'additional' } }
+                ]
+            });
+        }
+
+        if (!filter) {
+            filter = { must: [] };
+        }
+        filter.must_not = [...(filter.must_not || []), EXCLUDED_CHUNK_CONDITION];
+
+        return filter;
+    }
+
+    /**
+     * Search for relevant document chunks using semantic similarity, or hybrid
+     * lexical + vector retrieval when the course has it switched on
      * @param {string} query - Search query text
      * @param {Object} filters - Optional filters for search
      * @param {number} limit - Maximum number of results to return
+     * @param {Object} [options]
+     * @param {string} [options.retrievalMode='vector'] - 'vector' or 'hybrid'
      * @returns {Promise<Array<Object>>} Array of search results
      */
-    async searchDocuments(query, filters = {}, limit = 10) {
+    async searchDocuments(query, filters = {}, limit = 10, options = {}) {
         try {
-            console.log(`Searching for: "${query}"`);
+            const hybrid = options.retrievalMode === 'hybrid';
+            console.log(`Searching for: "${query}"${hybrid ? ' (hybrid)' : ''}`);
 
             // Ensure collection exists before searching
             await this.ensureCollectionExists();
 
             // Generate embedding for the search query and normalize to number[]
             const queryVector = await this.generateQueryVector(query);
+            const filter = this.buildSearchFilter(filters);
+
+            if (hybrid) {
+                const fusedResults = await this.hybridSearch(query, queryVector, filter, limit);
+                console.log(`Found ${fusedResults.length} relevant chunks`);
+                return fusedResults;
+            }
 
             // Build search parameters
             const searchParams = {
@@ -675,70 +870,8 @@ class QdrantService {
                 with_payload: true,
                 with_vector: false
             };
-
-            // Add filters if provided
-            if (Array.isArray(filters.courseId) && filters.courseId.length > 0) {
-                searchParams.filter = {
-                    must: [
-                        {
-                            key: 'courseId',
-                            match: { any: filters.courseId }
-                        }
-                    ]
-                };
-            } else if (filters.courseId) {
-                searchParams.filter = {
-                    must: [
-                        {
-                            key: 'courseId',
-                            match: { value: filters.courseId }
-                        }
-                    ]
-                };
-            }
-
-            if (filters.lectureName) {
-                if (!searchParams.filter) {
-                    searchParams.filter = { must: [] };
-                }
-                searchParams.filter.must.push({
-                    key: 'lectureName',
-                    match: { value: filters.lectureName }
-                });
-            }
-
-            // Support array of lecture names (any-of match)
-            if (filters.lectureNames && Array.isArray(filters.lectureNames) && filters.lectureNames.length > 0) {
-                if (!searchParams.filter) {
-                    searchParams.filter = { must: [] };
-                }
-                searchParams.filter.must.push({
-                    key: 'lectureName',
-                    match: { any: filters.lectureNames }
-                });
-            }
-
-            // Additional-material chunks carry 'additional' in documentType and/or
-            // type (legacy points may only have one of the two set), so both keys
-            // are checked when scoping the search around them.
-            if (filters.excludeAdditionalMaterials) {
-                if (!searchParams.filter) {
-                    searchParams.filter = { must: [] };
-                }
-                searchParams.filter.must_not = [
-                    { key: 'documentType', match: { value: 'additional' } },
-                    { key: 'type', match: { value: 'additional' } }
-                ];
-            } else if (filters.additionalMaterialsOnly) {
-                if (!searchParams.filter) {
-                    searchParams.filter = { must: [] };
-                }
-                searchParams.filter.must.push({
-                    should: [
-                        { key: 'documentType', match: { value: 'additional' } },
-                        { key: 'type', match: { value: 'additional' } }
-                    ]
-                });
+            if (filter) {
+                searchParams.filter = filter;
             }
 
             // Perform search
@@ -760,6 +893,106 @@ class QdrantService {
         }
     }
 
+    /**
+     * Load (or reuse) the BM25 index over every chunk matching a filter
+     * @param {Object} [filter] - Qdrant filter from buildSearchFilter
+     * @returns {Promise<Object>} Index from buildLexicalIndex
+     */
+    async getLexicalIndex(filter) {
+        return getCachedLexicalIndex(this.collectionName, JSON.stringify(filter || {}), async () => {
+            const documents = [];
+            let nextOffset = null;
+            let loopCount = 0;
+            const MAX_LOOPS = 100;
+
+            do {
+                loopCount += 1;
+                const scrollResult = await this.client.scroll(this.collectionName, {
+                    filter,
+                    limit: 1000,
+                    with_payload: ['chunkText'],
+                    with_vector: false,
+                    offset: nextOffset
+                });
+                const points = scrollResult.points || [];
+                nextOffset = scrollResult.next_page_offset;
+
+                for (const point of points) {
+                    const text = point.payload && point.payload.chunkText;
+                    if (typeof text === 'string' && text.trim()) {
+                        documents.push({ id: point.id, text });
+                    }
+                }
+
+                if (points.length === 0 || loopCount >= MAX_LOOPS) break;
+            } while (nextOffset);
+
+            return buildLexicalIndex(documents);
+        });
+    }
+
+    /**
+     * Rank chunks by dense similarity and BM25 separately, then fuse the two
+     * rankings with reciprocal rank fusion.
+     *
+     * Results are ordered by the fused rank, but `score` stays the cosine
+     * similarity so the relevance thresholds downstream keep their meaning;
+     * chunks found only by keyword get their similarity fetched by id.
+     *
+     * @param {string} query - Search query text
+     * @param {number[]} queryVector - Embedded query
+     * @param {Object} [filter] - Qdrant filter from buildSearchFilter
+     * @param {number} limit - Maximum number of results to return
+     * @returns {Promise<Array<Object>>} Results with fusedScore, vectorRank, lexicalRank
+     */
+    async hybridSearch(query, queryVector, filter, limit) {
+        const candidateLimit = Math.max(limit * HYBRID_CANDIDATE_MULTIPLIER, HYBRID_MIN_CANDIDATES);
+        const denseParams = {
+            query: queryVector,
+            limit: candidateLimit,
+            with_payload: true,
+            with_vector: false
+        };
+        if (filter) {
+            denseParams.filter = filter;
+        }
+
+        const [{ points: densePoints }, lexicalIndex] = await Promise.all([
+            this.client.query(this.collectionName, denseParams),
+            this.getLexicalIndex(filter)
+        ]);
+        const lexicalHits = lexicalIndex.search(query, candidateLimit);
+
+        const fused = reciprocalRankFusion([
+            densePoints.map(point => point.id),
+            lexicalHits.map(hit => hit.id)
+        ]).slice(0, limit);
+
+        const pointsById = new Map(densePoints.map(point => [point.id, point]));
+        const lexicalOnlyIds = fused.map(entry => entry.id).filter(id => !pointsById.has(id));
+        if (lexicalOnlyIds.length > 0) {
+            const { points } = await this.client.query(this.collectionName, {
+                query: queryVector,
+                limit: lexicalOnlyIds.length,
+                with_payload: true,
+                with_vector: false,
+                filter: { must: [{ has_id: lexicalOnlyIds }] }
+            });
+            for (const point of points) {
+                pointsById.set(point.id, point);
+            }
+        }
+
+        return fused
+            .filter(entry => pointsById.has(entry.id))
+            .map(entry => ({
+                ...this.transformSearchResult(pointsById.get(entry.id)),
+                fusedScore: entry.score,
+                vectorRank: entry.ranks[0],
+                lexicalRank: entry.ranks[1]
+            }));
+    }
+
     /**
      * Run the same semantic search independently against each course and return
      * the per-course top hits, keyed by courseId. The query is embedded once and
@@ -772,9 +1005,13 @@ class QdrantService {
      * @param {string} query - Search query text
      * @param {string[]} courseIds - Course IDs to search across
      * @param {number} perCourseLimit - Max hits to fetch per course
-     * @returns {Promise<Map<string, Array<Object>>>} courseId -> results (score desc)
+     * @param {Object} [options]
+     * @param {string} [options.retrievalMode='vector'] - Mode for every course
+     * @param {Object<string, string>} [options.retrievalModes] - Per-course
+     *   override, courseId -> 'vector' | 'hybrid'
+     * @returns {Promise<Map<string, Array<Object>>>} courseId -> results (best first)
      */
-    async searchDocumentsByCourse(query, courseIds = [], perCourseLimit = 10) {
+    async searchDocumentsByCourse(query, courseIds = [], perCourseLimit = 10, options = {}) {
         const resultsByCourse = new Map();
         if (!Array.isArray(courseIds) || courseIds.length === 0) {
             return resultsByCourse;
@@ -785,14 +1022,22 @@ class QdrantService {
 
         // Fan out across courses in parallel, reusing the single query vector.
         const perCourse = await Promise.all(courseIds.map(async (courseId) => {
+            const filter = {
+                must: [{ key: 'courseId', match: { value: courseId } }],
+                must_not: [EXCLUDED_CHUNK_CONDITION]
+            };
+            const retrievalMode = (options.retrievalModes && options.retrievalModes[courseId])
+                || options.retrievalMode;
+            if (retrievalMode === 'hybrid') {
+                return [courseId, await this.hybridSearch(query, queryVector, filter, perCourseLimit)];
+            }
+
             const { points: searchResults } = await this.client.query(this.collectionName, {
                 query: queryVector,
                 limit: perCourseLimit,
                 with_payload: true,
                 with_vector: false,
-                filter: {
-                    must: [{ key: 'courseId', match: { value: courseId } }]
-                }
+                filter
             });
             return [courseId, searchResults.map(result => this.transformSearchResult(result))];
         }));
@@ -804,7 +1049,8 @@ class QdrantService {
     }
 
     /**
-     * Retrieve all chunks for a specific document, ordered by chunkIndex
+     * Retrieve all chunks for a specific document, ordered by chunkIndex.
+     * Chunks excluded from retrieval are left out.
      * @param {string} documentId - Document ID to retrieve chunks for
      * @returns {Promise<Array>} Array of chunk texts in order
      */
@@ -836,6 +1082,7 @@ class QdrantService {
                 nextOffset = scrollResult.next_page_offset;
 
                 for (const point of points) {
+                    if (point.payload.excluded === true) continue;
                     allChunks.push({
                         chunkIndex: point.payload.chunkIndex,
                         chunkText: point.payload.chunkText
@@ -863,9 +1110,12 @@ class QdrantService {
      * @param {string} courseId
      * @param {string} lectureName
      * @param {string[]} documentIds
+     * @param {Object} [options]
+     * @param {boolean} [options.includeExcluded=false] - Also return chunks
+     *   excluded from retrieval (the chunk inspector lists them)
      * @returns {Promise<Array<Object>>}
      */
-    async getUnitChunkRecords(courseId, lectureName, documentIds = []) {
+    async getUnitChunkRecords(courseId, lectureName, documentIds = [], { includeExcluded = false } = {}) {
         try {
             const must = [
                 { key: 'courseId', match: { value: courseId } },
@@ -894,6 +1144,7 @@ class QdrantService {
                 for (const point of points) {
                     const payload = point.payload || {};
                     if (typeof payload.chunkText !== 'string' || !payload.chunkText.trim()) continue;
+                    if (payload.excluded === true && !includeExcluded) continue;
                     records.push({
                         id: point.id,
                         courseId: payload.courseId,
@@ -906,7 +1157,15 @@ class QdrantService {
                         pageNumber: payload.pageNumber,
                         slideNumber: payload.slideNumber,
                         sourceUnit: payload.sourceUnit,
-                        strategyUsed: payload.strategyUsed
+                        sectionHeading: payload.sectionHeading,
+                        sectionAnchor: payload.sectionAnchor,
+                        sourceUrl: payload.sourceUrl,
+                        questionNumber: payload.questionNumber,
+                        chunkType: payload.chunkType,
+                        figureNumber: payload.figureNumber,
+                        strategyUsed: payload.strategyUsed,
+                        excluded: payload.excluded === true,
+                        edited: payload.edited === true
                     });
                 }
 
@@ -1006,6 +1265,8 @@ class QdrantService {
                     mimeType: targetMimeType,
                     documentType: targetDocumentType || point.payload?.documentType || 'unknown',
                     type: targetType || point.payload?.type || 'unknown',
+                    // The copy is a new document, at its first version
+                    documentVersion: 1,
                     timestamp: new Date().toISOString()
                 }
             }));
@@ -1013,6 +1274,7 @@ class QdrantService {
             await this.client.upsert(this.collectionName, {
                 points: clonedPoints
             });
+            invalidateLexicalIndexes(this.collectionName);
 
             return {
                 success: true,
@@ -1028,6 +1290,75 @@ class QdrantService {
         }
     }
 
+    /**
+     * Every stored point of a document, with its vector, so a new version can
+     * reuse the vectors of unchanged chunks
+     * @param {string} documentId
+     * @param {string} [courseId] - Optional course ID to scope the lookup
+     * @returns {Promise<Array<Object>>} Points as { id, vector, payload }
+     */
+    async getDocumentPoints(documentId, courseId = null) {
+        const must = [{ key: 'documentId', match: { value: documentId } }];
+        if (courseId) {
+            must.push({ key: 'courseId', match: { value: courseId } });
+        }
+
+        const points = [];
+        let nextOffset = null;
+        let loopCount = 0;
+        const MAX_LOOPS = 100;
+
+        do {
+            loopCount += 1;
+            const scrollResult = await this.client.scroll(this.collectionName, {
+                filter: { must },
+                limit: 1000,
+                with_payload: true,
+                with_vector: true,
+                offset: nextOffset
+            });
+            const page = scrollResult.points || [];
+            nextOffset = scrollResult.next_page_offset;
+            points.push(...page.map(point => ({ id: point.id, vector: point.vector, payload: point.payload || {} })));
+
+            if (page.length === 0 || loopCount >= MAX_LOOPS) break;
+        } while (nextOffset);
+
+        return points;
+    }
+
+    /**
+     * Set payload fields on specific points (e.g. excluding a chunk from
+     * retrieval) without re-embedding them
+     * @param {Array<string>} pointIds
+     * @param {Object} payload - Fields to set
+     */
+    async setChunkPayload(pointIds, payload) {
+        const ids = Array.isArray(pointIds) ? pointIds.filter(Boolean) : [];
+        if (ids.length === 0) return;
+        await this.client.setPayload(this.collectionName, { payload, points: ids });
+        invalidateLexicalIndexes(this.collectionName);
+    }
+
+    /**
+     * Delete specific points by id
+     * @param {Array<string>} pointIds
+     * @returns {Promise<number>} Number of points deleted
+     */
+    async deletePoints(pointIds = []) {
+        const ids = Array.isArray(pointIds) ? pointIds.filter(Boolean) : [];
+        const BATCH_SIZE = 1000;
+        for (let start = 0; start < ids.length; start += BATCH_SIZE) {
+            await this.client.delete(this.collectionName, {
+                points: ids.slice(start, start + BATCH_SIZE)
+            });
+        }
+        if (ids.length > 0) {
+            invalidateLexicalIndexes(this.collectionName);
+        }
+        return ids.length;
+    }
+
     /**
      * Delete all chunks for a specific document
      * @param {string} documentId - Document ID to delete
@@ -1097,6 +1428,7 @@ class QdrantService {
                 await this.client.delete(this.collectionName, {
                     points: chunkIds
                 });
+                invalidateLexicalIndexes(this.collectionName);
                 
                 totalDeleted += chunkIds.length;
                 console.log(`Batch ${loopCount}: Deleted ${chunkIds.length} chunks. Total so far: ${totalDeleted}`);
@@ -1182,6 +1514,7 @@ class QdrantService {
 
             // Delete the collection
             await this.client.deleteCollection(this.collectionName);
+            invalidateLexicalIndexes(this.collectionName);
             console.log(`✅ Successfully deleted collection: ${this.collectionName}`);
 
             return {
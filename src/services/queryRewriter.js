@@ -0,0 +1,149 @@
+/**
+ * Query Rewriter Service
+ * Turns the latest student message into standalone search queries before
+ * retrieval. Follow-ups like "why does it do that?" embed to nothing useful on
+ * their own, so the recent turns are used to resolve what "it" and "that"
+ * mean; compound questions are split into sub-queries that are searched
+ * separately and fused.
+ *
+ * A first-turn, single-question message is searched as typed, with no LLM call.
+ */
+
+const { LANES } = require('./llmLanes');
+const { FEATURES } = require('./llmFeatures');
+
+const MAX_CONTEXT_TURNS = 6;
+const MAX_TURN_CHARACTERS = 500;
+const MAX_QUERY_CHARACTERS = 500;
+const MAX_SUB_QUERIES = 3;
+
+const SPEAKER_LABELS = {
+    user: 'Student',
+    assistant: 'BiocBot'
+};
+
+/**
+ * Whether a message asks more than one question ("What is PFK-1? Where is it found?")
+ * @param {string} message
+ * @returns {boolean}
+ */
+function isCompoundQuestion(message) {
+    return (String(message || '').match(/\?/g) || []).length > 1;
+}
+
+function buildRewritePrompt(message, turns) {
+    const transcript = turns.slice(-MAX_CONTEXT_TURNS).map(turn => {
+        const text = String(turn.content || '').replace(/\s+/g, ' ').trim().slice(0, MAX_TURN_CHARACTERS);
+        return `${SPEAKER_LABELS[turn.role] || 'Student'}: ${text}`;
+    }).join('\n');
+
+    return `Rewrite the student's latest message as a search query over biochemistry course materials.
+
+${transcript ? `Recent conversation:\n${transcript}\n\n` : ''}Latest message: "${message}"
+
+Rules:
+- "standalone": one self-contained query; replace pronouns and references ("it", "that step") with what they refer to in the conversation. Keep technical terms, enzyme names, and EC numbers exactly as written.
+- "subQueries": if the message asks several distinct things, one query per thing (at most ${MAX_SUB_QUERIES}); otherwise an empty list.
+- Do not answer the question.
+
+Return JSON only, in this shape:
+{"standalone": "...", "subQueries": []}`;
+}
+
+function normalizeQuery(value) {
+    return typeof value === 'string'
+        ? value.replace(/\s+/g, ' ').trim().slice(0, MAX_QUERY_CHARACTERS)
+        : '';
+}
+
+function parseRewrite(content) {
+    const raw = String(content || '').replace(/```json/g, '').replace(/```/g, '').trim();
+    const jsonStart = raw.indexOf('{');
+    const jsonEnd = raw.lastIndexOf('}') + 1;
+    if (jsonStart === -1 || jsonEnd <= jsonStart) {
+        throw new Error('Rewrite response was not JSON');
+    }
+
+    const parsed = JSON.parse(raw.slice(jsonStart, jsonEnd));
+    const standalone = normalizeQuery(parsed.standalone);
+    if (!standalone) {
+        throw new Error('Rewrite response had no standalone query');
+    }
+
+    const subQueries = [...new Set((Array.isArray(parsed.subQueries) ? parsed.subQueries : [])
+        .map(normalizeQuery)
+        .filter(Boolean))]
+        .slice(0, MAX_SUB_QUERIES);
+
+    return { standalone, subQueries };
+}
+
+/**
+ * The message searched as typed, in rewriteQuery's result shape
+ * @param {string} message
+ * @returns {Object}
+ */
+function literalQuery(message) {
+    const original = String(message || '');
+    return {
+        original,
+        standalone: original,
+        queries: [original],
+        rewritten: false,
+        fallbackReason: null
+    };
+}
+
+/**
+ * Build the search queries for a chat turn
+ * @param {string} message - The student's latest message
+ * @param {Object} [options]
+ * @param {Array} [options.turns] - Prompt history turns, oldest first
+ * @param {Object} [options.llmService] - Used on the back-end lane
+ * @returns {Promise<{original: string, standalone: string, queries: string[], rewritten: boolean, fallbackReason: string|null}>}
+ *   `queries` holds one query, or one per sub-question for compound messages.
+ *   On failure the message is searched as typed and `fallbackReason` says why.
+ */
+async function rewriteQuery(message, { turns = [], llmService } = {}) {
+    const literal = literalQuery(message);
+    const { original } = literal;
+
+    const contextTurns = Array.isArray(turns) ? turns : [];
+    if (contextTurns.length === 0 && !isCompoundQuestion(original)) {
+        return literal;
+    }
+
+    try {
+        if (!llmService || typeof llmService.sendMessage !== 'function') {
+            throw new Error('Query rewriting needs an LLM service');
+        }
+        const response = await llmService.sendMessage(buildRewritePrompt(original, contextTurns), {
+            lane: LANES.BACKEND,
+            feature: FEATURES.QUERY_REWRITE,
+            temperature: 0,
+            maxTokens: 250,
+            response_format: { type: 'json_object' },
+            systemPrompt: 'You rewrite student questions into search queries. Output JSON only.'
+        });
+        const { standalone, subQueries } = parseRewrite(response && response.content);
+        return {
+            original,
+            standalone,
+            queries: subQueries.length > 1 ? subQueries : [standalone],
+            rewritten: true,
+            fallbackReason: null
+        };
+    } catch (error) {
+        console.warn('⚠️ [QUERY_REWRITE] Searching the message as typed:', error.message);
+        return { ...literal, fallbackReason: error.message };
+    }
+}
+
+module.exports = {
+    MAX_SUB_QUERIES,
+    isCompoundQuestion,
+    buildRewritePrompt,
+    parseRewrite,
+    literalQuery,
+    rewriteQuery
+};
@@ -0,0 +1,303 @@
+/**
+ * Question bank import and export.
+ *
+ * Reads and writes BiocBot assessment questions as QTI 2.1 packages (and
+ * Canvas QTI quiz exports on import), Moodle XML, and GIFT. Each format
+ * module turns a file into import drafts and writes units of questions back
+ * out; this module picks the format, maps drafts onto the course's units and
+ * learning objectives for the import preview, and prepares stored questions
+ * for export.
+ *
+ * Units travel as the format's category/section (the lecture name), and
+ * learning objectives as a tag, comment, or item label, so an export imports
+ * back into the same units and objectives.
+ */
+
+const { isZip } = require('./zipArchive');
+const { parseGift, serializeGift } = require('./questionBankGift');
+const { parseMoodleXml, serializeMoodleXml } = require('./questionBankMoodle');
+const { parseQti, serializeQti } = require('./questionBankQti');
+const { normalizeQuestionFields } = require('./questionTypes');
+
+const FORMATS = Object.freeze({
+    qti: { label: 'QTI 2.1 package (Canvas, Brightspace, Blackboard)', extension: 'zip', contentType: 'application/zip' },
+    moodle: { label: 'Moodle XML', extension: 'xml', contentType: 'application/xml; charset=utf-8' },
+    gift: { label: 'GIFT', extension: 'txt', contentType: 'text/plain; charset=utf-8' }
+});
+
+const IMPORT_FIELDS = ['numeric', 'blanks', 'pairs', 'distractors', 'items'];
+
+function bankError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_QUESTION_BANK';
+    return error;
+}
+
+/**
+ * Guess the format of an uploaded file from its contents
+ * @param {Buffer} buffer
+ * @param {string} [filename]
+ * @returns {string|null} A FORMATS key
+ */
+function detectFormat(buffer, filename = '') {
+    if (isZip(buffer)) return 'qti';
+    const head = buffer.toString('utf8', 0, 4096).replace(/^\uFEFF/, '').trim();
+    if (head.startsWith('<')) {
+        if (/<quiz[\s>]/.test(head)) return 'moodle';
+        if (/<([\w-]+:)?(questestinterop|assessmentItem|assessmentTest|manifest)[\s>]/.test(head)) return 'qti';
+        return null;
+    }
+    if (/\.gift$/i.test(filename) || /\{[\s\S]*\}/.test(head)) return 'gift';
+    return null;
+}
+
+/**
+ * Parse a question bank file into import drafts
+ * @param {Buffer} buffer
+ * @param {string} format - A FORMATS key
+ * @returns {Object} { format, questions, unsupported }
+ */
+function parseQuestionBank(buffer, format) {
+    let parsed;
+    switch (format) {
+        case 'gift':
+            parsed = parseGift(buffer.toString('utf8'));
+            break;
+        case 'moodle':
+            parsed = parseMoodleXml(buffer.toString('utf8'));
+            break;
+        case 'qti':
+            parsed = parseQti(buffer);
+            break;
+        default:
+            throw bankError(`format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+    }
+    return { format, ...parsed };
+}
+
+/**
+ * Check an import draft the way the question editor would and build the
+ * question fields to store
+ * @param {Object} draft
+ * @returns {Object} { valid, question, error }
+ */
+function validateImportedQuestion(draft = {}) {
+    const question = typeof draft.question === 'string' ? draft.question.trim() : '';
+    if (!question) return { valid: false, error: 'Question text is empty' };
+
+    const fields = {
+        questionType: draft.questionType,
+        question,
+        correctAnswer: draft.correctAnswer,
+        explanation: typeof draft.explanation === 'string' ? draft.explanation.trim() : ''
+    };
+    IMPORT_FIELDS.forEach(field => {
+        if (draft[field] !== undefined) fields[field] = draft[field];
+    });
+
+    if (draft.questionType === 'multiple-choice') {
+        const options = (Array.isArray(draft.options) ? draft.options : []).map(option => String(option ?? '').trim());
+        if (options.length < 2 || options.some(option => !option)) {
+            return { valid: false, error: 'Multiple-choice questions need at least two non-empty choices' };
+        }
+        const correctIndex = Number(draft.correctAnswer);
+        if (!Number.isInteger(correctIndex) || correctIndex < 0 || correctIndex >= options.length) {
+            return { valid: false, error: 'Multiple-choice question has no correct choice' };
+        }
+        fields.options = options;
+        fields.correctAnswer = correctIndex;
+    } else if (draft.questionType === 'true-false') {
+        if (typeof draft.correctAnswer !== 'boolean') {
+            return { valid: false, error: 'True/false question has no correct answer' };
+        }
+    } else if (draft.questionType === 'short-answer') {
+        const expected = typeof draft.correctAnswer === 'string' ? draft.correctAnswer.trim() : '';
+        if (!expected) return { valid: false, error: 'Short-answer question has no expected answer' };
+        fields.correctAnswer = expected;
+    }
+
+    const normalized = normalizeQuestionFields(fields);
+    if (!normalized.valid) return { valid: false, error: normalized.error };
+    return { valid: true, question: normalized.question };
+}
+
+function sameText(a, b) {
+    return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+function findLecture(lectures, unit) {
+    if (!unit) return null;
+    return lectures.find(lecture => sameText(lecture.name, unit) || sameText(lecture.displayName, unit)) || null;
+}
+
+/**
+ * Map parsed drafts onto the course's units and learning objectives
+ * @param {Object} parsed - From parseQuestionBank
+ * @param {Array} lectures - Course lectures ({ name, displayName, learningObjectives })
+ * @param {Object} [options]
+ * @param {string} [options.defaultLectureName] - Unit for questions whose unit is missing or unknown
+ * @returns {Object} { format, questions, unsupported, summary }
+ */
+function buildImportPreview(parsed, lectures = [], { defaultLectureName = '' } = {}) {
+    const fallback = findLecture(lectures, defaultLectureName);
+
+    const questions = parsed.questions.map((draft, index) => {
+        const warnings = [...(draft.warnings || [])];
+        let lecture = findLecture(lectures, draft.unit);
+        if (!lecture) {
+            lecture = fallback;
+            if (draft.unit) {
+                warnings.push(lecture
+                    ? `Unit "${draft.unit}" is not in this course; it will go to ${lecture.displayName || lecture.name}.`
+                    : `Unit "${draft.unit}" is not in this course; choose a unit.`);
+            }
+        }
+
+        let learningObjective = String(draft.learningObjective || '').trim();
+        if (learningObjective && lecture) {
+            const match = (lecture.learningObjectives || []).find(objective => sameText(objective, learningObjective));
+            if (match) {
+                learningObjective = match;
+            } else {
+                warnings.push(`Learning objective "${learningObjective}" is not one of this unit's objectives; it will be kept as written.`);
+            }
+        }
+
+        const validation = validateImportedQuestion(draft);
+        return {
+            index,
+            title: draft.title || '',
+            sourceUnit: draft.unit || '',
+            lectureName: lecture ? lecture.name : '',
+            learningObjective,
+            questionType: draft.questionType,
+            question: validation.valid ? validation.question.question : String(draft.question || ''),
+            correctAnswer: validation.valid ? validation.question.correctAnswer : null,
+            draft: {
+                questionType: draft.questionType,
+                question: draft.question,
+                options: draft.options,
+                correctAnswer: draft.correctAnswer,
+                explanation: draft.explanation,
+                ...Object.fromEntries(IMPORT_FIELDS.filter(field => draft[field] !== undefined).map(field => [field, draft[field]]))
+            },
+            warnings,
+            error: validation.valid ? null : validation.error
+        };
+    });
+
+    return {
+        format: parsed.format,
+        questions,
+        unsupported: parsed.unsupported,
+        summary: {
+            total: questions.length + parsed.unsupported.length,
+            ready: questions.filter(question => !question.error && question.lectureName).length,
+            invalid: questions.filter(question => question.error).length,
+            unsupported: parsed.unsupported.length
+        }
+    };
+}
+
+/**
+ * Multiple-choice options as [{ text, correct }] from either stored shape:
+ * an array with a numeric index, or a letter-keyed object with a letter
+ */
+function choicesOf(question) {
+    const { options, correctAnswer } = question;
+    const entries = Array.isArray(options)
+        ? options.map((text, index) => ({ key: String(index), text }))
+        : Object.keys(options || {}).sort().map(key => ({ key, text: options[key] }));
+    const usable = entries.filter(entry => String(entry.text ?? '').trim());
+    const answer = String(correctAnswer ?? '').trim();
+    return usable.map(entry => ({
+        text: String(entry.text).trim(),
+        correct: entry.key === answer || (answer !== '' && sameText(entry.text, answer) && !/^\d+$/.test(answer))
+    }));
+}
+
+function titleOf(question) {
+    const text = String(question.question || '').replace(/\s+/g, ' ').trim();
+    return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+/**
+ * Group stored questions by unit, with the answer key in a shape every
+ * format writer can use
+ * @param {Array} lectures - Course lectures with assessmentQuestions
+ * @returns {Object} { units: [{ lectureName, questions: [entry] }], skipped }
+ */
+function prepareExport(lectures = []) {
+    const units = [];
+    const skipped = [];
+
+    for (const lecture of lectures) {
+        const entries = [];
+        for (const question of lecture.assessmentQuestions || []) {
+            const entry = { question, title: titleOf(question) };
+            if (question.questionType === 'multiple-choice') {
+                entry.choices = choicesOf(question);
+                if (entry.choices.filter(choice => choice.correct).length !== 1) {
+                    skipped.push({ questionId: question.questionId, lectureName: lecture.name, reason: 'No single correct choice' });
+                    continue;
+                }
+            } else if (question.questionType === 'true-false') {
+                entry.isTrue = question.correctAnswer === true || String(question.correctAnswer).toLowerCase() === 'true';
+            } else if (question.questionType === 'numeric') {
+                if (!question.numeric) {
+                    skipped.push({ questionId: question.questionId, lectureName: lecture.name, reason: 'Numeric question has no answer key' });
+                    continue;
+                }
+                const { value, tolerance = 0, toleranceType, unit = '' } = question.numeric;
+                entry.numeric = {
+                    value,
+                    tolerance: toleranceType === 'percent' ? Math.abs(value * tolerance) / 100 : tolerance,
+                    unit
+                };
+            }
+            entries.push(entry);
+        }
+        if (entries.length > 0) units.push({ lectureName: lecture.name, questions: entries });
+    }
+
+    return { units, skipped };
+}
+
+/**
+ * Write a course's questions in one of the FORMATS
+ * @param {Array} lectures - Course lectures with assessmentQuestions
+ * @param {string} format - A FORMATS key
+ * @param {Object} [options]
+ * @param {string} [options.title] - Course name, for the file name and QTI test title
+ * @returns {Object} { filename, contentType, body, exported, skipped, warnings }
+ */
+function exportQuestionBank(lectures, format, { title = 'questions' } = {}) {
+    const definition = FORMATS[format];
+    if (!definition) throw bankError(`format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+
+    const prepared = prepareExport(lectures);
+    const total = prepared.units.reduce((sum, unit) => sum + unit.questions.length, 0);
+    const written = format === 'qti'
+        ? serializeQti(prepared.units, { title })
+        : (format === 'moodle' ? serializeMoodleXml : serializeGift)(prepared.units);
+
+    const slug = String(title).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'course';
+    return {
+        filename: `${slug}-question-bank.${format === 'gift' ? 'gift.txt' : definition.extension}`,
+        contentType: definition.contentType,
+        body: written.body,
+        exported: total - written.skipped.length,
+        skipped: [...prepared.skipped, ...written.skipped],
+        warnings: written.warnings
+    };
+}
+
+module.exports = {
+    FORMATS,
+    buildImportPreview,
+    detectFormat,
+    exportQuestionBank,
+    parseQuestionBank,
+    prepareExport,
+    validateImportedQuestion
+};
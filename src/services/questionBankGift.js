@@ -0,0 +1,363 @@
+/**
+ * GIFT question bank format (Moodle's plain-text quiz format).
+ *
+ * Mapping to BiocBot question types:
+ *   {=right ~wrong}          multiple-choice
+ *   {T} / {FALSE}            true-false
+ *   {####expected answer}    short-answer (GIFT essay; the general feedback
+ *                            carries the expected answer)
+ *   {#value:tolerance}       numeric (absolute tolerance, no units)
+ *   {=answer =alternative}   fill-in-the-blank with one blank
+ *   {=prompt -> match}       matching
+ *
+ * `$CATEGORY:` lines name the unit, and a `// learning objective:` comment
+ * before a question carries its objective, so an export imports back into the
+ * same place. GIFT has no ordering type and only one blank per question.
+ */
+
+const { htmlToText } = require('./xmlDocument');
+
+const SPECIAL_CHARACTERS = /[~=#{}:\\]/g;
+const OBJECTIVE_COMMENT = /^\/\/\s*learning objective:\s*(.*)$/i;
+
+/**
+ * Split on unescaped occurrences of any of the given characters
+ * @returns {Array} [{ text, separator }] where separator precedes text
+ */
+function splitUnescaped(text, separators) {
+    const parts = [];
+    let buffer = '';
+    let separator = '';
+    for (let index = 0; index < text.length; index += 1) {
+        const character = text[index];
+        if (character === '\\' && index + 1 < text.length) {
+            buffer += character + text[index + 1];
+            index += 1;
+        } else if (separators.includes(character)) {
+            parts.push({ separator, text: buffer });
+            buffer = '';
+            separator = character;
+        } else {
+            buffer += character;
+        }
+    }
+    parts.push({ separator, text: buffer });
+    return parts;
+}
+
+function indexOfUnescaped(text, search, from = 0) {
+    for (let index = from; index < text.length; index += 1) {
+        if (text[index] === '\\') {
+            index += 1;
+        } else if (text.startsWith(search, index)) {
+            return index;
+        }
+    }
+    return -1;
+}
+
+function unescapeGift(text) {
+    return text.replace(/\\(.)/g, (match, character) => (character === 'n' ? '\n' : character)).trim();
+}
+
+function escapeGift(text) {
+    return String(text ?? '').replace(SPECIAL_CHARACTERS, '\\$&').replace(/\r?\n/g, '\\n');
+}
+
+/** Drop answer feedback ("answer#feedback") and read a "%50%" weight */
+function readAnswer(part) {
+    const feedbackAt = indexOfUnescaped(part.text, '#');
+    let text = feedbackAt < 0 ? part.text : part.text.slice(0, feedbackAt);
+    let weight = part.separator === '=' ? 100 : 0;
+    const weightMatch = /^\s*%(-?\d+(?:\.\d+)?)%/.exec(text);
+    if (weightMatch) {
+        weight = Number(weightMatch[1]);
+        text = text.slice(weightMatch[0].length);
+    }
+    return { separator: part.separator, weight, raw: text };
+}
+
+function readNumber(text) {
+    const range = /^(-?[\d.e+-]+)\.\.(-?[\d.e+-]+)$/i.exec(text);
+    if (range) {
+        const low = Number(range[1]);
+        const high = Number(range[2]);
+        return { value: (low + high) / 2, tolerance: Math.abs(high - low) / 2 };
+    }
+    const [value, tolerance = '0'] = text.split(':');
+    return { value: Number(value), tolerance: Number(tolerance) };
+}
+
+function parseNumericAnswers(body) {
+    const answers = body.includes('=')
+        ? splitUnescaped(body, ['=', '~']).filter(part => part.separator).map(readAnswer)
+        : [readAnswer({ separator: '=', text: body })];
+    const best = answers.find(answer => answer.weight === 100);
+    if (!best) return null;
+    const { value, tolerance } = readNumber(unescapeGift(best.raw).replace(/\s+/g, ''));
+    if (!Number.isFinite(value) || !Number.isFinite(tolerance)) return null;
+    return { value, tolerance, toleranceType: 'absolute', unit: '' };
+}
+
+/**
+ * Read one GIFT question (the text between blank lines)
+ * @returns {Object} { draft } or { unsupported }
+ */
+function parseQuestion(source, context) {
+    let text = source.trim();
+    let title = '';
+    if (text.startsWith('::')) {
+        const titleEnd = indexOfUnescaped(text, '::', 2);
+        if (titleEnd > 0) {
+            title = unescapeGift(text.slice(2, titleEnd));
+            text = text.slice(titleEnd + 2).trim();
+        }
+    }
+    let isHtml = false;
+    const formatMatch = /^\[(html|moodle|plain|markdown)\]/i.exec(text);
+    if (formatMatch) {
+        isHtml = formatMatch[1].toLowerCase() === 'html';
+        text = text.slice(formatMatch[0].length);
+    }
+
+    const open = indexOfUnescaped(text, '{');
+    const close = open < 0 ? -1 : indexOfUnescaped(text, '}', open);
+    const label = title || unescapeGift(text).slice(0, 60);
+    if (open < 0 || close < 0) {
+        return { unsupported: { title: label, reason: 'Description items have no answer to import' } };
+    }
+
+    const readText = (raw) => {
+        const plain = unescapeGift(raw);
+        return isHtml ? htmlToText(plain) : plain;
+    };
+    const before = readText(text.slice(0, open));
+    const after = readText(text.slice(close + 1));
+    // Punctuation right after the answer block stays attached to the blank
+    const question = after ? `${before} ___${/^[.,;:!?)]/.test(after) ? '' : ' '}${after}`.trim() : before;
+
+    const generalFeedbackAt = indexOfUnescaped(text.slice(0, close), '####', open);
+    const body = text.slice(open + 1, generalFeedbackAt < 0 ? close : generalFeedbackAt).trim();
+    const generalFeedback = generalFeedbackAt < 0 ? '' : readText(text.slice(generalFeedbackAt + 4, close));
+    const base = {
+        title,
+        question,
+        explanation: '',
+        unit: context.unit,
+        learningObjective: context.learningObjective,
+        warnings: []
+    };
+
+    if (body === '') {
+        if (!generalFeedback) {
+            return { unsupported: { title: label, reason: 'Essay question has no expected answer (add one as general feedback after ####)' } };
+        }
+        return { draft: { ...base, questionType: 'short-answer', correctAnswer: generalFeedback } };
+    }
+
+    const trueFalse = /^(T|TRUE|F|FALSE)(?=\s*(#|$))/i.exec(body);
+    if (trueFalse) {
+        return {
+            draft: {
+                ...base,
+                questionType: 'true-false',
+                correctAnswer: trueFalse[1].toUpperCase().startsWith('T'),
+                explanation: generalFeedback
+            }
+        };
+    }
+
+    if (body.startsWith('#')) {
+        const numeric = parseNumericAnswers(body.slice(1).trim());
+        if (!numeric) {
+            return { unsupported: { title: label, reason: 'Numeric question has no fully correct answer' } };
+        }
+        return { draft: { ...base, questionType: 'numeric', numeric, explanation: generalFeedback } };
+    }
+
+    const answers = splitUnescaped(body, ['=', '~'])
+        .filter(part => part.separator)
+        .map(readAnswer);
+    if (answers.length === 0) {
+        return { unsupported: { title: label, reason: 'Could not read the answers' } };
+    }
+
+    if (answers.every(answer => answer.separator === '=' && indexOfUnescaped(answer.raw, '->') >= 0)) {
+        const pairs = [];
+        const distractors = [];
+        for (const answer of answers) {
+            const arrow = indexOfUnescaped(answer.raw, '->');
+            const prompt = readText(answer.raw.slice(0, arrow));
+            const match = readText(answer.raw.slice(arrow + 2));
+            if (prompt) pairs.push({ prompt, match });
+            else distractors.push(match);
+        }
+        return { draft: { ...base, questionType: 'matching', pairs, distractors, explanation: generalFeedback } };
+    }
+
+    if (answers.some(answer => answer.separator === '~')) {
+        const correct = answers.filter(answer => answer.weight === 100);
+        if (correct.length !== 1 || answers.some(answer => answer.weight > 0 && answer.weight < 100)) {
+            return { unsupported: { title: label, reason: 'Multiple-answer and partial-credit choices are not supported' } };
+        }
+        return {
+            draft: {
+                ...base,
+                questionType: 'multiple-choice',
+                options: answers.map(answer => readText(answer.raw)),
+                correctAnswer: answers.indexOf(correct[0]),
+                explanation: generalFeedback
+            }
+        };
+    }
+
+    // Short answer: accepted answers for a single blank
+    const accepted = answers.filter(answer => answer.weight === 100).map(answer => readText(answer.raw));
+    const draft = {
+        ...base,
+        questionType: 'fill-in-the-blank',
+        question: after ? question : `${before} ___`,
+        blanks: [{ answers: accepted }],
+        explanation: generalFeedback
+    };
+    if (accepted.length < answers.length) {
+        draft.warnings.push('Partial-credit answers were dropped; only fully correct answers are accepted.');
+    }
+    return { draft };
+}
+
+/**
+ * Read a GIFT file
+ * @param {string} source
+ * @returns {Object} { questions, unsupported }
+ */
+function parseGift(source) {
+    const questions = [];
+    const unsupported = [];
+    const context = { unit: null, learningObjective: '' };
+    let chunk = [];
+
+    const flush = () => {
+        if (chunk.length === 0) return;
+        const result = parseQuestion(chunk.join('\n'), context);
+        if (result.draft) questions.push(result.draft);
+        else unsupported.push(result.unsupported);
+        chunk = [];
+        context.learningObjective = '';
+    };
+
+    for (const line of String(source).replace(/^\uFEFF/, '').split(/\r?\n/)) {
+        const trimmed = line.trim();
+        if (trimmed === '') {
+            flush();
+        } else if (trimmed.startsWith('//')) {
+            const objective = OBJECTIVE_COMMENT.exec(trimmed);
+            if (objective && chunk.length === 0) context.learningObjective = objective[1].trim();
+        } else if (/^\$CATEGORY:/i.test(trimmed)) {
+            flush();
+            const path = trimmed.slice('$CATEGORY:'.length).trim().split('/').map(part => part.trim()).filter(Boolean);
+            const meaningful = path.filter(part => !/^\$(course|system|module|cat\d*)\$$/i.test(part) && part.toLowerCase() !== 'top');
+            context.unit = meaningful.length > 0 ? meaningful[meaningful.length - 1] : null;
+        } else {
+            chunk.push(line);
+        }
+    }
+    flush();
+    return { questions, unsupported };
+}
+
+function serializeQuestion(question, entry) {
+    const text = escapeGift(question.question);
+    const generalFeedback = question.explanation ? `####${escapeGift(question.explanation)}` : '';
+
+    switch (question.questionType) {
+        case 'multiple-choice': {
+            const choices = entry.choices
+                .map(choice => `\t${choice.correct ? '=' : '~'}${escapeGift(choice.text)}`)
+                .join('\n');
+            return `${text} {\n${choices}\n${generalFeedback}}`;
+        }
+        case 'true-false':
+            return `${text} {${entry.isTrue ? 'TRUE' : 'FALSE'}${generalFeedback}}`;
+        case 'short-answer':
+            return `${text} {####${escapeGift(question.correctAnswer)}}`;
+        case 'numeric': {
+            const { value, tolerance } = entry.numeric;
+            return `${text} {#${value}:${tolerance}${generalFeedback}}`;
+        }
+        case 'fill-in-the-blank': {
+            const answers = question.blanks[0].answers.map(answer => `=${escapeGift(answer)}`).join(' ');
+            const [before, after] = String(question.question).split(/_{3,}/);
+            return `${escapeGift(before).trim()} {${answers}${generalFeedback}} ${escapeGift(after).trim()}`.trim();
+        }
+        case 'matching': {
+            const pairs = question.pairs
+                .map(pair => `\t=${escapeGift(pair.prompt)} -> ${escapeGift(pair.match)}`)
+                .join('\n');
+            return `${text} {\n${pairs}\n${generalFeedback}}`;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Reasons a question cannot be written as GIFT, or null
+ * @param {Object} question
+ * @returns {string|null}
+ */
+function unsupportedReason(question) {
+    if (question.questionType === 'ordering') return 'GIFT has no ordering questions';
+    if (question.questionType === 'fill-in-the-blank' && question.blanks.length !== 1) {
+        return 'GIFT allows only one blank per question';
+    }
+    return null;
+}
+
+/**
+ * Write units of questions as GIFT
+ * @param {Array} units - [{ lectureName, questions: [entry] }] from questionBank.prepareExport
+ * @returns {Object} { body, skipped, warnings }
+ */
+function serializeGift(units) {
+    const blocks = [];
+    const skipped = [];
+    const warnings = [];
+
+    for (const unit of units) {
+        const questionBlocks = [];
+        for (const entry of unit.questions) {
+            const { question } = entry;
+            const reason = unsupportedReason(question);
+            if (reason) {
+                skipped.push({ questionId: question.questionId, lectureName: unit.lectureName, reason });
+                continue;
+            }
+            if (question.questionType === 'numeric' && question.numeric.toleranceType === 'percent') {
+                warnings.push({ questionId: question.questionId, lectureName: unit.lectureName, message: 'Percent tolerance written as an absolute tolerance' });
+            }
+            if (question.questionType === 'numeric' && entry.numeric.unit) {
+                warnings.push({ questionId: question.questionId, lectureName: unit.lectureName, message: `Unit "${entry.numeric.unit}" dropped; GIFT answers are plain numbers` });
+            }
+            if (question.questionType === 'matching' && (question.distractors || []).length > 0) {
+                warnings.push({ questionId: question.questionId, lectureName: unit.lectureName, message: 'Distractors dropped; GIFT matching has none' });
+            }
+            if (question.rubric) {
+                warnings.push({ questionId: question.questionId, lectureName: unit.lectureName, message: 'Rubric not exported' });
+            }
+            const objective = question.learningObjective ? `// learning objective: ${question.learningObjective.replace(/\s+/g, ' ')}\n` : '';
+            questionBlocks.push(`${objective}${serializeQuestion(question, entry)}`);
+        }
+        if (questionBlocks.length > 0) {
+            blocks.push(`$CATEGORY: $course$/${unit.lectureName.replace(/\//g, '-')}`, ...questionBlocks);
+        }
+    }
+
+    return { body: `${blocks.join('\n\n')}\n`, skipped, warnings };
+}
+
+module.exports = {
+    escapeGift,
+    parseGift,
+    serializeGift
+};
@@ -0,0 +1,355 @@
+/**
+ * Moodle XML question bank format.
+ *
+ * Mapping to BiocBot question types:
+ *   multichoice (single answer)   multiple-choice
+ *   truefalse                     true-false
+ *   essay                         short-answer (the grader information holds
+ *                                 the expected answer)
+ *   numerical                     numeric (absolute tolerance, first unit)
+ *   shortanswer                   fill-in-the-blank with one blank
+ *   multianswer (SHORTANSWER)     fill-in-the-blank, one blank per subquestion
+ *   matching                      matching (empty prompts are distractors)
+ *   ordering                      ordering
+ *
+ * Category questions name the unit, and an "objective: ..." tag carries the
+ * learning objective so an export imports back into the same place.
+ */
+
+const {
+    child,
+    childElements,
+    childPath,
+    escapeXml,
+    htmlToText,
+    parseXml,
+    textContent
+} = require('./xmlDocument');
+
+const OBJECTIVE_TAG = /^objective:\s*(.+)$/i;
+const CLOZE_SUBQUESTION = /\{(\d*):(SHORTANSWER|SA|MW|SHORTANSWER_C|SAC|MWC|[A-Z_]+):([^}]*)\}/g;
+
+function textOf(node) {
+    return textContent(child(node, 'text'));
+}
+
+/** Text of a Moodle "text" field, converted from HTML when it is HTML */
+function formattedText(node) {
+    if (!node) return '';
+    const text = textOf(node);
+    return node.attributes.format === 'html' || /<[a-z][^>]*>/i.test(text)
+        ? htmlToText(text)
+        : text.trim();
+}
+
+function answersOf(question) {
+    return childElements(question, 'answer').map(answer => ({
+        fraction: Number(answer.attributes.fraction ?? 0),
+        text: formattedText(answer),
+        node: answer
+    }));
+}
+
+/** The unit named by a category path such as "$course$/top/Unit 1" */
+function unitFromCategory(path) {
+    const parts = String(path).split('/').map(part => part.trim()).filter(Boolean);
+    const meaningful = parts.filter(part => !/^\$(course|system|module|cat\d*)\$$/i.test(part) && part.toLowerCase() !== 'top');
+    return meaningful.length > 0 ? meaningful[meaningful.length - 1] : null;
+}
+
+function parseCloze(html) {
+    const blanks = [];
+    let unsupportedType = null;
+    const text = htmlToText(html.replace(CLOZE_SUBQUESTION, (match, weight, type, body) => {
+        if (!/^(SHORTANSWER|SA|MW|SHORTANSWER_C|SAC|MWC)$/.test(type)) {
+            unsupportedType = unsupportedType || type;
+            return '___';
+        }
+        const answers = body
+            .split('~')
+            .map(answer => answer.replace(/#.*$/, ''))
+            .filter(answer => answer.startsWith('=') || answer.startsWith('%100%'))
+            .map(answer => answer.replace(/^=|^%100%/, '').replace(/\\(.)/g, '$1').trim())
+            .filter(Boolean);
+        blanks.push({ answers });
+        return '___';
+    }));
+    return { text, blanks, unsupportedType };
+}
+
+/**
+ * Read one <question> element
+ * @returns {Object} { draft } or { unsupported }
+ */
+function parseQuestion(question, context) {
+    const type = question.attributes.type;
+    const title = textOf(child(question, 'name'));
+    const questionText = childPath(question, 'questiontext');
+    const rawText = textOf(questionText);
+    const label = title || htmlToText(rawText).slice(0, 60);
+    const objectiveTag = childElements(child(question, 'tags'), 'tag')
+        .map(tag => OBJECTIVE_TAG.exec(textOf(tag).trim()))
+        .find(Boolean);
+    const base = {
+        title,
+        question: formattedText(questionText),
+        explanation: formattedText(child(question, 'generalfeedback')),
+        unit: context.unit,
+        learningObjective: objectiveTag ? objectiveTag[1].trim() : '',
+        warnings: []
+    };
+    const answers = answersOf(question);
+    const unsupported = (reason) => ({ unsupported: { title: label, reason } });
+
+    switch (type) {
+        case 'multichoice': {
+            const correct = answers.filter(answer => answer.fraction >= 100);
+            const single = textContent(child(question, 'single')).trim().toLowerCase() !== 'false';
+            if (!single || correct.length !== 1) {
+                return unsupported('Multiple-answer questions are not supported');
+            }
+            if (answers.some(answer => answer.fraction > 0 && answer.fraction < 100)) {
+                base.warnings.push('Partial-credit choices were imported as wrong answers.');
+            }
+            return {
+                draft: {
+                    ...base,
+                    questionType: 'multiple-choice',
+                    options: answers.map(answer => answer.text),
+                    correctAnswer: answers.indexOf(correct[0])
+                }
+            };
+        }
+        case 'truefalse': {
+            const correct = answers.find(answer => answer.fraction >= 100);
+            if (!correct) return unsupported('True/false question has no correct answer');
+            return { draft: { ...base, questionType: 'true-false', correctAnswer: correct.text.toLowerCase() === 'true' } };
+        }
+        case 'essay': {
+            const expected = formattedText(child(question, 'graderinfo'));
+            if (!expected) return unsupported('Essay question has no expected answer in its grader information');
+            return { draft: { ...base, questionType: 'short-answer', correctAnswer: expected } };
+        }
+        case 'numerical': {
+            const correct = answers.find(answer => answer.fraction >= 100);
+            const value = Number(correct?.text);
+            if (!correct || !Number.isFinite(value)) return unsupported('Numeric question has no fully correct value');
+            const unitNode = childElements(child(question, 'units'), 'unit')
+                .find(unit => Number(textContent(child(unit, 'multiplier')) || 1) === 1);
+            return {
+                draft: {
+                    ...base,
+                    questionType: 'numeric',
+                    numeric: {
+                        value,
+                        tolerance: Number(textContent(child(correct.node, 'tolerance')) || 0),
+                        toleranceType: 'absolute',
+                        unit: unitNode ? textContent(child(unitNode, 'unit_name')).trim() : ''
+                    }
+                }
+            };
+        }
+        case 'shortanswer': {
+            const accepted = answers.filter(answer => answer.fraction >= 100).map(answer => answer.text).filter(Boolean);
+            if (accepted.length === 0) return unsupported('Short-answer question has no fully correct answer');
+            const text = /_{3,}/.test(base.question) ? base.question : `${base.question} ___`;
+            return { draft: { ...base, questionType: 'fill-in-the-blank', question: text, blanks: [{ answers: accepted }] } };
+        }
+        case 'multianswer': {
+            const cloze = parseCloze(rawText);
+            if (cloze.unsupportedType) {
+                return unsupported(`Embedded ${cloze.unsupportedType} answers are not supported; only short-answer blanks are`);
+            }
+            if (cloze.blanks.length === 0 || cloze.blanks.some(blank => blank.answers.length === 0)) {
+                return unsupported('Embedded answer question has a blank with no correct answer');
+            }
+            return { draft: { ...base, questionType: 'fill-in-the-blank', question: cloze.text, blanks: cloze.blanks } };
+        }
+        case 'matching': {
+            const pairs = [];
+            const distractors = [];
+            for (const subquestion of childElements(question, 'subquestion')) {
+                const prompt = formattedText(subquestion);
+                const match = textContent(childPath(subquestion, 'answer', 'text')).trim();
+                if (prompt) pairs.push({ prompt, match });
+                else if (match) distractors.push(match);
+            }
+            return { draft: { ...base, questionType: 'matching', pairs, distractors } };
+        }
+        case 'ordering': {
+            // Answers are listed in the correct order; fractions number the positions
+            const ordered = answers.every(answer => Number.isFinite(answer.fraction))
+                ? [...answers].sort((a, b) => a.fraction - b.fraction)
+                : answers;
+            return { draft: { ...base, questionType: 'ordering', items: ordered.map(answer => answer.text) } };
+        }
+        default:
+            return unsupported(`Moodle "${type}" questions are not supported`);
+    }
+}
+
+/**
+ * Read a Moodle XML file
+ * @param {string} source
+ * @returns {Object} { questions, unsupported }
+ */
+function parseMoodleXml(source) {
+    const root = parseXml(source);
+    if (root.name !== 'quiz') {
+        const error = new Error('Moodle XML files start with a <quiz> element');
+        error.code = 'INVALID_QUESTION_BANK';
+        throw error;
+    }
+
+    const questions = [];
+    const unsupported = [];
+    const context = { unit: null };
+    for (const question of childElements(root, 'question')) {
+        if (question.attributes.type === 'category') {
+            context.unit = unitFromCategory(textContent(childPath(question, 'category', 'text')));
+            continue;
+        }
+        const result = parseQuestion(question, context);
+        if (result.draft) questions.push(result.draft);
+        else unsupported.push(result.unsupported);
+    }
+    return { questions, unsupported };
+}
+
+function textElement(name, value, format = '') {
+    const formatAttribute = format ? ` format="${format}"` : '';
+    return `<${name}${formatAttribute}><text>${escapeXml(value)}</text></${name}>`;
+}
+
+function answerElement(fraction, text, extra = '') {
+    return `<answer fraction="${fraction}" format="plain_text"><text>${escapeXml(text)}</text>${extra}</answer>`;
+}
+
+function clozeBlank(blank) {
+    const answers = blank.answers.map(answer => `=${answer.replace(/([}#~/"\\])/g, '\\$1')}`).join('~');
+    return `{1:SHORTANSWER:${answers}}`;
+}
+
+/** Question-type specific elements for one exported question */
+function typeElements(question, entry) {
+    switch (question.questionType) {
+        case 'multiple-choice':
+            return {
+                type: 'multichoice',
+                body: [
+                    '<single>true</single>',
+                    '<shuffleanswers>true</shuffleanswers>',
+                    ...entry.choices.map(choice => answerElement(choice.correct ? 100 : 0, choice.text))
+                ]
+            };
+        case 'true-false':
+            return {
+                type: 'truefalse',
+                body: [answerElement(entry.isTrue ? 100 : 0, 'true'), answerElement(entry.isTrue ? 0 : 100, 'false')]
+            };
+        case 'short-answer':
+            return {
+                type: 'essay',
+                body: [
+                    '<responseformat>editor</responseformat>',
+                    textElement('graderinfo', question.correctAnswer, 'plain_text')
+                ]
+            };
+        case 'numeric': {
+            const { numeric } = question;
+            const tolerance = numeric.toleranceType === 'percent'
+                ? Math.abs(numeric.value) * (numeric.tolerance / 100)
+                : numeric.tolerance;
+            const units = numeric.unit
+                ? [
+                    `<units><unit><multiplier>1</multiplier><unit_name>${escapeXml(numeric.unit)}</unit_name></unit></units>`,
+                    // Grade the unit, as BiocBot does: the right value with a wrong unit earns half
+                    '<unitgradingtype>1</unitgradingtype><unitpenalty>0.5</unitpenalty><showunits>0</showunits><unitsleft>0</unitsleft>'
+                ]
+                : [];
+            return {
+                type: 'numerical',
+                body: [answerElement(100, numeric.value, `<tolerance>${tolerance}</tolerance>`), ...units]
+            };
+        }
+        case 'fill-in-the-blank': {
+            let blank = 0;
+            const text = String(question.question).replace(/_{3,}/g, () => clozeBlank(question.blanks[blank++]));
+            return { type: 'multianswer', questionText: text };
+        }
+        case 'matching':
+            return {
+                type: 'matching',
+                body: [
+                    '<shuffleanswers>true</shuffleanswers>',
+                    ...question.pairs.map(pair => `<subquestion format="plain_text"><text>${escapeXml(pair.prompt)}</text><answer><text>${escapeXml(pair.match)}</text></answer></subquestion>`),
+                    ...(question.distractors || []).map(match => `<subquestion format="plain_text"><text></text><answer><text>${escapeXml(match)}</text></answer></subquestion>`)
+                ]
+            };
+        case 'ordering':
+            return {
+                type: 'ordering',
+                body: [
+                    '<layouttype>VERTICAL</layouttype>',
+                    '<selecttype>ALL</selecttype>',
+                    '<gradingtype>ABSOLUTE_POSITION</gradingtype>',
+                    ...question.items.map((item, index) => answerElement(index + 1, item))
+                ]
+            };
+        default:
+            return null;
+    }
+}
+
+function questionName(question) {
+    const text = String(question.question).replace(/\s+/g, ' ').trim();
+    return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+/**
+ * Write units of questions as Moodle XML
+ * @param {Array} units - [{ lectureName, questions: [entry] }] from questionBank.prepareExport
+ * @returns {Object} { body, skipped, warnings }
+ */
+function serializeMoodleXml(units) {
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>', '<quiz>'];
+    const skipped = [];
+    const warnings = [];
+
+    for (const unit of units) {
+        lines.push(`  <question type="category">${textElement('category', `$course$/top/${unit.lectureName.replace(/\//g, '-')}`)}</question>`);
+        for (const entry of unit.questions) {
+            const { question } = entry;
+            const elements = typeElements(question, entry);
+            if (!elements) {
+                skipped.push({ questionId: question.questionId, lectureName: unit.lectureName, reason: `Unknown question type ${question.questionType}` });
+                continue;
+            }
+            if (question.rubric) {
+                warnings.push({ questionId: question.questionId, lectureName: unit.lectureName, message: 'Rubric not exported' });
+            }
+            const tags = question.learningObjective
+                ? [`<tags><tag><text>${escapeXml(`objective: ${question.learningObjective}`)}</text></tag></tags>`]
+                : [];
+            lines.push(
+                `  <question type="${elements.type}">`,
+                `    ${textElement('name', questionName(question))}`,
+                `    ${textElement('questiontext', elements.questionText ?? question.question, 'plain_text')}`,
+                `    ${textElement('generalfeedback', question.explanation || '', 'plain_text')}`,
+                '    <defaultgrade>1</defaultgrade>',
+                ...(elements.body || []).map(element => `    ${element}`),
+                ...tags.map(tag => `    ${tag}`),
+                '  </question>'
+            );
+        }
+    }
+
+    lines.push('</quiz>');
+    return { body: `${lines.join('\n')}\n`, skipped, warnings };
+}
+
+module.exports = {
+    parseMoodleXml,
+    serializeMoodleXml,
+    unitFromCategory
+};
@@ -0,0 +1,645 @@
+/**
+ * QTI question bank packages.
+ *
+ * Import reads IMS QTI 2.1 (a content package ZIP, or a single item file)
+ * and the QTI 1.2 quiz ZIPs Canvas exports. Export writes a QTI 2.1 content
+ * package: one item file per question plus an assessment test with one
+ * section per unit. The item `label` carries the learning objective, so an
+ * export imports back into the same units and objectives.
+ *
+ * QTI 2.1 interactions map to BiocBot types as:
+ *   choiceInteraction (one choice)     multiple-choice, or true-false for True/False
+ *   extendedTextInteraction            short-answer (correct response = expected answer)
+ *   textEntryInteraction, float        numeric (tolerance from response processing)
+ *   textEntryInteraction, string       fill-in-the-blank, one blank per interaction
+ *   matchInteraction                   matching
+ *   orderInteraction                   ordering
+ */
+
+const path = require('path');
+const {
+    child,
+    childElements,
+    descendants,
+    escapeXml,
+    htmlToText,
+    localName,
+    parseXml,
+    textContent
+} = require('./xmlDocument');
+const { createZip, isZip, readZip } = require('./zipArchive');
+
+const QTI_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const BLOCK_ELEMENTS = new Set(['p', 'div', 'br', 'li', 'ul', 'ol', 'table', 'tr', 'h1', 'h2', 'h3', 'h4', 'blockquote']);
+const PROMPTED_INTERACTIONS = new Set(['choiceInteraction', 'extendedTextInteraction', 'matchInteraction', 'orderInteraction']);
+const SUPPORTED_INTERACTIONS = new Set([...PROMPTED_INTERACTIONS, 'textEntryInteraction']);
+
+function bankError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_QUESTION_BANK';
+    return error;
+}
+
+function collapse(text) {
+    return text.replace(/[ \t\u00A0]+/g, ' ').replace(/ *\n */g, '\n').replace(/\n{2,}/g, '\n').trim();
+}
+
+// ------------------------------------------------------------------ QTI 2.1
+
+/**
+ * Question text from an item body: prose plus interaction prompts, with a
+ * ___ where each text entry sits
+ */
+function itemBodyText(node) {
+    let text = '';
+    for (const part of node.children) {
+        if (typeof part === 'string') {
+            text += part;
+            continue;
+        }
+        const name = localName(part.name);
+        if (PROMPTED_INTERACTIONS.has(name)) {
+            text += `\n${textContent(child(part, 'prompt'))}\n`;
+        } else if (name === 'textEntryInteraction') {
+            text += '___';
+        } else if (name === 'span' && part.attributes.class === 'unit') {
+            continue;
+        } else if (BLOCK_ELEMENTS.has(name)) {
+            text += `\n${itemBodyText(part)}\n`;
+        } else {
+            text += itemBodyText(part);
+        }
+    }
+    return text;
+}
+
+function responseDeclarations(item) {
+    const declarations = {};
+    for (const declaration of childElements(item, 'responseDeclaration')) {
+        declarations[declaration.attributes.identifier] = {
+            baseType: declaration.attributes.baseType,
+            cardinality: declaration.attributes.cardinality,
+            correct: childElements(child(declaration, 'correctResponse'), 'value').map(value => textContent(value).trim()),
+            mapped: childElements(child(declaration, 'mapping'), 'mapEntry')
+                .filter(entry => Number(entry.attributes.mappedValue) > 0)
+                .map(entry => entry.attributes.mapKey)
+        };
+    }
+    return declarations;
+}
+
+function choiceTexts(interaction, elementName) {
+    return childElements(interaction, elementName).map(choice => ({
+        identifier: choice.attributes.identifier,
+        text: collapse(itemBodyText(choice))
+    }));
+}
+
+/**
+ * Read one QTI 2.1 assessmentItem
+ * @returns {Object} { draft } or { unsupported }
+ */
+function parseItem21(item, unit) {
+    const title = item.attributes.title || item.attributes.identifier || '';
+    const body = child(item, 'itemBody');
+    const unsupported = (reason) => ({ unsupported: { title, reason } });
+    if (!body) return unsupported('Item has no body');
+
+    const interactions = descendants(body, undefined).filter(node => /Interaction$/.test(localName(node.name)));
+    const unknown = interactions.find(node => !SUPPORTED_INTERACTIONS.has(localName(node.name)));
+    if (unknown) return unsupported(`QTI ${localName(unknown.name)} is not supported`);
+    if (interactions.length === 0) return unsupported('Item has no interaction to answer');
+
+    const declarations = responseDeclarations(item);
+    const base = {
+        title: item.attributes.title || '',
+        question: collapse(itemBodyText(body)),
+        explanation: collapse(htmlToText(childElements(item, 'modalFeedback').map(textContent).join('\n'))),
+        unit,
+        learningObjective: (item.attributes.label || '').trim(),
+        warnings: []
+    };
+    const kinds = new Set(interactions.map(node => localName(node.name)));
+    if (kinds.size > 1 || (interactions.length > 1 && !kinds.has('textEntryInteraction'))) {
+        return unsupported('Items with several different interactions are not supported');
+    }
+    const interaction = interactions[0];
+    const response = declarations[interaction.attributes.responseIdentifier] || { correct: [], mapped: [] };
+
+    switch (localName(interaction.name)) {
+        case 'choiceInteraction': {
+            const choices = choiceTexts(interaction, 'simpleChoice');
+            if (response.correct.length !== 1 || Number(interaction.attributes.maxChoices || 1) !== 1) {
+                return unsupported('Multiple-answer choice items are not supported');
+            }
+            const correctIndex = choices.findIndex(choice => choice.identifier === response.correct[0]);
+            if (correctIndex < 0) return unsupported('Choice item has no correct answer');
+            const texts = choices.map(choice => choice.text.toLowerCase());
+            if (texts.length === 2 && texts.includes('true') && texts.includes('false')) {
+                return { draft: { ...base, questionType: 'true-false', correctAnswer: texts[correctIndex] === 'true' } };
+            }
+            return {
+                draft: {
+                    ...base,
+                    questionType: 'multiple-choice',
+                    options: choices.map(choice => choice.text),
+                    correctAnswer: correctIndex
+                }
+            };
+        }
+        case 'extendedTextInteraction': {
+            const expected = response.correct.join('\n').trim();
+            if (!expected) return unsupported('Extended text item has no expected answer');
+            return { draft: { ...base, questionType: 'short-answer', correctAnswer: expected } };
+        }
+        case 'textEntryInteraction': {
+            if (response.baseType === 'float' || response.baseType === 'integer') {
+                if (interactions.length > 1) return unsupported('Items with several numeric entries are not supported');
+                const value = Number(response.correct[0]);
+                if (!Number.isFinite(value)) return unsupported('Numeric item has no correct value');
+                const equal = descendants(child(item, 'responseProcessing'), 'equal')[0];
+                const mode = equal?.attributes.toleranceMode || 'exact';
+                const tolerance = mode === 'exact' ? 0 : Number(String(equal.attributes.tolerance || '0').split(/\s+/)[0]);
+                const unitSpan = descendants(body, 'span').find(span => span.attributes.class === 'unit');
+                return {
+                    draft: {
+                        ...base,
+                        question: base.question.replace(/\s*_{3,}\s*/g, ' ').trim(),
+                        questionType: 'numeric',
+                        numeric: {
+                            value,
+                            tolerance: Number.isFinite(tolerance) ? tolerance : 0,
+                            toleranceType: mode === 'relative' ? 'percent' : 'absolute',
+                            unit: unitSpan ? textContent(unitSpan).trim() : ''
+                        }
+                    }
+                };
+            }
+            const blanks = interactions.map(entry => {
+                const declaration = declarations[entry.attributes.responseIdentifier] || { correct: [], mapped: [] };
+                return { answers: [...new Set([...declaration.correct, ...declaration.mapped])].filter(Boolean) };
+            });
+            if (blanks.some(blank => blank.answers.length === 0)) return unsupported('Text entry has no accepted answer');
+            return { draft: { ...base, questionType: 'fill-in-the-blank', blanks } };
+        }
+        case 'matchInteraction': {
+            const [sources, targets] = childElements(interaction, 'simpleMatchSet')
+                .map(set => choiceTexts(set, 'simpleAssociableChoice'));
+            if (!sources || !targets) return unsupported('Match item needs two sets of choices');
+            const targetText = Object.fromEntries(targets.map(target => [target.identifier, target.text]));
+            const pairs = [];
+            for (const value of response.correct) {
+                const [sourceId, targetId] = value.split(/\s+/);
+                const source = sources.find(candidate => candidate.identifier === sourceId);
+                if (source && targetText[targetId] !== undefined) pairs.push({ prompt: source.text, match: targetText[targetId] });
+            }
+            if (pairs.length === 0) return unsupported('Match item has no correct pairs');
+            const used = new Set(pairs.map(pair => pair.match));
+            return {
+                draft: {
+                    ...base,
+                    questionType: 'matching',
+                    pairs,
+                    distractors: targets.map(target => target.text).filter(text => !used.has(text))
+                }
+            };
+        }
+        case 'orderInteraction': {
+            const choices = Object.fromEntries(choiceTexts(interaction, 'simpleChoice').map(choice => [choice.identifier, choice.text]));
+            const items = response.correct.map(identifier => choices[identifier]).filter(text => text !== undefined);
+            if (items.length < 2) return unsupported('Order item has no correct order');
+            return { draft: { ...base, questionType: 'ordering', items } };
+        }
+        default:
+            return unsupported(`QTI ${localName(interaction.name)} is not supported`);
+    }
+}
+
+/** Map item file paths to the title of the test section that holds them */
+function sectionUnits(testRoot, testPath) {
+    const units = {};
+    const visit = (node, sectionTitle) => {
+        for (const part of childElements(node)) {
+            const name = localName(part.name);
+            if (name === 'assessmentSection') {
+                visit(part, part.attributes.title || sectionTitle);
+            } else if (name === 'assessmentItemRef' && part.attributes.href) {
+                units[path.posix.join(path.posix.dirname(testPath), part.attributes.href)] = sectionTitle;
+            } else if (name === 'testPart') {
+                visit(part, sectionTitle);
+            }
+        }
+    };
+    visit(testRoot, null);
+    return units;
+}
+
+// ----------------------------------------------------------- Canvas QTI 1.2
+
+function metadataField(item, label) {
+    const field = descendants(item, 'qtimetadatafield')
+        .find(candidate => textContent(child(candidate, 'fieldlabel')).trim() === label);
+    return field ? textContent(child(field, 'fieldentry')).trim() : '';
+}
+
+function materialText(node) {
+    const mattext = descendants(node, 'mattext')[0];
+    if (!mattext) return '';
+    const text = textContent(mattext);
+    return mattext.attributes.texttype === 'text/html' ? htmlToText(text) : text.trim();
+}
+
+/** Conditions that award credit, as [{ respident, value }] plus numeric bounds */
+function correctConditions(item) {
+    return descendants(item, 'respcondition')
+        .filter(condition => descendants(condition, 'setvar').some(setvar => Number(textContent(setvar)) > 0))
+        .map(condition => {
+            const variables = child(condition, 'conditionvar');
+            const read = (name) => descendants(variables, name).map(node => ({
+                respident: node.attributes.respident,
+                value: textContent(node).trim()
+            }));
+            return { equal: read('varequal'), gte: read('vargte'), lte: read('varlte') };
+        });
+}
+
+function parseItem12(item, unit) {
+    const type = metadataField(item, 'question_type');
+    const title = item.attributes.title || item.attributes.ident || '';
+    const unsupported = (reason) => ({ unsupported: { title, reason } });
+    const presentation = child(item, 'presentation');
+    const feedback = descendants(item, 'itemfeedback').find(node => node.attributes.ident === 'general_fb');
+    const base = {
+        title,
+        question: materialText(child(presentation, 'material')),
+        explanation: feedback ? materialText(feedback) : '',
+        unit,
+        learningObjective: '',
+        warnings: []
+    };
+    const responses = descendants(presentation, 'response_lid').map(response => ({
+        ident: response.attributes.ident,
+        prompt: materialText(child(response, 'material')),
+        labels: descendants(response, 'response_label').map(label => ({
+            ident: label.attributes.ident,
+            text: materialText(label)
+        }))
+    }));
+    const conditions = correctConditions(item);
+    const correctValues = conditions.flatMap(condition => condition.equal);
+
+    switch (type) {
+        case 'multiple_choice_question':
+        case 'true_false_question': {
+            const labels = responses[0]?.labels || [];
+            const correctIndex = labels.findIndex(label => correctValues.some(value => value.value === label.ident));
+            if (correctIndex < 0) return unsupported('Question has no correct answer');
+            if (type === 'true_false_question') {
+                return { draft: { ...base, questionType: 'true-false', correctAnswer: labels[correctIndex].text.toLowerCase() === 'true' } };
+            }
+            return {
+                draft: { ...base, questionType: 'multiple-choice', options: labels.map(label => label.text), correctAnswer: correctIndex }
+            };
+        }
+        case 'short_answer_question': {
+            const answers = [...new Set(correctValues.map(value => value.value).filter(Boolean))];
+            if (answers.length === 0) return unsupported('Fill-in-the-blank question has no accepted answer');
+            const question = /_{3,}/.test(base.question) ? base.question : `${base.question} ___`;
+            return { draft: { ...base, questionType: 'fill-in-the-blank', question, blanks: [{ answers }] } };
+        }
+        case 'fill_in_multiple_blanks_question': {
+            const byBlank = new Map(responses.map(response => [response.prompt, response]));
+            const blanks = [];
+            const question = base.question.replace(/\[([^\]]+)\]/g, (match, name) => {
+                const response = byBlank.get(name);
+                if (!response) return match;
+                const accepted = response.labels
+                    .filter(label => correctValues.some(value => value.respident === response.ident && value.value === label.ident))
+                    .map(label => label.text);
+                blanks.push({ answers: accepted });
+                return '___';
+            });
+            if (blanks.length === 0 || blanks.some(blank => blank.answers.length === 0)) {
+                return unsupported('A blank has no accepted answer');
+            }
+            return { draft: { ...base, questionType: 'fill-in-the-blank', question, blanks } };
+        }
+        case 'essay_question': {
+            if (!base.explanation) return unsupported('Essay question has no expected answer (Canvas keeps none; add general feedback)');
+            return {
+                draft: {
+                    ...base,
+                    questionType: 'short-answer',
+                    correctAnswer: base.explanation,
+                    explanation: '',
+                    warnings: ['The expected answer was taken from the general feedback.']
+                }
+            };
+        }
+        case 'numerical_question': {
+            const condition = conditions[0];
+            const exact = condition?.equal[0] ? Number(condition.equal[0].value) : NaN;
+            const low = condition?.gte[0] ? Number(condition.gte[0].value) : NaN;
+            const high = condition?.lte[0] ? Number(condition.lte[0].value) : NaN;
+            const hasRange = Number.isFinite(low) && Number.isFinite(high);
+            const value = Number.isFinite(exact) ? exact : (low + high) / 2;
+            if (!Number.isFinite(value)) return unsupported('Numeric question has no correct value');
+            return {
+                draft: {
+                    ...base,
+                    questionType: 'numeric',
+                    numeric: {
+                        value,
+                        tolerance: hasRange ? Math.max(Math.abs(value - low), Math.abs(high - value)) : 0,
+                        toleranceType: 'absolute',
+                        unit: ''
+                    }
+                }
+            };
+        }
+        case 'matching_question': {
+            const labels = responses[0]?.labels || [];
+            const pairs = responses.map(response => {
+                const match = correctValues.find(value => value.respident === response.ident);
+                const label = labels.find(candidate => candidate.ident === match?.value);
+                return { prompt: response.prompt, match: label ? label.text : '' };
+            });
+            if (pairs.some(pair => !pair.match)) return unsupported('A matching prompt has no correct match');
+            const used = new Set(pairs.map(pair => pair.match));
+            return {
+                draft: { ...base, questionType: 'matching', pairs, distractors: labels.map(label => label.text).filter(text => !used.has(text)) }
+            };
+        }
+        default:
+            return unsupported(type ? `Canvas ${type.replace(/_/g, ' ')}s are not supported` : 'Unknown question type');
+    }
+}
+
+function parseQuestestinterop(root) {
+    const result = { questions: [], unsupported: [] };
+    for (const assessment of descendants(root, 'assessment')) {
+        const unit = assessment.attributes.title || null;
+        for (const item of descendants(assessment, 'item')) {
+            const parsed = parseItem12(item, unit);
+            if (parsed.draft) result.questions.push(parsed.draft);
+            else result.unsupported.push(parsed.unsupported);
+        }
+    }
+    // Item banks exported without an assessment wrapper
+    if (descendants(root, 'assessment').length === 0) {
+        for (const item of descendants(root, 'item')) {
+            const parsed = parseItem12(item, null);
+            if (parsed.draft) result.questions.push(parsed.draft);
+            else result.unsupported.push(parsed.unsupported);
+        }
+    }
+    return result;
+}
+
+/**
+ * Read a QTI package or file
+ * @param {Buffer} buffer - ZIP package or XML file
+ * @returns {Object} { questions, unsupported }
+ */
+function parseQti(buffer) {
+    const files = isZip(buffer)
+        ? readZip(buffer).filter(file => file.name.toLowerCase().endsWith('.xml'))
+        : [{ name: 'item.xml', data: buffer }];
+
+    const documents = [];
+    for (const file of files) {
+        try {
+            documents.push({ name: file.name, root: parseXml(file.data.toString('utf8')) });
+        } catch (error) {
+            if (files.length === 1) throw error;
+            // Stray metadata files in a package are not question content
+        }
+    }
+
+    const units = {};
+    for (const document of documents) {
+        if (localName(document.root.name) === 'assessmentTest') {
+            Object.assign(units, sectionUnits(document.root, document.name));
+        }
+    }
+
+    const result = { questions: [], unsupported: [] };
+    let recognized = false;
+    for (const document of documents) {
+        const name = localName(document.root.name);
+        if (name === 'assessmentItem') {
+            recognized = true;
+            const parsed = parseItem21(document.root, units[document.name] || null);
+            if (parsed.draft) result.questions.push(parsed.draft);
+            else result.unsupported.push(parsed.unsupported);
+        } else if (name === 'questestinterop') {
+            recognized = true;
+            const parsed = parseQuestestinterop(document.root);
+            result.questions.push(...parsed.questions);
+            result.unsupported.push(...parsed.unsupported);
+        }
+    }
+    if (!recognized) throw bankError('No QTI items were found in this file');
+    return result;
+}
+
+// ------------------------------------------------------------------- export
+
+function itemXml(question, entry, identifier) {
+    const declarations = [];
+    const body = [];
+    let processing = '<responseProcessing template="http://www.imsglobal.org/question/qti_v2p1/rp_templates/match_correct"/>';
+    const prompt = `<prompt>${escapeXml(question.question)}</prompt>`;
+
+    switch (question.questionType) {
+        case 'multiple-choice':
+        case 'true-false': {
+            const choices = question.questionType === 'true-false'
+                ? [{ text: 'True', correct: entry.isTrue }, { text: 'False', correct: !entry.isTrue }]
+                : entry.choices;
+            const correctIndex = choices.findIndex(choice => choice.correct);
+            declarations.push(`<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier"><correctResponse><value>CHOICE_${correctIndex}</value></correctResponse></responseDeclaration>`);
+            body.push(
+                '<choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1">',
+                `  ${prompt}`,
+                ...choices.map((choice, index) => `  <simpleChoice identifier="CHOICE_${index}">${escapeXml(choice.text)}</simpleChoice>`),
+                '</choiceInteraction>'
+            );
+            break;
+        }
+        case 'short-answer':
+            declarations.push(`<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string"><correctResponse><value>${escapeXml(question.correctAnswer)}</value></correctResponse></responseDeclaration>`);
+            body.push(`<extendedTextInteraction responseIdentifier="RESPONSE" expectedLines="5">${prompt}</extendedTextInteraction>`);
+            // Scored by a person (or BiocBot's grader), not by response processing
+            processing = '';
+            break;
+        case 'numeric': {
+            const { numeric } = question;
+            const mode = numeric.tolerance > 0 ? (numeric.toleranceType === 'percent' ? 'relative' : 'absolute') : 'exact';
+            const tolerance = mode === 'exact' ? '' : ` tolerance="${numeric.tolerance} ${numeric.tolerance}"`;
+            declarations.push(`<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="float"><correctResponse><value>${numeric.value}</value></correctResponse></responseDeclaration>`);
+            const unit = numeric.unit ? ` <span class="unit">${escapeXml(numeric.unit)}</span>` : '';
+            body.push(`<p>${escapeXml(question.question)} <textEntryInteraction responseIdentifier="RESPONSE" expectedLength="12"/>${unit}</p>`);
+            processing = [
+                '<responseProcessing>',
+                '  <responseCondition>',
+                '    <responseIf>',
+                `      <equal toleranceMode="${mode}"${tolerance}><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></equal>`,
+                '      <setOutcomeValue identifier="SCORE"><baseValue baseType="float">1</baseValue></setOutcomeValue>',
+                '    </responseIf>',
+                '  </responseCondition>',
+                '</responseProcessing>'
+            ].join('\n');
+            break;
+        }
+        case 'fill-in-the-blank': {
+            const parts = String(question.question).split(/_{3,}/);
+            let text = escapeXml(parts[0]);
+            question.blanks.forEach((blank, index) => {
+                const mapping = blank.answers
+                    .map(answer => `<mapEntry mapKey="${escapeXml(answer)}" mappedValue="1" caseSensitive="false"/>`)
+                    .join('');
+                declarations.push(`<responseDeclaration identifier="RESPONSE_${index + 1}" cardinality="single" baseType="string"><correctResponse><value>${escapeXml(blank.answers[0])}</value></correctResponse><mapping defaultValue="0">${mapping}</mapping></responseDeclaration>`);
+                text += `<textEntryInteraction responseIdentifier="RESPONSE_${index + 1}" expectedLength="15"/>${escapeXml(parts[index + 1] ?? '')}`;
+            });
+            body.push(`<p>${text}</p>`);
+            processing = '<responseProcessing template="http://www.imsglobal.org/question/qti_v2p1/rp_templates/map_response"/>';
+            break;
+        }
+        case 'matching': {
+            const targets = [...new Set([...question.pairs.map(pair => pair.match), ...(question.distractors || [])])];
+            const values = question.pairs
+                .map((pair, index) => `<value>PROMPT_${index} MATCH_${targets.indexOf(pair.match)}</value>`)
+                .join('');
+            declarations.push(`<responseDeclaration identifier="RESPONSE" cardinality="multiple" baseType="directedPair"><correctResponse>${values}</correctResponse></responseDeclaration>`);
+            body.push(
+                `<matchInteraction responseIdentifier="RESPONSE" shuffle="true" maxAssociations="${question.pairs.length}">`,
+                `  ${prompt}`,
+                '  <simpleMatchSet>',
+                ...question.pairs.map((pair, index) => `    <simpleAssociableChoice identifier="PROMPT_${index}" matchMax="1">${escapeXml(pair.prompt)}</simpleAssociableChoice>`),
+                '  </simpleMatchSet>',
+                '  <simpleMatchSet>',
+                ...targets.map((target, index) => `    <simpleAssociableChoice identifier="MATCH_${index}" matchMax="${question.pairs.length}">${escapeXml(target)}</simpleAssociableChoice>`),
+                '  </simpleMatchSet>',
+                '</matchInteraction>'
+            );
+            break;
+        }
+        case 'ordering': {
+            const values = question.items.map((item, index) => `<value>ITEM_${index}</value>`).join('');
+            declarations.push(`<responseDeclaration identifier="RESPONSE" cardinality="ordered" baseType="identifier"><correctResponse>${values}</correctResponse></responseDeclaration>`);
+            body.push(
+                '<orderInteraction responseIdentifier="RESPONSE" shuffle="true">',
+                `  ${prompt}`,
+                ...question.items.map((item, index) => `  <simpleChoice identifier="ITEM_${index}">${escapeXml(item)}</simpleChoice>`),
+                '</orderInteraction>'
+            );
+            break;
+        }
+        default:
+            return null;
+    }
+
+    const label = question.learningObjective ? ` label="${escapeXml(question.learningObjective.slice(0, 256))}"` : '';
+    const feedback = question.explanation
+        ? [
+            '<outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>',
+            `<modalFeedback outcomeIdentifier="FEEDBACK" identifier="EXPLANATION" showHide="hide">${escapeXml(question.explanation)}</modalFeedback>`
+        ]
+        : [];
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<assessmentItem xmlns="${QTI_NAMESPACE}" identifier="${escapeXml(identifier)}" title="${escapeXml(entry.title)}"${label} adaptive="false" timeDependent="false">`,
+        ...declarations.map(declaration => `  ${declaration}`),
+        '  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"/>',
+        ...(feedback.length > 0 ? [`  ${feedback[0]}`] : []),
+        '  <itemBody>',
+        ...body.map(line => `    ${line}`),
+        '  </itemBody>',
+        ...(processing ? processing.split('\n').map(line => `  ${line}`) : []),
+        ...(feedback.length > 0 ? [`  ${feedback[1]}`] : []),
+        '</assessmentItem>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Write units of questions as a QTI 2.1 content package
+ * @param {Array} units - [{ lectureName, questions: [entry] }] from questionBank.prepareExport
+ * @param {Object} options - { title }
+ * @returns {Object} { body (ZIP Buffer), skipped, warnings }
+ */
+function serializeQti(units, { title = 'BiocBot question bank' } = {}) {
+    const files = [];
+    const resources = [];
+    const sections = [];
+    const skipped = [];
+    const warnings = [];
+    const usedIdentifiers = new Set();
+
+    units.forEach((unit, unitIndex) => {
+        const refs = [];
+        for (const entry of unit.questions) {
+            const { question } = entry;
+            let identifier = String(question.questionId || `item_${files.length + 1}`).replace(/[^\w.-]/g, '_');
+            if (!/^[A-Za-z_]/.test(identifier)) identifier = `item_${identifier}`;
+            while (usedIdentifiers.has(identifier)) identifier = `${identifier}_1`;
+            const xml = itemXml(question, entry, identifier);
+            if (!xml) {
+                skipped.push({ questionId: question.questionId, lectureName: unit.lectureName, reason: `Unknown question type ${question.questionType}` });
+                continue;
+            }
+            if (question.rubric) {
+                warnings.push({ questionId: question.questionId, lectureName: unit.lectureName, message: 'Rubric not exported' });
+            }
+            usedIdentifiers.add(identifier);
+            const href = `items/${identifier}.xml`;
+            files.push({ name: href, data: xml });
+            resources.push({ identifier, href });
+            refs.push(`      <assessmentItemRef identifier="${identifier}" href="${href}"/>`);
+        }
+        if (refs.length > 0) {
+            sections.push(
+                `    <assessmentSection identifier="SECTION_${unitIndex + 1}" title="${escapeXml(unit.lectureName)}" visible="true">`,
+                ...refs,
+                '    </assessmentSection>'
+            );
+        }
+    });
+
+    const test = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<assessmentTest xmlns="${QTI_NAMESPACE}" identifier="BIOCBOT_TEST" title="${escapeXml(title)}">`,
+        '  <testPart identifier="PART_1" navigationMode="nonlinear" submissionMode="individual">',
+        ...sections,
+        '  </testPart>',
+        '</assessmentTest>',
+        ''
+    ].join('\n');
+    const manifest = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="BIOCBOT_MANIFEST">',
+        '  <metadata><schema>QTIv2.1 Package</schema><schemaversion>1.0.0</schemaversion></metadata>',
+        '  <organizations/>',
+        '  <resources>',
+        '    <resource identifier="BIOCBOT_TEST" type="imsqti_test_xmlv2p1" href="assessment.xml">',
+        '      <file href="assessment.xml"/>',
+        ...resources.map(resource => `      <dependency identifierref="RES_${resource.identifier}"/>`),
+        '    </resource>',
+        ...resources.map(resource => `    <resource identifier="RES_${resource.identifier}" type="imsqti_item_xmlv2p1" href="${resource.href}"><file href="${resource.href}"/></resource>`),
+        '  </resources>',
+        '</manifest>',
+        ''
+    ].join('\n');
+
+    return {
+        body: createZip([{ name: 'imsmanifest.xml', data: manifest }, { name: 'assessment.xml', data: test }, ...files]),
+        skipped,
+        warnings
+    };
+}
+
+module.exports = {
+    parseQti,
+    serializeQti
+};
@@ -0,0 +1,273 @@
+/**
+ * Assessment question types and the structured fields they carry.
+ *
+ * Multiple choice, true/false, and short answer keep their key in
+ * correctAnswer. The structured types keep it in their own field, and
+ * correctAnswer holds a readable version of it for summaries and exports:
+ *
+ *   numeric            numeric: { value, tolerance, toleranceType, unit }
+ *   fill-in-the-blank  one "___" per blank in the question text;
+ *                      blanks: [{ answers: [String] }] in the same order
+ *   matching           pairs: [{ prompt, match }], distractors: [String]
+ *   ordering           items: [String] in the correct order
+ *
+ * Short-answer questions may carry a rubric (see services/rubric).
+ *
+ * Grading lives in services/objectiveAnswer.
+ */
+
+const { normalizeRubric } = require('./rubric');
+
+const QUESTION_TYPES = Object.freeze([
+    'multiple-choice',
+    'true-false',
+    'short-answer',
+    'numeric',
+    'fill-in-the-blank',
+    'matching',
+    'ordering'
+]);
+const STRUCTURED_TYPES = Object.freeze(['numeric', 'fill-in-the-blank', 'matching', 'ordering']);
+const TOLERANCE_TYPES = Object.freeze(['absolute', 'percent']);
+const BLANK_MARKER = /_{3,}/g;
+const MIN_PAIRS = 2;
+const MAX_PAIRS = 12;
+const MIN_ITEMS = 2;
+const MAX_ITEMS = 12;
+
+function isStructuredType(questionType) {
+    return STRUCTURED_TYPES.includes(questionType);
+}
+
+function cleanText(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+function cleanList(values) {
+    return (Array.isArray(values) ? values : []).map(cleanText).filter(Boolean);
+}
+
+function countBlanks(text) {
+    return (String(text || '').match(BLANK_MARKER) || []).length;
+}
+
+function formatNumber(value) {
+    return String(Number(value.toPrecision(12)));
+}
+
+/**
+ * Readable answer key for a structured question, e.g. "-30.5 kJ/mol (± 0.5)"
+ * @param {Object} question - Normalized question
+ * @returns {string}
+ */
+function formatCorrectAnswer(question) {
+    switch (question.questionType) {
+        case 'numeric': {
+            const { value, tolerance, toleranceType, unit } = question.numeric;
+            const answer = unit ? `${formatNumber(value)} ${unit}` : formatNumber(value);
+            if (!tolerance) return answer;
+            return toleranceType === 'percent'
+                ? `${answer} (± ${formatNumber(tolerance)}%)`
+                : `${answer} (± ${formatNumber(tolerance)})`;
+        }
+        case 'fill-in-the-blank':
+            return question.blanks.map((blank, index) => `${index + 1}) ${blank.answers[0]}`).join('; ');
+        case 'matching':
+            return question.pairs.map(pair => `${pair.prompt} → ${pair.match}`).join('; ');
+        case 'ordering':
+            return question.items.join(' → ');
+        default:
+            return question.correctAnswer;
+    }
+}
+
+function normalizeNumeric(numeric) {
+    if (!numeric || typeof numeric !== 'object') {
+        return { error: 'numeric questions need a numeric answer: { value, tolerance, toleranceType, unit }' };
+    }
+    const value = Number(numeric.value);
+    if (numeric.value === '' || numeric.value === null || !Number.isFinite(value)) {
+        return { error: 'numeric.value must be a number' };
+    }
+    const tolerance = numeric.tolerance === undefined || numeric.tolerance === null || numeric.tolerance === ''
+        ? 0
+        : Number(numeric.tolerance);
+    if (!Number.isFinite(tolerance) || tolerance < 0) {
+        return { error: 'numeric.tolerance must be zero or a positive number' };
+    }
+    const toleranceType = numeric.toleranceType || 'absolute';
+    if (!TOLERANCE_TYPES.includes(toleranceType)) {
+        return { error: `numeric.toleranceType must be one of: ${TOLERANCE_TYPES.join(', ')}` };
+    }
+    return { value: { value, tolerance, toleranceType, unit: cleanText(numeric.unit) } };
+}
+
+function normalizeBlanks(questionText, blanks) {
+    const expected = countBlanks(questionText);
+    if (expected === 0) {
+        return { error: 'fill-in-the-blank questions need at least one ___ blank in the question text' };
+    }
+    if (!Array.isArray(blanks) || blanks.length !== expected) {
+        return { error: `blanks must list accepted answers for each of the ${expected} blank(s) in the question` };
+    }
+    const normalized = blanks.map(blank => ({
+        answers: cleanList(Array.isArray(blank) ? blank : blank && blank.answers)
+    }));
+    const emptyIndex = normalized.findIndex(blank => blank.answers.length === 0);
+    if (emptyIndex >= 0) {
+        return { error: `blank ${emptyIndex + 1} needs at least one accepted answer` };
+    }
+    return { value: normalized };
+}
+
+function normalizePairs(pairs, distractors) {
+    const normalized = (Array.isArray(pairs) ? pairs : []).map(pair => ({
+        prompt: cleanText(pair && pair.prompt),
+        match: cleanText(pair && pair.match)
+    }));
+    if (normalized.length < MIN_PAIRS || normalized.length > MAX_PAIRS) {
+        return { error: `matching questions need between ${MIN_PAIRS} and ${MAX_PAIRS} pairs` };
+    }
+    if (normalized.some(pair => !pair.prompt || !pair.match)) {
+        return { error: 'every matching pair needs a prompt and a match' };
+    }
+    const prompts = new Set(normalized.map(pair => pair.prompt.toLowerCase()));
+    if (prompts.size !== normalized.length) {
+        return { error: 'matching prompts must be unique' };
+    }
+    const matches = new Set(normalized.map(pair => pair.match.toLowerCase()));
+    const extra = cleanList(distractors).filter(item => !matches.has(item.toLowerCase()));
+    return { value: { pairs: normalized, distractors: [...new Set(extra)] } };
+}
+
+function normalizeItems(items) {
+    const normalized = cleanList(items);
+    if (normalized.length < MIN_ITEMS || normalized.length > MAX_ITEMS) {
+        return { error: `ordering questions need between ${MIN_ITEMS} and ${MAX_ITEMS} items` };
+    }
+    if (new Set(normalized.map(item => item.toLowerCase())).size !== normalized.length) {
+        return { error: 'ordering items must be unique' };
+    }
+    return { value: normalized };
+}
+
+/**
+ * Check the type-specific fields of a question: fill in correctAnswer for
+ * the structured types, and validate a short-answer rubric (a rubric on any
+ * other type is dropped). Other fields pass through unchanged.
+ * @param {Object} question - Question payload
+ * @returns {Object} { valid, question, error }
+ */
+function normalizeQuestionFields(question = {}) {
+    const { questionType } = question;
+    if (!QUESTION_TYPES.includes(questionType)) {
+        return { valid: false, error: `questionType must be one of: ${QUESTION_TYPES.join(', ')}` };
+    }
+    if (question.rubric !== undefined) {
+        // Only short answers are graded with a rubric
+        const rubric = questionType === 'short-answer' ? normalizeRubric(question.rubric) : { valid: true, rubric: null };
+        if (!rubric.valid) {
+            return { valid: false, error: rubric.error };
+        }
+        question = { ...question, rubric: rubric.rubric };
+    }
+    if (!isStructuredType(questionType)) {
+        return { valid: true, question };
+    }
+
+    const normalized = { ...question };
+    let result;
+    switch (questionType) {
+        case 'numeric':
+            result = normalizeNumeric(question.numeric);
+            if (result.value) normalized.numeric = result.value;
+            break;
+        case 'fill-in-the-blank':
+            result = normalizeBlanks(question.question, question.blanks);
+            if (result.value) normalized.blanks = result.value;
+            break;
+        case 'matching':
+            result = normalizePairs(question.pairs, question.distractors);
+            if (result.value) Object.assign(normalized, result.value);
+            break;
+        default:
+            result = normalizeItems(question.items);
+            if (result.value) normalized.items = result.value;
+    }
+    if (result.error) {
+        return { valid: false, error: result.error };
+    }
+
+    normalized.correctAnswer = formatCorrectAnswer(normalized);
+    return { valid: true, question: normalized };
+}
+
+/**
+ * Deterministic shuffle (Fisher-Yates over a seeded LCG) so a question shows
+ * its choices in the same scrambled order each time it is loaded
+ * @param {Array} values
+ * @param {string} seed
+ * @returns {Array}
+ */
+function seededShuffle(values, seed) {
+    let state = 0;
+    for (const char of String(seed)) {
+        state = (state * 31 + char.charCodeAt(0)) >>> 0;
+    }
+    const shuffled = [...values];
+    for (let i = shuffled.length - 1; i > 0; i -= 1) {
+        state = (state * 1664525 + 1013904223) >>> 0;
+        const j = state % (i + 1);
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+/**
+ * The parts of a structured question a student needs to answer it, without
+ * the key: blank count, matching prompts with scrambled choices, and
+ * scrambled ordering items
+ * @param {Object} question - Stored question
+ * @returns {Object} Fields to merge into the student view
+ */
+function toStudentFields(question) {
+    const seed = question.questionId || question.question || '';
+    switch (question.questionType) {
+        case 'numeric':
+            return { unit: question.numeric && question.numeric.unit ? question.numeric.unit : '' };
+        case 'fill-in-the-blank':
+            return { blankCount: Array.isArray(question.blanks) ? question.blanks.length : countBlanks(question.question) };
+        case 'matching': {
+            const pairs = Array.isArray(question.pairs) ? question.pairs : [];
+            const choices = [...pairs.map(pair => pair.match), ...(question.distractors || [])];
+            return {
+                prompts: pairs.map(pair => pair.prompt),
+                choices: seededShuffle(choices, seed)
+            };
+        }
+        case 'ordering': {
+            const items = Array.isArray(question.items) ? question.items : [];
+            const shuffled = seededShuffle(items, seed);
+            // Never hand out the answer as the starting order
+            if (items.length > 1 && shuffled.every((item, index) => item === items[index])) {
+                shuffled.push(shuffled.shift());
+            }
+            return { items: shuffled };
+        }
+        default:
+            return {};
+    }
+}
+
+module.exports = {
+    BLANK_MARKER,
+    QUESTION_TYPES,
+    STRUCTURED_TYPES,
+    TOLERANCE_TYPES,
+    countBlanks,
+    formatCorrectAnswer,
+    isStructuredType,
+    normalizeQuestionFields,
+    seededShuffle,
+    toStudentFields
+};
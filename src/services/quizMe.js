@@ -0,0 +1,352 @@
+/**
+ * Socratic "quiz me" chat mode.
+ *
+ * In this mode BiocBot asks the student short questions drawn from the unit's
+ * active assessment questions instead of answering theirs. Each reply is
+ * graded (objective and structured questions locally, short answers by the
+ * LLM), the next
+ * question gets harder after a correct answer and easier after a miss, and
+ * questions favour learning objectives the student has not yet shown they
+ * know. The session ends with a summary of mastered and weak objectives.
+ *
+ * Session state lives in QuizMeSession; this module holds the rules.
+ */
+
+const { evaluateObjectiveAnswer, isAutoGradedQuestion } = require('./objectiveAnswer');
+const { toStudentFields } = require('./questionTypes');
+const { formatRubricBreakdown, gradeShortAnswer } = require('./rubric');
+
+const QUIZ_ME_MODE = 'quizme';
+const DIFFICULTY_LEVELS = Object.freeze(['easy', 'medium', 'hard']);
+const DEFAULT_DIFFICULTY = 'medium';
+const DEFAULT_QUESTION_COUNT = 5;
+// Share of an objective's questions answered correctly to count it as mastered
+const MASTERY_THRESHOLD = 0.75;
+const STOP_PATTERN = /^\s*(stop|quit|end|finish|done)(\s+(the\s+)?quiz)?\s*[.!]?\s*$/i;
+
+function normalizeDifficulty(value) {
+    const difficulty = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    return DIFFICULTY_LEVELS.includes(difficulty) ? difficulty : DEFAULT_DIFFICULTY;
+}
+
+/**
+ * One level up after a correct answer, one down after a miss
+ * @param {string} current
+ * @param {boolean} correct
+ * @returns {string}
+ */
+function adjustDifficulty(current, correct) {
+    const index = DIFFICULTY_LEVELS.indexOf(normalizeDifficulty(current));
+    const next = Math.min(DIFFICULTY_LEVELS.length - 1, Math.max(0, index + (correct ? 1 : -1)));
+    return DIFFICULTY_LEVELS[next];
+}
+
+/**
+ * Questions the mode can ask: active, with text and an answer to grade against
+ * @param {Array} questions - Unit assessment questions
+ * @returns {Array}
+ */
+function eligibleQuestions(questions) {
+    return (Array.isArray(questions) ? questions : []).filter(question =>
+        question
+        && question.questionId
+        && question.isActive !== false
+        && typeof question.question === 'string' && question.question.trim()
+        && question.correctAnswer !== undefined && question.correctAnswer !== null
+        && String(question.correctAnswer).trim()
+    );
+}
+
+function objectiveOf(question) {
+    return typeof question.learningObjective === 'string' && question.learningObjective.trim()
+        ? question.learningObjective.trim()
+        : null;
+}
+
+/**
+ * Choose the next question. Unasked questions on objectives the student has
+ * not answered come first, then objectives they missed, then the rest; within
+ * a group the question closest to the target difficulty wins.
+ * @param {Array} questions - Eligible questions
+ * @param {Object} state - { askedQuestionIds, results, difficulty }
+ * @param {Function} [random] - Tie-breaker, Math.random by default
+ * @returns {Object|null}
+ */
+function pickNextQuestion(questions, state = {}, random = Math.random) {
+    const asked = new Set(state.askedQuestionIds || []);
+    const results = state.results || [];
+    const target = DIFFICULTY_LEVELS.indexOf(normalizeDifficulty(state.difficulty));
+
+    const answered = new Set();
+    const missed = new Set();
+    for (const result of results) {
+        if (!result.learningObjective) continue;
+        answered.add(result.learningObjective);
+        if (!result.correct) missed.add(result.learningObjective);
+    }
+
+    const priority = (question) => {
+        const objective = objectiveOf(question);
+        if (objective && !answered.has(objective)) return 0;
+        if (objective && missed.has(objective)) return 1;
+        return 2;
+    };
+
+    const candidates = questions
+        .filter(question => !asked.has(question.questionId))
+        .map(question => ({
+            question,
+            priority: priority(question),
+            distance: Math.abs(DIFFICULTY_LEVELS.indexOf(normalizeDifficulty(question.difficulty)) - target),
+            tiebreak: random()
+        }))
+        .sort((a, b) => a.priority - b.priority || a.distance - b.distance || a.tiebreak - b.tiebreak);
+
+    return candidates.length > 0 ? candidates[0].question : null;
+}
+
+/**
+ * Question text as BiocBot asks it in the chat
+ * @param {Object} question
+ * @param {Object} position - { number, total }
+ * @returns {string}
+ */
+function formatQuestion(question, { number, total }) {
+    const lines = [`**Question ${number} of ${total}** (${normalizeDifficulty(question.difficulty)})`];
+    const objective = objectiveOf(question);
+    if (objective) lines.push(`_Objective: ${objective}_`);
+    lines.push('', question.question.trim());
+
+    if (question.questionType === 'multiple-choice' && question.options && typeof question.options === 'object') {
+        lines.push('');
+        for (const [key, text] of Object.entries(question.options)) {
+            if (text) lines.push(`${key}. ${text}`);
+        }
+        lines.push('', 'Reply with the letter of your answer.');
+    } else if (question.questionType === 'true-false') {
+        lines.push('', 'Reply with true or false.');
+    } else if (question.questionType === 'numeric') {
+        const { unit } = toStudentFields(question);
+        lines.push('', unit ? `Reply with a number and its unit (${unit}).` : 'Reply with a number.');
+    } else if (question.questionType === 'fill-in-the-blank') {
+        const { blankCount } = toStudentFields(question);
+        lines.push('', blankCount > 1
+            ? `Reply with the ${blankCount} missing words in order, separated by semicolons.`
+            : 'Reply with the missing word or phrase.');
+    } else if (question.questionType === 'matching') {
+        const { prompts, choices } = toStudentFields(question);
+        lines.push('', ...prompts.map((prompt, index) => `${index + 1}. ${prompt}`));
+        lines.push('', ...choices.map((choice, index) => `${letterFor(index)}. ${choice}`));
+        lines.push('', 'Reply with a letter for each number, like "1B, 2A".');
+    } else if (question.questionType === 'ordering') {
+        const { items } = toStudentFields(question);
+        lines.push('', ...items.map((item, index) => `${letterFor(index)}. ${item}`));
+        lines.push('', 'Reply with the letters in the correct order, like "C, A, B".');
+    } else {
+        lines.push('', 'Answer in a sentence or two.');
+    }
+    return lines.join('\n');
+}
+
+function letterFor(index) {
+    return String.fromCharCode(65 + index);
+}
+
+function pickByLetter(values, letter) {
+    const index = letter.toUpperCase().charCodeAt(0) - 65;
+    return index >= 0 && index < values.length ? values[index] : '';
+}
+
+/**
+ * Turn a chat reply to a structured question into the answer shape the
+ * grader expects: "pyruvate; 2" into blanks, "1B, 2A" into matches in prompt
+ * order, and "C, A, B" into items in the student's order
+ * @param {Object} question
+ * @param {string} answer
+ * @returns {*}
+ */
+function resolveStructuredAnswer(question, answer) {
+    const text = String(answer).trim();
+    switch (question.questionType) {
+        case 'fill-in-the-blank':
+            return text.split(/\s*;\s*|\n+/).map(part => part.trim());
+        case 'matching': {
+            const { prompts, choices } = toStudentFields(question);
+            const matches = new Array(prompts.length).fill('');
+            for (const [, number, letter] of text.matchAll(/(\d+)\s*[-:=.)]?\s*([a-z])\b/gi)) {
+                const index = Number(number) - 1;
+                if (index >= 0 && index < prompts.length) matches[index] = pickByLetter(choices, letter);
+            }
+            return matches;
+        }
+        case 'ordering': {
+            const { items } = toStudentFields(question);
+            return (text.match(/\b[a-z]\b/gi) || []).map(letter => pickByLetter(items, letter));
+        }
+        default:
+            return text;
+    }
+}
+
+/**
+ * Map a reply like "b)", "B. Glycolysis", or the option text to the option
+ * key, and "t"/"yes" to true, so objective grading compares like with like
+ * @param {Object} question
+ * @param {string} answer
+ * @returns {string}
+ */
+function resolveObjectiveAnswer(question, answer) {
+    const text = String(answer).trim();
+    if (question.questionType === 'true-false') {
+        if (/^(t|true|yes|y)\.?$/i.test(text)) return 'true';
+        if (/^(f|false|no|n)\.?$/i.test(text)) return 'false';
+        return text;
+    }
+
+    const options = question.options && typeof question.options === 'object' ? question.options : {};
+    const keys = Object.keys(options);
+    const letter = /^\(?([a-z])(?:[.):]|$)/i.exec(text);
+    if (letter) {
+        const key = keys.find(k => k.toLowerCase() === letter[1].toLowerCase());
+        if (key) return key;
+    }
+    const byText = keys.find(key => String(options[key]).trim().toLowerCase() === text.toLowerCase());
+    return byText || text;
+}
+
+/**
+ * Grade a reply to a question
+ * @param {Object} question
+ * @param {string} answer - Student reply
+ * @param {Object} context - { llmService, studentName }
+ * @returns {Promise<Object>} { correct, feedback } plus `score` for partial
+ * credit and `rubricScores` for rubric-graded short answers
+ */
+async function gradeAnswer(question, answer, { llmService, studentName = 'Student' } = {}) {
+    if (isAutoGradedQuestion(question)) {
+        const resolved = question.questionType === 'multiple-choice' || question.questionType === 'true-false'
+            ? resolveObjectiveAnswer(question, answer)
+            : resolveStructuredAnswer(question, answer);
+        const evaluated = evaluateObjectiveAnswer(question, resolved);
+        const explanation = !evaluated.correct && question.explanation ? ` ${question.explanation}` : '';
+        const grade = { correct: evaluated.correct, feedback: evaluated.feedback + explanation };
+        if (typeof evaluated.score === 'number') grade.score = evaluated.score;
+        return grade;
+    }
+
+    const result = await gradeShortAnswer(llmService, question, answer, studentName);
+    const grade = { correct: result.correct === true, feedback: result.feedback || '' };
+    if (Array.isArray(result.criteria)) {
+        grade.score = result.score;
+        grade.rubricScores = result.criteria;
+        grade.feedback = [grade.feedback, formatRubricBreakdown(result)].filter(Boolean).join('\n\n');
+    }
+    return grade;
+}
+
+/**
+ * The approved struggle topic a question is about, if any: an exact match of
+ * its learning objective, or a topic named in the objective, question, or tags
+ * @param {Object} question
+ * @param {Array<string>} approvedTopics
+ * @returns {string|null}
+ */
+function matchStruggleTopic(question, approvedTopics) {
+    const topics = (approvedTopics || []).filter(topic => typeof topic === 'string' && topic.trim());
+    const objective = (objectiveOf(question) || '').toLowerCase();
+    const exact = topics.find(topic => topic.trim().toLowerCase() === objective);
+    if (exact) return exact;
+
+    const haystack = [objective, question.question, ...(Array.isArray(question.tags) ? question.tags : [])]
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase();
+    return topics.find(topic => haystack.includes(topic.trim().toLowerCase())) || null;
+}
+
+function isStopRequest(message) {
+    return STOP_PATTERN.test(String(message || ''));
+}
+
+/**
+ * Per-objective results for the end-of-session summary
+ * @param {Array} results - Graded answers { learningObjective, correct }
+ * @param {Array<string>} objectives - The unit's learning objectives
+ * @returns {Object} { answered, correct, accuracy, mastered, weak, notCovered }
+ */
+function summarizeResults(results, objectives = []) {
+    const byObjective = new Map();
+    for (const result of results || []) {
+        if (!result.learningObjective) continue;
+        const entry = byObjective.get(result.learningObjective) || { total: 0, correct: 0 };
+        entry.total += 1;
+        if (result.correct) entry.correct += 1;
+        byObjective.set(result.learningObjective, entry);
+    }
+
+    const mastered = [];
+    const weak = [];
+    for (const [objective, entry] of byObjective) {
+        (entry.correct / entry.total >= MASTERY_THRESHOLD ? mastered : weak).push(objective);
+    }
+    const covered = new Set(byObjective.keys());
+    const notCovered = (objectives || [])
+        .filter(objective => typeof objective === 'string' && objective.trim() && !covered.has(objective.trim()))
+        .map(objective => objective.trim());
+
+    const answered = (results || []).length;
+    const correct = (results || []).filter(result => result.correct).length;
+    return {
+        answered,
+        correct,
+        accuracy: answered > 0 ? Math.round((correct / answered) * 100) : 0,
+        mastered,
+        weak,
+        notCovered
+    };
+}
+
+/**
+ * Summary text BiocBot ends the session with
+ * @param {Object} summary - Result of summarizeResults
+ * @returns {string}
+ */
+function formatSummary(summary) {
+    if (summary.answered === 0) {
+        return 'Quiz ended before any questions were answered. Switch quiz me back on whenever you are ready.';
+    }
+    const lines = [`**Quiz complete:** ${summary.correct} of ${summary.answered} correct (${summary.accuracy}%).`];
+    if (summary.mastered.length > 0) {
+        lines.push('', '**Mastered**', ...summary.mastered.map(objective => `- ${objective}`));
+    }
+    if (summary.weak.length > 0) {
+        lines.push('', '**Worth reviewing**', ...summary.weak.map(objective => `- ${objective}`));
+    }
+    if (summary.notCovered.length > 0) {
+        lines.push('', '**Not covered this time**', ...summary.notCovered.map(objective => `- ${objective}`));
+    }
+    lines.push('', summary.weak.length > 0
+        ? 'Ask me about the objectives worth reviewing, or start another quiz to try again.'
+        : 'Nice work! Start another quiz any time.');
+    return lines.join('\n');
+}
+
+module.exports = {
+    DEFAULT_DIFFICULTY,
+    DEFAULT_QUESTION_COUNT,
+    DIFFICULTY_LEVELS,
+    MASTERY_THRESHOLD,
+    QUIZ_ME_MODE,
+    adjustDifficulty,
+    eligibleQuestions,
+    formatQuestion,
+    formatSummary,
+    gradeAnswer,
+    isStopRequest,
+    matchStruggleTopic,
+    normalizeDifficulty,
+    pickNextQuestion,
+    resolveObjectiveAnswer,
+    resolveStructuredAnswer,
+    summarizeResults
+};
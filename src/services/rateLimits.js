@@ -0,0 +1,185 @@
+/**
+ * Per-user limits on the student AI endpoints.
+ *
+ * Platform defaults per role live in the settings collection:
+ *
+ *   {
+ *     _id: 'rateLimits',
+ *     roles: {
+ *       student:    { requestsPerMinute, burstLimit, tokensPerDay },
+ *       ta:         { ... },
+ *       instructor: { ... }
+ *     }
+ *   }
+ *
+ * A course may override any role with `courses.rateLimits.<role>`; roles it
+ * leaves out use the platform default. A null limit means no limit.
+ */
+
+const SETTINGS_ID = 'rateLimits';
+const CACHE_TTL_MS = 30 * 1000;
+
+const RATE_LIMIT_ROLES = ['student', 'ta', 'instructor'];
+
+// Burst limits count requests in a short window so a script is stopped
+// before it can use a whole minute's allowance at once.
+const BURST_WINDOW_SECONDS = 10;
+
+const LIMIT_RANGES = Object.freeze({
+    requestsPerMinute: { min: 1, max: 600 },
+    burstLimit: { min: 1, max: 100 },
+    tokensPerDay: { min: 1, max: 1e9 }
+});
+
+const DEFAULT_RATE_LIMITS = Object.freeze({
+    student: Object.freeze({ requestsPerMinute: 10, burstLimit: 4, tokensPerDay: 200000 }),
+    ta: Object.freeze({ requestsPerMinute: 30, burstLimit: 10, tokensPerDay: null }),
+    instructor: Object.freeze({ requestsPerMinute: null, burstLimit: null, tokensPerDay: null })
+});
+
+let cache = null;
+let cacheAt = 0;
+
+function invalidateCache() {
+    cache = null;
+    cacheAt = 0;
+}
+
+function normalizeRole(role) {
+    return RATE_LIMIT_ROLES.includes(role) ? role : 'student';
+}
+
+function normalizeLimit(value, { min, max }) {
+    if (value === undefined || value === null || value === '') return { valid: true, limit: null };
+    const parsed = Number(value);
+    const valid = Number.isInteger(parsed) && parsed >= min && parsed <= max;
+    return { valid, limit: valid ? parsed : null };
+}
+
+/**
+ * Normalize one role's limits. Strict mode (admin/instructor input) returns
+ * null if any field is invalid; lenient mode repairs stored values to the
+ * fallback.
+ */
+function normalizeRoleLimits(value, fallback, { strict = false } = {}) {
+    const source = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+    const limits = {};
+    for (const [field, range] of Object.entries(LIMIT_RANGES)) {
+        if (!strict && !(field in source)) {
+            limits[field] = fallback[field];
+            continue;
+        }
+        const { valid, limit } = normalizeLimit(source[field], range);
+        if (!valid) {
+            if (strict) return null;
+            limits[field] = fallback[field];
+            continue;
+        }
+        limits[field] = limit;
+    }
+    return limits;
+}
+
+/**
+ * Normalize platform limits for every role; same lenient/strict split.
+ */
+function normalizeRateLimits(value, { strict = false } = {}) {
+    const source = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+    const limits = {};
+    for (const role of RATE_LIMIT_ROLES) {
+        const roleLimits = normalizeRoleLimits(source[role], DEFAULT_RATE_LIMITS[role], { strict });
+        if (!roleLimits) return null;
+        limits[role] = roleLimits;
+    }
+    return limits;
+}
+
+/**
+ * Normalize a course override. Only the roles present are kept, so the rest
+ * keep following the platform defaults.
+ */
+function normalizeCourseRateLimits(value, { strict = false } = {}) {
+    const source = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+    const overrides = {};
+    for (const role of RATE_LIMIT_ROLES) {
+        if (source[role] === undefined || source[role] === null) continue;
+        const roleLimits = normalizeRoleLimits(source[role], DEFAULT_RATE_LIMITS[role], { strict });
+        if (!roleLimits) return null;
+        overrides[role] = roleLimits;
+    }
+    return overrides;
+}
+
+/**
+ * Platform defaults for every role
+ * @param {Object} db - MongoDB database instance
+ * @returns {Promise<Object>} { student, ta, instructor }
+ */
+async function getPlatformRateLimits(db) {
+    if (cache && Date.now() - cacheAt < CACHE_TTL_MS) return cache;
+    const doc = await db.collection('settings').findOne({ _id: SETTINGS_ID });
+    cache = normalizeRateLimits(doc && doc.roles);
+    cacheAt = Date.now();
+    return cache;
+}
+
+/**
+ * Save platform defaults (system admins)
+ * @param {Object} db - MongoDB database instance
+ * @param {Object} roles - Limits per role
+ * @param {string} updatedById - Admin user ID
+ * @returns {Promise<Object>} { success, limits, error }
+ */
+async function updatePlatformRateLimits(db, roles, updatedById = null) {
+    const limits = normalizeRateLimits(roles, { strict: true });
+    if (!limits) {
+        return { success: false, error: describeLimitRanges() };
+    }
+
+    await db.collection('settings').updateOne(
+        { _id: SETTINGS_ID },
+        { $set: { roles: limits, updatedAt: new Date(), updatedById } },
+        { upsert: true }
+    );
+    invalidateCache();
+    return { success: true, limits };
+}
+
+/**
+ * Limits that apply to one user on one course (or outside any course)
+ * @param {Object} db - MongoDB database instance
+ * @param {Object} scope - { courseId, role }
+ * @returns {Promise<Object>} { requestsPerMinute, burstLimit, tokensPerDay }
+ */
+async function resolveRateLimits(db, { courseId, role } = {}) {
+    const normalizedRole = normalizeRole(role);
+    const platform = await getPlatformRateLimits(db);
+    if (!courseId) return platform[normalizedRole];
+
+    const course = await db.collection('courses').findOne(
+        { courseId, status: { $ne: 'deleted' } },
+        { projection: { rateLimits: 1 } }
+    );
+    const overrides = normalizeCourseRateLimits(course && course.rateLimits);
+    return overrides[normalizedRole] || platform[normalizedRole];
+}
+
+function describeLimitRanges() {
+    const { requestsPerMinute, burstLimit, tokensPerDay } = LIMIT_RANGES;
+    return `Limits must be whole numbers (or empty for no limit): requests per minute ${requestsPerMinute.min}-${requestsPerMinute.max}, burst ${burstLimit.min}-${burstLimit.max}, tokens per day up to ${tokensPerDay.max}`;
+}
+
+module.exports = {
+    BURST_WINDOW_SECONDS,
+    DEFAULT_RATE_LIMITS,
+    LIMIT_RANGES,
+    RATE_LIMIT_ROLES,
+    describeLimitRanges,
+    getPlatformRateLimits,
+    invalidateCache,
+    normalizeCourseRateLimits,
+    normalizeRateLimits,
+    normalizeRole,
+    resolveRateLimits,
+    updatePlatformRateLimits
+};
@@ -0,0 +1,213 @@
+/**
+ * Re-ranker Service
+ * Second-stage ordering for retrieved chunks. The caller over-fetches
+ * candidates from Qdrant; each (question, chunk) pair is scored here and only
+ * the best `keep` chunks go into the prompt.
+ *
+ * Two scorers ship with the app:
+ *   - 'llm'   — one batched relevance-grading call on the back-end LLM lane
+ *   - 'local' — in-process scorer, BM25 term overlap by default; deployments
+ *               can swap in their own (e.g. a local cross-encoder) with
+ *               setLocalScorer()
+ *
+ * Every run returns a trace recording where each candidate started and ended
+ * up, so instructors can see why a source was (or was not) cited.
+ */
+
+const { LANES } = require('./llmLanes');
+const { FEATURES } = require('./llmFeatures');
+const { buildLexicalIndex } = require('./lexicalSearch');
+
+const MAX_PASSAGE_CHARACTERS = 1200;
+const LLM_SCORE_MAX = 10;
+
+/**
+ * Default local scorer: BM25 over the candidate set itself, normalized to 0-1.
+ * @param {string} query
+ * @param {Array<Object>} candidates - Search results with chunkText
+ * @returns {Promise<number[]>} One score per candidate
+ */
+async function lexicalOverlapScorer(query, candidates) {
+    const index = buildLexicalIndex(candidates.map((candidate, position) => ({
+        id: position,
+        text: candidate.chunkText
+    })));
+    const hits = index.search(query, candidates.length);
+    const best = hits.length > 0 ? hits[0].score : 0;
+    const scores = candidates.map(() => 0);
+    for (const hit of hits) {
+        scores[hit.id] = best > 0 ? hit.score / best : 0;
+    }
+    return scores;
+}
+
+let localScorer = lexicalOverlapScorer;
+
+/**
+ * Replace the 'local' scorer. Pass nothing to restore the built-in one.
+ * @param {function(string, Array<Object>): Promise<number[]>} [scorer] - Returns
+ *   one number per candidate, higher = more relevant
+ */
+function setLocalScorer(scorer) {
+    localScorer = typeof scorer === 'function' ? scorer : lexicalOverlapScorer;
+}
+
+function buildLlmRerankPrompt(query, candidates) {
+    const passages = candidates.map((candidate, position) => {
+        const text = String(candidate.chunkText || '').replace(/\s+/g, ' ').trim()
+            .slice(0, MAX_PASSAGE_CHARACTERS);
+        return `[${position + 1}] (${candidate.fileName || 'unknown file'})\n${text}`;
+    }).join('\n\n');
+
+    return `Rate how useful each course-material passage is for answering the student's question.
+
+Question: "${query}"
+
+Passages:
+${passages}
+
+Score every passage from 0 (irrelevant) to ${LLM_SCORE_MAX} (directly answers the question).
+Return JSON only, in this shape:
+{"scores": [{"passage": 1, "score": 7, "reason": "short phrase"}]}`;
+}
+
+function parseLlmScores(content, candidateCount) {
+    const raw = String(content || '').replace(/```json/g, '').replace(/```/g, '').trim();
+    const jsonStart = raw.indexOf('{');
+    const jsonEnd = raw.lastIndexOf('}') + 1;
+    if (jsonStart === -1 || jsonEnd <= jsonStart) {
+        throw new Error('Re-rank response was not JSON');
+    }
+
+    const parsed = JSON.parse(raw.slice(jsonStart, jsonEnd));
+    if (!Array.isArray(parsed.scores)) {
+        throw new Error('Re-rank response had no scores');
+    }
+
+    const scores = new Array(candidateCount).fill(null);
+    const reasons = new Array(candidateCount).fill(null);
+    for (const entry of parsed.scores) {
+        const position = Number(entry && entry.passage) - 1;
+        const score = Number(entry && entry.score);
+        if (!Number.isInteger(position) || position < 0 || position >= candidateCount) continue;
+        if (!Number.isFinite(score)) continue;
+        scores[position] = Math.max(0, Math.min(LLM_SCORE_MAX, score)) / LLM_SCORE_MAX;
+        reasons[position] = typeof entry.reason === 'string' ? entry.reason.slice(0, 200) : null;
+    }
+    if (scores.every(score => score === null)) {
+        throw new Error('Re-rank response scored no passages');
+    }
+    // A passage the model skipped ranks below every scored one.
+    return { scores: scores.map(score => (score === null ? -1 : score)), reasons };
+}
+
+async function scoreWithLlm(query, candidates, llmService) {
+    if (!llmService || typeof llmService.sendMessage !== 'function') {
+        throw new Error('LLM re-ranking needs an LLM service');
+    }
+    const response = await llmService.sendMessage(buildLlmRerankPrompt(query, candidates), {
+        lane: LANES.BACKEND,
+        feature: FEATURES.RERANK,
+        temperature: 0,
+        maxTokens: 60 + candidates.length * 40,
+        response_format: { type: 'json_object' },
+        systemPrompt: 'You grade passage relevance for a retrieval system. Output JSON only.'
+    });
+    return parseLlmScores(response && response.content, candidates.length);
+}
+
+function describeMovement(originalRank, finalRank, keep) {
+    if (finalRank === null) {
+        return originalRank <= keep ? 'dropped' : 'not_selected';
+    }
+    if (finalRank < originalRank) return 'promoted';
+    if (finalRank > originalRank) return 'demoted';
+    return 'unchanged';
+}
+
+/**
+ * Re-order candidates by relevance to the question and keep the best N
+ * @param {string} query - The student's question
+ * @param {Array<Object>} candidates - Search results in retrieval order
+ * @param {Object} options
+ * @param {number} options.keep - How many chunks to return
+ * @param {string} [options.scorer='llm'] - 'llm' or 'local'
+ * @param {Object} [options.llmService] - Required for the 'llm' scorer
+ * @returns {Promise<{results: Array<Object>, trace: Object}>} `results` carry
+ *   `rerankScore`; on scorer failure they fall back to retrieval order and the
+ *   trace records `fallbackReason`
+ */
+async function rerankChunks(query, candidates, { keep, scorer = 'llm', llmService } = {}) {
+    const list = Array.isArray(candidates) ? candidates : [];
+    const limit = Number.isInteger(keep) && keep > 0 ? keep : list.length;
+
+    let scores = null;
+    let reasons = list.map(() => null);
+    let fallbackReason = null;
+    if (list.length > 0) {
+        try {
+            if (scorer === 'local') {
+                scores = await localScorer(query, list);
+                if (!Array.isArray(scores) || scores.length !== list.length) {
+                    throw new Error('Local scorer must return one score per candidate');
+                }
+            } else {
+                ({ scores, reasons } = await scoreWithLlm(query, list, llmService));
+            }
+        } catch (error) {
+            console.warn(`⚠️ [RERANK] ${scorer} scorer failed; keeping retrieval order:`, error.message);
+            scores = null;
+            fallbackReason = error.message;
+        }
+    }
+
+    // Stable sort: ties keep their retrieval order.
+    const order = list.map((_, position) => position);
+    if (scores) {
+        order.sort((a, b) => (Number(scores[b]) || 0) - (Number(scores[a]) || 0) || a - b);
+    }
+    const selected = order.slice(0, limit);
+    const finalRankByPosition = new Map(selected.map((position, index) => [position, index + 1]));
+
+    const results = selected.map(position => ({
+        ...list[position],
+        rerankScore: scores ? scores[position] : null
+    }));
+
+    const chunks = list.map((candidate, position) => {
+        const originalRank = position + 1;
+        const finalRank = finalRankByPosition.has(position) ? finalRankByPosition.get(position) : null;
+        return {
+            id: candidate.id,
+            documentId: candidate.documentId || null,
+            fileName: candidate.fileName || null,
+            lectureName: candidate.lectureName || null,
+            chunkIndex: candidate.chunkIndex ?? null,
+            retrievalScore: typeof candidate.score === 'number' ? candidate.score : null,
+            rerankScore: scores ? scores[position] : null,
+            reason: reasons[position] || null,
+            originalRank,
+            finalRank,
+            movement: scores ? describeMovement(originalRank, finalRank, limit) : (finalRank ? 'unchanged' : 'not_selected')
+        };
+    });
+
+    return {
+        results,
+        trace: {
+            scorer,
+            candidateCount: list.length,
+            keep: limit,
+            fallbackReason,
+            chunks
+        }
+    };
+}
+
+module.exports = {
+    rerankChunks,
+    setLocalScorer,
+    lexicalOverlapScorer,
+    buildLlmRerankPrompt,
+    parseLlmScores
+};
@@ -0,0 +1,240 @@
+/**
+ * Retrieval Evaluation Service
+ * Scores a course's golden set (see models/RetrievalEval) against whatever the
+ * course currently retrieves from, so a chunking, embedding, or top-K change
+ * can be judged by numbers instead of by feel.
+ *
+ * Per golden item:
+ *   - recall@k        share of the expected documents/units found in the top k
+ *   - reciprocal rank 1 / rank of the first relevant chunk (0 if none)
+ *   - faithfulness    how much of a generated answer the retrieved context
+ *                     supports, graded by the back-end LLM (0-1)
+ *   - correctness     agreement with the reference answer, when there is one
+ * A run reports the mean of each; MRR is the mean reciprocal rank.
+ */
+
+const { LANES } = require('./llmLanes');
+const { FEATURES } = require('./llmFeatures');
+
+const METRIC_KEYS = Object.freeze(['recallAtK', 'mrr', 'faithfulness', 'correctness']);
+const MAX_CONTEXT_CHARACTERS = 6000;
+
+/**
+ * Whether a retrieved chunk belongs to one of the item's expected targets
+ * @param {Object} chunk - Search result with documentId / lectureName
+ * @param {Object} item - Golden item
+ * @returns {boolean}
+ */
+function isRelevantChunk(chunk, item) {
+    if (!chunk) return false;
+    return (item.expectedDocumentIds || []).includes(chunk.documentId)
+        || (item.expectedUnitNames || []).includes(chunk.lectureName);
+}
+
+/**
+ * Share of the item's expected documents and units that appear in the results
+ * @param {Array} results - Retrieved chunks, best first (already cut to k)
+ * @param {Object} item - Golden item
+ * @returns {number} 0-1
+ */
+function recallAtK(results, item) {
+    const targets = [
+        ...(item.expectedDocumentIds || []).map(id => ({ field: 'documentId', value: id })),
+        ...(item.expectedUnitNames || []).map(name => ({ field: 'lectureName', value: name }))
+    ];
+    if (targets.length === 0) return 0;
+    const found = targets.filter(target => results.some(chunk => chunk && chunk[target.field] === target.value));
+    return found.length / targets.length;
+}
+
+/**
+ * @param {Array} results - Retrieved chunks, best first
+ * @param {Object} item - Golden item
+ * @returns {number} 1 / rank of the first relevant chunk, or 0
+ */
+function reciprocalRank(results, item) {
+    const index = results.findIndex(chunk => isRelevantChunk(chunk, item));
+    return index === -1 ? 0 : 1 / (index + 1);
+}
+
+function mean(values) {
+    const present = values.filter(value => typeof value === 'number' && Number.isFinite(value));
+    if (present.length === 0) return null;
+    return present.reduce((sum, value) => sum + value, 0) / present.length;
+}
+
+function buildContextText(results) {
+    return results
+        .map(chunk => `From ${chunk.lectureName} (${chunk.fileName}):\n${chunk.chunkText || ''}`)
+        .join('\n\n---\n\n')
+        .slice(0, MAX_CONTEXT_CHARACTERS);
+}
+
+function buildJudgePrompt(item, contextText, answer) {
+    return `Grade an answer produced by a course-material chatbot.
+
+Course context the chatbot was given:
+${contextText || '(none)'}
+
+Question: "${item.question}"
+
+Chatbot answer:
+${answer}
+${item.referenceAnswer ? `\nReference answer written by the instructor:\n${item.referenceAnswer}\n` : ''}
+Return JSON only:
+{"faithfulness": <0-1, share of the answer's claims supported by the course context>, ${item.referenceAnswer ? '"correctness": <0-1, agreement with the reference answer>, ' : ''}"reason": "short phrase"}`;
+}
+
+function parseScore(value) {
+    const score = Number(value);
+    if (!Number.isFinite(score)) return null;
+    return Math.max(0, Math.min(1, score));
+}
+
+function parseJudgement(content) {
+    const raw = String(content || '').replace(/```json/g, '').replace(/```/g, '').trim();
+    const jsonStart = raw.indexOf('{');
+    const jsonEnd = raw.lastIndexOf('}') + 1;
+    if (jsonStart === -1 || jsonEnd <= jsonStart) {
+        throw new Error('Judge response was not JSON');
+    }
+    const parsed = JSON.parse(raw.slice(jsonStart, jsonEnd));
+    const faithfulness = parseScore(parsed.faithfulness);
+    if (faithfulness === null) {
+        throw new Error('Judge response had no faithfulness score');
+    }
+    return {
+        faithfulness,
+        correctness: parseScore(parsed.correctness),
+        reason: typeof parsed.reason === 'string' ? parsed.reason.slice(0, 300) : null
+    };
+}
+
+async function gradeAnswer(item, results, llmService) {
+    const contextText = buildContextText(results);
+    const answerResponse = await llmService.sendMessage(
+        `Use only the provided course context to answer. Cite which unit a fact came from.\n\nCourse context:\n${contextText}\n\nStudent question: ${item.question}`,
+        { lane: LANES.FRONTEND, feature: FEATURES.RETRIEVAL_EVAL, temperature: 0 }
+    );
+    const answer = String((answerResponse && answerResponse.content) || '').trim();
+
+    const judgeResponse = await llmService.sendMessage(buildJudgePrompt(item, contextText, answer), {
+        lane: LANES.BACKEND,
+        feature: FEATURES.RETRIEVAL_EVAL,
+        temperature: 0,
+        maxTokens: 200,
+        response_format: { type: 'json_object' },
+        systemPrompt: 'You grade chatbot answers for a retrieval evaluation. Output JSON only.'
+    });
+    const judgement = parseJudgement(judgeResponse && judgeResponse.content);
+    return {
+        answer,
+        faithfulness: judgement.faithfulness,
+        correctness: item.referenceAnswer ? judgement.correctness : null,
+        judgeReason: judgement.reason
+    };
+}
+
+/**
+ * Run a golden set against a course's current Qdrant collection
+ * @param {Object} options
+ * @param {Array} options.items - Golden items from RetrievalEval.listEvalItems
+ * @param {Object} options.qdrant - QdrantService bound to the collection under test
+ * @param {string} options.courseId
+ * @param {number} options.topK - k for recall@k
+ * @param {string} [options.retrievalMode] - Passed through to searchDocuments
+ * @param {Object} [options.llmService] - Needed when includeAnswers is true
+ * @param {boolean} [options.includeAnswers=true] - Generate and grade answers
+ * @returns {Promise<{metrics: Object, items: Array}>} Per-item results never
+ *   throw: a failed search or grading is recorded on the item as `error`
+ */
+async function evaluateGoldenSet({
+    items,
+    qdrant,
+    courseId,
+    topK,
+    retrievalMode,
+    llmService = null,
+    includeAnswers = true
+}) {
+    const itemResults = [];
+    for (const item of items || []) {
+        const result = {
+            itemId: item.itemId,
+            question: item.question,
+            recall: null,
+            reciprocalRank: null,
+            faithfulness: null,
+            correctness: null,
+            answer: null,
+            judgeReason: null,
+            retrieved: [],
+            error: null
+        };
+
+        try {
+            const searchResults = await qdrant.searchDocuments(item.question, { courseId }, topK, { retrievalMode });
+            const results = (Array.isArray(searchResults) ? searchResults : []).slice(0, topK);
+            result.retrieved = results.map(chunk => ({
+                documentId: chunk.documentId || null,
+                lectureName: chunk.lectureName || null,
+                fileName: chunk.fileName || null,
+                score: typeof chunk.score === 'number' ? chunk.score : null,
+                relevant: isRelevantChunk(chunk, item)
+            }));
+            result.recall = recallAtK(results, item);
+            result.reciprocalRank = reciprocalRank(results, item);
+
+            if (includeAnswers && llmService) {
+                Object.assign(result, await gradeAnswer(item, results, llmService));
+            }
+        } catch (error) {
+            console.warn(`⚠️ [RETRIEVAL_EVAL] Item ${item.itemId} failed:`, error.message);
+            result.error = error.message;
+        }
+        itemResults.push(result);
+    }
+
+    return {
+        metrics: {
+            recallAtK: mean(itemResults.map(result => result.recall)),
+            mrr: mean(itemResults.map(result => result.reciprocalRank)),
+            faithfulness: mean(itemResults.map(result => result.faithfulness)),
+            correctness: mean(itemResults.map(result => result.correctness)),
+            itemCount: itemResults.length,
+            failedCount: itemResults.filter(result => result.error).length
+        },
+        items: itemResults
+    };
+}
+
+/**
+ * Metric-by-metric comparison of two runs' metrics
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {Object} { recallAtK: { before, after, delta }, ... }; delta is
+ *   null unless both sides have the metric
+ */
+function compareMetrics(before, after) {
+    const comparison = {};
+    for (const key of METRIC_KEYS) {
+        const beforeValue = before && typeof before[key] === 'number' ? before[key] : null;
+        const afterValue = after && typeof after[key] === 'number' ? after[key] : null;
+        comparison[key] = {
+            before: beforeValue,
+            after: afterValue,
+            delta: beforeValue !== null && afterValue !== null ? afterValue - beforeValue : null
+        };
+    }
+    return comparison;
+}
+
+module.exports = {
+    METRIC_KEYS,
+    isRelevantChunk,
+    recallAtK,
+    reciprocalRank,
+    parseJudgement,
+    evaluateGoldenSet,
+    compareMetrics
+};
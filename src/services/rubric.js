@@ -0,0 +1,189 @@
+/**
+ * Rubrics for short-answer questions.
+ *
+ * An instructor can attach a rubric to a short-answer question:
+ *
+ *   rubric: {
+ *     criteria: [{ description, points }],      // what earns credit, and how much
+ *     exampleAnswers: [{ answer, points }]      // optional calibration examples
+ *   }
+ *
+ * With a rubric the LLM scores each criterion instead of giving a pass/fail
+ * verdict. scoreRubricEvaluation() turns its reply into the stored shape:
+ * points per criterion (clamped to what the criterion is worth), a 0-1 score,
+ * and `correct` only for full marks, the same rule as the structured types.
+ */
+
+const MAX_CRITERIA = 10;
+const MAX_EXAMPLE_ANSWERS = 5;
+const MAX_CRITERION_POINTS = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_EXAMPLE_LENGTH = 2000;
+
+function cleanText(value, maxLength) {
+    return typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+}
+
+function roundPoints(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Validate a rubric from the question editor or the API
+ * @param {Object} rubric
+ * @returns {Object} { valid, rubric, error }; rubric is null when none was given
+ */
+function normalizeRubric(rubric) {
+    if (rubric === undefined || rubric === null) {
+        return { valid: true, rubric: null };
+    }
+    if (typeof rubric !== 'object' || Array.isArray(rubric)) {
+        return { valid: false, error: 'rubric must be an object with criteria' };
+    }
+
+    const criteria = Array.isArray(rubric.criteria) ? rubric.criteria : [];
+    if (criteria.length === 0) {
+        // An emptied editor clears the rubric
+        return { valid: true, rubric: null };
+    }
+    if (criteria.length > MAX_CRITERIA) {
+        return { valid: false, error: `rubrics can have at most ${MAX_CRITERIA} criteria` };
+    }
+
+    const normalizedCriteria = [];
+    for (const [index, criterion] of criteria.entries()) {
+        const description = cleanText(criterion && criterion.description, MAX_DESCRIPTION_LENGTH);
+        const points = Number(criterion && criterion.points);
+        if (!description) {
+            return { valid: false, error: `rubric criterion ${index + 1} needs a description` };
+        }
+        if (!Number.isFinite(points) || points <= 0 || points > MAX_CRITERION_POINTS) {
+            return { valid: false, error: `rubric criterion ${index + 1} needs points between 0 and ${MAX_CRITERION_POINTS}` };
+        }
+        normalizedCriteria.push({ description, points: roundPoints(points) });
+    }
+
+    const totalPoints = normalizedCriteria.reduce((sum, criterion) => sum + criterion.points, 0);
+    const examples = Array.isArray(rubric.exampleAnswers) ? rubric.exampleAnswers : [];
+    if (examples.length > MAX_EXAMPLE_ANSWERS) {
+        return { valid: false, error: `rubrics can have at most ${MAX_EXAMPLE_ANSWERS} example answers` };
+    }
+
+    const exampleAnswers = [];
+    for (const [index, example] of examples.entries()) {
+        const answer = cleanText(example && example.answer, MAX_EXAMPLE_LENGTH);
+        if (!answer) {
+            return { valid: false, error: `example answer ${index + 1} is empty` };
+        }
+        const hasPoints = example.points !== undefined && example.points !== null && example.points !== '';
+        const points = hasPoints ? Number(example.points) : null;
+        if (hasPoints && (!Number.isFinite(points) || points < 0 || points > totalPoints)) {
+            return { valid: false, error: `example answer ${index + 1} must score between 0 and ${totalPoints} points` };
+        }
+        exampleAnswers.push({ answer, points: hasPoints ? roundPoints(points) : null });
+    }
+
+    return { valid: true, rubric: { criteria: normalizedCriteria, exampleAnswers } };
+}
+
+/**
+ * Whether a stored question has a rubric worth grading with
+ * @param {Object} question
+ * @returns {boolean}
+ */
+function hasRubric(question) {
+    return Boolean(question)
+        && question.questionType === 'short-answer'
+        && Boolean(question.rubric)
+        && Array.isArray(question.rubric.criteria)
+        && question.rubric.criteria.length > 0;
+}
+
+function totalPoints(rubric) {
+    return roundPoints(rubric.criteria.reduce((sum, criterion) => sum + criterion.points, 0));
+}
+
+/**
+ * Turn the grader's per-criterion reply into a score breakdown. Criteria are
+ * matched by position; anything missing earns nothing.
+ * @param {Object} rubric - Normalized rubric
+ * @param {Object} evaluation - { criteria: [{ points, feedback }], feedback }
+ * @returns {Object} { correct, score, pointsEarned, pointsPossible, criteria, feedback }
+ */
+function scoreRubricEvaluation(rubric, evaluation = {}) {
+    const replies = Array.isArray(evaluation.criteria) ? evaluation.criteria : [];
+    const criteria = rubric.criteria.map((criterion, index) => {
+        const reply = replies[index] || {};
+        const earned = Number(reply.points);
+        return {
+            description: criterion.description,
+            points: criterion.points,
+            earned: Number.isFinite(earned) ? roundPoints(Math.min(Math.max(earned, 0), criterion.points)) : 0,
+            feedback: typeof reply.feedback === 'string' ? reply.feedback : ''
+        };
+    });
+
+    const pointsPossible = totalPoints(rubric);
+    const pointsEarned = roundPoints(criteria.reduce((sum, criterion) => sum + criterion.earned, 0));
+    const score = pointsPossible > 0 ? roundPoints(pointsEarned / pointsPossible) : 0;
+    return {
+        correct: pointsEarned === pointsPossible,
+        score,
+        pointsEarned,
+        pointsPossible,
+        criteria,
+        feedback: typeof evaluation.feedback === 'string' ? evaluation.feedback : ''
+    };
+}
+
+/**
+ * Plain-text score breakdown, one line per criterion
+ * @param {Object} result - scoreRubricEvaluation() result
+ * @returns {string}
+ */
+function formatRubricBreakdown(result) {
+    const lines = result.criteria.map(criterion => {
+        const note = criterion.feedback ? ` — ${criterion.feedback}` : '';
+        return `- ${criterion.description}: ${criterion.earned}/${criterion.points}${note}`;
+    });
+    return [`Score: ${result.pointsEarned}/${result.pointsPossible}`, ...lines].join('\n');
+}
+
+/**
+ * Grade a short answer: per criterion when the question has a rubric,
+ * otherwise the plain correct/incorrect evaluation
+ * @param {Object} llmService - LLMService instance
+ * @param {Object} question - { question, correctAnswer, questionType, rubric }
+ * @param {string} studentAnswer
+ * @param {string} studentName
+ * @returns {Promise<Object>} { correct, feedback } plus the score breakdown with a rubric
+ */
+async function gradeShortAnswer(llmService, question, studentAnswer, studentName = 'Student') {
+    if (hasRubric(question)) {
+        return llmService.evaluateWithRubric(
+            question.question,
+            studentAnswer,
+            question.correctAnswer,
+            question.rubric,
+            studentName
+        );
+    }
+    return llmService.evaluateStudentAnswer(
+        question.question,
+        studentAnswer,
+        question.correctAnswer,
+        question.questionType,
+        studentName
+    );
+}
+
+module.exports = {
+    MAX_CRITERIA,
+    MAX_EXAMPLE_ANSWERS,
+    formatRubricBreakdown,
+    gradeShortAnswer,
+    hasRubric,
+    normalizeRubric,
+    scoreRubricEvaluation,
+    totalPoints
+};
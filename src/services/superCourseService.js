@@ -218,7 +218,8 @@ async function getSuperCourseRetrievalPool(db, options = {}) {
                 courseCode: 1,
                 status: 1,
                 yearLevel: 1,
-                approvedStruggleTopics: 1
+                approvedStruggleTopics: 1,
+                ragSettings: 1
             }
         })
         .sort({ courseName: 1, courseId: 1 })
@@ -356,7 +357,12 @@ async function searchSuperCourse(db, query, limit, options = {}) {
     if (courseIds.length > 0 && lectureSlots > 0) {
         const qdrant = options.qdrant || new QdrantService();
         if (!qdrant.client) await qdrant.initialize();
-        const resultsByCourse = await qdrant.searchDocumentsByCourse(query, courseIds, totalK);
+        // Each course keeps its own retrieval mode inside the shared pool.
+        const retrievalModes = Object.fromEntries(pool.map(course => [
+            course.courseId,
+            CourseModel.resolveRagSettings(course).student.retrievalMode
+        ]));
+        const resultsByCourse = await qdrant.searchDocumentsByCourse(query, courseIds, totalK, { retrievalModes });
         lectureResults = mergeBalancedCourseResults(resultsByCourse, totalK);
     }
 
@@ -469,6 +475,7 @@ function buildSuperCourseCitations(searchResults = [], pool = []) {
             lectureName: result.lectureName || null,
             fileName: result.fileName || null,
             documentId: result.documentId || null,
+            documentVersion: result.documentVersion || null,
             score: result.score
         };
     });
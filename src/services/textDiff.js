@@ -0,0 +1,74 @@
+/**
+ * Line diff for prompt history.
+ * Returns only the changed lines (with their line numbers) so each stored
+ * version stays small; the full text lives in the version snapshot.
+ */
+
+// Prompts are a few hundred lines at most; past this the diff is skipped
+// rather than building a huge comparison table.
+const MAX_DIFF_LINES = 2000;
+
+function splitLines(text) {
+    return typeof text === 'string' && text.length ? text.split(/\r?\n/) : [];
+}
+
+/**
+ * Diff two texts line by line (longest common subsequence)
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<Object>|null} [{ op: '-' | '+', line, text }] with 1-based
+ *   line numbers in the old (-) or new (+) text; null when too large to diff
+ */
+function diffLines(before, after) {
+    const oldLines = splitLines(before);
+    const newLines = splitLines(after);
+
+    // Unchanged head and tail need no comparison.
+    let start = 0;
+    while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+        start += 1;
+    }
+    let oldEnd = oldLines.length;
+    let newEnd = newLines.length;
+    while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+        oldEnd -= 1;
+        newEnd -= 1;
+    }
+
+    const a = oldLines.slice(start, oldEnd);
+    const b = newLines.slice(start, newEnd);
+    if (a.length > MAX_DIFF_LINES || b.length > MAX_DIFF_LINES) return null;
+
+    // lengths[i][j] = LCS length of a[i..] and b[j..], stored row-major.
+    const width = b.length + 1;
+    const lengths = new Uint32Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; i -= 1) {
+        for (let j = b.length - 1; j >= 0; j -= 1) {
+            lengths[i * width + j] = a[i] === b[j]
+                ? lengths[(i + 1) * width + j + 1] + 1
+                : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+        }
+    }
+
+    const changes = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            i += 1;
+            j += 1;
+        } else if (i < a.length && (j === b.length || lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+            changes.push({ op: '-', line: start + i + 1, text: a[i] });
+            i += 1;
+        } else {
+            changes.push({ op: '+', line: start + j + 1, text: b[j] });
+            j += 1;
+        }
+    }
+    return changes;
+}
+
+module.exports = {
+    MAX_DIFF_LINES,
+    diffLines
+};
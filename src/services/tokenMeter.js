@@ -0,0 +1,190 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const Course = require('../models/Course');
+const TokenUsage = require('../models/TokenUsage');
+const { featureLabel, isBudgetExemptFeature, isNonEssentialFeature } = require('./llmFeatures');
+
+// How long a meter trusts its budget and spend snapshot before re-reading.
+// Calls made through the meter are added to the snapshot as they finish.
+const STATE_TTL_MS = 15 * 1000;
+// Rough characters-per-token for providers that report no usage.
+const CHARACTERS_PER_TOKEN = 4;
+
+// Per-request token tally, so rate limits can charge the student whose
+// request made the calls (course services are shared between students).
+const requestUsage = new AsyncLocalStorage();
+
+class LlmBudgetError extends Error {
+    constructor(level, period, feature) {
+        const periodLabel = period === 'day' ? 'daily' : 'monthly';
+        super(level === 'degraded'
+            ? `${featureLabel(feature)} is paused because this course is close to its ${periodLabel} AI usage budget.`
+            : `This course has used its ${periodLabel} AI usage budget. AI features resume when the budget resets or an instructor raises it.`);
+        this.name = 'LlmBudgetError';
+        this.code = 'LLM_BUDGET_EXCEEDED';
+        this.level = level;
+        this.period = period;
+        this.feature = feature;
+        this.httpStatus = 429;
+    }
+}
+
+/**
+ * Where a course stands against its budget. The period closest to (or past)
+ * its limit decides the level.
+ * @param {Object} budget - Normalized course token budget
+ * @param {{day: number, month: number}} spend - Tokens used so far
+ * @returns {{level: 'ok'|'degraded'|'exhausted', period: 'day'|'month'|null, usedPercent: {day: number|null, month: number|null}}}
+ */
+function budgetStatus(budget, spend) {
+    const percentOf = (used, limit) => (limit ? Math.round((used / limit) * 1000) / 10 : null);
+    const usedPercent = {
+        day: percentOf(spend.day, budget.dailyTokens),
+        month: percentOf(spend.month, budget.monthlyTokens)
+    };
+
+    let period = null;
+    for (const key of ['day', 'month']) {
+        if (usedPercent[key] !== null && (period === null || usedPercent[key] > usedPercent[period])) {
+            period = key;
+        }
+    }
+
+    const worst = period ? usedPercent[period] : 0;
+    let level = 'ok';
+    if (worst >= 100) level = 'exhausted';
+    else if (worst >= budget.degradeAtPercent) level = 'degraded';
+
+    return { level, period: level === 'ok' ? null : period, usedPercent };
+}
+
+/**
+ * Budget, spend, and status for one course (used by the usage dashboard)
+ * @param {Object} db - MongoDB database instance
+ * @param {string} courseId - Course identifier
+ * @returns {Promise<Object>} { budget, spend, level, period, usedPercent }
+ */
+async function getBudgetStatus(db, courseId) {
+    const [budgetResult, spend] = await Promise.all([
+        Course.getTokenBudget(db, courseId),
+        TokenUsage.getSpendTotals(db, courseId)
+    ]);
+    const budget = budgetResult.success ? budgetResult.budget : { ...Course.DEFAULT_TOKEN_BUDGET };
+    return { budget, spend, ...budgetStatus(budget, spend) };
+}
+
+function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / CHARACTERS_PER_TOKEN);
+}
+
+/**
+ * Token counts from a provider response. Providers disagree on field names;
+ * when none are reported the counts are estimated from the text.
+ * @param {Object} response - LLM response
+ * @param {string} promptText - Everything sent to the model
+ * @returns {{promptTokens: number, completionTokens: number, totalTokens: number, estimated: boolean}}
+ */
+function usageFromResponse(response, promptText) {
+    const usage = (response && response.usage) || {};
+    const first = (...values) => values.find(value => Number.isFinite(Number(value)) && Number(value) > 0);
+    const promptTokens = first(usage.promptTokens, usage.prompt_tokens, usage.input_tokens);
+    const completionTokens = first(usage.completionTokens, usage.completion_tokens, usage.output_tokens);
+    const totalTokens = first(usage.totalTokens, usage.total_tokens);
+
+    if (promptTokens === undefined && completionTokens === undefined && totalTokens === undefined) {
+        const estimatedPrompt = estimateTokens(promptText);
+        const estimatedCompletion = estimateTokens(response && response.content);
+        return {
+            promptTokens: estimatedPrompt,
+            completionTokens: estimatedCompletion,
+            totalTokens: estimatedPrompt + estimatedCompletion,
+            estimated: true
+        };
+    }
+
+    const prompt = Number(promptTokens || 0);
+    const completion = Number(completionTokens || 0);
+    return {
+        promptTokens: prompt,
+        completionTokens: completion,
+        totalTokens: Number(totalTokens || prompt + completion),
+        estimated: false
+    };
+}
+
+/**
+ * Run `next` with a fresh token tally; every LLM call made while handling it
+ * adds to the returned tally.
+ * @param {Function} next - Continues the request
+ * @returns {{totalTokens: number}} Tally that fills in as calls finish
+ */
+function trackRequestTokens(next) {
+    const tally = { totalTokens: 0 };
+    requestUsage.run(tally, next);
+    return tally;
+}
+
+function addRequestTokens(totalTokens) {
+    const tally = requestUsage.getStore();
+    if (tally) tally.totalTokens += totalTokens;
+}
+
+/**
+ * Meter for a course's LLMService: checks the budget before each call and
+ * records token usage after it. Metering failures are logged and never block
+ * the call; only a budget decision does.
+ * @param {Object} db - MongoDB database instance
+ * @param {string} courseId - Course identifier
+ * @returns {{courseId: string, check: Function, record: Function}}
+ */
+function createCourseMeter(db, courseId) {
+    let state = null;
+
+    async function loadState() {
+        if (state && Date.now() - state.loadedAt < STATE_TTL_MS) return state;
+        const { budget, spend } = await getBudgetStatus(db, courseId);
+        state = { loadedAt: Date.now(), budget, spend };
+        return state;
+    }
+
+    return {
+        courseId,
+
+        async check(feature) {
+            if (isBudgetExemptFeature(feature)) return;
+            let current;
+            try {
+                current = await loadState();
+            } catch (error) {
+                console.warn(`⚠️ [TOKEN_METER] Budget check skipped for ${courseId}:`, error.message);
+                return;
+            }
+            const status = budgetStatus(current.budget, current.spend);
+            if (status.level === 'exhausted'
+                || (status.level === 'degraded' && isNonEssentialFeature(feature))) {
+                throw new LlmBudgetError(status.level, status.period, feature);
+            }
+        },
+
+        async record({ feature, lane, model, usage }) {
+            if (state) {
+                state.spend.day += usage.totalTokens;
+                state.spend.month += usage.totalTokens;
+            }
+            try {
+                await TokenUsage.recordUsage(db, { courseId, feature, lane, model, ...usage });
+            } catch (error) {
+                console.error(`❌ [TOKEN_METER] Error recording usage for ${courseId} (non-blocking):`, error.message);
+            }
+        }
+    };
+}
+
+module.exports = {
+    LlmBudgetError,
+    addRequestTokens,
+    budgetStatus,
+    createCourseMeter,
+    getBudgetStatus,
+    trackRequestTokens,
+    usageFromResponse
+};
@@ -1,4 +1,5 @@
 const { LANES } = require('./llmLanes');
+const { FEATURES } = require('./llmFeatures');
 
 /**
  * Tracker Service
@@ -57,6 +58,7 @@ Rules:
 
             const response = await this.llmService.sendMessage(prompt, {
                 lane: LANES.BACKEND,
+                feature: FEATURES.TRACKER,
                 temperature: 0.1,
                 maxTokens: 220,
                 systemPrompt: "You are an empathetic analyst detecting student struggle. Output JSON only."
@@ -97,6 +99,10 @@ Rules:
             };
 
         } catch (error) {
+            if (error && error.name === 'LlmBudgetError') {
+                console.log(`⏸️ [TRACKER] Skipped: ${error.message}`);
+                return { isStruggling: false, topic: 'unmapped', isMapped: false, reason: 'Budget' };
+            }
             console.error('❌ [TRACKER] Error analyzing message:', error);
             // Fail gracefully - assume no struggle
             return { isStruggling: false, topic: 'unmapped', isMapped: false, reason: 'Error' };
@@ -177,6 +183,7 @@ Rules:
 
             const response = await this.llmService.sendMessage(prompt, {
                 lane: LANES.BACKEND,
+                feature: FEATURES.TRACKER,
                 temperature: 0.1,
                 maxTokens: 220,
                 systemPrompt: "You are an empathetic analyst detecting student struggle across courses. Output JSON only."
@@ -212,6 +219,10 @@ Rules:
             };
 
         } catch (error) {
+            if (error && error.name === 'LlmBudgetError') {
+                console.log(`⏸️ [TRACKER] Skipped: ${error.message}`);
+                return { ...noStruggle, reason: 'Budget' };
+            }
             console.error('❌ [TRACKER] Error analyzing message across courses:', error);
             return { ...noStruggle, reason: 'Error' };
         }
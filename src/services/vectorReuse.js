@@ -0,0 +1,79 @@
+/**
+ * Vector reuse for document revisions
+ *
+ * When an instructor uploads a new version of a document, most of its chunks
+ * are usually unchanged. Every stored chunk carries a `chunkHash` of its text,
+ * so the new version's chunks can be matched against the old ones and only the
+ * changed chunks sent to the embedding provider. The vectors are reused from
+ * the same Qdrant collection, so they always belong to the profile being
+ * written.
+ */
+
+const { contentHash } = require('./embeddingIndexService');
+
+/**
+ * Hash of one chunk's text, stored in its Qdrant payload
+ * @param {string} text
+ * @returns {string} hex digest
+ */
+function chunkHash(text) {
+    return contentHash(text);
+}
+
+/**
+ * Index a document's existing points by chunk hash. Points written before
+ * chunk hashes were stored are hashed from their text.
+ * @param {Array<Object>} points - Qdrant points with payload and vector
+ * @returns {Object} { vectors, reused, embedded } - the running counts are
+ *   updated by embedChunks
+ */
+function createVectorReuse(points = []) {
+    const vectors = new Map();
+    for (const point of points) {
+        const payload = point && point.payload;
+        if (!payload || !Array.isArray(point.vector) || typeof payload.chunkText !== 'string') continue;
+        const hash = payload.chunkHash || chunkHash(payload.chunkText);
+        if (!vectors.has(hash)) vectors.set(hash, point.vector);
+    }
+    return { vectors, reused: 0, embedded: 0 };
+}
+
+/**
+ * Embeddings for a list of chunks, reusing stored vectors for chunks whose
+ * text has not changed. Without a reuse index every chunk is embedded.
+ * @param {Object} qdrantService - Provides generateEmbeddings(chunks)
+ * @param {Array<string>} chunks
+ * @param {Object} [reuse] - From createVectorReuse
+ * @returns {Promise<Array<Array<number>>>} One vector per chunk, in order
+ */
+async function embedChunks(qdrantService, chunks, reuse = null) {
+    if (!reuse) return qdrantService.generateEmbeddings(chunks);
+
+    const embeddings = new Array(chunks.length);
+    const changed = [];
+    chunks.forEach((chunk, index) => {
+        const vector = reuse.vectors.get(chunkHash(chunk));
+        if (vector) embeddings[index] = vector;
+        else changed.push(index);
+    });
+
+    if (changed.length > 0) {
+        const fresh = await qdrantService.generateEmbeddings(changed.map(index => chunks[index]));
+        if (fresh.length !== changed.length) {
+            throw new Error(`Expected ${changed.length} embeddings for changed chunks, received ${fresh.length}`);
+        }
+        changed.forEach((index, position) => {
+            embeddings[index] = fresh[position];
+        });
+    }
+
+    reuse.reused += chunks.length - changed.length;
+    reuse.embedded += changed.length;
+    return embeddings;
+}
+
+module.exports = {
+    chunkHash,
+    createVectorReuse,
+    embedChunks
+};
@@ -0,0 +1,579 @@
+/**
+ * Web page and open-textbook import
+ *
+ * Turns an HTML page, a ZIP of HTML chapters, or an EPUB into course document
+ * text. Navigation, page headers and footers, sidebars, and scripts are
+ * dropped; headings become Markdown headings and images keep their alt text
+ * as "[Figure: ...]" lines. The text is also kept as sections so each chunk
+ * can cite the chapter anchor it came from:
+ *
+ *   { heading, level, anchor, sourceUrl, text }
+ *
+ * sourceUrl is the page URL (or the chapter's path inside the archive) plus
+ * the section's anchor. Pages are fetched through a pluggable fetcher: the
+ * network by default, or a local folder when WEB_IMPORT_FIXTURE_DIR is set,
+ * so imports can be tried without reaching the open web.
+ */
+
+const dns = require('dns').promises;
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const fetch = require('node-fetch');
+const { isZip, readZip } = require('./zipArchive');
+const { child, childElements, descendants, parseXml, textContent: xmlText } = require('./xmlDocument');
+
+const HTML_MIME_TYPES = Object.freeze(['text/html', 'application/xhtml+xml']);
+const EPUB_MIME_TYPE = 'application/epub+zip';
+const ZIP_MIME_TYPES = Object.freeze(['application/zip', 'application/x-zip-compressed']);
+const WEB_IMPORT_MIME_TYPES = Object.freeze([...HTML_MIME_TYPES, EPUB_MIME_TYPE, ...ZIP_MIME_TYPES]);
+const WEB_IMPORT_EXTENSIONS = Object.freeze(['.html', '.htm', '.xhtml', '.zip', '.epub']);
+
+const MAX_FETCH_BYTES = 50 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 20000;
+const MAX_REDIRECTS = 5;
+
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+// Never course content
+const SKIPPED_ELEMENTS = new Set([
+    'script', 'style', 'noscript', 'template', 'nav', 'aside', 'form', 'button', 'select',
+    'textarea', 'iframe', 'object', 'canvas', 'svg', 'head', 'dialog'
+]);
+const SKIPPED_ROLES = new Set(['navigation', 'banner', 'contentinfo', 'complementary', 'search', 'doc-toc']);
+const BOILERPLATE_NAME = /(^|[-_\s])(nav|navbar|navigation|menu|breadcrumbs?|sidebar|toc|footer|masthead|skip-?link|cookies?|share|social|pager|pagination|related|comments?|ads?|advert)([-_\s]|$)/i;
+const BLOCK_ELEMENTS = new Set([
+    'address', 'article', 'blockquote', 'body', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'li', 'main', 'ol', 'p', 'pre', 'section', 'table',
+    'tbody', 'thead', 'tfoot', 'tr', 'ul', 'caption', 'details', 'summary'
+]);
+// Opening one of these closes an unclosed sibling of the same kind
+const SELF_CLOSING_SIBLINGS = new Set(['p', 'li', 'dt', 'dd', 'tr', 'td', 'th', 'option']);
+const HEADING = /^h([1-6])$/;
+
+const ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—',
+    hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', times: '×', deg: '°',
+    plusmn: '±', micro: 'µ', alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', Delta: 'Δ',
+    mu: 'µ', pi: 'π', rarr: '→', larr: '←', harr: '↔', rightleftharpoons: '⇌', le: '≤', ge: '≥',
+    copy: '©', reg: '®', middot: '·', bull: '•', shy: ''
+};
+
+function importError(message, code = 'INVALID_WEB_DOCUMENT') {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' || entity[1] === 'X'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return Number.isFinite(code) && code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+        }
+        return Object.prototype.hasOwnProperty.call(ENTITIES, entity) ? ENTITIES[entity] : match;
+    });
+}
+
+function parseAttributes(source) {
+    const attributes = {};
+    const pattern = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+    let match;
+    while ((match = pattern.exec(source))) {
+        const value = match[2] ?? match[3] ?? match[4] ?? '';
+        attributes[match[1].toLowerCase()] = decodeEntities(value);
+    }
+    return attributes;
+}
+
+/**
+ * Parse HTML into { name, attributes, children } nodes. Lenient the way pages
+ * need: void and unclosed elements, stray end tags, and any letter case.
+ * @param {string} html
+ * @returns {Object} Root node
+ */
+function parseHtml(html) {
+    const root = { name: '#root', attributes: {}, children: [], parent: null };
+    let current = root;
+    const source = String(html || '');
+    const tagPattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<\?[\s\S]*?\?>|<\/\s*([a-zA-Z][\w:-]*)\s*>|<([a-zA-Z][\w:-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>/g;
+    let last = 0;
+    let match;
+
+    const appendText = (text) => {
+        if (text) current.children.push(text);
+    };
+
+    while ((match = tagPattern.exec(source))) {
+        appendText(source.slice(last, match.index));
+        last = tagPattern.lastIndex;
+
+        if (match[1] !== undefined) {
+            appendText(match[1]);
+        } else if (match[2]) {
+            const name = match[2].toLowerCase().replace(/^.*:/, '');
+            // Close back to the matching open element; ignore a stray end tag
+            let open = current;
+            while (open && open.name !== name) open = open.parent;
+            if (open && open !== root) current = open.parent;
+        } else if (match[3]) {
+            const name = match[3].toLowerCase().replace(/^.*:/, '');
+            const rawAttributes = match[4] || '';
+            if (SELF_CLOSING_SIBLINGS.has(name) && current.name === name) current = current.parent;
+            const node = { name, attributes: parseAttributes(rawAttributes), children: [], parent: current };
+            current.children.push(node);
+            if (VOID_ELEMENTS.has(name) || /\/\s*$/.test(rawAttributes)) continue;
+
+            if (name === 'script' || name === 'style') {
+                // Raw text: skip to the end tag without parsing markup inside
+                const end = source.toLowerCase().indexOf(`</${name}`, last);
+                last = end < 0 ? source.length : end;
+                tagPattern.lastIndex = last;
+                continue;
+            }
+            current = node;
+        }
+    }
+    appendText(source.slice(last));
+    return root;
+}
+
+function findNode(node, predicate) {
+    if (typeof node === 'string') return null;
+    if (predicate(node)) return node;
+    for (const childNode of node.children) {
+        const found = findNode(childNode, predicate);
+        if (found) return found;
+    }
+    return null;
+}
+
+function nodeText(node) {
+    if (typeof node === 'string') return decodeEntities(node);
+    if (SKIPPED_ELEMENTS.has(node.name)) return '';
+    if (node.name === 'img') return node.attributes.alt || '';
+    return node.children.map(nodeText).join('');
+}
+
+function collapse(text) {
+    return text.replace(/[\s ]+/g, ' ').trim();
+}
+
+function isBoilerplate(node, insideContent) {
+    if (SKIPPED_ELEMENTS.has(node.name)) return true;
+    const role = (node.attributes.role || '').toLowerCase();
+    if (SKIPPED_ROLES.has(role)) return true;
+    if (node.attributes.hidden !== undefined || node.attributes['aria-hidden'] === 'true') return true;
+    if (/\b(toc|landmarks|page-list)\b/.test(node.attributes['epub:type'] || '')) return true;
+    // A page header or footer; one inside an article or section is the
+    // chapter's own title block
+    if ((node.name === 'header' || node.name === 'footer') && !insideContent) return true;
+    return BOILERPLATE_NAME.test(node.attributes.class || '') || BOILERPLATE_NAME.test(node.attributes.id || '');
+}
+
+/**
+ * The part of a page that holds its content: <main> (or role="main"), else a
+ * lone <article>, else <body>
+ */
+function contentRoot(root) {
+    const main = findNode(root, node => node.name === 'main' || node.attributes.role === 'main');
+    if (main) return main;
+    const articles = [];
+    const collect = (node) => {
+        if (typeof node === 'string') return;
+        if (node.name === 'article') articles.push(node);
+        else node.children.forEach(collect);
+    };
+    collect(root);
+    if (articles.length === 1) return articles[0];
+    return findNode(root, node => node.name === 'body') || root;
+}
+
+function sectionUrl(pageUrl, anchor) {
+    if (!pageUrl) return anchor ? `#${anchor}` : null;
+    const base = pageUrl.split('#')[0];
+    return anchor ? `${base}#${anchor}` : base;
+}
+
+/**
+ * Convert one HTML page into a title, sections, and a figure count
+ * @param {string} html
+ * @param {Object} [options] - { pageUrl } where the page came from (URL or
+ *   archive path), used for section citations
+ * @returns {Object} { title, sections, figureCount }
+ */
+function htmlToSections(html, { pageUrl = null } = {}) {
+    const root = parseHtml(html);
+    const titleNode = findNode(root, node => node.name === 'title');
+    const sections = [];
+    let section = { heading: '', level: 0, anchor: null, lines: [] };
+    let inline = '';
+    let figureCount = 0;
+    // An id on a <section> (or similar) names the heading that opens it
+    let pendingAnchor = null;
+
+    const flush = () => {
+        const line = collapse(inline);
+        if (line) section.lines.push(line);
+        inline = '';
+    };
+    const startSection = (heading, level, anchor) => {
+        flush();
+        sections.push(section);
+        section = { heading, level, anchor, lines: [] };
+    };
+
+    const walk = (node, { insideContent, preformatted, listDepth }) => {
+        if (typeof node === 'string') {
+            const text = decodeEntities(node);
+            inline += preformatted ? text : text.replace(/[\s ]+/g, ' ');
+            return;
+        }
+        if (isBoilerplate(node, insideContent)) return;
+
+        const { name, attributes } = node;
+        const heading = name.match(HEADING);
+        if (heading) {
+            const text = collapse(nodeText(node));
+            if (!text) return;
+            const innerAnchor = findNode(node, candidate => candidate !== node
+                && candidate.name === 'a' && (candidate.attributes.id || candidate.attributes.name));
+            const anchor = attributes.id
+                || (innerAnchor && (innerAnchor.attributes.id || innerAnchor.attributes.name))
+                || pendingAnchor;
+            pendingAnchor = null;
+            startSection(text, Number(heading[1]), anchor || null);
+            return;
+        }
+        if (name === 'img') {
+            const alt = collapse(attributes.alt || '');
+            if (alt) {
+                flush();
+                section.lines.push(`[Figure: ${alt}]`);
+                figureCount += 1;
+            }
+            return;
+        }
+        if (name === 'br') {
+            flush();
+            return;
+        }
+
+        const block = BLOCK_ELEMENTS.has(name);
+        const sectioning = ['section', 'article', 'div', 'main'].includes(name);
+        if (block) flush();
+        if (sectioning && attributes.id) pendingAnchor = attributes.id;
+        if (name === 'li') inline += `${'  '.repeat(Math.max(0, listDepth - 1))}- `;
+
+        const context = {
+            insideContent: insideContent || ['article', 'section', 'main'].includes(name),
+            preformatted: preformatted || name === 'pre',
+            listDepth: listDepth + (name === 'ul' || name === 'ol' ? 1 : 0)
+        };
+        if (name === 'pre') {
+            flush();
+            const text = nodeText(node).replace(/\s+$/, '');
+            if (text.trim()) section.lines.push(text);
+        } else {
+            node.children.forEach(childNode => walk(childNode, context));
+        }
+
+        if (name === 'td' || name === 'th') inline += ' | ';
+        if (block) flush();
+        if (sectioning && attributes.id && pendingAnchor === attributes.id) pendingAnchor = null;
+    };
+
+    walk(contentRoot(root), { insideContent: false, preformatted: false, listDepth: 0 });
+    startSection('', 0, null);
+
+    const kept = sections
+        .map(entry => ({
+            heading: entry.heading,
+            level: entry.level,
+            anchor: entry.anchor,
+            sourceUrl: sectionUrl(pageUrl, entry.anchor),
+            text: entry.lines.map(line => line.replace(/\s*\|\s*$/, '')).join('\n').trim()
+        }))
+        .filter(entry => entry.text);
+    const firstHeading = sections.find(entry => entry.level === 1) || sections.find(entry => entry.heading);
+    return {
+        title: collapse(titleNode ? nodeText(titleNode) : '') || (firstHeading ? firstHeading.heading : ''),
+        sections: kept,
+        figureCount
+    };
+}
+
+function resolveArchivePath(fromFile, href) {
+    const target = decodeURIComponent(String(href || '').split('#')[0]);
+    return path.posix.normalize(path.posix.join(path.posix.dirname(fromFile), target)).replace(/^\/+/, '');
+}
+
+function archiveFiles(buffer) {
+    try {
+        return readZip(buffer);
+    } catch (error) {
+        throw importError(`Could not open the archive: ${error.message}`);
+    }
+}
+
+/**
+ * The chapters of an EPUB in reading order
+ * @returns {Object} { title, chapters: [{ path, html }] }
+ */
+function readEpub(files) {
+    const byName = new Map(files.map(file => [file.name, file.data]));
+    const container = byName.get('META-INF/container.xml');
+    if (!container) throw importError('This EPUB has no META-INF/container.xml');
+
+    const rootfile = descendants(parseXml(container), 'rootfile')[0];
+    const packagePath = rootfile && rootfile.attributes['full-path'];
+    if (!packagePath || !byName.has(packagePath)) throw importError('This EPUB has no package document');
+
+    const pkg = parseXml(byName.get(packagePath));
+    const manifest = new Map(childElements(child(pkg, 'manifest'), 'item')
+        .map(item => [item.attributes.id, item.attributes]));
+    const chapters = childElements(child(pkg, 'spine'), 'itemref')
+        .map(itemref => manifest.get(itemref.attributes.idref))
+        // The EPUB 3 navigation document is a table of contents, not a chapter
+        .filter(item => item && !/\bnav\b/.test(item.properties || ''))
+        .map(item => resolveArchivePath(packagePath, item.href))
+        .filter(chapterPath => byName.has(chapterPath))
+        .map(chapterPath => ({ path: chapterPath, html: byName.get(chapterPath).toString('utf8') }));
+    const title = descendants(child(pkg, 'metadata'), 'title')[0];
+    return { title: title ? collapse(xmlText(title)) : '', chapters };
+}
+
+/**
+ * The HTML pages of a ZIP in natural path order ("ch2" before "ch10")
+ */
+function readHtmlArchive(files) {
+    const chapters = files
+        .filter(file => /\.(x?html?)$/i.test(file.name) && !file.name.startsWith('__MACOSX/'))
+        .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+        .map(file => ({ path: file.name, html: file.data.toString('utf8') }));
+    if (chapters.length === 0) throw importError('The ZIP file has no HTML pages');
+    return { title: '', chapters };
+}
+
+/**
+ * Which kind of web document a file is, from its type, name, and bytes
+ * @returns {string|null} 'html' | 'epub' | 'html-zip', or null
+ */
+function detectWebFormat({ mimeType, originalName, buffer }) {
+    const type = String(mimeType || '').toLowerCase().split(';')[0].trim();
+    const extension = path.extname(String(originalName || '')).toLowerCase();
+    if (type === EPUB_MIME_TYPE || extension === '.epub') return 'epub';
+    if (Buffer.isBuffer(buffer) && isZip(buffer)) {
+        const files = archiveFiles(buffer);
+        return files.some(file => file.name === 'META-INF/container.xml') ? 'epub' : 'html-zip';
+    }
+    if (ZIP_MIME_TYPES.includes(type) || extension === '.zip') return 'html-zip';
+    if (HTML_MIME_TYPES.includes(type) || ['.html', '.htm', '.xhtml'].includes(extension)) return 'html';
+    return null;
+}
+
+function sectionMarkdown(section) {
+    if (!section.heading) return section.text;
+    return `${'#'.repeat(Math.max(1, section.level))} ${section.heading}\n\n${section.text}`;
+}
+
+/**
+ * Convert an HTML page, HTML ZIP, or EPUB into document text and sections
+ * @param {Object} input - { buffer, mimeType, originalName, sourceUrl }
+ *   sourceUrl is set for a fetched page and used for its citations
+ * @returns {Object} { format, title, content, sections, figureCount }
+ */
+function convertWebDocument({ buffer, mimeType, originalName, sourceUrl = null }) {
+    const format = detectWebFormat({ mimeType, originalName, buffer });
+    if (!format) {
+        throw importError('Only HTML pages, ZIP files of HTML pages, and EPUB books can be imported', 'UNSUPPORTED_WEB_DOCUMENT');
+    }
+
+    let title = '';
+    let chapters;
+    if (format === 'html') {
+        chapters = [{ path: sourceUrl || path.basename(String(originalName || 'page.html')), html: buffer.toString('utf8') }];
+    } else {
+        const files = archiveFiles(buffer);
+        ({ title, chapters } = format === 'epub' ? readEpub(files) : readHtmlArchive(files));
+    }
+
+    const sections = [];
+    let figureCount = 0;
+    for (const chapter of chapters) {
+        const page = htmlToSections(chapter.html, { pageUrl: chapter.path });
+        title = title || page.title;
+        figureCount += page.figureCount;
+        sections.push(...page.sections);
+    }
+    if (sections.length === 0) {
+        throw importError('No readable text was found in this document');
+    }
+
+    return {
+        format,
+        title,
+        content: sections.map(sectionMarkdown).join('\n\n'),
+        sections: sections.map((section, index) => ({ sectionNumber: index + 1, ...section })),
+        figureCount
+    };
+}
+
+function isPrivateAddress(address) {
+    if (net.isIPv4(address)) {
+        const [a, b] = address.split('.').map(Number);
+        return a === 0 || a === 10 || a === 127
+            || (a === 100 && b >= 64 && b <= 127)
+            || (a === 169 && b === 254)
+            || (a === 172 && b >= 16 && b <= 31)
+            || (a === 192 && b === 168)
+            || a >= 224;
+    }
+    const lower = address.toLowerCase();
+    if (lower.startsWith('::ffff:')) return isPrivateAddress(lower.slice(7));
+    return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower);
+}
+
+/**
+ * Refuse anything but a public http(s) URL, so an import cannot reach the
+ * server's own network
+ */
+async function assertPublicUrl(value, lookup = dns.lookup) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        throw importError('Enter a full web address, starting with https://', 'INVALID_WEB_URL');
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw importError('Only http and https addresses can be imported', 'INVALID_WEB_URL');
+    }
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(host) ? [{ address: host }] : await lookup(host, { all: true });
+    if (addresses.length === 0 || addresses.some(entry => isPrivateAddress(entry.address))) {
+        throw importError('That address is not on the public web', 'INVALID_WEB_URL');
+    }
+    return url;
+}
+
+/**
+ * Fetch pages over the network, following redirects only to public
+ * addresses
+ * @param {Object} [options] - { fetchImpl, lookup, timeoutMs, maxBytes }
+ * @returns {Function} async (url) => { buffer, mimeType, url }
+ */
+function createNetworkFetcher({ fetchImpl = fetch, lookup = dns.lookup, timeoutMs = FETCH_TIMEOUT_MS, maxBytes = MAX_FETCH_BYTES } = {}) {
+    return async (address) => {
+        let url = await assertPublicUrl(address, lookup);
+        for (let redirects = 0; ; redirects += 1) {
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), timeoutMs);
+            try {
+                const response = await fetchImpl(url.href, {
+                    redirect: 'manual',
+                    signal: controller.signal,
+                    size: maxBytes,
+                    headers: { Accept: 'text/html,application/xhtml+xml,application/epub+zip,application/zip;q=0.9,*/*;q=0.5' }
+                });
+                if (response.status >= 300 && response.status < 400 && response.headers.get('location')) {
+                    if (redirects >= MAX_REDIRECTS) throw importError('The page redirected too many times', 'WEB_FETCH_FAILED');
+                    url = await assertPublicUrl(new URL(response.headers.get('location'), url).href, lookup);
+                    continue;
+                }
+                if (!response.ok) {
+                    throw importError(`The page could not be fetched (HTTP ${response.status})`, 'WEB_FETCH_FAILED');
+                }
+                const buffer = await response.buffer();
+                if (buffer.length > maxBytes) throw importError('The page is too large to import', 'WEB_FETCH_FAILED');
+                return { buffer, mimeType: response.headers.get('content-type') || '', url: url.href };
+            } catch (error) {
+                if (error.code) throw error;
+                throw importError(error.name === 'AbortError'
+                    ? 'The page took too long to respond'
+                    : `The page could not be fetched: ${error.message}`, 'WEB_FETCH_FAILED');
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+    };
+}
+
+/**
+ * Serve URLs from a local folder instead of the network:
+ * https://host/path/page.html is read from <dir>/host/path/page.html
+ * (a path ending in "/" reads index.html)
+ */
+function createFixtureFetcher(dir) {
+    const types = { '.html': 'text/html', '.htm': 'text/html', '.xhtml': 'application/xhtml+xml', '.epub': EPUB_MIME_TYPE, '.zip': 'application/zip' };
+    return async (address) => {
+        let url;
+        try {
+            url = new URL(address);
+        } catch (error) {
+            throw importError('Enter a full web address, starting with https://', 'INVALID_WEB_URL');
+        }
+        const relative = path.posix.normalize(`${url.hostname}${url.pathname.endsWith('/') ? `${url.pathname}index.html` : url.pathname}`);
+        const filePath = path.join(dir, relative);
+        if (relative.startsWith('..') || !filePath.startsWith(path.resolve(dir))) {
+            throw importError('That page is not in the local fixtures', 'WEB_FETCH_FAILED');
+        }
+        try {
+            const buffer = await fs.promises.readFile(filePath);
+            return { buffer, mimeType: types[path.extname(filePath).toLowerCase()] || 'text/html', url: url.href };
+        } catch (error) {
+            throw importError(`That page is not in the local fixtures (${relative})`, 'WEB_FETCH_FAILED');
+        }
+    };
+}
+
+let webFetcher = null;
+
+function getWebFetcher() {
+    if (!webFetcher) {
+        webFetcher = process.env.WEB_IMPORT_FIXTURE_DIR
+            ? createFixtureFetcher(path.resolve(process.env.WEB_IMPORT_FIXTURE_DIR))
+            : createNetworkFetcher();
+    }
+    return webFetcher;
+}
+
+function setWebFetcherForTests(fetcher) {
+    webFetcher = fetcher;
+}
+
+/**
+ * Fetch a web page, EPUB, or ZIP and convert it
+ * @param {string} url
+ * @param {Function} [fetcher] - Defaults to getWebFetcher()
+ * @returns {Promise<Object>} convertWebDocument's result plus { sourceUrl }
+ */
+async function importFromUrl(url, fetcher = getWebFetcher()) {
+    const fetched = await fetcher(url);
+    const sourceUrl = fetched.url || url;
+    const originalName = path.posix.basename(new URL(sourceUrl).pathname) || 'page.html';
+    const converted = convertWebDocument({
+        buffer: fetched.buffer,
+        mimeType: fetched.mimeType,
+        originalName,
+        sourceUrl
+    });
+    return { ...converted, sourceUrl, originalName };
+}
+
+module.exports = {
+    WEB_IMPORT_EXTENSIONS,
+    WEB_IMPORT_MIME_TYPES,
+    assertPublicUrl,
+    convertWebDocument,
+    createFixtureFetcher,
+    createNetworkFetcher,
+    detectWebFormat,
+    getWebFetcher,
+    htmlToSections,
+    importFromUrl,
+    parseHtml,
+    setWebFetcherForTests
+};
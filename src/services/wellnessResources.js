@@ -0,0 +1,279 @@
+/**
+ * Crisis and wellness resources shown to students.
+ *
+ * Platform resources live in the settings collection and are edited by
+ * system admins:
+ *
+ *   {
+ *     _id: 'wellnessResources',
+ *     resources: [{ resourceId, kind, name, phone, url, hours, region, description }]
+ *   }
+ *
+ * A course may add its own with `courses.wellnessResources`:
+ *
+ *   { resources: [...], includePlatform: Boolean }
+ *
+ * Course resources come first; with includePlatform false they replace the
+ * platform list. When a mental health flag is raised the chat response
+ * carries these as a structured card (see buildResourcesCard), and the mode
+ * prompts name them through the {{wellnessResources}} variable.
+ */
+
+const { createId } = require('./id');
+
+const SETTINGS_ID = 'wellnessResources';
+const CACHE_TTL_MS = 30 * 1000;
+
+const RESOURCE_KINDS = ['crisis', 'wellness'];
+const MAX_RESOURCES = 12;
+const FIELD_LIMITS = Object.freeze({
+    name: 120,
+    phone: 40,
+    url: 500,
+    hours: 120,
+    region: 120,
+    description: 300
+});
+const RESOURCE_ID_PATTERN = /^[A-Za-z0-9_-]{1,80}$/;
+
+const DEFAULT_WELLNESS_RESOURCES = Object.freeze([
+    Object.freeze({
+        resourceId: 'default-988',
+        kind: 'crisis',
+        name: '9-8-8 Suicide Crisis Helpline',
+        phone: '9-8-8',
+        url: 'https://988.ca',
+        hours: '24/7, call or text',
+        region: 'Canada',
+        description: null
+    }),
+    Object.freeze({
+        resourceId: 'default-emergency',
+        kind: 'crisis',
+        name: 'Emergency services',
+        phone: '911',
+        url: null,
+        hours: '24/7',
+        region: 'Canada',
+        description: 'If you or someone else is in immediate danger'
+    }),
+    Object.freeze({
+        resourceId: 'default-ubc-wellness',
+        kind: 'wellness',
+        name: 'UBC Wellness Centre',
+        phone: null,
+        url: 'http://students.ubc.ca/health/wellness-centre/',
+        hours: null,
+        region: 'UBC Vancouver',
+        description: null
+    })
+]);
+
+const CARD_TITLE = 'Support is available';
+const CARD_MESSAGE = 'It sounds like things might be hard right now. You don\'t have to handle it alone - these services can help.';
+
+let cache = null;
+let cacheAt = 0;
+
+function invalidateCache() {
+    cache = null;
+    cacheAt = 0;
+}
+
+function normalizeField(value, limit) {
+    if (typeof value !== 'string') return null;
+    const text = value.trim().replace(/\s+/g, ' ');
+    return text ? text.slice(0, limit) : null;
+}
+
+function isWebUrl(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Normalize one resource
+ * @param {Object} value
+ * @returns {Object} { resource } or { error }
+ */
+function normalizeResource(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { error: 'must be an object' };
+    }
+    const resource = {
+        resourceId: typeof value.resourceId === 'string' && RESOURCE_ID_PATTERN.test(value.resourceId)
+            ? value.resourceId
+            : createId('wellres'),
+        kind: RESOURCE_KINDS.includes(value.kind) ? value.kind : 'wellness'
+    };
+    for (const [field, limit] of Object.entries(FIELD_LIMITS)) {
+        resource[field] = normalizeField(value[field], limit);
+    }
+
+    if (!resource.name) return { error: 'name is required' };
+    if (!resource.phone && !resource.url) return { error: 'a phone number or URL is required' };
+    if (resource.url && !isWebUrl(resource.url)) return { error: 'URL must start with http:// or https://' };
+    return { resource };
+}
+
+/**
+ * Normalize a resource list. Strict mode (admin/instructor input) reports the
+ * first invalid entry; lenient mode drops invalid stored entries.
+ * @returns {Object} { resources } or { error }
+ */
+function normalizeResourceList(value, { strict = false } = {}) {
+    if (!Array.isArray(value)) {
+        return strict ? { error: 'resources must be a list' } : { resources: [] };
+    }
+    if (strict && value.length > MAX_RESOURCES) {
+        return { error: `At most ${MAX_RESOURCES} resources can be listed` };
+    }
+
+    const resources = [];
+    for (const [index, item] of value.slice(0, MAX_RESOURCES).entries()) {
+        const { resource, error } = normalizeResource(item);
+        if (error) {
+            if (strict) return { error: `Resource ${index + 1}: ${error}` };
+            continue;
+        }
+        if (!resources.some(existing => existing.resourceId === resource.resourceId)) {
+            resources.push(resource);
+        }
+    }
+    return { resources };
+}
+
+/**
+ * Normalize a course override; null means the course uses the platform list
+ * @returns {Object} { override } or { error }
+ */
+function normalizeCourseOverride(value, { strict = false } = {}) {
+    if (value === undefined || value === null) return { override: null };
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        return strict ? { error: 'wellnessResources must be an object or null' } : { override: null };
+    }
+    const { resources, error } = normalizeResourceList(value.resources || [], { strict });
+    if (error) return { error };
+    return { override: { resources, includePlatform: value.includePlatform !== false } };
+}
+
+/**
+ * Platform resources (the defaults until an admin saves a list)
+ * @param {Object} db - MongoDB database instance
+ * @returns {Promise<Array>}
+ */
+async function getPlatformResources(db) {
+    if (cache && Date.now() - cacheAt < CACHE_TTL_MS) return cache;
+    const doc = await db.collection('settings').findOne({ _id: SETTINGS_ID });
+    cache = doc && Array.isArray(doc.resources)
+        ? normalizeResourceList(doc.resources).resources
+        : DEFAULT_WELLNESS_RESOURCES.map(resource => ({ ...resource }));
+    cacheAt = Date.now();
+    return cache;
+}
+
+/**
+ * Save platform resources (system admins)
+ * @param {Object} db - MongoDB database instance
+ * @param {Array} resources
+ * @param {string} updatedById - Admin user ID
+ * @returns {Promise<Object>} { success, resources, error }
+ */
+async function updatePlatformResources(db, resources, updatedById = null) {
+    const result = normalizeResourceList(resources, { strict: true });
+    if (result.error) {
+        return { success: false, error: result.error };
+    }
+
+    await db.collection('settings').updateOne(
+        { _id: SETTINGS_ID },
+        { $set: { resources: result.resources, updatedAt: new Date(), updatedById } },
+        { upsert: true }
+    );
+    invalidateCache();
+    return { success: true, resources: result.resources };
+}
+
+function sortCrisisFirst(resources) {
+    return resources
+        .map((resource, index) => ({ resource, index }))
+        .sort((a, b) => (a.resource.kind === 'crisis' ? 0 : 1) - (b.resource.kind === 'crisis' ? 0 : 1) || a.index - b.index)
+        .map(item => item.resource);
+}
+
+/**
+ * Resources for a course document: its own, then the platform list unless
+ * the course replaces it. Crisis lines are listed first.
+ * @param {Object} db - MongoDB database instance
+ * @param {Object|null} course - Course document (only wellnessResources is read)
+ * @returns {Promise<Array>}
+ */
+async function resolveCourseResources(db, course) {
+    const { override } = normalizeCourseOverride(course && course.wellnessResources);
+    const platform = !override || override.includePlatform ? await getPlatformResources(db) : [];
+    const courseResources = override ? override.resources : [];
+    const resources = [...courseResources];
+    for (const resource of platform) {
+        if (!resources.some(existing => existing.resourceId === resource.resourceId)) {
+            resources.push(resource);
+        }
+    }
+    return sortCrisisFirst(resources);
+}
+
+/**
+ * Resources shown to students of a course
+ * @param {Object} db - MongoDB database instance
+ * @param {string} courseId - Course identifier
+ * @returns {Promise<Array>}
+ */
+async function resolveWellnessResources(db, courseId) {
+    const course = courseId
+        ? await db.collection('courses').findOne({ courseId }, { projection: { wellnessResources: 1 } })
+        : null;
+    return resolveCourseResources(db, course);
+}
+
+/**
+ * Card sent with a chat or quiz reply when a student may be in distress
+ * @param {Array} resources
+ * @returns {Object|null} { title, message, resources }
+ */
+function buildResourcesCard(resources) {
+    if (!Array.isArray(resources) || resources.length === 0) return null;
+    return { title: CARD_TITLE, message: CARD_MESSAGE, resources };
+}
+
+/**
+ * One-line list of resources for the {{wellnessResources}} prompt variable
+ * @param {Array} resources
+ * @returns {string}
+ */
+function formatResourcesForPrompt(resources) {
+    return (resources || [])
+        .map(resource => {
+            const contact = [resource.phone, resource.url].filter(Boolean).join(', ');
+            return contact ? `${resource.name} (${contact})` : resource.name;
+        })
+        .join('; ');
+}
+
+module.exports = {
+    DEFAULT_WELLNESS_RESOURCES,
+    FIELD_LIMITS,
+    MAX_RESOURCES,
+    RESOURCE_KINDS,
+    buildResourcesCard,
+    formatResourcesForPrompt,
+    getPlatformResources,
+    invalidateCache,
+    normalizeCourseOverride,
+    normalizeResourceList,
+    resolveCourseResources,
+    resolveWellnessResources,
+    updatePlatformResources
+};
@@ -0,0 +1,204 @@
+/**
+ * Small XML reader and writer helpers for the question bank formats.
+ *
+ * Moodle XML and QTI files are plain, well-formed XML, so this is a strict
+ * subset parser rather than a full XML implementation: elements, attributes,
+ * text, CDATA, comments, and the predefined and numeric entities. Processing
+ * instructions and DOCTYPE declarations are skipped. Namespace prefixes are
+ * kept on names; lookups compare local names so `imsqti:itemBody` and
+ * `itemBody` match alike.
+ */
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'", nbsp: '\u00A0' };
+const NAME_PATTERN = /[A-Za-z_:][-\w:.]*/y;
+const ATTRIBUTE_PATTERN = /\s*([A-Za-z_:][-\w:.]*)\s*=\s*("([^"]*)"|'([^']*)')/y;
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' || entity[1] === 'X'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            // An out-of-range or surrogate code point is malformed; keep it as written
+            const valid = Number.isFinite(code) && code > 0 && code <= 0x10FFFF && (code < 0xD800 || code > 0xDFFF);
+            return valid ? String.fromCodePoint(code) : match;
+        }
+        return Object.prototype.hasOwnProperty.call(ENTITIES, entity) ? ENTITIES[entity] : match;
+    });
+}
+
+function parseError(message, position) {
+    const error = new Error(`Invalid XML: ${message} at position ${position}`);
+    error.code = 'INVALID_XML';
+    return error;
+}
+
+/**
+ * Parse an XML document into { name, attributes, children } nodes, where
+ * children are nodes or text strings
+ * @param {string|Buffer} source
+ * @returns {Object} Root element
+ */
+function parseXml(source) {
+    const xml = String(source).replace(/^\uFEFF/, '');
+    const root = { name: '#document', attributes: {}, children: [] };
+    const stack = [root];
+    let position = 0;
+
+    const current = () => stack[stack.length - 1];
+    const skipPast = (terminator, what) => {
+        const end = xml.indexOf(terminator, position);
+        if (end < 0) throw parseError(`unterminated ${what}`, position);
+        const content = xml.slice(position, end);
+        position = end + terminator.length;
+        return content;
+    };
+
+    while (position < xml.length) {
+        const tagStart = xml.indexOf('<', position);
+        if (tagStart < 0 || tagStart > position) {
+            const text = xml.slice(position, tagStart < 0 ? xml.length : tagStart);
+            if (stack.length > 1) current().children.push(decodeEntities(text));
+            position = tagStart < 0 ? xml.length : tagStart;
+            continue;
+        }
+
+        if (xml.startsWith('<!--', position)) {
+            position += 4;
+            skipPast('-->', 'comment');
+        } else if (xml.startsWith('<![CDATA[', position)) {
+            position += 9;
+            current().children.push(skipPast(']]>', 'CDATA section'));
+        } else if (xml.startsWith('<?', position)) {
+            position += 2;
+            skipPast('?>', 'processing instruction');
+        } else if (xml.startsWith('<!', position)) {
+            // DOCTYPE; an internal subset ends at "]>"
+            const internalSubset = xml.indexOf('[', position);
+            const close = xml.indexOf('>', position);
+            position = internalSubset >= 0 && internalSubset < close
+                ? xml.indexOf(']>', internalSubset) + 2
+                : close + 1;
+            if (position <= 0) throw parseError('unterminated declaration', tagStart);
+        } else if (xml[position + 1] === '/') {
+            position += 2;
+            const name = skipPast('>', 'closing tag').trim();
+            const open = stack.pop();
+            if (!open || open === root || open.name !== name) {
+                throw parseError(`unexpected </${name}>`, tagStart);
+            }
+        } else {
+            NAME_PATTERN.lastIndex = position + 1;
+            const nameMatch = NAME_PATTERN.exec(xml);
+            if (!nameMatch) throw parseError('bad tag name', position);
+            const node = { name: nameMatch[0], attributes: {}, children: [] };
+            position = NAME_PATTERN.lastIndex;
+
+            for (;;) {
+                ATTRIBUTE_PATTERN.lastIndex = position;
+                const attribute = ATTRIBUTE_PATTERN.exec(xml);
+                if (!attribute) break;
+                node.attributes[attribute[1]] = decodeEntities(attribute[3] ?? attribute[4]);
+                position = ATTRIBUTE_PATTERN.lastIndex;
+            }
+            while (/\s/.test(xml[position] || '')) position += 1;
+
+            current().children.push(node);
+            if (xml.startsWith('/>', position)) {
+                position += 2;
+            } else if (xml[position] === '>') {
+                position += 1;
+                stack.push(node);
+            } else {
+                throw parseError(`malformed <${node.name}>`, tagStart);
+            }
+        }
+    }
+
+    if (stack.length > 1) throw parseError(`<${current().name}> is never closed`, xml.length);
+    const rootElement = root.children.find(child => typeof child !== 'string');
+    if (!rootElement) throw parseError('no root element', 0);
+    return rootElement;
+}
+
+function localName(name) {
+    const separator = name.indexOf(':');
+    return separator < 0 ? name : name.slice(separator + 1);
+}
+
+function isNamed(node, name) {
+    return typeof node !== 'string' && (name === undefined || localName(node.name) === name);
+}
+
+/** Direct child elements, optionally by local name */
+function childElements(node, name) {
+    return node ? node.children.filter(child => isNamed(child, name)) : [];
+}
+
+/** First direct child element with this local name */
+function child(node, name) {
+    return node ? node.children.find(candidate => isNamed(candidate, name)) || null : null;
+}
+
+/** Follow a path of local names through first matching children */
+function childPath(node, ...names) {
+    return names.reduce((current, name) => child(current, name), node);
+}
+
+/** All descendant elements with this local name, in document order */
+function descendants(node, name) {
+    const found = [];
+    const visit = (current) => {
+        for (const candidate of current.children) {
+            if (typeof candidate === 'string') continue;
+            if (isNamed(candidate, name)) found.push(candidate);
+            visit(candidate);
+        }
+    };
+    if (node) visit(node);
+    return found;
+}
+
+/** Concatenated text of a node and everything under it */
+function textContent(node) {
+    if (!node) return '';
+    if (typeof node === 'string') return node;
+    return node.children.map(textContent).join('');
+}
+
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Plain text from an HTML fragment, as Moodle and Canvas store question text
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToText(html) {
+    return decodeEntities(String(html ?? '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|li|h\d)>/gi, '\n')
+        .replace(/<[^>]*>/g, ''))
+        .replace(/\u00A0/g, ' ')
+        .replace(/[ \t]+/g, ' ')
+        .replace(/\s*\n\s*/g, '\n')
+        .trim();
+}
+
+module.exports = {
+    child,
+    childElements,
+    childPath,
+    descendants,
+    escapeXml,
+    htmlToText,
+    localName,
+    parseXml,
+    textContent
+};
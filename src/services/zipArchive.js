@@ -0,0 +1,177 @@
+/**
+ * Minimal ZIP reading and writing for question bank packages (QTI content
+ * packages and Canvas quiz exports).
+ *
+ * Only what those packages use: stored and deflated entries, no encryption,
+ * no ZIP64, no multi-disk archives. Built on zlib so no extra dependency is
+ * needed.
+ */
+
+const zlib = require('zlib');
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_DIRECTORY = 0x06054b50;
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+const UTF8_FLAG = 0x0800;
+// Stop before unpacking an archive that would expand past this
+const MAX_UNCOMPRESSED_BYTES = 50 * 1024 * 1024;
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n += 1) {
+        let c = n;
+        for (let k = 0; k < 8; k += 1) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function zipError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_ZIP';
+    return error;
+}
+
+function isZip(buffer) {
+    return Buffer.isBuffer(buffer) && buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_HEADER;
+}
+
+/**
+ * Read every file in a ZIP archive
+ * @param {Buffer} buffer
+ * @returns {Array} [{ name, data }] in directory order; folders are skipped
+ */
+function readZip(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 22) throw zipError('Not a ZIP archive');
+
+    // The end-of-directory record sits in the last 64 KB (after an optional comment)
+    let end = -1;
+    for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 65557); offset -= 1) {
+        if (buffer.readUInt32LE(offset) === END_OF_DIRECTORY) {
+            end = offset;
+            break;
+        }
+    }
+    if (end < 0) throw zipError('Not a ZIP archive');
+
+    const entryCount = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    const files = [];
+    let expanded = 0;
+
+    for (let index = 0; index < entryCount; index += 1) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_HEADER) {
+            throw zipError('Corrupt ZIP directory');
+        }
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const size = buffer.readUInt32LE(offset + 24);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        if (offset + 46 + nameLength > buffer.length) throw zipError('Corrupt ZIP directory');
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue;
+        expanded += size;
+        if (expanded > MAX_UNCOMPRESSED_BYTES) throw zipError('ZIP archive is too large to unpack');
+
+        if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_HEADER) {
+            throw zipError(`Corrupt ZIP entry ${name}`);
+        }
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        if (dataStart + compressedSize > buffer.length) throw zipError(`Corrupt ZIP entry ${name}`);
+        const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+
+        let data;
+        if (method === METHOD_STORED) {
+            data = Buffer.from(raw);
+        } else if (method === METHOD_DEFLATED) {
+            // A truncated stream or one that expands past its declared size is corrupt
+            try {
+                data = zlib.inflateRawSync(raw, { maxOutputLength: Math.max(size, 1) });
+            } catch (error) {
+                throw zipError(`Corrupt ZIP entry ${name}`);
+            }
+        } else {
+            throw zipError(`Unsupported ZIP compression in ${name}`);
+        }
+        files.push({ name, data });
+    }
+    return files;
+}
+
+/**
+ * Build a ZIP archive
+ * @param {Array} files - [{ name, data }] with string or Buffer data
+ * @returns {Buffer}
+ */
+function createZip(files) {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = Buffer.from(file.name, 'utf8');
+        const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(String(file.data), 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const checksum = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(LOCAL_HEADER, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(UTF8_FLAG, 6);
+        local.writeUInt16LE(METHOD_DEFLATED, 8);
+        local.writeUInt32LE(checksum, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(CENTRAL_HEADER, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(UTF8_FLAG, 8);
+        central.writeUInt16LE(METHOD_DEFLATED, 10);
+        central.writeUInt32LE(checksum, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, name, compressed);
+        centralParts.push(central, name);
+        offset += local.length + name.length + compressed.length;
+    }
+
+    const directory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(END_OF_DIRECTORY, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, directory, end]);
+}
+
+module.exports = {
+    crc32,
+    createZip,
+    isZip,
+    readZip
+};
@@ -140,6 +140,7 @@ async function cleanupCourses(courseIds) {
         await db.collection('documents').deleteMany({ courseId: { $in: courseIds } });
         await db.collection('quizAttempts').deleteMany({ courseId: { $in: courseIds } });
         await db.collection('chat_sessions').deleteMany({ courseId: { $in: courseIds } });
+        await db.collection('chat_threads').deleteMany({ courseId: { $in: courseIds } });
     });
 }
 
@@ -272,6 +273,7 @@ async function cleanupCoursesForUser(userId) {
         await db.collection('documents').deleteMany({ courseId: { $in: ids } });
         await db.collection('quizAttempts').deleteMany({ courseId: { $in: ids } });
         await db.collection('chat_sessions').deleteMany({ courseId: { $in: ids } });
+        await db.collection('chat_threads').deleteMany({ courseId: { $in: ids } });
     });
 }
 
@@ -143,6 +143,7 @@ async function resetDownloadData({ instructorId }) {
     await withDb(async (db) => {
         await db.collection('courses').deleteMany({ courseId: { $in: DOWNLOAD_COURSE_IDS } });
         await db.collection('chat_sessions').deleteMany({ courseId: { $in: DOWNLOAD_COURSE_IDS } });
+        await db.collection('chat_threads').deleteMany({ courseId: { $in: DOWNLOAD_COURSE_IDS } });
 
         await db.collection('courses').insertMany([
             buildCourseDoc({
@@ -279,6 +280,7 @@ async function cleanupDownloadData(instructorId) {
     await withDb(async (db) => {
         await db.collection('courses').deleteMany({ courseId: { $in: DOWNLOAD_COURSE_IDS } });
         await db.collection('chat_sessions').deleteMany({ courseId: { $in: DOWNLOAD_COURSE_IDS } });
+        await db.collection('chat_threads').deleteMany({ courseId: { $in: DOWNLOAD_COURSE_IDS } });
         if (instructorId) {
             await db.collection('users').updateOne(
                 { userId: instructorId },
@@ -65,6 +65,17 @@ async function addLlmStubRule(api, rule) {
     }
 }
 
+async function setLlmStubStream(api, { chunkSize, delayMs } = {}) {
+    const res = await api.post('/api/test/llm-stub/stream', {
+        data: { chunkSize, delayMs },
+        failOnStatusCode: false,
+    });
+    if (!res.ok()) {
+        const body = await res.text();
+        throw new Error(`LLM stub stream config failed: ${res.status()} ${body}`);
+    }
+}
+
 async function getLlmStubState(api) {
     const res = await api.get('/api/test/llm-stub/state', { failOnStatusCode: false });
     if (!res.ok()) {
@@ -79,5 +90,6 @@ module.exports = {
     enqueueLlmResponses,
     setLlmStubDefault,
     addLlmStubRule,
+    setLlmStubStream,
     getLlmStubState,
 };
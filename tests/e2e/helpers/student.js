@@ -114,6 +114,7 @@ async function resetStudentChatData({ instructorId, options = {} }) {
 
         await db.collection('courses').deleteMany({ courseId: { $in: ids } });
         await db.collection('chat_sessions').deleteMany({ courseId: { $in: ids } });
+        await db.collection('chat_threads').deleteMany({ courseId: { $in: ids } });
 
         // Clear out the synthetic "other student" user doc and start fresh.
         // We use a fixed userId so chat_sessions for them are predictable.
@@ -204,6 +205,7 @@ async function cleanupStudentChatData() {
         ];
         await db.collection('courses').deleteMany({ courseId: { $in: ids } });
         await db.collection('chat_sessions').deleteMany({ courseId: { $in: ids } });
+        await db.collection('chat_threads').deleteMany({ courseId: { $in: ids } });
         await db.collection('users').deleteMany({ userId: OTHER_STUDENT_ID });
     });
 }
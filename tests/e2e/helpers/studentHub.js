@@ -166,6 +166,7 @@ async function resetStudentHubData({ instructorId, freshInstructorId, taId, opti
     await withDb(async (db) => {
         await db.collection('courses').deleteMany({ courseId: { $in: HUB_COURSE_IDS } });
         await db.collection('chat_sessions').deleteMany({ courseId: { $in: HUB_COURSE_IDS } });
+        await db.collection('chat_threads').deleteMany({ courseId: { $in: HUB_COURSE_IDS } });
         await db.collection('users').deleteMany({ userId: { $in: HUB_SYNTHETIC_USER_IDS } });
 
         await db.collection('users').updateOne(
@@ -308,6 +309,7 @@ async function cleanupStudentHubData() {
     await withDb(async (db) => {
         await db.collection('courses').deleteMany({ courseId: { $in: HUB_COURSE_IDS } });
         await db.collection('chat_sessions').deleteMany({ courseId: { $in: HUB_COURSE_IDS } });
+        await db.collection('chat_threads').deleteMany({ courseId: { $in: HUB_COURSE_IDS } });
         await db.collection('users').deleteMany({ userId: { $in: HUB_SYNTHETIC_USER_IDS } });
     });
 }
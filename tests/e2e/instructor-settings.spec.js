@@ -421,8 +421,8 @@ async function setupMockedSettingsRoutes(page, options = {}) {
         promptSaveResult: { success: true },
         aiSettings: {
             superchatIds: [],
-            ragSettings: { student: { topK: 6 } },
-            defaults: { studentTopK: 3, minTopK: 1, maxTopK: 20 },
+            ragSettings: { student: { topK: 6, retrievalMode: 'hybrid', rerank: { enabled: true, scorer: 'local', candidateCount: 16 } } },
+            defaults: { studentTopK: 3, minTopK: 1, maxTopK: 20, studentRetrievalMode: 'vector', retrievalModes: ['vector', 'hybrid'] },
         },
         aiSettingsResetResult: {
             success: true,
@@ -987,6 +987,10 @@ test.describe('Instructor settings UI', () => {
         await openSettingsPanel(page, 'student-chat');
         await expect(page.locator('#student-chat-section')).toBeVisible();
         await expect(page.locator('#student-chat-topk-input')).toHaveValue('6');
+        await expect(page.locator('#hybrid-retrieval-toggle')).toBeChecked();
+        await expect(page.locator('#rerank-toggle')).toBeChecked();
+        await expect(page.locator('#rerank-scorer-select')).toHaveValue('local');
+        await expect(page.locator('#rerank-candidates-input')).toHaveValue('16');
         await expect(page.locator('#additive-retrieval-toggle')).not.toBeChecked();
         await expect(page.locator('#additional-material-secondary-toggle')).not.toBeChecked();
         await expect(page.locator('#source-attribution-download-toggle')).not.toBeChecked();
@@ -1142,6 +1146,9 @@ test.describe('Instructor settings UI', () => {
 
         await openSettingsPanel(page, 'student-chat');
         await page.locator('#student-chat-topk-input').fill('4');
+        await setInputChecked(page, '#hybrid-retrieval-toggle', true);
+        await setInputChecked(page, '#rerank-toggle', true);
+        await page.locator('#rerank-candidates-input').fill('10');
         await page.locator('#save-student-chat').click();
         await expect(page.locator('.notification.success', { hasText: 'Student chat settings saved' })).toBeVisible({
             timeout: 10_000,
@@ -1160,12 +1167,16 @@ test.describe('Instructor settings UI', () => {
                 model: llmSettings?.providers?.openai?.chatModel,
                 reasoningEffort: llmSettings?.providers?.openai?.reasoningEffort,
                 studentTopK: course?.ragSettings?.student?.topK,
+                studentRetrievalMode: course?.ragSettings?.student?.retrievalMode,
+                studentRerank: course?.ragSettings?.student?.rerank,
             };
         }, { timeout: 10_000 }).toMatchObject({
             allowLocalLogin: false,
             model: 'gpt-5.6-luna',
             reasoningEffort: 'low',
             studentTopK: 4,
+            studentRetrievalMode: 'hybrid',
+            studentRerank: { enabled: true, scorer: 'llm', candidateCount: 10 },
         });
     });
 
@@ -1308,6 +1319,8 @@ test.describe('Instructor settings UI', () => {
         await setInputChecked(page, '#source-attribution-download-toggle', true);
         page.once('dialog', (dialog) => dialog.accept());
         await page.locator('#reset-student-chat').click();
+        await expect(page.locator('#hybrid-retrieval-toggle')).not.toBeChecked();
+        await expect(page.locator('#rerank-toggle')).not.toBeChecked();
         await expect(page.locator('#additive-retrieval-toggle')).toBeChecked();
         await expect(page.locator('#additional-material-secondary-toggle')).not.toBeChecked();
         await expect(page.locator('#source-attribution-download-toggle')).not.toBeChecked();
@@ -10,6 +10,7 @@
  *     paths).
  *   - POST /api/chat validation branches (no message, missing course/unit,
  *     unpublished unit, profanity short-circuit).
+ *   - POST /api/chat/stream Server-Sent Events delivery.
  *
  * The full RAG path is exercised by chat-rag-documents.spec.js.
  */
@@ -24,7 +25,13 @@ const {
     cleanupCoursesForUser,
     setStudentEnrollment,
 } = require('./helpers/courses-test');
-const { resetLlmStub, enqueueLlmResponses } = require('./helpers/llm-stub');
+const {
+    resetLlmStub,
+    enqueueLlmResponses,
+    addLlmStubRule,
+    setLlmStubStream,
+    getLlmStubState,
+} = require('./helpers/llm-stub');
 
 const COURSE_A = 'BIOC-E2E-API-CHAT-A';
 const COURSE_B = 'BIOC-E2E-API-CHAT-B';
@@ -654,3 +661,68 @@ test.describe('POST /api/chat (validation)', () => {
         expect(body.debug.profanityFiltered).toBe(true);
     });
 });
+
+// ---------------------------------------------------------------------------
+// POST /api/chat/stream — Server-Sent Events
+// ---------------------------------------------------------------------------
+function parseEventStream(text) {
+    return text.split('\n\n').filter(Boolean).map((frame) => ({
+        event: (/^event: (.*)$/m.exec(frame) || [])[1],
+        data: JSON.parse((/^data: (.*)$/m.exec(frame) || [])[1] || 'null'),
+    }));
+}
+
+test.describe('POST /api/chat/stream', () => {
+    test.use({ storageState: storageStatePath('student') });
+
+    test.beforeEach(async ({ request: api }) => {
+        await seedCourse({ courseId: COURSE_A, instructorId });
+        await setStudentEnrollment(COURSE_A, studentId, true);
+        await withDb((db) =>
+            db.collection('courses').updateOne(
+                { courseId: COURSE_A, 'lectures.name': 'Unit 1' },
+                { $set: { 'lectures.$.isPublished': true } }
+            )
+        );
+        await resetLlmStub(api);
+    });
+
+    test.afterEach(async ({ request: api }) => {
+        await resetLlmStub(api);
+    });
+
+    test('400 JSON when message missing (before the stream opens)', async ({ request: api }) => {
+        const res = await api.post('/api/chat/stream', {
+            data: { courseId: COURSE_A, unitName: 'Unit 1' },
+        });
+        expect(res.status()).toBe(400);
+        expect(res.headers()['content-type']).toMatch(/json/);
+    });
+
+    test('delivers the stubbed reply as several deltas followed by done', async ({ request: api }) => {
+        const reply = 'ATP synthase couples the proton gradient to ATP production.';
+        await addLlmStubRule(api, { matchMessage: 'STREAM-PROBE', content: reply });
+        await setLlmStubStream(api, { chunkSize: 6 });
+
+        const res = await api.post('/api/chat/stream', {
+            data: { message: 'STREAM-PROBE how is ATP made?', courseId: COURSE_A, unitName: 'Unit 1' },
+        });
+        expect(res.ok()).toBeTruthy();
+        expect(res.headers()['content-type']).toMatch(/^text\/event-stream/);
+
+        const events = parseEventStream(await res.text());
+        expect(events[0].event).toBe('start');
+        const deltas = events.filter((e) => e.event === 'delta');
+        expect(deltas.length).toBeGreaterThan(1);
+
+        const done = events[events.length - 1];
+        expect(done.event).toBe('done');
+        expect(done.data.message).toBe(deltas.map((e) => e.data.text).join(''));
+        expect(done.data.message).toContain(reply);
+        expect(done.data.messageId).toBe(events[0].data.messageId);
+        expect(done.data.mentalHealth).toEqual(expect.objectContaining({ flagRaised: false }));
+
+        const state = await getLlmStubState(api);
+        expect(state.lastStream).toEqual(expect.objectContaining({ completed: true }));
+    });
+});
@@ -1523,7 +1523,7 @@ test.describe('Student chat page — UI controls', () => {
             mode: 'protege',
             message: summaryText,
         });
-        expect(chatBody.conversationContext).toBeNull();
+        expect(chatBody.skipHistory).toBe(true);
 
         const saved = await page.evaluate((id) => {
             const raw = localStorage.getItem(`biocbot_current_chat_${id}`);
@@ -34,11 +34,28 @@ test.describe('student flashcards page', () => {
                         title: 'Enzyme Flashcards',
                         version: 1,
                         cardCount: 1,
-                        knownCount: 0
+                        knownCount: 0,
+                        dueCount: 1
                     }]
                 })
             });
         });
+        await page.route('**/api/flashcards/student/stats?**', async route => {
+            await route.fulfill({
+                status: 200,
+                contentType: 'application/json',
+                body: JSON.stringify({
+                    success: true,
+                    data: {
+                        streak: { current: 2, longest: 4, reviewedToday: false },
+                        reviewsToday: 0,
+                        dueToday: 1,
+                        newCards: 1,
+                        forecast: []
+                    }
+                })
+            });
+        });
         await page.route('**/api/flashcards/student/deck1?**', async route => {
             await route.fulfill({
                 status: 200,
@@ -68,7 +85,7 @@ test.describe('student flashcards page', () => {
             expect(route.request().postDataJSON()).toMatchObject({
                 courseId: COURSE_ID,
                 cardId: 'fc1',
-                rating: 'know'
+                rating: 'good'
             });
             await route.fulfill({
                 status: 200,
@@ -80,6 +97,7 @@ test.describe('student flashcards page', () => {
         await page.goto('/student/flashcards');
         await expect(page.getByRole('heading', { name: 'Flashcards', level: 1 })).toBeVisible();
         await expect(page.locator('#quiz-nav-item')).toBeHidden();
+        await expect(page.getByText('2-day review streak', { exact: false })).toBeVisible();
         await page.getByRole('button', { name: /Enzyme Flashcards/ }).click();
 
         const card = page.getByRole('button', { name: /What lowers activation energy/ });
@@ -87,10 +105,76 @@ test.describe('student flashcards page', () => {
         await card.click();
         await expect(page.getByText('An enzyme lowers the activation energy of a reaction.')).toBeVisible();
         await expect(page.getByText('Source: Lecture 1.pdf, section 3')).toBeVisible();
-        await page.getByRole('button', { name: /Know it/ }).click();
+        await page.getByRole('button', { name: /Good/ }).click();
         await expect(page.getByRole('heading', { name: 'Deck complete' })).toBeVisible();
     });
 
+    test('reviews the cards due today across decks', async ({ page }) => {
+        await page.route('**/api/flashcards/student?**', async route => {
+            await route.fulfill({
+                status: 200,
+                contentType: 'application/json',
+                body: JSON.stringify({
+                    success: true,
+                    data: [
+                        { deckId: 'deck1', courseId: COURSE_ID, lectureName: 'Unit 1', title: 'Enzymes', version: 1, cardCount: 1, knownCount: 0, dueCount: 1 },
+                        { deckId: 'deck2', courseId: COURSE_ID, lectureName: 'Unit 2', title: 'Membranes', version: 1, cardCount: 1, knownCount: 0, dueCount: 1 }
+                    ]
+                })
+            });
+        });
+        await page.route('**/api/flashcards/student/stats?**', async route => {
+            await route.fulfill({
+                status: 200,
+                contentType: 'application/json',
+                body: JSON.stringify({
+                    success: true,
+                    data: { streak: { current: 0, longest: 0, reviewedToday: false }, reviewsToday: 0, dueToday: 2, newCards: 0, forecast: [] }
+                })
+            });
+        });
+        await page.route('**/api/flashcards/student/due?**', async route => {
+            await route.fulfill({
+                status: 200,
+                contentType: 'application/json',
+                body: JSON.stringify({
+                    success: true,
+                    data: {
+                        cards: [
+                            { deckId: 'deck1', lectureName: 'Unit 1', deckTitle: 'Enzymes', cardId: 'fc1', front: 'What lowers activation energy?', back: 'An enzyme.', source: null },
+                            { deckId: 'deck2', lectureName: 'Unit 2', deckTitle: 'Membranes', cardId: 'fc2', front: 'What crosses a membrane freely?', back: 'Small nonpolar molecules.', source: null }
+                        ],
+                        dueCount: 2,
+                        newCount: 0,
+                        total: 2
+                    }
+                })
+            });
+        });
+        const reviewed = [];
+        await page.route('**/api/flashcards/student/*/review', async route => {
+            reviewed.push([route.request().url().split('/').at(-2), route.request().postDataJSON().rating]);
+            await route.fulfill({
+                status: 200,
+                contentType: 'application/json',
+                body: JSON.stringify({ success: true, data: { mastery: 'known' } })
+            });
+        });
+
+        await page.goto('/student/flashcards');
+        await expect(page.getByText('2 cards to review and 0 new.')).toBeVisible();
+        await page.getByRole('button', { name: 'Start review' }).click();
+
+        await expect(page.getByText('What lowers activation energy?')).toBeVisible();
+        await page.locator('#study-card').click();
+        await page.keyboard.press('3');
+        await expect(page.getByText('What crosses a membrane freely?')).toBeVisible();
+        await page.locator('#study-card').click();
+        await page.keyboard.press('4');
+        await expect(page.getByRole('heading', { name: 'Reviews complete' })).toBeVisible();
+        expect(reviewed).toEqual([['deck1', 'good'], ['deck2', 'easy']]);
+    });
+
     test('shows a useful empty state when no deck is published', async ({ page }) => {
         await page.route('**/api/flashcards/student?**', async route => {
             await route.fulfill({
@@ -157,7 +157,7 @@ test.describe('Chat limit modal and warnings', () => {
             });
         }
 
-        await page.route('/api/chat', async (route) => {
+        await page.route('/api/chat/stream', async (route) => {
             await route.fulfill({
                 json: { success: true, message: 'mocked bot reply', sourceAttribution: null },
             });
@@ -228,7 +228,7 @@ test.describe('Chat limit modal and warnings', () => {
             });
         }
 
-        await page.route('/api/chat', async (route) => {
+        await page.route('/api/chat/stream', async (route) => {
             await route.fulfill({
                 json: { success: true, message: 'final-bot-reply', sourceAttribution: null },
             });
@@ -288,7 +288,7 @@ test.describe('Chat limit modal and warnings', () => {
         }
 
         let chatCalls = 0;
-        await page.route('/api/chat', async (route) => {
+        await page.route(/\/api\/chat(\/stream)?$/, async (route) => {
             chatCalls += 1;
             await route.fulfill({ json: { success: true, message: 'should not happen' } });
         });
@@ -644,7 +644,7 @@ test.describe('Explain action', () => {
     test('handleExplainAction calls /api/chat with isExplanationRequest set', async ({ page }) => {
         /** @type {any} */
         let body;
-        await page.route('/api/chat', async (route) => {
+        await page.route('/api/chat/stream', async (route) => {
             body = route.request().postDataJSON();
             await route.fulfill({
                 json: {
@@ -670,7 +670,7 @@ test.describe('Explain action', () => {
     });
 
     test('handleExplainAction shows the generic chat error when /api/chat fails', async ({ page }) => {
-        await page.route('/api/chat', async (route) => {
+        await page.route('/api/chat/stream', async (route) => {
             await route.fulfill({
                 status: 500,
                 contentType: 'application/json',
@@ -689,7 +689,7 @@ test.describe('Explain action', () => {
 
     test('handleExplainAction returns silently when text is empty', async ({ page }) => {
         let called = 0;
-        await page.route('/api/chat', async (route) => {
+        await page.route(/\/api\/chat(\/stream)?$/, async (route) => {
             called += 1;
             await route.fulfill({ json: { success: true, message: 'never' } });
         });
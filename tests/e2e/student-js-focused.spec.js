@@ -522,7 +522,7 @@ test.describe('Course/unit initialization and saved state', () => {
 test.describe('Chat input request behavior', () => {
     test('empty submit does not call /api/chat or append a user message', async ({ page }) => {
         let chatCalls = 0;
-        await page.route('/api/chat', async (route) => {
+        await page.route(/\/api\/chat(\/stream)?$/, async (route) => {
             chatCalls += 1;
             await route.fulfill({ json: { success: true, message: 'unexpected' } });
         });
@@ -539,7 +539,7 @@ test.describe('Chat input request behavior', () => {
     });
 
     test('API failure removes the typing indicator and renders the generic chat error', async ({ page }) => {
-        await page.route('/api/chat', async (route) => {
+        await page.route('/api/chat/stream', async (route) => {
             await route.fulfill({
                 status: 500,
                 contentType: 'application/json',
@@ -564,7 +564,7 @@ test.describe('Chat input request behavior', () => {
             releaseResponse = () => resolve(undefined);
         });
 
-        await page.route('/api/chat', async (route) => {
+        await page.route('/api/chat/stream', async (route) => {
             await responseGate;
             await route.fulfill({
                 json: {
@@ -1049,7 +1049,7 @@ test.describe('student.js compact browser harness', () => {
         )).toBe(true);
     });
 
-    test('submits chat context with practice history and renders directive-mode actions', async ({ page }) => {
+    test('submits the chat turn under its session id and renders directive-mode actions', async ({ page }) => {
         const seededChat = {
             metadata: {
                 exportDate: new Date().toISOString(),
@@ -1120,14 +1120,15 @@ test.describe('student.js compact browser harness', () => {
 
         const request = await page.evaluate(() => {
             const w = /** @type {any} */ (window);
-            return w.__fetchLog.findLast((entry) => entry.url === '/api/chat')?.body;
+            return w.__fetchLog.findLast((entry) => entry.url === '/api/chat/stream')?.body;
         });
 
         expect(request.message).toBe('Explain glycolysis more');
         expect(request.mode).toBe('tutor');
-        expect(request.conversationContext.hasPracticeTest).toBe(true);
-        expect(request.conversationContext.conversationMessages.some((msg) => msg.content.includes('How does glycolysis start?'))).toBe(true);
-        expect(request.conversationContext.conversationMessages.some((msg) => msg.content.includes('My Answer:'))).toBe(true);
+        // History is rebuilt on the server from the conversation thread.
+        expect(request.conversationContext).toBeUndefined();
+        expect(request.conversationId).toBe('context_session');
+        expect(request.skipHistory).toBe(false);
         expect(await page.evaluate(() => /** @type {any} */ (window).__bodyTagApplied)).toBe(true);
 
         const missingCourseError = await page.evaluate(async () => {
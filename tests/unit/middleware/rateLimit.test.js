@@ -0,0 +1,103 @@
+/**
+ * Unit tests for src/middleware/rateLimit.js
+ *
+ * A throwaway router puts the limiter in front of a handler that "spends"
+ * tokens the way an LLMService call would, so the burst/minute windows and the
+ * daily token allowance can be driven through real HTTP requests.
+ */
+const express = require('express');
+const { memoryDb } = require('../helpers/memory-db');
+const { makeRouteApp, request } = require('../helpers/route-app');
+const { createAiRateLimit } = require('../../../src/middleware/rateLimit');
+const rateLimits = require('../../../src/services/rateLimits');
+const { addRequestTokens } = require('../../../src/services/tokenMeter');
+const RateLimitCounter = require('../../../src/models/RateLimitCounter');
+
+const student = { userId: 's1', role: 'student' };
+
+function app(db, { user = student, tokensPerCall = 0 } = {}) {
+    const router = express.Router();
+    router.post('/chat', createAiRateLimit(), async (req, res) => {
+        await Promise.resolve();
+        addRequestTokens(tokensPerCall);
+        res.json({ success: true });
+    });
+    return makeRouteApp(router, { db, user });
+}
+
+function seededDb(studentLimits) {
+    return memoryDb({
+        settings: [{ _id: 'rateLimits', roles: { student: studentLimits } }],
+        courses: [{ courseId: 'C1' }, { courseId: 'C2', rateLimits: { student: { burstLimit: 1 } } }]
+    });
+}
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+beforeEach(() => {
+    rateLimits.invalidateCache();
+    // Pin the clock inside a burst window so no test straddles a boundary.
+    jest.spyOn(Date, 'now').mockReturnValue(Date.UTC(2026, 0, 15, 12, 0, 1));
+});
+afterEach(() => Date.now.mockRestore());
+afterAll(() => jest.restoreAllMocks());
+
+test('requests over the burst limit get the standard 429 payload', async () => {
+    const db = seededDb({ requestsPerMinute: null, burstLimit: 2, tokensPerDay: null });
+
+    expect((await request(app(db)).post('/chat').send({ courseId: 'C1' })).status).toBe(200);
+    expect((await request(app(db)).post('/chat').send({ courseId: 'C1' })).status).toBe(200);
+    const limited = await request(app(db)).post('/chat').send({ courseId: 'C1' });
+
+    expect(limited.status).toBe(429);
+    expect(limited.body).toMatchObject({ success: false, code: 'RATE_LIMITED', limit: 'burstLimit' });
+    expect(limited.body.retryAfterSeconds).toBeGreaterThanOrEqual(1);
+    expect(limited.body.retryAfterSeconds).toBeLessThanOrEqual(rateLimits.BURST_WINDOW_SECONDS);
+    expect(limited.headers['retry-after']).toBe(String(limited.body.retryAfterSeconds));
+});
+
+test('counters are kept per course, and course overrides replace the platform limits', async () => {
+    const db = seededDb({ requestsPerMinute: 1, burstLimit: null, tokensPerDay: null });
+
+    expect((await request(app(db)).post('/chat').send({ courseId: 'C1' })).status).toBe(200);
+    const overMinute = await request(app(db)).post('/chat').send({ courseId: 'C1' });
+    expect(overMinute.body.limit).toBe('requestsPerMinute');
+
+    // C2 overrides students with a burst limit of 1 and no per-minute limit.
+    expect((await request(app(db)).post('/chat').send({ courseId: 'C2' })).status).toBe(200);
+    expect((await request(app(db)).post('/chat').send({ courseId: 'C2' })).body.limit).toBe('burstLimit');
+
+    // Another student has their own counters.
+    expect((await request(app(db, { user: { userId: 's2', role: 'student' } })).post('/chat').send({ courseId: 'C1' })).status).toBe(200);
+});
+
+test('tokens spent during a request count toward the daily allowance', async () => {
+    const db = seededDb({ requestsPerMinute: null, burstLimit: null, tokensPerDay: 100 });
+
+    expect((await request(app(db, { tokensPerCall: 60 })).post('/chat').send({ courseId: 'C1' })).status).toBe(200);
+    expect((await request(app(db, { tokensPerCall: 60 })).post('/chat').send({ courseId: 'C1' })).status).toBe(200);
+    await new Promise(resolve => setImmediate(resolve));
+
+    const limited = await request(app(db)).post('/chat').send({ courseId: 'C1' });
+    expect(limited.status).toBe(429);
+    expect(limited.body.limit).toBe('tokensPerDay');
+    expect(limited.body.retryAfterSeconds).toBeLessThanOrEqual(24 * 60 * 60);
+});
+
+test('unlimited roles, anonymous requests, and limit lookups that fail pass through', async () => {
+    const db = seededDb({ requestsPerMinute: 1, burstLimit: 1, tokensPerDay: 1 });
+    const instructor = { userId: 'i1', role: 'instructor' };
+
+    for (let i = 0; i < 3; i++) {
+        expect((await request(app(db, { user: instructor })).post('/chat').send({ courseId: 'C1' })).status).toBe(200);
+    }
+    expect((await request(app(db, { user: null })).post('/chat').send({ courseId: 'C1' })).status).toBe(200);
+
+    const broken = seededDb({ burstLimit: 1 });
+    jest.spyOn(RateLimitCounter, 'incrementCounter').mockRejectedValue(new Error('db down'));
+    expect((await request(app(broken)).post('/chat').send({ courseId: 'C1' })).status).toBe(200);
+    expect((await request(app(broken)).post('/chat').send({ courseId: 'C1' })).status).toBe(200);
+    RateLimitCounter.incrementCounter.mockRestore();
+});
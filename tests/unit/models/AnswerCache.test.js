@@ -0,0 +1,108 @@
+const AnswerCache = require('../../../src/models/AnswerCache');
+const { memoryDb } = require('../helpers/memory-db');
+
+const scope = { courseId: 'C1', unitName: 'Unit 1', mode: 'tutor', profileKey: 'openai:small' };
+
+function save(db, overrides = {}) {
+    return AnswerCache.saveAnswer(db, {
+        ...scope,
+        question: 'What is ATP?',
+        embedding: [1, 0, 0],
+        answer: 'The energy currency of the cell.',
+        model: 'm',
+        ...overrides
+    });
+}
+
+test('cosine similarity handles mismatched and empty vectors', () => {
+    expect(AnswerCache.cosineSimilarity([1, 0], [1, 0])).toBeCloseTo(1);
+    expect(AnswerCache.cosineSimilarity([1, 0], [0, 1])).toBe(0);
+    expect(AnswerCache.cosineSimilarity([1, 0], [1, 0, 0])).toBe(0);
+    expect(AnswerCache.cosineSimilarity([0, 0], [0, 0])).toBe(0);
+});
+
+test('saving requires a scope, an embedding, and an answer', async () => {
+    const db = memoryDb();
+
+    expect((await save(db, { unitName: '' })).success).toBe(false);
+    expect((await save(db, { embedding: [] })).success).toBe(false);
+    expect((await save(db, { answer: '' })).success).toBe(false);
+
+    const { success, entry } = await save(db);
+    expect(success).toBe(true);
+    expect(entry).toMatchObject({ courseId: 'C1', lectureNames: ['Unit 1'], pinned: false, hitCount: 0 });
+    expect(entry.entryId).toMatch(/^anscache/);
+    expect(entry.embedding).toBeUndefined();
+});
+
+test('lookups only match close questions in the same scope', async () => {
+    const db = memoryDb();
+    await save(db);
+    await save(db, { mode: 'protege', embedding: [0.9, 0.1, 0] });
+
+    const hit = await AnswerCache.findSimilarAnswer(db, scope, [0.99, 0.05, 0], 0.95);
+    expect(hit.entry.mode).toBe('tutor');
+    expect(hit.similarity).toBeGreaterThan(0.95);
+    expect(await AnswerCache.findSimilarAnswer(db, scope, [0.5, 0.5, 0], 0.95)).toBeNull();
+    expect(await AnswerCache.findSimilarAnswer(db, { ...scope, unitName: 'Unit 2' }, [1, 0, 0], 0.95)).toBeNull();
+    expect(await AnswerCache.findSimilarAnswer(db, { ...scope, profileKey: 'other' }, [1, 0, 0], 0.95)).toBeNull();
+});
+
+test('lookups miss answers generated from different prompt variables', async () => {
+    const db = memoryDb();
+    await save(db, { promptKey: 'prompt-a' });
+
+    const sameKey = await AnswerCache.findSimilarAnswer(db, { ...scope, promptKey: 'prompt-a' }, [1, 0, 0], 0.95);
+    expect(sameKey.entry.promptKey).toBe('prompt-a');
+    expect(await AnswerCache.findSimilarAnswer(db, { ...scope, promptKey: 'prompt-b' }, [1, 0, 0], 0.95)).toBeNull();
+    expect(await AnswerCache.findSimilarAnswer(db, scope, [1, 0, 0], 0.95)).toBeNull();
+});
+
+test('hits and misses feed the daily stats and the entry hit count', async () => {
+    const db = memoryDb();
+    const { entry } = await save(db);
+
+    await AnswerCache.recordLookup(db, 'C1', entry.entryId);
+    await AnswerCache.recordLookup(db, 'C1', null);
+    await AnswerCache.recordLookup(db, 'C2', null);
+    await AnswerCache.setPinned(db, 'C1', entry.entryId, true);
+
+    expect(await AnswerCache.getCacheStats(db, ['C1'])).toEqual({
+        days: 30, lookups: 2, hits: 1, hitRate: 0.5, entries: 1, pinnedEntries: 1
+    });
+    const [listed] = await AnswerCache.listEntries(db, 'C1');
+    expect(listed).toMatchObject({ hitCount: 1, pinned: true });
+    expect(listed.lastHitAt).toBeInstanceOf(Date);
+});
+
+test('invalidation removes unpinned answers and flags pinned ones', async () => {
+    const db = memoryDb();
+    const { entry: pinned } = await save(db, { lectureNames: ['Unit 1', 'Unit 0'] });
+    await save(db);
+    await save(db, { unitName: 'Unit 2' });
+    await AnswerCache.setPinned(db, 'C1', pinned.entryId, true);
+
+    expect(await AnswerCache.invalidateUnit(db, 'C1', 'Unit 0')).toBe(0);
+    expect(await AnswerCache.invalidateUnit(db, 'C1', 'Unit 1')).toBe(1);
+    let entries = await AnswerCache.listEntries(db, 'C1');
+    expect(entries).toHaveLength(2);
+    expect(entries.find(e => e.entryId === pinned.entryId).sourcesChangedAt).toBeInstanceOf(Date);
+
+    expect((await AnswerCache.setPinned(db, 'C1', pinned.entryId, true)).sourcesChangedAt).toBeNull();
+    expect(await AnswerCache.invalidateCourse(db, 'C1')).toBe(1);
+    entries = await AnswerCache.listEntries(db, 'C1');
+    expect(entries.map(e => e.entryId)).toEqual([pinned.entryId]);
+});
+
+test('purging skips pinned entries unless asked, and is scoped to the course', async () => {
+    const db = memoryDb();
+    const { entry: pinned } = await save(db);
+    const { entry: loose } = await save(db, { unitName: 'Unit 2' });
+    await AnswerCache.setPinned(db, 'C1', pinned.entryId, true);
+
+    expect(await AnswerCache.setPinned(db, 'C2', pinned.entryId, false)).toBeNull();
+    expect(await AnswerCache.purgeEntries(db, 'C2', { entryId: loose.entryId })).toBe(0);
+    expect(await AnswerCache.purgeEntries(db, 'C1', { unitName: 'Unit 1' })).toBe(0);
+    expect(await AnswerCache.purgeEntries(db, 'C1')).toBe(1);
+    expect(await AnswerCache.purgeEntries(db, 'C1', { includePinned: true })).toBe(1);
+});
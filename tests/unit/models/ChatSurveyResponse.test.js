@@ -255,3 +255,36 @@ describe('ChatSurveyResponse.getSurveyResponseForSession', () => {
         expect(await ChatSurveyResponse.getSurveyResponseForSession(db, { ...base, settingsFingerprint: 'nope' })).toBeNull();
     });
 });
+
+describe('ChatSurveyResponse prompt experiment variants', () => {
+    test('fingerprints and snapshots include the variant only when one is active', () => {
+        const plain = ChatSurveyResponse.buildSettingsFingerprint(settings);
+        const variantA = ChatSurveyResponse.buildSettingsFingerprint({ ...settings, promptVariant: { experimentId: 'exp1', variant: 'A' } });
+        const variantB = ChatSurveyResponse.buildSettingsFingerprint({ ...settings, promptVariant: { experimentId: 'exp1', variant: 'B' } });
+
+        expect(ChatSurveyResponse.buildSettingsFingerprint({ ...settings, promptVariant: null })).toBe(plain);
+        expect(new Set([plain, variantA, variantB]).size).toBe(3);
+        expect(ChatSurveyResponse.buildSettingsSnapshot(settings)).not.toHaveProperty('promptVariant');
+    });
+
+    test('summarizes star ratings per variant', async () => {
+        const db = memoryDb();
+        const submit = (studentId, variant, ratingAccuracy, ratingSatisfaction) => ChatSurveyResponse.upsertChatSurveyEvent(db, {
+            courseId: 'C1',
+            studentId,
+            conversationId: `session-${studentId}`,
+            eventType: 'submitted',
+            ratingAccuracy,
+            ratingSatisfaction,
+            settings: { ...settings, promptVariant: variant && { experimentId: 'exp1', variant } }
+        });
+        await submit('s1', 'A', 4, 3);
+        await submit('s2', 'A', 2, 5);
+        await submit('s3', 'B', 5, 5);
+        await submit('s4', null, 1, 1);
+
+        const stats = await ChatSurveyResponse.getSurveyStatsByVariant(db, 'C1', 'exp1');
+        expect(stats.A).toMatchObject({ submitted: 2, averageAccuracy: 3, averageSatisfaction: 4 });
+        expect(stats.B).toMatchObject({ submitted: 1, averageAccuracy: 5, averageSatisfaction: 5 });
+    });
+});
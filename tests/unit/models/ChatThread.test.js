@@ -0,0 +1,130 @@
+const { memoryDb } = require('../helpers/memory-db');
+const ChatThread = require('../../../src/models/ChatThread');
+
+const COLL = ChatThread.COLLECTION_NAME;
+const owner = { studentId: 's1', studentName: 'Student One', courseId: 'C1', unitName: 'Unit 1', mode: 'tutor' };
+
+describe('ChatThread model', () => {
+    test('creates a thread under the client session id and reuses it for the owner', async () => {
+        const db = memoryDb({});
+
+        const first = await ChatThread.resolveThread(db, { ...owner, threadId: 'autosave_1_abc' });
+        expect(first).toMatchObject({ success: true, created: true, thread: { threadId: 'autosave_1_abc', turns: [], turnCount: 0 } });
+        expect(first.thread._id).toBeUndefined();
+
+        await ChatThread.appendTurns(db, {
+            threadId: 'autosave_1_abc',
+            studentId: 's1',
+            turns: [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello', messageId: 'msg_1' }]
+        });
+        const again = await ChatThread.resolveThread(db, { ...owner, threadId: 'autosave_1_abc' });
+        expect(again.created).toBe(false);
+        expect(again.thread.turns.map(turn => turn.content)).toEqual(['Hi', 'Hello']);
+        expect(await db.collection(COLL).countDocuments({})).toBe(1);
+    });
+
+    test('issues a server id for malformed ids or ids owned by someone else', async () => {
+        const malformed = await ChatThread.resolveThread(memoryDb({}), { ...owner, threadId: 'bad id!' });
+        expect(malformed.thread.threadId).toMatch(/^thread_/);
+
+        const duplicate = Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+        const findOneAndUpdate = jest.fn()
+            .mockRejectedValueOnce(duplicate)
+            .mockImplementationOnce(async (filter) => ({ ...filter, turns: [], turnCount: 0 }));
+        const db = { collection: () => ({ findOneAndUpdate }) };
+        const taken = await ChatThread.resolveThread(db, { ...owner, threadId: 'someone_elses' });
+        expect(taken.thread.threadId).toMatch(/^thread_/);
+        expect(findOneAndUpdate.mock.calls[0][0]).toEqual({ threadId: 'someone_elses', studentId: 's1', courseId: 'C1' });
+    });
+
+    test('requires an owner and rethrows unexpected database errors', async () => {
+        expect(await ChatThread.resolveThread(memoryDb({}), { courseId: 'C1' })).toEqual({
+            success: false,
+            error: 'studentId and courseId are required'
+        });
+        const db = { collection: () => ({ findOneAndUpdate: jest.fn().mockRejectedValue(new Error('down')) }) };
+        await expect(ChatThread.resolveThread(db, owner)).rejects.toThrow('down');
+    });
+
+    test('appends only valid turns, bounds content, and only for the owner', async () => {
+        const db = memoryDb({});
+        await ChatThread.resolveThread(db, { ...owner, threadId: 't1' });
+
+        const result = await ChatThread.appendTurns(db, {
+            threadId: 't1',
+            studentId: 's1',
+            unitName: 'Unit 2',
+            mode: 'protege',
+            turns: [
+                { role: 'user', content: 'x'.repeat(ChatThread.MAX_TURN_CHARACTERS + 10), isExplanationRequest: true },
+                { role: 'system', content: 'ignored' },
+                { role: 'assistant', content: '   ' }
+            ]
+        });
+        expect(result).toEqual({ success: true, appended: 1 });
+
+        const stored = await db.collection(COLL).findOne({ threadId: 't1' });
+        expect(stored).toMatchObject({ turnCount: 1, mode: 'protege', unitName: 'Unit 2' });
+        expect(stored.turns[0]).toMatchObject({ role: 'user', mode: 'protege', isExplanationRequest: true, messageId: null });
+        expect(stored.turns[0].content).toHaveLength(ChatThread.MAX_TURN_CHARACTERS);
+        expect(stored.lastMessageAt).toBeInstanceOf(Date);
+
+        expect(await ChatThread.appendTurns(db, { threadId: 't1', studentId: 'intruder', turns: [{ role: 'user', content: 'x' }] }))
+            .toEqual({ success: false, error: 'Thread not found' });
+        expect(await ChatThread.appendTurns(db, { threadId: 't1', studentId: 's1', turns: [] }))
+            .toEqual({ success: false, error: 'No valid turns to append' });
+        expect(await ChatThread.appendTurns(db, { threadId: 't1' }))
+            .toEqual({ success: false, error: 'threadId and studentId are required' });
+    });
+
+    test('reads threads only for their owner and lists active threads without turns', async () => {
+        const db = memoryDb({
+            [COLL]: [
+                { threadId: 'old', studentId: 's1', courseId: 'C1', unitName: 'Unit 1', turns: [{ role: 'user', content: 'a' }], turnCount: 1, lastMessageAt: new Date('2026-01-01') },
+                { threadId: 'new', studentId: 's1', courseId: 'C1', unitName: 'Unit 2', turns: [{ role: 'user', content: 'b' }], turnCount: 1, lastMessageAt: new Date('2026-02-01') },
+                { threadId: 'empty', studentId: 's1', courseId: 'C1', unitName: 'Unit 1', turns: [], turnCount: 0, lastMessageAt: null },
+                { threadId: 'other', studentId: 's2', courseId: 'C1', unitName: 'Unit 1', turns: [], turnCount: 3, lastMessageAt: new Date('2026-03-01') }
+            ]
+        });
+
+        expect((await ChatThread.getThreadForStudent(db, 'old', 's1')).turns).toHaveLength(1);
+        expect(await ChatThread.getThreadForStudent(db, 'old', 's2')).toBeNull();
+        expect(await ChatThread.getThreadForStudent(db, '', 's1')).toBeNull();
+
+        const listed = await ChatThread.listThreadsForStudent(db, { studentId: 's1', courseId: 'C1' });
+        expect(listed.map(thread => thread.threadId)).toEqual(['new', 'old']);
+        expect(listed[0].turns).toBeUndefined();
+
+        const unitOnly = await ChatThread.listThreadsForStudent(db, { studentId: 's1', courseId: 'C1', unitName: 'Unit 1', limit: 1 });
+        expect(unitOnly.map(thread => thread.threadId)).toEqual(['old']);
+    });
+
+    test('keeps rewritten search queries on assistant turns and finds them by message id', async () => {
+        const db = memoryDb({ [COLL]: [{ threadId: 't1', studentId: 's1', courseId: 'C1', turns: [], turnCount: 0 }] });
+        await ChatThread.appendTurns(db, {
+            threadId: 't1',
+            studentId: 's1',
+            turns: [
+                { role: 'user', content: 'why?' },
+                { role: 'assistant', content: 'Because.', messageId: 'msg_1', searchQueries: ['Why is PFK-1 irreversible?', '  '] }
+            ]
+        });
+
+        const turn = await ChatThread.getAssistantTurn(db, { threadId: 't1', studentId: 's1', messageId: 'msg_1' });
+        expect(turn).toMatchObject({ content: 'Because.', searchQueries: ['Why is PFK-1 irreversible?'] });
+        const stored = await db.collection(COLL).findOne({ threadId: 't1' });
+        expect(stored.turns[0].searchQueries).toBeNull();
+        expect(await ChatThread.getAssistantTurn(db, { threadId: 't1', studentId: 's2', messageId: 'msg_1' })).toBeNull();
+        expect(await ChatThread.getAssistantTurn(db, { threadId: 't1', studentId: 's1', messageId: 'msg_9' })).toBeNull();
+    });
+
+    test('ensureIndexes creates the unique thread id and recency indexes', async () => {
+        const createIndex = jest.fn().mockResolvedValue('ok');
+        await ChatThread.ensureIndexes({ collection: () => ({ createIndex }) });
+        expect(createIndex).toHaveBeenCalledWith({ threadId: 1 }, { unique: true, name: 'unique_thread_id' });
+        expect(createIndex).toHaveBeenCalledWith(
+            { studentId: 1, courseId: 1, lastMessageAt: -1 },
+            { name: 'student_course_threads_recent' }
+        );
+    });
+});
@@ -1,6 +1,7 @@
 /** Focused coverage for the remaining public Course model lifecycle helpers. */
 const { memoryDb } = require('../helpers/memory-db');
 const Course = require('../../../src/models/Course');
+const AnswerCache = require('../../../src/models/AnswerCache');
 
 beforeAll(() => {
     jest.spyOn(console, 'log').mockImplementation(() => {});
@@ -326,6 +327,26 @@ describe('Course document lifecycle', () => {
         const stored = await db.collection('courses').findOne({ courseId: 'C1' });
         expect(stored.lectures.flatMap(unit => unit.documents || []).map(doc => doc.documentId)).toEqual(['keep']);
     });
+
+    test('document changes clear the cached answers of the affected units', async () => {
+        const db = memoryDb({ courses: [{ courseId: 'C1', lectures: [
+            { name: 'U1', documents: [{ documentId: 'd1' }] },
+            { name: 'U2', documents: [] },
+        ] }] });
+        const cache = unitName => AnswerCache.saveAnswer(db, {
+            courseId: 'C1', unitName, mode: 'tutor', profileKey: 'p', question: 'Q?', embedding: [1], answer: 'A.'
+        });
+        const cachedUnits = async () => (await AnswerCache.listEntries(db, 'C1')).map(entry => entry.unitName);
+
+        await cache('U1');
+        await cache('U2');
+        await Course.addDocumentToUnit(db, 'C1', 'U2', { documentId: 'd2' }, 'i1');
+        expect(await cachedUnits()).toEqual(['U1']);
+
+        await cache('U2');
+        await Course.removeDocumentFromAnyUnit(db, 'C1', 'd1', 'i1');
+        expect(await cachedUnits()).toEqual(['U2']);
+    });
 });
 
 describe('Course approved struggle topics', () => {
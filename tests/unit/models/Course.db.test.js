@@ -403,10 +403,10 @@ describe('Course.getRagSettings / updateRagSettings / updateAllowInSuperCourse',
             { courseId: 'C2' },
         ] });
         expect(await Course.getRagSettings(db, 'C1')).toEqual({
-            success: true, ragSettings: { student: { topK: 8 } }, allowInSuperCourse: true,
+            success: true, ragSettings: { student: { topK: 8, retrievalMode: 'vector', rerank: Course.DEFAULT_RERANK_SETTINGS, answerCache: Course.DEFAULT_ANSWER_CACHE_SETTINGS } }, allowInSuperCourse: true,
         });
         expect(await Course.getRagSettings(db, 'C2')).toEqual({
-            success: true, ragSettings: { student: { topK: 3 } }, allowInSuperCourse: false,
+            success: true, ragSettings: { student: { topK: 3, retrievalMode: 'vector', rerank: Course.DEFAULT_RERANK_SETTINGS, answerCache: Course.DEFAULT_ANSWER_CACHE_SETTINGS } }, allowInSuperCourse: false,
         });
     });
 
@@ -430,6 +430,34 @@ describe('Course.getRagSettings / updateRagSettings / updateAllowInSuperCourse',
         expect(await Course.getRagSettings(db, 'C1')).toMatchObject({ ragSettings: { student: { topK: 7 } } });
     });
 
+    test('updateRagSettings validates and persists the retrieval mode, keeping it when omitted', async () => {
+        const db = memoryDb({ courses: [{ courseId: 'C1' }] });
+        expect(await Course.updateRagSettings(db, 'C1', { student: { topK: 4, retrievalMode: 'bm25' } })).toEqual({
+            success: false, error: 'Student Chat retrieval mode must be one of: vector, hybrid',
+        });
+        expect(await Course.updateRagSettings(db, 'C1', { student: { topK: 4, retrievalMode: 'hybrid' } })).toEqual({
+            success: true, ragSettings: { student: { topK: 4, retrievalMode: 'hybrid' } }, error: null,
+        });
+        await Course.updateRagSettings(db, 'C1', { student: { topK: 6 } });
+        expect(await Course.getRagSettings(db, 'C1')).toMatchObject({
+            ragSettings: { student: { topK: 6, retrievalMode: 'hybrid' } },
+        });
+    });
+
+    test('updateRagSettings validates and persists re-rank settings', async () => {
+        const db = memoryDb({ courses: [{ courseId: 'C1' }] });
+        expect(await Course.updateRagSettings(db, 'C1', { student: { topK: 4, rerank: { enabled: true, scorer: 'cohere' } } })).toEqual({
+            success: false, error: 'Re-ranking needs a scorer (llm, local) and 2-40 candidates',
+        });
+
+        const rerank = { enabled: true, scorer: 'local', candidateCount: 20 };
+        expect(await Course.updateRagSettings(db, 'C1', { student: { topK: 4, rerank } })).toMatchObject({
+            success: true, ragSettings: { student: { topK: 4, rerank } },
+        });
+        await Course.updateRagSettings(db, 'C1', { student: { topK: 5 } });
+        expect((await Course.getRagSettings(db, 'C1')).ragSettings.student.rerank).toEqual(rerank);
+    });
+
     test('updateRagSettings reports "Course not found" for a valid topK but missing course', async () => {
         const db = memoryDb({ courses: [] });
         expect(await Course.updateRagSettings(db, 'NOPE', { student: { topK: 5 } })).toMatchObject({
@@ -187,21 +187,80 @@ describe('Course.normalizeRagTopK', () => {
 
 describe('Course.resolveRagSettings', () => {
     test('defaults student topK to 3 when unset', () => {
-        expect(Course.resolveRagSettings({})).toEqual({ student: { topK: 3 } });
-        expect(Course.resolveRagSettings()).toEqual({ student: { topK: 3 } });
+        expect(Course.resolveRagSettings({})).toEqual({ student: { topK: 3, retrievalMode: 'vector', rerank: Course.DEFAULT_RERANK_SETTINGS, answerCache: Course.DEFAULT_ANSWER_CACHE_SETTINGS } });
+        expect(Course.resolveRagSettings()).toEqual({ student: { topK: 3, retrievalMode: 'vector', rerank: Course.DEFAULT_RERANK_SETTINGS, answerCache: Course.DEFAULT_ANSWER_CACHE_SETTINGS } });
     });
 
     test('passes a valid stored topK through', () => {
         expect(Course.resolveRagSettings({ ragSettings: { student: { topK: 8 } } })).toEqual({
-            student: { topK: 8 },
+            student: { topK: 8, retrievalMode: 'vector', rerank: Course.DEFAULT_RERANK_SETTINGS, answerCache: Course.DEFAULT_ANSWER_CACHE_SETTINGS },
         });
     });
 
     test('clamps an invalid stored topK back to the default', () => {
         expect(Course.resolveRagSettings({ ragSettings: { student: { topK: 99 } } })).toEqual({
-            student: { topK: 3 },
+            student: { topK: 3, retrievalMode: 'vector', rerank: Course.DEFAULT_RERANK_SETTINGS, answerCache: Course.DEFAULT_ANSWER_CACHE_SETTINGS },
         });
     });
+
+    test('passes hybrid retrieval through and falls back to vector for unknown modes', () => {
+        expect(Course.resolveRagSettings({ ragSettings: { student: { retrievalMode: 'hybrid' } } }).student.retrievalMode).toBe('hybrid');
+        expect(Course.resolveRagSettings({ ragSettings: { student: { retrievalMode: 'bm25' } } }).student.retrievalMode).toBe('vector');
+        expect(Course.normalizeRagRetrievalMode('bm25', null)).toBeNull();
+    });
+});
+
+describe('Course.normalizeRerankSettings', () => {
+    test('defaults to disabled LLM re-ranking over 12 candidates', () => {
+        expect(Course.normalizeRerankSettings()).toEqual({ enabled: false, scorer: 'llm', candidateCount: 12 });
+        expect(Course.normalizeRerankSettings([])).toEqual(Course.DEFAULT_RERANK_SETTINGS);
+    });
+
+    test('leniently repairs stored fields one at a time', () => {
+        expect(Course.normalizeRerankSettings({ enabled: true, scorer: 'cohere', candidateCount: 16 }))
+            .toEqual({ enabled: true, scorer: 'llm', candidateCount: 16 });
+        expect(Course.normalizeRerankSettings({ enabled: 'yes', scorer: 'local', candidateCount: 99 }))
+            .toEqual({ enabled: false, scorer: 'local', candidateCount: 12 });
+    });
+
+    test('strict mode rejects any invalid field', () => {
+        expect(Course.normalizeRerankSettings({ enabled: true, scorer: 'local', candidateCount: '20' }, { strict: true }))
+            .toEqual({ enabled: true, scorer: 'local', candidateCount: 20 });
+        expect(Course.normalizeRerankSettings({ scorer: 'cohere' }, { strict: true })).toBeNull();
+        expect(Course.normalizeRerankSettings({ candidateCount: 1 }, { strict: true })).toBeNull();
+        expect(Course.normalizeRerankSettings({ candidateCount: 41 }, { strict: true })).toBeNull();
+    });
+});
+
+describe('Course.normalizeAnswerCacheSettings', () => {
+    test('defaults to disabled with a 0.95 threshold and repairs stored values', () => {
+        expect(Course.normalizeAnswerCacheSettings()).toEqual({ enabled: false, similarityThreshold: 0.95 });
+        expect(Course.normalizeAnswerCacheSettings({ enabled: true, similarityThreshold: 0.5 }))
+            .toEqual({ enabled: true, similarityThreshold: 0.95 });
+    });
+
+    test('strict mode rejects thresholds outside 0.8-0.99', () => {
+        expect(Course.normalizeAnswerCacheSettings({ enabled: true, similarityThreshold: '0.9' }, { strict: true }))
+            .toEqual({ enabled: true, similarityThreshold: 0.9 });
+        expect(Course.normalizeAnswerCacheSettings({ similarityThreshold: 0.79 }, { strict: true })).toBeNull();
+        expect(Course.normalizeAnswerCacheSettings({ similarityThreshold: 1 }, { strict: true })).toBeNull();
+    });
+});
+
+describe('Course.normalizeTokenBudget', () => {
+    test('defaults to no limits and repairs stored values', () => {
+        expect(Course.normalizeTokenBudget()).toEqual(Course.DEFAULT_TOKEN_BUDGET);
+        expect(Course.normalizeTokenBudget({ dailyTokens: -5, monthlyTokens: '2000', degradeAtPercent: 10 }))
+            .toEqual({ dailyTokens: null, monthlyTokens: 2000, degradeAtPercent: 80 });
+    });
+
+    test('strict mode accepts empty limits and rejects fractions or out-of-range percentages', () => {
+        expect(Course.normalizeTokenBudget({ dailyTokens: '', monthlyTokens: 5000, degradeAtPercent: null }, { strict: true }))
+            .toEqual({ dailyTokens: null, monthlyTokens: 5000, degradeAtPercent: 80 });
+        expect(Course.normalizeTokenBudget({ dailyTokens: 1.5 }, { strict: true })).toBeNull();
+        expect(Course.normalizeTokenBudget({ dailyTokens: Course.MAX_TOKEN_BUDGET + 1 }, { strict: true })).toBeNull();
+        expect(Course.normalizeTokenBudget({ degradeAtPercent: 49 }, { strict: true })).toBeNull();
+    });
 });
 
 describe('Course.getAllowInSuperCourse', () => {
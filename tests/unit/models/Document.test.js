@@ -171,6 +171,57 @@ describe('Document.updateDocumentStatus', () => {
     });
 });
 
+describe('Document.recordDocumentRevision', () => {
+    const legacy = {
+        documentId: 'doc-1', courseId: 'C1', instructorId: 'i1', fileId: 'file-v1',
+        filename: 'unit1.pdf', originalName: 'unit1.pdf', mimeType: 'application/pdf',
+        size: 10, content: 'old text', uploadDate: new Date('2026-01-01'),
+    };
+    const revision = {
+        jobId: 'ingest-1', fileId: 'file-v2', filename: 'unit1-v2.pdf', originalName: 'unit1-v2.pdf',
+        mimeType: 'application/pdf', size: 12, content: 'new text', contentHash: 'hash-v2', uploadedBy: 'i2',
+    };
+
+    test('a never-replaced document has one implicit version', () => {
+        expect(Document.listDocumentVersions(legacy)).toEqual([
+            expect.objectContaining({ version: 1, fileId: 'file-v1', uploadedBy: 'i1' }),
+        ]);
+        expect(Document.findDocumentVersion(legacy, '1')).toMatchObject({ fileId: 'file-v1' });
+        expect(Document.findDocumentVersion(legacy, 'x')).toBeNull();
+    });
+
+    test('makes the new file current and keeps the old one in the history, once per job', async () => {
+        const db = memoryDb({ [COLL]: [{ ...legacy }] });
+
+        const updated = await Document.recordDocumentRevision(db, 'doc-1', revision);
+        expect(updated).toMatchObject({ version: 2, fileId: 'file-v2', filename: 'unit1-v2.pdf', content: 'new text' });
+        expect(Document.listDocumentVersions(updated).map(entry => [entry.version, entry.fileId, entry.uploadedBy]))
+            .toEqual([[1, 'file-v1', 'i1'], [2, 'file-v2', 'i2']]);
+
+        // A resumed job records the same revision again
+        const again = await Document.recordDocumentRevision(db, 'doc-1', revision);
+        expect(again.version).toBe(2);
+        expect(again.versions).toHaveLength(2);
+
+        await expect(Document.recordDocumentRevision(db, 'missing', revision)).resolves.toBeNull();
+    });
+
+    test('refuses a revision when another upload changed the version first', async () => {
+        const db = memoryDb({ [COLL]: [{ ...legacy }] });
+        const collection = db.collection(COLL);
+        const findOne = collection.findOne.bind(collection);
+        // The document is read at version 1, then bumped before the write lands
+        jest.spyOn(collection, 'findOne').mockImplementationOnce(async (...args) => {
+            const document = await findOne(...args);
+            await collection.updateOne({ documentId: 'doc-1' }, { $set: { version: 2 } });
+            return document;
+        });
+        jest.spyOn(db, 'collection').mockReturnValue(collection);
+
+        await expect(Document.recordDocumentRevision(db, 'doc-1', revision)).rejects.toThrow('changed by another upload');
+    });
+});
+
 describe('Document.deleteDocument', () => {
     test('deletes the matching document and reports the deletion count', async () => {
         const db = memoryDb({ [COLL]: [{ documentId: 'doc-1' }, { documentId: 'doc-2' }] });
@@ -99,6 +99,31 @@ describe('FlashcardDeck', () => {
         expect(deck.publishedCards).toHaveLength(2);
     });
 
+    test('imports a draft that keeps matching card ids and the deck title', async () => {
+        const db = memoryDb({});
+        const generated = await FlashcardDeck.saveGeneratedDraft(db, {
+            courseId: 'C1', lectureName: 'Unit 1', title: 'Energy', cards: sampleCards(), generatedBy: 'i1'
+        });
+        const published = await FlashcardDeck.publishDraft(db, generated.deckId, 'i1');
+
+        const imported = await FlashcardDeck.saveImportedDraft(db, {
+            courseId: 'C1',
+            lectureName: 'Unit 1',
+            cards: [
+                { front: 'what does ATP synthase produce?', back: 'ATP.', source: { fileName: 'Lecture 1.pdf', pageNumber: 2 } },
+                { front: 'What is a proton motive force?', back: 'The gradient’s stored energy.' }
+            ],
+            importedBy: 'i2'
+        });
+
+        expect(imported).toMatchObject({ deckId: generated.deckId, title: 'Energy', hasDraft: true, draftImportedBy: 'i2' });
+        expect(imported.draftImportedAt).toBeInstanceOf(Date);
+        expect(imported.draftCards[0].cardId).toBe(published.publishedCards[0].cardId);
+        expect(imported.draftCards[0].source).toMatchObject({ fileName: 'Lecture 1.pdf', pageNumber: 2 });
+        expect(imported.draftSourceDocumentIds).toEqual([]);
+        expect(FlashcardDeck.currentDeckCards(imported)).toBe(imported.draftCards);
+    });
+
     test('stores only per-student mastery and review counts', async () => {
         const db = memoryDb({});
         await FlashcardDeck.saveStudentReview(db, {
@@ -122,6 +147,55 @@ describe('FlashcardDeck', () => {
         expect(progress).not.toHaveProperty('publishedCards');
     });
 
+    test('schedules reviews, logs them by local day, and rejects unknown ratings', async () => {
+        const db = memoryDb({});
+        const review = { studentId: 's1', courseId: 'C1', deckId: 'deck1', deckVersion: 1, cardId: 'card1' };
+        await FlashcardDeck.saveStudentReview(db, { ...review, rating: 'good' });
+        const progress = await FlashcardDeck.saveStudentReview(db, { ...review, rating: 'easy', timezoneOffset: 420 });
+
+        expect(progress.cards.card1).toMatchObject({
+            ease: 2.65,
+            intervalDays: 4,
+            repetitions: 2,
+            lastRating: 'easy',
+            mastery: 'known',
+            timesReviewed: 2
+        });
+        expect(progress.cards.card1.dueAt).toBeInstanceOf(Date);
+
+        const days = await FlashcardDeck.getStudentReviewDays(db, 's1', 'C1');
+        expect(days.reduce((sum, entry) => sum + entry.reviews, 0)).toBe(2);
+        expect(days[0].day).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+        expect(await FlashcardDeck.getStudentReviewDays(db, 's2', 'C1')).toEqual([]);
+
+        await expect(FlashcardDeck.saveStudentReview(db, { ...review, rating: 'maybe' }))
+            .rejects.toThrow('Rating must be again, hard, good, or easy');
+    });
+
+    test('keeps a card schedule when the deck is edited and republished', async () => {
+        const db = memoryDb({});
+        const draft = await FlashcardDeck.saveGeneratedDraft(db, {
+            courseId: 'C1', lectureName: 'Unit 1', cards: sampleCards(), generatedBy: 'i1'
+        });
+        const first = await FlashcardDeck.publishDraft(db, draft.deckId, 'i1');
+        const cardId = first.publishedCards[0].cardId;
+        await FlashcardDeck.saveStudentReview(db, {
+            studentId: 's1', courseId: 'C1', deckId: first.deckId, deckVersion: 1, cardId, rating: 'good'
+        });
+
+        await FlashcardDeck.saveGeneratedDraft(db, {
+            courseId: 'C1',
+            lectureName: 'Unit 1',
+            cards: [{ ...sampleCards()[0], back: 'ATP, via rotary catalysis.' }, sampleCards()[1]],
+            generatedBy: 'i1'
+        });
+        const second = await FlashcardDeck.publishDraft(db, draft.deckId, 'i1');
+        expect(second.publishedCards[0].cardId).toBe(cardId);
+
+        const progressByDeck = await FlashcardDeck.getStudentProgressByDeck(db, 's1', [second.deckId]);
+        expect(progressByDeck[second.deckId].cards[cardId]).toMatchObject({ intervalDays: 1, repetitions: 1 });
+    });
+
     test('ensures deck and progress indexes', async () => {
         await expect(FlashcardDeck.ensureIndexes(memoryDb({}))).resolves.toBeUndefined();
     });
@@ -205,3 +205,100 @@ describe('MentalHealthFlag.getMentalHealthFlagStats', () => {
         });
     });
 });
+
+describe('MentalHealthFlag case management', () => {
+    const actor = { userId: 'i1', name: 'Dr. Instructor' };
+
+    test('new flags start unassigned with a created timeline entry', async () => {
+        const db = memoryDb({});
+        const { flagId } = await MentalHealthFlag.createMentalHealthFlag(db, {
+            studentId: 's1', courseId: 'C1', message: 'hard week', concernLevel: 'low concern', llmReason: 'stress'
+        });
+        const stored = await MentalHealthFlag.getFlagById(db, flagId);
+        expect(stored).toMatchObject({ assignedTo: null, followUpAt: null, caseNotes: [] });
+        expect(stored.timeline).toEqual([expect.objectContaining({ type: 'created', toStatus: 'pending', reason: 'stress', actorId: null })]);
+    });
+
+    test('status changes record the actor, the previous status, and the reason', async () => {
+        const db = memoryDb({ [COLL]: [{ flagId: 'f1', status: 'pending', timeline: [] }] });
+        await MentalHealthFlag.updateFlagStatus(db, 'f1', 'escalated', 'i1', { reason: 'Repeated distress', actorName: 'Dr. Instructor' });
+        const stored = await MentalHealthFlag.getFlagById(db, 'f1');
+        expect(stored.timeline).toEqual([expect.objectContaining({
+            type: 'status', fromStatus: 'pending', toStatus: 'escalated', reason: 'Repeated distress', actorId: 'i1', actorName: 'Dr. Instructor'
+        })]);
+    });
+
+    test('assigns, notes, and follow-ups each land on the timeline', async () => {
+        const db = memoryDb({ [COLL]: [{ flagId: 'f1', status: 'pending', timeline: [], caseNotes: [] }] });
+
+        await MentalHealthFlag.assignFlag(db, 'f1', { userId: 't1', name: 'TA One', role: 'ta' }, actor);
+        expect((await MentalHealthFlag.addCaseNote(db, 'f1', '   ', actor)).error).toBe('Note text is required');
+        const note = await MentalHealthFlag.addCaseNote(db, 'f1', ' Reached out by email ', actor);
+        expect(note.note).toMatchObject({ text: 'Reached out by email', authorId: 'i1' });
+        expect((await MentalHealthFlag.setFollowUp(db, 'f1', 'not a date', actor)).success).toBe(false);
+        await MentalHealthFlag.setFollowUp(db, 'f1', '2026-07-01T00:00:00Z', actor);
+
+        const stored = await MentalHealthFlag.getFlagById(db, 'f1');
+        expect(stored.assignedTo).toEqual({ userId: 't1', name: 'TA One', role: 'ta' });
+        expect(stored.caseNotes).toHaveLength(1);
+        expect(stored.followUpAt).toEqual(new Date('2026-07-01T00:00:00Z'));
+        expect(stored.timeline.map(event => [event.type, event.detail])).toEqual([
+            ['assigned', 'TA One'],
+            ['note', null],
+            ['followUp', '2026-07-01T00:00:00.000Z']
+        ]);
+
+        expect(await MentalHealthFlag.assignFlag(db, 'missing', null, actor)).toEqual({ success: false, error: 'Flag not found' });
+    });
+
+    test('only open flags past their follow-up date are overdue', async () => {
+        const past = new Date(Date.now() - 60000);
+        const future = new Date(Date.now() + 60000);
+        expect(MentalHealthFlag.isFlagOverdue({ status: 'pending', followUpAt: past })).toBe(true);
+        expect(MentalHealthFlag.isFlagOverdue({ status: 'escalated', followUpAt: future })).toBe(false);
+        expect(MentalHealthFlag.isFlagOverdue({ status: 'resolved', followUpAt: past })).toBe(false);
+
+        const db = memoryDb({ [COLL]: [
+            { courseId: 'C1', status: 'pending', followUpAt: past },
+            { courseId: 'C1', status: 'dismissed', followUpAt: past },
+            { courseId: 'C1', status: 'escalated', followUpAt: future },
+            { courseId: 'C1', status: 'pending', followUpAt: null }
+        ] });
+        expect(await MentalHealthFlag.countOverdueFlags(db, 'C1')).toBe(1);
+    });
+});
+
+describe('MentalHealthFlag referral export', () => {
+    const flag = {
+        flagId: 'f1', courseId: 'C1', unitName: 'Unit 1', studentId: 's1', studentName: 'Jane',
+        concernLevel: 'high concern', status: 'escalated', llmReason: 'hopeless', message: 'I feel hopeless, "really"',
+        conversationContext: [{ role: 'user', content: 'hi' }, { role: 'assistant', content: 'hello' }],
+        caseNotes: [{ text: 'private' }],
+        timeline: [{ type: 'status', toStatus: 'escalated', at: new Date('2026-06-01T00:00:00Z'), actorName: 'Dr. I', reason: 'urgent' }],
+        resourcesShown: [{ resources: [{ name: '9-8-8' }] }],
+        createdAt: new Date('2026-05-31T00:00:00Z')
+    };
+
+    test('records leave out case notes, and identity and transcript on request', () => {
+        const record = MentalHealthFlag.toReferralRecord(flag);
+        expect(record).toMatchObject({ studentId: null, studentName: 'Anonymous Student', resourcesShown: ['9-8-8'] });
+        expect(record.transcript).toEqual([{ role: 'student', content: 'hi' }, { role: 'bot', content: 'hello' }]);
+        expect(JSON.stringify(record)).not.toContain('private');
+
+        const withoutTranscript = MentalHealthFlag.toReferralRecord(flag, { includeTranscript: false, includeIdentity: true });
+        expect(withoutTranscript).toMatchObject({ studentId: 's1', studentName: 'Jane' });
+        expect(withoutTranscript).not.toHaveProperty('transcript');
+    });
+
+    test('CSV adds the transcript column only when transcripts are included', () => {
+        const csv = MentalHealthFlag.referralsToCsv([MentalHealthFlag.toReferralRecord(flag)]);
+        const [header] = csv.split('\n');
+        expect(header.split(',').at(-1)).toBe('transcript');
+        expect(csv).toContain('"I feel hopeless, ""really"""');
+        expect(csv).toContain('escalated / 2026-06-01T00:00:00.000Z / Dr. I / urgent');
+
+        const without = MentalHealthFlag.referralsToCsv([MentalHealthFlag.toReferralRecord(flag, { includeTranscript: false })]);
+        expect(without.split('\n')[0]).not.toContain('transcript');
+        expect(without).not.toContain('student: hi');
+    });
+});
@@ -164,6 +164,26 @@ describe('MessageFeedback validation and lookup coverage', () => {
     });
 });
 
+describe('MessageFeedback search query snapshots', () => {
+    test('stores the retrieval queries behind the rated answer and exports them joined', async () => {
+        const db = memoryDb({});
+        const result = await MessageFeedback.upsertMessageFeedback(db, {
+            courseId: 'C1', studentId: 's1', conversationId: 'conv1', messageId: 'm1', rating: 'down',
+            searchQueries: ['What does PFK-1 do?', ' ', 'How is PFK-1 regulated?']
+        });
+        expect(result.feedback.searchQueries).toEqual(['What does PFK-1 do?', 'How is PFK-1 regulated?']);
+
+        const none = await MessageFeedback.upsertMessageFeedback(db, {
+            courseId: 'C1', studentId: 's1', conversationId: 'conv1', messageId: 'm2', rating: 'up', searchQueries: 'nope'
+        });
+        expect(none.feedback.searchQueries).toBeNull();
+
+        const csv = MessageFeedback.feedbackToCsv([result.feedback]);
+        expect(csv.split('\n')[0]).toContain(',searchQueries,');
+        expect(csv).toContain('What does PFK-1 do? | How is PFK-1 regulated?');
+    });
+});
+
 describe('MessageFeedback.normalizeSourceAttribution via upsert', () => {
     test('a valid attribution object is normalized field-by-field', async () => {
         const db = memoryDb({});
@@ -176,3 +196,34 @@ describe('MessageFeedback.normalizeSourceAttribution via upsert', () => {
         });
     });
 });
+
+describe('MessageFeedback prompt experiment variants', () => {
+    test('stores the prompt variant and summarizes ratings per variant', async () => {
+        const db = memoryDb({});
+        const base = { courseId: 'C1', conversationId: 'conv1' };
+        await MessageFeedback.upsertMessageFeedback(db, {
+            ...base, studentId: 's1', messageId: 'm1', rating: 'up',
+            promptVariant: { experimentId: 'exp1', variant: 'A' }
+        });
+        await MessageFeedback.upsertMessageFeedback(db, {
+            ...base, studentId: 's2', messageId: 'm2', rating: 'down',
+            promptVariant: { experimentId: 'exp1', variant: 'B' }
+        });
+        await MessageFeedback.upsertMessageFeedback(db, {
+            ...base, studentId: 's3', messageId: 'm3', rating: 'up',
+            promptVariant: { experimentId: 'exp1', variant: 'C' }
+        });
+        await MessageFeedback.upsertMessageFeedback(db, {
+            ...base, studentId: 's4', messageId: 'm4', rating: 'up',
+            promptVariant: { experimentId: 'exp0', variant: 'B' }
+        });
+
+        const stored = await MessageFeedback.getFeedbackForMessage(db, { ...base, studentId: 's3', messageId: 'm3' });
+        expect(stored.promptVariant).toBeNull();
+
+        await expect(MessageFeedback.getFeedbackStatsByVariant(db, 'C1', 'exp1')).resolves.toEqual({
+            A: { total: 1, up: 1, down: 0, cleared: 0 },
+            B: { total: 1, up: 0, down: 1, cleared: 0 }
+        });
+    });
+});
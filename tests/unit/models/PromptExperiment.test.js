@@ -0,0 +1,71 @@
+const { memoryDb } = require('../helpers/memory-db');
+const PromptExperiment = require('../../../src/models/PromptExperiment');
+
+const experimentData = {
+    courseId: 'C1',
+    name: 'Shorter hints',
+    promptKey: 'tutor',
+    variantA: 'tutor',
+    variantB: 'tutor, but shorter',
+    createdById: 'i1'
+};
+
+describe('PromptExperiment model', () => {
+    test('starts one running experiment per course', async () => {
+        const db = memoryDb({});
+        const started = await PromptExperiment.createExperiment(db, experimentData);
+        expect(started.experiment).toMatchObject({
+            courseId: 'C1',
+            promptKey: 'tutor',
+            splitPercent: 50,
+            status: 'running',
+            variants: { A: { prompt: 'tutor' }, B: { prompt: 'tutor, but shorter' } }
+        });
+        expect(started.experiment).not.toHaveProperty('_id');
+
+        expect(await PromptExperiment.createExperiment(db, experimentData))
+            .toEqual({ success: false, error: 'Stop the running experiment before starting another' });
+        expect((await PromptExperiment.createExperiment(db, { ...experimentData, courseId: 'C2' })).success).toBe(true);
+    });
+
+    test('validates the prompt key, variant text, and split', async () => {
+        const db = memoryDb({});
+        expect((await PromptExperiment.createExperiment(db, { ...experimentData, promptKey: 'flashcards' })).success).toBe(false);
+        expect(await PromptExperiment.createExperiment(db, { ...experimentData, variantB: 'tutor' }))
+            .toEqual({ success: false, error: 'Variant B must differ from the current prompt' });
+        expect((await PromptExperiment.createExperiment(db, { ...experimentData, splitPercent: 100 })).success).toBe(false);
+        expect((await PromptExperiment.createExperiment(db, { ...experimentData, name: ' ' })).success).toBe(false);
+    });
+
+    test('assigns each student a stable variant close to the split', () => {
+        const experiment = { experimentId: 'promptexp_1', splitPercent: 30 };
+        const variants = Array.from({ length: 1000 }, (_, i) => PromptExperiment.assignVariant(experiment, `s${i}`));
+        const inB = variants.filter(variant => variant === 'B').length;
+
+        expect(inB).toBeGreaterThan(240);
+        expect(inB).toBeLessThan(360);
+        expect(PromptExperiment.assignVariant(experiment, 's7')).toBe(variants[7]);
+    });
+
+    test('students get a variant only while the experiment runs', async () => {
+        const db = memoryDb({});
+        const { experiment } = await PromptExperiment.createExperiment(db, experimentData);
+
+        const assignment = await PromptExperiment.resolveStudentVariant(db, 'C1', 's1');
+        expect(assignment.experiment.experimentId).toBe(experiment.experimentId);
+        expect(PromptExperiment.VARIANTS).toContain(assignment.variant);
+
+        const stopped = await PromptExperiment.stopExperiment(db, 'C1', experiment.experimentId, 'i1');
+        expect(stopped).toMatchObject({ status: 'stopped', stoppedById: 'i1' });
+        expect(await PromptExperiment.stopExperiment(db, 'C1', experiment.experimentId)).toBeNull();
+        expect(await PromptExperiment.resolveStudentVariant(db, 'C1', 's1')).toBeNull();
+        expect(await PromptExperiment.listExperiments(db, 'C1')).toHaveLength(1);
+    });
+
+    test('normalizes stored variant references', () => {
+        expect(PromptExperiment.normalizePromptVariant({ experimentId: ' e1 ', variant: 'B', extra: 1 }))
+            .toEqual({ experimentId: 'e1', variant: 'B' });
+        expect(PromptExperiment.normalizePromptVariant({ experimentId: 'e1', variant: 'C' })).toBeNull();
+        expect(PromptExperiment.normalizePromptVariant(null)).toBeNull();
+    });
+});
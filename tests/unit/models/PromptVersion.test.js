@@ -0,0 +1,83 @@
+const { memoryDb } = require('../helpers/memory-db');
+const PromptVersion = require('../../../src/models/PromptVersion');
+
+const COLL = PromptVersion.COLLECTION_NAME;
+const author = { userId: 'i1', name: 'Instructor One' };
+
+function promptSet(overrides = {}) {
+    return {
+        base: 'base', protege: 'protege', tutor: 'tutor', explain: 'explain', directive: 'directive',
+        quizHelp: 'quiz', chatSummary: 'summary', flashcards: 'cards', ...overrides
+    };
+}
+
+describe('PromptVersion model', () => {
+    test('the first save also records the prompts it replaced', async () => {
+        const db = memoryDb({});
+        const result = await PromptVersion.recordVersion(db, {
+            courseId: 'C1',
+            kind: 'prompts',
+            previous: promptSet(),
+            prompts: promptSet({ tutor: 'tutor\nask a question first' }),
+            source: 'save',
+            createdBy: author
+        });
+
+        expect(result).toMatchObject({ success: true, unchanged: false });
+        expect(result.version).toMatchObject({
+            version: 2,
+            source: 'save',
+            createdById: 'i1',
+            createdByName: 'Instructor One',
+            changes: [{ key: 'tutor', diff: [{ op: '+', line: 2, text: 'ask a question first' }] }]
+        });
+        expect(result.version.createdAt).toBeInstanceOf(Date);
+
+        const versions = await PromptVersion.listVersions(db, 'C1', 'prompts');
+        expect(versions.map(version => [version.version, version.source])).toEqual([[2, 'save'], [1, 'initial']]);
+        expect(versions[0]).not.toHaveProperty('prompts');
+        expect((await PromptVersion.getVersion(db, 'C1', 'prompts', 1)).prompts.tutor).toBe('tutor');
+    });
+
+    test('saves that change nothing record no version', async () => {
+        const db = memoryDb({});
+        await PromptVersion.recordVersion(db, { courseId: 'C1', kind: 'prompts', prompts: promptSet(), createdBy: author });
+        const again = await PromptVersion.recordVersion(db, {
+            courseId: 'C1', kind: 'prompts', previous: promptSet(), prompts: promptSet(), createdBy: author
+        });
+
+        expect(again).toMatchObject({ success: true, unchanged: true, version: { version: 1 } });
+        expect(await db.collection(COLL).find({}).toArray()).toHaveLength(1);
+    });
+
+    test('rollbacks are new versions that remember what they restored', async () => {
+        const db = memoryDb({});
+        await PromptVersion.recordVersion(db, { courseId: 'C1', kind: 'prompts', prompts: promptSet() });
+        await PromptVersion.recordVersion(db, { courseId: 'C1', kind: 'prompts', prompts: promptSet({ base: 'new base' }) });
+        const rollback = await PromptVersion.recordVersion(db, {
+            courseId: 'C1', kind: 'prompts', prompts: promptSet(), source: 'rollback', restoredFrom: 1, createdBy: author
+        });
+
+        expect(rollback.version).toMatchObject({ version: 3, source: 'rollback', restoredFrom: 1 });
+        expect(rollback.version.changes.map(change => change.key)).toEqual(['base']);
+    });
+
+    test('keeps course prompts and question prompts in separate histories', async () => {
+        const db = memoryDb({});
+        await PromptVersion.recordVersion(db, { courseId: 'C1', kind: 'prompts', prompts: promptSet() });
+        const question = await PromptVersion.recordVersion(db, {
+            courseId: 'C1',
+            kind: 'questionPrompts',
+            prompts: { systemPrompt: 's', trueFalse: 't', multipleChoice: 'm', shortAnswer: 'a', base: 'ignored' }
+        });
+
+        expect(question.version.version).toBe(1);
+        expect(Object.keys(question.version.prompts)).toEqual(PromptVersion.PROMPT_VERSION_KEYS.questionPrompts);
+        expect(await PromptVersion.recordVersion(db, { courseId: 'C1', kind: 'other' }))
+            .toEqual({ success: false, error: 'courseId and a valid prompt kind are required' });
+    });
+
+    test('ensureIndexes runs against the in-memory Mongo double', async () => {
+        await expect(PromptVersion.ensureIndexes(memoryDb({}))).resolves.toBeUndefined();
+    });
+});
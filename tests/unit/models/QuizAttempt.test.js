@@ -22,6 +22,37 @@ describe('QuizAttempt.saveAttempt', () => {
         expect(stored).toMatchObject({ studentId: 's1', courseId: 'c1', correct: true, feedback: '' });
         expect(stored.attemptedAt).toBeInstanceOf(Date);
     });
+
+    test('records quiz-me answers by source and defaults anything else to practice', async () => {
+        const db = memoryDb({});
+        const base = { studentId: 's1', courseId: 'c1', questionId: 'q1', lectureName: 'Unit 1', questionType: 'TF', correct: false };
+        const quizMe = await QuizAttempt.saveAttempt(db, { ...base, source: 'quizme' });
+        const other = await QuizAttempt.saveAttempt(db, { ...base, source: 'elsewhere' });
+
+        expect((await db.collection(COLL).findOne({ attemptId: quizMe.attemptId })).source).toBe('quizme');
+        expect((await db.collection(COLL).findOne({ attemptId: other.attemptId })).source).toBe('practice');
+    });
+
+    test('stores a rubric breakdown and leaves it null otherwise', async () => {
+        const db = memoryDb({});
+        const base = { studentId: 's1', courseId: 'c1', questionId: 'q1', lectureName: 'Unit 1', questionType: 'short-answer', correct: false };
+        const rubricScores = [{ description: 'Names ATP', points: 2, earned: 1, feedback: 'Close' }];
+        const graded = await QuizAttempt.saveAttempt(db, { ...base, score: 0.5, rubricScores });
+        const plain = await QuizAttempt.saveAttempt(db, { ...base, rubricScores: 'nope' });
+
+        expect((await db.collection(COLL).findOne({ attemptId: graded.attemptId })).rubricScores).toEqual(rubricScores);
+        expect((await db.collection(COLL).findOne({ attemptId: plain.attemptId })).rubricScores).toBeNull();
+    });
+
+    test('keeps partial-credit scores and leaves score null when there is none', async () => {
+        const db = memoryDb({});
+        const base = { studentId: 's1', courseId: 'c1', questionId: 'q1', lectureName: 'Unit 1', correct: false };
+        const ordering = await QuizAttempt.saveAttempt(db, { ...base, questionType: 'ordering', score: 0.5 });
+        const shortAnswer = await QuizAttempt.saveAttempt(db, { ...base, questionType: 'short-answer', score: 'high' });
+
+        expect((await db.collection(COLL).findOne({ attemptId: ordering.attemptId })).score).toBe(0.5);
+        expect((await db.collection(COLL).findOne({ attemptId: shortAnswer.attemptId })).score).toBeNull();
+    });
 });
 
 describe('QuizAttempt.getAttemptsByStudent', () => {
@@ -43,7 +74,7 @@ describe('QuizAttempt.getAttemptStats', () => {
     test('returns zeros and an empty breakdown when there are no attempts', async () => {
         const db = memoryDb({ [COLL]: [] });
         expect(await QuizAttempt.getAttemptStats(db, 's1', 'c1')).toEqual({
-            totalAttempts: 0, correctCount: 0, accuracy: 0, unitBreakdown: {},
+            totalAttempts: 0, correctCount: 0, accuracy: 0, creditEarned: 0, averageScore: 0, unitBreakdown: {},
         });
     });
 
@@ -63,9 +94,11 @@ describe('QuizAttempt.getAttemptStats', () => {
             totalAttempts: 4,
             correctCount: 3,
             accuracy: 75,
+            creditEarned: 3,
+            averageScore: 75,
             unitBreakdown: {
-                'Unit 1': { total: 2, correct: 1 },
-                'Unit 2': { total: 2, correct: 2 },
+                'Unit 1': { total: 2, correct: 1, credit: 1 },
+                'Unit 2': { total: 2, correct: 2, credit: 2 },
             },
         });
     });
@@ -81,4 +114,44 @@ describe('QuizAttempt.getAttemptStats', () => {
         const stats = await QuizAttempt.getAttemptStats(db, 's1', 'c1');
         expect(stats.accuracy).toBe(33); // round(1/3 * 100)
     });
+
+    test('counts partial credit toward the average score but not accuracy', async () => {
+        const db = memoryDb({
+            [COLL]: [
+                { studentId: 's1', courseId: 'c1', lectureName: 'Unit 1', correct: false, score: 0.5 },
+                { studentId: 's1', courseId: 'c1', lectureName: 'Unit 1', correct: false, score: 0.25 },
+                { studentId: 's1', courseId: 'c1', lectureName: 'Unit 2', correct: true, score: null },
+                { studentId: 's1', courseId: 'c1', lectureName: 'Unit 2', correct: false },
+            ],
+        });
+        const stats = await QuizAttempt.getAttemptStats(db, 's1', 'c1');
+        expect(stats).toMatchObject({ correctCount: 1, accuracy: 25, creditEarned: 1.75, averageScore: 44 });
+        expect(stats.unitBreakdown['Unit 1']).toEqual({ total: 2, correct: 0, credit: 0.75 });
+    });
+});
+
+describe('QuizAttempt.getCourseStudentSummaries', () => {
+    test('summarizes each student in the course, with partial credit counted separately', async () => {
+        const db = memoryDb({
+            [COLL]: [
+                { studentId: 's1', courseId: 'c1', correct: true, score: 1, attemptedAt: new Date('2026-03-01') },
+                { studentId: 's1', courseId: 'c1', correct: false, score: 0.5, attemptedAt: new Date('2026-03-05') },
+                { studentId: 's1', courseId: 'c1', correct: false, score: 0, attemptedAt: new Date('2026-03-02') },
+                { studentId: 's2', courseId: 'c1', correct: false, attemptedAt: new Date('2026-02-01') },
+                { studentId: 's1', courseId: 'c2', correct: true, attemptedAt: new Date('2026-04-01') },
+            ],
+        });
+        const summaries = await QuizAttempt.getCourseStudentSummaries(db, 'c1');
+
+        expect(summaries).toEqual({
+            s1: {
+                totalAttempts: 3, correctCount: 1, partialCount: 1,
+                accuracy: 33, averageScore: 50, lastAttemptAt: new Date('2026-03-05'),
+            },
+            s2: {
+                totalAttempts: 1, correctCount: 0, partialCount: 0,
+                accuracy: 0, averageScore: 0, lastAttemptAt: new Date('2026-02-01'),
+            },
+        });
+    });
 });
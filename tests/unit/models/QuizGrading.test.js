@@ -0,0 +1,22 @@
+const QuizGrading = require('../../../src/models/QuizGrading');
+const { memoryDb } = require('../helpers/memory-db');
+
+const where = { studentId: 's1', courseId: 'C1', questionId: 'q1' };
+
+test('a grading is taken once, and only for the answer that was graded', async () => {
+    const db = memoryDb();
+    await QuizGrading.saveGrading(db, { ...where, studentAnswer: 'ATP', grading: { score: 0.5 } });
+    await QuizGrading.saveGrading(db, { ...where, studentAnswer: 'ATP synthase', grading: { score: 1 } });
+
+    expect(await QuizGrading.takeGrading(db, { ...where, studentAnswer: 'ATP' })).toBeNull();
+    expect(await QuizGrading.takeGrading(db, { ...where, studentAnswer: 'ATP synthase' })).toEqual({ score: 1 });
+    expect(await QuizGrading.takeGrading(db, { ...where, studentAnswer: 'ATP synthase' })).toBeNull();
+});
+
+test('an expired grading is not reused', async () => {
+    const db = memoryDb();
+    await QuizGrading.saveGrading(db, { ...where, studentAnswer: 'ATP', grading: { score: 1 } });
+    await db.collection(QuizGrading.COLLECTION_NAME).updateOne({}, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+    expect(await QuizGrading.takeGrading(db, { ...where, studentAnswer: 'ATP' })).toBeNull();
+});
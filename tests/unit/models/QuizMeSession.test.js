@@ -0,0 +1,58 @@
+const { memoryDb } = require('../helpers/memory-db');
+const QuizMeSession = require('../../../src/models/QuizMeSession');
+
+const scope = { studentId: 's1', courseId: 'C1', unitName: 'Unit 1', threadId: 'thread_1' };
+
+async function start(db) {
+    const created = await QuizMeSession.createSession(db, {
+        ...scope, difficulty: 'medium', questionCount: 2, firstQuestionId: 'q1'
+    });
+    return created.session;
+}
+
+describe('QuizMeSession model', () => {
+    test('creates an active session waiting on its first question', async () => {
+        const db = memoryDb({});
+        const session = await start(db);
+        expect(session).toMatchObject({
+            ...scope,
+            status: 'active',
+            difficulty: 'medium',
+            currentQuestionId: 'q1',
+            askedQuestionIds: ['q1'],
+            results: []
+        });
+        expect(session.sessionId).toMatch(/^quizme_/);
+        expect(session).not.toHaveProperty('_id');
+        expect(await QuizMeSession.getActiveSession(db, scope)).toMatchObject({ sessionId: session.sessionId });
+        expect(await QuizMeSession.getActiveSession(db, { ...scope, threadId: 'other' })).toBeNull();
+    });
+
+    test('requires the student, course, unit, and first question', async () => {
+        const db = memoryDb({});
+        expect(await QuizMeSession.createSession(db, { ...scope })).toMatchObject({ success: false });
+    });
+
+    test('records answers, moves to the next question, and completes', async () => {
+        const db = memoryDb({});
+        const session = await start(db);
+
+        await QuizMeSession.recordAnswer(db, session.sessionId, {
+            questionId: 'q1', learningObjective: 'ATP', questionType: 'true-false', difficulty: 'medium',
+            studentAnswer: 'true', correct: true, feedback: 'Correct!'
+        }, { difficulty: 'hard', nextQuestionId: 'q2' });
+
+        let stored = await QuizMeSession.getActiveSession(db, scope);
+        expect(stored).toMatchObject({ difficulty: 'hard', currentQuestionId: 'q2', askedQuestionIds: ['q1', 'q2'] });
+        expect(stored.results).toEqual([expect.objectContaining({ questionId: 'q1', correct: true, answeredAt: expect.any(Date) })]);
+
+        expect(await QuizMeSession.completeSession(db, session.sessionId, { answered: 1 })).toEqual({ success: true });
+        expect(await QuizMeSession.getActiveSession(db, scope)).toBeNull();
+        stored = await db.collection(QuizMeSession.COLLECTION_NAME).findOne({ sessionId: session.sessionId });
+        expect(stored).toMatchObject({ status: 'complete', currentQuestionId: null, summary: { answered: 1 } });
+        expect(stored.completedAt).toBeInstanceOf(Date);
+
+        expect(await QuizMeSession.recordAnswer(db, session.sessionId, { questionId: 'q2' }, { difficulty: 'hard' }))
+            .toMatchObject({ success: false });
+    });
+});
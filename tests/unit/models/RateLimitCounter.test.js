@@ -0,0 +1,15 @@
+const RateLimitCounter = require('../../../src/models/RateLimitCounter');
+const { memoryDb } = require('../helpers/memory-db');
+
+test('counters start at zero and add up per key', async () => {
+    const db = memoryDb();
+    const expiresAt = new Date(Date.now() + 60 * 1000);
+
+    expect(await RateLimitCounter.getCounter(db, 'u1|C1|requestsPerMinute|0')).toBe(0);
+    expect(await RateLimitCounter.incrementCounter(db, 'u1|C1|requestsPerMinute|0', 1, expiresAt)).toBe(1);
+    expect(await RateLimitCounter.incrementCounter(db, 'u1|C1|requestsPerMinute|0', 1, expiresAt)).toBe(2);
+    expect(await RateLimitCounter.incrementCounter(db, 'u1|C1|tokens|0', 250, expiresAt)).toBe(250);
+
+    const [counter] = await db.collection(RateLimitCounter.COLLECTION_NAME).find({ key: 'u1|C1|requestsPerMinute|0' }).toArray();
+    expect(counter.expiresAt).toEqual(expiresAt);
+});
@@ -0,0 +1,70 @@
+const RetrievalEval = require('../../../src/models/RetrievalEval');
+const { memoryDb } = require('../helpers/memory-db');
+
+describe('RetrievalEval golden set', () => {
+    test('items need a question and at least one expected document or unit', async () => {
+        const db = memoryDb();
+
+        expect(await RetrievalEval.createEvalItem(db, 'C1', { expectedUnitNames: ['Unit 1'] }, 'i1'))
+            .toEqual({ success: false, error: 'question is required' });
+        expect(await RetrievalEval.createEvalItem(db, 'C1', { question: 'What is ATP?' }, 'i1'))
+            .toEqual({ success: false, error: 'At least one expected document or unit is required' });
+
+        const created = await RetrievalEval.createEvalItem(db, 'C1', {
+            question: '  What is ATP? ',
+            expectedDocumentIds: ['d1', 'd1', ''],
+            expectedUnitNames: ['Unit 1']
+        }, 'i1');
+        expect(created.success).toBe(true);
+        expect(created.item).toMatchObject({
+            courseId: 'C1',
+            question: 'What is ATP?',
+            expectedDocumentIds: ['d1'],
+            expectedUnitNames: ['Unit 1'],
+            referenceAnswer: null,
+            createdById: 'i1'
+        });
+        expect(created.item.itemId).toMatch(/^evalitem/);
+        expect(created.item._id).toBeUndefined();
+    });
+
+    test('update, delete, and list are scoped to the course', async () => {
+        const db = memoryDb();
+        const { item } = await RetrievalEval.createEvalItem(db, 'C1', { question: 'Q1', expectedUnitNames: ['U1'] }, 'i1');
+
+        expect(await RetrievalEval.updateEvalItem(db, 'C2', item.itemId, { question: 'Q2', expectedUnitNames: ['U2'] }))
+            .toMatchObject({ success: false, notFound: true });
+        const updated = await RetrievalEval.updateEvalItem(db, 'C1', item.itemId, {
+            question: 'Q2', expectedUnitNames: ['U2'], referenceAnswer: 'Because.'
+        });
+        expect(updated.item).toMatchObject({ question: 'Q2', expectedUnitNames: ['U2'], referenceAnswer: 'Because.' });
+
+        expect(await RetrievalEval.listEvalItems(db, 'C2')).toEqual([]);
+        expect(await RetrievalEval.deleteEvalItem(db, 'C2', item.itemId)).toBe(false);
+        expect(await RetrievalEval.deleteEvalItem(db, 'C1', item.itemId)).toBe(true);
+        expect(await RetrievalEval.listEvalItems(db, 'C1')).toEqual([]);
+    });
+});
+
+describe('RetrievalEval runs', () => {
+    test('runs are listed without item detail and looked up per profile', async () => {
+        const db = memoryDb();
+        const first = await RetrievalEval.saveEvalRun(db, {
+            courseId: 'C1', profileKey: 'openai:small:v1', topK: 5, metrics: { recallAtK: 0.5 }, items: [{ itemId: 'q1' }]
+        });
+        await new Promise(resolve => setTimeout(resolve, 5));
+        const second = await RetrievalEval.saveEvalRun(db, {
+            courseId: 'C1', profileKey: 'openai:large:v1', topK: 5, metrics: { recallAtK: 0.8 }, items: [{ itemId: 'q1' }]
+        });
+
+        const runs = await RetrievalEval.listEvalRuns(db, 'C1');
+        expect(runs.map(run => run.runId)).toEqual([second.run.runId, first.run.runId]);
+        expect(runs[0].items).toBeUndefined();
+
+        expect((await RetrievalEval.getLatestEvalRun(db, 'C1', 'openai:small:v1')).runId).toBe(first.run.runId);
+        expect(await RetrievalEval.getLatestEvalRun(db, 'C2', 'openai:small:v1')).toBeNull();
+        expect((await RetrievalEval.getEvalRun(db, 'C1', second.run.runId)).items).toEqual([{ itemId: 'q1' }]);
+        expect(await RetrievalEval.saveEvalRun(db, { courseId: 'C1' }))
+            .toEqual({ success: false, error: 'courseId and metrics are required' });
+    });
+});
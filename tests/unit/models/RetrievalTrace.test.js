@@ -0,0 +1,59 @@
+const { memoryDb } = require('../helpers/memory-db');
+const RetrievalTrace = require('../../../src/models/RetrievalTrace');
+
+const COLL = RetrievalTrace.COLLECTION_NAME;
+const trace = {
+    scorer: 'llm',
+    keep: 1,
+    fallbackReason: null,
+    chunks: [
+        { id: 'a', originalRank: 1, finalRank: null, movement: 'dropped' },
+        { id: 'b', originalRank: 2, finalRank: 1, movement: 'promoted' }
+    ]
+};
+
+describe('RetrievalTrace model', () => {
+    test('records a trace per message and reads it back without _id', async () => {
+        const db = memoryDb({});
+        const result = await RetrievalTrace.recordTrace(db, {
+            messageId: 'msg_1',
+            conversationId: 'thread_1',
+            courseId: 'C1',
+            unitName: 'Unit 1',
+            studentId: 's1',
+            query: 'What does PFK-1 do?',
+            retrievalMode: 'hybrid',
+            trace
+        });
+
+        expect(result.success).toBe(true);
+        expect(result.trace).toMatchObject({ messageId: 'msg_1', scorer: 'llm', candidateCount: 2, keep: 1, retrievalMode: 'hybrid' });
+        expect(result.trace.traceId).toMatch(/^trace_/);
+
+        const stored = await RetrievalTrace.getTraceForMessage(db, 'C1', 'msg_1');
+        expect(stored._id).toBeUndefined();
+        expect(stored.chunks[1].movement).toBe('promoted');
+        expect(await RetrievalTrace.getTraceForMessage(db, 'C2', 'msg_1')).toBeNull();
+    });
+
+    test('rejects traces without a message, course, or chunks', async () => {
+        const db = memoryDb({});
+        expect(await RetrievalTrace.recordTrace(db, { courseId: 'C1', trace })).toEqual({ success: false, error: 'messageId and courseId are required' });
+        expect(await RetrievalTrace.recordTrace(db, { messageId: 'm', courseId: 'C1', trace: {} })).toEqual({ success: false, error: 'trace.chunks is required' });
+        expect(await db.collection(COLL).countDocuments({})).toBe(0);
+    });
+
+    test('lists course traces newest first and leaves out preview students', async () => {
+        const db = memoryDb({
+            [COLL]: [
+                { messageId: 'm1', courseId: 'C1', studentId: 's1', unitName: 'Unit 1', createdAt: new Date('2026-01-01') },
+                { messageId: 'm2', courseId: 'C1', studentId: 's2', unitName: 'Unit 2', createdAt: new Date('2026-01-02') },
+                { messageId: 'm3', courseId: 'C1', studentId: '__preview__inst-1::C1', unitName: 'Unit 1', createdAt: new Date('2026-01-03') },
+                { messageId: 'm4', courseId: 'C2', studentId: 's1', createdAt: new Date('2026-01-04') }
+            ]
+        });
+
+        expect((await RetrievalTrace.listTracesForCourse(db, 'C1')).map(item => item.messageId)).toEqual(['m2', 'm1']);
+        expect((await RetrievalTrace.listTracesForCourse(db, 'C1', { unitName: 'Unit 1' })).map(item => item.messageId)).toEqual(['m1']);
+    });
+});
@@ -0,0 +1,78 @@
+const TokenUsage = require('../../../src/models/TokenUsage');
+const { memoryDb } = require('../helpers/memory-db');
+
+const call = {
+    courseId: 'C1',
+    lane: 'frontend',
+    model: 'gpt-4o-mini',
+    feature: 'chat',
+    promptTokens: 100,
+    completionTokens: 20,
+    totalTokens: 120
+};
+
+test('calls in the same bucket add up in one daily row', async () => {
+    const db = memoryDb();
+
+    await TokenUsage.recordUsage(db, call);
+    await TokenUsage.recordUsage(db, { ...call, totalTokens: undefined, estimated: true });
+    await TokenUsage.recordUsage(db, { ...call, courseId: '' });
+
+    const rows = await db.collection(TokenUsage.COLLECTION_NAME).find({}).toArray();
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({
+        courseId: 'C1',
+        calls: 2,
+        promptTokens: 200,
+        completionTokens: 40,
+        totalTokens: 240,
+        estimatedCalls: 1
+    });
+});
+
+test('unknown features and lanes are bucketed instead of rejected', async () => {
+    const db = memoryDb();
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await TokenUsage.recordUsage(db, { ...call, feature: 'made-up', lane: 'sideways', model: null });
+
+    warn.mockRestore();
+    const [row] = await db.collection(TokenUsage.COLLECTION_NAME).find({}).toArray();
+    expect(row).toMatchObject({ feature: 'other', lane: 'frontend', model: 'unknown' });
+});
+
+test('spend totals split today from the rest of the month', async () => {
+    const now = new Date();
+    const today = now.toISOString().slice(0, 10);
+    const month = today.slice(0, 7);
+    const db = memoryDb({
+        [TokenUsage.COLLECTION_NAME]: [
+            { courseId: 'C1', day: today, month, totalTokens: 50 },
+            { courseId: 'C1', day: `${month}-00`, month, totalTokens: 70 },
+            { courseId: 'C1', day: '1999-01-01', month: '1999-01', totalTokens: 1000 },
+            { courseId: 'C2', day: today, month, totalTokens: 5 }
+        ]
+    });
+
+    expect(await TokenUsage.getSpendTotals(db, 'C1')).toEqual({ day: 50, month: 120 });
+});
+
+test('the usage summary breaks the window down by feature, lane, model, and day', async () => {
+    const db = memoryDb();
+    await TokenUsage.recordUsage(db, call);
+    await TokenUsage.recordUsage(db, { ...call, feature: 'tracker', lane: 'backend', model: 'small', totalTokens: 30 });
+    await TokenUsage.recordUsage(db, { ...call, feature: 'tracker', lane: 'backend', model: 'small', totalTokens: 30 });
+
+    const summary = await TokenUsage.getUsageSummary(db, 'C1', { days: 7 });
+
+    expect(summary.days).toBe(7);
+    expect(summary.totals).toMatchObject({ calls: 3, totalTokens: 180 });
+    expect(summary.byFeature).toEqual([
+        { feature: 'chat', label: 'Student chat', calls: 1, totalTokens: 120 },
+        { feature: 'tracker', label: 'Struggle tracker', calls: 2, totalTokens: 60 }
+    ]);
+    expect(summary.byLane.map(group => group.lane)).toEqual(['frontend', 'backend']);
+    expect(summary.byModel.map(group => group.model)).toEqual(['gpt-4o-mini', 'small']);
+    expect(summary.daily).toEqual([{ day: new Date().toISOString().slice(0, 10), calls: 3, totalTokens: 180 }]);
+    expect((await TokenUsage.getUsageSummary(db, 'C1', { days: 9999 })).days).toBe(366);
+});
@@ -0,0 +1,44 @@
+const { memoryDb } = require('../helpers/memory-db');
+const WellnessResourceDisplay = require('../../../src/models/WellnessResourceDisplay');
+
+const resources = [
+    { resourceId: 'default-988', kind: 'crisis', name: '9-8-8', phone: '9-8-8', url: 'https://988.ca', hours: '24/7' }
+];
+
+describe('WellnessResourceDisplay model', () => {
+    test('records a slim copy of the resources shown', async () => {
+        const db = memoryDb({});
+        const result = await WellnessResourceDisplay.recordDisplay(db, {
+            courseId: 'C1', studentId: 's1', flagId: 'mhf_1', source: 'chat', messageId: 'm1', resources
+        });
+        expect(result.success).toBe(true);
+        expect(result.display).toMatchObject({
+            courseId: 'C1',
+            flagId: 'mhf_1',
+            source: 'chat',
+            messageId: 'm1',
+            resources: [{ resourceId: 'default-988', kind: 'crisis', name: '9-8-8', phone: '9-8-8', url: 'https://988.ca' }]
+        });
+        expect(result.display.displayId).toMatch(/^wellshown_/);
+        expect(result.display).not.toHaveProperty('_id');
+        expect(result.display.resources[0]).not.toHaveProperty('hours');
+    });
+
+    test('requires a course, a student, and resources', async () => {
+        const db = memoryDb({});
+        expect((await WellnessResourceDisplay.recordDisplay(db, { courseId: 'C1', resources })).success).toBe(false);
+        expect(await WellnessResourceDisplay.recordDisplay(db, { courseId: 'C1', studentId: 's1', resources: [] }))
+            .toEqual({ success: false, error: 'resources are required' });
+    });
+
+    test('lists a course\'s displays newest first, optionally by flag', async () => {
+        const db = memoryDb({ [WellnessResourceDisplay.COLLECTION_NAME]: [
+            { displayId: 'a', courseId: 'C1', flagId: 'f1', shownAt: new Date('2026-01-01') },
+            { displayId: 'b', courseId: 'C1', flagId: null, source: 'quiz', shownAt: new Date('2026-01-03') },
+            { displayId: 'c', courseId: 'C1', flagId: 'f2', shownAt: new Date('2026-01-02') },
+            { displayId: 'd', courseId: 'C2', flagId: 'f1', shownAt: new Date('2026-01-04') }
+        ] });
+        expect((await WellnessResourceDisplay.listDisplays(db, 'C1')).map(d => d.displayId)).toEqual(['b', 'c', 'a']);
+        expect((await WellnessResourceDisplay.listDisplays(db, 'C1', { flagIds: ['f1'] })).map(d => d.displayId)).toEqual(['a']);
+    });
+});
@@ -0,0 +1,61 @@
+describe('rate limit notice', () => {
+    let body;
+
+    function fakeElement() {
+        return {
+            attributes: {},
+            textContent: '',
+            removed: false,
+            setAttribute(name, value) { this.attributes[name] = value; },
+            remove() { this.removed = true; }
+        };
+    }
+
+    beforeEach(() => {
+        jest.resetModules();
+        jest.useFakeTimers();
+        body = { children: [], appendChild(child) { this.children.push(child); } };
+        global.document = { body, createElement: jest.fn(() => fakeElement()) };
+        delete global.RateLimitNotice;
+        require('../../../public/common/scripts/rate-limit-notice');
+    });
+
+    afterEach(() => {
+        global.RateLimitNotice.clear();
+        jest.useRealTimers();
+        delete global.document;
+        delete global.RateLimitNotice;
+    });
+
+    test('recognizes only RATE_LIMITED 429 responses', () => {
+        const { isRateLimited } = global.RateLimitNotice;
+        expect(isRateLimited({ status: 429 }, { code: 'RATE_LIMITED' })).toBe(true);
+        expect(isRateLimited({ status: 429 }, { code: 'LLM_BUDGET_EXCEEDED' })).toBe(false);
+        expect(isRateLimited({ status: 400 }, { code: 'RATE_LIMITED' })).toBe(false);
+    });
+
+    test('counts down, keeps inputs disabled, and releases them when the wait ends', () => {
+        const input = { disabled: false };
+        global.RateLimitNotice.show({ message: 'Slow down.', retryAfterSeconds: 3 }, { controls: [input, null] });
+
+        const [notice] = body.children;
+        expect(notice.attributes.role).toBe('status');
+        expect(notice.textContent).toBe('Slow down. You can try again in 0:03.');
+
+        input.disabled = false;
+        jest.advanceTimersByTime(1000);
+        expect(input.disabled).toBe(true);
+        expect(notice.textContent).toBe('Slow down. You can try again in 0:02.');
+
+        jest.advanceTimersByTime(2000);
+        expect(notice.removed).toBe(true);
+        expect(input.disabled).toBe(false);
+    });
+
+    test('formats long waits in hours and minutes', () => {
+        expect(global.RateLimitNotice.formatWait(75)).toBe('1:15');
+        expect(global.RateLimitNotice.formatWait(7200)).toBe('2 h');
+        expect(global.RateLimitNotice.formatWait(5430)).toBe('1 h 31 min');
+        expect(global.RateLimitNotice.createError({ message: 'x' }).name).toBe('RateLimitError');
+    });
+});
@@ -139,3 +139,23 @@ describe('Student Hub LMS grade loading', () => {
         expect(harness.elements['lms-grade-course'].value).toBe('42');
     });
 });
+
+describe('Student Hub quiz summary', () => {
+    test('shows partial credit alongside full-credit answers and the average score', () => {
+        const { context } = loadStudentHub();
+        const html = context.renderQuizSummary({
+            totalAttempts: 4,
+            correctCount: 2,
+            partialCount: 1,
+            accuracy: 50,
+            averageScore: 63,
+            lastAttemptAt: null
+        });
+
+        expect(html).toContain('data-state="attempted"');
+        expect(html).toMatch(/Partial credit<\/span>\s*<span class="lms-grade-chip-value">1</);
+        expect(html).toContain('>63%</span>');
+        expect(html).not.toContain('Last attempt');
+        expect(context.renderQuizSummary(null)).toContain('No quiz attempts yet.');
+    });
+});
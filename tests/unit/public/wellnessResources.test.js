@@ -0,0 +1,93 @@
+describe('wellness resources card', () => {
+    function fakeElement(tagName) {
+        return {
+            tagName,
+            attributes: {},
+            children: [],
+            className: '',
+            textContent: '',
+            setAttribute(name, value) { this.attributes[name] = value; },
+            appendChild(child) { this.children.push(child); return child; }
+        };
+    }
+
+    const find = (element, className) => {
+        if (element.className.split(' ').includes(className)) return [element];
+        return element.children.flatMap(child => find(child, className));
+    };
+
+    beforeEach(() => {
+        jest.resetModules();
+        global.document = { createElement: jest.fn(tagName => fakeElement(tagName)) };
+        delete global.WellnessResources;
+        require('../../../public/common/scripts/wellness-resources');
+    });
+
+    afterEach(() => {
+        delete global.document;
+        delete global.WellnessResources;
+    });
+
+    const card = {
+        title: 'Support is available',
+        message: 'These services can help.',
+        resources: [
+            { kind: 'crisis', name: '9-8-8 Suicide Crisis Helpline', phone: '9-8-8', url: 'https://988.ca', hours: '24/7', region: 'Canada' },
+            { kind: 'wellness', name: 'Counselling', phone: null, url: 'https://example.edu/counselling' }
+        ]
+    };
+
+    test('renders nothing without resources', () => {
+        expect(global.WellnessResources.render(null)).toBeNull();
+        expect(global.WellnessResources.render({ title: 'x', resources: [] })).toBeNull();
+    });
+
+    test('renders each resource with call and website links', () => {
+        const element = global.WellnessResources.render(card);
+        expect(element.tagName).toBe('aside');
+        expect(element.attributes.role).toBe('note');
+        expect(find(element, 'wellness-resources-title')[0].textContent).toBe('Support is available');
+
+        const items = find(element, 'wellness-resource');
+        expect(items.map(item => item.className)).toEqual(['wellness-resource crisis', 'wellness-resource wellness']);
+        expect(find(items[0], 'wellness-resource-phone')[0]).toMatchObject({ href: 'tel:988', textContent: '9-8-8' });
+        expect(find(items[0], 'wellness-resource-url')[0]).toMatchObject({ href: 'https://988.ca', target: '_blank', rel: 'noopener noreferrer' });
+        expect(find(items[0], 'wellness-resource-details')[0].textContent).toBe('24/7 · Canada');
+        expect(find(items[1], 'wellness-resource-phone')).toEqual([]);
+    });
+
+    test('appends the card to a message list and scrolls to it', () => {
+        const container = { ...fakeElement('div'), scrollHeight: 400, scrollTop: 0 };
+        const element = global.WellnessResources.append(container, card);
+        expect(container.children).toEqual([element]);
+        expect(container.scrollTop).toBe(400);
+    });
+
+    test('a reply sent before its check finished polls for the card', async () => {
+        jest.useFakeTimers();
+        const responses = [{ pending: true, wellnessResources: null }, { pending: false, wellnessResources: card }];
+        global.fetch = jest.fn(async () => ({ ok: true, json: async () => ({ success: true, data: responses.shift() }) }));
+        try {
+            const container = { ...fakeElement('div'), scrollHeight: 0, scrollTop: 0 };
+            global.WellnessResources.appendForReply(container, { messageId: 'msg 1', wellnessPending: true });
+            expect(global.fetch).not.toHaveBeenCalled();
+
+            await jest.advanceTimersByTimeAsync(2000);
+            expect(global.fetch).toHaveBeenCalledWith('/api/chat/wellness-resources/msg%201');
+            expect(container.children).toEqual([]);
+            await jest.advanceTimersByTimeAsync(2000);
+            expect(global.fetch).toHaveBeenCalledTimes(2);
+            expect(container.children).toHaveLength(1);
+
+            // A reply with its card, or with nothing pending, never polls
+            global.WellnessResources.appendForReply(container, { messageId: 'm2', wellnessResources: card });
+            global.WellnessResources.appendForReply(container, { messageId: 'm3' });
+            await jest.advanceTimersByTimeAsync(10000);
+            expect(global.fetch).toHaveBeenCalledTimes(2);
+            expect(container.children).toHaveLength(2);
+        } finally {
+            delete global.fetch;
+            jest.useRealTimers();
+        }
+    });
+});
@@ -0,0 +1,167 @@
+jest.mock('../../../src/services/llm', () => jest.fn());
+jest.mock('../../../src/services/gridfs', () => ({ openDownloadStream: jest.fn() }));
+jest.mock('../../../src/services/tracker', () => jest.fn());
+jest.mock('../../../src/models/User', () => ({ updateUserStruggleState: jest.fn() }));
+jest.mock('../../../src/models/MentalHealthFlag', () => ({ createMentalHealthFlag: jest.fn() }));
+jest.mock('../../../src/models/Course', () => ({
+    getCourseById: jest.fn(),
+    getStudentEnrollment: jest.fn(),
+    userHasCourseAccess: jest.fn(),
+    checkTAPermission: jest.fn(),
+    getChatSurveySettings: jest.fn(),
+    getAssessmentQuestions: jest.fn(),
+    normalizeTopicList: jest.fn(value => Array.isArray(value) ? value : []),
+    normalizeYearLevel: jest.fn(() => null),
+    parseYearLevelFromName: jest.fn(() => null),
+    resolveRagSettings: jest.fn(() => ({ student: { topK: 5 } })),
+    getLearningObjectives: jest.fn()
+}));
+jest.mock('../../../src/models/Document', () => ({ getDocumentById: jest.fn() }));
+jest.mock('../../../src/routes/llmKeyMiddleware', () => ({
+    resolveCourseAi: jest.fn(),
+    sendLlmKeyError: jest.fn(() => false)
+}));
+
+const { memoryDb } = require('../helpers/memory-db');
+const { makeRouteApp, request } = require('../helpers/route-app');
+const Course = require('../../../src/models/Course');
+const User = require('../../../src/models/User');
+const MentalHealthFlag = require('../../../src/models/MentalHealthFlag');
+const AnswerCache = require('../../../src/models/AnswerCache');
+const ChatThread = require('../../../src/models/ChatThread');
+const PromptExperiment = require('../../../src/models/PromptExperiment');
+const Tracker = require('../../../src/services/tracker');
+const { resolveCourseAi } = require('../../../src/routes/llmKeyMiddleware');
+const router = require('../../../src/routes/chat');
+
+const student = { userId: 's1', role: 'student', displayName: 'Student' };
+const course = { courseId: 'C1', instructorId: 'i1', lectures: [{ name: 'Unit 1', isPublished: true }] };
+const body = { message: 'What does PFK-1 regulate?', courseId: 'C1', unitName: 'Unit 1', mode: 'tutor' };
+const chunks = [
+    { id: 'a', documentId: 'd1', lectureName: 'Unit 1', fileName: 'glycolysis.pdf', chunkText: 'PFK-1 is the committed step of glycolysis.', score: 0.8 }
+];
+
+function ai(vector = [1, 0, 0]) {
+    const llm = {
+        sendMessage: jest.fn().mockResolvedValue({ content: 'PFK-1 regulates glycolysis.', model: 'm', usage: {} }),
+        analyzeMentalHealth: jest.fn().mockResolvedValue({ concernLevel: 'no concern' })
+    };
+    const qdrant = {
+        embeddingProfile: { key: 'openai:small' },
+        generateQueryVector: jest.fn().mockResolvedValue(vector),
+        searchDocuments: jest.fn().mockResolvedValue(chunks)
+    };
+    resolveCourseAi.mockResolvedValueOnce({ llm, qdrant });
+    return { llm, qdrant };
+}
+
+function cacheEnabled() {
+    Course.resolveRagSettings.mockReturnValue({
+        student: { topK: 5, retrievalMode: 'vector', answerCache: { enabled: true, similarityThreshold: 0.95 } }
+    });
+}
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+beforeEach(() => {
+    resolveCourseAi.mockReset();
+    Course.resolveRagSettings.mockReturnValue({ student: { topK: 5 } });
+    Course.getCourseById.mockResolvedValue(course);
+    Course.getStudentEnrollment.mockResolvedValue({ success: true, enrolled: true });
+    Course.userHasCourseAccess.mockResolvedValue(true);
+    Tracker.mockImplementation(() => ({ analyzeMessage: jest.fn().mockResolvedValue({ isStruggling: false }) }));
+    User.updateUserStruggleState.mockResolvedValue({ success: true, state: { isActive: false } });
+    MentalHealthFlag.createMentalHealthFlag.mockResolvedValue({ success: true });
+});
+
+afterAll(() => jest.restoreAllMocks());
+
+describe('chat route answer cache', () => {
+    test('a miss caches the answer and a close repeat is served without the LLM', async () => {
+        cacheEnabled();
+        const db = memoryDb({ courses: [course] });
+        const app = makeRouteApp(router, { db, user: student });
+
+        const first = ai();
+        const miss = await request(app).post('/').send({ ...body, conversationId: 'autosave_1_a' });
+        expect(miss.status).toBe(200);
+        expect(miss.body.debug.answerCache).toEqual({ status: 'miss', entryId: null, similarity: null });
+        expect(first.llm.sendMessage).toHaveBeenCalledTimes(1);
+
+        const [entry] = await AnswerCache.listEntries(db, 'C1');
+        expect(entry).toMatchObject({ unitName: 'Unit 1', mode: 'tutor', profileKey: 'openai:small', answer: 'PFK-1 regulates glycolysis.' });
+
+        const second = ai([0.99, 0.05, 0]);
+        const hit = await request(app).post('/').send({ ...body, message: 'What is PFK-1 regulating?', conversationId: 'autosave_1_b' });
+        expect(hit.status).toBe(200);
+        expect(hit.body.message).toBe('PFK-1 regulates glycolysis.');
+        expect(hit.body.debug.answerCache).toMatchObject({ status: 'hit', entryId: entry.entryId });
+        expect(hit.body.citations.map(citation => citation.fileName)).toEqual(['glycolysis.pdf']);
+        expect(second.llm.sendMessage).not.toHaveBeenCalled();
+        expect(second.qdrant.searchDocuments).not.toHaveBeenCalled();
+
+        expect(await AnswerCache.getCacheStats(db, ['C1'])).toMatchObject({ lookups: 2, hits: 1, entries: 1 });
+    });
+
+    test('answers cached before a prompt variable changed are not served', async () => {
+        cacheEnabled();
+        const db = memoryDb({ courses: [{ ...course, courseName: 'BIOC 202' }] });
+        const app = makeRouteApp(router, { db, user: student });
+
+        ai();
+        await request(app).post('/').send({ ...body, conversationId: 'autosave_1_a' });
+        await db.collection('courses').updateOne({ courseId: 'C1' }, { $set: { courseName: 'BIOC 302' } });
+
+        const renamed = ai();
+        const res = await request(app).post('/').send({ ...body, conversationId: 'autosave_1_b' });
+        expect(res.body.debug.answerCache).toMatchObject({ status: 'miss' });
+        expect(renamed.llm.sendMessage).toHaveBeenCalledTimes(1);
+
+        const entries = await AnswerCache.listEntries(db, 'C1');
+        expect(entries).toHaveLength(2);
+        expect(new Set(entries.map(entry => entry.promptKey)).size).toBe(2);
+    });
+
+    test('stays out of the way when disabled or for student-specific turns', async () => {
+        const db = memoryDb({ courses: [course] });
+        const app = makeRouteApp(router, { db, user: student });
+
+        const off = ai();
+        const res = await request(app).post('/').send(body);
+        expect(res.body.debug.answerCache).toBeNull();
+        expect(off.qdrant.generateQueryVector).not.toHaveBeenCalled();
+
+        cacheEnabled();
+        const explanation = ai();
+        await request(app).post('/').send({ ...body, isExplanationRequest: true });
+        expect(explanation.qdrant.generateQueryVector).not.toHaveBeenCalled();
+
+        expect(await db.collection(AnswerCache.COLLECTION_NAME).countDocuments({})).toBe(0);
+    });
+
+    test('students in a prompt experiment chat with their variant and skip the cache', async () => {
+        cacheEnabled();
+        const db = memoryDb({ courses: [course] });
+        const { experiment } = await PromptExperiment.createExperiment(db, {
+            courseId: 'C1', name: 'Tutor B', promptKey: 'tutor', variantA: 'A', variantB: 'VARIANT B TUTOR', splitPercent: 99
+        });
+        const variant = PromptExperiment.assignVariant(experiment, student.userId);
+        const app = makeRouteApp(router, { db, user: student });
+
+        const turn = ai();
+        const res = await request(app).post('/').send({ ...body, conversationId: 'autosave_1_a' });
+        expect(res.status).toBe(200);
+        expect(res.body.debug.answerCache).toBeNull();
+        expect(turn.qdrant.generateQueryVector).not.toHaveBeenCalled();
+        const { systemPrompt } = turn.llm.sendMessage.mock.calls[0][1];
+        expect(systemPrompt.includes('VARIANT B TUTOR')).toBe(variant === 'B');
+
+        const thread = await db.collection(ChatThread.COLLECTION_NAME).findOne({ threadId: 'autosave_1_a' });
+        expect(thread.turns[1].promptVariant).toEqual({ experimentId: experiment.experimentId, variant });
+        expect(await db.collection(AnswerCache.COLLECTION_NAME).countDocuments({})).toBe(0);
+    });
+});
@@ -0,0 +1,133 @@
+jest.mock('../../../src/services/llm', () => jest.fn());
+jest.mock('../../../src/services/gridfs', () => ({ openDownloadStream: jest.fn() }));
+jest.mock('../../../src/services/tracker', () => jest.fn());
+jest.mock('../../../src/models/User', () => ({ updateUserStruggleState: jest.fn() }));
+jest.mock('../../../src/models/MentalHealthFlag', () => ({ createMentalHealthFlag: jest.fn() }));
+jest.mock('../../../src/models/Course', () => ({
+    getCourseById: jest.fn(),
+    getStudentEnrollment: jest.fn(),
+    userHasCourseAccess: jest.fn(),
+    checkTAPermission: jest.fn(),
+    getChatSurveySettings: jest.fn(),
+    getAssessmentQuestions: jest.fn(),
+    normalizeTopicList: jest.fn(value => Array.isArray(value) ? value : []),
+    normalizeYearLevel: jest.fn(() => null),
+    parseYearLevelFromName: jest.fn(() => null),
+    resolveRagSettings: jest.fn(() => ({ student: { topK: 5 } })),
+    getLearningObjectives: jest.fn()
+}));
+jest.mock('../../../src/models/Document', () => ({
+    getDocumentById: jest.fn(),
+    findDocumentFigure: jest.requireActual('../../../src/models/Document').findDocumentFigure
+}));
+jest.mock('../../../src/routes/llmKeyMiddleware', () => ({
+    resolveCourseAi: jest.fn(),
+    sendLlmKeyError: jest.fn(() => false)
+}));
+
+const { Readable } = require('stream');
+const { memoryDb } = require('../helpers/memory-db');
+const { makeRouteApp, request } = require('../helpers/route-app');
+const Course = require('../../../src/models/Course');
+const Document = require('../../../src/models/Document');
+const User = require('../../../src/models/User');
+const MentalHealthFlag = require('../../../src/models/MentalHealthFlag');
+const Tracker = require('../../../src/services/tracker');
+const gridfs = require('../../../src/services/gridfs');
+const { resolveCourseAi } = require('../../../src/routes/llmKeyMiddleware');
+const router = require('../../../src/routes/chat');
+
+const student = { userId: 's1', role: 'student', displayName: 'Student' };
+const instructor = { userId: 'i1', role: 'instructor' };
+const course = { courseId: 'C1', instructorId: 'i1', lectures: [{ name: 'Unit 1', isPublished: true }] };
+const figureDocument = {
+    documentId: 'd1', courseId: 'C1',
+    figures: [
+        { figureNumber: 1, pageNumber: 2, caption: 'A cell.', mimeType: 'image/png', fileId: 'img1' },
+        { figureNumber: 2, pageNumber: 4, caption: 'Too large to keep.', mimeType: null, fileId: null }
+    ]
+};
+
+function app(user = student) {
+    return makeRouteApp(router, { db: memoryDb({ courses: [course] }), user });
+}
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+beforeEach(() => {
+    Course.getCourseById.mockResolvedValue(course);
+    Course.getStudentEnrollment.mockResolvedValue({ success: true, enrolled: true });
+    Course.userHasCourseAccess.mockResolvedValue(true);
+    Document.getDocumentById.mockResolvedValue(figureDocument);
+    Tracker.mockImplementation(() => ({ analyzeMessage: jest.fn().mockResolvedValue({ isStruggling: false }) }));
+    User.updateUserStruggleState.mockResolvedValue({ success: true, state: { isActive: false } });
+    MentalHealthFlag.createMentalHealthFlag.mockResolvedValue({ success: true });
+});
+
+afterAll(() => jest.restoreAllMocks());
+
+test('answers drawn from figure chunks carry the figures for thumbnails', async () => {
+    const figureChunk = (documentId, figureNumber, score) => ({
+        score, documentId, fileName: 'cells.pdf', lectureName: 'Unit 1', documentType: 'lecture-notes',
+        chunkText: `Figure ${figureNumber}`, chunkType: 'figure',
+        figure: { figureNumber, pageNumber: 2, slideNumber: null, caption: 'A cell.', hasImage: true }
+    });
+    const llm = {
+        sendMessage: jest.fn().mockResolvedValue({ content: 'See the figure.', model: 'm', usage: {} }),
+        analyzeMentalHealth: jest.fn().mockResolvedValue({ concernLevel: 'no concern' })
+    };
+    resolveCourseAi.mockResolvedValueOnce({
+        llm,
+        qdrant: {
+            searchDocuments: jest.fn().mockResolvedValue([
+                { score: 0.95, documentId: 'd1', lectureName: 'Unit 1', documentType: 'lecture-notes', chunkText: 'text' },
+                figureChunk('d1', 1, 0.6),
+                figureChunk('d1', 1, 0.5),
+                figureChunk('d1', 2, 0.9)
+            ])
+        }
+    });
+
+    const res = await request(app()).post('/').send({ message: 'Show me a cell', courseId: 'C1', unitName: 'Unit 1' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.sourceAttribution.figures.map(f => f.figureNumber)).toEqual([2, 1]);
+    expect(res.body.sourceAttribution.figures[1]).toEqual({
+        documentId: 'd1', fileName: 'cells.pdf', lectureName: 'Unit 1',
+        figureNumber: 1, pageNumber: 2, slideNumber: null, caption: 'A cell.', hasImage: true
+    });
+});
+
+describe('GET /source-documents/:documentId/figures/:figureNumber', () => {
+    const url = '/source-documents/d1/figures/1?courseId=C1';
+
+    test('enrolled students get the stored figure image', async () => {
+        gridfs.openDownloadStream.mockReturnValueOnce(Readable.from([Buffer.from('PNG')]));
+
+        const res = await request(app()).get(url);
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toBe('image/png');
+        expect(res.headers['cache-control']).toContain('private');
+        expect(gridfs.openDownloadStream).toHaveBeenCalledWith(expect.anything(), 'img1');
+    });
+
+    test('course access is required', async () => {
+        Course.getStudentEnrollment.mockResolvedValueOnce({ success: true, enrolled: false });
+        expect((await request(app()).get(url)).status).toBe(403);
+        Course.userHasCourseAccess.mockResolvedValueOnce(false);
+        expect((await request(app(instructor)).get(url)).status).toBe(403);
+        expect((await request(app()).get('/source-documents/d1/figures/1')).status).toBe(400);
+    });
+
+    test('unknown figures, figures without an image, and other courses are not found', async () => {
+        expect((await request(app()).get('/source-documents/d1/figures/9?courseId=C1')).status).toBe(404);
+        expect((await request(app()).get('/source-documents/d1/figures/2?courseId=C1')).status).toBe(404);
+        Document.getDocumentById.mockResolvedValueOnce({ ...figureDocument, courseId: 'C2' });
+        expect((await request(app()).get(url)).status).toBe(404);
+    });
+});
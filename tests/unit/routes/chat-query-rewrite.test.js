@@ -0,0 +1,155 @@
+jest.mock('../../../src/services/llm', () => jest.fn());
+jest.mock('../../../src/services/gridfs', () => ({ openDownloadStream: jest.fn() }));
+jest.mock('../../../src/services/tracker', () => jest.fn());
+jest.mock('../../../src/models/User', () => ({ updateUserStruggleState: jest.fn() }));
+jest.mock('../../../src/models/MentalHealthFlag', () => ({ createMentalHealthFlag: jest.fn() }));
+jest.mock('../../../src/models/Course', () => ({
+    getCourseById: jest.fn(),
+    getStudentEnrollment: jest.fn(),
+    userHasCourseAccess: jest.fn(),
+    checkTAPermission: jest.fn(),
+    getChatSurveySettings: jest.fn(),
+    getAssessmentQuestions: jest.fn(),
+    normalizeTopicList: jest.fn(value => Array.isArray(value) ? value : []),
+    normalizeYearLevel: jest.fn(() => null),
+    parseYearLevelFromName: jest.fn(() => null),
+    resolveRagSettings: jest.fn(() => ({ student: { topK: 5 } })),
+    getLearningObjectives: jest.fn()
+}));
+jest.mock('../../../src/models/Document', () => ({ getDocumentById: jest.fn() }));
+jest.mock('../../../src/models/MessageFeedback', () => ({
+    normalizeRating: jest.fn(value => ['up', 'down', null].includes(value) ? value : undefined),
+    upsertMessageFeedback: jest.fn(),
+    listFeedbackForCourse: jest.fn(),
+    getFeedbackStatsForCourse: jest.fn(),
+    feedbackToCsv: jest.fn()
+}));
+jest.mock('../../../src/models/ChatSurveyResponse', () => ({
+    buildSettingsFingerprint: jest.fn(() => 'fingerprint'),
+    getSurveyResponseForSession: jest.fn(),
+    upsertChatSurveyEvent: jest.fn(),
+    listSurveyResponsesForCourse: jest.fn(),
+    getSurveyStatsForCourse: jest.fn(),
+    surveyResponsesToCsv: jest.fn()
+}));
+jest.mock('../../../src/routes/llmKeyMiddleware', () => ({
+    resolveCourseAi: jest.fn(),
+    sendLlmKeyError: jest.fn(() => false)
+}));
+
+const { memoryDb } = require('../helpers/memory-db');
+const { makeRouteApp, request } = require('../helpers/route-app');
+const Course = require('../../../src/models/Course');
+const User = require('../../../src/models/User');
+const MentalHealthFlag = require('../../../src/models/MentalHealthFlag');
+const MessageFeedback = require('../../../src/models/MessageFeedback');
+const ChatThread = require('../../../src/models/ChatThread');
+const Tracker = require('../../../src/services/tracker');
+const { resolveCourseAi } = require('../../../src/routes/llmKeyMiddleware');
+const router = require('../../../src/routes/chat');
+
+const student = { userId: 's1', role: 'student', displayName: 'Student' };
+const course = { courseId: 'C1', instructorId: 'i1', lectures: [{ name: 'Unit 1', isPublished: true }] };
+const body = { courseId: 'C1', unitName: 'Unit 1', conversationId: 'autosave_1_abc' };
+const chunk = (id, score) => ({ id, documentId: `doc-${id}`, lectureName: 'Unit 1', fileName: `${id}.pdf`, chunkText: `Text ${id}`, score });
+
+function ai(replies, searchDocuments) {
+    const llm = {
+        sendMessage: jest.fn(),
+        analyzeMentalHealth: jest.fn().mockResolvedValue({ concernLevel: 'no concern' })
+    };
+    replies.forEach(content => llm.sendMessage.mockResolvedValueOnce({ content, model: 'm', usage: {} }));
+    resolveCourseAi.mockResolvedValueOnce({ llm, qdrant: { searchDocuments } });
+    return llm;
+}
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+beforeEach(() => {
+    resolveCourseAi.mockReset();
+    Course.getCourseById.mockResolvedValue(course);
+    Course.getStudentEnrollment.mockResolvedValue({ success: true, enrolled: true });
+    Tracker.mockImplementation(() => ({ analyzeMessage: jest.fn().mockResolvedValue({ isStruggling: false }) }));
+    User.updateUserStruggleState.mockResolvedValue({ success: true, state: { isActive: false } });
+    MentalHealthFlag.createMentalHealthFlag.mockResolvedValue({ success: true });
+    MessageFeedback.upsertMessageFeedback.mockResolvedValue({ success: true, feedback: { isActive: true } });
+});
+
+afterAll(() => jest.restoreAllMocks());
+
+describe('chat route query rewriting', () => {
+    test('searches each sub-query of a compound question and fuses the results', async () => {
+        const db = memoryDb({ courses: [course] });
+        const searchDocuments = jest.fn()
+            .mockResolvedValueOnce([chunk('a', 0.7), chunk('b', 0.5)])
+            .mockResolvedValueOnce([chunk('c', 0.6), chunk('a', 0.4)]);
+        ai([
+            '{"standalone": "PFK-1 function and regulation", "subQueries": ["What does PFK-1 do?", "How is PFK-1 regulated?"]}',
+            'PFK-1 commits glucose to glycolysis and is inhibited by ATP.'
+        ], searchDocuments);
+
+        const res = await request(makeRouteApp(router, { db, user: student }))
+            .post('/').send({ ...body, message: 'What does PFK-1 do? How is it regulated?' });
+
+        expect(res.status).toBe(200);
+        expect(searchDocuments.mock.calls.map(call => call[0])).toEqual(['What does PFK-1 do?', 'How is PFK-1 regulated?']);
+        expect(res.body.citations.map(citation => citation.fileName)).toEqual(['a.pdf', 'c.pdf', 'b.pdf']);
+        expect(res.body.citations[0].score).toBe(0.7);
+        expect(res.body.retrieval.searchQueries).toEqual(['What does PFK-1 do?', 'How is PFK-1 regulated?']);
+        expect(res.body.debug.queryRewrite).toMatchObject({
+            original: 'What does PFK-1 do? How is it regulated?',
+            standalone: 'PFK-1 function and regulation',
+            rewritten: true
+        });
+    });
+
+    test('stores the rewritten queries on the thread and snapshots them into feedback', async () => {
+        const db = memoryDb({
+            courses: [course],
+            [ChatThread.COLLECTION_NAME]: [{
+                threadId: 'autosave_1_abc', studentId: 's1', courseId: 'C1',
+                turns: [
+                    { role: 'user', content: 'What does PFK-1 do?' },
+                    { role: 'assistant', content: 'It commits glucose to glycolysis.' }
+                ],
+                turnCount: 2
+            }]
+        });
+        const app = makeRouteApp(router, { db, user: student });
+        ai(['{"standalone": "Why is PFK-1 the committed step of glycolysis?", "subQueries": []}', 'Because the reaction is irreversible.'],
+            jest.fn().mockResolvedValue([]));
+
+        const res = await request(app).post('/').send({ ...body, message: 'why does it do that?' });
+        expect(res.status).toBe(200);
+
+        const thread = await db.collection(ChatThread.COLLECTION_NAME).findOne({ threadId: 'autosave_1_abc' });
+        expect(thread.turns[3]).toMatchObject({ role: 'assistant', searchQueries: ['Why is PFK-1 the committed step of glycolysis?'] });
+
+        const feedback = await request(app).post('/feedback').send({
+            courseId: 'C1', conversationId: 'autosave_1_abc', messageId: res.body.messageId, rating: 'down'
+        });
+        expect(feedback.status).toBe(200);
+        expect(MessageFeedback.upsertMessageFeedback.mock.calls[0][1]).toMatchObject({
+            messageId: res.body.messageId,
+            searchQueries: ['Why is PFK-1 the committed step of glycolysis?']
+        });
+    });
+
+    test('explanation requests are searched as typed', async () => {
+        const db = memoryDb({ courses: [course] });
+        const searchDocuments = jest.fn().mockResolvedValue([]);
+        const llm = ai(['Here is an explanation.'], searchDocuments);
+
+        const res = await request(makeRouteApp(router, { db, user: student }))
+            .post('/').send({ ...body, message: 'Is it ATP? Or ADP?', isExplanationRequest: true });
+
+        expect(res.status).toBe(200);
+        expect(searchDocuments.mock.calls[0][0]).toBe('Is it ATP? Or ADP?');
+        expect(llm.sendMessage).toHaveBeenCalledTimes(1);
+        expect(res.body.debug.queryRewrite.rewritten).toBe(false);
+    });
+});
@@ -0,0 +1,190 @@
+jest.mock('../../../src/services/llm', () => jest.fn());
+jest.mock('../../../src/services/gridfs', () => ({ openDownloadStream: jest.fn() }));
+jest.mock('../../../src/services/tracker', () => jest.fn());
+jest.mock('../../../src/models/User', () => ({ updateUserStruggleState: jest.fn() }));
+jest.mock('../../../src/models/MentalHealthFlag', () => ({ createMentalHealthFlag: jest.fn() }));
+jest.mock('../../../src/models/Course', () => ({
+    getCourseById: jest.fn(),
+    getStudentEnrollment: jest.fn(),
+    userHasCourseAccess: jest.fn(),
+    checkTAPermission: jest.fn(),
+    getChatSurveySettings: jest.fn(),
+    getAssessmentQuestions: jest.fn(),
+    normalizeTopicList: jest.fn(value => Array.isArray(value) ? value : []),
+    normalizeYearLevel: jest.fn(() => null),
+    parseYearLevelFromName: jest.fn(() => null),
+    resolveRagSettings: jest.fn(() => ({ student: { topK: 5 } })),
+    getLearningObjectives: jest.fn()
+}));
+jest.mock('../../../src/models/Document', () => ({ getDocumentById: jest.fn() }));
+jest.mock('../../../src/routes/llmKeyMiddleware', () => ({
+    resolveCourseAi: jest.fn(),
+    sendLlmKeyError: jest.fn(() => false)
+}));
+
+const { memoryDb } = require('../helpers/memory-db');
+const { makeRouteApp, request } = require('../helpers/route-app');
+const Course = require('../../../src/models/Course');
+const User = require('../../../src/models/User');
+const MentalHealthFlag = require('../../../src/models/MentalHealthFlag');
+const Tracker = require('../../../src/services/tracker');
+const { resolveCourseAi } = require('../../../src/routes/llmKeyMiddleware');
+const router = require('../../../src/routes/chat');
+
+const student = { userId: 's1', role: 'student', displayName: 'Sam' };
+const course = {
+    courseId: 'C1',
+    instructorId: 'i1',
+    approvedStruggleTopics: ['ATP'],
+    lectures: [{ name: 'Unit 1', isPublished: true }]
+};
+const questions = [
+    {
+        questionId: 'q-tf', questionType: 'true-false', question: 'ATP stores energy in phosphate bonds.',
+        correctAnswer: 'true', difficulty: 'medium', learningObjective: 'Explain ATP'
+    },
+    {
+        questionId: 'q-mc', questionType: 'multiple-choice', question: 'Where does glycolysis happen?',
+        options: { A: 'Mitochondria', B: 'Cytoplasm' }, correctAnswer: 'B', difficulty: 'hard',
+        learningObjective: 'Describe glycolysis'
+    },
+    {
+        questionId: 'q-off', questionType: 'true-false', question: 'Retired question', correctAnswer: 'false', isActive: false
+    }
+];
+const body = { courseId: 'C1', unitName: 'Unit 1', mode: 'quizme', conversationId: 'thread_quiz' };
+
+function ai() {
+    const llm = {
+        sendMessage: jest.fn(),
+        streamMessage: jest.fn(),
+        evaluateStudentAnswer: jest.fn(),
+        analyzeMentalHealth: jest.fn().mockResolvedValue({ concernLevel: 'no concern' })
+    };
+    resolveCourseAi.mockResolvedValue({ llm, qdrant: { searchDocuments: jest.fn() } });
+    return llm;
+}
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+let analyzeMessage;
+beforeEach(() => {
+    resolveCourseAi.mockReset();
+    Course.getCourseById.mockResolvedValue(course);
+    Course.getStudentEnrollment.mockResolvedValue({ success: true, enrolled: true });
+    Course.getAssessmentQuestions.mockResolvedValue(questions);
+    Course.getLearningObjectives.mockResolvedValue(['Explain ATP', 'Describe glycolysis', 'Explain enzymes']);
+    analyzeMessage = jest.fn().mockResolvedValue({ isStruggling: false });
+    Tracker.mockImplementation(() => ({ analyzeMessage }));
+    User.updateUserStruggleState.mockReset();
+    User.updateUserStruggleState.mockResolvedValue({ success: true, state: { topic: 'atp', count: 1, isActive: false } });
+    MentalHealthFlag.createMentalHealthFlag.mockResolvedValue({ success: true });
+});
+
+afterAll(() => jest.restoreAllMocks());
+
+describe('quiz-me chat mode', () => {
+    test('asks questions, grades answers, adapts difficulty, and ends with a summary', async () => {
+        const db = memoryDb({ courses: [course] });
+        const llm = ai();
+        const app = makeRouteApp(router, { db, user: student });
+
+        const first = await request(app).post('/').send({ ...body, message: 'quiz me' });
+        expect(first.status).toBe(200);
+        expect(first.body).toMatchObject({
+            success: true,
+            mode: 'quizme',
+            model: 'quiz-me',
+            quizMe: { status: 'asking', questionNumber: 1, totalQuestions: 2, difficulty: 'medium' },
+            sourceAttribution: { source: 'quiz' }
+        });
+        expect(first.body.message).toContain('ATP stores energy in phosphate bonds.');
+
+        const second = await request(app).post('/').send({ ...body, message: 'false' });
+        expect(second.body.quizMe).toMatchObject({ status: 'asking', questionNumber: 2, difficulty: 'easy', lastResult: { correct: false } });
+        expect(second.body.message).toContain('Incorrect. The correct answer is true.');
+        expect(second.body.message).toContain('Where does glycolysis happen?');
+        expect(second.body.struggleState).toEqual({ topic: 'atp', count: 1, isActive: false });
+        expect(User.updateUserStruggleState).toHaveBeenCalledWith(db, 's1', expect.objectContaining({ topic: 'ATP', isStruggling: true }), 'C1');
+
+        const third = await request(app).post('/').send({ ...body, message: 'b' });
+        expect(third.body.quizMe).toMatchObject({
+            status: 'complete',
+            summary: { answered: 2, correct: 1, mastered: ['Describe glycolysis'], weak: ['Explain ATP'], notCovered: ['Explain enzymes'] }
+        });
+        expect(third.body.message).toContain('**Quiz complete:** 1 of 2 correct (50%).');
+
+        const attempts = await db.collection('quizAttempts').find({}).toArray();
+        expect(attempts).toEqual([
+            expect.objectContaining({ studentId: 's1', questionId: 'q-tf', lectureName: 'Unit 1', correct: false, source: 'quizme' }),
+            expect.objectContaining({ questionId: 'q-mc', studentAnswer: 'b', correct: true, source: 'quizme' })
+        ]);
+        expect(User.updateUserStruggleState).toHaveBeenCalledTimes(1);
+        // Answers are graded, not analyzed as questions or searched
+        expect(analyzeMessage).not.toHaveBeenCalled();
+        expect(llm.sendMessage).not.toHaveBeenCalled();
+
+        const thread = await db.collection('chat_threads').findOne({ threadId: 'thread_quiz' });
+        expect(thread.turns.map(turn => turn.role)).toEqual(['user', 'assistant', 'user', 'assistant', 'user', 'assistant']);
+    });
+
+    test('short answers are graded by the LLM and "stop" ends the quiz early', async () => {
+        const db = memoryDb({ courses: [course] });
+        const llm = ai();
+        llm.evaluateStudentAnswer.mockResolvedValue({ correct: true, feedback: 'Sam, that captures it.' });
+        Course.getAssessmentQuestions.mockResolvedValue([{
+            questionId: 'q-sa', questionType: 'short-answer', question: 'What does ATP synthase make?',
+            correctAnswer: 'ATP', learningObjective: 'Explain ATP'
+        }, questions[1]]);
+        const app = makeRouteApp(router, { db, user: student });
+
+        await request(app).post('/').send({ ...body, message: 'start' });
+        const graded = await request(app).post('/').send({ ...body, message: 'It makes ATP' });
+        expect(llm.evaluateStudentAnswer).toHaveBeenCalledWith('What does ATP synthase make?', 'It makes ATP', 'ATP', 'short-answer', 'Sam');
+        expect(graded.body.message).toContain('Sam, that captures it.');
+
+        const stopped = await request(app).post('/').send({ ...body, message: 'stop' });
+        expect(stopped.body.quizMe).toMatchObject({ status: 'complete', summary: { answered: 1, mastered: ['Explain ATP'] } });
+        expect(await db.collection('quiz_me_sessions').findOne({ status: 'active' })).toBeNull();
+    });
+
+    test('a unit with no questions says so without starting a session', async () => {
+        const db = memoryDb({ courses: [course] });
+        ai();
+        Course.getAssessmentQuestions.mockResolvedValue([]);
+        const res = await request(makeRouteApp(router, { db, user: student })).post('/').send({ ...body, message: 'quiz me' });
+
+        expect(res.body.quizMe).toEqual({ status: 'unavailable' });
+        expect(res.body.message).toMatch(/no practice questions/);
+        expect(await db.collection('quiz_me_sessions').find({}).toArray()).toEqual([]);
+    });
+
+    test('the stream endpoint delivers the question as one delta', async () => {
+        const db = memoryDb({ courses: [course] });
+        ai();
+        const res = await request(makeRouteApp(router, { db, user: student })).post('/stream')
+            .send({ ...body, message: 'quiz me' })
+            .buffer(true)
+            .parse((response, callback) => {
+                let text = '';
+                response.setEncoding('utf8');
+                response.on('data', chunk => { text += chunk; });
+                response.on('end', () => callback(null, text));
+            });
+
+        const events = res.body.split('\n\n').filter(Boolean).map(frame => /^event: (.*)$/m.exec(frame)[1]);
+        expect(events).toEqual(['start', 'delta', 'done']);
+        expect(res.body).toContain('"status":"asking"');
+    });
+
+    test('requires a signed-in student', async () => {
+        const res = await request(makeRouteApp(router, { db: memoryDb({ courses: [course] }), user: null }))
+            .post('/').send({ ...body, message: 'quiz me' });
+        expect(res.status).toBe(401);
+        expect(resolveCourseAi).not.toHaveBeenCalled();
+    });
+});
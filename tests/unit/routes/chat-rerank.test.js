@@ -0,0 +1,146 @@
+jest.mock('../../../src/services/llm', () => jest.fn());
+jest.mock('../../../src/services/gridfs', () => ({ openDownloadStream: jest.fn() }));
+jest.mock('../../../src/services/tracker', () => jest.fn());
+jest.mock('../../../src/models/User', () => ({ updateUserStruggleState: jest.fn() }));
+jest.mock('../../../src/models/MentalHealthFlag', () => ({ createMentalHealthFlag: jest.fn() }));
+jest.mock('../../../src/models/Course', () => ({
+    getCourseById: jest.fn(),
+    getStudentEnrollment: jest.fn(),
+    userHasCourseAccess: jest.fn(),
+    checkTAPermission: jest.fn(),
+    getChatSurveySettings: jest.fn(),
+    getAssessmentQuestions: jest.fn(),
+    normalizeTopicList: jest.fn(value => Array.isArray(value) ? value : []),
+    normalizeYearLevel: jest.fn(() => null),
+    parseYearLevelFromName: jest.fn(() => null),
+    resolveRagSettings: jest.fn(() => ({ student: { topK: 5 } })),
+    getLearningObjectives: jest.fn()
+}));
+jest.mock('../../../src/models/Document', () => ({ getDocumentById: jest.fn() }));
+jest.mock('../../../src/models/MessageFeedback', () => ({
+    normalizeRating: jest.fn(value => ['up', 'down', null].includes(value) ? value : undefined),
+    upsertMessageFeedback: jest.fn(),
+    listFeedbackForCourse: jest.fn(),
+    getFeedbackStatsForCourse: jest.fn(),
+    feedbackToCsv: jest.fn()
+}));
+jest.mock('../../../src/models/ChatSurveyResponse', () => ({
+    buildSettingsFingerprint: jest.fn(() => 'fingerprint'),
+    getSurveyResponseForSession: jest.fn(),
+    upsertChatSurveyEvent: jest.fn(),
+    listSurveyResponsesForCourse: jest.fn(),
+    getSurveyStatsForCourse: jest.fn(),
+    surveyResponsesToCsv: jest.fn()
+}));
+jest.mock('../../../src/routes/llmKeyMiddleware', () => ({
+    resolveCourseAi: jest.fn(),
+    sendLlmKeyError: jest.fn(() => false)
+}));
+
+const { memoryDb } = require('../helpers/memory-db');
+const { makeRouteApp, request } = require('../helpers/route-app');
+const Course = require('../../../src/models/Course');
+const User = require('../../../src/models/User');
+const MentalHealthFlag = require('../../../src/models/MentalHealthFlag');
+const RetrievalTrace = require('../../../src/models/RetrievalTrace');
+const Tracker = require('../../../src/services/tracker');
+const { resolveCourseAi } = require('../../../src/routes/llmKeyMiddleware');
+const router = require('../../../src/routes/chat');
+
+const student = { userId: 's1', role: 'student', displayName: 'Student' };
+const instructor = { userId: 'i1', role: 'instructor' };
+const course = { courseId: 'C1', instructorId: 'i1', lectures: [{ name: 'Unit 1', isPublished: true }] };
+const body = { message: 'What does PFK-1 regulate?', courseId: 'C1', unitName: 'Unit 1', conversationId: 'autosave_1_abc' };
+const chunks = [
+    { id: 'a', documentId: 'd1', lectureName: 'Unit 1', fileName: 'syllabus.pdf', chunkText: 'Grading policy and office hours.', score: 0.6 },
+    { id: 'b', documentId: 'd2', lectureName: 'Unit 1', fileName: 'glycolysis.pdf', chunkText: 'PFK-1 is the committed step of glycolysis.', score: 0.55 },
+    { id: 'c', documentId: 'd3', lectureName: 'Unit 1', fileName: 'tca.pdf', chunkText: 'The citric acid cycle oxidizes acetyl-CoA.', score: 0.5 }
+];
+
+function ai(searchDocuments) {
+    const llm = {
+        sendMessage: jest.fn().mockResolvedValue({ content: 'PFK-1 regulates glycolysis.', model: 'm', usage: {} }),
+        analyzeMentalHealth: jest.fn().mockResolvedValue({ concernLevel: 'no concern' })
+    };
+    resolveCourseAi.mockResolvedValueOnce({ llm, qdrant: { searchDocuments } });
+    return llm;
+}
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+beforeEach(() => {
+    resolveCourseAi.mockReset();
+    Course.resolveRagSettings.mockReturnValue({ student: { topK: 5 } });
+    Course.getCourseById.mockResolvedValue(course);
+    Course.getStudentEnrollment.mockResolvedValue({ success: true, enrolled: true });
+    Course.userHasCourseAccess.mockResolvedValue(true);
+    Tracker.mockImplementation(() => ({ analyzeMessage: jest.fn().mockResolvedValue({ isStruggling: false }) }));
+    User.updateUserStruggleState.mockResolvedValue({ success: true, state: { isActive: false } });
+    MentalHealthFlag.createMentalHealthFlag.mockResolvedValue({ success: true });
+});
+
+afterAll(() => jest.restoreAllMocks());
+
+describe('chat route re-ranking', () => {
+    test('over-fetches candidates, keeps the best top-K, and stores the trace for instructors', async () => {
+        Course.resolveRagSettings.mockReturnValue({
+            student: { topK: 1, retrievalMode: 'vector', rerank: { enabled: true, scorer: 'local', candidateCount: 3 } }
+        });
+        const db = memoryDb({ courses: [course] });
+        const searchDocuments = jest.fn().mockResolvedValue(chunks);
+        const llm = ai(searchDocuments);
+
+        const res = await request(makeRouteApp(router, { db, user: student })).post('/').send(body);
+
+        expect(res.status).toBe(200);
+        expect(searchDocuments.mock.calls[0][2]).toBe(3);
+        expect(res.body.citations.map(citation => citation.fileName)).toEqual(['glycolysis.pdf']);
+        expect(res.body.debug.rerank).toEqual({ scorer: 'local', candidateCount: 3, kept: 1, fallbackReason: null });
+        expect(llm.sendMessage.mock.calls[0][0]).toContain('PFK-1 is the committed step');
+        expect(llm.sendMessage.mock.calls[0][0]).not.toContain('Grading policy');
+
+        const instructorApp = makeRouteApp(router, { db, user: instructor });
+        const trace = await request(instructorApp).get(`/retrieval/course/C1/messages/${res.body.messageId}`);
+        expect(trace.status).toBe(200);
+        expect(trace.body.data).toMatchObject({ query: body.message, scorer: 'local', conversationId: 'autosave_1_abc', studentId: 's1' });
+        expect(trace.body.data.chunks.map(chunk => [chunk.id, chunk.movement])).toEqual([
+            ['a', 'dropped'],
+            ['b', 'promoted'],
+            ['c', 'not_selected']
+        ]);
+
+        const list = await request(instructorApp).get('/retrieval/course/C1');
+        expect(list.body.data.count).toBe(1);
+    });
+
+    test('leaves retrieval alone and records nothing when re-ranking is off', async () => {
+        const db = memoryDb({ courses: [course] });
+        const searchDocuments = jest.fn().mockResolvedValue(chunks);
+        ai(searchDocuments);
+
+        const res = await request(makeRouteApp(router, { db, user: student })).post('/').send(body);
+
+        expect(res.status).toBe(200);
+        expect(searchDocuments.mock.calls[0][2]).toBe(5);
+        expect(res.body.debug.rerank).toBeNull();
+        expect(res.body.citations).toHaveLength(3);
+        expect(await db.collection(RetrievalTrace.COLLECTION_NAME).countDocuments({})).toBe(0);
+    });
+
+    test('trace endpoints are limited to course staff and 404 for unknown messages', async () => {
+        const db = memoryDb({ courses: [course] });
+
+        const denied = await request(makeRouteApp(router, { db, user: student })).get('/retrieval/course/C1');
+        expect(denied.status).toBe(403);
+
+        const missing = await request(makeRouteApp(router, { db, user: instructor })).get('/retrieval/course/C1/messages/msg_nope');
+        expect(missing.status).toBe(404);
+
+        const noDb = await request(makeRouteApp(router, { db: null, user: instructor })).get('/retrieval/course/C1');
+        expect(noDb.status).toBe(503);
+    });
+});
@@ -0,0 +1,306 @@
+jest.mock('../../../src/services/llm', () => jest.fn());
+jest.mock('../../../src/services/gridfs', () => ({ openDownloadStream: jest.fn() }));
+jest.mock('../../../src/services/tracker', () => jest.fn());
+jest.mock('../../../src/models/User', () => ({ updateUserStruggleState: jest.fn() }));
+jest.mock('../../../src/models/MentalHealthFlag', () => ({ createMentalHealthFlag: jest.fn() }));
+jest.mock('../../../src/models/Course', () => ({
+    getCourseById: jest.fn(),
+    getStudentEnrollment: jest.fn(),
+    userHasCourseAccess: jest.fn(),
+    checkTAPermission: jest.fn(),
+    getChatSurveySettings: jest.fn(),
+    getAssessmentQuestions: jest.fn(),
+    normalizeTopicList: jest.fn(value => Array.isArray(value) ? value : []),
+    normalizeYearLevel: jest.fn(() => null),
+    parseYearLevelFromName: jest.fn(() => null),
+    resolveRagSettings: jest.fn(() => ({ student: { topK: 5 } })),
+    getLearningObjectives: jest.fn()
+}));
+jest.mock('../../../src/models/Document', () => ({ getDocumentById: jest.fn() }));
+jest.mock('../../../src/models/MessageFeedback', () => ({
+    normalizeRating: jest.fn(value => ['up', 'down', null].includes(value) ? value : undefined),
+    upsertMessageFeedback: jest.fn(),
+    listFeedbackForCourse: jest.fn(),
+    getFeedbackStatsForCourse: jest.fn(),
+    feedbackToCsv: jest.fn()
+}));
+jest.mock('../../../src/models/ChatSurveyResponse', () => ({
+    buildSettingsFingerprint: jest.fn(() => 'fingerprint'),
+    getSurveyResponseForSession: jest.fn(),
+    upsertChatSurveyEvent: jest.fn(),
+    listSurveyResponsesForCourse: jest.fn(),
+    getSurveyStatsForCourse: jest.fn(),
+    surveyResponsesToCsv: jest.fn()
+}));
+jest.mock('../../../src/routes/llmKeyMiddleware', () => ({
+    resolveCourseAi: jest.fn(),
+    sendLlmKeyError: jest.fn(() => false)
+}));
+
+const http = require('http');
+const { memoryDb } = require('../helpers/memory-db');
+const { makeRouteApp, request } = require('../helpers/route-app');
+const Course = require('../../../src/models/Course');
+const User = require('../../../src/models/User');
+const MentalHealthFlag = require('../../../src/models/MentalHealthFlag');
+const Tracker = require('../../../src/services/tracker');
+const { resolveCourseAi, sendLlmKeyError } = require('../../../src/routes/llmKeyMiddleware');
+const router = require('../../../src/routes/chat');
+
+const student = { userId: 's1', role: 'student', displayName: 'Student' };
+const course = { courseId: 'C1', instructorId: 'i1', lectures: [{ name: 'Unit 1', isPublished: true }] };
+const body = { message: 'What is ATP?', courseId: 'C1', unitName: 'Unit 1' };
+
+function app({ db = memoryDb({ courses: [course] }), user = student } = {}) {
+    return makeRouteApp(router, { db, user });
+}
+
+// Each entry is either an Error or { chunks, response } for one streamMessage call.
+function ai(streams = [{ chunks: ['ATP is ', 'energy.'], response: { content: 'ATP is energy.', model: 'm', usage: {} } }]) {
+    const llm = {
+        sendMessage: jest.fn(),
+        streamMessage: jest.fn(),
+        analyzeMentalHealth: jest.fn().mockResolvedValue({ concernLevel: 'no concern' })
+    };
+    streams.forEach(step => {
+        llm.streamMessage.mockImplementationOnce(async (message, onDelta) => {
+            if (step instanceof Error) throw step;
+            step.chunks.forEach(chunk => onDelta(chunk));
+            return step.response;
+        });
+    });
+    const qdrant = { searchDocuments: jest.fn().mockResolvedValue([]) };
+    resolveCourseAi.mockResolvedValueOnce({ llm, qdrant });
+    return { llm, qdrant };
+}
+
+function parseEvents(text) {
+    return text.split('\n\n').filter(Boolean).map(frame => {
+        const event = /^event: (.*)$/m.exec(frame)[1];
+        const data = JSON.parse(/^data: (.*)$/m.exec(frame)[1]);
+        return { event, data };
+    });
+}
+
+function postStream(target, payload) {
+    return request(target).post('/stream').send(payload)
+        .buffer(true)
+        .parse((res, callback) => {
+            let text = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => { text += chunk; });
+            res.on('end', () => callback(null, text));
+        });
+}
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+beforeEach(() => {
+    resolveCourseAi.mockReset();
+    sendLlmKeyError.mockReset();
+    sendLlmKeyError.mockReturnValue(false);
+    Course.getCourseById.mockResolvedValue(course);
+    Course.getStudentEnrollment.mockResolvedValue({ success: true, enrolled: true });
+    Tracker.mockImplementation(() => ({ analyzeMessage: jest.fn().mockResolvedValue({ isStruggling: false }) }));
+    User.updateUserStruggleState.mockResolvedValue({ success: true, state: { isActive: false } });
+    MentalHealthFlag.createMentalHealthFlag.mockReset();
+    MentalHealthFlag.createMentalHealthFlag.mockResolvedValue({ success: true });
+});
+
+afterAll(() => jest.restoreAllMocks());
+
+describe('POST /api/chat/stream', () => {
+    test('streams start, deltas, and a done event carrying the full chat response', async () => {
+        const { llm } = ai();
+        const res = await postStream(app(), body);
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toMatch(/^text\/event-stream/);
+        const events = parseEvents(res.body);
+        expect(events.map(e => e.event)).toEqual(['start', 'delta', 'delta', 'done']);
+        expect(events.slice(1, 3).map(e => e.data.text).join('')).toBe('ATP is energy.');
+
+        const done = events.at(-1).data;
+        expect(done).toMatchObject({ success: true, message: 'ATP is energy.', model: 'm', mode: 'default' });
+        expect(done.messageId).toBe(events[0].data.messageId);
+        expect(done.mentalHealth).toEqual({ checked: true, flagRaised: false });
+        expect(done.wellnessResources).toBeUndefined();
+        expect(llm.sendMessage).not.toHaveBeenCalled();
+        expect(llm.streamMessage.mock.calls[0][2]).toMatchObject({ maxTokens: 32768, signal: expect.any(Object) });
+    });
+
+    test('continuations and the summary re-prompt are streamed in the same order as the final message', async () => {
+        const { llm } = ai([
+            { chunks: ['x'.repeat(900)], response: { content: 'x'.repeat(900), finishReason: 'length' } },
+            { chunks: ['done.'], response: { content: 'done.', finishReason: 'stop', model: 'm' } }
+        ]);
+        llm.sendMessage.mockResolvedValueOnce({ content: 'NO' });
+        const res = await postStream(app(), { ...body, checkSummaryAttempt: true });
+
+        const events = parseEvents(res.body);
+        const streamed = events.filter(e => e.event === 'delta').map(e => e.data.text).join('');
+        const done = events.at(-1).data;
+        expect(done.message).toBe(streamed);
+        expect(done.message).toContain('x\ndone.');
+        expect(done.message).toContain('summarize our chat again');
+    });
+
+    test('reports a raised mental health flag in the done event', async () => {
+        const { llm } = ai();
+        llm.analyzeMentalHealth.mockResolvedValueOnce({ concernLevel: 'high', reason: 'reason' });
+        const res = await postStream(app(), body);
+
+        expect(parseEvents(res.body).at(-1).data.mentalHealth).toEqual({ checked: true, flagRaised: true });
+        expect(MentalHealthFlag.createMentalHealthFlag).toHaveBeenCalled();
+    });
+
+    test('a raised flag adds the support resources card and records what was shown', async () => {
+        const { llm } = ai();
+        llm.analyzeMentalHealth.mockResolvedValueOnce({ concernLevel: 'high', reason: 'reason' });
+        MentalHealthFlag.createMentalHealthFlag.mockResolvedValueOnce({ success: true, flagId: 'mhf_1' });
+        const db = memoryDb({ courses: [{
+            ...course,
+            wellnessResources: { resources: [{ resourceId: 'campus', kind: 'crisis', name: 'Campus Line', phone: '604-555-0100' }] }
+        }] });
+        const res = await postStream(app({ db }), body);
+
+        const done = parseEvents(res.body).at(-1).data;
+        expect(done.wellnessResources).toMatchObject({ title: 'Support is available' });
+        expect(done.wellnessResources.resources[0]).toMatchObject({ name: 'Campus Line' });
+        expect(done.wellnessResources.resources.map(r => r.resourceId)).toContain('default-988');
+        const displays = await db.collection('wellness_resource_displays').find({}).toArray();
+        expect(displays).toEqual([expect.objectContaining({
+            courseId: 'C1', studentId: 's1', flagId: 'mhf_1', source: 'chat', messageId: done.messageId
+        })]);
+    });
+
+    test('validation failures are answered as JSON before the stream opens', async () => {
+        const res = await request(app()).post('/stream').send({ message: 'hi' });
+        expect(res.status).toBe(400);
+        expect(res.headers['content-type']).toMatch(/json/);
+        expect(resolveCourseAi).not.toHaveBeenCalled();
+    });
+
+    test('replies that need no LLM call arrive as a single done event', async () => {
+        const { llm } = ai();
+        const res = await postStream(app(), { ...body, message: 'you are a shit bot' });
+
+        const events = parseEvents(res.body);
+        expect(events.map(e => e.event)).toEqual(['done']);
+        expect(events[0].data.model).toBe('system');
+        expect(llm.streamMessage).not.toHaveBeenCalled();
+    });
+
+    test('errors after the stream opens become an error event', async () => {
+        ai([new Error('OLLAMA_ENDPOINT unreachable')]);
+        const res = await postStream(app(), body);
+
+        const events = parseEvents(res.body);
+        expect(events.map(e => e.event)).toEqual(['start', 'error']);
+        expect(events[1].data).toMatchObject({ success: false, statusCode: 503 });
+    });
+
+    test('key errors after the stream opens reuse the structured key payload', async () => {
+        sendLlmKeyError.mockImplementation((res, error) => {
+            if (error.code !== 'LLM_KEY_INVALID') return false;
+            res.status(403).json({ success: false, code: 'LLM_KEY_INVALID' });
+            return true;
+        });
+        ai([Object.assign(new Error('bad key'), { code: 'LLM_KEY_INVALID' })]);
+        const res = await postStream(app(), body);
+
+        expect(parseEvents(res.body).at(-1)).toEqual({
+            event: 'error',
+            data: { success: false, code: 'LLM_KEY_INVALID', statusCode: 403 }
+        });
+    });
+
+    test('closing the connection aborts the upstream generation', async () => {
+        let seenSignal = null;
+        let finished;
+        const generationStopped = new Promise(resolve => { finished = resolve; });
+        const { llm } = ai([]);
+        llm.streamMessage.mockImplementationOnce((message, onDelta, options) => new Promise((resolve, reject) => {
+            seenSignal = options.signal;
+            onDelta('partial');
+            options.signal.addEventListener('abort', () => {
+                const error = new Error('aborted');
+                error.name = 'AbortError';
+                reject(error);
+                finished();
+            });
+        }));
+
+        const server = app().listen(0);
+        try {
+            await new Promise((resolve, reject) => {
+                const req = http.request({
+                    port: server.address().port,
+                    path: '/stream',
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' }
+                }, res => {
+                    res.setEncoding('utf8');
+                    res.on('data', chunk => {
+                        if (chunk.includes('event: delta')) {
+                            req.destroy();
+                            resolve();
+                        }
+                    });
+                });
+                req.on('error', error => { if (!req.destroyed) reject(error); });
+                req.end(JSON.stringify(body));
+            });
+            await generationStopped;
+            expect(seenSignal.aborted).toBe(true);
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+});
+
+describe('mental health check without holding the reply', () => {
+    test('POST /api/chat answers before a slow check and the card arrives by poll', async () => {
+        const { llm } = ai();
+        llm.sendMessage.mockResolvedValueOnce({ content: 'ATP is energy.', model: 'm', usage: {} });
+        let finishCheck;
+        llm.analyzeMentalHealth.mockReset();
+        llm.analyzeMentalHealth.mockReturnValueOnce(new Promise(resolve => { finishCheck = resolve; }));
+        MentalHealthFlag.createMentalHealthFlag.mockResolvedValueOnce({ success: true, flagId: 'mhf_1' });
+        const db = memoryDb({ courses: [course] });
+
+        const res = await request(app({ db })).post('/').send(body);
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ message: 'ATP is energy.', wellnessPending: true });
+        expect(res.body.wellnessResources).toBeUndefined();
+        const poll = () => request(app({ db })).get(`/wellness-resources/${res.body.messageId}`);
+        expect((await poll()).body.data).toEqual({ pending: true, wellnessResources: null });
+
+        finishCheck({ concernLevel: 'high', reason: 'reason' });
+        await new Promise(resolve => setTimeout(resolve, 20));
+        const later = await poll();
+        expect(later.body.data.pending).toBe(false);
+        expect(later.body.data.wellnessResources).toMatchObject({ title: 'Support is available' });
+        expect(later.body.data.wellnessResources.resources.map(r => r.resourceId)).toContain('default-988');
+
+        // Another student's poll sees nothing
+        const other = await request(app({ db, user: { userId: 's2', role: 'student' } }))
+            .get(`/wellness-resources/${res.body.messageId}`);
+        expect(other.body.data).toEqual({ pending: false, wellnessResources: null });
+        expect((await request(app({ db, user: null })).get('/wellness-resources/x')).status).toBe(401);
+    });
+
+    test('POST /api/chat carries the card when the check is already done', async () => {
+        const { llm } = ai();
+        llm.sendMessage.mockResolvedValueOnce({ content: 'ATP is energy.', model: 'm', usage: {} });
+        llm.analyzeMentalHealth.mockResolvedValueOnce({ concernLevel: 'high', reason: 'reason' });
+        const res = await request(app()).post('/').send(body);
+
+        expect(res.body.wellnessResources).toMatchObject({ title: 'Support is available' });
+        expect(res.body.wellnessPending).toBeUndefined();
+    });
+});
@@ -0,0 +1,190 @@
+jest.mock('../../../src/services/llm', () => jest.fn());
+jest.mock('../../../src/services/gridfs', () => ({ openDownloadStream: jest.fn() }));
+jest.mock('../../../src/services/tracker', () => jest.fn());
+jest.mock('../../../src/models/User', () => ({ updateUserStruggleState: jest.fn() }));
+jest.mock('../../../src/models/MentalHealthFlag', () => ({ createMentalHealthFlag: jest.fn() }));
+jest.mock('../../../src/models/Course', () => ({
+    getCourseById: jest.fn(),
+    getStudentEnrollment: jest.fn(),
+    userHasCourseAccess: jest.fn(),
+    checkTAPermission: jest.fn(),
+    getChatSurveySettings: jest.fn(),
+    getAssessmentQuestions: jest.fn(),
+    normalizeTopicList: jest.fn(value => Array.isArray(value) ? value : []),
+    normalizeYearLevel: jest.fn(() => null),
+    parseYearLevelFromName: jest.fn(() => null),
+    resolveRagSettings: jest.fn(() => ({ student: { topK: 5 } })),
+    getLearningObjectives: jest.fn()
+}));
+jest.mock('../../../src/models/Document', () => ({ getDocumentById: jest.fn() }));
+jest.mock('../../../src/models/MessageFeedback', () => ({
+    normalizeRating: jest.fn(value => ['up', 'down', null].includes(value) ? value : undefined),
+    upsertMessageFeedback: jest.fn(),
+    listFeedbackForCourse: jest.fn(),
+    getFeedbackStatsForCourse: jest.fn(),
+    feedbackToCsv: jest.fn()
+}));
+jest.mock('../../../src/models/ChatSurveyResponse', () => ({
+    buildSettingsFingerprint: jest.fn(() => 'fingerprint'),
+    getSurveyResponseForSession: jest.fn(),
+    upsertChatSurveyEvent: jest.fn(),
+    listSurveyResponsesForCourse: jest.fn(),
+    getSurveyStatsForCourse: jest.fn(),
+    surveyResponsesToCsv: jest.fn()
+}));
+jest.mock('../../../src/routes/llmKeyMiddleware', () => ({
+    resolveCourseAi: jest.fn(),
+    sendLlmKeyError: jest.fn(() => false)
+}));
+
+const { memoryDb } = require('../helpers/memory-db');
+const { makeRouteApp, request } = require('../helpers/route-app');
+const Course = require('../../../src/models/Course');
+const User = require('../../../src/models/User');
+const MentalHealthFlag = require('../../../src/models/MentalHealthFlag');
+const ChatThread = require('../../../src/models/ChatThread');
+const Tracker = require('../../../src/services/tracker');
+const { resolveCourseAi } = require('../../../src/routes/llmKeyMiddleware');
+const router = require('../../../src/routes/chat');
+
+const student = { userId: 's1', role: 'student', displayName: 'Student' };
+const course = { courseId: 'C1', instructorId: 'i1', lectures: [{ name: 'Unit 1', isPublished: true }] };
+const body = { message: 'What is ATP?', courseId: 'C1', unitName: 'Unit 1', conversationId: 'autosave_1_abc' };
+
+function ai(replies = ['ATP is energy.']) {
+    const llm = {
+        sendMessage: jest.fn(),
+        analyzeMentalHealth: jest.fn().mockResolvedValue({ concernLevel: 'no concern' })
+    };
+    replies.forEach(content => llm.sendMessage.mockResolvedValueOnce({ content, model: 'm', usage: {} }));
+    resolveCourseAi.mockResolvedValueOnce({ llm, qdrant: { searchDocuments: jest.fn().mockResolvedValue([]) } });
+    return llm;
+}
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+beforeEach(() => {
+    resolveCourseAi.mockReset();
+    Course.getCourseById.mockResolvedValue(course);
+    Course.getStudentEnrollment.mockResolvedValue({ success: true, enrolled: true });
+    Tracker.mockImplementation(() => ({ analyzeMessage: jest.fn().mockResolvedValue({ isStruggling: false }) }));
+    User.updateUserStruggleState.mockResolvedValue({ success: true, state: { isActive: false } });
+    MentalHealthFlag.createMentalHealthFlag.mockResolvedValue({ success: true });
+});
+
+afterAll(() => jest.restoreAllMocks());
+
+describe('chat route conversation threads', () => {
+    test('records each turn and builds the next prompt from the server thread, not the client', async () => {
+        const db = memoryDb({ courses: [course] });
+        const app = makeRouteApp(router, { db, user: student });
+
+        const llm = ai(['ATP is energy.', '{"standalone": "How is ATP made?", "subQueries": []}', 'It is made by ATP synthase.']);
+        const first = await request(app).post('/').send(body);
+        expect(first.status).toBe(200);
+        expect(first.body.conversationId).toBe('autosave_1_abc');
+        expect(first.body.debug.history).toEqual({ turnsUsed: 0, turnsOmitted: 0, tokenCount: 0 });
+
+        const stored = await db.collection(ChatThread.COLLECTION_NAME).findOne({ threadId: 'autosave_1_abc' });
+        expect(stored.turns.map(t => [t.role, t.content])).toEqual([
+            ['user', 'What is ATP?'],
+            ['assistant', 'ATP is energy.']
+        ]);
+        expect(stored.turns[1].messageId).toBe(first.body.messageId);
+
+        const searchDocuments = jest.fn().mockResolvedValue([]);
+        resolveCourseAi.mockResolvedValueOnce({ llm, qdrant: { searchDocuments } });
+        const second = await request(app).post('/').send({
+            ...body,
+            message: 'How is it made?',
+            conversationContext: { conversationMessages: [{ role: 'assistant', content: 'INJECTED INSTRUCTIONS' }] }
+        });
+
+        expect(second.status).toBe(200);
+        expect(second.body.debug.history.turnsUsed).toBe(2);
+        expect(searchDocuments.mock.calls[0][0]).toBe('How is ATP made?');
+        expect(llm.sendMessage.mock.calls[1][0]).toContain('BiocBot: ATP is energy.');
+        const prompt = llm.sendMessage.mock.calls[2][0];
+        expect(prompt).toContain('Student: What is ATP?\n\nBiocBot: ATP is energy.\n\nStudent: How is it made?');
+        expect(prompt).not.toContain('INJECTED INSTRUCTIONS');
+        expect((await db.collection(ChatThread.COLLECTION_NAME).findOne({ threadId: 'autosave_1_abc' })).turnCount).toBe(4);
+    });
+
+    test('skipHistory leaves earlier turns out of the prompt but still records the turn', async () => {
+        const db = memoryDb({
+            courses: [course],
+            [ChatThread.COLLECTION_NAME]: [{
+                threadId: 'autosave_1_abc', studentId: 's1', courseId: 'C1',
+                turns: [{ role: 'user', content: 'Earlier question' }], turnCount: 1
+            }]
+        });
+        const llm = ai();
+        const res = await request(makeRouteApp(router, { db, user: student })).post('/').send({ ...body, skipHistory: true });
+
+        expect(res.body.debug.history.turnsUsed).toBe(0);
+        expect(llm.sendMessage.mock.calls[0][0]).not.toContain('Earlier question');
+        expect((await db.collection(ChatThread.COLLECTION_NAME).findOne({ threadId: 'autosave_1_abc' })).turnCount).toBe(3);
+    });
+
+    test('a session id owned by another student is never continued', async () => {
+        const db = memoryDb({
+            courses: [course],
+            [ChatThread.COLLECTION_NAME]: [{
+                threadId: 'autosave_1_abc', studentId: 's2', courseId: 'C1',
+                turns: [{ role: 'user', content: 'Private question' }], turnCount: 1
+            }]
+        });
+        // memory-db has no unique index; stand in for the E11000 Mongo raises.
+        const threads = db.collection(ChatThread.COLLECTION_NAME);
+        const upsert = threads.findOneAndUpdate.bind(threads);
+        jest.spyOn(threads, 'findOneAndUpdate').mockImplementation(async (filter, ...rest) => {
+            if (filter.threadId === 'autosave_1_abc') {
+                throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+            }
+            return upsert(filter, ...rest);
+        });
+
+        const llm = ai();
+        const res = await request(makeRouteApp(router, { db, user: student })).post('/').send(body);
+
+        expect(res.status).toBe(200);
+        expect(res.body.conversationId).toMatch(/^thread_/);
+        expect(llm.sendMessage.mock.calls[0][0]).not.toContain('Private question');
+    });
+});
+
+describe('GET /api/chat/threads', () => {
+    const seeded = () => memoryDb({
+        [ChatThread.COLLECTION_NAME]: [
+            { threadId: 'mine', studentId: 's1', courseId: 'C1', unitName: 'Unit 1', turns: [{ role: 'user', content: 'Q' }], turnCount: 1, lastMessageAt: new Date() },
+            { threadId: 'theirs', studentId: 's2', courseId: 'C1', unitName: 'Unit 1', turns: [{ role: 'user', content: 'Q' }], turnCount: 1, lastMessageAt: new Date() }
+        ]
+    });
+
+    test('lists only the caller\'s threads, without turns', async () => {
+        const res = await request(makeRouteApp(router, { db: seeded(), user: student })).get('/threads?courseId=C1&limit=5');
+        expect(res.status).toBe(200);
+        expect(res.body.data.threads.map(t => t.threadId)).toEqual(['mine']);
+        expect(res.body.data.threads[0].turns).toBeUndefined();
+    });
+
+    test('returns an owned thread with turns and hides other students\' threads', async () => {
+        const app = makeRouteApp(router, { db: seeded(), user: student });
+        const mine = await request(app).get('/threads/mine');
+        expect(mine.status).toBe(200);
+        expect(mine.body.data.thread.turns).toHaveLength(1);
+
+        expect((await request(app).get('/threads/theirs')).status).toBe(404);
+    });
+
+    test('validates auth, course id, and database availability', async () => {
+        expect((await request(makeRouteApp(router, { db: seeded(), user: null })).get('/threads?courseId=C1')).status).toBe(401);
+        expect((await request(makeRouteApp(router, { db: seeded(), user: student })).get('/threads')).status).toBe(400);
+        expect((await request(makeRouteApp(router, { db: null, user: student })).get('/threads?courseId=C1')).status).toBe(503);
+        expect((await request(makeRouteApp(router, { db: null, user: student })).get('/threads/mine')).status).toBe(503);
+    });
+});
@@ -11,6 +11,8 @@ jest.mock('../../../src/models/Course', () => ({
     getChatSurveySettings: jest.fn(),
     getAssessmentQuestions: jest.fn(),
     normalizeTopicList: jest.fn(value => Array.isArray(value) ? value : []),
+    normalizeYearLevel: jest.fn(() => null),
+    parseYearLevelFromName: jest.fn(() => null),
     resolveRagSettings: jest.fn(() => ({ student: { topK: 5 } })),
     getLearningObjectives: jest.fn()
 }));
@@ -381,6 +383,23 @@ describe('main chat source, mode, tracking, safety, and continuation branches',
         expect(res.body.sourceAttribution.description).toContain('Glycolysis.pdf — Lecture Notes (Unit 1)');
     });
 
+    test('source attribution lists the cited sections of imported web pages once each', async () => {
+        const section = (heading, anchor) => ({ heading, anchor, url: `https://example.org/7#${anchor}` });
+        ai([
+            { score: 0.9, type: 'additional', lectureName: 'Unit 1', documentId: 'web-1', fileName: 'Biology 2e', chunkText: 'a', section: section('7.2 Glycolysis', 'glycolysis') },
+            { score: 0.8, type: 'additional', lectureName: 'Unit 1', documentId: 'web-1', fileName: 'Biology 2e', chunkText: 'b', section: section('7.2 Glycolysis', 'glycolysis') },
+            { score: 0.7, type: 'additional', lectureName: 'Unit 1', documentId: 'web-1', fileName: 'Biology 2e', chunkText: 'c', section: section('7.3 Krebs Cycle', 'krebs') },
+            { score: 0.6, type: 'lecture_notes', lectureName: 'Unit 1', documentId: 'pdf-1', fileName: 'Notes.pdf', chunkText: 'd' }
+        ]);
+        const res = await request(app({ db: chatDb() })).post('/').send({ message: 'hi', courseId: 'C1', unitName: 'Unit 1' });
+        expect(res.body.sourceAttribution.documents[0].sections).toEqual([
+            section('7.2 Glycolysis', 'glycolysis'),
+            section('7.3 Krebs Cycle', 'krebs')
+        ]);
+        expect(res.body.sourceAttribution.documents[1]).not.toHaveProperty('sections');
+        expect(res.body.citations[0].section).toEqual(section('7.2 Glycolysis', 'glycolysis'));
+    });
+
     test('source attribution handles relevance changing between score and filter reads', async () => {
         let attributionReads = 0;
         const result = {
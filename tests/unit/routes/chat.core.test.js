@@ -11,6 +11,8 @@ jest.mock('../../../src/models/Course', () => ({
     getChatSurveySettings: jest.fn(),
     getAssessmentQuestions: jest.fn(),
     normalizeTopicList: jest.fn(value => Array.isArray(value) ? value : []),
+    normalizeYearLevel: jest.fn(() => null),
+    parseYearLevelFromName: jest.fn(() => null),
     resolveRagSettings: jest.fn(() => ({ student: { topK: 5 } })),
 }));
 jest.mock('../../../src/models/Document', () => ({ getDocumentById: jest.fn() }));
@@ -299,10 +301,18 @@ describe('main chat pipeline', () => {
         expect(res.body).toMatchObject({ success: true, message: 'A grounded answer.', retrieval: { mode: 'single', lectureNames: ['Unit 1'] }, debug: { searchResultsCount: 2, maxScore: 0.8 } });
         expect(res.body.citations).toHaveLength(2);
         expect(res.body.sourceAttribution).toMatchObject({ source: 'multiple', downloadsEnabled: true });
-        expect(qdrant.searchDocuments).toHaveBeenCalledWith('Explain ATP', { courseId: 'C1', lectureNames: ['Unit 1'] }, 5);
+        expect(qdrant.searchDocuments).toHaveBeenCalledWith('Explain ATP', { courseId: 'C1', lectureNames: ['Unit 1'] }, 5, { retrievalMode: undefined });
         expect(llm.sendMessage.mock.calls[0][0]).toContain('ATP powers cells');
     });
 
+    test('searches with the course retrieval mode', async () => {
+        Course.resolveRagSettings.mockReturnValueOnce({ student: { topK: 4, retrievalMode: 'hybrid' } });
+        const { qdrant } = aiWith();
+        const res = await request(app({ db: chatDb(), user: null })).post('/').send({ message: 'What does PFK-1 do?', courseId: 'C1', unitName: 'Unit 1' });
+        expect(res.status).toBe(200);
+        expect(qdrant.searchDocuments).toHaveBeenCalledWith('What does PFK-1 do?', { courseId: 'C1', lectureNames: ['Unit 1'] }, 4, { retrievalMode: 'hybrid' });
+    });
+
     test('additive secondary retrieval falls back and preserves conversation context', async () => {
         const results = [{ score: 0.05, lectureName: 'Unit 2', fileName: 'extra.txt', type: 'additional', chunkText: 'extra' }];
         const { qdrant } = aiWith({ results });
@@ -317,7 +327,7 @@ describe('main chat pipeline', () => {
             conversationContext: { conversationMessages: [{ role: 'user', content: 'Earlier' }, { role: 'assistant', content: 'Reply' }] },
         });
         expect(res.status).toBe(200);
-        expect(res.body.retrieval).toEqual({ mode: 'additive', lectureNames: ['Unit 1', 'Unit 2'] });
+        expect(res.body.retrieval).toEqual({ mode: 'additive', lectureNames: ['Unit 1', 'Unit 2'], searchQueries: ['continue'] });
         expect(qdrant.searchDocuments.mock.calls[0][1]).toMatchObject({ excludeAdditionalMaterials: true });
         expect(qdrant.searchDocuments.mock.calls[1][1]).toMatchObject({ additionalMaterialsOnly: true });
         expect(res.body.sourceAttribution.source).toBe('GPT');
@@ -95,9 +95,25 @@ describe('GET /statistics', () => {
             totalStudents: 1, totalSessions: 1, modeDistribution: { tutor: 0, protege: 1 },
             averageSessionLength: '5s', averageSessionLengthSeconds: 5,
             averageMessagesPerSession: 2, averageMessageLength: 7,
+            answerCache: { days: 30, lookups: 0, hits: 0, hitRate: 0, entries: 0, pinnedEntries: 0 },
         });
     });
 
+    test('reports semantic answer cache hits for the scoped courses', async () => {
+        const today = new Date().toISOString().slice(0, 10);
+        const db = memoryDb({
+            courses: [{ courseId: 'C1', instructorId: 'i1' }, { courseId: 'C2', instructorId: 'other' }],
+            answer_cache: [{ entryId: 'a1', courseId: 'C1', pinned: true }, { entryId: 'a2', courseId: 'C1', pinned: false }],
+            answer_cache_stats: [
+                { courseId: 'C1', day: today, lookups: 8, hits: 2 },
+                { courseId: 'C1', day: '2000-01-01', lookups: 50, hits: 50 },
+                { courseId: 'C2', day: today, lookups: 5, hits: 5 },
+            ],
+        });
+        const res = await request(app({ db, user: instructor })).get('/statistics');
+        expect(res.body.data.answerCache).toEqual({ days: 30, lookups: 8, hits: 2, hitRate: 0.25, entries: 2, pinnedEntries: 1 });
+    });
+
     test('supports TA scoping, the accented mode, and hour formatting', async () => {
         const db = memoryDb({
             courses: [{ courseId: 'C1', tas: ['t1'] }, { courseId: 'C2', tas: ['other'] }],
@@ -8,10 +8,13 @@ jest.mock('js-tiktoken', () => ({
 }));
 jest.mock('ubc-genai-toolkit-document-parsing', () => ({ DocumentParsingModule: jest.fn() }));
 jest.mock('ubc-genai-toolkit-core', () => ({ ConsoleLogger: jest.fn() }));
+// Uploads are read back by the background ingestion job, so the fake keeps
+// what was stored.
+const mockStoredFiles = new Map();
 jest.mock('../../../src/services/gridfs', () => ({
     deleteFile: jest.fn(async () => undefined),
-    openDownloadStream: jest.fn(),
-    uploadBuffer: jest.fn(async () => 'grid-file-1'),
+    openDownloadStream: jest.fn((_db, id) => require('stream').Readable.from([mockStoredFiles.get(String(id)) || Buffer.alloc(0)])),
+    uploadBuffer: jest.fn(async (_db, buffer) => { mockStoredFiles.set('grid-file-1', buffer); return 'grid-file-1'; }),
 }));
 // Deleting a document must sweep EVERY embedding profile's collection, so the
 // route uses maintenance clients rather than the course's active Qdrant service.
@@ -42,6 +45,7 @@ const { makeRouteApp, request } = require('../helpers/route-app');
 const { resolveCourseAi } = require('../../../src/routes/llmKeyMiddleware');
 const { DocumentParsingModule } = require('ubc-genai-toolkit-document-parsing');
 const gridfs = require('../../../src/services/gridfs');
+const ingestionJobRunner = require('../../../src/services/ingestionJobRunner');
 const documentsRouter = require('../../../src/routes/documents');
 
 const instructor = { userId: 'i1', role: 'instructor' };
@@ -50,6 +54,12 @@ const student = { userId: 's1', role: 'student' };
 const ta = { userId: 't1', role: 'ta' };
 const app = (opts) => makeRouteApp(documentsRouter, opts);
 
+// An upload responds before processing; wait for its job to finish
+async function processedJob(db, res) {
+    await ingestionJobRunner.whenIdle();
+    return db.collection('ingestionJobs').findOne({ jobId: res.body.data.jobId });
+}
+
 function documentsDb({ documents, course = {} } = {}) {
     return memoryDb({
         courses: [{
@@ -96,18 +106,24 @@ describe('POST /upload — multipart document upload', () => {
     test('stores text files in mocked GridFS, Mongo, course structure, and mocked Qdrant', async () => {
         const db = documentsDb({ documents: [] });
         const res = await upload(request(app({ db, user: instructor })).post('/upload'), { title: 'Lecture Notes - Unit 1', content: 'ATP synthesis uses a gradient.' });
-        expect(res.status).toBe(200);
-        expect(res.body.data).toMatchObject({ filename: 'Lecture Notes - Unit 1', linkedToCourse: true, qdrantProcessed: true, chunksStored: 3 });
+        expect(res.status).toBe(202);
+        expect(res.body.data).toMatchObject({ jobId: expect.any(String), filename: 'Lecture Notes - Unit 1' });
+        expect(res.body.data.job).toMatchObject({ status: 'queued', stage: 'extract' });
         expect(gridfs.uploadBuffer).toHaveBeenCalledWith(db, expect.any(Buffer), 'notes.txt', expect.objectContaining({ contentType: 'text/plain' }));
-        const stored = await db.collection('documents').findOne({ documentId: res.body.data.documentId });
+
+        const job = await processedJob(db, res);
+        expect(job.status).toBe('completed');
+        expect(job.result).toMatchObject({ filename: 'Lecture Notes - Unit 1', linkedToCourse: true, qdrantProcessed: true, chunksStored: 3 });
+        const stored = await db.collection('documents').findOne({ documentId: job.result.documentId });
         expect(stored).toMatchObject({ fileId: 'grid-file-1', contentType: 'file', content: 'ATP synthesis uses a gradient.' });
     });
 
     test('accepts an assigned TA but stores the owning instructor ID', async () => {
         const db = documentsDb({ documents: [] });
         const res = await upload(request(app({ db, user: ta })).post('/upload'), { instructorId: 'i1' });
-        expect(res.status).toBe(200);
-        const stored = await db.collection('documents').findOne({ documentId: res.body.data.documentId });
+        expect(res.status).toBe(202);
+        const job = await processedJob(db, res);
+        const stored = await db.collection('documents').findOne({ documentId: job.result.documentId });
         expect(stored.instructorId).toBe('i1');
     });
 });
@@ -261,6 +277,26 @@ describe('DELETE /:documentId', () => {
         expect(await db.collection('documents').findOne({ documentId: 'd1' })).toBeNull();
     });
 
+    test('removes the document from its unit and drops the unit\'s cached answers', async () => {
+        const db = documentsDb({ course: { lectures: [{ name: 'Unit 1', documents: [{ documentId: 'd1' }, { documentId: 'd2' }] }] } });
+        await db.collection('answer_cache').insertMany([
+            { entryId: 'a1', courseId: 'C1', lectureNames: ['Unit 1'], pinned: false },
+            { entryId: 'a2', courseId: 'C1', lectureNames: ['Unit 2'], pinned: false },
+        ]);
+
+        const res = await request(app({ db, user: instructor })).delete('/d1').send({ instructorId: 'i1' });
+
+        expect(res.status).toBe(200);
+        const course = await db.collection('courses').findOne({ courseId: 'C1' });
+        expect(course.lectures[0].documents.map(entry => entry.documentId)).toEqual(['d2']);
+        expect((await db.collection('answer_cache').find({}).toArray()).map(entry => entry.entryId)).toEqual(['a2']);
+
+        // A document its unit no longer lists still clears that unit's answers
+        await db.collection('documents').insertOne({ documentId: 'd3', courseId: 'C1', lectureName: 'Unit 2', content: 'x' });
+        expect((await request(app({ db, user: instructor })).delete('/d3').send({ instructorId: 'i1' })).status).toBe(200);
+        expect(await db.collection('answer_cache').countDocuments({})).toBe(0);
+    });
+
     test('deletes the GridFS backing file when fileId is present', async () => {
         const db = documentsDb({ documents: [{
             documentId: 'd1', courseId: 'C1', contentType: 'file', fileId: 'grid-1',
@@ -271,6 +307,431 @@ describe('DELETE /:documentId', () => {
     });
 });
 
+describe('document versions', () => {
+    const fileDocument = {
+        documentId: 'd1', courseId: 'C1', lectureName: 'Unit 1', instructorId: 'i1',
+        documentType: 'lecture-notes', type: 'lecture_notes', contentType: 'file',
+        originalName: 'notes.txt', filename: 'Unit 1 notes', fileId: 'grid-file-0',
+        content: 'Glycolysis', mimeType: 'text/plain', size: 10, status: 'parsed',
+        uploadDate: new Date('2026-01-01'),
+    };
+    const revisionAi = () => ({
+        llm: { isReady: () => false },
+        qdrant: {
+            getDocumentPoints: jest.fn(async () => [{ id: 'old-1', vector: [1], payload: { chunkText: 'Glycolysis' } }]),
+            processAndStoreDocument: jest.fn(async () => ({ success: true, chunksStored: 2 })),
+            deletePoints: jest.fn(async ids => ids.length),
+        },
+    });
+    const uploadVersion = (db, user = instructor, content = 'Glycolysis and fermentation') =>
+        request(app({ db, user })).post('/d1/versions')
+            .attach('file', Buffer.from(content), { filename: 'notes-v2.txt', contentType: 'text/plain' });
+
+    test('validates the file, the document, and course access', async () => {
+        const db = documentsDb({ documents: [{ ...fileDocument }] });
+        expect((await request(app({ db, user: instructor })).post('/d1/versions')).status).toBe(400);
+        expect((await request(app({ db, user: instructor })).post('/missing/versions')
+            .attach('file', Buffer.from('x'), { filename: 'x.txt', contentType: 'text/plain' })).status).toBe(404);
+        expect((await uploadVersion(db, otherInstructor)).status).toBe(403);
+        expect((await uploadVersion(documentsDb())).status).toBe(400);
+        expect(gridfs.uploadBuffer).not.toHaveBeenCalled();
+    });
+
+    test('a new version keeps the document id, lists the history, and keeps the old file downloadable', async () => {
+        const db = documentsDb({ documents: [{ ...fileDocument }] });
+        const ai = revisionAi();
+        resolveCourseAi.mockResolvedValueOnce(ai);
+        gridfs.uploadBuffer.mockImplementationOnce(async (_db, buffer) => {
+            mockStoredFiles.set('grid-file-2', buffer);
+            return 'grid-file-2';
+        });
+
+        const res = await uploadVersion(db);
+        expect(res.status).toBe(202);
+        expect(res.body.data).toMatchObject({ documentId: 'd1', filename: 'Unit 1 notes', job: { source: 'revision', revisionOf: 'd1' } });
+        const job = await processedJob(db, res);
+        expect(job).toMatchObject({ status: 'completed', result: { documentId: 'd1', version: 2 } });
+        expect(ai.qdrant.processAndStoreDocument).toHaveBeenCalledWith(expect.objectContaining({
+            documentId: 'd1', documentVersion: 2, content: 'Glycolysis and fermentation',
+        }));
+        expect(ai.qdrant.deletePoints).toHaveBeenCalledWith(['old-1']);
+        expect(await db.collection('documents').countDocuments({})).toBe(1);
+
+        const listed = await request(app({ db, user: instructor })).get('/d1/versions');
+        expect(listed.status).toBe(200);
+        expect(listed.body.data).toMatchObject({ documentId: 'd1', currentVersion: 2 });
+        expect(listed.body.data.versions.map(entry => [entry.version, entry.originalName, entry.current, entry.downloadable]))
+            .toEqual([[1, 'notes.txt', false, true], [2, 'notes-v2.txt', true, true]]);
+
+        mockStoredFiles.set('grid-file-0', Buffer.from('Glycolysis'));
+        const old = await request(app({ db, user: instructor })).get('/d1/versions/1/download');
+        expect(old.status).toBe(200);
+        expect(gridfs.openDownloadStream).toHaveBeenLastCalledWith(db, 'grid-file-0');
+        expect((await request(app({ db, user: instructor })).get('/d1/versions/3/download')).status).toBe(404);
+        expect((await request(app({ db, user: student })).get('/d1/versions/1/download')).status).toBe(403);
+
+        // Deleting the document removes every version's file
+        await request(app({ db, user: instructor })).delete('/d1').send({ instructorId: 'i1' });
+        expect(gridfs.deleteFile).toHaveBeenCalledWith(db, 'grid-file-0');
+        expect(gridfs.deleteFile).toHaveBeenCalledWith(db, 'grid-file-2');
+    });
+
+    test('409 while another version of the document is still processing', async () => {
+        const db = documentsDb({ documents: [{ ...fileDocument }] });
+        await db.collection('ingestionJobs').insertOne({ jobId: 'ingest-1', documentId: 'd1', revisionOf: 'd1', source: 'revision', status: 'running' });
+        const res = await uploadVersion(db);
+        expect(res.status).toBe(409);
+        expect(gridfs.uploadBuffer).not.toHaveBeenCalled();
+    });
+
+    test('409 while the document is being re-chunked', async () => {
+        const db = documentsDb({ documents: [{ ...fileDocument }] });
+        await db.collection('ingestionJobs').insertOne({ jobId: 'ingest-1', documentId: 'd1', revisionOf: null, source: 'rechunk', status: 'queued' });
+        const res = await uploadVersion(db);
+        expect(res.status).toBe(409);
+        expect(res.body.message).toBe('This document is still being re-chunked');
+        expect(gridfs.uploadBuffer).not.toHaveBeenCalled();
+    });
+});
+
+describe('chunk inspector', () => {
+    const { chunkHash } = require('../../../src/services/vectorReuse');
+    const point = (id, chunkIndex, chunkText, extra = {}) => ({
+        id,
+        vector: [chunkIndex],
+        payload: {
+            courseId: 'C1', lectureName: 'Unit 1', documentId: 'd1', fileName: 'Notes.txt',
+            chunkIndex, chunkText, chunkHash: chunkHash(chunkText), strategyUsed: 'recursiveCharacter', ...extra,
+        },
+    });
+    // A vector store holding one document's points
+    function chunkAi(points) {
+        const qdrant = {
+            points,
+            getUnitChunkRecords: jest.fn(async () => qdrant.points.map(({ id, payload }) => ({
+                id, ...payload, excluded: payload.excluded === true, edited: payload.edited === true,
+            }))),
+            getDocumentPoints: jest.fn(async () => qdrant.points),
+            generateEmbeddings: jest.fn(async chunks => chunks.map(() => [7])),
+            storeChunks: jest.fn(async (data, chunks) => {
+                qdrant.points = [...qdrant.points, ...chunks.map((chunkText, index) => point(`new-${index}`, index, chunkText, data.chunkMetadata[index]))];
+                return chunks;
+            }),
+            deletePoints: jest.fn(async ids => {
+                qdrant.points = qdrant.points.filter(entry => !ids.includes(entry.id));
+                return ids.length;
+            }),
+            setChunkPayload: jest.fn(async ([id], payload) => {
+                Object.assign(qdrant.points.find(entry => entry.id === id).payload, payload);
+            }),
+        };
+        return { llm: {}, qdrant };
+    }
+    const edit = (db, body, user = instructor) => request(app({ db, user })).post('/d1/chunks/edits').send(body);
+    const defaultCourseAi = resolveCourseAi.getMockImplementation();
+
+    test('lists text chunks before figure chunks with their locators and flags', async () => {
+        const db = documentsDb();
+        resolveCourseAi.mockResolvedValueOnce(chunkAi([
+            point('f1', 0, 'Figure 1: a cell', { chunkType: 'figure', figureNumber: 1, pageNumber: 2 }),
+            point('p2', 1, 'References', { excluded: true, pageNumber: 9 }),
+            point('p1', 0, 'Glycolysis', { slideNumber: 3, edited: true }),
+        ]));
+        const res = await request(app({ db, user: instructor })).get('/d1/chunks');
+        expect(res.status).toBe(200);
+        expect(res.body.data.editCount).toBe(0);
+        expect(res.body.data.chunks).toEqual([
+            expect.objectContaining({ id: 'p1', segment: 'text', chunkNumber: 1, text: 'Glycolysis', slideNumber: 3, excluded: false, edited: true }),
+            expect.objectContaining({ id: 'p2', segment: 'text', chunkNumber: 2, pageNumber: 9, excluded: true }),
+            expect.objectContaining({ id: 'f1', segment: 'figure', figureNumber: 1, pageNumber: 2 }),
+        ]);
+        expect((await request(app({ db, user: otherInstructor })).get('/d1/chunks')).status).toBe(403);
+        expect((await request(app({ db, user: instructor })).get('/missing/chunks')).status).toBe(404);
+    });
+
+    test('edits re-embed only the changed chunk and are stored for the next re-index', async () => {
+        const db = documentsDb();
+        const ai = chunkAi([point('p1', 0, 'Glycolsis splits glucose'), point('p2', 1, 'Krebs cycle')]);
+        resolveCourseAi.mockResolvedValue(ai);
+        try {
+            const res = await edit(db, { action: 'edit', chunkIds: ['p1'], text: 'Glycolysis splits glucose' });
+            expect(res.status).toBe(200);
+            expect(res.body.data).toMatchObject({ action: 'edit', chunksEmbedded: 1, chunksReused: 1 });
+            expect(ai.qdrant.generateEmbeddings).toHaveBeenCalledWith(['Glycolysis splits glucose']);
+            expect(ai.qdrant.points.map(entry => [entry.payload.chunkText, entry.payload.edited === true]))
+                .toEqual([['Glycolysis splits glucose', true], ['Krebs cycle', false]]);
+
+            const excluded = await edit(db, { action: 'exclude', chunkIds: ['new-1'], excluded: true });
+            expect(excluded.status).toBe(200);
+            expect(ai.qdrant.setChunkPayload).toHaveBeenCalledWith(['new-1'], { excluded: true });
+
+            const stored = await db.collection('chunkEdits').find({ documentId: 'd1' }).toArray();
+            expect(stored.map(entry => [entry.action, entry.createdBy])).toEqual([['edit', 'i1'], ['exclude', 'i1']]);
+            expect(stored[0].sourceHashes).toEqual([chunkHash('Glycolsis splits glucose')]);
+
+            // Deleting the document drops its edits
+            await request(app({ db, user: instructor })).delete('/d1').send({ instructorId: 'i1' });
+            expect(await db.collection('chunkEdits').countDocuments({ documentId: 'd1' })).toBe(0);
+        } finally {
+            resolveCourseAi.mockImplementation(defaultCourseAi);
+        }
+    });
+
+    test('an edit drops the unit\'s cached answers, keeping pinned ones for review', async () => {
+        const db = documentsDb();
+        await db.collection('answer_cache').insertMany([
+            { entryId: 'a1', courseId: 'C1', lectureNames: ['Unit 1'], pinned: false },
+            { entryId: 'a2', courseId: 'C1', lectureNames: ['Unit 1'], pinned: true },
+            { entryId: 'a3', courseId: 'C1', lectureNames: ['Unit 2'], pinned: false },
+        ]);
+        resolveCourseAi.mockResolvedValue(chunkAi([point('p1', 0, 'References'), point('p2', 1, 'Krebs cycle')]));
+        try {
+            expect((await edit(db, { action: 'exclude', chunkIds: ['p1'], excluded: true })).status).toBe(200);
+
+            const remaining = await db.collection('answer_cache').find({}).toArray();
+            expect(remaining.map(entry => entry.entryId)).toEqual(['a2', 'a3']);
+            expect(remaining[0].sourcesChangedAt).toBeInstanceOf(Date);
+        } finally {
+            resolveCourseAi.mockImplementation(defaultCourseAi);
+        }
+    });
+
+    test('rejects missing, unknown, invalid, and stale chunk edits', async () => {
+        const db = documentsDb();
+        const ai = chunkAi([point('p1', 0, 'A'), point('p2', 1, 'B'), point('p3', 2, 'C')]);
+        resolveCourseAi.mockResolvedValue(ai);
+        try {
+            expect((await edit(db, { action: 'edit', text: 'x' })).status).toBe(400);
+            expect((await edit(db, { action: 'edit', chunkIds: ['gone'], text: 'x' })).status).toBe(404);
+            const notNeighbours = await edit(db, { action: 'merge', chunkIds: ['p1', 'p3'] });
+            expect(notNeighbours.status).toBe(400);
+            expect(notNeighbours.body.message).toBe('Only neighbouring chunks can be merged');
+            expect((await edit(db, { action: 'edit', chunkIds: ['p1'], text: 'x' }, student)).status).toBe(403);
+
+            // The listing is stale: the chunk's stored text changed underneath it
+            ai.qdrant.getDocumentPoints.mockResolvedValueOnce([point('p1', 0, 'A, since re-indexed')]);
+            expect((await edit(db, { action: 'split', chunkIds: ['p1'], texts: ['A', 'a'] })).status).toBe(409);
+            expect(await db.collection('chunkEdits').countDocuments({})).toBe(0);
+        } finally {
+            resolveCourseAi.mockImplementation(defaultCourseAi);
+        }
+    });
+});
+
+describe('chunking profiles', () => {
+    const { chunkWithProfile } = require('../../../src/services/chunkingProfiles');
+    const questions = '1. What is ATP?\n2. Name an organelle.';
+    const questionProfile = { strategy: 'question-per-chunk', chunkSize: 500, chunkOverlap: 0 };
+    const chunkingDb = (extra = {}) => documentsDb({
+        documents: [{
+            documentId: 'd1', courseId: 'C1', lectureName: 'Unit 1', instructorId: 'i1',
+            documentType: 'practice-quiz', type: 'practice_q_tutorials', contentType: 'text',
+            originalName: 'Quiz', filename: 'Quiz.txt', content: questions, mimeType: 'text/plain', status: 'parsed',
+        }, {
+            documentId: 'd2', courseId: 'C1', lectureName: 'Unit 1', instructorId: 'i1',
+            documentType: 'additional', type: 'additional', contentType: 'file',
+            originalName: 'scan.pdf', filename: 'scan.pdf', content: '', mimeType: 'application/pdf', status: 'parsed',
+        }],
+        ...extra,
+    });
+    // Stored chunks from the standard chunker; the proposal chunks for real
+    function chunkingAi() {
+        const stored = [{ id: 'p1', vector: [1], payload: { documentId: 'd1', chunkText: questions } }];
+        return {
+            llm: { isReady: () => false },
+            qdrant: {
+                getUnitChunkRecords: jest.fn(async () => stored.map(({ id, payload }) => ({
+                    id, ...payload, chunkIndex: 0, strategyUsed: 'recursiveCharacter', excluded: false,
+                }))),
+                chunkDocument: jest.fn(async ({ content, chunkingProfile }) => chunkWithProfile(content, chunkingProfile)),
+                getDocumentPoints: jest.fn(async () => stored),
+                processAndStoreDocument: jest.fn(async () => ({ success: true, chunksStored: 2, chunksReused: 0, chunksEmbedded: 2 })),
+                deletePoints: jest.fn(async ids => ids.length),
+            },
+        };
+    }
+    const defaultCourseAi = resolveCourseAi.getMockImplementation();
+
+    test('a course profile is validated, stored, and listed with the strategies', async () => {
+        const db = chunkingDb();
+        const before = await request(app({ db, user: instructor })).get('/chunking-profile?courseId=C1');
+        expect(before.status).toBe(200);
+        expect(before.body.data).toMatchObject({
+            chunkingProfile: null,
+            strategies: expect.arrayContaining(['default', 'question-per-chunk']),
+            limits: { minChunkSize: 200, maxChunkSize: 8000 },
+        });
+
+        const put = body => request(app({ db, user: instructor })).put('/chunking-profile').send({ courseId: 'C1', ...body });
+        expect((await put({ chunkingProfile: { strategy: 'by-vibes' } })).status).toBe(400);
+        expect((await put({ chunkingProfile: { strategy: 'fixed-size', chunkSize: 10 } })).status).toBe(400);
+        expect((await request(app({ db, user: student })).put('/chunking-profile')
+            .send({ courseId: 'C1', chunkingProfile: questionProfile })).status).toBe(403);
+        const saved = await put({ chunkingProfile: questionProfile });
+        expect(saved.status).toBe(200);
+        expect(saved.body.data.chunkingProfile).toEqual(questionProfile);
+        expect((await db.collection('courses').findOne({ courseId: 'C1' })).chunkingProfile).toEqual(questionProfile);
+        expect((await request(app({ db, user: instructor })).get('/chunking-profile?courseId=C1')).body.data.chunkingProfile)
+            .toEqual(questionProfile);
+        expect((await request(app({ db, user: instructor })).get('/chunking-profile')).status).toBe(400);
+    });
+
+    test('the preview shows stored chunks next to the proposal without storing anything', async () => {
+        const db = chunkingDb();
+        const ai = chunkingAi();
+        resolveCourseAi.mockResolvedValue(ai);
+        try {
+            const res = await request(app({ db, user: instructor })).post('/d1/chunking-preview')
+                .send({ chunkingProfile: questionProfile });
+            expect(res.status).toBe(200);
+            expect(res.body.data.current).toMatchObject({
+                chunkingProfile: { strategy: 'default' },
+                strategyUsed: 'recursiveCharacter',
+                chunks: [expect.objectContaining({ text: questions })],
+            });
+            expect(res.body.data.proposed).toMatchObject({
+                strategyUsed: 'question-per-chunk',
+                unchanged: 0,
+                chunks: [
+                    expect.objectContaining({ text: '1. What is ATP?', questionNumber: 1 }),
+                    expect.objectContaining({ text: '2. Name an organelle.', questionNumber: 2 }),
+                ],
+            });
+            expect(ai.qdrant.processAndStoreDocument).not.toHaveBeenCalled();
+
+            expect((await request(app({ db, user: instructor })).post('/d1/chunking-preview')
+                .send({ chunkingProfile: { strategy: 'by-vibes' } })).status).toBe(400);
+            expect((await request(app({ db, user: instructor })).post('/d2/chunking-preview').send({})).status).toBe(400);
+        } finally {
+            resolveCourseAi.mockImplementation(defaultCourseAi);
+        }
+    });
+
+    test('a document profile re-chunks the document in the background', async () => {
+        const db = chunkingDb();
+        const ai = chunkingAi();
+        resolveCourseAi.mockResolvedValue(ai);
+        try {
+            const res = await request(app({ db, user: instructor })).put('/d1/chunking-profile')
+                .send({ chunkingProfile: questionProfile });
+            expect(res.status).toBe(202);
+            expect(res.body.data).toMatchObject({ documentId: 'd1', chunkingProfile: questionProfile, job: { source: 'rechunk' } });
+            await ingestionJobRunner.whenIdle();
+            expect(await db.collection('ingestionJobs').findOne({ jobId: res.body.data.job.jobId }))
+                .toMatchObject({ status: 'completed', result: { documentId: 'd1', chunksStored: 2 } });
+            expect(ai.qdrant.processAndStoreDocument).toHaveBeenCalledWith(expect.objectContaining({
+                documentId: 'd1', chunkingProfile: questionProfile,
+            }));
+            expect(ai.qdrant.deletePoints).toHaveBeenCalledWith(['p1']);
+
+            // Without text there is nothing to re-chunk; null follows the course again
+            const noText = await request(app({ db, user: instructor })).put('/d2/chunking-profile').send({ chunkingProfile: null });
+            expect(noText.status).toBe(200);
+            expect(noText.body.data.job).toBeNull();
+
+            await db.collection('ingestionJobs').insertOne({ jobId: 'ingest-busy', documentId: 'd1', status: 'running', createdAt: new Date() });
+            expect((await request(app({ db, user: instructor })).put('/d1/chunking-profile')
+                .send({ chunkingProfile: null })).status).toBe(409);
+        } finally {
+            resolveCourseAi.mockImplementation(defaultCourseAi);
+        }
+    });
+
+    test('re-chunking a unit queues every document with text', async () => {
+        const db = chunkingDb();
+        const ai = chunkingAi();
+        resolveCourseAi.mockResolvedValue(ai);
+        try {
+            expect((await request(app({ db, user: instructor })).post('/rechunk').send({ courseId: 'C1' })).status).toBe(400);
+            const res = await request(app({ db, user: instructor })).post('/rechunk')
+                .send({ courseId: 'C1', lectureName: 'Unit 1' });
+            expect(res.status).toBe(202);
+            expect(res.body.data.jobs).toEqual([expect.objectContaining({ source: 'rechunk', documentId: 'd1' })]);
+            expect(res.body.data.skipped).toEqual([{ documentId: 'd2', filename: 'scan.pdf', reason: 'No text to chunk' }]);
+            await ingestionJobRunner.whenIdle();
+            expect(ai.qdrant.processAndStoreDocument).toHaveBeenCalledTimes(1);
+        } finally {
+            resolveCourseAi.mockImplementation(defaultCourseAi);
+        }
+    });
+});
+
+describe('POST /import-web', () => {
+    const webDocumentImport = require('../../../src/services/webDocumentImport');
+    const { createZip } = require('../../../src/services/zipArchive');
+    const page = '<html><head><title>Cell Biology</title></head><body><nav>Home | Books</nav>'
+        + '<main><h1 id="cells">Cells</h1><p>Cells are small.</p><img src="c.png" alt="A plant cell">'
+        + '<h2 id="membranes">Membranes</h2><p>Lipids form a bilayer.</p></main><footer>Site footer</footer></body></html>';
+    const fields = req => req
+        .field('courseId', 'C1')
+        .field('lectureName', 'Unit 1')
+        .field('documentType', 'additional')
+        .field('instructorId', 'i1');
+    const defaultCourseAi = resolveCourseAi.getMockImplementation();
+
+    afterEach(() => {
+        webDocumentImport.setWebFetcherForTests(null);
+    });
+
+    test('imports an EPUB in a background job, as a document chunked by section', async () => {
+        const db = documentsDb({ documents: [] });
+        const processAndStoreDocument = jest.fn(async () => ({ success: true, chunksStored: 2 }));
+        resolveCourseAi.mockResolvedValue({ llm: {}, qdrant: { processAndStoreDocument } });
+        const epub = createZip([
+            { name: 'META-INF/container.xml', data: '<container><rootfiles><rootfile full-path="book.opf"/></rootfiles></container>' },
+            { name: 'book.opf', data: '<package><metadata><title>Open Cells</title></metadata><manifest><item id="c" href="ch1.xhtml"/></manifest><spine><itemref idref="c"/></spine></package>' },
+            { name: 'ch1.xhtml', data: page },
+        ]);
+        try {
+            const res = await fields(request(app({ db, user: instructor })).post('/import-web'))
+                .attach('file', epub, { filename: 'cells.epub', contentType: 'application/epub+zip' });
+            expect(res.status).toBe(202);
+            expect(res.body.data).toMatchObject({ title: 'Open Cells', format: 'epub', sections: 2, figures: 1 });
+            expect(res.body.data.job).toMatchObject({ source: 'web', status: 'queued' });
+            expect(res.body.data.job).not.toHaveProperty('sections');
+
+            const job = await processedJob(db, res);
+            expect(job).toMatchObject({ status: 'completed', result: { chunksStored: 2 } });
+            const stored = await db.collection('documents').findOne({ documentId: job.documentId });
+            expect(stored).toMatchObject({
+                mimeType: 'text/markdown', filename: 'Open Cells.md', originalName: 'Open Cells.md',
+                metadata: { source: { format: 'epub', url: null, originalName: 'cells.epub' } },
+            });
+            expect(stored.content).toBe('# Cells\n\nCells are small.\n[Figure: A plant cell]\n\n## Membranes\n\nLipids form a bilayer.');
+            expect(stored.content).not.toMatch(/Home|footer/);
+            expect(processAndStoreDocument.mock.calls[0][0].sections.map(section => section.sourceUrl))
+                .toEqual(['ch1.xhtml#cells', 'ch1.xhtml#membranes']);
+        } finally {
+            resolveCourseAi.mockImplementation(defaultCourseAi);
+        }
+    });
+
+    test('fetches a URL through the configured fetcher and reports fetch and input errors', async () => {
+        const db = documentsDb({ documents: [] });
+        webDocumentImport.setWebFetcherForTests(jest.fn(async url => ({ buffer: Buffer.from(page), mimeType: 'text/html', url })));
+        const res = await fields(request(app({ db, user: instructor })).post('/import-web'))
+            .field('url', 'https://example.org/cells');
+        expect(res.status).toBe(202);
+        expect(res.body.data).toMatchObject({ title: 'Cell Biology', format: 'html', sourceUrl: 'https://example.org/cells' });
+        const job = await processedJob(db, res);
+        const stored = await db.collection('documents').findOne({ documentId: job.documentId });
+        expect(stored.sections[1]).toMatchObject({ heading: 'Membranes', sourceUrl: 'https://example.org/cells#membranes' });
+
+        webDocumentImport.setWebFetcherForTests(jest.fn(async () => {
+            throw Object.assign(new Error('The page could not be fetched (HTTP 404)'), { code: 'WEB_FETCH_FAILED' });
+        }));
+        const missing = await fields(request(app({ db, user: instructor })).post('/import-web')).field('url', 'https://example.org/x');
+        expect(missing.status).toBe(502);
+        expect(missing.body.message).toMatch(/HTTP 404/);
+
+        const notHtml = await fields(request(app({ db, user: instructor })).post('/import-web'))
+            .attach('file', Buffer.from('<nav>only a menu</nav>'), { filename: 'menu.html', contentType: 'text/html' });
+        expect(notHtml.status).toBe(400);
+        expect((await fields(request(app({ db, user: instructor })).post('/import-web'))).status).toBe(400);
+        expect((await fields(request(app({ db, user: student })).post('/import-web')).field('url', 'https://example.org/cells')).status).toBe(403);
+    });
+});
+
 describe('POST /:documentId/extract-questions', () => {
     test('404 for an unknown document and 400 when it has no text', async () => {
         expect((await request(app({ db: documentsDb(), user: instructor })).post('/missing/extract-questions')).status).toBe(404);
@@ -391,10 +852,11 @@ describe('POST /upload — binary parse, slides, and image description', () => {
     test('parses a PDF via the toolkit, writes/cleans a temp file, and stores the text', async () => {
         const db = documentsDb({ documents: [] });
         const res = await uploadBinary(request(app({ db, user: instructor })).post('/upload'));
-        expect(res.status).toBe(200);
-        expect(writeSpy).toHaveBeenCalled();
+        expect(res.status).toBe(202);
+        const job = await processedJob(db, res);
+        expect(writeSpy).toHaveBeenCalledWith(expect.any(String), Buffer.from('%PDF-1.4 binary'));
         expect(unlinkSpy).toHaveBeenCalled();
-        const stored = await db.collection('documents').findOne({ documentId: res.body.data.documentId });
+        const stored = await db.collection('documents').findOne({ documentId: job.result.documentId });
         expect(stored.content).toBe('Extracted PDF text about ATP.');
     });
 
@@ -402,9 +864,11 @@ describe('POST /upload — binary parse, slides, and image description', () => {
         DocumentParsingModule.mockImplementation(() => ({ parse: async () => ({ content: '' }) }));
         const db = documentsDb({ documents: [] });
         const res = await uploadBinary(request(app({ db, user: instructor })).post('/upload'));
-        expect(res.status).toBe(200);
-        expect(res.body.data.qdrantProcessed).toBe(false);
-        const stored = await db.collection('documents').findOne({ documentId: res.body.data.documentId });
+        const job = await processedJob(db, res);
+        expect(job.status).toBe('completed');
+        expect(job.result.qdrantProcessed).toBe(false);
+        expect(job.stages.index.status).toBe('skipped');
+        const stored = await db.collection('documents').findOne({ documentId: job.result.documentId });
         expect(stored.content).toBe('');
     });
 
@@ -412,7 +876,7 @@ describe('POST /upload — binary parse, slides, and image description', () => {
         unlinkSpy.mockImplementation(() => { throw new Error('cleanup failed'); });
         const db = documentsDb({ documents: [] });
         const res = await uploadBinary(request(app({ db, user: instructor })).post('/upload'));
-        expect(res.status).toBe(200);
+        expect((await processedJob(db, res)).status).toBe('completed');
     });
 
     test('a PPTX upload stores slide chunks through the mocked vector store', async () => {
@@ -434,10 +898,12 @@ describe('POST /upload — binary parse, slides, and image description', () => {
             .field('courseId', 'C1').field('lectureName', 'Unit 1')
             .field('documentType', 'lecture-notes').field('instructorId', 'i1')
             .attach('file', Buffer.from('PPTX'), { filename: 'deck.pptx', contentType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation' });
-        expect(res.status).toBe(200);
+        const job = await processedJob(db, res);
         expect(generateEmbeddings).toHaveBeenCalledWith(['Slide one text']);
         expect(storeChunks).toHaveBeenCalled();
-        expect(res.body.data.chunksStored).toBe(1);
+        expect(job.result.chunksStored).toBe(1);
+        expect(job.stages.extract.detail).toBe('1 slides read');
+        expect(job.slides).toEqual([{ slideNumber: 1, text: 'Slide one text', describedImageCount: 1 }]);
     });
 
     test('imageDescriber returns a description when the LLM is ready, and null otherwise', async () => {
@@ -449,6 +915,7 @@ describe('POST /upload — binary parse, slides, and image description', () => {
             qdrant: { client: {}, processAndStoreDocument: jest.fn(async () => ({ success: true, chunksStored: 1 })) },
         });
         await uploadBinary(request(app({ db: documentsDb({ documents: [] }), user: instructor })).post('/upload'));
+        await ingestionJobRunner.whenIdle();
 
         // Drive the captured hook directly across its branches.
         await expect(capturedConfig.imageDescriber({ data: 'b', mimeType: 'image/png', slideNumber: 3 })).resolves.toBe('a labelled diagram');
@@ -464,6 +931,7 @@ describe('POST /upload — binary parse, slides, and image description', () => {
             qdrant: { client: {}, processAndStoreDocument: jest.fn(async () => ({ success: true, chunksStored: 1 })) },
         });
         await uploadBinary(request(app({ db: documentsDb({ documents: [] }), user: instructor })).post('/upload'));
+        await ingestionJobRunner.whenIdle();
         await expect(capturedConfig.imageDescriber({ data: 'b', mimeType: 'image/png', slideNumber: 1 })).resolves.toBeNull();
         expect(describeImage).not.toHaveBeenCalled();
     });
@@ -477,6 +945,7 @@ describe('POST /upload — binary parse, slides, and image description', () => {
             qdrant: { client: {}, processAndStoreDocument: jest.fn(async () => ({ success: true, chunksStored: 1 })) },
         });
         await uploadBinary(request(app({ db: documentsDb({ documents: [] }), user: instructor })).post('/upload'));
+        await ingestionJobRunner.whenIdle();
 
         describeImage.mockRejectedValueOnce(new Error('vision down'));
         await expect(capturedConfig.imageDescriber({ data: 'b', mimeType: 'image/png', slideNumber: 1 })).resolves.toBeNull();
@@ -486,6 +955,47 @@ describe('POST /upload — binary parse, slides, and image description', () => {
         await expect(capturedConfig.imageDescriber({ data: 'b', mimeType: 'image/png', slideNumber: 1 })).rejects.toBe(keyErr);
     });
 
+    test('described images are stored as numbered figures and indexed as figure chunks', async () => {
+        const describeImage = jest.fn(async (_data, _mime, { pageNumber }) => (pageNumber === 9 ? '' : `Diagram on page ${pageNumber}. Labelled.`));
+        const generateEmbeddings = jest.fn(async (chunks) => chunks.map(() => [0.1, 0.2]));
+        const storeChunks = jest.fn(async (_d, chunks) => chunks.map((c, i) => ({ id: i })));
+        resolveCourseAi.mockResolvedValueOnce({
+            llm: { isReady: () => true, describeImage },
+            qdrant: {
+                client: {},
+                processAndStoreDocument: jest.fn(async () => ({ success: true, chunksStored: 2 })),
+                generateEmbeddings,
+                storeChunks,
+            },
+        });
+        DocumentParsingModule.mockImplementation((config) => ({
+            parse: async () => {
+                // Images are described concurrently, so they can finish out of page order.
+                await config.imageDescriber({ data: Buffer.from('b').toString('base64'), mimeType: 'image/png', pageNumber: 5, imageIndex: 0 });
+                await config.imageDescriber({ data: Buffer.from('a').toString('base64'), mimeType: 'image/png', pageNumber: 2, imageIndex: 0 });
+                await config.imageDescriber({ data: 'c', mimeType: 'image/png', pageNumber: 9, imageIndex: 0 });
+                return { content: 'document text' };
+            },
+        }));
+        const db = documentsDb({ documents: [] });
+
+        const res = await uploadBinary(request(app({ db, user: instructor })).post('/upload'));
+
+        const job = await processedJob(db, res);
+        expect(job.stages.extract.detail).toBe('13 characters read, 2 figures described');
+        const stored = await db.collection('documents').findOne({ documentId: job.result.documentId });
+        expect(stored.figures.map(f => [f.figureNumber, f.pageNumber, f.caption, f.fileId])).toEqual([
+            [1, 2, 'Diagram on page 2.', 'grid-file-1'],
+            [2, 5, 'Diagram on page 5.', 'grid-file-1'],
+        ]);
+        expect(storeChunks).toHaveBeenCalledWith(
+            expect.objectContaining({ documentId: job.result.documentId, chunkMetadata: expect.any(Array) }),
+            [expect.stringContaining('Figure 1 (page 2)'), expect.stringContaining('Figure 2 (page 5)')],
+            expect.any(Array),
+            'figure'
+        );
+    });
+
 });
 
 describe('upload/text — metadata, link warnings, qdrant failures, and catches', () => {
@@ -496,12 +1006,12 @@ describe('upload/text — metadata, link warnings, qdrant failures, and catches'
             .field('documentType', 'lecture-notes').field('instructorId', 'i1')
             .field('tags', 'a, b').field('learningObjectives', 'lo1, lo2')
             .attach('file', Buffer.from('text body'), { filename: 'n.txt', contentType: 'text/plain' });
-        expect(res.status).toBe(200);
-        const stored = await db.collection('documents').findOne({ documentId: res.body.data.documentId });
+        const job = await processedJob(db, res);
+        const stored = await db.collection('documents').findOne({ documentId: job.result.documentId });
         expect(stored.metadata).toMatchObject({ tags: ['a', 'b'], learningObjectives: ['lo1', 'lo2'] });
     });
 
-    test('upload warns but succeeds when the lecture link fails, and reports qdrant failure', async () => {
+    test('upload saves the document when the lecture link fails, and fails the job when indexing does', async () => {
         resolveCourseAi.mockResolvedValueOnce({
             llm: { isReady: () => false },
             qdrant: { client: {}, processAndStoreDocument: jest.fn(async () => ({ success: false, error: 'vector boom' })) },
@@ -511,23 +1021,38 @@ describe('upload/text — metadata, link warnings, qdrant failures, and catches'
             .field('courseId', 'C1').field('lectureName', 'Nonexistent Unit')
             .field('documentType', 'lecture-notes').field('instructorId', 'i1')
             .attach('file', Buffer.from('text body'), { filename: 'n.txt', contentType: 'text/plain' });
-        expect(res.status).toBe(200);
-        expect(res.body.data.linkedToCourse).toBe(false);
-        expect(res.body.data.qdrantProcessed).toBe(false);
+        expect(res.status).toBe(202);
+        const job = await processedJob(db, res);
+        expect(job).toMatchObject({ status: 'failed', error: 'vector boom', linkedToCourse: false });
+        expect(job.stages.save).toMatchObject({ status: 'done', detail: 'Saved, but not linked to its unit' });
+        expect(job.stages.index).toMatchObject({ status: 'failed', error: 'vector boom' });
+        expect(await db.collection('documents').findOne({ documentId: job.documentId })).toBeTruthy();
     });
 
-    test('upload rethrows an LlmKeyError raised during qdrant processing and maps it', async () => {
-        const { sendLlmKeyError } = require('../../../src/routes/llmKeyMiddleware');
-        sendLlmKeyError.mockImplementationOnce((res) => { res.status(402).json({ success: false }); return true; });
+    test('upload fails the job on an LlmKeyError raised during qdrant processing', async () => {
         resolveCourseAi.mockResolvedValueOnce({
             llm: { isReady: () => false },
-            qdrant: { client: {}, processAndStoreDocument: jest.fn(async () => { throw Object.assign(new Error('k'), { name: 'LlmKeyError' }); }) },
+            qdrant: { client: {}, processAndStoreDocument: jest.fn(async () => { throw Object.assign(new Error('k'), { name: 'LlmKeyError', code: 'LLM_KEY_MISSING' }); }) },
         });
+        const db = documentsDb({ documents: [] });
+        const res = await request(app({ db, user: instructor })).post('/upload')
+            .field('courseId', 'C1').field('lectureName', 'Unit 1')
+            .field('documentType', 'lecture-notes').field('instructorId', 'i1')
+            .attach('file', Buffer.from('text body'), { filename: 'n.txt', contentType: 'text/plain' });
+        expect(res.status).toBe(202);
+        expect(await processedJob(db, res)).toMatchObject({ status: 'failed', error: 'k', errorCode: 'LLM_KEY_MISSING' });
+    });
+
+    test('upload maps a missing course key to its status before anything is stored', async () => {
+        const { sendLlmKeyError } = require('../../../src/routes/llmKeyMiddleware');
+        resolveCourseAi.mockImplementationOnce(async (_req, res) => { res.status(403).json({ success: false }); return null; });
         const res = await request(app({ db: documentsDb({ documents: [] }), user: instructor })).post('/upload')
             .field('courseId', 'C1').field('lectureName', 'Unit 1')
             .field('documentType', 'lecture-notes').field('instructorId', 'i1')
             .attach('file', Buffer.from('text body'), { filename: 'n.txt', contentType: 'text/plain' });
-        expect(res.status).toBe(402);
+        expect(res.status).toBe(403);
+        expect(gridfs.uploadBuffer).not.toHaveBeenCalled();
+        expect(sendLlmKeyError).not.toHaveBeenCalled();
     });
 
     test('upload returns 500 when GridFS storage throws', async () => {
@@ -562,6 +1087,103 @@ describe('upload/text — metadata, link warnings, qdrant failures, and catches'
     });
 });
 
+describe('processing jobs — status, listing, and retry', () => {
+    function uploadText(db, user = instructor) {
+        return request(app({ db, user })).post('/upload')
+            .field('courseId', 'C1').field('lectureName', 'Unit 1')
+            .field('documentType', 'lecture-notes').field('instructorId', 'i1')
+            .attach('file', Buffer.from('text body'), { filename: 'n.txt', contentType: 'text/plain' });
+    }
+
+    test('reports per-stage progress for one job and lists a course\'s jobs', async () => {
+        const db = documentsDb({ documents: [] });
+        const res = await uploadText(db);
+        await ingestionJobRunner.whenIdle();
+
+        const status = await request(app({ db, user: instructor })).get(`/jobs/${res.body.data.jobId}`);
+        expect(status.status).toBe(200);
+        expect(status.body.data).toMatchObject({ status: 'completed', filename: 'n.txt', source: 'upload', stage: null });
+        expect(status.body.data.stages.map(stage => [stage.id, stage.status])).toEqual([
+            ['store', 'done'], ['extract', 'done'], ['save', 'done'], ['index', 'done'],
+        ]);
+        expect(status.body.data.stages[3].detail).toBe('3 chunks stored');
+        expect(status.body.data).not.toHaveProperty('file');
+
+        const list = await request(app({ db, user: ta })).get('/jobs?courseId=C1');
+        expect(list.status).toBe(200);
+        expect(list.body.data.jobs.map(job => job.jobId)).toEqual([res.body.data.jobId]);
+    });
+
+    test('lists every unfinished job and only the latest finished ones, without their slide text', async () => {
+        const at = minutes => new Date(Date.UTC(2026, 0, 1, 0, minutes));
+        const job = (jobId, status, minutes) => ({
+            jobId, courseId: 'C1', lectureName: 'Unit 1', status, createdAt: at(minutes),
+            stages: {}, slides: [{ slideNumber: 1, text: 'Slide text' }], file: { fileId: 'grid-1', originalName: `${jobId}.pptx` },
+        });
+        const db = documentsDb({ documents: [] });
+        const seeded = [job('running', 'running', 0), job('queued', 'queued', 1)];
+        for (let index = 0; index < 25; index += 1) seeded.push(job(`done-${index}`, 'completed', 10 + index));
+        seeded.push(job('other-course', 'completed', 50));
+        seeded[seeded.length - 1].courseId = 'C2';
+        await db.collection('ingestionJobs').insertMany(seeded);
+        const find = jest.spyOn(db.collection('ingestionJobs'), 'find');
+
+        const res = await request(app({ db, user: instructor })).get('/jobs?courseId=C1');
+
+        expect(res.status).toBe(200);
+        expect(Object.keys(res.body.data)).toEqual(['jobs']);
+        const ids = res.body.data.jobs.map(listed => listed.jobId);
+        expect(ids).toHaveLength(22);
+        expect(ids.slice(0, 2)).toEqual(['done-24', 'done-23']);
+        expect(ids.slice(-3)).toEqual(['done-5', 'queued', 'running']);
+        expect(res.body.data.jobs[0]).toMatchObject({ status: 'completed', filename: 'done-24.pptx', stages: expect.any(Array) });
+        expect(res.body.data.jobs[0]).not.toHaveProperty('slides');
+        expect(res.body.data.jobs[0]).not.toHaveProperty('file');
+        find.mock.calls.forEach(([, options]) => expect(options.projection).toMatchObject({ slides: 0 }));
+    });
+
+    test('job routes check the course, and retry only failed jobs', async () => {
+        const db = documentsDb({ documents: [] });
+        const res = await uploadText(db);
+        await ingestionJobRunner.whenIdle();
+        const { jobId } = res.body.data;
+
+        expect((await request(app({ db, user: instructor })).get('/jobs')).status).toBe(400);
+        expect((await request(app({ db, user: otherInstructor })).get('/jobs?courseId=C1')).status).toBe(403);
+        expect((await request(app({ db, user: otherInstructor })).get(`/jobs/${jobId}`)).status).toBe(403);
+        expect((await request(app({ db, user: instructor })).get('/jobs/missing')).status).toBe(404);
+        expect((await request(app({ db, user: instructor })).post(`/jobs/${jobId}/retry`)).status).toBe(409);
+    });
+
+    test('retrying an indexing failure re-embeds the saved document without parsing it again', async () => {
+        const processAndStoreDocument = jest.fn()
+            .mockResolvedValueOnce({ success: false, error: 'vector boom' })
+            .mockResolvedValueOnce({ success: true, chunksStored: 4 });
+        const deleteDocumentChunks = jest.fn(async () => ({ success: true }));
+        const courseAi = { llm: { isReady: () => false }, qdrant: { client: {}, processAndStoreDocument, deleteDocumentChunks } };
+        resolveCourseAi.mockResolvedValueOnce(courseAi);
+        const registry = { forCourse: jest.fn(async () => courseAi) };
+        const db = documentsDb({ documents: [] });
+        const res = await uploadText(db);
+        const failed = await processedJob(db, res);
+        expect(failed.status).toBe('failed');
+        gridfs.openDownloadStream.mockClear();
+
+        const retry = await request(makeRouteApp(documentsRouter, { db, user: instructor, locals: { llmRegistry: registry } }))
+            .post(`/jobs/${failed.jobId}/retry`);
+        expect(retry.status).toBe(202);
+        expect(retry.body.data.status).toBe('queued');
+
+        const job = await processedJob(db, res);
+        expect(job).toMatchObject({ status: 'completed', attempts: 2, documentId: failed.documentId });
+        expect(job.result).toMatchObject({ documentId: failed.documentId, chunksStored: 4 });
+        expect(registry.forCourse).toHaveBeenCalledWith(db, 'C1');
+        expect(gridfs.openDownloadStream).not.toHaveBeenCalled();
+        expect(deleteDocumentChunks).toHaveBeenCalledWith(failed.documentId, 'C1');
+        expect(await db.collection('documents').countDocuments({})).toBe(1);
+    });
+});
+
 describe('GET handlers — db guards and catches', () => {
     test('lecture and stats return 503 without a db', async () => {
         expect((await request(app({ db: null, user: instructor })).get('/lecture?courseId=C1&lectureName=Unit%201')).status).toBe(503);
@@ -92,6 +92,79 @@ describe('flashcard instructor routes', () => {
         expect(republished.body.data).toMatchObject({ isPublished: true, publishedVersion: 2 });
     });
 
+    test('imports a CSV into a draft and reports rejected rows', async () => {
+        const db = courseDb();
+        const csv = 'front,back,source\nWhat is Km?,Half-max substrate concentration,"Lecture 2.pdf, page 3"\nNo back,,\n';
+        const response = await request(app({ db, user: instructor }))
+            .post('/instructor/import')
+            .field('courseId', 'C1')
+            .field('lectureName', 'Unit 1')
+            .attach('file', Buffer.from(csv), 'deck.csv');
+
+        expect(response.status).toBe(200);
+        expect(response.body.message).toBe('Imported 1 flashcard; 1 row was rejected');
+        expect(response.body.data).toMatchObject({
+            format: 'csv',
+            imported: 1,
+            rejected: [{ row: 3, front: 'No back', reason: 'Missing a front or back' }]
+        });
+        expect(response.body.data.deck).toMatchObject({ lectureName: 'Unit 1', hasDraft: true, isPublished: false });
+        expect(response.body.data.deck.draftCards[0].source).toMatchObject({ fileName: 'Lecture 2.pdf', pageNumber: 3 });
+
+        const appended = await request(app({ db, user: instructor }))
+            .post('/instructor/import')
+            .field('courseId', 'C1')
+            .field('lectureName', 'Unit 1')
+            .field('mode', 'append')
+            .attach('file', Buffer.from('What is Km?\tdup\nWhat is Vmax?\tTop rate\n'), 'deck.txt');
+        expect(appended.status).toBe(200);
+        expect(appended.body.data.deck.draftCards.map(card => card.front)).toEqual(['What is Km?', 'What is Vmax?']);
+        expect(appended.body.data.rejected).toEqual([{ row: 1, front: 'What is Km?', reason: 'Duplicate front' }]);
+    });
+
+    test('rejects imports with no usable cards or an unknown unit', async () => {
+        const db = courseDb();
+        const empty = await request(app({ db, user: instructor }))
+            .post('/instructor/import')
+            .field('courseId', 'C1')
+            .field('lectureName', 'Unit 1')
+            .attach('file', Buffer.from('front,back\nonly front,\n'), 'deck.csv');
+        expect(empty.status).toBe(400);
+        expect(empty.body.data.rejected).toHaveLength(1);
+
+        const unknownUnit = await request(app({ db, user: instructor }))
+            .post('/instructor/import')
+            .field('courseId', 'C1')
+            .field('lectureName', 'Unit 9')
+            .attach('file', Buffer.from('a,b\n'), 'deck.csv');
+        expect(unknownUnit.status).toBe(404);
+
+        const fromStudent = await request(app({ db, user: student }))
+            .post('/instructor/import')
+            .field('courseId', 'C1')
+            .field('lectureName', 'Unit 1')
+            .attach('file', Buffer.from('a,b\n'), 'deck.csv');
+        expect(fromStudent.status).toBe(403);
+    });
+
+    test('exports published cards for Anki and refuses unpublished decks', async () => {
+        const db = courseDb();
+        const draft = await FlashcardDeck.saveGeneratedDraft(db, {
+            courseId: 'C1', lectureName: 'Unit 1', title: 'Enzymes', cards: [{ front: 'Front', back: 'Back' }], generatedBy: 'i1'
+        });
+        const unpublished = await request(app({ db, user: instructor })).get(`/instructor/${draft.deckId}/export`);
+        expect(unpublished.status).toBe(404);
+
+        await FlashcardDeck.publishDraft(db, draft.deckId, 'i1');
+        const response = await request(app({ db, user: instructor })).get(`/instructor/${draft.deckId}/export?format=anki`);
+        expect(response.status).toBe(200);
+        expect(response.headers['content-disposition']).toBe('attachment; filename="enzymes.txt"');
+        expect(response.text).toContain('#columns:Front\tBack\tSource\nFront\tBack\t\n');
+
+        const badFormat = await request(app({ db, user: instructor })).get(`/instructor/${draft.deckId}/export?format=pdf`);
+        expect(badFormat.status).toBe(400);
+    });
+
     test('returns the generated service draft', async () => {
         const db = courseDb();
         flashcardService.generateDeck.mockResolvedValueOnce({
@@ -145,6 +218,84 @@ describe('flashcard student routes', () => {
         expect(reviewed.body.data).toMatchObject({ mastery: 'known', timesReviewed: 1 });
     });
 
+    test('accepts the four review ratings and rejects others', async () => {
+        const db = courseDb();
+        const deck = await seedPublishedDeck(db);
+        const cardId = deck.publishedCards[0].cardId;
+        const review = rating => request(app({ db, user: student }))
+            .post(`/student/${deck.deckId}/review`)
+            .send({ courseId: 'C1', cardId, rating, timezoneOffset: 300 });
+
+        for (const rating of ['again', 'hard', 'good', 'easy']) {
+            const response = await review(rating);
+            expect(response.status).toBe(200);
+            expect(response.body.data.lastRating).toBe(rating);
+        }
+        expect((await review('perfect')).status).toBe(400);
+    });
+
+    test('returns a due queue across decks and review stats', async () => {
+        const db = courseDb();
+        await db.collection('courses').updateOne(
+            { courseId: 'C1' },
+            { $set: { lectures: [
+                { name: 'Unit 1', isPublished: true },
+                { name: 'Unit 2', isPublished: true }
+            ] } }
+        );
+        const first = await seedPublishedDeck(db, 'Unit 1');
+        const second = await seedPublishedDeck(db, 'Unit 2');
+
+        const initial = await request(app({ db, user: student })).get('/student/due?courseId=C1');
+        expect(initial.status).toBe(200);
+        expect(initial.body.data).toMatchObject({ dueCount: 0, newCount: 2, total: 2 });
+        expect(initial.body.data.cards.map(card => card.deckId).sort()).toEqual([first.deckId, second.deckId].sort());
+
+        await request(app({ db, user: student }))
+            .post(`/student/${first.deckId}/review`)
+            .send({ courseId: 'C1', cardId: first.publishedCards[0].cardId, rating: 'good' });
+
+        const due = await request(app({ db, user: student })).get('/student/due?courseId=C1&timezoneOffset=0');
+        expect(due.body.data.cards.map(card => card.deckId)).toEqual([second.deckId]);
+
+        const list = await request(app({ db, user: student })).get('/student?courseId=C1');
+        const counts = Object.fromEntries(list.body.data.map(deck => [deck.deckId, deck.dueCount]));
+        expect(counts).toEqual({ [first.deckId]: 0, [second.deckId]: 1 });
+
+        const stats = await request(app({ db, user: student })).get('/student/stats?courseId=C1&timezoneOffset=0');
+        expect(stats.status).toBe(200);
+        expect(stats.body.data).toMatchObject({
+            streak: { current: 1, longest: 1, reviewedToday: true },
+            reviewsToday: 1,
+            dueToday: 1,
+            newCards: 1
+        });
+        expect(stats.body.data.forecast).toHaveLength(7);
+        expect(stats.body.data.forecast[0].count).toBe(1);
+        expect(stats.body.data.forecast[1].count).toBe(1);
+    });
+
+    test('requires a course for the due queue', async () => {
+        const response = await request(app({ db: courseDb(), user: student })).get('/student/due');
+        expect(response.status).toBe(400);
+    });
+
+    test('exports published decks in published units only', async () => {
+        const db = courseDb();
+        const visible = await seedPublishedDeck(db, 'Unit 1');
+        const hidden = await seedPublishedDeck(db, 'Unit 2');
+
+        const response = await request(app({ db, user: student }))
+            .get(`/student/${visible.deckId}/export?courseId=C1&format=csv`);
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toMatch(/^text\/csv/);
+        expect(response.text).toBe('front,back,source\nFront,Back,Lecture.pdf\n');
+
+        const blocked = await request(app({ db, user: student }))
+            .get(`/student/${hidden.deckId}/export?courseId=C1`);
+        expect(blocked.status).toBe(404);
+    });
+
     test('does not expose unpublished unit decks by id', async () => {
         const db = courseDb();
         const deck = await seedPublishedDeck(db, 'Unit 2');
@@ -276,6 +276,7 @@ describe('POST / — chat (validation + key gate only)', () => {
         expect(prompt).toContain('Instructor: m2');
         expect(options).toEqual({
             lane: 'frontend',
+            feature: 'chat',
             temperature: 0.4,
             maxTokens: 32768,
             systemPrompt: 'Base instructor prompt\n\nKeep it brief.'
@@ -57,6 +57,24 @@ describe('GET /course/:courseId', () => {
         expect(res.body.flags[0]).toMatchObject({ studentId: 's1', studentName: 'Jane Student' });
     });
 
+    test('lists the support resources shown with each flag', async () => {
+        const db = mentalDb({
+            mentalHealthFlags: [flag(), flag({ flagId: 'mhf_2' })],
+            wellness_resource_displays: [{
+                displayId: 'wellshown_1', courseId: 'C1', studentId: 's1', flagId: 'mhf_1', source: 'chat',
+                resources: [{ resourceId: 'default-988', kind: 'crisis', name: '9-8-8', phone: '9-8-8', url: null }],
+                shownAt: new Date('2026-06-20T10:00:05Z'),
+            }],
+        });
+        const res = await request(app({ db, user: instructor })).get('/course/C1');
+        const byId = Object.fromEntries(res.body.flags.map(f => [f.flagId, f]));
+        expect(byId.mhf_1.resourcesShown).toEqual([expect.objectContaining({
+            displayId: 'wellshown_1', source: 'chat', resources: [expect.objectContaining({ name: '9-8-8' })],
+        })]);
+        expect(byId.mhf_1.resourcesShown[0].studentId).toBeUndefined();
+        expect(byId.mhf_2.resourcesShown).toEqual([]);
+    });
+
     test('status query param filters the returned flags', async () => {
         const db = mentalDb({ mentalHealthFlags: [
             flag({ flagId: 'a', status: 'pending' }),
@@ -133,6 +151,81 @@ describe('PUT /:flagId/disregard — admin only', () => {
     });
 });
 
+describe('case management', () => {
+    const ta = { userId: 't1', role: 'ta', displayName: 'TA One' };
+    const caseDb = (data = {}) => memoryDb({
+        courses: [{ ...course, taPermissions: { t1: { canAccessCourses: true, canAccessFlags: true } } }],
+        users: [{ userId: 'i1', displayName: 'Dr. Instructor' }, { userId: 't1', displayName: 'TA One' }],
+        ...data,
+    });
+
+    test('TAs need the flags permission, not just course access', async () => {
+        const db = memoryDb({
+            courses: [{ ...course, taPermissions: { t1: { canAccessCourses: true, canAccessFlags: false } } }],
+            mentalHealthFlags: [flag()],
+        });
+        expect((await request(app({ db, user: ta })).get('/course/C1')).status).toBe(403);
+        expect((await request(app({ db, user: ta })).post('/mhf_1/notes').send({ text: 'hi' })).status).toBe(403);
+        expect((await request(app({ db: caseDb({ mentalHealthFlags: [flag()] }), user: ta })).get('/course/C1')).status).toBe(200);
+    });
+
+    test('instructors assign cases to course staff with flag access only', async () => {
+        const db = caseDb({ mentalHealthFlags: [flag()] });
+        const staff = await request(app({ db, user: instructor })).get('/course/C1/staff');
+        expect(staff.body.staff).toEqual([
+            { userId: 't1', name: 'TA One', role: 'ta' },
+            { userId: 'i1', name: 'Dr. Instructor', role: 'instructor' },
+        ]);
+        expect((await request(app({ db, user: ta })).put('/mhf_1/assign').send({ assigneeId: 't1' })).status).toBe(403);
+        expect((await request(app({ db, user: instructor })).put('/mhf_1/assign').send({ assigneeId: 's1' })).status).toBe(400);
+
+        const namedInstructor = { ...instructor, displayName: 'Dr. Instructor' };
+        const res = await request(app({ db, user: namedInstructor })).put('/mhf_1/assign').send({ assigneeId: 't1', reason: 'TA knows the student' });
+        expect(res.status).toBe(200);
+        const saved = await db.collection('mentalHealthFlags').findOne({ flagId: 'mhf_1' });
+        expect(saved.assignedTo).toEqual({ userId: 't1', name: 'TA One', role: 'ta' });
+        expect(saved.timeline.at(-1)).toMatchObject({ type: 'assigned', actorId: 'i1', actorName: 'Dr. Instructor', reason: 'TA knows the student' });
+    });
+
+    test('notes, follow-ups, and status reasons show up on the anonymized case view', async () => {
+        const db = caseDb({ mentalHealthFlags: [flag()] });
+        expect((await request(app({ db, user: ta })).post('/mhf_1/notes').send({ text: '' })).status).toBe(400);
+        expect((await request(app({ db, user: ta })).post('/mhf_1/notes').send({ text: 'Emailed the student' })).status).toBe(201);
+        expect((await request(app({ db, user: ta })).put('/mhf_1/follow-up').send({ followUpAt: 'soon' })).status).toBe(400);
+        await request(app({ db, user: ta })).put('/mhf_1/follow-up').send({ followUpAt: '2020-01-01T00:00:00Z' });
+        await request(app({ db, user: instructor })).put('/mhf_1/escalate').send({ reason: 'No reply' });
+
+        const res = await request(app({ db, user: ta })).get('/mhf_1');
+        expect(res.status).toBe(200);
+        expect(res.body.flag).toMatchObject({ studentName: 'Anonymous Student', overdue: true, status: 'escalated' });
+        expect(res.body.flag.studentId).toBeUndefined();
+        expect(res.body.flag.caseNotes).toEqual([expect.objectContaining({ text: 'Emailed the student', authorName: 'TA One' })]);
+        expect(res.body.flag.timeline.map(event => event.type)).toEqual(['note', 'followUp', 'status']);
+        expect(res.body.flag.timeline[2]).toMatchObject({ fromStatus: 'pending', toStatus: 'escalated', reason: 'No reply' });
+
+        const list = await request(app({ db, user: instructor })).get('/course/C1');
+        expect(list.body.stats.overdue).toBe(1);
+        expect(list.body.flags[0].overdue).toBe(true);
+    });
+
+    test('referral export: instructors only, identity for admins, transcript optional', async () => {
+        const db = caseDb({ mentalHealthFlags: [flag({ conversationContext: [{ role: 'user', content: 'I feel hopeless' }] })] });
+        expect((await request(app({ db, user: ta })).get('/course/C1/export')).status).toBe(403);
+
+        const csv = await request(app({ db, user: instructor })).get('/course/C1/export');
+        expect(csv.status).toBe(200);
+        expect(csv.headers['content-type']).toMatch(/text\/csv/);
+        expect(csv.headers['content-disposition']).toContain('wellbeing-referrals-C1.csv');
+        expect(csv.text).toContain('Anonymous Student');
+        expect(csv.text).not.toContain('Jane Student');
+        expect(csv.text.split('\n')[0]).toContain('transcript');
+
+        const json = await request(app({ db, user: admin })).get('/course/C1/export?format=json&includeTranscript=false');
+        expect(json.body.referrals[0]).toMatchObject({ studentId: 's1', studentName: 'Jane Student' });
+        expect(json.body.referrals[0]).not.toHaveProperty('transcript');
+    });
+});
+
 describe('model failure paths (500)', () => {
     const MentalHealthFlag = require('../../../src/models/MentalHealthFlag');
 
@@ -220,6 +220,7 @@ describe('POST /stop', () => {
             ],
             quizAttempts: [{ studentId: PREVIEW_ID }],
             flashcardProgress: [{ studentId: PREVIEW_ID }],
+            flashcardReviews: [{ studentId: PREVIEW_ID }],
             userAgreements: [{ userId: PREVIEW_ID }],
             users: [{ userId: PREVIEW_ID, isPreview: true, role: 'student' }],
             previewStates: [{ previewUserId: PREVIEW_ID, firstRunCompleted: true }]
@@ -233,6 +234,7 @@ describe('POST /stop', () => {
         expect(await db.collection('chat_sessions').findOne({ studentId: PREVIEW_ID })).toBeNull();
         expect(await db.collection('quizAttempts').findOne({ studentId: PREVIEW_ID })).toBeNull();
         expect(await db.collection('flashcardProgress').findOne({ studentId: PREVIEW_ID })).toBeNull();
+        expect(await db.collection('flashcardReviews').findOne({ studentId: PREVIEW_ID })).toBeNull();
         expect(await db.collection('userAgreements').findOne({ userId: PREVIEW_ID })).toBeNull();
         expect(await db.collection('users').findOne({ userId: PREVIEW_ID })).toBeNull();
         expect(await db.collection('previewStates').findOne({ previewUserId: PREVIEW_ID })).toBeNull();
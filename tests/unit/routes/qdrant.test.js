@@ -9,10 +9,17 @@ const mockService = {
 const mockClient = { scroll: jest.fn() };
 
 jest.mock('../../../src/services/qdrantService', () => jest.fn(() => mockService));
-jest.mock('../../../src/models/Course', () => ({
-    userHasCourseAccess: jest.fn(),
-    checkTAPermission: jest.fn(),
-}));
+jest.mock('../../../src/models/Course', () => {
+    const actual = jest.requireActual('../../../src/models/Course');
+    return {
+        userHasCourseAccess: jest.fn(),
+        checkTAPermission: jest.fn(),
+        getRagSettings: actual.getRagSettings,
+        normalizeRagRetrievalMode: actual.normalizeRagRetrievalMode,
+        RAG_RETRIEVAL_MODES: actual.RAG_RETRIEVAL_MODES,
+        DEFAULT_RAG_RETRIEVAL_MODE: actual.DEFAULT_RAG_RETRIEVAL_MODE,
+    };
+});
 jest.mock('../../../src/routes/llmKeyMiddleware', () => ({
     resolveCourseAi: jest.fn(),
     sendLlmKeyError: jest.fn(() => false),
@@ -188,7 +195,7 @@ describe('document processing and search with mocked AI/vector service', () => {
         const res = await request(app({ db: memoryDb({}), user: instructor })).post('/search').send({ query: 'ATP', courseId: 'C1', lectureName: 'Unit 1', limit: 4 });
         expect(res.status).toBe(200);
         expect(res.body.data).toMatchObject({ totalResults: 1, filters: { courseId: 'C1', lectureName: 'Unit 1' } });
-        expect(qdrant.searchDocuments).toHaveBeenCalledWith('ATP', { courseId: 'C1', lectureName: 'Unit 1' }, 4);
+        expect(qdrant.searchDocuments).toHaveBeenCalledWith('ATP', { courseId: 'C1', lectureName: 'Unit 1' }, 4, { retrievalMode: 'vector' });
     });
 
     test('search uses default limit, omits lecture filter, and stops on absent AI', async () => {
@@ -196,7 +203,7 @@ describe('document processing and search with mocked AI/vector service', () => {
         resolveCourseAi.mockResolvedValueOnce({ qdrant });
         let res = await request(app({ db: memoryDb({}), user: instructor })).post('/search').send({ query: 'ATP', courseId: 'C1' });
         expect(res.status).toBe(200);
-        expect(qdrant.searchDocuments).toHaveBeenCalledWith('ATP', { courseId: 'C1' }, 10);
+        expect(qdrant.searchDocuments).toHaveBeenCalledWith('ATP', { courseId: 'C1' }, 10, { retrievalMode: 'vector' });
 
         resolveCourseAi.mockImplementationOnce(async (_req, response) => {
             response.status(409).json({ success: false, message: 'AI unavailable' });
@@ -206,6 +213,23 @@ describe('document processing and search with mocked AI/vector service', () => {
         expect(res.status).toBe(409);
     });
 
+    test('search uses the course retrieval mode unless the request picks a valid one', async () => {
+        const db = memoryDb({ courses: [{ courseId: 'C1', ragSettings: { student: { retrievalMode: 'hybrid' } } }] });
+        const qdrant = { searchDocuments: jest.fn(async () => []) };
+        resolveCourseAi.mockResolvedValue({ qdrant });
+
+        let res = await request(app({ db, user: instructor })).post('/search').send({ query: 'PFK-1', courseId: 'C1' });
+        expect(res.body.data.retrievalMode).toBe('hybrid');
+        expect(qdrant.searchDocuments).toHaveBeenLastCalledWith('PFK-1', { courseId: 'C1' }, 10, { retrievalMode: 'hybrid' });
+
+        res = await request(app({ db, user: instructor })).post('/search').send({ query: 'PFK-1', courseId: 'C1', retrievalMode: 'vector' });
+        expect(qdrant.searchDocuments).toHaveBeenLastCalledWith('PFK-1', { courseId: 'C1' }, 10, { retrievalMode: 'vector' });
+
+        res = await request(app({ db, user: instructor })).post('/search').send({ query: 'PFK-1', courseId: 'C1', retrievalMode: 'bm25' });
+        expect(res.status).toBe(400);
+        resolveCourseAi.mockReset();
+    });
+
     test('search maps ordinary and delegated key errors', async () => {
         resolveCourseAi.mockRejectedValueOnce(new Error('search exploded'));
         let res = await request(app({ db: memoryDb({}), user: instructor })).post('/search').send({ query: 'ATP', courseId: 'C1' });
@@ -79,6 +79,35 @@ describe('POST / — create a question', () => {
         });
         expect(res.body.data.questionId).toMatch(/^q_/);
     });
+
+    test('validates structured answer keys and stores a readable correctAnswer', async () => {
+        const ordering = { ...payload, questionType: 'ordering', question: 'Order the phases.', correctAnswer: undefined };
+        const rejected = await request(app({ db: courseDb(), user: instructor })).post('/').send({ ...ordering, items: ['G1'] });
+        expect(rejected.status).toBe(400);
+        expect(rejected.body.message).toContain('between 2 and 12 items');
+
+        const res = await request(app({ db: courseDb(), user: instructor })).post('/').send({ ...ordering, items: [' G1 ', 'S', 'G2'] });
+        expect(res.status).toBe(200);
+        expect(res.body.data).toMatchObject({ questionType: 'ordering', correctAnswer: 'G1 → S → G2', created: true });
+    });
+
+    test('validates and returns a short-answer rubric', async () => {
+        const shortAnswer = { ...payload, questionType: 'short-answer', question: 'Why couple ATP hydrolysis?', correctAnswer: 'It releases energy.' };
+        const rejected = await request(app({ db: courseDb(), user: instructor })).post('/').send({
+            ...shortAnswer, rubric: { criteria: [{ description: 'Names ATP', points: -1 }] },
+        });
+        expect(rejected.status).toBe(400);
+        expect(rejected.body.message).toContain('criterion 1 needs points');
+
+        const res = await request(app({ db: courseDb(), user: instructor })).post('/').send({
+            ...shortAnswer, rubric: { criteria: [{ description: ' Names ATP ', points: 2 }], exampleAnswers: [{ answer: 'ATP', points: 1 }] },
+        });
+        expect(res.status).toBe(200);
+        expect(res.body.data.rubric).toEqual({
+            criteria: [{ description: 'Names ATP', points: 2 }],
+            exampleAnswers: [{ answer: 'ATP', points: 1 }],
+        });
+    });
 });
 
 describe('GET /lecture — list unit questions', () => {
@@ -166,6 +195,14 @@ describe('PUT and DELETE /:questionId', () => {
         expect(res.body.message).toMatch(/Question missing not found/);
     });
 
+    test('PUT needs the question type to check a rubric', async () => {
+        const res = await request(app({ db: courseDb(), user: instructor })).put('/q1').send({
+            courseId: 'C1', lectureName: 'Unit 1', instructorId: 'i1', rubric: { criteria: [{ description: 'x', points: 1 }] },
+        });
+        expect(res.status).toBe(400);
+        expect(res.body.message).toMatch(/questionType is required/);
+    });
+
     test('PUT blocks a student before attempting the update', async () => {
         const res = await request(app({ db: courseDb(), user: student })).put('/q1').send({
             courseId: 'C1', lectureName: 'Unit 1', instructorId: 'i1', question: 'Replacement',
@@ -203,6 +240,128 @@ describe('POST /bulk', () => {
         expect(res.body.data.insertedIds).toHaveLength(2);
         res.body.data.insertedIds.forEach(id => expect(id).toMatch(/^q_/));
     });
+
+    test('skips questions with an invalid answer key and reports them', async () => {
+        const res = await request(app({ db: courseDb(), user: instructor })).post('/bulk').send({
+            courseId: 'C1', lectureName: 'Unit 1', instructorId: 'i1',
+            questions: [
+                { questionType: 'numeric', question: 'pH of water?', numeric: { value: 7, tolerance: 0.1 } },
+                { questionType: 'numeric', question: 'Broken?', numeric: { value: 'seven' } },
+            ],
+        });
+        expect(res.status).toBe(200);
+        expect(res.body.data.insertedCount).toBe(1);
+        expect(res.body.data.rejected).toEqual([{ index: 1, error: 'numeric.value must be a number' }]);
+    });
+});
+
+describe('question bank import and export', () => {
+    const gift = [
+        '$CATEGORY: $course$/Unit 1',
+        '// learning objective: describe membranes',
+        'Cells have membranes. {T}',
+        '',
+        'Pick two {~%50%a ~%50%b ~c}',
+    ].join('\n');
+
+    function bankDb() {
+        return courseDb({
+            lectures: [{
+                name: 'Unit 1',
+                learningObjectives: ['Describe membranes'],
+                assessmentQuestions: [
+                    { questionId: 'q1', questionType: 'multiple-choice', question: 'Which is a lipid?', options: ['Cholesterol', 'Glycine'], correctAnswer: 0 },
+                    { questionId: 'q2', questionType: 'ordering', question: 'Order these.', items: ['a', 'b'] },
+                ],
+            }],
+        });
+    }
+
+    test('preview reports drafts mapped to units and the unsupported questions', async () => {
+        const res = await request(app({ db: bankDb(), user: instructor })).post('/bank/preview')
+            .field('courseId', 'C1')
+            .field('instructorId', 'i1')
+            .attach('file', Buffer.from(gift), { filename: 'bank.gift', contentType: 'text/plain' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toMatchObject({ format: 'gift', summary: { total: 2, ready: 1, invalid: 0, unsupported: 1 } });
+        expect(res.body.data.questions[0]).toMatchObject({
+            lectureName: 'Unit 1',
+            learningObjective: 'Describe membranes',
+            questionType: 'true-false',
+            correctAnswer: true,
+        });
+        expect(res.body.data.unsupported).toHaveLength(1);
+    });
+
+    test('preview rejects unreadable files, missing files, and students', async () => {
+        const broken = await request(app({ db: bankDb(), user: instructor })).post('/bank/preview')
+            .field('courseId', 'C1')
+            .field('format', 'moodle')
+            .attach('file', Buffer.from('<quiz><question>'), { filename: 'bank.xml', contentType: 'application/xml' });
+        expect(broken.status).toBe(400);
+        expect(broken.body.message).toMatch(/Invalid XML/);
+
+        const unknown = await request(app({ db: bankDb(), user: instructor })).post('/bank/preview')
+            .field('courseId', 'C1')
+            .attach('file', Buffer.from('notes'), { filename: 'notes.txt', contentType: 'text/plain' });
+        expect(unknown.status).toBe(400);
+
+        expect((await request(app({ db: bankDb(), user: instructor })).post('/bank/preview').field('courseId', 'C1')).status).toBe(400);
+        const forbidden = await request(app({ db: bankDb(), user: student })).post('/bank/preview')
+            .field('courseId', 'C1')
+            .attach('file', Buffer.from(gift), { filename: 'bank.gift', contentType: 'text/plain' });
+        expect(forbidden.status).toBe(403);
+    });
+
+    test('import saves valid questions to their units and reports the rest', async () => {
+        const res = await request(app({ db: bankDb(), user: instructor })).post('/bank/import').send({
+            courseId: 'C1',
+            instructorId: 'i1',
+            format: 'gift',
+            questions: [
+                { lectureName: 'Unit 1', questionType: 'true-false', question: 'Cells have membranes.', correctAnswer: true, learningObjective: ' Describe membranes ' },
+                { lectureName: 'Unit 9', questionType: 'true-false', question: 'Lost?', correctAnswer: true },
+                { lectureName: 'Unit 1', questionType: 'multiple-choice', question: 'One choice?', options: ['only'], correctAnswer: 0 },
+            ],
+        });
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.createdCount).toBe(1);
+        expect(res.body.data.created[0]).toMatchObject({ index: 0, lectureName: 'Unit 1' });
+        expect(res.body.data.rejected).toEqual([
+            { index: 1, error: 'Choose a unit in this course' },
+            { index: 2, error: 'Multiple-choice questions need at least two non-empty choices' },
+        ]);
+    });
+
+    test('import requires a non-empty question list', async () => {
+        const res = await request(app({ db: bankDb(), user: instructor })).post('/bank/import').send({ courseId: 'C1', questions: [] });
+        expect(res.status).toBe(400);
+    });
+
+    test('export downloads the bank and reports skipped questions in headers', async () => {
+        const res = await request(app({ db: bankDb(), user: instructor }))
+            .get('/bank/export').query({ courseId: 'C1', format: 'gift' });
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-disposition']).toBe('attachment; filename="c1-question-bank.gift.txt"');
+        expect(res.headers['x-question-bank-exported']).toBe('1');
+        expect(res.headers['x-question-bank-skipped']).toBe('1');
+        expect(JSON.parse(decodeURIComponent(res.headers['x-question-bank-report'])).skipped[0])
+            .toMatchObject({ questionId: 'q2', reason: 'GIFT has no ordering questions' });
+        expect(res.text).toContain('$CATEGORY: $course$/Unit 1');
+        expect(res.text).toContain('=Cholesterol');
+    });
+
+    test('export validates the format and unit', async () => {
+        const badFormat = await request(app({ db: bankDb(), user: instructor })).get('/bank/export').query({ courseId: 'C1', format: 'csv' });
+        expect(badFormat.status).toBe(400);
+        const badUnit = await request(app({ db: bankDb(), user: instructor })).get('/bank/export').query({ courseId: 'C1', format: 'qti', lectureName: 'Unit 9' });
+        expect(badUnit.status).toBe(404);
+        const student403 = await request(app({ db: bankDb(), user: student })).get('/bank/export').query({ courseId: 'C1', format: 'qti' });
+        expect(student403.status).toBe(403);
+    });
 });
 
 describe('POST /auto-link-learning-objectives — mocked LLM', () => {
@@ -279,6 +438,39 @@ describe('POST /check-answer — mocked LLM', () => {
         expect(res.body.data).toEqual({ correct: true, feedback: 'Mock feedback' });
         expect(evaluateStudentAnswer).toHaveBeenCalledWith('Q', 'A', 'A', 'short-answer', 'Sam');
     });
+
+    test('grades short answers per criterion when a rubric is sent', async () => {
+        const body = {
+            courseId: 'C1', question: 'Q', studentAnswer: 'A', expectedAnswer: 'A', questionType: 'short-answer',
+            rubric: { criteria: [{ description: 'Names ATP', points: 2 }] },
+        };
+        expect((await request(app({})).post('/check-answer').send({ ...body, rubric: { criteria: [{ points: 2 }] } })).status).toBe(400);
+
+        const evaluateWithRubric = jest.fn(async () => ({ correct: false, score: 0.5, pointsEarned: 1, pointsPossible: 2 }));
+        resolveCourseAi.mockResolvedValueOnce({ llm: { evaluateWithRubric } });
+        const res = await request(app({})).post('/check-answer').send(body);
+        expect(res.status).toBe(200);
+        expect(res.body.data).toMatchObject({ score: 0.5, pointsPossible: 2 });
+        expect(evaluateWithRubric).toHaveBeenCalledWith(
+            'Q', 'A', 'A', { criteria: [{ description: 'Names ATP', points: 2 }], exampleAnswers: [] }, 'Student'
+        );
+    });
+
+    test('grades structured types against their key without the LLM', async () => {
+        resolveCourseAi.mockClear();
+        const body = {
+            questionType: 'fill-in-the-blank',
+            question: 'Glycolysis makes ___.',
+            blanks: [{ answers: ['pyruvate'] }],
+        };
+        expect((await request(app({})).post('/check-answer').send(body)).status).toBe(400);
+        expect((await request(app({})).post('/check-answer').send({ ...body, blanks: [], studentAnswer: ['x'] })).status).toBe(400);
+
+        const res = await request(app({})).post('/check-answer').send({ ...body, studentAnswer: ['Pyruvate'] });
+        expect(res.status).toBe(200);
+        expect(res.body.data).toMatchObject({ correct: true, score: 1, correctAnswer: '1) pyruvate' });
+        expect(resolveCourseAi).not.toHaveBeenCalled();
+    });
 });
 
 describe('POST /generate-ai — mocked LLM', () => {
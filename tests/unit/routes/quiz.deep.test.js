@@ -336,12 +336,28 @@ describe('POST /chat — mocked quiz-help LLM', () => {
         expect(res.body.message).toContain('Wellness Centre');
     });
 
+    test('safety replies carry the course support resources and record what was shown', async () => {
+        const sendMessage = jest.fn();
+        resolveCourseAi.mockResolvedValueOnce({ llm: { sendMessage }, qdrant: {} });
+        const db = memoryDb({ courses: [{
+            courseId: 'C1',
+            wellnessResources: { resources: [{ resourceId: 'campus', kind: 'crisis', name: 'Campus Line', phone: '604-555-0100' }], includePlatform: false },
+        }] });
+        const res = await request(app({ db, user: student })).post('/chat').send({ ...chatBody, message: 'I want to die' });
+        expect(res.body.message).toContain('Campus Line (604-555-0100)');
+        expect(res.body.wellnessResources).toMatchObject({ resources: [expect.objectContaining({ name: 'Campus Line' })] });
+        expect(sendMessage).not.toHaveBeenCalled();
+        const displays = await db.collection('wellness_resource_displays').find({}).toArray();
+        expect(displays).toEqual([expect.objectContaining({ courseId: 'C1', studentId: 's1', source: 'quiz', flagId: null })]);
+    });
+
     test('looks up the stored answer, retrieves one-unit context, and calls only the mock', async () => {
         const sendMessage = jest.fn(async () => ({ content: 'Mock quiz help' }));
         const searchDocuments = jest.fn(async () => [{ lectureName: 'Unit 1', fileName: 'notes', chunkText: 'ATP stores energy' }]);
         resolveCourseAi.mockResolvedValueOnce({ llm: { sendMessage }, qdrant: { searchDocuments } });
         const db = memoryDb({ courses: [{
             courseId: 'C1', prompts: { base: 'Custom base', quizHelp: 'Custom help' },
+            ragSettings: { student: { retrievalMode: 'hybrid' } },
             lectures: [{ name: 'Unit 1', assessmentQuestions: [{ question: 'What is ATP?', correctAnswer: 'adenosine triphosphate' }] }],
         }] });
         const res = await request(app({ db })).post('/chat').send({
@@ -350,7 +366,7 @@ describe('POST /chat — mocked quiz-help LLM', () => {
         });
         expect(res.status).toBe(200);
         expect(res.body).toEqual({ success: true, message: 'Mock quiz help', source: 'quiz-help' });
-        expect(searchDocuments).toHaveBeenCalledWith('Explain why', { courseId: 'C1', lectureNames: ['Unit 1'] }, 6);
+        expect(searchDocuments).toHaveBeenCalledWith('Explain why', { courseId: 'C1', lectureNames: ['Unit 1'] }, 6, { retrievalMode: 'hybrid' });
         expect(sendMessage.mock.calls[0][0]).toContain('adenosine triphosphate');
         expect(sendMessage.mock.calls[0][1].systemPrompt).toContain('Custom help');
     });
@@ -425,6 +441,79 @@ describe('remaining answer, attempt, history, and status branches', () => {
         expect((await request(app({ db: null, user: student })).get('/history?courseId=C1')).status).toBe(503);
     });
 
+    test('grades structured answers against the key and stores the partial score', async () => {
+        const db = memoryDb({ courses: [{
+            courseId: 'C1', quizSettings: { enabled: true, testableUnits: 'all' },
+            lectures: [{ name: 'Unit 1', isPublished: true, assessmentQuestions: [{
+                questionId: 'order', questionType: 'ordering', question: 'Order the phases', items: ['G1', 'S', 'G2', 'M'],
+            }] }],
+        }] });
+
+        const listed = await request(app({ db, user: student })).get('/questions?courseId=C1');
+        expect(listed.body.questions[0]).not.toHaveProperty('correctAnswer');
+        expect([...listed.body.questions[0].items].sort()).toEqual(['G1', 'G2', 'M', 'S']);
+        expect(listed.body.questions[0].items).not.toEqual(['G1', 'S', 'G2', 'M']);
+
+        const answer = { courseId: 'C1', questionId: 'order', lectureName: 'Unit 1', studentAnswer: ['S', 'G1', 'G2', 'M'] };
+        const checked = await request(app({ db })).post('/check-answer').send(answer);
+        expect(checked.body.data).toMatchObject({ correct: false, score: 0.5, correctAnswer: 'G1 → S → G2 → M' });
+
+        const saved = await request(app({ db, user: student })).post('/attempt').send({ ...answer, questionType: 'ordering', correct: false });
+        expect(saved.status).toBe(200);
+        const [attempt] = await QuizAttempt.getAttemptsByStudent(db, 's1', 'C1');
+        expect(attempt).toMatchObject({ studentAnswer: 'S; G1; G2; M', score: 0.5, correct: false });
+    });
+
+    test('grades rubric short answers once and records the grading the student was shown', async () => {
+        const rubric = { criteria: [{ description: 'Names ATP', points: 2 }, { description: 'Explains coupling', points: 2 }], exampleAnswers: [] };
+        const db = memoryDb({ courses: [{
+            courseId: 'C1', quizSettings: { enabled: true, testableUnits: 'all' },
+            lectures: [{ name: 'Unit 1', isPublished: true, assessmentQuestions: [{
+                questionId: 'rubric', questionType: 'short-answer', question: 'Explain', correctAnswer: 'Because', rubric,
+            }] }],
+        }] });
+        const graded = {
+            correct: false,
+            score: 0.5,
+            feedback: 'Half there.',
+            criteria: [
+                { description: 'Names ATP', points: 2, earned: 2, feedback: 'Named ATP.' },
+                { description: 'Explains coupling', points: 2, earned: 0, feedback: '' }
+            ]
+        };
+        const evaluateWithRubric = jest.fn(async () => graded);
+        const defaultCourseAi = resolveCourseAi.getMockImplementation();
+        resolveCourseAi.mockResolvedValue({ llm: { evaluateWithRubric } });
+
+        try {
+            const answer = { courseId: 'C1', questionId: 'rubric', lectureName: 'Unit 1', studentAnswer: 'ATP' };
+            const checked = await request(app({ db, user: student })).post('/check-answer').send({ ...answer, studentName: 'Ada' });
+            expect(checked.body.data).toMatchObject({ correct: false, score: 0.5 });
+            expect(evaluateWithRubric).toHaveBeenCalledWith('Explain', 'ATP', 'Because', rubric, 'Ada');
+
+            // Points claimed by the client are ignored, and the answer is not graded again
+            const saved = await request(app({ db, user: student })).post('/attempt').send({
+                ...answer, questionType: 'short-answer', correct: true,
+                rubricScores: [{ earned: 2 }, { earned: 2 }],
+            });
+            expect(saved.status).toBe(200);
+            expect(evaluateWithRubric).toHaveBeenCalledTimes(1);
+            const [attempt] = await QuizAttempt.getAttemptsByStudent(db, 's1', 'C1');
+            expect(attempt).toMatchObject({ correct: false, score: 0.5, feedback: 'Half there.' });
+            expect(attempt.rubricScores.map(criterion => criterion.earned)).toEqual([2, 0]);
+            expect(await db.collection('quiz_gradings').countDocuments({})).toBe(0);
+
+            // An answer that was never checked (or a different one) is graded when recorded
+            await request(app({ db, user: student })).post('/check-answer').send({ ...answer, studentAnswer: 'ADP' });
+            await request(app({ db, user: student })).post('/attempt').send({
+                ...answer, questionType: 'short-answer', correct: true,
+            });
+            expect(evaluateWithRubric).toHaveBeenCalledTimes(3);
+        } finally {
+            resolveCourseAi.mockImplementation(defaultCourseAi);
+        }
+    });
+
     test('records short answers without trusting an objective-answer comparison', async () => {
         resolveCourseAi.mockResolvedValueOnce({ llm: {} });
         const res = await request(app({ db: shortAnswerDb(), user: student })).post('/attempt').send({
@@ -0,0 +1,83 @@
+const { memoryDb } = require('../helpers/memory-db');
+const { makeRouteApp, request } = require('../helpers/route-app');
+const AnswerCache = require('../../../src/models/AnswerCache');
+const settingsRouter = require('../../../src/routes/settings');
+
+const instructor = { userId: 'i1', role: 'instructor' };
+const otherInstructor = { userId: 'i2', role: 'instructor' };
+const prompts = { base: 'Base.', protege: 'Protege.', tutor: 'Tutor.', explain: 'Explain.', directive: 'Directive.' };
+
+function app(db, user = instructor) {
+    return makeRouteApp(settingsRouter, { db, user });
+}
+
+async function seededDb() {
+    const db = memoryDb({
+        courses: [{ courseId: 'C1', instructorId: 'i1', prompts, isAdditiveRetrieval: false }]
+    });
+    const saved = [];
+    for (const unitName of ['Unit 1', 'Unit 2']) {
+        const { entry } = await AnswerCache.saveAnswer(db, {
+            courseId: 'C1', unitName, mode: 'tutor', profileKey: 'p', question: `About ${unitName}?`, embedding: [1, 0], answer: 'A.'
+        });
+        saved.push(entry);
+    }
+    return { db, saved };
+}
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+afterAll(() => jest.restoreAllMocks());
+
+describe('answer cache settings', () => {
+    test('the threshold is validated and saved with the other retrieval settings', async () => {
+        const { db } = await seededDb();
+
+        const invalid = await request(app(db)).put('/ai-settings').send({
+            courseId: 'C1', studentTopK: 3, studentAnswerCache: { enabled: true, similarityThreshold: 0.5 }
+        });
+        expect(invalid.status).toBe(400);
+
+        const saved = await request(app(db)).put('/ai-settings').send({
+            courseId: 'C1', studentTopK: 3, studentAnswerCache: { enabled: true, similarityThreshold: 0.9 }
+        });
+        expect(saved.status).toBe(200);
+        const loaded = await request(app(db)).get('/ai-settings?courseId=C1');
+        expect(loaded.body.settings.ragSettings.student.answerCache).toEqual({ enabled: true, similarityThreshold: 0.9 });
+    });
+
+    test('instructors list, pin, remove, and purge cached answers', async () => {
+        const { db, saved } = await seededDb();
+
+        expect((await request(app(db, otherInstructor)).get('/answer-cache?courseId=C1')).status).toBe(403);
+        const listed = await request(app(db)).get('/answer-cache?courseId=C1&unitName=Unit%201');
+        expect(listed.status).toBe(200);
+        expect(listed.body.entries.map(entry => entry.entryId)).toEqual([saved[0].entryId]);
+        expect(listed.body.stats).toMatchObject({ entries: 2, pinnedEntries: 0 });
+
+        const pinUrl = `/answer-cache/${saved[0].entryId}/pin`;
+        expect((await request(app(db)).put(pinUrl).send({ courseId: 'C1', pinned: 'yes' })).status).toBe(400);
+        expect((await request(app(db)).put('/answer-cache/missing/pin').send({ courseId: 'C1', pinned: true })).status).toBe(404);
+        const pinned = await request(app(db)).put(pinUrl).send({ courseId: 'C1', pinned: true });
+        expect(pinned.body.entry.pinned).toBe(true);
+
+        const purged = await request(app(db)).post('/answer-cache/purge').send({ courseId: 'C1' });
+        expect(purged.body.removed).toBe(1);
+
+        expect((await request(app(db)).delete('/answer-cache/missing?courseId=C1')).status).toBe(404);
+        expect((await request(app(db)).delete(`/answer-cache/${saved[0].entryId}?courseId=C1`)).status).toBe(200);
+        expect(await AnswerCache.listEntries(db, 'C1')).toEqual([]);
+    });
+
+    test('saving prompts only invalidates the cache when they change', async () => {
+        const { db } = await seededDb();
+
+        expect((await request(app(db)).post('/prompts').send({ courseId: 'C1', ...prompts, additiveRetrieval: false })).status).toBe(200);
+        expect(await AnswerCache.listEntries(db, 'C1')).toHaveLength(2);
+
+        await request(app(db)).post('/prompts').send({ courseId: 'C1', ...prompts, tutor: 'Stricter tutor.', additiveRetrieval: false });
+        expect(await AnswerCache.listEntries(db, 'C1')).toEqual([]);
+    });
+});
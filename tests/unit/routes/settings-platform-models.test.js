@@ -321,6 +321,35 @@ describe('POST /llm/embedding/impact — preview before confirming', () => {
         expect(res.body.impact.surfaces).toEqual([{ type: 'course', id: 'C1', name: 'C1' }]);
     });
 
+    test('compares saved golden-set results for the current and target models', async () => {
+        const currentKey = buildEmbeddingProfile({ provider: OPENAI, embeddingModel: 'text-embedding-3-small' }).key;
+        const targetKey = buildEmbeddingProfile({ provider: OPENAI, embeddingModel: 'text-embedding-3-large' }).key;
+        const db = memoryDb({
+            settings: [],
+            courses: [
+                { courseId: 'C1', activeLlmProvider: OPENAI, llmCredentials: { [OPENAI]: buildKeySubdocument('sk-a', 'a', OPENAI) } },
+                { courseId: 'C2', activeLlmProvider: OPENAI, llmCredentials: { [OPENAI]: buildKeySubdocument('sk-b', 'a', OPENAI) } },
+            ],
+            documents: [],
+            retrieval_eval_runs: [
+                { runId: 'r-old', courseId: 'C1', profileKey: currentKey, metrics: { recallAtK: 0.5, mrr: 0.4 }, createdAt: new Date('2026-01-01') },
+                { runId: 'r-new', courseId: 'C1', profileKey: targetKey, metrics: { recallAtK: 0.75, mrr: 0.6 }, createdAt: new Date('2026-01-02') },
+            ],
+        });
+
+        const res = await request(app({ db }))
+            .post('/llm/embedding/impact').send({ provider: OPENAI, embeddingModel: 'text-embedding-3-large' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.quality).toMatchObject({ beforeProfileKey: currentKey, afterProfileKey: targetKey });
+        // C2 has no saved runs, so it is left out of the comparison.
+        expect(res.body.quality.courses).toHaveLength(1);
+        const [course] = res.body.quality.courses;
+        expect(course).toMatchObject({ courseId: 'C1', before: { runId: 'r-old' }, after: { runId: 'r-new' } });
+        expect(course.comparison.recallAtK).toEqual({ before: 0.5, after: 0.75, delta: 0.25 });
+        expect(course.comparison.faithfulness).toEqual({ before: null, after: null, delta: null });
+    });
+
     test('nothing is written by a dry run', async () => {
         const db = memoryDb({ settings: [], courses: [], documents: [] });
         await request(app({ db })).post('/llm/embedding/impact').send({ provider: OPENAI, embeddingModel: 'text-embedding-3-large' });
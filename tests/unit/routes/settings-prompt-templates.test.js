@@ -0,0 +1,70 @@
+const { memoryDb } = require('../helpers/memory-db');
+const { makeRouteApp, request } = require('../helpers/route-app');
+const settingsRouter = require('../../../src/routes/settings');
+
+const instructor = { userId: 'i1', role: 'instructor' };
+const otherInstructor = { userId: 'i2', role: 'instructor' };
+
+function app(db, user = instructor) {
+    return makeRouteApp(settingsRouter, { db, user });
+}
+
+const promptBody = {
+    courseId: 'C1', base: 'You help with {{courseName}}.', protege: 'protege', tutor: 'tutor',
+    explain: 'explain', directive: 'directive', quizHelp: 'quiz', chatSummary: 'summary',
+    flashcards: '{{cardCount}} cards for {{courseCode}}'
+};
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+afterAll(() => jest.restoreAllMocks());
+
+describe('prompt template settings', () => {
+    test('saving rejects unknown variables and keeps valid templates', async () => {
+        const db = memoryDb({ courses: [{ courseId: 'C1', instructorId: 'i1' }] });
+
+        const rejected = await request(app(db)).post('/prompts').send({ ...promptBody, tutor: 'Hi {{studentName}}' });
+        expect(rejected.status).toBe(400);
+        expect(rejected.body.templateErrors).toEqual({ tutor: ['Unknown variable {{studentName}}'] });
+        expect(rejected.body.message).toBe('Tutor mode prompt: Unknown variable {{studentName}}');
+        expect((await db.collection('courses').findOne({ courseId: 'C1' })).prompts).toBeUndefined();
+
+        expect((await request(app(db)).post('/prompts').send(promptBody)).status).toBe(200);
+        expect((await db.collection('courses').findOne({ courseId: 'C1' })).prompts.base).toBe('You help with {{courseName}}.');
+    });
+
+    test('preview renders an unsaved template with the course values', async () => {
+        const db = memoryDb({
+            courses: [{
+                courseId: 'C1',
+                instructorId: 'i1',
+                courseName: 'BIOC 202',
+                lectures: [
+                    { name: 'Unit 1', learningObjectives: ['Describe glycolysis'] },
+                    { name: 'Unit 2', displayName: 'Enzymes', learningObjectives: ['Explain Km'] }
+                ]
+            }]
+        });
+
+        const body = { courseId: 'C1', key: 'base', template: '{{courseCode}}: {{unitDisplayName}}\n{{learningObjectives}}' };
+        expect((await request(app(db, otherInstructor)).post('/prompts/preview').send(body)).status).toBe(403);
+
+        let res = await request(app(db)).post('/prompts/preview').send(body);
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ preview: 'BIOC 202: Unit 1\n1. Describe glycolysis', unitName: 'Unit 1' });
+
+        res = await request(app(db)).post('/prompts/preview').send({ ...body, unitName: 'Unit 2' });
+        expect(res.body.preview).toBe('BIOC 202: Enzymes\n1. Explain Km');
+
+        res = await request(app(db)).post('/prompts/preview').send({ courseId: 'C1', key: 'flashcards', template: '{{cardCount}} cards' });
+        expect(res.body.preview).toBe('{{cardCount}} cards');
+        expect(res.body.variables.find(variable => variable.name === 'cardCount')).toMatchObject({ value: null });
+
+        res = await request(app(db)).post('/prompts/preview').send({ ...body, template: '{{courseCode' });
+        expect(res.status).toBe(400);
+        expect(res.body.templateErrors.base).toHaveLength(1);
+        expect((await request(app(db)).post('/prompts/preview').send({ ...body, key: 'other' })).status).toBe(400);
+    });
+});
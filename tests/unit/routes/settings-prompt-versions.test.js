@@ -0,0 +1,133 @@
+const { memoryDb } = require('../helpers/memory-db');
+const { makeRouteApp, request } = require('../helpers/route-app');
+const settingsRouter = require('../../../src/routes/settings');
+const prompts = require('../../../src/services/prompts');
+const MessageFeedback = require('../../../src/models/MessageFeedback');
+
+const instructor = { userId: 'i1', role: 'instructor', displayName: 'Instructor One' };
+const otherInstructor = { userId: 'i2', role: 'instructor' };
+const admin = { userId: 'a1', role: 'instructor', permissions: { systemAdmin: true } };
+
+function app(db, user = instructor) {
+    return makeRouteApp(settingsRouter, { db, user });
+}
+
+const promptBody = {
+    courseId: 'C1', base: 'base', protege: 'protege', tutor: 'tutor',
+    explain: 'explain', directive: 'directive', quizHelp: 'quiz', chatSummary: 'summary', flashcards: 'cards'
+};
+
+function course() {
+    return { courseId: 'C1', instructorId: 'i1' };
+}
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+afterAll(() => jest.restoreAllMocks());
+
+describe('prompt version history', () => {
+    test('each save is a version with author and diff, and any version can be restored', async () => {
+        const db = memoryDb({ courses: [course()] });
+
+        let res = await request(app(db)).post('/prompts').send(promptBody);
+        expect(res.status).toBe(200);
+        expect(res.body.version).toBe(2);
+        res = await request(app(db)).post('/prompts').send({ ...promptBody, tutor: 'tutor\nshorter' });
+        expect(res.body.version).toBe(3);
+        res = await request(app(db)).post('/prompts').send({ ...promptBody, tutor: 'tutor\nshorter' });
+        expect(res.body.version).toBe(3);
+
+        res = await request(app(db)).get('/prompts/versions?courseId=C1');
+        expect(res.status).toBe(200);
+        expect(res.body.versions.map(version => version.version)).toEqual([3, 2, 1]);
+        expect(res.body.versions[0]).toMatchObject({
+            source: 'save',
+            createdById: 'i1',
+            createdByName: 'Instructor One',
+            changes: [{ key: 'tutor', diff: [{ op: '+', line: 2, text: 'shorter' }] }]
+        });
+        // Version 1 is the defaults the first save replaced.
+        res = await request(app(db)).get('/prompts/versions/1?courseId=C1');
+        expect(res.body.version).toMatchObject({ source: 'initial', prompts: { base: prompts.DEFAULT_PROMPTS.base } });
+
+        res = await request(app(db)).post('/prompts/versions/2/rollback').send({ courseId: 'C1' });
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ version: 4, prompts: { tutor: 'tutor' } });
+        expect((await db.collection('courses').findOne({ courseId: 'C1' })).prompts.tutor).toBe('tutor');
+        res = await request(app(db)).get('/prompts/versions/4?courseId=C1');
+        expect(res.body.version).toMatchObject({ source: 'rollback', restoredFrom: 2 });
+
+        expect((await request(app(db)).post('/prompts/versions/9/rollback').send({ courseId: 'C1' })).status).toBe(404);
+        expect((await request(app(db, otherInstructor)).get('/prompts/versions?courseId=C1')).status).toBe(403);
+    });
+
+    test('resets are recorded as versions', async () => {
+        const db = memoryDb({ courses: [course()] });
+        await request(app(db)).post('/prompts').send(promptBody);
+        await request(app(db)).post('/prompts/reset').send({ courseId: 'C1' });
+
+        const res = await request(app(db)).get('/prompts/versions?courseId=C1');
+        expect(res.body.versions[0]).toMatchObject({ version: 3, source: 'reset' });
+    });
+
+    test('question prompt history is limited to system admins', async () => {
+        const db = memoryDb({ courses: [course()] });
+        const body = { courseId: 'C1', systemPrompt: 's', trueFalse: 't', multipleChoice: 'm', shortAnswer: 'a' };
+        expect((await request(app(db, admin)).post('/question-prompts').send(body)).status).toBe(200);
+        expect((await request(app(db, admin)).post('/question-prompts').send({ ...body, shortAnswer: 'b' })).status).toBe(200);
+
+        expect((await request(app(db)).get('/prompts/versions?courseId=C1&kind=questionPrompts')).status).toBe(403);
+        let res = await request(app(db, admin)).get('/prompts/versions?courseId=C1&kind=questionPrompts');
+        expect(res.body.versions.map(version => version.version)).toEqual([3, 2, 1]);
+
+        res = await request(app(db, admin)).post('/prompts/versions/2/rollback').send({ courseId: 'C1', kind: 'questionPrompts' });
+        expect(res.status).toBe(200);
+        expect((await db.collection('courses').findOne({ courseId: 'C1' })).questionPrompts.shortAnswer).toBe('a');
+        expect((await request(app(db, admin)).get('/prompts/versions?courseId=C1&kind=other')).status).toBe(400);
+    });
+});
+
+describe('prompt experiments', () => {
+    test('starting uses the current prompt as variant A and validates variant B', async () => {
+        const db = memoryDb({ courses: [{ ...course(), prompts: { tutor: 'tutor A' } }] });
+        const body = { courseId: 'C1', name: 'Shorter hints', promptKey: 'tutor', variantB: 'tutor B for {{courseName}}', splitPercent: 40 };
+
+        expect((await request(app(db, otherInstructor)).post('/prompt-experiments').send(body)).status).toBe(403);
+        const invalid = await request(app(db)).post('/prompt-experiments').send({ ...body, variantB: '{{studentName}}' });
+        expect(invalid.status).toBe(400);
+        expect(invalid.body.templateErrors).toEqual({ tutor: ['Unknown variable {{studentName}}'] });
+
+        const res = await request(app(db)).post('/prompt-experiments').send(body);
+        expect(res.status).toBe(201);
+        expect(res.body.experiment).toMatchObject({
+            splitPercent: 40,
+            variants: { A: { prompt: 'tutor A' }, B: { prompt: 'tutor B for {{courseName}}' } },
+            results: { feedback: { A: { total: 0 } }, survey: { B: { submitted: 0 } } }
+        });
+        expect((await request(app(db)).post('/prompt-experiments').send(body)).status).toBe(400);
+    });
+
+    test('lists results per variant and stops a running experiment', async () => {
+        const db = memoryDb({ courses: [course()] });
+        const started = await request(app(db)).post('/prompt-experiments').send({
+            courseId: 'C1', name: 'Warmer base', promptKey: 'base', variantB: 'Be warm.'
+        });
+        const { experimentId } = started.body.experiment;
+        await db.collection(MessageFeedback.COLLECTION_NAME).insertOne({
+            courseId: 'C1', studentId: 's1', rating: 'up', isActive: true,
+            promptVariant: { experimentId, variant: 'B' }
+        });
+
+        let res = await request(app(db)).get('/prompt-experiments?courseId=C1');
+        expect(res.status).toBe(200);
+        expect(res.body.promptKeys.map(item => item.key)).toEqual(['base', 'protege', 'tutor', 'explain', 'directive']);
+        expect(res.body.experiments[0].results.feedback.B).toEqual({ total: 1, up: 1, down: 0, cleared: 0 });
+        expect(res.body.experiments[0].variants.A.prompt).toBe(prompts.DEFAULT_PROMPTS.base);
+
+        res = await request(app(db)).post(`/prompt-experiments/${experimentId}/stop`).send({ courseId: 'C1' });
+        expect(res.body.experiment.status).toBe('stopped');
+        expect((await request(app(db)).post(`/prompt-experiments/${experimentId}/stop`).send({ courseId: 'C1' })).status).toBe(404);
+    });
+});
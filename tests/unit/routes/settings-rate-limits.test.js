@@ -0,0 +1,55 @@
+const { memoryDb } = require('../helpers/memory-db');
+const { makeRouteApp, request } = require('../helpers/route-app');
+const rateLimits = require('../../../src/services/rateLimits');
+const settingsRouter = require('../../../src/routes/settings');
+
+const instructor = { userId: 'i1', role: 'instructor' };
+const otherInstructor = { userId: 'i2', role: 'instructor' };
+const admin = { userId: 'a1', role: 'instructor', permissions: { systemAdmin: true } };
+
+function app(db, user = instructor) {
+    return makeRouteApp(settingsRouter, { db, user });
+}
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+beforeEach(() => rateLimits.invalidateCache());
+afterAll(() => jest.restoreAllMocks());
+
+describe('rate limit settings', () => {
+    test('only system admins read and change the platform limits', async () => {
+        const db = memoryDb();
+
+        expect((await request(app(db)).get('/rate-limits/platform')).status).toBe(403);
+        const loaded = await request(app(db, admin)).get('/rate-limits/platform');
+        expect(loaded.body.limits).toEqual(rateLimits.DEFAULT_RATE_LIMITS);
+        expect(loaded.body.defaults).toMatchObject({ roles: ['student', 'ta', 'instructor'], burstWindowSeconds: 10 });
+
+        expect((await request(app(db, admin)).put('/rate-limits/platform').send({ limits: { student: { burstLimit: 500 } } })).status).toBe(400);
+        const saved = await request(app(db, admin)).put('/rate-limits/platform').send({ limits: { student: { burstLimit: 3 } } });
+        expect(saved.status).toBe(200);
+        expect(saved.body.limits.student).toEqual({ requestsPerMinute: null, burstLimit: 3, tokensPerDay: null });
+    });
+
+    test('instructors override the student limits for their own course', async () => {
+        const db = memoryDb({ courses: [{ courseId: 'C1', instructorId: 'i1' }] });
+
+        expect((await request(app(db, otherInstructor)).get('/rate-limits?courseId=C1')).status).toBe(403);
+        expect((await request(app(db)).put('/rate-limits').send({ courseId: 'C1', rateLimits: { student: { requestsPerMinute: 0 } } })).status).toBe(400);
+
+        const saved = await request(app(db)).put('/rate-limits').send({
+            courseId: 'C1',
+            rateLimits: { student: { requestsPerMinute: 5, burstLimit: 2, tokensPerDay: '' } }
+        });
+        expect(saved.status).toBe(200);
+
+        const loaded = await request(app(db)).get('/rate-limits?courseId=C1');
+        expect(loaded.body.rateLimits).toEqual({ student: { requestsPerMinute: 5, burstLimit: 2, tokensPerDay: null } });
+        expect(loaded.body.platform.student).toEqual(rateLimits.DEFAULT_RATE_LIMITS.student);
+
+        const cleared = await request(app(db)).put('/rate-limits').send({ courseId: 'C1', rateLimits: {} });
+        expect(cleared.body.rateLimits).toEqual({});
+    });
+});
@@ -0,0 +1,124 @@
+const { memoryDb } = require('../helpers/memory-db');
+const { makeRouteApp, request } = require('../helpers/route-app');
+const { LLMStub } = require('../../../src/services/llmStub');
+const settingsRouter = require('../../../src/routes/settings');
+
+const instructor = { userId: 'i1', role: 'instructor' };
+const otherInstructor = { userId: 'i2', role: 'instructor' };
+
+function fakeRegistry(searchDocuments) {
+    const llm = new LLMStub();
+    llm.addRule({ matchSystemPrompt: 'grade chatbot answers', content: '{"faithfulness": 0.75, "reason": "mostly"}' });
+    llm.setDefaultContent('Answer from the notes.');
+    return {
+        llm,
+        forCourse: jest.fn(async () => ({
+            llm,
+            qdrant: { searchDocuments: jest.fn(searchDocuments) },
+            provider: 'openai',
+            embeddingProfile: { key: 'openai:text-embedding-3-small:v1', collection: 'biocbot_documents' }
+        }))
+    };
+}
+
+function app(db, { user = instructor, llmRegistry } = {}) {
+    return makeRouteApp(settingsRouter, { db, user, locals: llmRegistry ? { llmRegistry } : {} });
+}
+
+function seededDb() {
+    return memoryDb({
+        courses: [{ courseId: 'C1', instructorId: 'i1', ragSettings: { student: { topK: 2, retrievalMode: 'hybrid' } } }]
+    });
+}
+
+beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+afterAll(() => jest.restoreAllMocks());
+
+describe('golden set items', () => {
+    test('course owners manage items; other instructors are denied', async () => {
+        const db = seededDb();
+
+        const created = await request(app(db)).post('/retrieval-eval/items').send({
+            courseId: 'C1', question: 'What makes ATP?', expectedUnitNames: ['Unit 3']
+        });
+        expect(created.status).toBe(201);
+        const { itemId } = created.body.item;
+
+        expect((await request(app(db, { user: otherInstructor })).get('/retrieval-eval/items?courseId=C1')).status).toBe(403);
+        expect((await request(app(db)).post('/retrieval-eval/items').send({ courseId: 'C1', question: 'No targets' })).status).toBe(400);
+
+        const updated = await request(app(db)).put(`/retrieval-eval/items/${itemId}`).send({
+            courseId: 'C1', question: 'What makes most ATP?', expectedUnitNames: ['Unit 3']
+        });
+        expect(updated.body.item.question).toBe('What makes most ATP?');
+        expect((await request(app(db)).put('/retrieval-eval/items/missing').send({
+            courseId: 'C1', question: 'Q', expectedUnitNames: ['U']
+        })).status).toBe(404);
+
+        const listed = await request(app(db)).get('/retrieval-eval/items?courseId=C1');
+        expect(listed.body.items).toHaveLength(1);
+
+        expect((await request(app(db)).delete(`/retrieval-eval/items/${itemId}?courseId=C1`)).status).toBe(200);
+        expect((await request(app(db)).delete(`/retrieval-eval/items/${itemId}?courseId=C1`)).status).toBe(404);
+    });
+});
+
+describe('evaluation runs', () => {
+    test('a run scores the golden set with the course retrieval settings and is saved', async () => {
+        const db = seededDb();
+        await request(app(db)).post('/retrieval-eval/items').send({
+            courseId: 'C1', question: 'What makes ATP?', expectedUnitNames: ['Unit 3']
+        });
+        const registry = fakeRegistry(async () => [
+            { documentId: 'd1', lectureName: 'Unit 1', chunkText: 'glycolysis' },
+            { documentId: 'd3', lectureName: 'Unit 3', chunkText: 'ATP synthase' }
+        ]);
+
+        const res = await request(app(db, { llmRegistry: registry })).post('/retrieval-eval/runs').send({ courseId: 'C1' });
+
+        expect(res.status).toBe(201);
+        expect(res.body.run).toMatchObject({
+            courseId: 'C1',
+            profileKey: 'openai:text-embedding-3-small:v1',
+            topK: 2,
+            retrievalMode: 'hybrid',
+            metrics: { recallAtK: 1, mrr: 0.5, faithfulness: 0.75, itemCount: 1 }
+        });
+        const { qdrant } = await registry.forCourse.mock.results[0].value;
+        expect(qdrant.searchDocuments).toHaveBeenCalledWith('What makes ATP?', { courseId: 'C1' }, 2, { retrievalMode: 'hybrid' });
+
+        const detail = await request(app(db)).get(`/retrieval-eval/runs/${res.body.run.runId}?courseId=C1`);
+        expect(detail.body.run.items[0]).toMatchObject({ reciprocalRank: 0.5, answer: 'Answer from the notes.' });
+    });
+
+    test('listing compares the latest run with the one before it', async () => {
+        const db = memoryDb({
+            courses: [{ courseId: 'C1', instructorId: 'i1' }],
+            retrieval_eval_runs: [
+                { runId: 'r1', courseId: 'C1', metrics: { recallAtK: 0.5, mrr: 0.5 }, items: [], createdAt: new Date('2026-01-01') },
+                { runId: 'r2', courseId: 'C1', metrics: { recallAtK: 1, mrr: 0.5 }, items: [], createdAt: new Date('2026-02-01') }
+            ]
+        });
+
+        const res = await request(app(db)).get('/retrieval-eval/runs?courseId=C1');
+
+        expect(res.body.runs.map(run => run.runId)).toEqual(['r2', 'r1']);
+        expect(res.body.comparison.recallAtK).toEqual({ before: 0.5, after: 1, delta: 0.5 });
+        expect(res.body.comparison.mrr.delta).toBe(0);
+    });
+
+    test('an empty golden set or an unknown target is rejected', async () => {
+        const db = seededDb();
+        const registry = fakeRegistry(async () => []);
+
+        const empty = await request(app(db, { llmRegistry: registry })).post('/retrieval-eval/runs').send({ courseId: 'C1' });
+        expect(empty.status).toBe(400);
+        expect(empty.body.message).toContain('Add golden set questions');
+
+        const badTarget = await request(app(db, { llmRegistry: registry })).post('/retrieval-eval/runs').send({ courseId: 'C1', target: 'next' });
+        expect(badTarget.status).toBe(400);
+        expect(registry.forCourse).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,53 @@
+const { memoryDb } = require('../helpers/memory-db');
+const { makeRouteApp, request } = require('../helpers/route-app');
+const TokenUsage = require('../../../src/models/TokenUsage');
+const settingsRouter = require('../../../src/routes/settings');
+
+const instructor = { userId: 'i1', role: 'instructor' };
+const otherInstructor = { userId: 'i2', role: 'instructor' };
+
+function app(db, user = instructor) {
+    return makeRouteApp(settingsRouter, { db, user });
+}
+
+async function seededDb() {
+    const db = memoryDb({ courses: [{ courseId: 'C1', instructorId: 'i1' }] });
+    await TokenUsage.recordUsage(db, { courseId: 'C1', feature: 'chat', lane: 'frontend', model: 'm', totalTokens: 900 });
+    return db;
+}
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+afterAll(() => jest.restoreAllMocks());
+
+describe('token usage settings', () => {
+    test('instructors see usage against the course budget', async () => {
+        const db = await seededDb();
+
+        expect((await request(app(db, otherInstructor)).get('/token-usage?courseId=C1')).status).toBe(403);
+        expect((await request(app(db)).get('/token-usage')).status).toBe(400);
+
+        const before = await request(app(db)).get('/token-usage?courseId=C1&days=7');
+        expect(before.status).toBe(200);
+        expect(before.body.usage).toMatchObject({ days: 7, totals: { calls: 1, totalTokens: 900 } });
+        expect(before.body.status.level).toBe('ok');
+        expect(before.body.defaults).toMatchObject({ degradeAtPercent: 80, minDegradeAtPercent: 50 });
+
+        const saved = await request(app(db)).put('/token-budget').send({ courseId: 'C1', dailyTokens: 1000, monthlyTokens: null });
+        expect(saved.status).toBe(200);
+        expect(saved.body.budget).toEqual({ dailyTokens: 1000, monthlyTokens: null, degradeAtPercent: 80 });
+
+        const after = await request(app(db)).get('/token-usage?courseId=C1');
+        expect(after.body.status).toEqual({ level: 'degraded', period: 'day', usedPercent: { day: 90, month: null } });
+    });
+
+    test('invalid budgets and unknown courses are rejected', async () => {
+        const db = await seededDb();
+
+        expect((await request(app(db)).put('/token-budget').send({ courseId: 'C1', dailyTokens: 'lots' })).status).toBe(400);
+        expect((await request(app(db)).put('/token-budget').send({ courseId: 'C1', degradeAtPercent: 101 })).status).toBe(400);
+        expect((await request(app(db, otherInstructor)).put('/token-budget').send({ courseId: 'C1', dailyTokens: 5 })).status).toBe(403);
+    });
+});
@@ -0,0 +1,69 @@
+const { memoryDb } = require('../helpers/memory-db');
+const { makeRouteApp, request } = require('../helpers/route-app');
+const wellness = require('../../../src/services/wellnessResources');
+const settingsRouter = require('../../../src/routes/settings');
+
+const instructor = { userId: 'i1', role: 'instructor' };
+const otherInstructor = { userId: 'i2', role: 'instructor' };
+const admin = { userId: 'a1', role: 'instructor', permissions: { systemAdmin: true } };
+
+const campusLine = { kind: 'crisis', name: 'Campus Crisis Line', phone: '604-555-0100' };
+
+function app(db, user = instructor) {
+    return makeRouteApp(settingsRouter, { db, user });
+}
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+beforeEach(() => wellness.invalidateCache());
+afterAll(() => jest.restoreAllMocks());
+
+describe('wellness resource settings', () => {
+    test('only system admins read and change the platform resources', async () => {
+        const db = memoryDb();
+
+        expect((await request(app(db)).get('/wellness-resources/platform')).status).toBe(403);
+        const loaded = await request(app(db, admin)).get('/wellness-resources/platform');
+        expect(loaded.body.resources.map(r => r.resourceId)).toEqual(['default-988', 'default-emergency', 'default-ubc-wellness']);
+        expect(loaded.body.limits).toMatchObject({ kinds: ['crisis', 'wellness'], maxResources: 12 });
+
+        const invalid = await request(app(db, admin)).put('/wellness-resources/platform').send({ resources: [{ name: 'No contact' }] });
+        expect(invalid.status).toBe(400);
+        expect(invalid.body.message).toBe('Resource 1: a phone number or URL is required');
+
+        const saved = await request(app(db, admin)).put('/wellness-resources/platform').send({ resources: [campusLine] });
+        expect(saved.status).toBe(200);
+        expect(saved.body.resources).toEqual([expect.objectContaining({ name: 'Campus Crisis Line', resourceId: expect.stringMatching(/^wellres_/) })]);
+    });
+
+    test('instructors add course resources and can go back to the platform list', async () => {
+        const db = memoryDb({ courses: [{ courseId: 'C1', instructorId: 'i1' }] });
+
+        expect((await request(app(db, otherInstructor)).get('/wellness-resources?courseId=C1')).status).toBe(403);
+        expect((await request(app(db)).put('/wellness-resources').send({
+            courseId: 'C1', wellnessResources: { resources: [{ name: 'Bad', url: 'ftp://example.edu' }] }
+        })).status).toBe(400);
+
+        const saved = await request(app(db)).put('/wellness-resources').send({
+            courseId: 'C1', wellnessResources: { resources: [campusLine], includePlatform: false }
+        });
+        expect(saved.status).toBe(200);
+        expect(saved.body.effective.map(r => r.name)).toEqual(['Campus Crisis Line']);
+
+        const loaded = await request(app(db)).get('/wellness-resources?courseId=C1');
+        expect(loaded.body.wellnessResources).toMatchObject({ includePlatform: false, resources: [expect.objectContaining(campusLine)] });
+        expect(loaded.body.platform).toHaveLength(3);
+
+        const cleared = await request(app(db)).put('/wellness-resources').send({ courseId: 'C1', wellnessResources: null });
+        expect(cleared.body.wellnessResources).toBeNull();
+        expect(cleared.body.effective).toHaveLength(3);
+    });
+
+    test('404 for an unknown course', async () => {
+        const db = memoryDb({ courses: [] });
+        const res = await request(app(db, admin)).get('/wellness-resources?courseId=missing');
+        expect(res.status).toBe(404);
+    });
+});
@@ -7,6 +7,7 @@
 const { memoryDb } = require('../helpers/memory-db');
 const { makeRouteApp, request } = require('../helpers/route-app');
 const settingsRouter = require('../../../src/routes/settings');
+const { DEFAULT_QUESTION_PROMPTS } = require('../../../src/services/prompts');
 
 const admin = { userId: 'a1', role: 'instructor', email: 'admin@x.com', permissions: { systemAdmin: true } };
 const instructor = { userId: 'i1', role: 'instructor' };
@@ -188,7 +189,13 @@ describe('system-admin question and mental-health prompts', () => {
         expect((await request(app({ db, user: admin })).post('/question-prompts').send({ ...body, trueFalse: 2 })).status).toBe(400);
         expect((await request(app({ db, user: admin })).post('/question-prompts').send(body)).status).toBe(200);
         const read = await request(app({ db, user: admin })).get('/question-prompts?courseId=C1');
-        expect(read.body.prompts).toEqual({ systemPrompt: 'system', trueFalse: 'tf', multipleChoice: 'mc', shortAnswer: 'sa' });
+        expect(read.body.prompts).toEqual({
+            systemPrompt: 'system', trueFalse: 'tf', multipleChoice: 'mc', shortAnswer: 'sa',
+            numeric: DEFAULT_QUESTION_PROMPTS.numeric,
+            fillInTheBlank: DEFAULT_QUESTION_PROMPTS.fillInTheBlank,
+            matching: DEFAULT_QUESTION_PROMPTS.matching,
+            ordering: DEFAULT_QUESTION_PROMPTS.ordering,
+        });
         expect((await request(app({ db, user: admin })).post('/question-prompts/reset').send({ courseId: 'C1' })).status).toBe(200);
         expect((await db.collection('courses').findOne({ courseId: 'C1' })).questionPrompts).toBeUndefined();
     });
@@ -112,7 +112,7 @@ describe('GET /ai-settings', () => {
         });
         const res = await request(app({ db, user: instructor })).get('/ai-settings?courseId=C1');
         expect(res.status).toBe(200);
-        expect(res.body.settings.ragSettings).toEqual({ student: { topK: 8 } });
+        expect(res.body.settings.ragSettings).toEqual({ student: { topK: 8, retrievalMode: 'vector', rerank: { enabled: false, scorer: 'llm', candidateCount: 12 }, answerCache: { enabled: false, similarityThreshold: 0.95 } } });
         expect(res.body.settings.superchatIds).toEqual(['sc1']);
         expect(res.body.availableSuperchats).toEqual([{ superchatId: 'sc1', name: 'Bucket A', yearLevel: 2 }]);
     });
@@ -143,16 +143,51 @@ describe('PUT /ai-settings', () => {
         expect(stored.superchatIds).toEqual(['sc1', 'sc2']);
         expect(stored.ragSettings.student.topK).toBe(7);
     });
+
+    test('validates and persists the retrieval mode, keeping the stored one when omitted', async () => {
+        const db = memoryDb({ courses: [{ courseId: 'C1', instructorId: 'i1' }] });
+        const invalid = await request(app({ db, user: admin }))
+            .put('/ai-settings').send({ courseId: 'C1', studentTopK: 4, studentRetrievalMode: 'bm25' });
+        expect(invalid.status).toBe(400);
+        expect(invalid.body.message).toMatch(/retrieval mode must be one of: vector, hybrid/);
+
+        const hybrid = await request(app({ db, user: admin }))
+            .put('/ai-settings').send({ courseId: 'C1', studentTopK: 4, studentRetrievalMode: 'hybrid' });
+        expect(hybrid.body.settings.ragSettings).toMatchObject({ student: { topK: 4, retrievalMode: 'hybrid' } });
+
+        const legacy = await request(app({ db, user: admin }))
+            .put('/ai-settings').send({ courseId: 'C1', studentTopK: 6 });
+        expect(legacy.body.settings.ragSettings).toMatchObject({ student: { topK: 6, retrievalMode: 'hybrid' } });
+    });
+
+    test('validates and persists re-rank settings, keeping the stored ones when omitted', async () => {
+        const db = memoryDb({ courses: [{ courseId: 'C1', instructorId: 'i1' }] });
+        const invalid = await request(app({ db, user: admin }))
+            .put('/ai-settings').send({ courseId: 'C1', studentTopK: 4, studentRerank: { enabled: true, scorer: 'cohere', candidateCount: 10 } });
+        expect(invalid.status).toBe(400);
+        expect(invalid.body.message).toMatch(/Re-ranking needs a scorer \(llm, local\) and 2-40 candidates/);
+
+        const enabled = await request(app({ db, user: admin }))
+            .put('/ai-settings').send({ courseId: 'C1', studentTopK: 4, studentRerank: { enabled: true, scorer: 'local', candidateCount: '16' } });
+        expect(enabled.status).toBe(200);
+        expect(enabled.body.settings.ragSettings.student.rerank).toEqual({ enabled: true, scorer: 'local', candidateCount: 16 });
+
+        const legacy = await request(app({ db, user: admin }))
+            .put('/ai-settings').send({ courseId: 'C1', studentTopK: 5 });
+        expect(legacy.body.settings.ragSettings.student.rerank).toEqual({ enabled: true, scorer: 'local', candidateCount: 16 });
+    });
 });
 
 describe('POST /ai-settings/reset', () => {
-    test('resets superchatIds to [] and topK to the default', async () => {
-        const db = memoryDb({ courses: [{ courseId: 'C1', instructorId: 'i1', superchatIds: ['sc1'], ragSettings: { student: { topK: 9 } } }] });
+    test('resets superchatIds to [] and topK/retrieval mode/re-ranking to the defaults', async () => {
+        const db = memoryDb({ courses: [{ courseId: 'C1', instructorId: 'i1', superchatIds: ['sc1'], ragSettings: { student: { topK: 9, retrievalMode: 'hybrid', rerank: { enabled: true, scorer: 'local', candidateCount: 20 } } } }] });
         const res = await request(app({ db, user: admin })).post('/ai-settings/reset').send({ courseId: 'C1' });
         expect(res.status).toBe(200);
 
         const stored = await db.collection('courses').findOne({ courseId: 'C1' });
         expect(stored.superchatIds).toEqual([]);
         expect(stored.ragSettings.student.topK).toBe(3); // DEFAULT_STUDENT_RAG_TOP_K
+        expect(stored.ragSettings.student.retrievalMode).toBe('vector');
+        expect(stored.ragSettings.student.rerank).toEqual({ enabled: false, scorer: 'llm', candidateCount: 12 });
     });
 });
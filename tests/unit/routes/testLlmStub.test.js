@@ -29,6 +29,15 @@ describe('test-only LLM stub routes', () => {
         await expect(getLLMStub().sendMessage('ATP')).resolves.toEqual({ content: 'reply' });
     });
 
+    test('stream configures chunking and state reports the latest stream', async () => {
+        const res = await request(app()).post('/stream').send({ chunkSize: 3, delayMs: 0 });
+        expect(res.body).toEqual({ success: true, chunkSize: 3, delayMs: 0 });
+        getLLMStub().enqueueContent('abcdefg');
+        await getLLMStub().streamConversation([{ role: 'user', content: 'q' }], () => {});
+        const state = await request(app()).get('/state');
+        expect(state.body).toMatchObject({ streamCount: 1, lastStream: { chunks: 3, completed: true } });
+    });
+
     test('state reports counters and reset clears them', async () => {
         getLLMStub().enqueueContent('queued');
         await getLLMStub().sendMessage('call');
@@ -93,4 +93,26 @@ describe('assessment scoring', () => {
         expect(html).toContain('BiocBot is in protégé mode');
         expect(text).toContain('BiocBot is in protégé mode');
     });
+    test('structured types score from the server evaluation and show list answers', () => {
+        const question = {
+            type: 'ordering',
+            question: 'Order the steps',
+            options: { A: 'unused' },
+            items: ['Initiation', 'Elongation', 'Termination'],
+            correctAnswer: 'Initiation → Elongation → Termination'
+        };
+        const answer = ['Elongation', 'Initiation', 'Termination'];
+
+        expect(scoring.getQuestionType(question)).toBe('ordering');
+        expect(scoring.evaluateQuestion(question, answer, { correct: false, feedback: '1 of 3' })).toMatchObject({
+            scorable: true,
+            isCorrect: false,
+            displayStudentAnswer: 'Elongation; Initiation; Termination',
+            displayExpectedAnswer: 'Initiation → Elongation → Termination',
+            feedback: '1 of 3'
+        });
+        expect(scoring.evaluateQuestion(question, answer, { correct: true }).isCorrect).toBe(true);
+        expect(scoring.evaluateQuestion(question, answer).isCorrect).toBe(false);
+        expect(scoring.evaluateQuestion({ ...question, type: 'numeric' }, '').scorable).toBe(false);
+    });
 });
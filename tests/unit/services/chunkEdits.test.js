@@ -0,0 +1,152 @@
+/**
+ * Instructor chunk edits: validation, replay over re-chunked text, and live
+ * application to stored points (only changed chunks are re-embedded).
+ */
+const { memoryDb } = require('../helpers/memory-db');
+const chunkEdits = require('../../../src/services/chunkEdits');
+const { chunkHash } = require('../../../src/services/vectorReuse');
+
+const record = (id, chunkIndex, chunkText, extra = {}) => ({ id, chunkIndex, chunkText, ...extra });
+
+describe('buildChunkEdit', () => {
+    const one = [record('p1', 0, 'Glycolysis')];
+
+    test('rejects unknown actions, wrong selections, and empty or unchanged text', () => {
+        const invalid = (input, sources) => {
+            expect(() => chunkEdits.buildChunkEdit(input, sources)).toThrow(expect.objectContaining({ code: 'INVALID_CHUNK_EDIT' }));
+        };
+        invalid({ action: 'rewrite' }, one);
+        invalid({ action: 'edit', text: 'x' }, []);
+        invalid({ action: 'edit', text: 'x' }, [...one, record('p2', 1, 'Krebs')]);
+        invalid({ action: 'merge' }, one);
+        invalid({ action: 'merge' }, [record('p1', 0, 'a'), record('p3', 2, 'c')]);
+        invalid({ action: 'merge' }, [record('p1', 0, 'a'), record('f1', 1, 'figure', { chunkType: 'figure' })]);
+        invalid({ action: 'split', texts: ['only one'] }, one);
+        invalid({ action: 'split', texts: ['a', '  '] }, one);
+        invalid({ action: 'edit', text: ' Glycolysis ' }, one);
+    });
+
+    test('records the source chunk hashes in document order', () => {
+        expect(chunkEdits.buildChunkEdit({ action: 'merge' }, [record('p2', 1, 'Krebs'), record('p1', 0, 'Glycolysis')])).toEqual({
+            action: 'merge',
+            sourceHashes: [chunkHash('Glycolysis'), chunkHash('Krebs')],
+            texts: ['Glycolysis\n\nKrebs'],
+            excluded: null,
+        });
+        expect(chunkEdits.buildChunkEdit({ action: 'exclude', excluded: false }, one))
+            .toMatchObject({ action: 'exclude', texts: [], excluded: false });
+        expect(chunkEdits.buildChunkEdit({ action: 'split', texts: ['Glyco ', ' lysis'] }, one).texts).toEqual(['Glyco', 'lysis']);
+    });
+});
+
+describe('applyChunkEdits', () => {
+    const edit = (action, sources, extra = {}) => ({ action, sourceHashes: sources.map(chunkHash), texts: [], ...extra });
+
+    test('replays edits in order, carrying metadata and flags', () => {
+        const result = chunkEdits.applyChunkEdits(
+            ['A', 'B', 'C', 'References'],
+            [{ slideNumber: 1 }, { slideNumber: 2 }, { slideNumber: 3 }, { slideNumber: 4 }],
+            [
+                edit('merge', ['A', 'B'], { texts: ['A+B'] }),
+                edit('split', ['C'], { texts: ['C1', 'C2'] }),
+                // Chained onto the merged chunk
+                edit('edit', ['A+B'], { texts: ['AB'] }),
+                edit('exclude', ['References'], { excluded: true }),
+            ]
+        );
+        expect(result.applied).toBe(4);
+        expect(result.chunks).toEqual(['AB', 'C1', 'C2', 'References']);
+        expect(result.metadata).toEqual([
+            { slideNumber: 1, edited: true },
+            { slideNumber: 3, edited: true },
+            { slideNumber: 3, edited: true },
+            { slideNumber: 4, excluded: true },
+        ]);
+    });
+
+    test('skips an edit whose text no longer appears', () => {
+        const result = chunkEdits.applyChunkEdits(['A changed', 'B'], undefined, [edit('edit', ['A'], { texts: ['x'] })]);
+        expect(result).toEqual({ chunks: ['A changed', 'B'], metadata: [{}, {}], applied: 0 });
+    });
+});
+
+describe('chunk edit records', () => {
+    test('are listed oldest first and removed with their document', async () => {
+        const db = memoryDb({});
+        const first = await chunkEdits.recordChunkEdit(db, { documentId: 'd1', courseId: 'C1', action: 'exclude', sourceHashes: ['h'], excluded: true });
+        await new Promise(resolve => setTimeout(resolve, 2));
+        const second = await chunkEdits.recordChunkEdit(db, { documentId: 'd1', courseId: 'C1', action: 'edit', sourceHashes: ['h'], texts: ['t'], createdBy: 'i1' });
+        await chunkEdits.recordChunkEdit(db, { documentId: 'd2', courseId: 'C1', action: 'edit', sourceHashes: ['h'], texts: ['t'] });
+
+        expect((await chunkEdits.listChunkEdits(db, 'd1')).map(edit => edit.editId)).toEqual([first.editId, second.editId]);
+        expect(second).toMatchObject({ editId: expect.stringMatching(/^chunkedit/), createdBy: 'i1', excluded: null });
+        await chunkEdits.deleteChunkEdits(db, 'd1');
+        expect(await chunkEdits.listChunkEdits(db, 'd1')).toEqual([]);
+        expect(await chunkEdits.listChunkEdits(db, 'd2')).toHaveLength(1);
+        expect(await chunkEdits.listChunkEdits(null, 'd2')).toEqual([]);
+    });
+});
+
+describe('applyChunkEditToIndex', () => {
+    const point = (id, chunkIndex, chunkText, extra = {}) => ({
+        id,
+        vector: [chunkIndex],
+        payload: {
+            courseId: 'C1', lectureName: 'Unit 1', documentId: 'd1', fileName: 'deck.pptx',
+            mimeType: 'pptx', documentType: 'lecture-notes', type: 'lecture_notes',
+            chunkIndex, totalChunks: 3, chunkText, chunkHash: chunkHash(chunkText),
+            documentVersion: 2, strategyUsed: 'pptx-slide', timestamp: 'then', ...extra,
+        },
+    });
+
+    function fakeQdrant(points) {
+        return {
+            getDocumentPoints: jest.fn(async () => points),
+            generateEmbeddings: jest.fn(async chunks => chunks.map(() => [9])),
+            storeChunks: jest.fn(async (_data, chunks) => chunks),
+            deletePoints: jest.fn(async ids => ids.length),
+            setChunkPayload: jest.fn(async () => {}),
+        };
+    }
+    const document = { documentId: 'd1', courseId: 'C1' };
+
+    test('excluding only updates the chunk payload', async () => {
+        const qdrant = fakeQdrant([point('p1', 0, 'A'), point('p2', 1, 'B')]);
+        const outcome = await chunkEdits.applyChunkEditToIndex(qdrant, document, {
+            action: 'exclude', sourceHashes: [chunkHash('B')], excluded: true,
+        });
+        expect(outcome).toEqual({ applied: true, chunksEmbedded: 0, chunksReused: 0 });
+        expect(qdrant.setChunkPayload).toHaveBeenCalledWith(['p2'], { excluded: true });
+        expect(qdrant.storeChunks).not.toHaveBeenCalled();
+    });
+
+    test('a merge rewrites only its own segment, re-embedding just the new chunk', async () => {
+        const qdrant = fakeQdrant([
+            point('p3', 2, 'C', { slideNumber: 3 }),
+            point('p1', 0, 'A', { slideNumber: 1 }),
+            point('p2', 1, 'B', { slideNumber: 2 }),
+            point('f1', 0, 'Figure 1: a cell', { chunkType: 'figure', figureNumber: 1 }),
+        ]);
+        const outcome = await chunkEdits.applyChunkEditToIndex(qdrant, document, {
+            action: 'merge', sourceHashes: [chunkHash('A'), chunkHash('B')], texts: ['A and B'],
+        });
+
+        expect(outcome).toEqual({ applied: true, chunksEmbedded: 1, chunksReused: 1 });
+        expect(qdrant.generateEmbeddings).toHaveBeenCalledWith(['A and B']);
+        const [data, chunks, vectors, strategy] = qdrant.storeChunks.mock.calls[0];
+        expect(chunks).toEqual(['A and B', 'C']);
+        expect(vectors).toEqual([[9], [2]]);
+        expect(strategy).toBe('pptx-slide');
+        expect(data).toMatchObject({ documentId: 'd1', courseId: 'C1', documentVersion: 2 });
+        expect(data.chunkMetadata).toEqual([{ slideNumber: 1, edited: true }, { slideNumber: 3 }]);
+        expect(qdrant.deletePoints).toHaveBeenCalledWith(['p1', 'p2', 'p3']);
+    });
+
+    test('reports an edit whose chunks are gone', async () => {
+        const qdrant = fakeQdrant([point('p1', 0, 'A')]);
+        await expect(chunkEdits.applyChunkEditToIndex(qdrant, document, {
+            action: 'edit', sourceHashes: [chunkHash('missing')], texts: ['x'],
+        })).resolves.toMatchObject({ applied: false });
+        expect(qdrant.storeChunks).not.toHaveBeenCalled();
+    });
+});
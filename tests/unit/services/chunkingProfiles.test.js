@@ -0,0 +1,135 @@
+/**
+ * Chunking profiles: validation, inheritance, and each chunking strategy with
+ * its fixed-size fallback.
+ */
+const { memoryDb } = require('../helpers/memory-db');
+const profiles = require('../../../src/services/chunkingProfiles');
+
+const profile = (strategy, chunkSize = 400, chunkOverlap = 50) => ({ strategy, chunkSize, chunkOverlap });
+
+describe('normalizeChunkingProfile', () => {
+    test('fills defaults and treats null as "not set"', () => {
+        expect(profiles.normalizeChunkingProfile(null)).toEqual({ profile: null });
+        expect(profiles.normalizeChunkingProfile({ strategy: 'heading-aware' }, { strict: true }))
+            .toEqual({ profile: { strategy: 'heading-aware', chunkSize: 1000, chunkOverlap: 200 } });
+        expect(profiles.normalizeChunkingProfile({ strategy: 'fixed-size', chunkSize: '600', chunkOverlap: '0' }).profile)
+            .toEqual({ strategy: 'fixed-size', chunkSize: 600, chunkOverlap: 0 });
+    });
+
+    test('strict mode reports bad input; lenient mode falls back', () => {
+        const strict = value => profiles.normalizeChunkingProfile(value, { strict: true }).error;
+        expect(strict('fixed-size')).toMatch(/must be an object/);
+        expect(strict({ strategy: 'by-vibes' })).toMatch(/must be one of/);
+        expect(strict({ strategy: 'fixed-size', chunkSize: 50 })).toMatch(/from 200 to 8000/);
+        expect(strict({ strategy: 'fixed-size', chunkSize: 400, chunkOverlap: 200 })).toMatch(/less than half/);
+
+        expect(profiles.normalizeChunkingProfile({ strategy: 'by-vibes' })).toEqual({ profile: null });
+        expect(profiles.normalizeChunkingProfile({ strategy: 'fixed-size', chunkSize: 50, chunkOverlap: -1 }).profile)
+            .toEqual({ strategy: 'fixed-size', chunkSize: 1000, chunkOverlap: 200 });
+    });
+});
+
+describe('effective profile', () => {
+    test('a document overrides its course, which overrides the default', async () => {
+        const course = { chunkingProfile: profile('heading-aware') };
+        expect(profiles.effectiveChunkingProfile(null, {})).toEqual(profiles.DEFAULT_CHUNKING_PROFILE);
+        expect(profiles.effectiveChunkingProfile(course, {}).strategy).toBe('heading-aware');
+        expect(profiles.effectiveChunkingProfile(course, { chunkingProfile: profile('question-per-chunk') }).strategy)
+            .toBe('question-per-chunk');
+
+        const db = memoryDb({ courses: [{ courseId: 'C1', ...course }] });
+        expect((await profiles.resolveDocumentChunkingProfile(db, { courseId: 'C1' })).strategy).toBe('heading-aware');
+        expect(profiles.isDefaultProfile(await profiles.resolveDocumentChunkingProfile(db, { courseId: 'C2' }))).toBe(true);
+    });
+});
+
+describe('chunkWithProfile', () => {
+    test('fixed-size windows stay within the size and overlap at word breaks', () => {
+        const text = Array.from({ length: 120 }, (_, index) => `word${index}`).join(' ');
+        const { chunks, strategyUsed } = profiles.chunkWithProfile(text, profile('fixed-size', 200, 40));
+        expect(strategyUsed).toBe('fixed-size');
+        expect(chunks.length).toBeGreaterThan(3);
+        expect(chunks.every(chunk => chunk.length <= 200 && /^word\d+/.test(chunk))).toBe(true);
+        // Each window repeats the end of the one before it
+        expect(chunks[0].split(' ')).toContain(chunks[1].split(' ')[0]);
+    });
+
+    test('heading-aware keeps each heading with its section', () => {
+        const text = 'Chapter 2\n2.1 Glycolysis\nGlucose is split.\n\n2.2 Krebs Cycle\nAcetyl-CoA is oxidised.';
+        const result = profiles.chunkWithProfile(text, profile('heading-aware'));
+        expect(result.strategyUsed).toBe('heading-aware');
+        expect(result.chunks).toEqual([
+            'Chapter 2\n2.1 Glycolysis\nGlucose is split.',
+            '2.2 Krebs Cycle\nAcetyl-CoA is oxidised.'
+        ]);
+        expect(result.metadata[1]).toEqual({ sectionHeading: '2.2 Krebs Cycle' });
+    });
+
+    test('slide-per-chunk splits on page breaks or slide markers', () => {
+        expect(profiles.chunkWithProfile('Page one\fPage two', profile('slide-per-chunk')).metadata)
+            .toEqual([{ sourceUnit: 'page', pageNumber: 1 }, { sourceUnit: 'page', pageNumber: 2 }]);
+
+        const slides = profiles.chunkWithProfile('Slide 1: Cells\nMembranes\nSlide 2\nOrganelles', profile('slide-per-chunk'));
+        expect(slides.chunks).toEqual(['Cells\nMembranes', 'Organelles']);
+        expect(slides.metadata).toEqual([
+            { sourceUnit: 'slide', slideNumber: 1 },
+            { sourceUnit: 'slide', slideNumber: 2 }
+        ]);
+    });
+
+    test('question-per-chunk numbers each question, keeping any preamble', () => {
+        const text = 'Practice set\n1. What is ATP?\nExplain.\n2) Name an organelle.\nQuestion 3: Define osmosis.';
+        const result = profiles.chunkWithProfile(text, profile('question-per-chunk'));
+        expect(result.chunks).toEqual([
+            'Practice set',
+            '1. What is ATP?\nExplain.',
+            '2) Name an organelle.',
+            'Question 3: Define osmosis.'
+        ]);
+        expect(result.metadata.map(entry => entry.questionNumber)).toEqual([undefined, 1, 2, 3]);
+    });
+
+    test('long sections are windowed under their heading', () => {
+        const body = 'Glucose is split into pyruvate. '.repeat(30);
+        const { chunks } = profiles.chunkWithProfile(`GLYCOLYSIS\n${body}`, profile('heading-aware', 300, 0));
+        expect(chunks.length).toBeGreaterThan(2);
+        expect(chunks.every(chunk => chunk.startsWith('GLYCOLYSIS\n') && chunk.length <= 300)).toBe(true);
+    });
+
+    test('falls back to fixed-size when the structure is missing', () => {
+        const plain = 'Cells are the basic unit of life. They have membranes.';
+        for (const strategy of ['heading-aware', 'slide-per-chunk', 'question-per-chunk']) {
+            expect(profiles.chunkWithProfile(plain, profile(strategy))).toEqual({
+                chunks: [plain], metadata: [{}], strategyUsed: 'fixed-size'
+            });
+        }
+    });
+});
+
+describe('chunkSections', () => {
+    const sections = [
+        { heading: 'Cellular Respiration', anchor: 'ch7', sourceUrl: 'https://example.org/7#ch7', text: 'Cells break down glucose.' },
+        { heading: '7.1 Glycolysis', anchor: null, sourceUrl: 'https://example.org/7', text: 'Glucose is split into pyruvate. '.repeat(20) }
+    ];
+
+    test('imported sections are used under the default and heading-aware profiles only', () => {
+        expect(profiles.usesSectionChunks(sections, null)).toBe(true);
+        expect(profiles.usesSectionChunks(sections, profile('heading-aware'))).toBe(true);
+        expect(profiles.usesSectionChunks(sections, profile('fixed-size'))).toBe(false);
+        expect(profiles.usesSectionChunks([], null)).toBe(false);
+        expect(profiles.usesSectionChunks(undefined, null)).toBe(false);
+    });
+
+    test('one chunk per section, headed and pointing back to its anchor', () => {
+        const result = profiles.chunkSections(sections, profile('heading-aware', 300, 0));
+        expect(result.strategyUsed).toBe('section');
+        expect(result.chunks[0]).toBe('Cellular Respiration\nCells break down glucose.');
+        expect(result.metadata[0]).toEqual({
+            sourceUnit: 'section', sectionHeading: 'Cellular Respiration', sectionAnchor: 'ch7', sourceUrl: 'https://example.org/7#ch7'
+        });
+        // The long section is windowed under its heading
+        expect(result.chunks.length).toBeGreaterThan(3);
+        expect(result.chunks.slice(1).every(chunk => chunk.startsWith('7.1 Glycolysis\n') && chunk.length <= 300)).toBe(true);
+        expect(result.metadata.slice(1).every(entry => entry.sectionAnchor === null)).toBe(true);
+    });
+});
@@ -0,0 +1,67 @@
+const {
+    DEFAULT_HISTORY_TOKEN_BUDGET,
+    countTokens,
+    getHistoryTokenBudget,
+    selectHistoryWindow,
+    formatHistory
+} = require('../../../src/services/conversationHistory');
+
+const turn = (role, content) => ({ role, content });
+
+describe('conversationHistory', () => {
+    const originalBudget = process.env.CHAT_HISTORY_TOKEN_BUDGET;
+    afterEach(() => {
+        if (originalBudget === undefined) delete process.env.CHAT_HISTORY_TOKEN_BUDGET;
+        else process.env.CHAT_HISTORY_TOKEN_BUDGET = originalBudget;
+    });
+
+    test('counts tokens with the tiktoken encoder', () => {
+        expect(countTokens('')).toBe(0);
+        expect(countTokens(null)).toBe(0);
+        expect(countTokens('ATP synthase')).toBeGreaterThan(0);
+    });
+
+    test('reads the budget from the environment within bounds', () => {
+        delete process.env.CHAT_HISTORY_TOKEN_BUDGET;
+        expect(getHistoryTokenBudget()).toBe(DEFAULT_HISTORY_TOKEN_BUDGET);
+        process.env.CHAT_HISTORY_TOKEN_BUDGET = '1200';
+        expect(getHistoryTokenBudget()).toBe(1200);
+        process.env.CHAT_HISTORY_TOKEN_BUDGET = '10';
+        expect(getHistoryTokenBudget()).toBe(500);
+        process.env.CHAT_HISTORY_TOKEN_BUDGET = '999999';
+        expect(getHistoryTokenBudget()).toBe(32000);
+        process.env.CHAT_HISTORY_TOKEN_BUDGET = 'lots';
+        expect(getHistoryTokenBudget()).toBe(DEFAULT_HISTORY_TOKEN_BUDGET);
+    });
+
+    test('keeps the newest turns that fit the budget, oldest first', () => {
+        const turns = [
+            turn('user', 'first question ' + 'filler '.repeat(200)),
+            turn('assistant', 'first answer'),
+            turn('user', 'second question'),
+            turn('assistant', 'second answer')
+        ];
+        const window = selectHistoryWindow(turns, { tokenBudget: 40 });
+
+        expect(window.turns.map(t => t.content)).toEqual(['first answer', 'second question', 'second answer']);
+        expect(window.omittedCount).toBe(1);
+        expect(window.tokenCount).toBeLessThanOrEqual(40);
+    });
+
+    test('stops at the first turn that would overflow instead of skipping it', () => {
+        const turns = [turn('user', 'short'), turn('assistant', 'long '.repeat(100)), turn('user', 'latest')];
+        expect(selectHistoryWindow(turns, { tokenBudget: 20 }).turns.map(t => t.content)).toEqual(['latest']);
+    });
+
+    test('ignores malformed turns and non-array input', () => {
+        expect(selectHistoryWindow(null)).toEqual({ turns: [], tokenCount: 0, omittedCount: 0 });
+        const window = selectHistoryWindow([turn('system', 'x'), null, turn('user', 42), turn('user', 'ok')]);
+        expect(window.turns).toEqual([turn('user', 'ok')]);
+        expect(window.omittedCount).toBe(0);
+    });
+
+    test('formats the transcript with Student/BiocBot speakers', () => {
+        expect(formatHistory([turn('user', 'Q'), turn('assistant', 'A')])).toBe('Student: Q\n\nBiocBot: A\n\n');
+        expect(formatHistory(undefined)).toBe('');
+    });
+});
@@ -0,0 +1,97 @@
+jest.mock('../../../src/services/gridfs', () => ({
+    uploadBuffer: jest.fn(async (_db, _buffer, filename) => `grid-${filename}`),
+    copyFile: jest.fn(async (_db, fileId) => `copy-of-${fileId}`),
+    deleteFile: jest.fn(async () => undefined),
+}));
+
+const gridfs = require('../../../src/services/gridfs');
+const {
+    MAX_FIGURE_IMAGE_BYTES,
+    captionFromDescription,
+    numberFigures,
+    storeFigureImages,
+    indexFigureChunks,
+    copyFigureImages,
+    deleteFigureImages
+} = require('../../../src/services/figureIndex');
+
+const document = { documentId: 'doc1', courseId: 'C1', lectureName: 'Unit 1', originalName: 'cells.pdf' };
+
+beforeEach(() => jest.clearAllMocks());
+
+test('captions are the first sentence of the description', () => {
+    expect(captionFromDescription('A cell membrane diagram. It shows a bilayer.')).toBe('A cell membrane diagram.');
+    expect(captionFromDescription('  no   terminal punctuation ')).toBe('no terminal punctuation');
+    expect(captionFromDescription('x'.repeat(400))).toHaveLength(160);
+});
+
+test('only described images are numbered, in page then image order', () => {
+    const figures = numberFigures([
+        { pageNumber: 3, imageIndex: 0, description: 'A mitochondrion.' },
+        { pageNumber: 1, imageIndex: 1, description: 'Second image on page one.' },
+        { pageNumber: 1, imageIndex: 0, description: '   ' },
+        { pageNumber: 1, imageIndex: 0, description: 'First image on page one. With detail.' },
+    ]);
+
+    expect(figures.map(f => [f.figureNumber, f.pageNumber, f.caption])).toEqual([
+        [1, 1, 'First image on page one.'],
+        [2, 1, 'Second image on page one.'],
+        [3, 3, 'A mitochondrion.'],
+    ]);
+    expect(figures[0].description).toBe('First image on page one. With detail.');
+});
+
+test('images are stored in GridFS unless missing or oversized', async () => {
+    const records = await storeFigureImages({}, document, [
+        { figureNumber: 1, pageNumber: 2, caption: 'c1', description: 'd1', mimeType: 'image/png', data: Buffer.from('png') },
+        { figureNumber: 2, slideNumber: 4, caption: 'c2', description: 'd2', mimeType: 'image/png', data: Buffer.alloc(MAX_FIGURE_IMAGE_BYTES + 1) },
+        { figureNumber: 3, caption: 'c3', description: 'd3', mimeType: 'image/jpeg' },
+    ]);
+
+    expect(gridfs.uploadBuffer).toHaveBeenCalledTimes(1);
+    expect(gridfs.uploadBuffer.mock.calls[0][3]).toMatchObject({
+        contentType: 'image/png',
+        metadata: { documentId: 'doc1', figureNumber: 1 }
+    });
+    expect(records).toEqual([
+        { figureNumber: 1, pageNumber: 2, slideNumber: null, caption: 'c1', description: 'd1', mimeType: 'image/png', fileId: 'grid-doc1_figure_1' },
+        { figureNumber: 2, pageNumber: null, slideNumber: 4, caption: 'c2', description: 'd2', mimeType: null, fileId: null },
+        { figureNumber: 3, pageNumber: null, slideNumber: null, caption: 'c3', description: 'd3', mimeType: null, fileId: null },
+    ]);
+});
+
+test('each figure becomes a figure chunk pointing back to its page', async () => {
+    const qdrant = {
+        generateEmbeddings: jest.fn(async (chunks) => chunks.map(() => [0.1])),
+        storeChunks: jest.fn(async (_data, chunks) => chunks.map((_c, i) => ({ id: i }))),
+    };
+
+    const stored = await indexFigureChunks(qdrant, { documentId: 'doc1', courseId: 'C1', fileName: 'cells.pdf' }, [
+        { figureNumber: 1, pageNumber: 2, slideNumber: null, caption: 'A cell.', description: 'A cell. Labelled.', fileId: 'f1' },
+    ]);
+
+    expect(stored).toBe(1);
+    expect(qdrant.generateEmbeddings).toHaveBeenCalledWith(['Figure 1 (page 2) in cells.pdf: A cell.\n\nA cell. Labelled.']);
+    const [documentData, , , strategy] = qdrant.storeChunks.mock.calls[0];
+    expect(strategy).toBe('figure');
+    expect(documentData.chunkMetadata).toEqual([{
+        chunkType: 'figure', sourceUnit: 'figure', figureNumber: 1, pageNumber: 2, slideNumber: null, caption: 'A cell.', hasImage: true
+    }]);
+    expect(await indexFigureChunks(qdrant, {}, [])).toBe(0);
+});
+
+test('cloned documents get their own image copies and deletes sweep every image', async () => {
+    const figures = [
+        { figureNumber: 1, caption: 'a', mimeType: 'image/png', fileId: 'f1' },
+        { figureNumber: 2, caption: 'b', mimeType: null, fileId: null },
+    ];
+
+    expect(await copyFigureImages({}, figures)).toEqual([
+        { figureNumber: 1, caption: 'a', mimeType: 'image/png', fileId: 'copy-of-f1' },
+        { figureNumber: 2, caption: 'b', mimeType: null, fileId: null },
+    ]);
+
+    await deleteFigureImages({}, figures);
+    expect(gridfs.deleteFile).toHaveBeenCalledTimes(1);
+    expect(gridfs.deleteFile).toHaveBeenCalledWith({}, 'f1');
+});
@@ -0,0 +1,125 @@
+const {
+    buildDueQueue,
+    buildForecast,
+    computeStreak,
+    dayKey,
+    endOfDay,
+    normalizeRating,
+    normalizeTimezoneOffset,
+    scheduleReview
+} = require('../../../src/services/flashcardScheduler');
+
+const NOW = new Date('2026-03-10T15:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('scheduleReview', () => {
+    test('grows the interval with each good review', () => {
+        const first = scheduleReview({}, 'good', NOW);
+        expect(first).toMatchObject({ ease: 2.5, intervalDays: 1, repetitions: 1, mastery: 'known' });
+        expect(first.dueAt).toEqual(new Date(NOW.getTime() + DAY_MS));
+
+        const second = scheduleReview(first, 'good', NOW);
+        expect(second.intervalDays).toBe(3);
+        const third = scheduleReview(second, 'good', NOW);
+        expect(third.intervalDays).toBe(8);
+    });
+
+    test('again resets the card, lowers ease, and counts a lapse', () => {
+        const learned = { ease: 2.5, intervalDays: 8, repetitions: 3, lapses: 0 };
+        const forgotten = scheduleReview(learned, 'again', NOW);
+        expect(forgotten).toMatchObject({ ease: 2.3, intervalDays: 0, repetitions: 0, lapses: 1, mastery: 'learning' });
+        expect(forgotten.dueAt).toEqual(new Date(NOW.getTime() + 10 * 60 * 1000));
+
+        // A brand-new card is not a lapse
+        expect(scheduleReview({}, 'again', NOW).lapses).toBe(0);
+    });
+
+    test('hard and easy adjust ease and interval around good', () => {
+        const learned = { ease: 2.5, intervalDays: 10, repetitions: 3 };
+        const hard = scheduleReview(learned, 'hard', NOW);
+        const good = scheduleReview(learned, 'good', NOW);
+        const easy = scheduleReview(learned, 'easy', NOW);
+
+        expect(hard).toMatchObject({ ease: 2.35, intervalDays: 12, mastery: 'learning' });
+        expect(good).toMatchObject({ ease: 2.5, intervalDays: 25 });
+        expect(easy).toMatchObject({ ease: 2.65, intervalDays: 33 });
+        expect(scheduleReview({}, 'easy', NOW).intervalDays).toBe(4);
+    });
+
+    test('keeps ease and interval within bounds', () => {
+        expect(scheduleReview({ ease: 1.3, repetitions: 2, intervalDays: 5 }, 'again', NOW).ease).toBe(1.3);
+        expect(scheduleReview({ ease: 2.5, repetitions: 9, intervalDays: 300 }, 'easy', NOW).intervalDays).toBe(365);
+    });
+
+    test('treats legacy progress without a schedule as new', () => {
+        expect(scheduleReview({ mastery: 'known', timesReviewed: 4 }, 'good', NOW).intervalDays).toBe(1);
+    });
+});
+
+describe('ratings and days', () => {
+    test('accepts the four ratings and maps the old know rating to good', () => {
+        expect(normalizeRating('hard')).toBe('hard');
+        expect(normalizeRating('know')).toBe('good');
+        expect(normalizeRating('great')).toBeNull();
+    });
+
+    test('uses the student timezone for day boundaries', () => {
+        // 15:00 UTC on March 10 is 01:00 on March 11 in UTC+10 (offset -600)
+        expect(dayKey(NOW, 0)).toBe('2026-03-10');
+        expect(dayKey(NOW, -600)).toBe('2026-03-11');
+        expect(endOfDay(NOW, 0)).toEqual(new Date('2026-03-11T00:00:00Z'));
+        expect(endOfDay(NOW, 480)).toEqual(new Date('2026-03-11T08:00:00Z'));
+        expect(normalizeTimezoneOffset('420')).toBe(420);
+        expect(normalizeTimezoneOffset('5000')).toBe(0);
+        expect(normalizeTimezoneOffset(undefined)).toBe(0);
+    });
+});
+
+describe('due queue and forecast', () => {
+    const decks = [
+        { deckId: 'd1', lectureName: 'Unit 1', title: 'One', publishedCards: [
+            { cardId: 'a', front: 'A', back: 'a' },
+            { cardId: 'b', front: 'B', back: 'b' },
+            { cardId: 'c', front: 'C', back: 'c' }
+        ] },
+        { deckId: 'd2', lectureName: 'Unit 2', title: 'Two', publishedCards: [
+            { cardId: 'd', front: 'D', back: 'd' }
+        ] }
+    ];
+    const progressByDeck = {
+        d1: { cards: {
+            a: { dueAt: new Date('2026-03-10T20:00:00Z'), intervalDays: 1 },
+            b: { dueAt: new Date('2026-03-13T12:00:00Z'), intervalDays: 3 }
+        } },
+        d2: { cards: {
+            d: { dueAt: new Date('2026-03-09T09:00:00Z'), intervalDays: 2 }
+        } }
+    };
+
+    test('queues overdue and later-today reviews before new cards', () => {
+        const queue = buildDueQueue(decks, progressByDeck, { now: NOW });
+        expect(queue.cards.map(card => card.cardId)).toEqual(['d', 'a', 'c']);
+        expect(queue).toMatchObject({ dueCount: 2, newCount: 1, total: 3 });
+        expect(queue.cards[0]).toMatchObject({ deckId: 'd2', lectureName: 'Unit 2', isNew: false });
+        expect(queue.cards[2]).toMatchObject({ deckId: 'd1', isNew: true, dueAt: null });
+
+        expect(buildDueQueue(decks, progressByDeck, { now: NOW, limit: 1 }).cards).toHaveLength(1);
+    });
+
+    test('forecasts cards due over the next week', () => {
+        const forecast = buildForecast(decks, progressByDeck, { now: NOW });
+        expect(forecast).toHaveLength(7);
+        expect(forecast[0]).toEqual({ date: '2026-03-10', count: 3 });
+        expect(forecast[3]).toEqual({ date: '2026-03-13', count: 1 });
+    });
+});
+
+describe('computeStreak', () => {
+    test('counts consecutive days ending today or yesterday', () => {
+        const days = ['2026-03-01', '2026-03-02', '2026-03-03', '2026-03-08', '2026-03-09'];
+        expect(computeStreak(days, '2026-03-10')).toEqual({ current: 2, longest: 3, reviewedToday: false });
+        expect(computeStreak([...days, '2026-03-10'], '2026-03-10')).toEqual({ current: 3, longest: 3, reviewedToday: true });
+        expect(computeStreak(days, '2026-03-11').current).toBe(0);
+        expect(computeStreak([], '2026-03-11')).toEqual({ current: 0, longest: 0, reviewedToday: false });
+    });
+});
@@ -44,6 +44,19 @@ describe('flashcardService content selection', () => {
         expect(prompt).toContain('"sourceRef": "S1"');
     });
 
+    test('fills course variables in the flashcard prompt', () => {
+        const prompt = flashcardService.buildPrompt({
+            course: { courseName: 'BIOC 202', lectures: [{ name: 'Unit 3', displayName: 'Pathways' }] },
+            lectureName: 'Unit 3',
+            cardCount: 5,
+            learningObjectives: [],
+            sourceRecords: [{ sourceRef: 'S1', fileName: 'Pathways.pdf', chunkIndex: 0, text: 'Material.' }],
+            promptTemplate: 'Write {{ cardCount }} {{courseCode}} cards on {{unitDisplayName}}.'
+        });
+
+        expect(prompt).toContain('Write 5 BIOC 202 cards on Pathways.');
+    });
+
     test('uses existing indexed chunks and preserves slide metadata', () => {
         const sources = flashcardService.buildSourceRecordsFromStoredChunks(
             [{
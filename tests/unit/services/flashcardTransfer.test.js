@@ -0,0 +1,136 @@
+const {
+    detectFormat,
+    exportDeck,
+    formatSourceCitation,
+    parseDeckImport,
+    parseDelimited,
+    parseSourceCitation
+} = require('../../../src/services/flashcardTransfer');
+
+describe('parseDelimited', () => {
+    test('handles quoted delimiters, doubled quotes, and line breaks', () => {
+        const rows = parseDelimited('a,"b, c"\r\n"say ""hi""","two\nlines"\nlast,row', ',');
+        expect(rows).toEqual([
+            { line: 1, cells: ['a', 'b, c'] },
+            { line: 2, cells: ['say "hi"', 'two\nlines'] },
+            { line: 4, cells: ['last', 'row'] }
+        ]);
+    });
+});
+
+describe('parseDeckImport', () => {
+    test('reads CSV with a header row and source citations', () => {
+        const csv = [
+            'Question,Answer,Source',
+            '"What does ATP synthase make?","ATP, from ADP","Lecture 1.pdf, page 4"',
+            'Where is the gradient?,Inner membrane,Slides.pptx',
+            'Term only,,'
+        ].join('\n');
+        const result = parseDeckImport(Buffer.from(csv), { filename: 'deck.csv' });
+
+        expect(result.format).toBe('csv');
+        expect(result.totalRows).toBe(3);
+        expect(result.cards).toEqual([
+            { front: 'What does ATP synthase make?', back: 'ATP, from ADP', source: { fileName: 'Lecture 1.pdf', pageNumber: 4 } },
+            { front: 'Where is the gradient?', back: 'Inner membrane', source: { fileName: 'Slides.pptx' } }
+        ]);
+        expect(result.rejected).toEqual([{ row: 4, front: 'Term only', reason: 'Missing a front or back' }]);
+    });
+
+    test('reads Anki plain-text exports with headers, metadata columns, and HTML', () => {
+        const text = [
+            '#separator:tab',
+            '#html:true',
+            '#guid column:1',
+            '#tags column:4',
+            'g1\tWhat is <b>ATP</b>?\tAdenosine&nbsp;triphosphate<br>the energy currency\tbioc',
+            'g2\tKm\tSubstrate concentration at half Vmax\t'
+        ].join('\n');
+        const result = parseDeckImport(text, { filename: 'export.txt' });
+
+        expect(result.format).toBe('anki');
+        expect(result.cards.map(card => [card.front, card.back])).toEqual([
+            ['What is ATP?', 'Adenosine triphosphate the energy currency'],
+            ['Km', 'Substrate concentration at half Vmax']
+        ]);
+        expect(result.rejected).toEqual([]);
+    });
+
+    test('rejects duplicates, overlong text, and rows past the deck limit', () => {
+        const existingCards = Array.from({ length: 18 }, (_, index) => ({ front: `Kept ${index}`, back: 'b' }));
+        const rows = [
+            'kept 3\tclash with a kept card',
+            `${'x'.repeat(301)}\ttoo long`,
+            'New one\tfits',
+            'new ONE\tduplicate in file',
+            'New two\tfits',
+            'New three\tover the limit'
+        ];
+        const result = parseDeckImport(rows.join('\n'), { format: 'anki', existingCards });
+
+        expect(result.cards.map(card => card.front)).toEqual(['New one', 'New two']);
+        expect(result.rejected.map(row => [row.row, row.reason])).toEqual([
+            [1, 'Duplicate front'],
+            [2, 'Front is longer than 300 characters'],
+            [4, 'Duplicate front'],
+            [6, 'A deck can hold at most 20 cards']
+        ]);
+    });
+
+    test('rejects empty files and Anki packages', () => {
+        expect(() => parseDeckImport(' \n')).toThrow(expect.objectContaining({ code: 'INVALID_FLASHCARD_FILE' }));
+        expect(() => parseDeckImport(Buffer.from([0x50, 0x4b, 0x03, 0x04, 0x00])))
+            .toThrow(/Notes in Plain Text/);
+    });
+
+    test('detects the layout from the name or the first row', () => {
+        expect(detectFormat('a,b', 'cards.CSV')).toBe('csv');
+        expect(detectFormat('a,b', 'cards.txt')).toBe('anki');
+        expect(detectFormat('#html:false\nfront\tback')).toBe('anki');
+        expect(detectFormat('front,back')).toBe('csv');
+    });
+});
+
+describe('citations and export', () => {
+    test('round-trips source citations', () => {
+        for (const source of [
+            { fileName: 'Lecture.pdf', pageNumber: 3 },
+            { fileName: 'Deck.pptx', slideNumber: 2 },
+            { fileName: 'Notes.docx', chunkIndex: 4 },
+            { fileName: 'Reading.pdf' }
+        ]) {
+            expect(parseSourceCitation(formatSourceCitation(source))).toEqual(source);
+        }
+        expect(formatSourceCitation(null)).toBe('');
+        expect(parseSourceCitation('Source: Lecture.pdf, page 2')).toEqual({ fileName: 'Lecture.pdf', pageNumber: 2 });
+    });
+
+    test('exports Anki text that imports back into the same cards', () => {
+        const deck = {
+            title: 'Unit 1: Enzymes',
+            publishedCards: [
+                { cardId: 'fc1', front: 'What does "Km" mean?', back: 'Substrate concentration at half Vmax', source: { documentId: 'd1', fileName: 'Lecture.pdf', pageNumber: 5 } },
+                { cardId: 'fc2', front: 'Manual card', back: 'No source', source: null }
+            ]
+        };
+        const result = exportDeck(deck);
+
+        expect(result).toMatchObject({ filename: 'unit-1-enzymes.txt', contentType: 'text/plain; charset=utf-8', exported: 2 });
+        expect(result.body.split('\n').slice(0, 5)).toEqual([
+            '#separator:tab',
+            '#html:false',
+            '#deck:Unit 1: Enzymes',
+            '#columns:Front\tBack\tSource',
+            '"What does ""Km"" mean?"\tSubstrate concentration at half Vmax\tLecture.pdf, page 5'
+        ]);
+        expect(parseDeckImport(result.body, { filename: result.filename }).cards).toEqual([
+            { front: 'What does "Km" mean?', back: 'Substrate concentration at half Vmax', source: { fileName: 'Lecture.pdf', pageNumber: 5 } },
+            { front: 'Manual card', back: 'No source', source: null }
+        ]);
+
+        const csv = exportDeck(deck, 'csv');
+        expect(csv.filename).toBe('unit-1-enzymes.csv');
+        expect(csv.body.startsWith('front,back,source\n"What does ""Km"" mean?",')).toBe(true);
+        expect(() => exportDeck(deck, 'apkg')).toThrow(/Unknown flashcard export format/);
+    });
+});
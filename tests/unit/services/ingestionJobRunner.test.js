@@ -0,0 +1,325 @@
+/**
+ * The ingestion runner against memory-db, a fake GridFS, and fake vector
+ * services: restart recovery, lease respect, and the legacy result shape the
+ * LMS imports still rely on.
+ */
+const mockStoredFiles = new Map();
+jest.mock('ubc-genai-toolkit-document-parsing', () => ({ DocumentParsingModule: jest.fn() }));
+jest.mock('ubc-genai-toolkit-core', () => ({ ConsoleLogger: jest.fn() }));
+jest.mock('../../../src/services/gridfs', () => ({
+    deleteFile: jest.fn(async () => undefined),
+    openDownloadStream: jest.fn((_db, id) => require('stream').Readable.from([mockStoredFiles.get(String(id)) || Buffer.alloc(0)])),
+    uploadBuffer: jest.fn(async (_db, buffer, filename) => {
+        mockStoredFiles.set(`grid-${filename}`, buffer);
+        return `grid-${filename}`;
+    }),
+}));
+
+const { memoryDb } = require('../helpers/memory-db');
+const gridfs = require('../../../src/services/gridfs');
+const jobs = require('../../../src/services/ingestionJobService');
+const runner = require('../../../src/services/ingestionJobRunner');
+const { chunkHash, embedChunks } = require('../../../src/services/vectorReuse');
+
+function courseDb(extra = {}) {
+    return memoryDb({
+        courses: [{ courseId: 'C1', instructorId: 'i1', lectures: [{ name: 'Unit 1', documents: [] }] }],
+        documents: [],
+        ...extra,
+    });
+}
+
+function fakeAi(overrides = {}) {
+    return {
+        llm: { isReady: () => false },
+        qdrant: {
+            processAndStoreDocument: jest.fn(async () => ({ success: true, chunksStored: 2 })),
+            deleteDocumentChunks: jest.fn(async () => ({ success: true })),
+            ...overrides,
+        },
+    };
+}
+
+// Paragraphs are chunks (lines, under any chunking profile); points live in a
+// Map so revisions can be diffed.
+function memoryVectorStore() {
+    const points = new Map();
+    let nextId = 0;
+    const qdrant = {
+        points,
+        generateEmbeddings: jest.fn(async chunks => chunks.map(text => [text.length])),
+        getDocumentPoints: jest.fn(async documentId => [...points.values()]
+            .filter(point => point.payload.documentId === documentId)),
+        deletePoints: jest.fn(async ids => {
+            ids.forEach(id => points.delete(id));
+            return ids.length;
+        }),
+        deleteDocumentChunks: jest.fn(async () => ({ success: true })),
+        processAndStoreDocument: jest.fn(async data => {
+            const chunks = data.content.split(data.chunkingProfile.strategy === 'default' ? '\n\n' : /\n+/);
+            const vectors = await embedChunks(qdrant, chunks, data.vectorReuse);
+            chunks.forEach((text, index) => {
+                nextId += 1;
+                points.set(`p${nextId}`, {
+                    id: `p${nextId}`,
+                    vector: vectors[index],
+                    payload: { documentId: data.documentId, chunkText: text, chunkHash: chunkHash(text), documentVersion: data.documentVersion },
+                });
+            });
+            return { success: true, chunksStored: chunks.length };
+        }),
+    };
+    return qdrant;
+}
+
+function textFile(text = 'Glycolysis splits glucose.') {
+    return {
+        buffer: Buffer.from(text),
+        originalName: 'notes.txt',
+        mimeType: 'text/plain',
+        size: text.length,
+        courseId: 'C1',
+        lectureName: 'Unit 1',
+        documentType: 'lecture-notes',
+        instructorId: 'i1',
+    };
+}
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+afterAll(() => jest.restoreAllMocks());
+
+describe('ingestionJobRunner', () => {
+    test('rejects unsupported files before storing anything', async () => {
+        const db = courseDb();
+        await expect(runner.queueFileIngestion({ db, ...textFile(), mimeType: 'image/png' }))
+            .rejects.toMatchObject({ code: 'UNSUPPORTED_DOCUMENT_TYPE' });
+        expect(gridfs.uploadBuffer).not.toHaveBeenCalled();
+        expect(await db.collection('ingestionJobs').countDocuments({})).toBe(0);
+    });
+
+    test('resumes interrupted jobs at boot, picking up after the last finished stage', async () => {
+        const db = courseDb();
+        const ai = fakeAi();
+        // Crash 1: the document was saved, then the process died mid-embed.
+        const { job: saved } = await runner.queueFileIngestion({ db, ai, ...textFile() });
+        await runner.whenIdle();
+        const documentId = (await jobs.getIngestionJob(db, saved.jobId)).documentId;
+        const stale = new Date(Date.now() - jobs.LEASE_TIMEOUT_MS - 1000);
+        await db.collection('ingestionJobs').updateOne({ jobId: saved.jobId }, {
+            $set: {
+                status: 'running',
+                leaseOwner: 'worker_dead',
+                heartbeatAt: stale,
+                'stages.index.status': 'running',
+                result: null,
+            },
+        });
+        // Crash 2: queued, never started.
+        const { job: queued } = await runner.queueFileIngestion({ db, ai, ...textFile('Krebs cycle'), originalName: 'krebs.txt' });
+        await runner.whenIdle();
+        await db.collection('ingestionJobs').updateOne({ jobId: queued.jobId }, {
+            $set: { status: 'queued', stage: 'extract', documentId: null, 'stages.extract.status': 'pending', 'stages.save.status': 'pending', 'stages.index.status': 'pending' },
+        });
+        await db.collection('documents').deleteMany({ filename: 'krebs.txt' });
+        gridfs.openDownloadStream.mockClear();
+
+        const resumedAi = fakeAi({ processAndStoreDocument: jest.fn(async () => ({ success: true, chunksStored: 5 })) });
+        const registry = { forCourse: jest.fn(async () => resumedAi) };
+        const resumed = await runner.resumePendingIngestionJobs(db, { registry });
+        await runner.whenIdle();
+
+        expect(resumed.sort()).toEqual([saved.jobId, queued.jobId].sort());
+        const first = await jobs.getIngestionJob(db, saved.jobId);
+        expect(first).toMatchObject({ status: 'completed', attempts: 2, documentId, leaseOwner: null });
+        expect(first.result).toMatchObject({ documentId, chunksStored: 5 });
+        expect(resumedAi.qdrant.deleteDocumentChunks).toHaveBeenCalledWith(documentId, 'C1');
+        // Only the never-started job had to read its file back
+        expect(gridfs.openDownloadStream).toHaveBeenCalledTimes(1);
+        expect(gridfs.openDownloadStream).toHaveBeenCalledWith(db, 'grid-krebs.txt');
+        expect((await jobs.getIngestionJob(db, queued.jobId)).status).toBe('completed');
+        expect(await db.collection('documents').countDocuments({})).toBe(2);
+    });
+
+    test('leaves a job alone while another worker holds a live lease', async () => {
+        const db = courseDb({
+            ingestionJobs: [{
+                jobId: 'ingest-live',
+                courseId: 'C1',
+                status: 'running',
+                leaseOwner: 'worker_other',
+                heartbeatAt: new Date(),
+                attempts: 1,
+                stages: {},
+                file: { fileId: 'grid-x', originalName: 'x.txt', mimeType: 'text/plain' },
+            }],
+        });
+
+        const { job } = await runner.runIngestionJob(db, 'ingest-live', { ai: fakeAi() });
+
+        expect(job).toMatchObject({ status: 'running', leaseOwner: 'worker_other', attempts: 1 });
+        expect(runner.leaseRetryDelay(job)).toBeGreaterThan(jobs.LEASE_TIMEOUT_MS - 1000);
+    });
+
+    test('drops answers cached while the document was being indexed', async () => {
+        const db = courseDb();
+        // A student asks a question while the new chunks are being embedded
+        const ai = fakeAi({
+            processAndStoreDocument: jest.fn(async () => {
+                await db.collection('answer_cache').insertOne({ entryId: 'a1', courseId: 'C1', lectureNames: ['Unit 1'], pinned: false });
+                return { success: true, chunksStored: 2 };
+            }),
+        });
+
+        const { job } = await runner.queueFileIngestion({ db, ai, ...textFile() });
+        await runner.whenIdle();
+
+        expect((await jobs.getIngestionJob(db, job.jobId)).status).toBe('completed');
+        expect(await db.collection('answer_cache').countDocuments({})).toBe(0);
+    });
+
+    test('a worker whose lease was reclaimed cannot complete or fail the job', async () => {
+        const db = courseDb();
+        mockStoredFiles.set('grid-lease.txt', Buffer.from('Glycolysis'));
+        const job = await jobs.createIngestionJob(db, {
+            courseId: 'C1',
+            lectureName: 'Unit 1',
+            documentType: 'lecture-notes',
+            instructorId: 'i1',
+            file: { fileId: 'grid-lease.txt', originalName: 'lease.txt', mimeType: 'text/plain', size: 10 },
+        });
+        // The lease expires mid-embed and another worker reclaims the job
+        const ai = fakeAi({
+            processAndStoreDocument: jest.fn(async () => {
+                await db.collection('ingestionJobs').updateOne({ jobId: job.jobId }, { $set: { leaseOwner: 'worker_other' } });
+                return { success: true, chunksStored: 2 };
+            }),
+        });
+
+        const { job: ended, error } = await runner.runIngestionJob(db, job.jobId, { ai });
+
+        expect(error).toBeNull();
+        expect(ended).toMatchObject({ status: 'running', leaseOwner: 'worker_other', result: null });
+        expect(ended.stages.index.status).toBe('running');
+        await expect(jobs.finishIngestionJob(db, job.jobId, runner.WORKER_ID, 'failed', { error: new Error('late') }))
+            .rejects.toMatchObject({ code: 'INGESTION_LEASE_LOST' });
+        await expect(jobs.updateStage(db, job.jobId, runner.WORKER_ID, 'index', 'failed'))
+            .rejects.toMatchObject({ code: 'INGESTION_LEASE_LOST' });
+        expect((await jobs.getIngestionJob(db, job.jobId)).status).toBe('running');
+    });
+
+    test('ingestFileThroughQueue returns the in-request result shape and rethrows the original error', async () => {
+        const db = courseDb();
+        const phases = [];
+        const outcome = await runner.ingestFileThroughQueue({
+            db,
+            ai: fakeAi(),
+            ...textFile(),
+            source: 'canvas',
+            onProgress: ({ phase }) => phases.push(phase),
+        });
+        expect(outcome).toMatchObject({
+            jobId: expect.any(String),
+            result: { documentId: expect.any(String), filename: 'notes.txt' },
+            courseResult: { success: true },
+            qdrantResult: { success: true, chunksStored: 2 },
+        });
+        expect(phases).toEqual(['storing', 'extracting', 'extracted', 'saving', 'indexing']);
+        expect((await jobs.getIngestionJob(db, outcome.jobId)).source).toBe('canvas');
+
+        const keyError = Object.assign(new Error('No key'), { name: 'LlmKeyError' });
+        await expect(runner.ingestFileThroughQueue({
+            db,
+            ai: fakeAi({ processAndStoreDocument: jest.fn(async () => { throw keyError; }) }),
+            ...textFile(),
+        })).rejects.toBe(keyError);
+    });
+
+    test('a new version keeps the document id and re-embeds only the changed chunks', async () => {
+        const db = courseDb();
+        const qdrant = memoryVectorStore();
+        const ai = { llm: { isReady: () => false }, qdrant };
+        const { job: first } = await runner.queueFileIngestion({ db, ai, ...textFile('Glycolysis\n\nKrebs cycle\n\nElectron transport') });
+        await runner.whenIdle();
+        const documentId = (await jobs.getIngestionJob(db, first.jobId)).documentId;
+        const original = await db.collection('documents').findOne({ documentId });
+        qdrant.generateEmbeddings.mockClear();
+
+        const { job } = await runner.queueDocumentRevision({
+            db,
+            ai,
+            document: original,
+            ...textFile('Glycolysis\n\nCitric acid cycle\n\nElectron transport'),
+            originalName: 'notes-v2.txt',
+            createdBy: 'i2',
+        });
+        await expect(jobs.findActiveRevisionJob(db, documentId)).resolves.toMatchObject({ jobId: job.jobId });
+        await runner.whenIdle();
+
+        const finished = await jobs.getIngestionJob(db, job.jobId);
+        expect(finished).toMatchObject({
+            status: 'completed',
+            source: 'revision',
+            revisionOf: documentId,
+            result: { documentId, version: 2, chunksStored: 3, chunksReused: 2, chunksEmbedded: 1 },
+        });
+        expect(finished.stages.index.detail).toBe('3 chunks stored, 2 unchanged, 1 re-embedded');
+        expect(qdrant.generateEmbeddings).toHaveBeenCalledTimes(1);
+        expect(qdrant.generateEmbeddings).toHaveBeenCalledWith(['Citric acid cycle']);
+        expect(qdrant.deleteDocumentChunks).not.toHaveBeenCalled();
+        const stored = [...qdrant.points.values()];
+        expect(stored.map(point => [point.payload.chunkText, point.payload.documentVersion])).toEqual([
+            ['Glycolysis', 2], ['Citric acid cycle', 2], ['Electron transport', 2],
+        ]);
+
+        const saved = await db.collection('documents').findOne({ documentId });
+        expect(saved).toMatchObject({ version: 2, filename: 'notes.txt', originalName: 'notes-v2.txt', fileId: 'grid-notes-v2.txt' });
+        expect(saved.versions.map(entry => [entry.version, entry.fileId, entry.uploadedBy]))
+            .toEqual([[1, 'grid-notes.txt', 'i1'], [2, 'grid-notes-v2.txt', 'i2']]);
+        expect(await db.collection('documents').countDocuments({})).toBe(1);
+        await expect(jobs.findActiveRevisionJob(db, documentId)).resolves.toBeNull();
+    });
+
+    test('re-chunking a document with a new profile re-embeds only the chunks that changed', async () => {
+        const db = courseDb();
+        const qdrant = memoryVectorStore();
+        const ai = { llm: { isReady: () => false }, qdrant };
+        const { job: first } = await runner.queueFileIngestion({ db, ai, ...textFile('Glycolysis\n\nKrebs cycle\nCitric acid') });
+        await runner.whenIdle();
+        const documentId = (await jobs.getIngestionJob(db, first.jobId)).documentId;
+        await db.collection('documents').updateOne({ documentId }, {
+            $set: { chunkingProfile: { strategy: 'fixed-size', chunkSize: 500, chunkOverlap: 0 } },
+        });
+        const document = await db.collection('documents').findOne({ documentId });
+        await db.collection('answer_cache').insertMany([
+            { entryId: 'a1', courseId: 'C1', lectureNames: ['Unit 1'], pinned: false },
+            { entryId: 'a2', courseId: 'C1', lectureNames: ['Unit 2'], pinned: false },
+        ]);
+        qdrant.generateEmbeddings.mockClear();
+        gridfs.openDownloadStream.mockClear();
+
+        const { job } = await runner.queueDocumentRechunk({ db, ai, document, createdBy: 'i1' });
+        expect(job).toMatchObject({ source: 'rechunk', stage: 'index', documentId, stages: { save: { status: 'skipped' } } });
+        await expect(jobs.findActiveDocumentJob(db, documentId)).resolves.toMatchObject({ jobId: job.jobId });
+        await runner.whenIdle();
+
+        expect(await jobs.getIngestionJob(db, job.jobId)).toMatchObject({
+            status: 'completed',
+            result: { documentId, version: 1, chunksStored: 3, chunksReused: 1, chunksEmbedded: 2 },
+        });
+        expect(qdrant.processAndStoreDocument).toHaveBeenLastCalledWith(expect.objectContaining({
+            chunkingProfile: { strategy: 'fixed-size', chunkSize: 500, chunkOverlap: 0 },
+        }));
+        expect(qdrant.generateEmbeddings).toHaveBeenCalledWith(['Krebs cycle', 'Citric acid']);
+        expect([...qdrant.points.values()].map(point => point.payload.chunkText))
+            .toEqual(['Glycolysis', 'Krebs cycle', 'Citric acid']);
+        // Nothing was read back or saved again
+        expect(gridfs.openDownloadStream).not.toHaveBeenCalled();
+        expect(await db.collection('documents').countDocuments({})).toBe(1);
+        await expect(jobs.findActiveDocumentJob(db, documentId)).resolves.toBeNull();
+        // The unit's cached answers cited the old chunks
+        expect((await db.collection('answer_cache').find({}).toArray()).map(entry => entry.entryId)).toEqual(['a2']);
+    });
+});
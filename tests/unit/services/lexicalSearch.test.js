@@ -0,0 +1,58 @@
+const {
+    tokenize,
+    buildLexicalIndex,
+    reciprocalRankFusion,
+    getCachedLexicalIndex,
+    invalidateLexicalIndexes
+} = require('../../../src/services/lexicalSearch');
+
+describe('lexicalSearch', () => {
+    afterEach(() => invalidateLexicalIndexes());
+
+    test('tokenize keeps biochemistry identifiers whole and expands their forms', () => {
+        expect(tokenize('What does PFK-1 do?')).toEqual(['pfk-1', 'pfk1', 'pfk']);
+        expect(tokenize('EC 2.7.1.11')).toEqual(['ec', '2.7.1.11', '27111', '11']);
+        expect(tokenize('NAD+ and NADH')).toEqual(['nad+', 'nad', 'nadh']);
+        expect(tokenize(null)).toEqual([]);
+    });
+
+    test('BM25 ranks exact rare-term matches first and ignores stopword-only queries', () => {
+        const index = buildLexicalIndex([
+            { id: 'glycolysis', text: 'Phosphofructokinase (PFK-1) commits glucose to glycolysis.' },
+            { id: 'tca', text: 'The citric acid cycle oxidizes acetyl-CoA in the mitochondria.' },
+            { id: 'ec', text: 'PFK-1 is classified as EC 2.7.1.11 and is allosterically inhibited by ATP.' },
+            { id: 'blank' }
+        ]);
+
+        expect(index.size).toBe(4);
+        expect(index.search('EC 2.7.1.11').map(hit => hit.id)).toEqual(['ec']);
+        expect(index.search('pfk1 regulation').map(hit => hit.id)).toEqual(expect.arrayContaining(['glycolysis', 'ec']));
+        expect(index.search('what is the', 10)).toEqual([]);
+        expect(index.search('PFK-1', 1)).toHaveLength(1);
+    });
+
+    test('reciprocal rank fusion rewards agreement and records per-list ranks', () => {
+        const fused = reciprocalRankFusion([['a', 'b', 'c'], ['c', 'a', 'd']]);
+
+        expect(fused.map(entry => entry.id)).toEqual(['a', 'c', 'b', 'd']);
+        expect(fused[0].ranks).toEqual([1, 2]);
+        expect(fused[3].ranks).toEqual([null, 3]);
+        expect(fused[0].score).toBeCloseTo(1 / 61 + 1 / 62);
+        expect(reciprocalRankFusion([['a', 'a']])[0].score).toBeCloseTo(1 / 61);
+    });
+
+    test('caches indexes per collection scope until the collection is invalidated', async () => {
+        const loader = jest.fn(async () => buildLexicalIndex([{ id: 'p1', text: 'ATP' }]));
+
+        const first = await getCachedLexicalIndex('docs', '{"c":1}', loader);
+        expect(await getCachedLexicalIndex('docs', '{"c":1}', loader)).toBe(first);
+        await getCachedLexicalIndex('docs', '{"c":2}', loader);
+        await getCachedLexicalIndex('other', '{"c":1}', loader);
+        expect(loader).toHaveBeenCalledTimes(3);
+
+        invalidateLexicalIndexes('docs');
+        await getCachedLexicalIndex('docs', '{"c":1}', loader);
+        await getCachedLexicalIndex('other', '{"c":1}', loader);
+        expect(loader).toHaveBeenCalledTimes(4);
+    });
+});
@@ -1,6 +1,7 @@
 const mockToolkitInstance = {
     sendMessage: jest.fn(),
     sendConversation: jest.fn(),
+    streamConversation: jest.fn(),
     createConversation: jest.fn(),
     getAvailableModels: jest.fn(),
     getProviderName: jest.fn(() => 'mock-provider'),
@@ -43,6 +44,7 @@ beforeAll(() => {
 beforeEach(() => {
     mockToolkitInstance.sendMessage.mockReset();
     mockToolkitInstance.sendConversation.mockReset();
+    mockToolkitInstance.streamConversation.mockReset();
     mockToolkitInstance.createConversation.mockReset();
     mockToolkitInstance.getAvailableModels.mockReset();
     mockToolkitInstance.getProviderName.mockReset().mockReturnValue('mock-provider');
@@ -139,6 +141,63 @@ describe('mocked message and conversation orchestration', () => {
         expect(mockToolkitInstance.sendMessage).toHaveBeenCalledWith('hello', expect.objectContaining({ model: 'gpt-4.1-mini', temperature: 0.2, maxTokens: 50 }));
     });
 
+    test('metered services check the course budget first and record usage by feature and lane', async () => {
+        mockToolkitInstance.sendMessage.mockResolvedValueOnce({ content: 'ok', usage: { promptTokens: 7, completionTokens: 3 } });
+        const usageMeter = { check: jest.fn().mockResolvedValue(), record: jest.fn().mockResolvedValue() };
+        const service = readyService();
+        service.usageMeter = usageMeter;
+
+        await service.sendMessage('hello', { feature: 'tracker', lane: LANES.BACKEND });
+
+        expect(usageMeter.check).toHaveBeenCalledWith('tracker');
+        expect(mockToolkitInstance.sendMessage.mock.calls[0][1]).not.toHaveProperty('feature');
+        expect(usageMeter.record).toHaveBeenCalledWith(expect.objectContaining({
+            feature: 'tracker',
+            lane: LANES.BACKEND,
+            usage: { promptTokens: 7, completionTokens: 3, totalTokens: 10, estimated: false }
+        }));
+
+        usageMeter.check.mockRejectedValueOnce(Object.assign(new Error('paused'), { code: 'LLM_BUDGET_EXCEEDED' }));
+        await expect(service.sendMessage('again', { feature: 'tracker' })).rejects.toThrow('paused');
+        expect(mockToolkitInstance.sendMessage).toHaveBeenCalledTimes(1);
+    });
+
+    test('streamMessage forwards deltas and returns the normalized full reply', async () => {
+        mockToolkitInstance.streamConversation.mockImplementationOnce(async (messages, callback) => {
+            ['\n\n', 'ATP ', 'powers ', 'cells.'].forEach(callback);
+            return { content: '\n\nATP powers cells.' };
+        });
+        const service = readyService();
+        const deltas = [];
+        const result = await service.streamMessage('hello', delta => deltas.push(delta), { systemPrompt: 'S', maxTokens: 50 });
+        expect(deltas.join('')).toBe('ATP powers cells.');
+        expect(result.content).toBe('ATP powers cells.');
+        expect(mockToolkitInstance.streamConversation).toHaveBeenCalledWith(
+            [{ role: 'user', content: 'hello' }],
+            expect.any(Function),
+            expect.objectContaining({ model: 'gpt-4.1-mini', systemPrompt: 'S', maxTokens: 50 })
+        );
+    });
+
+    test('streamMessage stops the provider stream once the signal aborts', async () => {
+        const controller = new AbortController();
+        mockToolkitInstance.streamConversation.mockImplementationOnce(async (messages, callback) => {
+            callback('first ');
+            controller.abort();
+            callback('second');
+            return { content: 'first second' };
+        });
+        const service = readyService();
+        const deltas = [];
+        await expect(service.streamMessage('hello', delta => deltas.push(delta), { signal: controller.signal }))
+            .rejects.toMatchObject({ name: 'AbortError' });
+        expect(deltas).toEqual(['first ']);
+        expect(mockToolkitInstance.streamConversation.mock.calls[0][2]).not.toHaveProperty('signal');
+        await expect(service.streamMessage('again', () => {}, { signal: controller.signal }))
+            .rejects.toMatchObject({ name: 'AbortError' });
+        expect(mockToolkitInstance.streamConversation).toHaveBeenCalledTimes(1);
+    });
+
     test('describeImage sends base64 image content and suppresses sentinel replies', async () => {
         mockToolkitInstance.sendConversation.mockResolvedValueOnce({ content: 'NO_CONTENT' });
         const service = readyService();
@@ -216,6 +275,24 @@ describe('mocked evaluation and safety analysis', () => {
         await expect(service.evaluateStudentAnswer('Q', 'A', 'A', 'short-answer')).resolves.toEqual({ correct: true, feedback: 'not-json but correct": true' });
     });
 
+    test('evaluateWithRubric scores each criterion and scores zero on an unreadable reply', async () => {
+        const service = readyService();
+        const rubric = {
+            criteria: [{ description: 'Names ATP', points: 2 }, { description: 'Explains coupling', points: 2 }],
+            exampleAnswers: [{ answer: 'ATP drives it', points: 2 }]
+        };
+        const send = jest.spyOn(service, 'sendMessage')
+            .mockResolvedValueOnce({ content: '{"criteria":[{"points":2,"feedback":"Yes"},{"points":1,"feedback":"Partly"}],"feedback":"Close"}' })
+            .mockResolvedValueOnce({ content: 'no json here' });
+
+        await expect(service.evaluateWithRubric('Q', 'A', 'Model', rubric, 'Sam')).resolves.toMatchObject({
+            correct: false, score: 0.75, pointsEarned: 3, pointsPossible: 4, feedback: 'Close'
+        });
+        expect(send.mock.calls[0][0]).toContain('(2 pts) Names ATP');
+        expect(send.mock.calls[0][0]).toContain('(2 pts) ATP drives it');
+        await expect(service.evaluateWithRubric('Q', 'A', 'Model', rubric)).resolves.toMatchObject({ score: 0, pointsEarned: 0 });
+    });
+
     test('analyzeMentalHealth parses mocked JSON and fails closed', async () => {
         const service = readyService();
         mockToolkitInstance.sendMessage.mockResolvedValueOnce({ content: '{"concernLevel":"high","reason":"explicit"}' });
@@ -301,6 +378,15 @@ describe('provider error handling', () => {
         await expect(service.sendMessage('hi')).rejects.toBeInstanceOf(LlmKeyError);
     });
 
+    test('streamMessage maps an invalid-key provider error to LlmKeyError', async () => {
+        const service = readyService();
+        service.onProviderKeyFailure = jest.fn().mockResolvedValue();
+        mockToolkitInstance.streamConversation.mockRejectedValueOnce(Object.assign(new Error('bad key'), { status: 401 }));
+        await expect(service.streamMessage('hi', () => {})).rejects.toBeInstanceOf(LlmKeyError);
+        mockToolkitInstance.streamConversation.mockRejectedValueOnce(new Error('network blip'));
+        await expect(service.streamMessage('hi', () => {})).rejects.toThrow('network blip');
+    });
+
     test('a non-key provider error is rethrown unchanged', async () => {
         const service = readyService();
         service.onProviderKeyFailure = jest.fn();
@@ -543,3 +629,32 @@ describe('custom prompt template branches and parser validation', () => {
         expect(readyService().parseGeneratedQuestion(payload, type).question).toContain('Error parsing');
     });
 });
+
+describe('createStreamContentFilter', () => {
+    const { createStreamContentFilter } = LLMService;
+
+    function run(chunks) {
+        const filter = createStreamContentFilter();
+        const out = chunks.map(chunk => filter.push(chunk));
+        out.push(filter.flush());
+        return out.join('');
+    }
+
+    test('drops leading whitespace and a leaked think block split across chunks', () => {
+        expect(run(['\n', '<thi', 'nk>plan', ' steps</thi', 'nk>\n\nAnswer', ' text.'])).toBe('Answer text.');
+        expect(run(['</think>', '  Hello'])).toBe('Hello');
+    });
+
+    test('passes ordinary text through once the reply has started', () => {
+        const filter = createStreamContentFilter();
+        expect(filter.push('<')).toBe('');
+        expect(filter.push('b>bold</b>')).toBe('<b>bold</b>');
+        expect(filter.push(' <think>kept</think>')).toBe(' <think>kept</think>');
+        expect(filter.push(null)).toBe('');
+        expect(filter.flush()).toBe('');
+    });
+
+    test('flushes an unterminated think block the same way normalizeResponseContent keeps it', () => {
+        expect(run(['<think>never closed'])).toBe('<think>never closed');
+    });
+});
@@ -1,4 +1,9 @@
-const { evaluateObjectiveAnswer } = require('../../../src/services/objectiveAnswer');
+const {
+    WRONG_UNIT_CREDIT,
+    evaluateObjectiveAnswer,
+    formatStudentAnswer,
+    parseNumericAnswer
+} = require('../../../src/services/objectiveAnswer');
 
 describe('evaluateObjectiveAnswer', () => {
     test.each([
@@ -13,4 +18,84 @@ describe('evaluateObjectiveAnswer', () => {
             correctAnswer: question.correctAnswer,
         });
     });
+
+    describe('structured types', () => {
+        const numeric = {
+            questionType: 'numeric',
+            numeric: { value: -30.5, tolerance: 0.5, toleranceType: 'absolute', unit: 'kJ/mol' }
+        };
+
+        test.each([
+            ['-30.5 kJ/mol', 1],
+            ['−30.2 kj/mol', 1],
+            ['-31 kJ/mol', 1],
+            ['-31.1 kJ/mol', 0],
+            ['-30.5', WRONG_UNIT_CREDIT],
+            ['-30.5 J/mol', WRONG_UNIT_CREDIT],
+            ['about thirty', 0]
+        ])('grades numeric %p within tolerance and unit', (answer, score) => {
+            const result = evaluateObjectiveAnswer(numeric, answer);
+            expect(result.score).toBe(score);
+            expect(result.correct).toBe(score === 1);
+            expect(result.correctAnswer).toBe('-30.5 kJ/mol (± 0.5)');
+        });
+
+        test('percent tolerance scales with the value', () => {
+            const question = { questionType: 'numeric', numeric: { value: 200, tolerance: 5, toleranceType: 'percent' } };
+            expect(evaluateObjectiveAnswer(question, '1,909').correct).toBe(false);
+            expect(evaluateObjectiveAnswer(question, '209').correct).toBe(true);
+            expect(evaluateObjectiveAnswer(question, '211').correct).toBe(false);
+        });
+
+        test('fill-in-the-blank accepts alternatives and gives per-blank credit', () => {
+            const question = {
+                questionType: 'fill-in-the-blank',
+                question: 'The ___ is the powerhouse; ___ carries energy.',
+                blanks: [{ answers: ['mitochondrion', 'mitochondria'] }, { answers: ['ATP'] }]
+            };
+
+            expect(evaluateObjectiveAnswer(question, ['Mitochondria', ' atp '])).toMatchObject({ correct: true, score: 1 });
+            expect(evaluateObjectiveAnswer(question, '["mitochondrion","NADH"]')).toMatchObject({
+                correct: false,
+                score: 0.5,
+                feedback: expect.stringContaining('blank 2: ATP')
+            });
+        });
+
+        test('matching and ordering give credit per pair and position', () => {
+            const matching = {
+                questionType: 'matching',
+                pairs: [
+                    { prompt: 'ATP', match: 'energy' },
+                    { prompt: 'DNA', match: 'genes' },
+                    { prompt: 'Lipid', match: 'membranes' }
+                ]
+            };
+            const ordering = { questionType: 'ordering', items: ['G1', 'S', 'G2', 'M'] };
+
+            expect(evaluateObjectiveAnswer(matching, ['energy', 'genes', 'membranes']).correct).toBe(true);
+            expect(evaluateObjectiveAnswer(matching, ['energy', 'membranes', 'genes'])).toMatchObject({ correct: false, score: 0.33 });
+            expect(evaluateObjectiveAnswer(ordering, ['G1', 'S', 'G2', 'M']).correct).toBe(true);
+            expect(evaluateObjectiveAnswer(ordering, ['S', 'G1', 'G2', 'M'])).toMatchObject({
+                correct: false,
+                score: 0.5,
+                feedback: expect.stringContaining('G1 → S → G2 → M')
+            });
+        });
+
+        test('a question without a usable key never counts as correct', () => {
+            expect(evaluateObjectiveAnswer({ questionType: 'ordering', items: ['only'] }, ['only'])).toMatchObject({
+                correct: false,
+                score: 0,
+                correctAnswer: null
+            });
+        });
+    });
+
+    test('parses numbers with units and formats list answers', () => {
+        expect(parseNumericAnswer('2.5e-3 M')).toEqual({ value: 0.0025, unit: 'M' });
+        expect(parseNumericAnswer('abc')).toBeNull();
+        expect(formatStudentAnswer([' a', 'b '])).toBe('a; b');
+        expect(formatStudentAnswer(undefined)).toBe('');
+    });
 });
@@ -0,0 +1,108 @@
+const prompts = require('../../../src/services/prompts');
+const {
+    PROMPT_VARIABLES,
+    buildPromptVariables,
+    describeVariables,
+    findTemplateVariables,
+    renderPromptTemplate,
+    validatePromptTemplate
+} = require('../../../src/services/promptTemplates');
+
+const course = {
+    courseId: 'C1',
+    courseName: 'bioc 202 - Cellular Processes',
+    courseCode: 'JOIN42',
+    yearLevel: 2,
+    approvedStruggleTopics: ['Glycolysis', { topic: 'Enzyme kinetics' }, 'glycolysis'],
+    lectures: [
+        { name: 'Unit 1', displayName: 'Metabolism', learningObjectives: ['Describe glycolysis', ' '] },
+        { name: 'Unit 2', learningObjectives: ['Explain Km'] }
+    ]
+};
+
+describe('validatePromptTemplate', () => {
+    test('accepts the course variables with or without inner spaces', () => {
+        expect(validatePromptTemplate('Study {{courseName}} in {{ unitDisplayName }}.', 'base'))
+            .toEqual({ valid: true, errors: [] });
+    });
+
+    test('rejects unknown variables, malformed placeholders, and unclosed braces', () => {
+        const result = validatePromptTemplate('{{studentName}} {{course name}} {{courseCode', 'tutor');
+        expect(result.valid).toBe(false);
+        expect(result.errors).toEqual([
+            'Unknown variable {{studentName}}',
+            'Malformed placeholder {{course name}}',
+            'Unclosed placeholder near "{{courseCode"'
+        ]);
+    });
+
+    test('flashcard prompts also accept the deck variables', () => {
+        expect(validatePromptTemplate('{{cardCount}} cards from {{courseMaterial}}', 'flashcards').valid).toBe(true);
+        expect(validatePromptTemplate('{{cardCount}} cards', 'base').valid).toBe(false);
+        expect(describeVariables('flashcards').map(variable => variable.name)).toContain('lectureName');
+    });
+
+    test('every default prompt is a valid template', () => {
+        for (const [key, template] of Object.entries(prompts.DEFAULT_PROMPTS)) {
+            expect(validatePromptTemplate(template, key)).toEqual({ valid: true, errors: [] });
+        }
+    });
+});
+
+describe('renderPromptTemplate', () => {
+    test('fills known variables and leaves the rest for later steps', () => {
+        expect(renderPromptTemplate('{{courseName}} / {{ cardCount }}', { courseName: 'BIOC 202' }))
+            .toBe('BIOC 202 / {{ cardCount }}');
+        expect(findTemplateVariables('{{a}} {{ b }} {{a}}')).toEqual(['a', 'b']);
+    });
+});
+
+describe('buildPromptVariables', () => {
+    test('resolves course and unit values', () => {
+        expect(buildPromptVariables(course, { unitNames: ['Unit 1', 'Unit 2'] })).toEqual({
+            courseName: 'bioc 202 - Cellular Processes',
+            courseCode: 'BIOC 202',
+            unitDisplayName: 'Metabolism, Unit 2',
+            yearLevel: '2nd Year',
+            approvedTopics: 'Glycolysis, Enzyme kinetics',
+            learningObjectives: '1. Describe glycolysis\n2. Explain Km',
+            wellnessResources: PROMPT_VARIABLES.wellnessResources.fallback
+        });
+    });
+
+    test('lists the course wellness resources for the safety protocol', () => {
+        const variables = buildPromptVariables(course, {
+            wellnessResources: [
+                { name: 'Campus Crisis Line', phone: '604-555-0100', url: null },
+                { name: 'Counselling', phone: null, url: 'https://example.edu/counselling' }
+            ]
+        });
+        expect(variables.wellnessResources).toBe('Campus Crisis Line (604-555-0100); Counselling (https://example.edu/counselling)');
+        expect(PROMPT_VARIABLES.wellnessResources.fallback).toContain('9-8-8 Suicide Crisis Helpline (9-8-8, https://988.ca)');
+    });
+
+    test('never uses the student join code as the course code', () => {
+        const variables = buildPromptVariables({ courseName: 'Metabolism Seminar', courseCode: 'JOIN42' });
+        expect(variables.courseCode).toBe('Metabolism Seminar');
+    });
+
+    test('derives the year from the course number and falls back when values are missing', () => {
+        expect(buildPromptVariables({ courseName: 'BIOC 530' }).yearLevel).toBe('Graduate');
+        expect(buildPromptVariables(null, { unitNames: [null] })).toEqual({
+            courseName: 'this course',
+            courseCode: 'this course',
+            unitDisplayName: 'the current unit',
+            yearLevel: 'university',
+            approvedTopics: 'those covered in the course materials',
+            learningObjectives: 'No learning objectives were provided.',
+            wellnessResources: PROMPT_VARIABLES.wellnessResources.fallback
+        });
+    });
+
+    test('renders the default base prompt without leftover placeholders', () => {
+        const rendered = renderPromptTemplate(prompts.DEFAULT_PROMPTS.base, buildPromptVariables(course, { unitNames: ['Unit 1'] }));
+        expect(rendered).toContain('AI study partner for bioc 202 - Cellular Processes at UBC');
+        expect(rendered).toContain('Focus on BIOC 202 topics such as Glycolysis, Enzyme kinetics');
+        expect(rendered).not.toMatch(/\{\{/);
+    });
+});
@@ -32,6 +32,18 @@ describe('prompts.QUESTION_GENERATION_PROMPT_TEMPLATE', () => {
         expect(out).toContain('<learning_objectives>\nLO\n</learning_objectives>');
         expect(out).toContain('<reading_materials>\nCM\n</reading_materials>');
     });
+
+    test.each([
+        ['numeric', '"numeric": {'],
+        ['fillInTheBlank', '"blanks": ['],
+        ['matching', '"pairs": ['],
+        ['ordering', '"items": [']
+    ])('the %s template asks for its answer key', (key, field) => {
+        const out = prompts.QUESTION_GENERATION_PROMPT_TEMPLATE[key]('LO', 'CM', 'Unit 9: Enzymes');
+        expect(out).toContain('Unit 9: Enzymes');
+        expect(out).toContain(field);
+        expect(prompts.DEFAULT_QUESTION_PROMPTS[key]).toEqual(expect.any(String));
+    });
 });
 
 describe('prompts.buildQuestionExtractionPrompt', () => {
@@ -234,6 +234,19 @@ describe('re-indexing is idempotent and non-destructive', () => {
         expect(qdrantInstances).toHaveLength(1);
     });
 
+    test('instructor chunk edits are passed along so the new index keeps them', async () => {
+        const edit = { editId: 'chunkedit-1', documentId: 'A', action: 'exclude', sourceHashes: ['h'], excluded: true, createdAt: new Date() };
+        const db = memoryDb({
+            courses: [dualKeyCourse('openai')],
+            documents: [{ documentId: 'A', courseId: 'C1', content: 'text' }],
+            chunkEdits: [edit],
+        });
+
+        await runProviderMigration(db, { profile: SANDBOX, toProvider: 'ubc-llm-sandbox' });
+
+        expect(qdrantInstances[0].stored[0].chunkEdits).toEqual([edit]);
+    });
+
     test('a deleted or empty document is skipped, not failed', async () => {
         const db = memoryDb({
             courses: [dualKeyCourse('openai')],
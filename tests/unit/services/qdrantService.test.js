@@ -25,6 +25,8 @@ const { QdrantClient } = require('@qdrant/js-client-rest');
 const { ChunkingModule } = require('ubc-genai-toolkit-chunking');
 const config = require('../../../src/services/config');
 const { buildEmbeddingProfile } = require('../../../src/services/embeddingConfig');
+const { invalidateLexicalIndexes } = require('../../../src/services/lexicalSearch');
+const { chunkHash, createVectorReuse } = require('../../../src/services/vectorReuse');
 
 const hit = (overrides = {}) => ({
     id: 'point-1',
@@ -304,6 +306,17 @@ describe('QdrantService', () => {
         ], must_not: expect.any(Array) } });
     });
 
+    test('figure hits carry their figure locator; text hits do not', () => {
+        const service = makeService();
+        expect(service.transformSearchResult(hit({
+            chunkType: 'figure', figureNumber: 2, pageNumber: 4, caption: 'A cell.', hasImage: true,
+        }))).toMatchObject({
+            chunkType: 'figure',
+            figure: { figureNumber: 2, pageNumber: 4, slideNumber: null, caption: 'A cell.', hasImage: true },
+        });
+        expect(service.transformSearchResult(hit())).not.toHaveProperty('figure');
+    });
+
     test('searchDocuments supports scalar and additional-only filters', async () => {
         const service = makeService();
         await service.searchDocuments('cells', { courseId: 'C', lectureName: 'U', additionalMaterialsOnly: true });
@@ -319,6 +332,63 @@ describe('QdrantService', () => {
         expect(service.client.query).toHaveBeenCalledTimes(2);
     });
 
+    describe('hybrid retrieval', () => {
+        const chunk = (id, chunkText, score) => ({ id, score, payload: { ...hit().payload, chunkText } });
+        const corpus = [
+            chunk('dense-1', 'Glycolysis converts glucose to pyruvate.'),
+            chunk('dense-2', 'Enzymes lower activation energy.'),
+            chunk('pfk', 'PFK-1 (EC 2.7.1.11) is the committed step of glycolysis.'),
+        ];
+
+        function hybridService() {
+            const query = jest.fn(async (_name, params) => {
+                const has = params.filter && params.filter.must.find(cond => cond.has_id);
+                if (has) return { points: has.has_id.map(id => ({ ...corpus.find(p => p.id === id), score: 0.12 })) };
+                return { points: [{ ...corpus[0], score: 0.83 }, { ...corpus[1], score: 0.61 }] };
+            });
+            const scroll = jest.fn(async () => ({ points: corpus.map(({ id, payload }) => ({ id, payload: { chunkText: payload.chunkText } })), next_page_offset: null }));
+            return makeService({ client: { query, scroll } });
+        }
+
+        beforeEach(() => invalidateLexicalIndexes());
+
+        test('searchDocuments fuses dense and BM25 rankings and keeps cosine scores', async () => {
+            const service = hybridService();
+            const results = await service.searchDocuments('PFK-1 in glycolysis', { courseId: 'C1' }, 3, { retrievalMode: 'hybrid' });
+
+            expect(results.map(result => result.id)).toEqual(['dense-1', 'pfk', 'dense-2']);
+            expect(results[1]).toMatchObject({ score: 0.12, vectorRank: null, lexicalRank: 1, chunkText: expect.stringContaining('PFK-1') });
+            expect(results[0]).toMatchObject({ score: 0.83, vectorRank: 1, lexicalRank: 2 });
+            expect(results[0].fusedScore).toBeGreaterThan(results[1].fusedScore);
+
+            const [denseCall, idCall] = service.client.query.mock.calls;
+            expect(denseCall[1]).toMatchObject({ limit: 20, filter: { must: [{ key: 'courseId', match: { value: 'C1' } }] } });
+            expect(idCall[1].filter).toEqual({ must: [{ has_id: ['pfk'] }] });
+            expect(service.client.scroll.mock.calls[0][1]).toMatchObject({ with_payload: ['chunkText'], filter: denseCall[1].filter });
+        });
+
+        test('the keyword index is reused until the collection is written to', async () => {
+            const service = hybridService();
+            await service.searchDocuments('PFK-1', { courseId: 'C1' }, 2, { retrievalMode: 'hybrid' });
+            await service.searchDocuments('EC 2.7.1.11', { courseId: 'C1' }, 2, { retrievalMode: 'hybrid' });
+            expect(service.client.scroll).toHaveBeenCalledTimes(1);
+
+            await service.storeChunks({ courseId: 'C1' }, ['new chunk'], [[1, 2, 3]]);
+            await service.searchDocuments('PFK-1', { courseId: 'C1' }, 2, { retrievalMode: 'hybrid' });
+            expect(service.client.scroll).toHaveBeenCalledTimes(2);
+        });
+
+        test('searchDocumentsByCourse applies each course\'s own retrieval mode', async () => {
+            const service = hybridService();
+            const results = await service.searchDocumentsByCourse('PFK-1', ['A', 'B'], 2, { retrievalModes: { B: 'hybrid' } });
+
+            expect(results.get('A').map(result => result.id)).toEqual(['dense-1', 'dense-2']);
+            expect(results.get('A')[0].fusedScore).toBeUndefined();
+            expect(results.get('B').map(result => result.id)).toContain('pfk');
+            expect(service.embeddings.embed).toHaveBeenCalledTimes(1);
+        });
+    });
+
     test('getDocumentChunks scrolls pages and sorts chunks', async () => {
         const scroll = jest.fn()
             .mockResolvedValueOnce({ points: [{ payload: { chunkIndex: 2, chunkText: 'two' } }], next_page_offset: 'next' })
@@ -389,6 +459,151 @@ describe('QdrantService', () => {
         await expect(service.deleteDocumentChunks('D')).resolves.toEqual({ success: false, error: 'scroll failed' });
     });
 
+    test('storeChunks records each chunk\'s hash and the document version', async () => {
+        const service = makeService();
+        await service.storeChunks({ courseId: 'C', lectureName: 'U', documentId: 'D', fileName: 'f', documentVersion: 3 }, ['hello'], [[1, 2, 3]]);
+        await service.storeChunks({ courseId: 'C', lectureName: 'U', documentId: 'E', fileName: 'f' }, ['hello'], [[1, 2, 3]]);
+        const [versioned, legacy] = service.client.upsert.mock.calls.map(call => call[1].points[0].payload);
+        expect(versioned).toMatchObject({ documentVersion: 3, chunkHash: chunkHash('hello') });
+        expect(legacy.documentVersion).toBe(1);
+        expect(service.transformSearchResult({ id: 'p', score: 1, payload: versioned }).documentVersion).toBe(3);
+    });
+
+    test('processAndStoreDocument embeds only chunks missing from the vector reuse index', async () => {
+        const service = makeService();
+        service.generateEmbeddings = jest.fn(async chunks => chunks.map(() => [0, 0, 1]));
+        const vectorReuse = createVectorReuse([
+            { id: 'old-1', vector: [1, 0, 0], payload: { chunkText: 'first chunk' } },
+            { id: 'old-2', vector: [0, 1, 0], payload: { chunkText: 'removed chunk', chunkHash: chunkHash('removed chunk') } },
+        ]);
+        const result = await service.processAndStoreDocument({
+            courseId: 'C', lectureName: 'U', documentId: 'D', fileName: 'f', documentVersion: 2,
+            content: 'content long enough to chunk', vectorReuse,
+        });
+        expect(result).toMatchObject({ success: true, chunksStored: 2 });
+        expect(service.generateEmbeddings).toHaveBeenCalledWith(['second chunk']);
+        expect(vectorReuse).toMatchObject({ reused: 1, embedded: 1 });
+        expect(service.client.upsert.mock.calls[0][1].points.map(point => point.vector)).toEqual([[1, 0, 0], [0, 0, 1]]);
+    });
+
+    test('getDocumentPoints pages through vectors and deletePoints removes ids in batches', async () => {
+        const service = makeService();
+        service.client.scroll
+            .mockResolvedValueOnce({ points: [{ id: '1', vector: [1, 2, 3], payload: { chunkText: 'a' } }], next_page_offset: 'next' })
+            .mockResolvedValueOnce({ points: [{ id: '2', vector: [3, 2, 1] }], next_page_offset: null });
+        await expect(service.getDocumentPoints('D', 'C')).resolves.toEqual([
+            { id: '1', vector: [1, 2, 3], payload: { chunkText: 'a' } },
+            { id: '2', vector: [3, 2, 1], payload: {} },
+        ]);
+        expect(service.client.scroll.mock.calls[0][1]).toMatchObject({ with_vector: true, filter: { must: expect.arrayContaining([{ key: 'courseId', match: { value: 'C' } }]) } });
+
+        await expect(service.deletePoints([])).resolves.toBe(0);
+        expect(service.client.delete).not.toHaveBeenCalled();
+        const ids = Array.from({ length: 1001 }, (_, index) => `p${index}`);
+        await expect(service.deletePoints([...ids, null])).resolves.toBe(1001);
+        expect(service.client.delete).toHaveBeenCalledTimes(2);
+        expect(service.client.delete.mock.calls[1][1]).toEqual({ points: ['p1000'] });
+    });
+
+    describe('chunks excluded or edited by an instructor', () => {
+        const excludedCondition = { key: 'excluded', match: { value: true } };
+
+        test('every search leaves excluded chunks out, alongside other must_not filters', async () => {
+            const service = makeService();
+            await service.searchDocuments('q', { courseId: 'C', excludeAdditionalMaterials: true });
+            expect(service.client.query.mock.calls[0][1].filter.must_not).toEqual([
+                { key: 'documentType', match: { value: 'additional' } },
+                { key: 'type', match: { value: 'additional' } },
+                excludedCondition,
+            ]);
+            await service.searchDocumentsByCourse('q', ['A'], 2);
+            expect(service.client.query.mock.calls[1][1].filter.must_not).toEqual([excludedCondition]);
+        });
+
+        test('getDocumentChunks skips excluded chunks; getUnitChunkRecords lists them only on request', async () => {
+            const points = [
+                { id: '1', payload: { documentId: 'D', chunkIndex: 0, chunkText: 'kept', edited: true } },
+                { id: '2', payload: { documentId: 'D', chunkIndex: 1, chunkText: 'References...', excluded: true } },
+            ];
+            const service = makeService({ client: { scroll: jest.fn(async () => ({ points, next_page_offset: null })) } });
+            await expect(service.getDocumentChunks('D')).resolves.toEqual(['kept']);
+            await expect(service.getUnitChunkRecords('C', 'U', ['D'])).resolves.toEqual([
+                expect.objectContaining({ id: '1', edited: true, excluded: false }),
+            ]);
+            const all = await service.getUnitChunkRecords('C', 'U', ['D'], { includeExcluded: true });
+            expect(all.map(record => [record.id, record.excluded])).toEqual([['1', false], ['2', true]]);
+        });
+
+        test('setChunkPayload updates points without re-embedding', async () => {
+            const service = makeService({ client: { setPayload: jest.fn(async () => {}) } });
+            await service.setChunkPayload([], { excluded: true });
+            expect(service.client.setPayload).not.toHaveBeenCalled();
+            await service.setChunkPayload(['p1'], { excluded: true });
+            expect(service.client.setPayload).toHaveBeenCalledWith(service.collectionName, { payload: { excluded: true }, points: ['p1'] });
+            expect(service.embeddings.embed).not.toHaveBeenCalled();
+        });
+
+        test('processAndStoreDocument replays chunk edits over the fresh chunks', async () => {
+            const service = makeService();
+            service.generateEmbeddings = jest.fn(async chunks => chunks.map(() => [1, 2, 3]));
+            const result = await service.processAndStoreDocument({
+                courseId: 'C', lectureName: 'U', documentId: 'D', fileName: 'f',
+                content: 'content long enough to chunk',
+                chunkEdits: [
+                    { action: 'edit', sourceHashes: [chunkHash('first chunk')], texts: ['first chunk, fixed'] },
+                    { action: 'exclude', sourceHashes: [chunkHash('second chunk')], excluded: true },
+                ],
+            });
+            expect(result).toMatchObject({ success: true, chunksStored: 2 });
+            expect(service.client.upsert.mock.calls[0][1].points.map(point => point.payload)).toEqual([
+                expect.objectContaining({ chunkText: 'first chunk, fixed', edited: true, chunkIndex: 0 }),
+                expect.objectContaining({ chunkText: 'second chunk', excluded: true, chunkIndex: 1 }),
+            ]);
+        });
+    });
+
+    test('processAndStoreDocument chunks with the document\'s chunking profile instead of the toolkit chunker', async () => {
+        const service = makeService();
+        service.generateEmbeddings = jest.fn(async chunks => chunks.map(() => [1, 2, 3]));
+        const result = await service.processAndStoreDocument({
+            courseId: 'C', lectureName: 'U', documentId: 'D', fileName: 'f',
+            content: '1. What is ATP?\n2. Name an organelle.',
+            chunkingProfile: { strategy: 'question-per-chunk', chunkSize: 500, chunkOverlap: 0 },
+            chunkEdits: [{ action: 'exclude', sourceHashes: [chunkHash('2. Name an organelle.')], excluded: true }],
+        });
+        expect(result).toMatchObject({ success: true, chunksStored: 2 });
+        expect(service.chunker.chunkDocuments).not.toHaveBeenCalled();
+        expect(service.client.upsert.mock.calls[0][1].points.map(point => point.payload)).toEqual([
+            expect.objectContaining({ chunkText: '1. What is ATP?', questionNumber: 1, strategyUsed: 'question-per-chunk' }),
+            expect.objectContaining({ chunkText: '2. Name an organelle.', questionNumber: 2, excluded: true }),
+        ]);
+
+        // The default profile keeps the toolkit chunker
+        await expect(service.chunkDocument({ documentId: 'D', content: 'content long enough to chunk', chunkingProfile: { strategy: 'default' } }))
+            .resolves.toMatchObject({ chunks: ['first chunk', 'second chunk'] });
+        expect(service.chunker.chunkDocuments).toHaveBeenCalledTimes(1);
+    });
+
+    test('imported web sections are chunked as they are and cite their anchor in search hits', async () => {
+        const service = makeService();
+        service.generateEmbeddings = jest.fn(async chunks => chunks.map(() => [1, 2, 3]));
+        const result = await service.processAndStoreDocument({
+            courseId: 'C', lectureName: 'U', documentId: 'D', fileName: 'Biology 2e',
+            content: '# Glycolysis\n\nGlucose is split.',
+            sections: [{ heading: 'Glycolysis', anchor: 'sec-7-2', sourceUrl: 'https://example.org/7#sec-7-2', text: 'Glucose is split.' }],
+        });
+        expect(result).toMatchObject({ success: true, chunksStored: 1 });
+        expect(service.chunker.chunkDocuments).not.toHaveBeenCalled();
+        const payload = service.client.upsert.mock.calls[0][1].points[0].payload;
+        expect(payload).toMatchObject({
+            chunkText: 'Glycolysis\nGlucose is split.', sourceUnit: 'section', sectionAnchor: 'sec-7-2', strategyUsed: 'section',
+        });
+
+        expect(service.transformSearchResult({ id: 'p', score: 1, payload }).section)
+            .toEqual({ heading: 'Glycolysis', anchor: 'sec-7-2', url: 'https://example.org/7#sec-7-2' });
+        expect(service.transformSearchResult(hit())).not.toHaveProperty('section');
+    });
+
     test('collection maintenance returns stats and delete outcomes', async () => {
         const service = makeService();
         await expect(service.getCollectionStats()).resolves.toEqual({ name: service.collectionName, vectorSize: 3, distance: 'Cosine', pointsCount: 4, segmentsCount: 2, status: 'green' });
@@ -509,8 +724,10 @@ describe('QdrantService coverage: stub embeddings, probe warnings, key failures,
             await service.searchDocuments('q', filters);
             return service.client.query.mock.calls[0][1].filter;
         };
-        expect(await filterFor({ lectureName: 'U1' })).toEqual({ must: [{ key: 'lectureName', match: { value: 'U1' } }] });
-        expect(await filterFor({ lectureNames: ['U1', 'U2'] })).toEqual({ must: [{ key: 'lectureName', match: { any: ['U1', 'U2'] } }] });
+        const notExcluded = [{ key: 'excluded', match: { value: true } }];
+        expect(await filterFor({})).toEqual({ must: [], must_not: notExcluded });
+        expect(await filterFor({ lectureName: 'U1' })).toEqual({ must: [{ key: 'lectureName', match: { value: 'U1' } }], must_not: notExcluded });
+        expect(await filterFor({ lectureNames: ['U1', 'U2'] })).toEqual({ must: [{ key: 'lectureName', match: { any: ['U1', 'U2'] } }], must_not: notExcluded });
         expect(await filterFor({ excludeAdditionalMaterials: true })).toMatchObject({ must: [], must_not: expect.any(Array) });
         expect((await filterFor({ additionalMaterialsOnly: true })).must[0].should).toHaveLength(2);
     });
@@ -0,0 +1,59 @@
+const {
+    isCompoundQuestion,
+    buildRewritePrompt,
+    parseRewrite,
+    rewriteQuery
+} = require('../../../src/services/queryRewriter');
+const { LANES } = require('../../../src/services/llmLanes');
+
+const turns = [
+    { role: 'user', content: 'What does PFK-1 do?' },
+    { role: 'assistant', content: 'PFK-1 catalyzes the committed step of glycolysis.' }
+];
+
+function llmReplying(content) {
+    return { sendMessage: jest.fn().mockResolvedValue({ content }) };
+}
+
+describe('queryRewriter', () => {
+    test('searches a first-turn single question as typed without calling the LLM', async () => {
+        const llmService = llmReplying('{}');
+        const result = await rewriteQuery('What is ATP?', { turns: [], llmService });
+        expect(result).toEqual({ original: 'What is ATP?', standalone: 'What is ATP?', queries: ['What is ATP?'], rewritten: false, fallbackReason: null });
+        expect(llmService.sendMessage).not.toHaveBeenCalled();
+    });
+
+    test('resolves follow-ups against recent turns on the back-end lane', async () => {
+        const llmService = llmReplying('{"standalone": "Why is PFK-1 the committed step of glycolysis?", "subQueries": []}');
+        const result = await rewriteQuery('why does it do that?', { turns, llmService });
+
+        expect(result).toMatchObject({ standalone: 'Why is PFK-1 the committed step of glycolysis?', queries: ['Why is PFK-1 the committed step of glycolysis?'], rewritten: true });
+        const [prompt, options] = llmService.sendMessage.mock.calls[0];
+        expect(prompt).toContain('BiocBot: PFK-1 catalyzes the committed step of glycolysis.');
+        expect(prompt).toContain('Latest message: "why does it do that?"');
+        expect(options).toMatchObject({ lane: LANES.BACKEND, temperature: 0 });
+    });
+
+    test('splits compound questions into sub-queries even on the first turn', async () => {
+        expect(isCompoundQuestion('What is PFK-1? Where is it found?')).toBe(true);
+        expect(isCompoundQuestion('What is PFK-1?')).toBe(false);
+
+        const llmService = llmReplying('```json\n{"standalone": "PFK-1 function and location", "subQueries": ["What is PFK-1?", "Where is PFK-1 found?", "What is PFK-1?"]}\n```');
+        const result = await rewriteQuery('What is PFK-1? Where is it found?', { llmService });
+        expect(result.queries).toEqual(['What is PFK-1?', 'Where is PFK-1 found?']);
+        expect(buildRewritePrompt('q?', [])).not.toContain('Recent conversation');
+    });
+
+    test('falls back to the message as typed when rewriting fails', async () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const bad = await rewriteQuery('and then?', { turns, llmService: llmReplying('sure thing') });
+        expect(bad).toMatchObject({ queries: ['and then?'], rewritten: false, fallbackReason: 'Rewrite response was not JSON' });
+
+        const rejected = await rewriteQuery('and then?', { turns, llmService: { sendMessage: jest.fn().mockRejectedValue(new Error('timeout')) } });
+        expect(rejected.fallbackReason).toBe('timeout');
+
+        expect(() => parseRewrite('{"standalone": "  "}')).toThrow('no standalone query');
+        warn.mockRestore();
+    });
+});
@@ -0,0 +1,315 @@
+const {
+    buildImportPreview,
+    detectFormat,
+    exportQuestionBank,
+    parseQuestionBank,
+    prepareExport,
+    validateImportedQuestion
+} = require('../../../src/services/questionBank');
+const { parseGift } = require('../../../src/services/questionBankGift');
+const { parseMoodleXml } = require('../../../src/services/questionBankMoodle');
+const { parseQti } = require('../../../src/services/questionBankQti');
+const { createZip, readZip } = require('../../../src/services/zipArchive');
+
+function buildLectures() {
+    return [
+        {
+            name: 'Unit 1',
+            displayName: 'Enzymes',
+            learningObjectives: ['Explain enzyme catalysis'],
+            assessmentQuestions: [
+                {
+                    questionId: 'q_mc',
+                    questionType: 'multiple-choice',
+                    question: 'Which lowers activation energy?',
+                    options: ['An enzyme', 'Heat', 'Salt'],
+                    correctAnswer: 0,
+                    explanation: 'Enzymes stabilize the transition state.',
+                    learningObjective: 'Explain enzyme catalysis'
+                },
+                {
+                    questionId: 'q_legacy',
+                    questionType: 'multiple-choice',
+                    question: 'Pick {the} right = one: B',
+                    options: { A: 'Wrong ~ one', B: 'Right # one' },
+                    correctAnswer: 'B'
+                },
+                { questionId: 'q_tf', questionType: 'true-false', question: 'ATP stores energy.', correctAnswer: false },
+                {
+                    questionId: 'q_sa',
+                    questionType: 'short-answer',
+                    question: 'What does Km describe?',
+                    correctAnswer: 'The substrate concentration at half of Vmax.'
+                },
+                {
+                    questionId: 'q_num',
+                    questionType: 'numeric',
+                    question: 'Standard free energy of ATP hydrolysis?',
+                    numeric: { value: -30.5, tolerance: 0.5, toleranceType: 'absolute', unit: '' }
+                }
+            ]
+        },
+        {
+            name: 'Unit 2',
+            displayName: 'Metabolism',
+            learningObjectives: ['Trace glycolysis'],
+            assessmentQuestions: [
+                {
+                    questionId: 'q_fill',
+                    questionType: 'fill-in-the-blank',
+                    question: 'Glycolysis happens in the ___.',
+                    blanks: [{ answers: ['cytosol', 'cytoplasm'] }],
+                    learningObjective: 'Trace glycolysis'
+                },
+                {
+                    questionId: 'q_match',
+                    questionType: 'matching',
+                    question: 'Match each enzyme to its step.',
+                    pairs: [{ prompt: 'Hexokinase', match: 'Step 1' }, { prompt: 'Aldolase', match: 'Step 4' }],
+                    distractors: []
+                },
+                {
+                    questionId: 'q_order',
+                    questionType: 'ordering',
+                    question: 'Order the intermediates.',
+                    items: ['Glucose', 'Glucose-6-phosphate', 'Fructose-6-phosphate']
+                },
+                {
+                    questionId: 'q_two_blanks',
+                    questionType: 'fill-in-the-blank',
+                    question: '___ is oxidized and ___ is reduced.',
+                    blanks: [{ answers: ['NADH'] }, { answers: ['Oxygen'] }]
+                }
+            ]
+        }
+    ];
+}
+
+function roundTrip(format) {
+    const lectures = buildLectures();
+    const exported = exportQuestionBank(lectures, format, { title: 'BIOC 202' });
+    const buffer = Buffer.isBuffer(exported.body) ? exported.body : Buffer.from(exported.body);
+    const parsed = parseQuestionBank(buffer, detectFormat(buffer, exported.filename));
+    return { exported, parsed, preview: buildImportPreview(parsed, lectures) };
+}
+
+function byText(preview, text) {
+    return preview.questions.find(question => question.question === text);
+}
+
+describe('exportQuestionBank round trips', () => {
+    test.each(['qti', 'moodle'])('%s keeps every question type, unit, and objective', (format) => {
+        const { exported, preview } = roundTrip(format);
+
+        expect(exported.exported).toBe(9);
+        expect(exported.skipped).toEqual([]);
+        expect(preview.summary).toEqual({ total: 9, ready: 9, invalid: 0, unsupported: 0 });
+
+        const mc = byText(preview, 'Which lowers activation energy?');
+        expect(mc).toMatchObject({ lectureName: 'Unit 1', learningObjective: 'Explain enzyme catalysis', correctAnswer: 0 });
+        expect(mc.draft.options).toEqual(['An enzyme', 'Heat', 'Salt']);
+        expect(mc.draft.explanation).toBe('Enzymes stabilize the transition state.');
+        expect(byText(preview, 'Pick {the} right = one: B').draft).toMatchObject({ options: ['Wrong ~ one', 'Right # one'], correctAnswer: 1 });
+        expect(byText(preview, 'ATP stores energy.').correctAnswer).toBe(false);
+        expect(byText(preview, 'What does Km describe?').correctAnswer).toBe('The substrate concentration at half of Vmax.');
+        expect(byText(preview, 'Standard free energy of ATP hydrolysis?').draft.numeric).toMatchObject({ value: -30.5, tolerance: 0.5 });
+        expect(byText(preview, 'Glycolysis happens in the ___.')).toMatchObject({ lectureName: 'Unit 2', learningObjective: 'Trace glycolysis' });
+        expect(byText(preview, 'Glycolysis happens in the ___.').draft.blanks).toEqual([{ answers: ['cytosol', 'cytoplasm'] }]);
+        expect(byText(preview, 'Match each enzyme to its step.').draft.pairs).toHaveLength(2);
+        expect(byText(preview, 'Order the intermediates.').draft.items).toEqual(['Glucose', 'Glucose-6-phosphate', 'Fructose-6-phosphate']);
+        expect(byText(preview, '___ is oxidized and ___ is reduced.').draft.blanks).toHaveLength(2);
+    });
+
+    test('gift reports the questions it cannot hold and round trips the rest', () => {
+        const { exported, preview } = roundTrip('gift');
+
+        expect(exported.filename).toBe('bioc-202-question-bank.gift.txt');
+        expect(exported.exported).toBe(7);
+        expect(exported.skipped.map(item => item.questionId)).toEqual(['q_order', 'q_two_blanks']);
+        expect(preview.summary).toEqual({ total: 7, ready: 7, invalid: 0, unsupported: 0 });
+        expect(byText(preview, 'Which lowers activation energy?')).toMatchObject({ lectureName: 'Unit 1', learningObjective: 'Explain enzyme catalysis' });
+        expect(byText(preview, 'Pick {the} right = one: B').draft.options).toEqual(['Wrong ~ one', 'Right # one']);
+        expect(byText(preview, 'Glycolysis happens in the ___.').draft.blanks).toEqual([{ answers: ['cytosol', 'cytoplasm'] }]);
+    });
+
+    test('qti packages carry a manifest, a test with a section per unit, and one file per item', () => {
+        const { exported } = roundTrip('qti');
+        const names = readZip(exported.body).map(file => file.name);
+
+        expect(exported.contentType).toBe('application/zip');
+        expect(names).toEqual(expect.arrayContaining(['imsmanifest.xml', 'assessment.xml', 'items/q_mc.xml']));
+        const test = readZip(exported.body).find(file => file.name === 'assessment.xml').data.toString();
+        expect(test).toContain('title="Unit 1"');
+        expect(test).toContain('title="Unit 2"');
+    });
+});
+
+describe('prepareExport', () => {
+    test('converts percent tolerances to absolute and skips choices without one correct answer', () => {
+        const { units, skipped } = prepareExport([{
+            name: 'Unit 1',
+            assessmentQuestions: [
+                { questionId: 'q_pct', questionType: 'numeric', question: 'Yield?', numeric: { value: 200, tolerance: 5, toleranceType: 'percent', unit: 'g' } },
+                { questionId: 'q_bad', questionType: 'multiple-choice', question: 'Which?', options: ['a', 'b'], correctAnswer: '' }
+            ]
+        }]);
+
+        expect(units[0].questions[0].numeric).toEqual({ value: 200, tolerance: 10, unit: 'g' });
+        expect(skipped).toEqual([{ questionId: 'q_bad', lectureName: 'Unit 1', reason: 'No single correct choice' }]);
+    });
+});
+
+describe('detectFormat', () => {
+    test('recognizes each format from its contents', () => {
+        expect(detectFormat(createZip([{ name: 'a.xml', data: '<x/>' }]))).toBe('qti');
+        expect(detectFormat(Buffer.from('<?xml version="1.0"?>\n<quiz></quiz>'))).toBe('moodle');
+        expect(detectFormat(Buffer.from('<questestinterop></questestinterop>'))).toBe('qti');
+        expect(detectFormat(Buffer.from('Is it? {T}'))).toBe('gift');
+        expect(detectFormat(Buffer.from('just some notes'))).toBeNull();
+    });
+});
+
+describe('buildImportPreview', () => {
+    const lectures = [{ name: 'Unit 1', displayName: 'Enzymes', learningObjectives: ['Explain enzyme catalysis'] }];
+
+    test('matches units by display name and objectives case-insensitively', () => {
+        const preview = buildImportPreview(parseGift([
+            '$CATEGORY: $course$/enzymes',
+            '// learning objective: explain ENZYME catalysis',
+            'Enzymes are proteins or RNA. {T}'
+        ].join('\n')), lectures);
+
+        expect(preview.questions[0]).toMatchObject({
+            lectureName: 'Unit 1',
+            learningObjective: 'Explain enzyme catalysis',
+            warnings: []
+        });
+    });
+
+    test('falls back to the default unit and warns about unknown units and objectives', () => {
+        const preview = buildImportPreview(parseGift([
+            '$CATEGORY: $course$/Week 9',
+            '// learning objective: Something else',
+            'Enzymes are proteins or RNA. {T}'
+        ].join('\n')), lectures, { defaultLectureName: 'Unit 1' });
+
+        expect(preview.questions[0].lectureName).toBe('Unit 1');
+        expect(preview.questions[0].warnings).toEqual([
+            'Unit "Week 9" is not in this course; it will go to Enzymes.',
+            'Learning objective "Something else" is not one of this unit\'s objectives; it will be kept as written.'
+        ]);
+    });
+
+    test('leaves the unit empty when nothing matches and there is no default', () => {
+        const preview = buildImportPreview(parseGift('Is it? {T}'), lectures);
+        expect(preview.questions[0].lectureName).toBe('');
+        expect(preview.summary.ready).toBe(0);
+    });
+});
+
+describe('validateImportedQuestion', () => {
+    test('rejects drafts the editor would reject', () => {
+        expect(validateImportedQuestion({ questionType: 'multiple-choice', question: 'Q', options: ['a'], correctAnswer: 0 }).error)
+            .toBe('Multiple-choice questions need at least two non-empty choices');
+        expect(validateImportedQuestion({ questionType: 'short-answer', question: 'Q', correctAnswer: ' ' }).error)
+            .toBe('Short-answer question has no expected answer');
+        expect(validateImportedQuestion({ questionType: 'ordering', question: 'Q', items: ['only'] }).valid).toBe(false);
+        expect(validateImportedQuestion({ questionType: 'true-false', question: '', correctAnswer: true }).error)
+            .toBe('Question text is empty');
+    });
+});
+
+describe('format readers report what they cannot import', () => {
+    test('gift', () => {
+        const parsed = parseGift([
+            'Pick two {~%50%a ~%50%b ~c}',
+            '',
+            'Which is right? {=yes ~no}'
+        ].join('\n'));
+
+        expect(parsed.questions).toHaveLength(1);
+        expect(parsed.unsupported).toHaveLength(1);
+        expect(parsed.unsupported[0].reason).toMatch(/not supported/);
+    });
+
+    test('moodle', () => {
+        const parsed = parseMoodleXml([
+            '<quiz>',
+            '  <question type="category"><category><text>$course$/top/Unit 1</text></category></question>',
+            '  <question type="calculated"><name><text>Calc</text></name><questiontext format="html"><text>x</text></questiontext></question>',
+            '  <question type="multichoice"><name><text>MC</text></name>',
+            '    <questiontext format="html"><text><![CDATA[<p>Which <b>one</b>?</p>]]></text></questiontext>',
+            '    <single>true</single>',
+            '    <answer fraction="100"><text>Right</text></answer>',
+            '    <answer fraction="0"><text>Wrong</text></answer>',
+            '  </question>',
+            '</quiz>'
+        ].join('\n'));
+
+        expect(parsed.questions).toEqual([expect.objectContaining({
+            questionType: 'multiple-choice',
+            question: 'Which one?',
+            options: ['Right', 'Wrong'],
+            correctAnswer: 0,
+            unit: 'Unit 1'
+        })]);
+        expect(parsed.unsupported).toEqual([{ title: 'Calc', reason: 'Moodle "calculated" questions are not supported' }]);
+    });
+
+    test('canvas qti quiz export', () => {
+        const quiz = `<?xml version="1.0" encoding="UTF-8"?>
+<questestinterop xmlns="http://www.imsglobal.org/xsd/ims_qtiasiv1p2">
+  <assessment ident="quiz1" title="Enzymes">
+    <section ident="root_section">
+      <item ident="i1" title="Question">
+        <itemmetadata><qtimetadata>
+          <qtimetadatafield><fieldlabel>question_type</fieldlabel><fieldentry>multiple_choice_question</fieldentry></qtimetadatafield>
+        </qtimetadata></itemmetadata>
+        <presentation>
+          <material><mattext texttype="text/html">&lt;p&gt;Which lowers activation energy?&lt;/p&gt;</mattext></material>
+          <response_lid ident="response1" rcardinality="Single"><render_choice>
+            <response_label ident="a1"><material><mattext texttype="text/plain">Heat</mattext></material></response_label>
+            <response_label ident="a2"><material><mattext texttype="text/plain">An enzyme</mattext></material></response_label>
+          </render_choice></response_lid>
+        </presentation>
+        <resprocessing>
+          <respcondition continue="No"><conditionvar><varequal respident="response1">a2</varequal></conditionvar><setvar action="Set" varname="SCORE">100</setvar></respcondition>
+        </resprocessing>
+      </item>
+      <item ident="i2" title="Question">
+        <itemmetadata><qtimetadata>
+          <qtimetadatafield><fieldlabel>question_type</fieldlabel><fieldentry>numerical_question</fieldentry></qtimetadatafield>
+        </qtimetadata></itemmetadata>
+        <presentation><material><mattext texttype="text/html">&lt;p&gt;pH of blood?&lt;/p&gt;</mattext></material></presentation>
+        <resprocessing>
+          <respcondition continue="No"><conditionvar><or><varequal respident="response1">7.4</varequal><and><vargte respident="response1">7.35</vargte><varlte respident="response1">7.45</varlte></and></or></conditionvar><setvar action="Set" varname="SCORE">100</setvar></respcondition>
+        </resprocessing>
+      </item>
+      <item ident="i3" title="Upload">
+        <itemmetadata><qtimetadata>
+          <qtimetadatafield><fieldlabel>question_type</fieldlabel><fieldentry>file_upload_question</fieldentry></qtimetadatafield>
+        </qtimetadata></itemmetadata>
+        <presentation><material><mattext>Upload a gel</mattext></material></presentation>
+      </item>
+    </section>
+  </assessment>
+</questestinterop>`;
+        const parsed = parseQti(createZip([
+            { name: 'imsmanifest.xml', data: '<manifest identifier="m"/>' },
+            { name: 'quiz1/quiz1.xml', data: quiz },
+            { name: 'quiz1/assessment_meta.xml', data: '<quiz identifier="quiz1"><title>Enzymes</title></quiz>' }
+        ]));
+
+        expect(parsed.questions).toEqual([
+            expect.objectContaining({ questionType: 'multiple-choice', question: 'Which lowers activation energy?', options: ['Heat', 'An enzyme'], correctAnswer: 1, unit: 'Enzymes' }),
+            expect.objectContaining({ questionType: 'numeric', question: 'pH of blood?' })
+        ]);
+        expect(parsed.questions[1].numeric.value).toBe(7.4);
+        expect(parsed.questions[1].numeric.tolerance).toBeCloseTo(0.05);
+        expect(parsed.unsupported).toEqual([{ title: 'Upload', reason: 'Canvas file upload questions are not supported' }]);
+    });
+
+    test('qti files that are not packages or items are rejected', () => {
+        expect(() => parseQti(Buffer.from('<html></html>'))).toThrow('No QTI items were found in this file');
+    });
+});
@@ -0,0 +1,97 @@
+const {
+    QUESTION_TYPES,
+    countBlanks,
+    isStructuredType,
+    normalizeQuestionFields,
+    toStudentFields
+} = require('../../../src/services/questionTypes');
+
+describe('questionTypes', () => {
+    test('lists the original and structured types', () => {
+        expect(QUESTION_TYPES).toEqual(expect.arrayContaining([
+            'multiple-choice', 'true-false', 'short-answer', 'numeric', 'fill-in-the-blank', 'matching', 'ordering'
+        ]));
+        expect(isStructuredType('numeric')).toBe(true);
+        expect(isStructuredType('short-answer')).toBe(false);
+        expect(countBlanks('The ___ binds to the _____ site.')).toBe(2);
+    });
+
+    test('passes non-structured questions through and rejects unknown types', () => {
+        const question = { questionType: 'multiple-choice', correctAnswer: 'A' };
+        expect(normalizeQuestionFields(question)).toEqual({ valid: true, question });
+        expect(normalizeQuestionFields({ questionType: 'essay' })).toMatchObject({ valid: false });
+    });
+
+    test('normalizes a numeric key and fills in a readable correct answer', () => {
+        const result = normalizeQuestionFields({
+            questionType: 'numeric',
+            numeric: { value: '-30.5', tolerance: '0.5', unit: ' kJ/mol ' }
+        });
+
+        expect(result.valid).toBe(true);
+        expect(result.question.numeric).toEqual({ value: -30.5, tolerance: 0.5, toleranceType: 'absolute', unit: 'kJ/mol' });
+        expect(result.question.correctAnswer).toBe('-30.5 kJ/mol (± 0.5)');
+    });
+
+    test.each([
+        [{ questionType: 'numeric', numeric: { value: 'abc' } }, 'numeric.value'],
+        [{ questionType: 'numeric', numeric: { value: 1, tolerance: -1 } }, 'tolerance'],
+        [{ questionType: 'numeric', numeric: { value: 1, toleranceType: 'relative' } }, 'toleranceType'],
+        [{ questionType: 'fill-in-the-blank', question: 'No blanks here', blanks: [] }, '___'],
+        [{ questionType: 'fill-in-the-blank', question: 'A ___ and ___', blanks: [{ answers: ['x'] }] }, '2 blank(s)'],
+        [{ questionType: 'fill-in-the-blank', question: 'A ___', blanks: [{ answers: [' '] }] }, 'blank 1'],
+        [{ questionType: 'matching', pairs: [{ prompt: 'a', match: 'b' }] }, 'between 2 and 12'],
+        [{ questionType: 'matching', pairs: [{ prompt: 'a', match: 'b' }, { prompt: 'A', match: 'c' }] }, 'unique'],
+        [{ questionType: 'ordering', items: ['one', 'One'] }, 'unique']
+    ])('rejects an invalid key (%#)', (question, message) => {
+        const result = normalizeQuestionFields(question);
+        expect(result.valid).toBe(false);
+        expect(result.error).toContain(message);
+    });
+
+    test('drops distractors that duplicate a real match', () => {
+        const result = normalizeQuestionFields({
+            questionType: 'matching',
+            pairs: [{ prompt: 'ATP', match: 'energy' }, { prompt: 'DNA', match: 'genes' }],
+            distractors: ['Energy', 'lipids', 'lipids']
+        });
+
+        expect(result.question.distractors).toEqual(['lipids']);
+        expect(result.question.correctAnswer).toBe('ATP → energy; DNA → genes');
+    });
+
+    test('validates a short-answer rubric and drops rubrics on other types', () => {
+        const rubric = { criteria: [{ description: 'Names ATP', points: 2 }] };
+        expect(normalizeQuestionFields({ questionType: 'short-answer', rubric }).question.rubric).toEqual({
+            criteria: [{ description: 'Names ATP', points: 2 }],
+            exampleAnswers: []
+        });
+        expect(normalizeQuestionFields({ questionType: 'true-false', correctAnswer: 'true', rubric }).question.rubric).toBeNull();
+        expect(normalizeQuestionFields({ questionType: 'short-answer', rubric: { criteria: [{ points: 2 }] } }))
+            .toMatchObject({ valid: false, error: expect.stringMatching(/description/) });
+    });
+
+    test('student fields never include the key or the correct order', () => {
+        const ordering = { questionId: 'q1', questionType: 'ordering', items: ['a', 'b', 'c', 'd'] };
+        const matching = {
+            questionId: 'q2',
+            questionType: 'matching',
+            pairs: [{ prompt: 'p1', match: 'm1' }, { prompt: 'p2', match: 'm2' }],
+            distractors: ['m3']
+        };
+
+        const orderingFields = toStudentFields(ordering);
+        expect(orderingFields.items).not.toEqual(ordering.items);
+        expect([...orderingFields.items].sort()).toEqual(ordering.items);
+        expect(toStudentFields(ordering)).toEqual(orderingFields);
+
+        const matchingFields = toStudentFields(matching);
+        expect(Object.keys(matchingFields).sort()).toEqual(['choices', 'prompts']);
+        expect(matchingFields.prompts).toEqual(['p1', 'p2']);
+        expect([...matchingFields.choices].sort()).toEqual(['m1', 'm2', 'm3']);
+
+        expect(toStudentFields({ questionType: 'fill-in-the-blank', blanks: [{ answers: ['x'] }] })).toEqual({ blankCount: 1 });
+        expect(toStudentFields({ questionType: 'numeric', numeric: { value: 1, unit: 'M' } })).toEqual({ unit: 'M' });
+        expect(toStudentFields({ questionType: 'short-answer' })).toEqual({});
+    });
+});
@@ -0,0 +1,194 @@
+const quizMe = require('../../../src/services/quizMe');
+const { toStudentFields } = require('../../../src/services/questionTypes');
+
+const mc = {
+    questionId: 'q-mc',
+    questionType: 'multiple-choice',
+    question: 'Where does glycolysis happen?',
+    options: { A: 'Mitochondria', B: 'Cytoplasm', C: 'Nucleus' },
+    correctAnswer: 'B',
+    explanation: 'Glycolysis runs in the cytosol.',
+    difficulty: 'easy',
+    learningObjective: 'Describe glycolysis'
+};
+const tf = {
+    questionId: 'q-tf',
+    questionType: 'true-false',
+    question: 'ATP stores energy in phosphate bonds.',
+    correctAnswer: 'true',
+    difficulty: 'medium',
+    learningObjective: 'Explain ATP'
+};
+const sa = {
+    questionId: 'q-sa',
+    questionType: 'short-answer',
+    question: 'Why do enzymes lower activation energy?',
+    correctAnswer: 'They stabilize the transition state.',
+    difficulty: 'hard',
+    learningObjective: 'Explain enzyme catalysis',
+    tags: ['Enzyme kinetics']
+};
+
+describe('difficulty', () => {
+    test('steps up after a correct answer and down after a miss, within bounds', () => {
+        expect(quizMe.adjustDifficulty('medium', true)).toBe('hard');
+        expect(quizMe.adjustDifficulty('hard', true)).toBe('hard');
+        expect(quizMe.adjustDifficulty('medium', false)).toBe('easy');
+        expect(quizMe.adjustDifficulty('easy', false)).toBe('easy');
+        expect(quizMe.adjustDifficulty('unknown', true)).toBe('hard');
+    });
+});
+
+describe('eligibleQuestions', () => {
+    test('keeps active questions with text and an answer', () => {
+        const questions = [mc, { ...tf, isActive: false }, { ...sa, correctAnswer: ' ' }, { question: 'No id', correctAnswer: 'x' }];
+        expect(quizMe.eligibleQuestions(questions).map(q => q.questionId)).toEqual(['q-mc']);
+        expect(quizMe.eligibleQuestions(null)).toEqual([]);
+    });
+});
+
+describe('pickNextQuestion', () => {
+    const questions = [mc, tf, sa];
+
+    test('picks the question closest to the target difficulty', () => {
+        expect(quizMe.pickNextQuestion(questions, { difficulty: 'hard' }, () => 0).questionId).toBe('q-sa');
+        expect(quizMe.pickNextQuestion(questions, { difficulty: 'easy' }, () => 0).questionId).toBe('q-mc');
+    });
+
+    test('prefers objectives not yet answered, then missed ones, and skips asked questions', () => {
+        const second = { ...tf, questionId: 'q-tf-2', difficulty: 'hard' };
+        const state = {
+            difficulty: 'hard',
+            askedQuestionIds: ['q-tf'],
+            results: [{ learningObjective: 'Explain ATP', correct: false }]
+        };
+        // q-sa (unanswered objective) beats q-tf-2 (missed objective) at the same difficulty
+        expect(quizMe.pickNextQuestion([tf, second, sa], state, () => 0).questionId).toBe('q-sa');
+        expect(quizMe.pickNextQuestion([tf, second], state, () => 0).questionId).toBe('q-tf-2');
+        expect(quizMe.pickNextQuestion([tf], state, () => 0)).toBeNull();
+    });
+});
+
+describe('formatQuestion', () => {
+    test('lists multiple-choice options and how to answer', () => {
+        const text = quizMe.formatQuestion(mc, { number: 2, total: 5 });
+        expect(text).toContain('**Question 2 of 5** (easy)');
+        expect(text).toContain('_Objective: Describe glycolysis_');
+        expect(text).toContain('B. Cytoplasm');
+        expect(text).toContain('Reply with the letter');
+        expect(quizMe.formatQuestion(tf, { number: 1, total: 1 })).toContain('Reply with true or false.');
+    });
+});
+
+describe('gradeAnswer', () => {
+    test('grades objective answers locally, accepting letters and option text', async () => {
+        expect(quizMe.resolveObjectiveAnswer(mc, 'b)')).toBe('B');
+        expect(quizMe.resolveObjectiveAnswer(mc, 'cytoplasm')).toBe('B');
+        expect(quizMe.resolveObjectiveAnswer(tf, 'Yes')).toBe('true');
+
+        await expect(quizMe.gradeAnswer(mc, 'B. Cytoplasm')).resolves.toEqual({ correct: true, feedback: 'Correct! Well done.' });
+        const missed = await quizMe.gradeAnswer(mc, 'A');
+        expect(missed.correct).toBe(false);
+        expect(missed.feedback).toBe('Incorrect. The correct answer is B. Glycolysis runs in the cytosol.');
+    });
+
+    test('reads chat replies to structured questions by letter and blank', async () => {
+        const blanks = {
+            questionId: 'q-fib',
+            questionType: 'fill-in-the-blank',
+            question: 'Glycolysis ends with ___ and nets ___ ATP.',
+            blanks: [{ answers: ['pyruvate'] }, { answers: ['2', 'two'] }]
+        };
+        const matching = {
+            questionId: 'q-match',
+            questionType: 'matching',
+            pairs: [{ prompt: 'ATP', match: 'energy' }, { prompt: 'DNA', match: 'genes' }]
+        };
+        const ordering = { questionId: 'q-order', questionType: 'ordering', items: ['G1', 'S', 'G2'] };
+        const letterOf = (values, value) => String.fromCharCode(65 + values.indexOf(value));
+        const { choices } = toStudentFields(matching);
+        const { items } = toStudentFields(ordering);
+
+        expect(quizMe.resolveStructuredAnswer(blanks, 'pyruvate; two')).toEqual(['pyruvate', 'two']);
+        expect(quizMe.resolveStructuredAnswer(matching, `1${letterOf(choices, 'energy')}, 2${letterOf(choices, 'genes')}`))
+            .toEqual(['energy', 'genes']);
+        expect(quizMe.resolveStructuredAnswer(ordering, ['G1', 'S', 'G2'].map(item => letterOf(items, item)).join(', ')))
+            .toEqual(['G1', 'S', 'G2']);
+
+        await expect(quizMe.gradeAnswer(blanks, 'Pyruvate; 2')).resolves.toMatchObject({ correct: true });
+        await expect(quizMe.gradeAnswer(blanks, 'pyruvate')).resolves.toMatchObject({ correct: false });
+    });
+
+    test('asks the LLM to grade short answers', async () => {
+        const llmService = { evaluateStudentAnswer: jest.fn().mockResolvedValue({ correct: true, feedback: 'Nice.' }) };
+        const grade = await quizMe.gradeAnswer(sa, 'They stabilize it', { llmService, studentName: 'Sam' });
+        expect(grade).toEqual({ correct: true, feedback: 'Nice.' });
+        expect(llmService.evaluateStudentAnswer).toHaveBeenCalledWith(
+            sa.question, 'They stabilize it', sa.correctAnswer, 'short-answer', 'Sam'
+        );
+    });
+
+    test('grades rubric short answers per criterion and reports the breakdown', async () => {
+        const rubric = { criteria: [{ description: 'Mentions the transition state', points: 2 }], exampleAnswers: [] };
+        const criteria = [{ description: 'Mentions the transition state', points: 2, earned: 1, feedback: 'Be specific.' }];
+        const llmService = {
+            evaluateWithRubric: jest.fn().mockResolvedValue({
+                correct: false, score: 0.5, pointsEarned: 1, pointsPossible: 2, criteria, feedback: 'Partly right.'
+            })
+        };
+        const grade = await quizMe.gradeAnswer({ ...sa, rubric }, 'They stabilize it', { llmService, studentName: 'Sam' });
+
+        expect(grade).toEqual({
+            correct: false,
+            score: 0.5,
+            rubricScores: criteria,
+            feedback: 'Partly right.\n\nScore: 1/2\n- Mentions the transition state: 1/2 — Be specific.'
+        });
+        expect(llmService.evaluateWithRubric).toHaveBeenCalledWith(sa.question, 'They stabilize it', sa.correctAnswer, rubric, 'Sam');
+    });
+});
+
+describe('matchStruggleTopic', () => {
+    test('matches an approved topic by objective, text, or tag', () => {
+        expect(quizMe.matchStruggleTopic(mc, ['describe glycolysis'])).toBe('describe glycolysis');
+        expect(quizMe.matchStruggleTopic(tf, ['Photosynthesis', 'ATP'])).toBe('ATP');
+        expect(quizMe.matchStruggleTopic(sa, ['enzyme kinetics'])).toBe('enzyme kinetics');
+        expect(quizMe.matchStruggleTopic(mc, ['Photosynthesis'])).toBeNull();
+    });
+});
+
+describe('isStopRequest', () => {
+    test('recognizes requests to end the quiz', () => {
+        expect(quizMe.isStopRequest('stop')).toBe(true);
+        expect(quizMe.isStopRequest('End the quiz!')).toBe(true);
+        expect(quizMe.isStopRequest('stop codons end translation')).toBe(false);
+    });
+});
+
+describe('summarizeResults', () => {
+    test('splits objectives into mastered, weak, and not covered', () => {
+        const summary = quizMe.summarizeResults([
+            { learningObjective: 'Describe glycolysis', correct: true },
+            { learningObjective: 'Explain ATP', correct: true },
+            { learningObjective: 'Explain ATP', correct: false },
+            { learningObjective: null, correct: true }
+        ], ['Describe glycolysis', 'Explain ATP', 'Explain enzyme catalysis']);
+
+        expect(summary).toEqual({
+            answered: 4,
+            correct: 3,
+            accuracy: 75,
+            mastered: ['Describe glycolysis'],
+            weak: ['Explain ATP'],
+            notCovered: ['Explain enzyme catalysis']
+        });
+
+        const text = quizMe.formatSummary(summary);
+        expect(text).toContain('3 of 4 correct (75%)');
+        expect(text).toContain('**Worth reviewing**\n- Explain ATP');
+    });
+
+    test('explains an empty run', () => {
+        expect(quizMe.formatSummary(quizMe.summarizeResults([], []))).toMatch(/before any questions were answered/);
+    });
+});
@@ -0,0 +1,53 @@
+const { memoryDb } = require('../helpers/memory-db');
+const rateLimits = require('../../../src/services/rateLimits');
+
+beforeEach(() => rateLimits.invalidateCache());
+
+describe('normalizeRateLimits', () => {
+    test('fills missing roles and fields from the defaults and repairs stored values', () => {
+        expect(rateLimits.normalizeRateLimits()).toEqual(rateLimits.DEFAULT_RATE_LIMITS);
+        expect(rateLimits.normalizeRateLimits({ student: { requestsPerMinute: 5, burstLimit: -1, tokensPerDay: null } }).student)
+            .toEqual({ requestsPerMinute: 5, burstLimit: rateLimits.DEFAULT_RATE_LIMITS.student.burstLimit, tokensPerDay: null });
+    });
+
+    test('strict mode treats missing fields as no limit and rejects out-of-range values', () => {
+        expect(rateLimits.normalizeRateLimits({ student: { requestsPerMinute: '20' } }, { strict: true }).student)
+            .toEqual({ requestsPerMinute: 20, burstLimit: null, tokensPerDay: null });
+        expect(rateLimits.normalizeRateLimits({ student: { burstLimit: 101 } }, { strict: true })).toBeNull();
+        expect(rateLimits.normalizeRateLimits({ ta: { tokensPerDay: 2.5 } }, { strict: true })).toBeNull();
+    });
+
+    test('course overrides keep only the roles they set', () => {
+        expect(rateLimits.normalizeCourseRateLimits({ student: { burstLimit: 2 }, ta: null }))
+            .toEqual({ student: { requestsPerMinute: 10, burstLimit: 2, tokensPerDay: 200000 } });
+        expect(rateLimits.normalizeCourseRateLimits({ student: { burstLimit: 0 } }, { strict: true })).toBeNull();
+    });
+});
+
+describe('platform and course limits', () => {
+    test('platform limits are saved, cached, and invalidated on update', async () => {
+        const db = memoryDb();
+        expect(await rateLimits.getPlatformRateLimits(db)).toEqual(rateLimits.DEFAULT_RATE_LIMITS);
+
+        const invalid = await rateLimits.updatePlatformRateLimits(db, { student: { requestsPerMinute: 0 } }, 'admin');
+        expect(invalid).toEqual({ success: false, error: expect.stringContaining('requests per minute 1-600') });
+
+        const saved = await rateLimits.updatePlatformRateLimits(db, { student: { requestsPerMinute: 3 } }, 'admin');
+        expect(saved.success).toBe(true);
+        expect((await rateLimits.getPlatformRateLimits(db)).student).toEqual({ requestsPerMinute: 3, burstLimit: null, tokensPerDay: null });
+        expect(await db.collection('settings').findOne({ _id: 'rateLimits' })).toMatchObject({ updatedById: 'admin' });
+    });
+
+    test('resolves a role on a course, falling back to the platform and to students for unknown roles', async () => {
+        const db = memoryDb({
+            courses: [{ courseId: 'C1', rateLimits: { ta: { requestsPerMinute: 2 } } }]
+        });
+
+        expect(await rateLimits.resolveRateLimits(db, { courseId: 'C1', role: 'ta' }))
+            .toEqual({ requestsPerMinute: 2, burstLimit: 10, tokensPerDay: null });
+        expect(await rateLimits.resolveRateLimits(db, { courseId: 'C1', role: 'student' }))
+            .toEqual(rateLimits.DEFAULT_RATE_LIMITS.student);
+        expect(await rateLimits.resolveRateLimits(db, { role: 'admin' }))
+            .toEqual(rateLimits.DEFAULT_RATE_LIMITS.student);
+    });
+});
@@ -0,0 +1,78 @@
+const {
+    rerankChunks,
+    setLocalScorer,
+    buildLlmRerankPrompt,
+    parseLlmScores
+} = require('../../../src/services/reranker');
+const { LANES } = require('../../../src/services/llmLanes');
+
+const candidates = [
+    { id: 'a', documentId: 'd1', fileName: 'intro.pdf', chunkText: 'Course overview and grading policy.', score: 0.62 },
+    { id: 'b', documentId: 'd2', fileName: 'glycolysis.pdf', chunkText: 'PFK-1 is the committed step of glycolysis.', score: 0.58 },
+    { id: 'c', documentId: 'd3', fileName: 'tca.pdf', chunkText: 'The citric acid cycle oxidizes acetyl-CoA.', score: 0.51 }
+];
+
+describe('reranker', () => {
+    afterEach(() => setLocalScorer());
+
+    test('LLM scorer reorders candidates on the back-end lane and traces the movement', async () => {
+        const llmService = {
+            sendMessage: jest.fn().mockResolvedValue({
+                content: '{"scores":[{"passage":1,"score":1,"reason":"off topic"},{"passage":2,"score":9,"reason":"defines PFK-1"},{"passage":3,"score":4}]}'
+            })
+        };
+
+        const { results, trace } = await rerankChunks('What does PFK-1 regulate?', candidates, { keep: 2, scorer: 'llm', llmService });
+
+        expect(results.map(result => result.id)).toEqual(['b', 'c']);
+        expect(results[0]).toMatchObject({ score: 0.58, rerankScore: 0.9 });
+        expect(llmService.sendMessage.mock.calls[0][1]).toMatchObject({ lane: LANES.BACKEND, temperature: 0 });
+        expect(trace).toMatchObject({ scorer: 'llm', candidateCount: 3, keep: 2, fallbackReason: null });
+        expect(trace.chunks.map(chunk => [chunk.id, chunk.originalRank, chunk.finalRank, chunk.movement])).toEqual([
+            ['a', 1, null, 'dropped'],
+            ['b', 2, 1, 'promoted'],
+            ['c', 3, 2, 'promoted']
+        ]);
+        expect(trace.chunks[1].reason).toBe('defines PFK-1');
+    });
+
+    test('local scorer defaults to keyword overlap and can be replaced', async () => {
+        const lexical = await rerankChunks('PFK-1 glycolysis', candidates, { keep: 1, scorer: 'local' });
+        expect(lexical.results.map(result => result.id)).toEqual(['b']);
+        expect(lexical.trace.chunks[2].movement).toBe('not_selected');
+
+        setLocalScorer(async (query, list) => list.map((_, position) => position));
+        const custom = await rerankChunks('anything', candidates, { keep: 3, scorer: 'local' });
+        expect(custom.results.map(result => result.id)).toEqual(['c', 'b', 'a']);
+        expect(custom.trace.chunks.map(chunk => chunk.movement)).toEqual(['demoted', 'unchanged', 'promoted']);
+    });
+
+    test('keeps retrieval order and records why when the scorer fails', async () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const llmService = { sendMessage: jest.fn().mockResolvedValue({ content: 'not json' }) };
+
+        const { results, trace } = await rerankChunks('q', candidates, { keep: 2, scorer: 'llm', llmService });
+
+        expect(results.map(result => result.id)).toEqual(['a', 'b']);
+        expect(results[0].rerankScore).toBeNull();
+        expect(trace.fallbackReason).toBe('Re-rank response was not JSON');
+        expect(trace.chunks.map(chunk => chunk.movement)).toEqual(['unchanged', 'unchanged', 'not_selected']);
+
+        const noService = await rerankChunks('q', candidates, { keep: 1 });
+        expect(noService.trace.fallbackReason).toBe('LLM re-ranking needs an LLM service');
+        warn.mockRestore();
+    });
+
+    test('parses fenced JSON, clamps scores, and ranks skipped passages last', () => {
+        const { scores, reasons } = parseLlmScores('```json\n{"scores":[{"passage":2,"score":14},{"passage":9,"score":5},{"passage":1,"score":"x"}]}\n```', 3);
+        expect(scores).toEqual([-1, 1, -1]);
+        expect(reasons).toEqual([null, null, null]);
+        expect(() => parseLlmScores('{"scores":[]}', 3)).toThrow('scored no passages');
+    });
+
+    test('prompt numbers passages and truncates long chunks', () => {
+        const prompt = buildLlmRerankPrompt('Why?', [{ fileName: 'long.pdf', chunkText: 'x'.repeat(5000) }]);
+        expect(prompt).toContain('[1] (long.pdf)');
+        expect(prompt).not.toContain('x'.repeat(1201));
+    });
+});
@@ -0,0 +1,115 @@
+/**
+ * Retrieval evaluation: recall@k / MRR over a golden set, and answer grading,
+ * run against the deterministic embeddings and LLM stubs.
+ */
+const { EmbeddingsStub } = require('../../../src/services/embeddingsStub');
+const { LLMStub } = require('../../../src/services/llmStub');
+const {
+    recallAtK,
+    reciprocalRank,
+    parseJudgement,
+    evaluateGoldenSet,
+    compareMetrics
+} = require('../../../src/services/retrievalEvaluation');
+
+const CHUNKS = [
+    { id: 'c1', documentId: 'doc-gly', lectureName: 'Unit 1', fileName: 'glycolysis.pdf', chunkText: 'Glycolysis splits glucose into pyruvate and makes ATP.' },
+    { id: 'c2', documentId: 'doc-tca', lectureName: 'Unit 2', fileName: 'tca.pdf', chunkText: 'The citric acid cycle oxidizes acetyl CoA and produces NADH.' },
+    { id: 'c3', documentId: 'doc-etc', lectureName: 'Unit 3', fileName: 'etc.pdf', chunkText: 'The electron transport chain pumps protons to drive ATP synthase.' }
+];
+
+// Minimal QdrantService stand-in: cosine similarity over stub embeddings.
+function stubQdrant() {
+    const embeddings = new EmbeddingsStub({ vectorSize: 64 });
+    const calls = [];
+    return {
+        calls,
+        async searchDocuments(query, filters, limit, options) {
+            calls.push({ query, filters, limit, options });
+            const [queryVector] = await embeddings.embed(query);
+            const scored = await Promise.all(CHUNKS.map(async chunk => {
+                const [vector] = await embeddings.embed(chunk.chunkText);
+                const score = vector.reduce((sum, value, index) => sum + value * queryVector[index], 0);
+                return { ...chunk, score };
+            }));
+            return scored.sort((a, b) => b.score - a.score).slice(0, limit);
+        }
+    };
+}
+
+beforeAll(() => jest.spyOn(console, 'warn').mockImplementation(() => {}));
+afterAll(() => jest.restoreAllMocks());
+
+describe('retrieval metrics', () => {
+    const results = [{ documentId: 'a', lectureName: 'U1' }, { documentId: 'b', lectureName: 'U2' }];
+
+    test('recall counts expected documents and units found in the top k', () => {
+        expect(recallAtK(results, { expectedDocumentIds: ['b', 'z'] })).toBe(0.5);
+        expect(recallAtK(results, { expectedDocumentIds: ['a'], expectedUnitNames: ['U2'] })).toBe(1);
+    });
+
+    test('reciprocal rank is 1 / rank of the first relevant chunk', () => {
+        expect(reciprocalRank(results, { expectedUnitNames: ['U2'] })).toBe(0.5);
+        expect(reciprocalRank(results, { expectedDocumentIds: ['z'] })).toBe(0);
+    });
+
+    test('judge scores are clamped and a missing faithfulness score is an error', () => {
+        expect(parseJudgement('```json\n{"faithfulness": 1.4, "correctness": 0.5, "reason": "ok"}\n```'))
+            .toEqual({ faithfulness: 1, correctness: 0.5, reason: 'ok' });
+        expect(() => parseJudgement('{"reason": "x"}')).toThrow('no faithfulness score');
+        expect(() => parseJudgement('not json')).toThrow('not JSON');
+    });
+});
+
+describe('evaluateGoldenSet', () => {
+    const items = [
+        { itemId: 'q1', question: 'How does glycolysis turn glucose into pyruvate?', expectedDocumentIds: ['doc-gly'], expectedUnitNames: [], referenceAnswer: 'Glucose is split into two pyruvate.' },
+        { itemId: 'q2', question: 'What does the electron transport chain pump?', expectedDocumentIds: [], expectedUnitNames: ['Unit 3'], referenceAnswer: null }
+    ];
+
+    test('scores retrieval and grades answers against the current collection', async () => {
+        const qdrant = stubQdrant();
+        const llm = new LLMStub();
+        llm.addRule({ matchSystemPrompt: 'grade chatbot answers', matchMessage: 'glycolysis', content: '{"faithfulness": 0.9, "correctness": 0.8, "reason": "supported"}' });
+        llm.addRule({ matchSystemPrompt: 'grade chatbot answers', content: '{"faithfulness": 0.5, "correctness": 1, "reason": "partly"}' });
+        llm.setDefaultContent('A grounded answer.');
+
+        const { metrics, items: results } = await evaluateGoldenSet({
+            items, qdrant, courseId: 'C1', topK: 1, retrievalMode: 'hybrid', llmService: llm
+        });
+
+        expect(qdrant.calls[0]).toEqual({ query: items[0].question, filters: { courseId: 'C1' }, limit: 1, options: { retrievalMode: 'hybrid' } });
+        expect(results.map(result => result.retrieved[0].documentId)).toEqual(['doc-gly', 'doc-etc']);
+        expect(metrics).toMatchObject({ recallAtK: 1, mrr: 1, itemCount: 2, failedCount: 0 });
+        expect(metrics.faithfulness).toBeCloseTo(0.7);
+        // Correctness only counts for items with a reference answer.
+        expect(results[1].correctness).toBeNull();
+        expect(metrics.correctness).toBeCloseTo(0.8);
+        expect(results[0].answer).toBe('A grounded answer.');
+    });
+
+    test('skips grading without answers and records per-item failures', async () => {
+        const qdrant = stubQdrant();
+        const search = qdrant.searchDocuments;
+        qdrant.searchDocuments = async (query, ...rest) => {
+            if (query.includes('electron')) throw new Error('Qdrant unavailable');
+            return search(query, ...rest);
+        };
+        const llm = new LLMStub();
+
+        const { metrics, items: results } = await evaluateGoldenSet({
+            items, qdrant, courseId: 'C1', topK: 3, llmService: llm, includeAnswers: false
+        });
+
+        expect(llm.callLog).toEqual([]);
+        expect(results[1].error).toBe('Qdrant unavailable');
+        expect(metrics).toMatchObject({ recallAtK: 1, mrr: 1, faithfulness: null, failedCount: 1 });
+    });
+});
+
+test('compareMetrics reports deltas only where both runs have the metric', () => {
+    const comparison = compareMetrics({ recallAtK: 0.5, mrr: 0.5 }, { recallAtK: 1, mrr: 0.25, faithfulness: 0.9 });
+    expect(comparison.recallAtK).toEqual({ before: 0.5, after: 1, delta: 0.5 });
+    expect(comparison.mrr.delta).toBe(-0.25);
+    expect(comparison.faithfulness).toEqual({ before: null, after: 0.9, delta: null });
+});
@@ -0,0 +1,108 @@
+const {
+    MAX_CRITERIA,
+    formatRubricBreakdown,
+    gradeShortAnswer,
+    hasRubric,
+    normalizeRubric,
+    scoreRubricEvaluation,
+    totalPoints
+} = require('../../../src/services/rubric');
+
+const rubric = {
+    criteria: [
+        { description: 'Names ATP as the energy source', points: 2 },
+        { description: 'Explains coupling', points: 1 }
+    ],
+    exampleAnswers: []
+};
+const question = {
+    questionType: 'short-answer',
+    question: 'Why is ATP hydrolysis coupled to biosynthesis?',
+    correctAnswer: 'ATP hydrolysis releases energy that drives the unfavourable step.',
+    rubric
+};
+
+describe('normalizeRubric', () => {
+    test('trims criteria and examples and treats an empty rubric as none', () => {
+        const result = normalizeRubric({
+            criteria: [{ description: '  Names ATP ', points: '2' }],
+            exampleAnswers: [{ answer: ' ATP powers it ', points: 2 }, { answer: 'It just happens' }]
+        });
+        expect(result).toEqual({
+            valid: true,
+            rubric: {
+                criteria: [{ description: 'Names ATP', points: 2 }],
+                exampleAnswers: [{ answer: 'ATP powers it', points: 2 }, { answer: 'It just happens', points: null }]
+            }
+        });
+        expect(normalizeRubric(null)).toEqual({ valid: true, rubric: null });
+        expect(normalizeRubric({ criteria: [] })).toEqual({ valid: true, rubric: null });
+    });
+
+    test('rejects malformed criteria and out-of-range example scores', () => {
+        expect(normalizeRubric('2 points')).toMatchObject({ valid: false });
+        expect(normalizeRubric({ criteria: [{ description: '', points: 1 }] }).error).toMatch(/criterion 1 needs a description/);
+        expect(normalizeRubric({ criteria: [{ description: 'x', points: 0 }] }).error).toMatch(/criterion 1 needs points/);
+        expect(normalizeRubric({
+            criteria: Array.from({ length: MAX_CRITERIA + 1 }, () => ({ description: 'x', points: 1 }))
+        })).toMatchObject({ valid: false });
+        expect(normalizeRubric({
+            criteria: [{ description: 'x', points: 2 }],
+            exampleAnswers: [{ answer: 'too good', points: 3 }]
+        }).error).toMatch(/between 0 and 2 points/);
+    });
+});
+
+describe('hasRubric', () => {
+    test('only counts rubrics on short-answer questions', () => {
+        expect(hasRubric(question)).toBe(true);
+        expect(hasRubric({ ...question, rubric: null })).toBe(false);
+        expect(hasRubric({ ...question, questionType: 'multiple-choice' })).toBe(false);
+    });
+});
+
+describe('scoreRubricEvaluation', () => {
+    test('clamps each criterion to its points and gives full marks only when all are earned', () => {
+        const result = scoreRubricEvaluation(rubric, {
+            criteria: [{ points: 5, feedback: 'Named ATP.' }, { points: 'lots' }],
+            feedback: 'Good start.'
+        });
+        expect(result).toEqual({
+            correct: false,
+            score: 0.67,
+            pointsEarned: 2,
+            pointsPossible: 3,
+            criteria: [
+                { description: 'Names ATP as the energy source', points: 2, earned: 2, feedback: 'Named ATP.' },
+                { description: 'Explains coupling', points: 1, earned: 0, feedback: '' }
+            ],
+            feedback: 'Good start.'
+        });
+        expect(scoreRubricEvaluation(rubric, { criteria: [{ points: 2 }, { points: 1 }] })).toMatchObject({ correct: true, score: 1 });
+        expect(totalPoints(rubric)).toBe(3);
+    });
+
+    test('formats a readable breakdown', () => {
+        const result = scoreRubricEvaluation(rubric, { criteria: [{ points: 1, feedback: 'Partly.' }, { points: 1 }] });
+        expect(formatRubricBreakdown(result)).toBe(
+            'Score: 2/3\n- Names ATP as the energy source: 1/2 — Partly.\n- Explains coupling: 1/1'
+        );
+    });
+});
+
+describe('gradeShortAnswer', () => {
+    test('grades per criterion with a rubric and pass/fail without one', async () => {
+        const llmService = {
+            evaluateWithRubric: jest.fn().mockResolvedValue({ correct: false, score: 0.5 }),
+            evaluateStudentAnswer: jest.fn().mockResolvedValue({ correct: true, feedback: 'Nice.' })
+        };
+
+        await expect(gradeShortAnswer(llmService, question, 'ATP', 'Sam')).resolves.toEqual({ correct: false, score: 0.5 });
+        expect(llmService.evaluateWithRubric).toHaveBeenCalledWith(question.question, 'ATP', question.correctAnswer, rubric, 'Sam');
+
+        await gradeShortAnswer(llmService, { ...question, rubric: null }, 'ATP');
+        expect(llmService.evaluateStudentAnswer).toHaveBeenCalledWith(
+            question.question, 'ATP', question.correctAnswer, 'short-answer', 'Student'
+        );
+    });
+});
@@ -69,13 +69,36 @@ describe('LLMStub', () => {
         expect(stub.callLog[0]).toMatchObject({ kind: 'conversation.send', options: { temperature: 0 } });
     });
 
+    test('streamConversation delivers the reply in configured chunks', async () => {
+        const stub = new LLMStub();
+        stub.setStreamOptions({ chunkSize: 4 });
+        stub.enqueueContent('ATP powers cells');
+        const chunks = [];
+        const result = await stub.streamConversation([{ role: 'user', content: 'q' }], chunk => chunks.push(chunk));
+        expect(chunks).toEqual(['ATP ', 'powe', 'rs c', 'ells']);
+        expect(result).toEqual({ content: 'ATP powers cells' });
+        expect(stub.callLog[0]).toMatchObject({ kind: 'streamConversation', chunks: 4, completed: true });
+    });
+
+    test('a throwing stream callback stops the stream early', async () => {
+        const stub = new LLMStub();
+        stub.setStreamOptions({ chunkSize: 2, delayMs: 1 });
+        stub.enqueueContent('abcdef');
+        await expect(stub.streamConversation([{ role: 'user', content: 'q' }], () => {
+            throw new Error('cancelled');
+        })).rejects.toThrow('cancelled');
+        expect(stub.callLog[0]).toMatchObject({ chunks: 0, completed: false });
+        stub.setStreamOptions({ chunkSize: 'bad', delayMs: -1 });
+        expect(stub).toMatchObject({ streamChunkSize: 2, streamDelayMs: 1 });
+    });
+
     test('reset restores state and metadata methods mirror the toolkit', async () => {
         const stub = new LLMStub();
         stub.enqueueContent('x');
         stub.addRule({ matchMessage: 'x', content: 'y' });
         await stub.sendMessage('x');
         stub.reset();
-        expect(stub).toMatchObject({ queue: [], rules: [], defaultContent: '{}', callLog: [] });
+        expect(stub).toMatchObject({ queue: [], rules: [], defaultContent: '{}', callLog: [], streamChunkSize: 8, streamDelayMs: 0 });
         expect(stub.getProviderName()).toBe('test-stub');
         await expect(stub.getAvailableModels()).resolves.toEqual(['test-stub-model']);
     });
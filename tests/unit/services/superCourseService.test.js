@@ -224,7 +224,7 @@ describe('superCourseService.searchSuperCourse', () => {
     const poolDb = () => memoryDb({
         courses: [
             { courseId: 'C1', courseName: 'One', status: 'active', superchatIds: ['b1'] },
-            { courseId: 'C2', courseName: 'Two', status: 'active', superchatIds: ['b1'] },
+            { courseId: 'C2', courseName: 'Two', status: 'active', superchatIds: ['b1'], ragSettings: { student: { retrievalMode: 'hybrid' } } },
         ],
     });
 
@@ -256,7 +256,9 @@ describe('superCourseService.searchSuperCourse', () => {
         const found = await superCourse.searchSuperCourse(poolDb(), 'ATP', 2, { superchatId: 'b1' });
 
         expect(instance.initialize).toHaveBeenCalledTimes(1);
-        expect(instance.searchDocumentsByCourse).toHaveBeenCalledWith('ATP', ['C1', 'C2'], 2);
+        expect(instance.searchDocumentsByCourse).toHaveBeenCalledWith('ATP', ['C1', 'C2'], 2, {
+            retrievalModes: { C1: 'vector', C2: 'hybrid' },
+        });
         expect(found.results.map(result => result.sourceType)).toEqual(['lecture', 'lecture']);
     });
 
@@ -273,7 +275,7 @@ describe('superCourseService.searchSuperCourse', () => {
         };
         await superCourse.searchSuperCourse(poolDb(), 'ATP', 0, { superchatId: 'b1', qdrant });
         expect(qdrant.initialize).not.toHaveBeenCalled();
-        expect(qdrant.searchDocumentsByCourse).toHaveBeenCalledWith('ATP', ['C1', 'C2'], 8);
+        expect(qdrant.searchDocumentsByCourse).toHaveBeenCalledWith('ATP', ['C1', 'C2'], 8, expect.any(Object));
     });
 
     test('allocates note slots, initializes from injected Qdrant, and donates unused slots to lectures', async () => {
@@ -0,0 +1,33 @@
+const { MAX_DIFF_LINES, diffLines } = require('../../../src/services/textDiff');
+
+describe('diffLines', () => {
+    test('returns only changed lines with their line numbers', () => {
+        expect(diffLines('a\nb\nc\nd', 'a\nB\nc\nd\ne')).toEqual([
+            { op: '-', line: 2, text: 'b' },
+            { op: '+', line: 2, text: 'B' },
+            { op: '+', line: 5, text: 'e' }
+        ]);
+    });
+
+    test('handles empty texts and identical texts', () => {
+        expect(diffLines('', 'one\ntwo')).toEqual([
+            { op: '+', line: 1, text: 'one' },
+            { op: '+', line: 2, text: 'two' }
+        ]);
+        expect(diffLines('one', '')).toEqual([{ op: '-', line: 1, text: 'one' }]);
+        expect(diffLines('same\r\ntext', 'same\ntext')).toEqual([]);
+    });
+
+    test('keeps common lines between the changes out of the diff', () => {
+        expect(diffLines('x\nkeep\ny', 'keep\nz')).toEqual([
+            { op: '-', line: 1, text: 'x' },
+            { op: '-', line: 3, text: 'y' },
+            { op: '+', line: 2, text: 'z' }
+        ]);
+    });
+
+    test('skips texts too large to compare', () => {
+        const big = Array.from({ length: MAX_DIFF_LINES + 1 }, (_, i) => `line ${i}`).join('\n');
+        expect(diffLines('', big)).toBeNull();
+    });
+});
@@ -0,0 +1,113 @@
+const TokenUsage = require('../../../src/models/TokenUsage');
+const { memoryDb } = require('../helpers/memory-db');
+const {
+    LlmBudgetError,
+    budgetStatus,
+    createCourseMeter,
+    getBudgetStatus,
+    trackRequestTokens,
+    addRequestTokens,
+    usageFromResponse
+} = require('../../../src/services/tokenMeter');
+
+function courseDb(tokenBudget, spentToday = 0) {
+    const today = new Date().toISOString().slice(0, 10);
+    return memoryDb({
+        courses: [{ courseId: 'C1', tokenBudget }],
+        [TokenUsage.COLLECTION_NAME]: spentToday
+            ? [{ courseId: 'C1', day: today, month: today.slice(0, 7), totalTokens: spentToday }]
+            : []
+    });
+}
+
+describe('budgetStatus', () => {
+    const budget = { dailyTokens: 1000, monthlyTokens: 10000, degradeAtPercent: 80 };
+
+    test('no limits means always ok', () => {
+        const status = budgetStatus({ dailyTokens: null, monthlyTokens: null, degradeAtPercent: 80 }, { day: 1e9, month: 1e9 });
+        expect(status).toEqual({ level: 'ok', period: null, usedPercent: { day: null, month: null } });
+    });
+
+    test('the period closest to its limit decides the level', () => {
+        expect(budgetStatus(budget, { day: 500, month: 500 }).level).toBe('ok');
+        expect(budgetStatus(budget, { day: 850, month: 850 })).toMatchObject({ level: 'degraded', period: 'day' });
+        expect(budgetStatus(budget, { day: 100, month: 10000 })).toMatchObject({ level: 'exhausted', period: 'month' });
+    });
+});
+
+describe('usageFromResponse', () => {
+    test('reads reported counts under either naming style', () => {
+        expect(usageFromResponse({ usage: { promptTokens: 10, completionTokens: 5 } }, 'x'))
+            .toEqual({ promptTokens: 10, completionTokens: 5, totalTokens: 15, estimated: false });
+        expect(usageFromResponse({ usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 16 } }, 'x'))
+            .toEqual({ promptTokens: 10, completionTokens: 5, totalTokens: 16, estimated: false });
+    });
+
+    test('estimates from the text when the provider reports nothing', () => {
+        expect(usageFromResponse({ content: 'abcdefgh' }, 'abcd'))
+            .toEqual({ promptTokens: 1, completionTokens: 2, totalTokens: 3, estimated: true });
+    });
+});
+
+describe('createCourseMeter', () => {
+    beforeAll(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+    afterAll(() => jest.restoreAllMocks());
+
+    test('near the budget only non-essential features are stopped', async () => {
+        const meter = createCourseMeter(courseDb({ dailyTokens: 1000, degradeAtPercent: 80 }, 900), 'C1');
+
+        await expect(meter.check('chat')).resolves.toBeUndefined();
+        await expect(meter.check('tracker')).rejects.toMatchObject({
+            code: 'LLM_BUDGET_EXCEEDED',
+            level: 'degraded',
+            period: 'day',
+            httpStatus: 429
+        });
+    });
+
+    test('a spent budget stops everything except wellbeing checks', async () => {
+        const meter = createCourseMeter(courseDb({ monthlyTokens: 1000 }, 1000), 'C1');
+
+        await expect(meter.check('chat')).rejects.toBeInstanceOf(LlmBudgetError);
+        await expect(meter.check('mental-health')).resolves.toBeUndefined();
+    });
+
+    test('recorded calls count toward the cached spend right away', async () => {
+        const db = courseDb({ dailyTokens: 100 });
+        const meter = createCourseMeter(db, 'C1');
+
+        await meter.check('chat');
+        await meter.record({ feature: 'chat', lane: 'frontend', model: 'm', usage: usageFromResponse({ usage: { totalTokens: 100 } }) });
+
+        await expect(meter.check('chat')).rejects.toMatchObject({ level: 'exhausted' });
+        expect(await TokenUsage.getSpendTotals(db, 'C1')).toEqual({ day: 100, month: 100 });
+    });
+
+    test('metering failures never block a call', async () => {
+        const db = courseDb({ dailyTokens: 100 });
+        db.collection = () => { throw new Error('db down'); };
+        const meter = createCourseMeter(db, 'C1');
+
+        await expect(meter.check('chat')).resolves.toBeUndefined();
+        await expect(meter.record({ feature: 'chat', usage: usageFromResponse({ content: 'hi' }) })).resolves.toBeUndefined();
+    });
+});
+
+test('getBudgetStatus falls back to no limits for a missing course', async () => {
+    const status = await getBudgetStatus(memoryDb(), 'missing');
+    expect(status).toMatchObject({ level: 'ok', spend: { day: 0, month: 0 }, budget: { dailyTokens: null, monthlyTokens: null } });
+});
+
+test('request tallies collect tokens from calls made while handling that request', async () => {
+    const tally = trackRequestTokens(() => {
+        addRequestTokens(5);
+        setImmediate(() => addRequestTokens(7));
+    });
+    addRequestTokens(100);
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(tally.totalTokens).toBe(12);
+});
@@ -0,0 +1,202 @@
+/**
+ * Web page and open-textbook import: boilerplate removal, sections with
+ * anchors, EPUB and ZIP reading, and the fetchers.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createZip } = require('../../../src/services/zipArchive');
+const webImport = require('../../../src/services/webDocumentImport');
+
+const PAGE = `<!DOCTYPE html>
+<html><head><title>Biology 2e &ndash; Cellular Respiration</title>
+<script>document.write("<h1>Not content</h1>");</script><style>h1 { color: red; }</style></head>
+<body>
+<header class="site-header"><a href="/">Home</a> <a href="/books">Books</a></header>
+<nav aria-label="Table of contents"><ul><li>Chapter 1<li>Chapter 2</ul></nav>
+<div class="breadcrumbs">Books &gt; Biology</div>
+<main>
+  <article>
+    <header><h1 id="ch7">Cellular Respiration</h1></header>
+    <p>Cells break down <b>glucose</b>.<br>They release energy.</p>
+    <section id="sec-7-1">
+      <h2>7.1 Energy in Living Systems</h2>
+      <p>ATP is the energy currency.</p>
+      <figure><img src="atp.png" alt="Structure of an ATP molecule"><figcaption>Figure 7.2 ATP</figcaption></figure>
+      <ul><li>Adenine<li>Ribose</ul>
+    </section>
+    <h2><a id="glycolysis"></a>7.2 Glycolysis</h2>
+    <table><tr><th>Step</th><th>Product</th></tr><tr><td>1</td><td>G6P</td></tr></table>
+    <div class="share-buttons">Share this page</div>
+  </article>
+  <aside>Related chapters</aside>
+</main>
+<footer>&copy; OpenStax</footer>
+</body></html>`;
+
+function epub() {
+    return createZip([
+        { name: 'mimetype', data: 'application/epub+zip' },
+        {
+            name: 'META-INF/container.xml',
+            data: '<?xml version="1.0"?><container xmlns="urn:oasis:names:tc:opendocument:xmlns:container">'
+                + '<rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles></container>'
+        },
+        {
+            name: 'OEBPS/content.opf',
+            data: '<?xml version="1.0"?><package xmlns="http://www.idpf.org/2007/opf" xmlns:dc="http://purl.org/dc/elements/1.1/">'
+                + '<metadata><dc:title>Open Biology</dc:title></metadata><manifest>'
+                + '<item id="nav" href="nav.xhtml" properties="nav" media-type="application/xhtml+xml"/>'
+                + '<item id="c1" href="text/ch1.xhtml" media-type="application/xhtml+xml"/>'
+                + '<item id="c2" href="text/ch2.xhtml" media-type="application/xhtml+xml"/>'
+                + '</manifest><spine><itemref idref="nav"/><itemref idref="c2"/><itemref idref="c1"/></spine></package>'
+        },
+        { name: 'OEBPS/nav.xhtml', data: '<html><body><nav epub:type="toc"><ol><li>Cells</li></ol></nav></body></html>' },
+        {
+            name: 'OEBPS/text/ch1.xhtml',
+            data: '<html xmlns="http://www.w3.org/1999/xhtml"><body><section id="cells"><h1>Cells</h1><p>Cells are small.</p></section></body></html>'
+        },
+        { name: 'OEBPS/text/ch2.xhtml', data: '<html><body><h1 id="genes">Genes</h1><p>DNA &amp; RNA.</p></body></html>' }
+    ]);
+}
+
+describe('htmlToSections', () => {
+    test('drops page furniture and keeps headings, anchors, and figure alt text', () => {
+        const page = webImport.htmlToSections(PAGE, { pageUrl: 'https://openstax.org/books/biology/7' });
+
+        expect(page.title).toBe('Biology 2e – Cellular Respiration');
+        expect(page.figureCount).toBe(1);
+        expect(page.sections).toEqual([
+            {
+                heading: 'Cellular Respiration',
+                level: 1,
+                anchor: 'ch7',
+                sourceUrl: 'https://openstax.org/books/biology/7#ch7',
+                text: 'Cells break down glucose.\nThey release energy.'
+            },
+            {
+                heading: '7.1 Energy in Living Systems',
+                level: 2,
+                anchor: 'sec-7-1',
+                sourceUrl: 'https://openstax.org/books/biology/7#sec-7-1',
+                text: 'ATP is the energy currency.\n[Figure: Structure of an ATP molecule]\nFigure 7.2 ATP\n- Adenine\n- Ribose'
+            },
+            {
+                heading: '7.2 Glycolysis',
+                level: 2,
+                anchor: 'glycolysis',
+                sourceUrl: 'https://openstax.org/books/biology/7#glycolysis',
+                text: 'Step | Product\n1 | G6P'
+            }
+        ]);
+        const text = page.sections.map(section => section.text).join('\n');
+        expect(text).not.toMatch(/Home|Chapter 1|Books >|Share this|Related|OpenStax|Not content|color/);
+    });
+
+    test('keeps text before the first heading as an untitled section of the page', () => {
+        const page = webImport.htmlToSections('<body><p>Intro text.</p><h2>Next</h2><p>More.</p></body>', { pageUrl: 'ch1.html' });
+        expect(page.sections[0]).toEqual({ heading: '', level: 0, anchor: null, sourceUrl: 'ch1.html', text: 'Intro text.' });
+        expect(page.title).toBe('Next');
+    });
+});
+
+describe('convertWebDocument', () => {
+    test('reads an EPUB in spine order, skipping its navigation document', () => {
+        const result = webImport.convertWebDocument({ buffer: epub(), mimeType: 'application/epub+zip', originalName: 'bio.epub' });
+
+        expect(result.format).toBe('epub');
+        expect(result.title).toBe('Open Biology');
+        expect(result.sections.map(section => [section.sectionNumber, section.heading, section.sourceUrl])).toEqual([
+            [1, 'Genes', 'OEBPS/text/ch2.xhtml#genes'],
+            [2, 'Cells', 'OEBPS/text/ch1.xhtml#cells']
+        ]);
+        expect(result.content).toBe('# Genes\n\nDNA & RNA.\n\n# Cells\n\nCells are small.');
+    });
+
+    test('reads a ZIP of HTML pages in natural order and a single page', () => {
+        const zip = createZip([
+            { name: 'book/ch10.html', data: '<h1>Ten</h1><p>Last.</p>' },
+            { name: 'book/ch2.html', data: '<h1>Two</h1><p>First.</p>' },
+            { name: 'book/style.css', data: 'h1 {}' }
+        ]);
+        const fromZip = webImport.convertWebDocument({ buffer: zip, mimeType: 'application/zip', originalName: 'book.zip' });
+        expect(fromZip.format).toBe('html-zip');
+        expect(fromZip.sections.map(section => section.sourceUrl)).toEqual(['book/ch2.html', 'book/ch10.html']);
+
+        const single = webImport.convertWebDocument({
+            buffer: Buffer.from(PAGE), mimeType: 'text/html', originalName: 'page.html', sourceUrl: 'https://example.org/ch7'
+        });
+        expect(single.format).toBe('html');
+        expect(single.content).toMatch(/^# Cellular Respiration\n\nCells break down glucose\./);
+        expect(single.content).toContain('## 7.2 Glycolysis');
+    });
+
+    test('rejects other files and pages with no text', () => {
+        expect(() => webImport.convertWebDocument({ buffer: Buffer.from('%PDF'), mimeType: 'application/pdf', originalName: 'a.pdf' }))
+            .toThrow(expect.objectContaining({ code: 'UNSUPPORTED_WEB_DOCUMENT' }));
+        expect(() => webImport.convertWebDocument({ buffer: Buffer.from('<nav>Menu</nav>'), mimeType: 'text/html', originalName: 'a.html' }))
+            .toThrow(expect.objectContaining({ code: 'INVALID_WEB_DOCUMENT' }));
+        expect(() => webImport.convertWebDocument({ buffer: createZip([{ name: 'a.txt', data: 'x' }]), originalName: 'a.zip' }))
+            .toThrow(/no HTML pages/);
+    });
+});
+
+describe('fetchers', () => {
+    afterEach(() => {
+        webImport.setWebFetcherForTests(null);
+    });
+
+    test('refuses addresses that are not public http(s)', async () => {
+        const lookup = jest.fn(async () => [{ address: '10.0.0.5' }]);
+        await expect(webImport.assertPublicUrl('file:///etc/passwd', lookup)).rejects.toMatchObject({ code: 'INVALID_WEB_URL' });
+        await expect(webImport.assertPublicUrl('http://127.0.0.1/', lookup)).rejects.toThrow(/not on the public web/);
+        await expect(webImport.assertPublicUrl('http://[::1]/', lookup)).rejects.toThrow(/not on the public web/);
+        await expect(webImport.assertPublicUrl('https://intranet.example/', lookup)).rejects.toThrow(/not on the public web/);
+        await expect(webImport.assertPublicUrl('not a url', lookup)).rejects.toThrow(/full web address/);
+    });
+
+    test('the network fetcher re-checks redirects and reports HTTP errors', async () => {
+        const lookup = jest.fn(async host => [{ address: host === 'internal.example' ? '192.168.1.4' : '93.184.216.34' }]);
+        const response = (status, headers = {}, body = '') => ({
+            status,
+            ok: status >= 200 && status < 300,
+            headers: { get: name => headers[name.toLowerCase()] || null },
+            buffer: async () => Buffer.from(body)
+        });
+        const fetchImpl = jest.fn()
+            .mockResolvedValueOnce(response(302, { location: '/ch7' }))
+            .mockResolvedValueOnce(response(200, { 'content-type': 'text/html' }, PAGE))
+            .mockResolvedValueOnce(response(301, { location: 'http://internal.example/' }))
+            .mockResolvedValueOnce(response(404));
+        const fetcher = webImport.createNetworkFetcher({ fetchImpl, lookup });
+
+        const page = await fetcher('https://openstax.org/books/biology');
+        expect(page).toMatchObject({ mimeType: 'text/html', url: 'https://openstax.org/ch7' });
+        expect(fetchImpl.mock.calls[0][1]).toMatchObject({ redirect: 'manual' });
+
+        await expect(fetcher('https://openstax.org/moved')).rejects.toThrow(/not on the public web/);
+        await expect(fetcher('https://openstax.org/missing')).rejects.toMatchObject({ code: 'WEB_FETCH_FAILED' });
+    });
+
+    test('importFromUrl converts through the configured fetcher, including a local fixture folder', async () => {
+        const fetcher = jest.fn(async url => ({ buffer: Buffer.from(PAGE), mimeType: 'text/html; charset=utf-8', url }));
+        webImport.setWebFetcherForTests(fetcher);
+
+        const imported = await webImport.importFromUrl('https://openstax.org/books/biology/7');
+        expect(imported).toMatchObject({ format: 'html', sourceUrl: 'https://openstax.org/books/biology/7', originalName: '7' });
+        expect(imported.sections[2].sourceUrl).toBe('https://openstax.org/books/biology/7#glycolysis');
+
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'web-import-'));
+        try {
+            fs.mkdirSync(path.join(dir, 'openstax.org', 'books'), { recursive: true });
+            fs.writeFileSync(path.join(dir, 'openstax.org', 'books', 'index.html'), PAGE);
+            const fixtures = webImport.createFixtureFetcher(dir);
+
+            const local = await webImport.importFromUrl('https://openstax.org/books/', fixtures);
+            expect(local.sections[0].sourceUrl).toBe('https://openstax.org/books/#ch7');
+            await expect(fixtures('https://openstax.org/other.html')).rejects.toMatchObject({ code: 'WEB_FETCH_FAILED' });
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,85 @@
+const { memoryDb } = require('../helpers/memory-db');
+const wellness = require('../../../src/services/wellnessResources');
+
+beforeEach(() => wellness.invalidateCache());
+
+const campusLine = { resourceId: 'campus-line', kind: 'crisis', name: 'Campus Crisis Line', phone: '604-555-0100' };
+const counselling = { kind: 'wellness', name: '  Counselling   Services ', url: 'https://example.edu/counselling', hours: 'Weekdays' };
+
+describe('normalizeResourceList', () => {
+    test('trims fields, keeps valid ids, and assigns ids to new resources', () => {
+        const { resources } = wellness.normalizeResourceList([campusLine, counselling], { strict: true });
+        expect(resources[0]).toMatchObject({ resourceId: 'campus-line', kind: 'crisis', phone: '604-555-0100', url: null });
+        expect(resources[1]).toMatchObject({ kind: 'wellness', name: 'Counselling Services', hours: 'Weekdays', region: null });
+        expect(resources[1].resourceId).toMatch(/^wellres_/);
+    });
+
+    test('strict mode reports the first invalid resource; lenient mode drops it', () => {
+        const invalid = [campusLine, { name: 'No contact' }, { name: 'Bad link', url: 'javascript:alert(1)' }];
+        expect(wellness.normalizeResourceList(invalid, { strict: true }))
+            .toEqual({ error: 'Resource 2: a phone number or URL is required' });
+        expect(wellness.normalizeResourceList([{ phone: '911' }], { strict: true }))
+            .toEqual({ error: 'Resource 1: name is required' });
+        expect(wellness.normalizeResourceList(invalid).resources.map(r => r.resourceId)).toEqual(['campus-line']);
+        expect(wellness.normalizeResourceList(new Array(wellness.MAX_RESOURCES + 1).fill(campusLine), { strict: true }).error)
+            .toContain(`At most ${wellness.MAX_RESOURCES}`);
+    });
+
+    test('course overrides default to including the platform list', () => {
+        expect(wellness.normalizeCourseOverride(null)).toEqual({ override: null });
+        expect(wellness.normalizeCourseOverride({ resources: [campusLine] }).override.includePlatform).toBe(true);
+        expect(wellness.normalizeCourseOverride([], { strict: true }))
+            .toEqual({ error: 'wellnessResources must be an object or null' });
+    });
+});
+
+describe('platform and course resources', () => {
+    test('platform resources default, save, and reject invalid input', async () => {
+        const db = memoryDb({});
+        expect((await wellness.getPlatformResources(db)).map(r => r.resourceId))
+            .toEqual(['default-988', 'default-emergency', 'default-ubc-wellness']);
+
+        expect(await wellness.updatePlatformResources(db, 'nope', 'admin'))
+            .toEqual({ success: false, error: 'resources must be a list' });
+        const saved = await wellness.updatePlatformResources(db, [campusLine], 'admin');
+        expect(saved.success).toBe(true);
+        expect(await wellness.getPlatformResources(db)).toEqual([expect.objectContaining({ resourceId: 'campus-line' })]);
+        expect(await db.collection('settings').findOne({ _id: 'wellnessResources' })).toMatchObject({ updatedById: 'admin' });
+    });
+
+    test('course resources come first, crisis lines lead, and includePlatform false replaces the platform list', async () => {
+        const db = memoryDb({ courses: [
+            { courseId: 'C1', wellnessResources: { resources: [counselling, campusLine], includePlatform: true } },
+            { courseId: 'C2', wellnessResources: { resources: [counselling], includePlatform: false } },
+            { courseId: 'C3' }
+        ] });
+
+        const c1 = await wellness.resolveWellnessResources(db, 'C1');
+        expect(c1.map(r => r.name)).toEqual([
+            'Campus Crisis Line',
+            '9-8-8 Suicide Crisis Helpline',
+            'Emergency services',
+            'Counselling Services',
+            'UBC Wellness Centre'
+        ]);
+        expect((await wellness.resolveWellnessResources(db, 'C2')).map(r => r.name)).toEqual(['Counselling Services']);
+        expect(await wellness.resolveWellnessResources(db, 'C3')).toHaveLength(3);
+    });
+});
+
+describe('cards and prompt text', () => {
+    test('builds a card only when there are resources', () => {
+        expect(wellness.buildResourcesCard([])).toBeNull();
+        expect(wellness.buildResourcesCard([campusLine])).toEqual({
+            title: 'Support is available',
+            message: expect.any(String),
+            resources: [campusLine]
+        });
+    });
+
+    test('formats resources for the safety protocol', () => {
+        expect(wellness.formatResourcesForPrompt([campusLine, { name: 'Peer support' }]))
+            .toBe('Campus Crisis Line (604-555-0100); Peer support');
+        expect(wellness.formatResourcesForPrompt(null)).toBe('');
+    });
+});
@@ -0,0 +1,52 @@
+const {
+    child,
+    childPath,
+    descendants,
+    escapeXml,
+    htmlToText,
+    parseXml,
+    textContent
+} = require('../../../src/services/xmlDocument');
+
+describe('parseXml', () => {
+    test('reads elements, attributes, entities, CDATA, and skips comments and declarations', () => {
+        const root = parseXml([
+            '\uFEFF<?xml version="1.0"?>',
+            '<!DOCTYPE quiz>',
+            '<quiz a="1 &amp; 2">',
+            '  <!-- skipped -->',
+            '  <q:text>caf&#233; &lt;b&gt;</q:text>',
+            '  <raw><![CDATA[<p>kept</p>]]></raw>',
+            '  <empty/>',
+            '</quiz>'
+        ].join('\n'));
+
+        expect(root.name).toBe('quiz');
+        expect(root.attributes).toEqual({ a: '1 & 2' });
+        expect(textContent(child(root, 'text'))).toBe('café <b>');
+        expect(textContent(childPath(root, 'raw'))).toBe('<p>kept</p>');
+        expect(descendants(root, 'empty')).toHaveLength(1);
+    });
+
+    test('keeps numeric entities that are not valid code points as written', () => {
+        const root = parseXml('<a>&#99999999; &#x110000; &#xD800; &#65;</a>');
+        expect(textContent(root)).toBe('&#99999999; &#x110000; &#xD800; A');
+        expect(htmlToText('<p>&#99999999;</p>')).toBe('&#99999999;');
+    });
+
+    test('rejects malformed documents', () => {
+        expect(() => parseXml('<a><b></a>')).toThrow(expect.objectContaining({ code: 'INVALID_XML' }));
+        expect(() => parseXml('<a>')).toThrow('<a> is never closed');
+        expect(() => parseXml('plain text')).toThrow(expect.objectContaining({ code: 'INVALID_XML' }));
+    });
+});
+
+describe('text helpers', () => {
+    test('escapeXml escapes markup characters', () => {
+        expect(escapeXml('<a href="x">R&D\'s</a>')).toBe('&lt;a href=&quot;x&quot;&gt;R&amp;D&apos;s&lt;/a&gt;');
+    });
+
+    test('htmlToText keeps line breaks and drops tags', () => {
+        expect(htmlToText('<p>First&nbsp;line</p><p>Second <b>line</b><br/>third</p>')).toBe('First line\nSecond line\nthird');
+    });
+});
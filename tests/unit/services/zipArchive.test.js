@@ -0,0 +1,66 @@
+const zlib = require('zlib');
+const { crc32, createZip, isZip, readZip } = require('../../../src/services/zipArchive');
+
+describe('zipArchive', () => {
+    test('reads back what it writes, including UTF-8 names', () => {
+        const archive = createZip([
+            { name: 'imsmanifest.xml', data: '<manifest/>' },
+            { name: 'items/café.xml', data: Buffer.from('x'.repeat(5000)) }
+        ]);
+
+        expect(isZip(archive)).toBe(true);
+        const files = readZip(archive);
+        expect(files.map(file => file.name)).toEqual(['imsmanifest.xml', 'items/café.xml']);
+        expect(files[0].data.toString()).toBe('<manifest/>');
+        expect(files[1].data.length).toBe(5000);
+    });
+
+    test('reads stored entries', () => {
+        const archive = createZip([{ name: 'a.txt', data: 'hello' }]);
+        // Rewrite the single entry as stored (method 0) with the raw bytes
+        const data = Buffer.from('hello');
+        const deflated = zlib.deflateRawSync(data);
+        const stored = Buffer.concat([
+            archive.subarray(0, 30 + 5),
+            data,
+            archive.subarray(30 + 5 + deflated.length)
+        ]);
+        stored.writeUInt16LE(0, 8);
+        stored.writeUInt32LE(data.length, 18);
+        const central = 30 + 5 + data.length;
+        stored.writeUInt16LE(0, central + 10);
+        stored.writeUInt32LE(data.length, central + 20);
+        stored.writeUInt32LE(central, stored.length - 6);
+
+        expect(readZip(stored)[0].data.toString()).toBe('hello');
+    });
+
+    test('rejects data that is not a ZIP archive', () => {
+        expect(isZip(Buffer.from('<quiz/>'))).toBe(false);
+        expect(() => readZip(Buffer.from('not a zip at all, just some text'))).toThrow(expect.objectContaining({ code: 'INVALID_ZIP' }));
+    });
+
+    test('rejects truncated archives', () => {
+        const archive = createZip([{ name: 'a.txt', data: 'x'.repeat(200) }]);
+        expect(() => readZip(archive.subarray(0, 10))).toThrow(expect.objectContaining({ code: 'INVALID_ZIP' }));
+        expect(() => readZip(Buffer.alloc(0))).toThrow(expect.objectContaining({ code: 'INVALID_ZIP' }));
+
+        // Keep the directory but cut the entry's data short
+        const deflated = zlib.deflateRawSync(Buffer.from('x'.repeat(200)));
+        const cut = Buffer.concat([archive.subarray(0, 30 + 5 + 2), archive.subarray(30 + 5 + deflated.length)]);
+        cut.writeUInt32LE(30 + 5 + 2, cut.length - 6);
+        expect(() => readZip(cut)).toThrow(expect.objectContaining({ code: 'INVALID_ZIP' }));
+    });
+
+    test('rejects an entry whose declared size is smaller than its content', () => {
+        const archive = createZip([{ name: 'a.txt', data: 'x'.repeat(5000) }]);
+        const deflated = zlib.deflateRawSync(Buffer.from('x'.repeat(5000)));
+        archive.writeUInt32LE(10, 30 + 5 + deflated.length + 24);
+
+        expect(() => readZip(archive)).toThrow(expect.objectContaining({ code: 'INVALID_ZIP', message: 'Corrupt ZIP entry a.txt' }));
+    });
+
+    test('crc32 matches the standard check value', () => {
+        expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+    });
+});